@@ -21,9 +21,14 @@ const DignityForm = lazy(() => import('./pages/DignityForm'));
 const DignityView = lazy(() => import('./pages/DignityView'));
 const DignityAnalysis = lazy(() => import('./pages/DignityAnalysis'));
 const DignityCrisisDashboard = lazy(() => import('./pages/DignityCrisisDashboard'));
+const FeudalHierarchy = lazy(() => import('./pages/FeudalHierarchy'));
+const DignityTimeline = lazy(() => import('./pages/DignityTimeline'));
+const LocationsLanding = lazy(() => import('./pages/LocationsLanding'));
+const LocationView = lazy(() => import('./pages/LocationView'));
 const BugTracker = lazy(() => import('./pages/BugTracker'));
 const WritingStudio = lazy(() => import('./pages/WritingStudio'));
 const WritingEditor = lazy(() => import('./pages/WritingEditor'));
+const RelationshipGraph = lazy(() => import('./pages/RelationshipGraph'));
 
 // Loading fallback for lazy-loaded routes
 function PageLoader() {
@@ -67,11 +72,13 @@ import { BugTrackerProvider } from './contexts/BugContext';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import { DatasetProvider, useDataset } from './contexts/DatasetContext';
 import { LearningModeProvider } from './contexts/LearningModeContext';
+import { CalendarProvider } from './contexts/CalendarContext';
 import { ProtectedRoute } from './components/auth';
 import BugReporterButton from './components/bugs/BugReporterButton';
 import ErrorBoundary from './components/ErrorBoundary';
 import { DatasetManager } from './components/datasets';
 import { runDatasetMigration } from './services/migrationService';
+import { isFeatureEnabled } from './config/featureFlags';
 
 // Context for opening the Dataset Manager modal from anywhere in the app
 export const DatasetManagerContext = createContext({ openDatasetManager: () => {} });
@@ -365,52 +372,62 @@ function AppContent() {
 
   // Database ready - render the app with GenealogyProvider
   // GenealogyProvider is here (inside ProtectedRoute) so it has access to user
+  // CalendarProvider wraps it so genealogy mutations can format in-world dates
   // BugTrackerProvider wraps everything so the floating bug reporter works on all pages
   return (
-    <GenealogyProvider>
-      <BugTrackerProvider>
-        <DatasetManagerContext.Provider value={{ openDatasetManager: () => setDatasetManagerOpen(true) }}>
-          <Router>
-            <ErrorBoundary>
-              <Suspense fallback={<PageLoader />}>
-                <Routes>
-                <Route path="/" element={<Home />} />
-                <Route path="/tree" element={<FamilyTree />} />
-                <Route path="/tree/:personId" element={<FamilyTree />} />
-                <Route path="/manage" element={<ManageData />} />
-                <Route path="/codex" element={<CodexLanding />} />
-                <Route path="/codex/create" element={<CodexEntryForm />} />
-                <Route path="/codex/edit/:id" element={<CodexEntryForm />} />
-                <Route path="/codex/entry/:id" element={<CodexEntryView />} />
-                <Route path="/codex/browse/:type" element={<CodexBrowse />} />
-                <Route path="/codex/import" element={<CodexImport />} />
-                <Route path="/heraldry" element={<HeraldryLanding />} />
-                <Route path="/heraldry/create" element={<HeraldryCreator />} />
-                <Route path="/heraldry/edit/:id" element={<HeraldryCreator />} />
-                <Route path="/heraldry/charges" element={<ChargesLibrary />} />
-                <Route path="/dignities" element={<DignitiesLanding />} />
-                <Route path="/dignities/create" element={<DignityForm />} />
-                <Route path="/dignities/edit/:id" element={<DignityForm />} />
-                <Route path="/dignities/view/:id" element={<DignityView />} />
-                <Route path="/dignities/analysis" element={<DignityAnalysis />} />
-                <Route path="/dignities/crises" element={<DignityCrisisDashboard />} />
-                <Route path="/bugs" element={<BugTracker />} />
-                <Route path="/writing" element={<WritingStudio />} />
-                <Route path="/writing/:id" element={<WritingEditor />} />
-                </Routes>
-              </Suspense>
-              {/* Floating bug reporter button - visible on all pages */}
-              <BugReporterButton />
-            </ErrorBoundary>
-          </Router>
-          {/* Dataset Manager Modal */}
-          <DatasetManager
-            isOpen={datasetManagerOpen}
-            onClose={() => setDatasetManagerOpen(false)}
-          />
-        </DatasetManagerContext.Provider>
-      </BugTrackerProvider>
-    </GenealogyProvider>
+    <CalendarProvider>
+      <GenealogyProvider>
+        <BugTrackerProvider>
+          <DatasetManagerContext.Provider value={{ openDatasetManager: () => setDatasetManagerOpen(true) }}>
+            <Router>
+              <ErrorBoundary>
+                <Suspense fallback={<PageLoader />}>
+                  <Routes>
+                  <Route path="/" element={<Home />} />
+                  <Route path="/tree" element={<FamilyTree />} />
+                  <Route path="/tree/:personId" element={<FamilyTree />} />
+                  <Route path="/manage" element={<ManageData />} />
+                  <Route path="/codex" element={<CodexLanding />} />
+                  <Route path="/codex/create" element={<CodexEntryForm />} />
+                  <Route path="/codex/edit/:id" element={<CodexEntryForm />} />
+                  <Route path="/codex/entry/:id" element={<CodexEntryView />} />
+                  <Route path="/codex/browse/:type" element={<CodexBrowse />} />
+                  <Route path="/codex/import" element={<CodexImport />} />
+                  <Route path="/heraldry" element={<HeraldryLanding />} />
+                  <Route path="/heraldry/create" element={<HeraldryCreator />} />
+                  <Route path="/heraldry/edit/:id" element={<HeraldryCreator />} />
+                  <Route path="/heraldry/charges" element={<ChargesLibrary />} />
+                  <Route path="/dignities" element={<DignitiesLanding />} />
+                  <Route path="/dignities/create" element={<DignityForm />} />
+                  <Route path="/dignities/edit/:id" element={<DignityForm />} />
+                  <Route path="/dignities/view/:id" element={<DignityView />} />
+                  <Route path="/dignities/analysis" element={<DignityAnalysis />} />
+                  <Route path="/dignities/crises" element={<DignityCrisisDashboard />} />
+                  <Route path="/dignities/hierarchy" element={<FeudalHierarchy />} />
+                  <Route path="/dignities/timeline" element={<DignityTimeline />} />
+                  <Route path="/locations" element={<LocationsLanding />} />
+                  <Route path="/locations/:id" element={<LocationView />} />
+                  <Route path="/bugs" element={<BugTracker />} />
+                  <Route path="/writing" element={<WritingStudio />} />
+                  <Route path="/writing/:id" element={<WritingEditor />} />
+                  {isFeatureEnabled('EXPERIMENTAL.RELATIONSHIP_GRAPH') && (
+                    <Route path="/network" element={<RelationshipGraph />} />
+                  )}
+                  </Routes>
+                </Suspense>
+                {/* Floating bug reporter button - visible on all pages */}
+                <BugReporterButton />
+              </ErrorBoundary>
+            </Router>
+            {/* Dataset Manager Modal */}
+            <DatasetManager
+              isOpen={datasetManagerOpen}
+              onClose={() => setDatasetManagerOpen(false)}
+            />
+          </DatasetManagerContext.Provider>
+        </BugTrackerProvider>
+      </GenealogyProvider>
+    </CalendarProvider>
   );
 }
 
@@ -424,7 +441,7 @@ function AppContent() {
  *   └─ ThemeProvider (theming)
  *        └─ ProtectedRoute (auth gate)
  *             └─ DatasetProvider (dataset management - needs user)
- *                  └─ AppContent (database init + GenealogyProvider)
+ *                  └─ AppContent (database init + CalendarProvider + GenealogyProvider)
  */
 function App() {
   return (
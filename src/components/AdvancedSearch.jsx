@@ -0,0 +1,421 @@
+/**
+ * AdvancedSearch.jsx - Multi-Field Query Builder
+ *
+ * PURPOSE:
+ * Search people, houses or dignities by any combination of fields, either
+ * by typing the compact syntax (house:Wilfrey alive:412 has:dignity) or by
+ * adding rows in the builder. The two stay in sync. Queries can be saved
+ * per dataset and reloaded.
+ *
+ * The component only finds records; what to do with them is up to the
+ * caller - the tree highlights them, the people list narrows to them.
+ *
+ * Props:
+ * - onResults: (records, entity) called whenever the results change;
+ *   records is null when the query is empty
+ * - onSelect: (record, entity) when a result is clicked (optional)
+ * - entities: Which entities to offer (defaults to all)
+ * - onClose: Close button handler (optional)
+ */
+
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import Icon from './icons';
+import { useGenealogy } from '../contexts/GenealogyContext';
+import { useCalendar } from '../contexts/CalendarContext';
+import { useDataset } from '../contexts/DatasetContext';
+import { useAuth } from '../contexts/AuthContext';
+import { getAllDignities, DIGNITY_CLASSES, DIGNITY_NATURES } from '../services/dignityService';
+import { getSavedSearches, saveSavedSearches } from '../services/datasetSettingsService';
+import { getYear } from '../utils/calendarUtils';
+import {
+  SEARCH_ENTITIES,
+  SEARCH_FIELDS,
+  getSearchField,
+  createEmptyQuery,
+  isQueryEmpty,
+  parseQuery,
+  formatQuery,
+  validateQuery,
+  runQuery
+} from '../utils/searchQuery';
+import './AdvancedSearch.css';
+
+const ENTITY_LABELS = {
+  people: { label: 'People', icon: 'users' },
+  houses: { label: 'Houses', icon: 'castle' },
+  dignities: { label: 'Dignities', icon: 'crown' }
+};
+
+/** Dignity choices come from the service's own definitions */
+const DYNAMIC_OPTIONS = {
+  'dignities.class': Object.keys(DIGNITY_CLASSES),
+  'dignities.nature': Object.keys(DIGNITY_NATURES)
+};
+
+const MAX_RESULTS_SHOWN = 50;
+
+function getFieldOptions(entity, field) {
+  return field.options || DYNAMIC_OPTIONS[`${entity}.${field.key}`] || null;
+}
+
+function getRecordLabel(record, entity) {
+  if (entity === 'people') return [record.firstName, record.lastName].filter(Boolean).join(' ') || 'Unnamed';
+  if (entity === 'houses') return record.houseName || 'Unnamed house';
+  return record.name || 'Untitled dignity';
+}
+
+function AdvancedSearch({ onResults, onSelect = null, entities = SEARCH_ENTITIES, onClose = null }) {
+  const { people, houses, relationships, relationshipTypes, dataVersion } = useGenealogy();
+  const { parseDateInput, formatDate } = useCalendar();
+  const { activeDataset } = useDataset();
+  const { user } = useAuth();
+  const datasetId = activeDataset?.id;
+
+  const [query, setQuery] = useState(() => createEmptyQuery(entities[0]));
+  const [queryText, setQueryText] = useState('');
+  const [parseErrors, setParseErrors] = useState([]);
+  const [dignities, setDignities] = useState([]);
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [saveName, setSaveName] = useState('');
+  const [saveError, setSaveError] = useState(null);
+
+  // Dignities aren't in the genealogy context, so load them here
+  useEffect(() => {
+    let cancelled = false;
+    getAllDignities(datasetId)
+      .then(all => { if (!cancelled) setDignities(all); })
+      .catch(error => console.error('❌ Error loading dignities for search:', error));
+    return () => { cancelled = true; };
+  }, [datasetId, dataVersion]);
+
+  useEffect(() => {
+    let cancelled = false;
+    getSavedSearches(datasetId)
+      .then(searches => { if (!cancelled) setSavedSearches(searches); })
+      .catch(error => console.error('❌ Error loading saved searches:', error));
+    return () => { cancelled = true; };
+  }, [datasetId]);
+
+  // Year values accept anything the dataset calendar can read
+  const parseYear = useCallback((text) => {
+    const parsed = parseDateInput(text);
+    return parsed.valid && parsed.value ? getYear(parsed.value) : null;
+  }, [parseDateInput]);
+
+  const errors = useMemo(
+    () => [...parseErrors, ...validateQuery(query, parseYear)],
+    [parseErrors, query, parseYear]
+  );
+
+  const results = useMemo(() => {
+    if (isQueryEmpty(query)) return null;
+    return runQuery(query, { people, houses, relationships, dignities, relationshipTypes }, { parseYear });
+  }, [query, people, houses, relationships, dignities, relationshipTypes, parseYear]);
+
+  // Report results without re-running when the caller passes a new callback
+  const onResultsRef = useRef(onResults);
+  useEffect(() => {
+    onResultsRef.current = onResults;
+  });
+  useEffect(() => {
+    onResultsRef.current?.(results, query.entity);
+  }, [results, query.entity]);
+
+  // ==================== QUERY EDITING ====================
+
+  const handleTextChange = (text) => {
+    setQueryText(text);
+    const parsed = parseQuery(text, query.entity);
+    setParseErrors(parsed.errors);
+    setQuery(parsed.query);
+  };
+
+  // Builder edits rewrite the text so the two views never disagree
+  const updateQuery = (nextQuery) => {
+    setQuery(nextQuery);
+    setQueryText(formatQuery(nextQuery));
+    setParseErrors([]);
+  };
+
+  const handleEntityChange = (entity) => {
+    if (entity === query.entity) return;
+    updateQuery(createEmptyQuery(entity));
+  };
+
+  const handleAddCondition = () => {
+    const field = SEARCH_FIELDS[query.entity][0];
+    updateQuery({ ...query, conditions: [...query.conditions, { field: field.key, value: '', negate: false }] });
+  };
+
+  const handleConditionChange = (index, changes) => {
+    const conditions = query.conditions.map((condition, i) => {
+      if (i !== index) return condition;
+      const next = { ...condition, ...changes };
+      // A new field starts blank - the old value rarely makes sense
+      if (changes.field && changes.field !== condition.field) next.value = '';
+      return next;
+    });
+    updateQuery({ ...query, conditions });
+  };
+
+  const handleRemoveCondition = (index) => {
+    updateQuery({ ...query, conditions: query.conditions.filter((_, i) => i !== index) });
+  };
+
+  const handleClear = () => {
+    updateQuery(createEmptyQuery(query.entity));
+  };
+
+  // ==================== SAVED SEARCHES ====================
+
+  const persistSearches = async (searches) => {
+    try {
+      const saved = await saveSavedSearches(searches, user?.uid || null, datasetId);
+      setSavedSearches(saved);
+      setSaveError(null);
+      return true;
+    } catch (error) {
+      console.error('❌ Error saving searches:', error);
+      setSaveError(error.message);
+      return false;
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const name = saveName.trim();
+    if (!name || isQueryEmpty(query)) return;
+
+    // Saving under an existing name replaces that search
+    const existing = savedSearches.find(search => search.name.toLowerCase() === name.toLowerCase());
+    const entry = { id: existing?.id || `search-${Date.now()}`, name, query };
+    const searches = existing
+      ? savedSearches.map(search => (search.id === existing.id ? entry : search))
+      : [...savedSearches, entry];
+
+    if (await persistSearches(searches)) setSaveName('');
+  };
+
+  const handleLoad = (search) => {
+    if (!entities.includes(search.query.entity)) return;
+    updateQuery({ ...createEmptyQuery(search.query.entity), ...search.query });
+  };
+
+  const handleDelete = (id) => {
+    persistSearches(savedSearches.filter(search => search.id !== id));
+  };
+
+  // ==================== RENDER ====================
+
+  const describeResult = (record) => {
+    if (query.entity === 'people') {
+      const house = houses.find(h => h.id === record.houseId);
+      const dates = [formatDate(record.dateOfBirth), formatDate(record.dateOfDeath)].filter(Boolean).join(' – ');
+      return [house?.houseName, dates].filter(Boolean).join(' · ');
+    }
+    if (query.entity === 'houses') return record.motto || record.houseType || '';
+    const holder = people.find(p => p.id === record.currentHolderId);
+    return holder ? `Held by ${getRecordLabel(holder, 'people')}` : 'Vacant';
+  };
+
+  const renderValueInput = (condition, index) => {
+    const field = getSearchField(query.entity, condition.field);
+    const options = field ? getFieldOptions(query.entity, field) : null;
+
+    if (options) {
+      return (
+        <select
+          className="advanced-search__input"
+          value={condition.value}
+          onChange={(e) => handleConditionChange(index, { value: e.target.value })}
+        >
+          <option value="">Choose…</option>
+          {options.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      );
+    }
+
+    return (
+      <input
+        type="text"
+        className="advanced-search__input"
+        value={condition.value}
+        onChange={(e) => handleConditionChange(index, { value: e.target.value })}
+        placeholder={field?.type === 'year' ? 'Year, or from..to' : 'Contains…'}
+      />
+    );
+  };
+
+  const savedForEntities = savedSearches.filter(search => entities.includes(search.query.entity));
+
+  return (
+    <div className="advanced-search">
+      <div className="advanced-search__header">
+        {entities.length > 1 && (
+          <div className="advanced-search__entities" role="tablist">
+            {entities.map(entity => (
+              <button
+                key={entity}
+                type="button"
+                role="tab"
+                aria-selected={query.entity === entity}
+                className={`advanced-search__entity ${query.entity === entity ? 'advanced-search__entity--active' : ''}`}
+                onClick={() => handleEntityChange(entity)}
+              >
+                <Icon name={ENTITY_LABELS[entity].icon} size={14} />
+                <span>{ENTITY_LABELS[entity].label}</span>
+              </button>
+            ))}
+          </div>
+        )}
+        {onClose && (
+          <button type="button" className="advanced-search__icon-btn" onClick={onClose} aria-label="Close advanced search">
+            <Icon name="x" size={16} />
+          </button>
+        )}
+      </div>
+
+      {/* Text syntax */}
+      <input
+        type="text"
+        className={`advanced-search__input advanced-search__syntax ${errors.length > 0 ? 'advanced-search__input--error' : ''}`}
+        value={queryText}
+        onChange={(e) => handleTextChange(e.target.value)}
+        placeholder={query.entity === 'people'
+          ? 'house:Wilfrey alive:412 legitimacy:bastard has:dignity'
+          : `e.g. ${SEARCH_FIELDS[query.entity].slice(0, 2).map(f => `${f.key}:…`).join(' ')}`}
+        aria-label="Search query"
+        spellCheck={false}
+      />
+      {errors.length > 0 && (
+        <ul className="advanced-search__errors">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+
+      {/* Builder rows */}
+      <div className="advanced-search__conditions">
+        {query.conditions.map((condition, index) => (
+          <div key={index} className="advanced-search__condition">
+            <button
+              type="button"
+              className={`advanced-search__negate ${condition.negate ? 'advanced-search__negate--on' : ''}`}
+              onClick={() => handleConditionChange(index, { negate: !condition.negate })}
+              title={condition.negate ? 'Excluding matches' : 'Including matches'}
+            >
+              {condition.negate ? 'not' : 'is'}
+            </button>
+            <select
+              className="advanced-search__input"
+              value={condition.field}
+              onChange={(e) => handleConditionChange(index, { field: e.target.value })}
+            >
+              {SEARCH_FIELDS[query.entity].map(field => (
+                <option key={field.key} value={field.key}>{field.label}</option>
+              ))}
+            </select>
+            {renderValueInput(condition, index)}
+            <button
+              type="button"
+              className="advanced-search__icon-btn"
+              onClick={() => handleRemoveCondition(index)}
+              aria-label="Remove condition"
+            >
+              <Icon name="trash" size={14} />
+            </button>
+          </div>
+        ))}
+        <div className="advanced-search__actions">
+          <button type="button" className="advanced-search__btn" onClick={handleAddCondition}>
+            <Icon name="plus" size={14} />
+            <span>Add condition</span>
+          </button>
+          {!isQueryEmpty(query) && (
+            <button type="button" className="advanced-search__btn" onClick={handleClear}>
+              <Icon name="x" size={14} />
+              <span>Clear</span>
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Saved searches */}
+      <div className="advanced-search__saved">
+        {savedForEntities.length > 0 && (
+          <div className="advanced-search__saved-list">
+            {savedForEntities.map(search => (
+              <span key={search.id} className="advanced-search__saved-item">
+                <button
+                  type="button"
+                  className="advanced-search__saved-load"
+                  onClick={() => handleLoad(search)}
+                  title={formatQuery(search.query)}
+                >
+                  <Icon name={ENTITY_LABELS[search.query.entity].icon} size={12} />
+                  {search.name}
+                </button>
+                <button
+                  type="button"
+                  className="advanced-search__saved-delete"
+                  onClick={() => handleDelete(search.id)}
+                  aria-label={`Delete saved search ${search.name}`}
+                >
+                  <Icon name="x" size={12} />
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+        {!isQueryEmpty(query) && (
+          <form className="advanced-search__save" onSubmit={handleSave}>
+            <input
+              type="text"
+              className="advanced-search__input"
+              value={saveName}
+              onChange={(e) => setSaveName(e.target.value)}
+              placeholder="Name this search…"
+              aria-label="Saved search name"
+            />
+            <button type="submit" className="advanced-search__btn" disabled={!saveName.trim()}>
+              <Icon name="save" size={14} />
+              <span>Save</span>
+            </button>
+          </form>
+        )}
+        {saveError && <p className="advanced-search__errors">{saveError}</p>}
+      </div>
+
+      {/* Results */}
+      {results && (
+        <div className="advanced-search__results">
+          <div className="advanced-search__count">
+            {results.length} {results.length === 1 ? 'match' : 'matches'}
+          </div>
+          <ul className="advanced-search__list">
+            {results.slice(0, MAX_RESULTS_SHOWN).map(record => (
+              <li key={record.id}>
+                <button
+                  type="button"
+                  className="advanced-search__result"
+                  onClick={() => onSelect?.(record, query.entity)}
+                  disabled={!onSelect}
+                >
+                  <Icon name={ENTITY_LABELS[query.entity].icon} size={14} />
+                  <span className="advanced-search__result-name">{getRecordLabel(record, query.entity)}</span>
+                  <span className="advanced-search__result-detail">{describeResult(record)}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+          {results.length > MAX_RESULTS_SHOWN && (
+            <div className="advanced-search__count">+{results.length - MAX_RESULTS_SHOWN} more</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AdvancedSearch;
@@ -15,8 +15,10 @@
 import { useRef, useEffect } from 'react';
 import * as d3 from 'd3';
 import { useTheme } from './ThemeContext';
+import { useCalendar } from '../contexts/CalendarContext';
 import { getAllThemeColors } from '../utils/themeColors';
 import { calculateBlockBasedLayout } from '../utils/familyBlockLayout';
+import { getSpouseIds, getSpouseKey } from '../utils/RelationshipCalculator';
 import Icon from './icons';
 import './BranchView.css';
 
@@ -82,6 +84,7 @@ function BranchPanel({
 }) {
   const svgRef = useRef(null);
   const zoomRef = useRef(null);
+  const { formatYear, calendar } = useCalendar();
 
   const rootPerson = fragment.rootPerson;
   const memberCount = fragment.memberCount || fragment.peopleIds?.size || 0;
@@ -134,10 +137,11 @@ function BranchPanel({
 
     // Add spouses
     fragment.peopleIds.forEach(id => {
-      const spouseId = spouseMap.get(id);
-      if (spouseId && peopleById.has(spouseId)) {
-        fragmentPeopleById.set(spouseId, peopleById.get(spouseId));
-      }
+      getSpouseIds(spouseMap, id).forEach(spouseId => {
+        if (peopleById.has(spouseId)) {
+          fragmentPeopleById.set(spouseId, peopleById.get(spouseId));
+        }
+      });
     });
 
     if (fragmentPeopleById.size === 0) {
@@ -179,14 +183,14 @@ function BranchPanel({
         branchSpacing: BRANCH_SPACING,
         anchorX: ANCHOR_X,
         startY: START_Y,
-        generationSpacing: GENERATION_SPACING
+        generationSpacing: GENERATION_SPACING,
+        calendar
       }
     );
 
     // Position map stores {x, y, width, height} like the main tree
     const positionMap = new Map();
-    const marriageCenters = new Map();
-    const processedSpouses = new Set();
+    const marriageCenters = new Map(); // getSpouseKey(a, b) -> {x, y}
     const marriageLinesToDraw = [];
     const drawnPeople = new Set();
 
@@ -262,8 +266,8 @@ function BranchPanel({
         .text(displayName);
 
       // Dates text (lighter color + shadow for better visibility)
-      const birthYear = person.dateOfBirth ? person.dateOfBirth.split('-')[0] : '?';
-      const deathYear = person.dateOfDeath ? person.dateOfDeath.split('-')[0] : '';
+      const birthYear = person.dateOfBirth ? formatYear(person.dateOfBirth) : '?';
+      const deathYear = person.dateOfDeath ? formatYear(person.dateOfDeath) : '';
       const datesText = deathYear ? `${birthYear} - ${deathYear}` : `b. ${birthYear}`;
       cardGroup.append('text')
         .attr('class', 'person-dates')
@@ -282,57 +286,57 @@ function BranchPanel({
         // Draw this person
         drawPersonCard(personId);
 
-        // Also draw their spouse if they have one
-        const spouseId = spouseMap.get(personId);
-        if (spouseId && fragmentPeopleById.has(spouseId)) {
-          drawPersonCard(spouseId);
-        }
+        // Also draw their spouses, if any
+        getSpouseIds(spouseMap, personId)
+          .filter(spouseId => fragmentPeopleById.has(spouseId))
+          .forEach(spouseId => drawPersonCard(spouseId));
       });
     });
 
-    // Second pass: Calculate marriage centers and collect marriage lines
+    // Second pass: Calculate marriage centers and collect marriage lines.
+    // The first marriage joins the cards side by side; later marriages run
+    // under the cards between so each union keeps its own centre
     generations.forEach((genIds) => {
       genIds.forEach(personId => {
-        if (processedSpouses.has(personId)) return;
-
-        const spouseId = spouseMap.get(personId);
-        if (!spouseId || !fragmentPeopleById.has(spouseId)) return;
-
-        const pos1 = positionMap.get(personId);
-        const pos2 = positionMap.get(spouseId);
-        if (!pos1 || !pos2) return;
-
-        // Mark both as processed
-        processedSpouses.add(personId);
-        processedSpouses.add(spouseId);
-
-        // Determine left/right spouse by x position
-        const [leftPos, rightPos] = pos1.x < pos2.x ? [pos1, pos2] : [pos2, pos1];
-
-        // Marriage line coordinates
-        const x1 = leftPos.x + leftPos.width;
-        const y1 = leftPos.y + leftPos.height / 2;
-        const x2 = rightPos.x;
-        const y2 = rightPos.y + rightPos.height / 2;
-
-        // Marriage center
-        const marriageCenter = { x: (x1 + x2) / 2, y: (y1 + y2) / 2 };
-        marriageCenters.set(personId, marriageCenter);
-        marriageCenters.set(spouseId, marriageCenter);
-
-        // Store marriage line to draw
-        marriageLinesToDraw.push({ x1, y1, x2, y2 });
+        getSpouseIds(spouseMap, personId).forEach((spouseId, unionIndex) => {
+          const key = getSpouseKey(personId, spouseId);
+          if (marriageCenters.has(key) || !fragmentPeopleById.has(spouseId)) return;
+
+          const pos1 = positionMap.get(personId);
+          const pos2 = positionMap.get(spouseId);
+          if (!pos1 || !pos2) return;
+
+          if (unionIndex === 0) {
+            // Determine left/right spouse by x position
+            const [leftPos, rightPos] = pos1.x < pos2.x ? [pos1, pos2] : [pos2, pos1];
+            const x1 = leftPos.x + leftPos.width;
+            const y1 = leftPos.y + leftPos.height / 2;
+            const x2 = rightPos.x;
+            const y2 = rightPos.y + rightPos.height / 2;
+
+            marriageCenters.set(key, { x: (x1 + x2) / 2, y: (y1 + y2) / 2 });
+            marriageLinesToDraw.push({ d: `M ${x1} ${y1} L ${x2} ${y2}` });
+            return;
+          }
+
+          const x1 = pos1.x + pos1.width - 12 - (unionIndex - 1) * 8;
+          const x2 = pos2.x + pos2.width / 2;
+          const dropY = pos1.y + pos1.height + 6 * unionIndex;
+
+          marriageCenters.set(key, { x: (x1 + x2) / 2, y: dropY });
+          marriageLinesToDraw.push({
+            d: `M ${x1} ${pos1.y + pos1.height} V ${dropY} H ${x2} V ${pos2.y + pos2.height}`
+          });
+        });
       });
     });
 
     // Draw marriage lines
     marriageLinesToDraw.forEach(line => {
-      g.append('line')
+      g.append('path')
         .attr('class', 'marriage-line')
-        .attr('x1', line.x1)
-        .attr('y1', line.y1)
-        .attr('x2', line.x2)
-        .attr('y2', line.y2)
+        .attr('d', line.d)
+        .attr('fill', 'none')
         .attr('stroke', marriageColor)
         .attr('stroke-width', 2.5)
         .attr('opacity', 0.8);
@@ -359,8 +363,11 @@ function BranchPanel({
         const parentPos = positionMap.get(parentId);
         if (!parentPos) return;
 
-        // Use marriage center if available, otherwise parent center
-        const marriageCenter = marriageCenters.get(parentId);
+        // Use the parents' own union center if they married, otherwise parent center
+        const otherParentId = parentIds.find(pid => pid !== parentId);
+        const marriageCenter = otherParentId
+          ? marriageCenters.get(getSpouseKey(parentId, otherParentId))
+          : null;
 
         // For married couples, line starts from marriage center (middle of card)
         // For single parents, line starts from bottom of card
@@ -449,7 +456,7 @@ function BranchPanel({
 
     svg.call(zoom.transform, d3.zoomIdentity.translate(translateX, translateY).scale(scale * 0.9));
 
-  }, [fragment, peopleById, parentMap, childrenMap, spouseMap, themeColors, isDarkTheme, housesById, detectGenerations, rootPerson]);
+  }, [fragment, peopleById, parentMap, childrenMap, spouseMap, themeColors, isDarkTheme, housesById, detectGenerations, rootPerson, formatYear, calendar]);
 
   const handleZoomIn = () => {
     if (zoomRef.current && svgRef.current) {
@@ -477,7 +484,7 @@ function BranchPanel({
             {rootPerson ? `${rootPerson.firstName} ${rootPerson.lastName}` : `Branch ${fragmentIndex + 1}`}
           </h3>
           <p className="branch-panel__subtitle">
-            {rootPerson?.dateOfBirth ? `Founded ${rootPerson.dateOfBirth.split('-')[0]}` : ''}
+            {rootPerson?.dateOfBirth ? `Founded ${formatYear(rootPerson.dateOfBirth)}` : ''}
           </p>
         </div>
         <div className="branch-panel__badge">
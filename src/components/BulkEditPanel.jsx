@@ -0,0 +1,239 @@
+/**
+ * BulkEditPanel.jsx - Bulk Edit Dialog
+ *
+ * PURPOSE:
+ * Applies one edit to every selected person - move them to a house, set
+ * their species, add an epithet, change their marriages - after showing
+ * exactly which records will change and how.
+ *
+ * The edit goes through GenealogyContext.bulkUpdate(): one transaction,
+ * one sync batch, and one step on the undo history.
+ * See utils/bulkEdit.js for the operations.
+ *
+ * Props:
+ * - isOpen: Whether the dialog is shown
+ * - onClose: Close handler
+ * - selectedIds: Array of person IDs to edit
+ * - onApplied: Called with the number of records changed (optional)
+ */
+
+import { useState, useMemo } from 'react';
+import Modal from './Modal';
+import Icon from './icons';
+import { useGenealogy } from '../contexts/GenealogyContext';
+import {
+  BULK_OPERATIONS,
+  getBulkOperation,
+  validateBulkValue,
+  planBulkEdit,
+  describeBulkEdit
+} from '../utils/bulkEdit';
+import './BulkEditPanel.css';
+
+const MAX_PREVIEW_ROWS = 100;
+
+const OPERATION_GROUPS = [
+  { entity: 'person', label: 'People' },
+  { entity: 'relationship', label: 'Relationships' }
+];
+
+function BulkEditPanel({ isOpen, onClose, selectedIds, onApplied = null }) {
+  const { people, houses, relationships, bulkUpdate } = useGenealogy();
+
+  // ==================== STATE ====================
+  const [operationId, setOperationId] = useState(BULK_OPERATIONS[0].id);
+  const [value, setValue] = useState('');
+  const [applying, setApplying] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const operation = getBulkOperation(operationId);
+  const sortedHouses = useMemo(
+    () => [...houses].sort((a, b) => (a.houseName || '').localeCompare(b.houseName || '')),
+    [houses]
+  );
+
+  const valueError = validateBulkValue(operationId, value, { houses });
+  const plan = useMemo(() => {
+    if (valueError) return null;
+    return planBulkEdit(operationId, value, selectedIds, { people, houses, relationships });
+  }, [valueError, operationId, value, selectedIds, people, houses, relationships]);
+
+  const handleOperationChange = (id) => {
+    setOperationId(id);
+    setValue('');
+    setResult(null);
+  };
+
+  const handleApply = async () => {
+    if (!plan || plan.changes.length === 0) return;
+    setApplying(true);
+    setError(null);
+    try {
+      const label = describeBulkEdit(operationId, value, plan.changes.length, houses);
+      const count = await bulkUpdate(plan.changes, label);
+      setResult(`Updated ${count} ${count === 1 ? 'record' : 'records'}. Undo reverts the whole edit.`);
+      setValue('');
+      onApplied?.(count);
+    } catch (err) {
+      console.error('❌ Error applying bulk edit:', err);
+      setError(err.message || 'Bulk edit failed.');
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  // ==================== RENDER ====================
+
+  const renderValueInput = () => {
+    if (operation.input === 'house') {
+      return (
+        <select
+          id="bulk-edit-value"
+          className="modal__form-select"
+          value={value}
+          onChange={(e) => { setValue(e.target.value ? Number(e.target.value) : ''); setResult(null); }}
+        >
+          <option value="">Choose a house…</option>
+          {sortedHouses.map(house => (
+            <option key={house.id} value={house.id}>{house.houseName}</option>
+          ))}
+        </select>
+      );
+    }
+
+    if (operation.input === 'choice') {
+      return (
+        <select
+          id="bulk-edit-value"
+          className="modal__form-select"
+          value={value}
+          onChange={(e) => { setValue(e.target.value); setResult(null); }}
+        >
+          <option value="">Choose…</option>
+          {operation.options.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      );
+    }
+
+    return (
+      <input
+        id="bulk-edit-value"
+        type="text"
+        className="modal__form-input"
+        value={value}
+        onChange={(e) => { setValue(e.target.value); setResult(null); }}
+        placeholder={operation.id.startsWith('set-') ? 'Leave empty to clear' : ''}
+      />
+    );
+  };
+
+  const count = selectedIds.length;
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Bulk Edit"
+      icon="layers"
+      size="lg"
+    >
+      <div className="bulk-edit">
+        <p className="modal__description">
+          {count} {count === 1 ? 'person' : 'people'} selected
+        </p>
+
+        <div className="modal__form-row">
+          <div className="modal__form-group">
+            <label className="modal__form-label" htmlFor="bulk-edit-operation">Change</label>
+            <select
+              id="bulk-edit-operation"
+              className="modal__form-select"
+              value={operationId}
+              onChange={(e) => handleOperationChange(e.target.value)}
+            >
+              {OPERATION_GROUPS.map(group => (
+                <optgroup key={group.entity} label={group.label}>
+                  {BULK_OPERATIONS.filter(op => op.entity === group.entity).map(op => (
+                    <option key={op.id} value={op.id}>{op.label}</option>
+                  ))}
+                </optgroup>
+              ))}
+            </select>
+          </div>
+
+          <div className="modal__form-group">
+            <label className="modal__form-label" htmlFor="bulk-edit-value">To</label>
+            {renderValueInput()}
+          </div>
+        </div>
+
+        {/* Preview */}
+        {plan && (
+          <div className="bulk-edit__preview">
+            <div className="bulk-edit__summary">
+              {plan.changes.length === 0
+                ? 'Nothing to change.'
+                : `${plan.changes.length} ${plan.changes.length === 1 ? 'change' : 'changes'}`}
+              {plan.unchanged > 0 && ` · ${plan.unchanged} already set`}
+            </div>
+            {plan.changes.length > 0 && (
+              <table className="bulk-edit__table">
+                <tbody>
+                  {plan.changes.slice(0, MAX_PREVIEW_ROWS).map(change => (
+                    <tr key={`${change.entityType}-${change.entityId}`}>
+                      <td className="bulk-edit__name">{change.label}</td>
+                      <td className="bulk-edit__before">{change.before}</td>
+                      <td className="bulk-edit__arrow"><Icon name="arrow-right" size={12} /></td>
+                      <td className="bulk-edit__after">{change.after}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {plan.changes.length > MAX_PREVIEW_ROWS && (
+              <div className="bulk-edit__summary">+{plan.changes.length - MAX_PREVIEW_ROWS} more</div>
+            )}
+          </div>
+        )}
+
+        {error && (
+          <div className="modal__alert modal__alert--error">
+            <Icon name="alert-circle" size={16} className="modal__alert-icon" />
+            <div className="modal__alert-content">
+              <p className="modal__alert-text">{error}</p>
+            </div>
+          </div>
+        )}
+
+        {result && (
+          <div className="modal__alert modal__alert--success">
+            <Icon name="check" size={16} className="modal__alert-icon" />
+            <div className="modal__alert-content">
+              <p className="modal__alert-text">{result}</p>
+            </div>
+          </div>
+        )}
+
+        <div className="bulk-edit__actions">
+          <button type="button" className="bulk-edit__btn bulk-edit__btn--secondary" onClick={onClose}>
+            Close
+          </button>
+          <button
+            type="button"
+            className="bulk-edit__btn bulk-edit__btn--primary"
+            onClick={handleApply}
+            disabled={applying || !plan || plan.changes.length === 0}
+          >
+            <Icon name={applying ? 'loader' : 'check'} size={16} />
+            <span>{applying ? 'Applying...' : 'Apply'}</span>
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+export default BulkEditPanel;
@@ -0,0 +1,505 @@
+/**
+ * CalendarSettings.jsx - In-World Calendar Editor
+ *
+ * PURPOSE:
+ * Lets the user define the calendar their world uses: its months (any
+ * number, any length), its eras ("412 AE"), named periods that dates can
+ * refer to ("during the Long Winter") and the epoch offset between
+ * stored years and the years shown on screen. Every date in the app is
+ * parsed and displayed through this definition (see CalendarContext).
+ *
+ * It also sets the dataset's "story present" - the in-world date that ages,
+ * majority, succession eligibility and living/deceased checks use. An open
+ * Writing project can override it with its own present.
+ *
+ * NOTES:
+ * - Stored dates are never rewritten. Renaming months or shifting the
+ *   offset only changes how dates read; removing months or shortening
+ *   them can leave existing dates out of range, which Data Health reports.
+ * - The definition is validated with validateCalendar before saving.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import Icon from './icons/Icon';
+import ActionButton from './shared/ActionButton';
+import { useCalendar } from '../contexts/CalendarContext';
+import {
+  DEFAULT_CALENDAR,
+  validateCalendar,
+  normalizeCalendar,
+  formatDate,
+  toCanonicalDate
+} from '../utils/calendarUtils';
+import './CalendarSettings.css';
+
+const EMPTY_MONTH = { name: '', shortName: '', days: 30 };
+const EMPTY_ERA = { name: '', abbreviation: '', startYear: '', countsBackward: false };
+const EMPTY_PERIOD = { name: '', startYear: '', endYear: '' };
+
+/**
+ * Turn a saved calendar into editable form state (numbers become strings
+ * so inputs can be cleared while typing)
+ */
+function toDraft(calendar) {
+  return {
+    name: calendar.name,
+    epochOffset: String(calendar.epochOffset ?? 0),
+    months: calendar.months.map(m => ({ ...m, days: String(m.days) })),
+    eras: calendar.eras.map(e => ({
+      ...e,
+      startYear: e.startYear === null ? '' : String(e.startYear),
+      countsBackward: !!e.countsBackward
+    })),
+    periods: (calendar.periods || []).map(p => ({
+      ...p,
+      startYear: p.startYear === null ? '' : String(p.startYear),
+      endYear: p.endYear === null ? '' : String(p.endYear)
+    }))
+  };
+}
+
+/**
+ * CalendarSettings Component
+ */
+function CalendarSettings() {
+  const {
+    calendar,
+    updateCalendar,
+    loading,
+    datasetPresentDate,
+    updatePresentDate,
+    formatDate: formatCalendarDate,
+    formatDateForInput,
+    parseDateInput,
+    getDateInputHint
+  } = useCalendar();
+
+  const [draft, setDraft] = useState(() => toDraft(calendar));
+  const [saving, setSaving] = useState(false);
+  const [saveMessage, setSaveMessage] = useState(null);
+  const [presentInput, setPresentInput] = useState('');
+  const [presentError, setPresentError] = useState(null);
+  const [savingPresent, setSavingPresent] = useState(false);
+
+  // Refresh the form when the stored calendar changes (e.g. dataset switch)
+  useEffect(() => {
+    setDraft(toDraft(calendar));
+  }, [calendar]);
+
+  useEffect(() => {
+    setPresentInput(formatDateForInput(datasetPresentDate));
+    setPresentError(null);
+  }, [datasetPresentDate, formatDateForInput]);
+
+  const validation = useMemo(() => validateCalendar(draft), [draft]);
+
+  // Sample date shown with the draft so changes can be checked before saving
+  const preview = useMemo(() => {
+    if (!validation.valid) return null;
+    const normalized = normalizeCalendar(draft);
+    const lastMonth = normalized.months.length;
+    const sample = toCanonicalDate({ year: 1245, month: lastMonth, day: 1 });
+    return {
+      long: formatDate(sample, normalized),
+      short: formatDate(sample, normalized, { style: 'short' }),
+      year: formatDate('1245', normalized)
+    };
+  }, [draft, validation.valid]);
+
+  // ==================== FIELD HANDLERS ====================
+
+  const updateField = (field, value) => {
+    setDraft(prev => ({ ...prev, [field]: value }));
+    setSaveMessage(null);
+  };
+
+  const updateListItem = (list, index, field, value) => {
+    setDraft(prev => ({
+      ...prev,
+      [list]: prev[list].map((item, i) => (i === index ? { ...item, [field]: value } : item))
+    }));
+    setSaveMessage(null);
+  };
+
+  const addListItem = (list, template) => {
+    setDraft(prev => ({ ...prev, [list]: [...prev[list], { ...template }] }));
+  };
+
+  const removeListItem = (list, index) => {
+    setDraft(prev => ({ ...prev, [list]: prev[list].filter((_, i) => i !== index) }));
+  };
+
+  const moveMonth = (index, direction) => {
+    setDraft(prev => {
+      const target = index + direction;
+      if (target < 0 || target >= prev.months.length) return prev;
+      const months = [...prev.months];
+      [months[index], months[target]] = [months[target], months[index]];
+      return { ...prev, months };
+    });
+  };
+
+  // ==================== ACTIONS ====================
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await updateCalendar(draft);
+      setSaveMessage('Calendar saved');
+    } catch (error) {
+      console.error('❌ Error saving calendar:', error);
+      setSaveMessage(`Error: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSavePresent = async (clear = false) => {
+    const parsed = clear ? { valid: true, value: '' } : parseDateInput(presentInput);
+    if (!parsed.valid) {
+      setPresentError(parsed.error);
+      return;
+    }
+    try {
+      setSavingPresent(true);
+      setPresentError(null);
+      await updatePresentDate(parsed.value || null);
+    } catch (error) {
+      console.error('❌ Error saving story present:', error);
+      setPresentError(error.message);
+    } finally {
+      setSavingPresent(false);
+    }
+  };
+
+  const handleResetToGregorian = () => {
+    if (!window.confirm('Replace this calendar with the standard Gregorian calendar? Stored dates are not changed.')) {
+      return;
+    }
+    setDraft(toDraft(DEFAULT_CALENDAR));
+    setSaveMessage(null);
+  };
+
+  if (loading) {
+    return <div className="calendar-settings__loading">Loading calendar…</div>;
+  }
+
+  return (
+    <div className="calendar-settings">
+      {/* General */}
+      <section className="calendar-settings__section">
+        <h3 className="calendar-settings__section-title">
+          <Icon name="calendar" size={16} />
+          <span>Calendar</span>
+        </h3>
+
+        <div className="calendar-settings__row">
+          <div className="calendar-settings__group">
+            <label htmlFor="calendarName" className="calendar-settings__label">Name</label>
+            <input
+              id="calendarName"
+              type="text"
+              value={draft.name}
+              onChange={(e) => updateField('name', e.target.value)}
+              className="calendar-settings__input"
+              placeholder="e.g. Reckoning of the Eclipse"
+            />
+          </div>
+          <div className="calendar-settings__group">
+            <label htmlFor="epochOffset" className="calendar-settings__label">Epoch Offset</label>
+            <input
+              id="epochOffset"
+              type="number"
+              value={draft.epochOffset}
+              onChange={(e) => updateField('epochOffset', e.target.value)}
+              className="calendar-settings__input"
+            />
+            <span className="calendar-settings__hint">
+              Added to stored years before display (stored 1245 + offset -833 shows as 412)
+            </span>
+          </div>
+        </div>
+      </section>
+
+      {/* Story present */}
+      <section className="calendar-settings__section">
+        <h3 className="calendar-settings__section-title">
+          <Icon name="clock" size={16} />
+          <span>Story Present</span>
+          <span className="calendar-settings__badge">
+            {datasetPresentDate ? formatCalendarDate(datasetPresentDate) : 'Not set'}
+          </span>
+        </h3>
+        <p className="calendar-settings__hint">
+          The in-world &ldquo;now&rdquo; used for ages, majority, succession and who is still
+          alive. Without it, anyone with a death date counts as deceased and ages use
+          today&apos;s date. A Writing project can set its own present while it is open.
+        </p>
+
+        <div className="calendar-settings__item calendar-settings__item--stretch">
+          <input
+            type="text"
+            value={presentInput}
+            onChange={(e) => { setPresentInput(e.target.value); setPresentError(null); }}
+            className="calendar-settings__input"
+            placeholder={getDateInputHint()}
+            aria-label="Story present date"
+          />
+          <ActionButton
+            icon="save"
+            size="sm"
+            onClick={() => handleSavePresent()}
+            loading={savingPresent}
+            disabled={savingPresent || !presentInput.trim()}
+          >
+            Set
+          </ActionButton>
+          <ActionButton
+            variant="ghost"
+            size="sm"
+            onClick={() => handleSavePresent(true)}
+            disabled={savingPresent || !datasetPresentDate}
+          >
+            Clear
+          </ActionButton>
+        </div>
+
+        {presentError && (
+          <p className="calendar-settings__error">
+            <Icon name="alert-circle" size={14} />
+            <span>{presentError}</span>
+          </p>
+        )}
+      </section>
+
+      {/* Months */}
+      <section className="calendar-settings__section">
+        <h3 className="calendar-settings__section-title">
+          <Icon name="list" size={16} />
+          <span>Months</span>
+          <span className="calendar-settings__badge">
+            {draft.months.reduce((sum, m) => sum + (parseInt(m.days) || 0), 0)} days per year
+          </span>
+        </h3>
+
+        <div className="calendar-settings__list">
+          {draft.months.map((month, index) => (
+            <div key={index} className="calendar-settings__item">
+              <span className="calendar-settings__item-number">{index + 1}</span>
+              <input
+                type="text"
+                value={month.name}
+                onChange={(e) => updateListItem('months', index, 'name', e.target.value)}
+                className="calendar-settings__input"
+                placeholder="Month name"
+                aria-label={`Month ${index + 1} name`}
+              />
+              <input
+                type="text"
+                value={month.shortName}
+                onChange={(e) => updateListItem('months', index, 'shortName', e.target.value)}
+                className="calendar-settings__input calendar-settings__input--short"
+                placeholder="Short"
+                aria-label={`Month ${index + 1} short name`}
+              />
+              <input
+                type="number"
+                min="1"
+                max="99"
+                value={month.days}
+                onChange={(e) => updateListItem('months', index, 'days', e.target.value)}
+                className="calendar-settings__input calendar-settings__input--number"
+                aria-label={`Month ${index + 1} days`}
+              />
+              <div className="calendar-settings__item-actions">
+                <button type="button" onClick={() => moveMonth(index, -1)} disabled={index === 0} title="Move up">
+                  <Icon name="chevron-up" size={14} />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => moveMonth(index, 1)}
+                  disabled={index === draft.months.length - 1}
+                  title="Move down"
+                >
+                  <Icon name="chevron-down" size={14} />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => removeListItem('months', index)}
+                  disabled={draft.months.length === 1}
+                  title="Remove month"
+                >
+                  <Icon name="trash" size={14} />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <ActionButton icon="plus" size="sm" onClick={() => addListItem('months', EMPTY_MONTH)}>
+          Add Month
+        </ActionButton>
+      </section>
+
+      {/* Eras */}
+      <section className="calendar-settings__section">
+        <h3 className="calendar-settings__section-title">
+          <Icon name="scroll" size={16} />
+          <span>Eras</span>
+        </h3>
+        <p className="calendar-settings__hint">
+          Start years are displayed years (after the offset). Leave one era&apos;s start blank to
+          cover everything before the first dated era; tick &ldquo;counts backward&rdquo; for eras
+          numbered down towards the next one (like BC).
+        </p>
+
+        {draft.eras.length > 0 && (
+          <div className="calendar-settings__list">
+            {draft.eras.map((era, index) => (
+              <div key={index} className="calendar-settings__item">
+                <input
+                  type="text"
+                  value={era.name}
+                  onChange={(e) => updateListItem('eras', index, 'name', e.target.value)}
+                  className="calendar-settings__input"
+                  placeholder="Era name"
+                  aria-label={`Era ${index + 1} name`}
+                />
+                <input
+                  type="text"
+                  value={era.abbreviation}
+                  onChange={(e) => updateListItem('eras', index, 'abbreviation', e.target.value)}
+                  className="calendar-settings__input calendar-settings__input--short"
+                  placeholder="AE"
+                  aria-label={`Era ${index + 1} abbreviation`}
+                />
+                <input
+                  type="number"
+                  value={era.startYear}
+                  onChange={(e) => updateListItem('eras', index, 'startYear', e.target.value)}
+                  className="calendar-settings__input calendar-settings__input--number"
+                  placeholder="Start"
+                  aria-label={`Era ${index + 1} start year`}
+                />
+                <label className="calendar-settings__checkbox">
+                  <input
+                    type="checkbox"
+                    checked={era.countsBackward}
+                    onChange={(e) => updateListItem('eras', index, 'countsBackward', e.target.checked)}
+                  />
+                  <span>Counts backward</span>
+                </label>
+                <div className="calendar-settings__item-actions">
+                  <button type="button" onClick={() => removeListItem('eras', index)} title="Remove era">
+                    <Icon name="trash" size={14} />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <ActionButton icon="plus" size="sm" onClick={() => addListItem('eras', EMPTY_ERA)}>
+          Add Era
+        </ActionButton>
+      </section>
+
+      {/* Named periods */}
+      <section className="calendar-settings__section">
+        <h3 className="calendar-settings__section-title">
+          <Icon name="clock" size={16} />
+          <span>Named Periods</span>
+        </h3>
+        <p className="calendar-settings__hint">
+          Spans of history that dates can refer to when the exact year is unknown, such as
+          &ldquo;during the Long Winter&rdquo;. Years are displayed years; leave one end blank if
+          the period is open-ended. Eras can be referred to the same way.
+        </p>
+
+        {draft.periods.length > 0 && (
+          <div className="calendar-settings__list">
+            {draft.periods.map((period, index) => (
+              <div key={index} className="calendar-settings__item">
+                <input
+                  type="text"
+                  value={period.name}
+                  onChange={(e) => updateListItem('periods', index, 'name', e.target.value)}
+                  className="calendar-settings__input"
+                  placeholder="Period name"
+                  aria-label={`Period ${index + 1} name`}
+                />
+                <input
+                  type="number"
+                  value={period.startYear}
+                  onChange={(e) => updateListItem('periods', index, 'startYear', e.target.value)}
+                  className="calendar-settings__input calendar-settings__input--number"
+                  placeholder="Start"
+                  aria-label={`Period ${index + 1} start year`}
+                />
+                <input
+                  type="number"
+                  value={period.endYear}
+                  onChange={(e) => updateListItem('periods', index, 'endYear', e.target.value)}
+                  className="calendar-settings__input calendar-settings__input--number"
+                  placeholder="End"
+                  aria-label={`Period ${index + 1} end year`}
+                />
+                <div className="calendar-settings__item-actions">
+                  <button type="button" onClick={() => removeListItem('periods', index)} title="Remove period">
+                    <Icon name="trash" size={14} />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <ActionButton icon="plus" size="sm" onClick={() => addListItem('periods', EMPTY_PERIOD)}>
+          Add Period
+        </ActionButton>
+      </section>
+
+      {/* Preview & validation */}
+      <section className="calendar-settings__section">
+        {validation.valid ? (
+          preview && (
+            <div className="calendar-settings__preview">
+              <Icon name="eye" size={16} />
+              <span>Stored 1245 reads as <strong>{preview.year}</strong>; a full date reads as <strong>{preview.long}</strong> ({preview.short})</span>
+            </div>
+          )
+        ) : (
+          <ul className="calendar-settings__errors">
+            {validation.errors.map(error => (
+              <li key={error} className="calendar-settings__error">
+                <Icon name="alert-circle" size={14} />
+                <span>{error}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="calendar-settings__actions">
+          <ActionButton variant="ghost" onClick={handleResetToGregorian}>
+            Reset to Gregorian
+          </ActionButton>
+          <ActionButton
+            icon="save"
+            variant="primary"
+            onClick={handleSave}
+            loading={saving}
+            disabled={!validation.valid || saving}
+          >
+            Save Calendar
+          </ActionButton>
+        </div>
+
+        {saveMessage && (
+          <p className="calendar-settings__message">{saveMessage}</p>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default CalendarSettings;
@@ -10,24 +10,34 @@
  * - Quick navigation to problem records
  * - DELETE functionality for orphaned/invalid data
  * - NAMED AFTER quick-action for namesake resolution
+ * - MERGE for confirmed duplicates, with a history of merges that can be reversed
  * - Bulk cleanup operations
  * - Summary statistics
  * - Suggestions for improvement
  */
 
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect } from 'react';
 import { useGenealogy } from '../contexts/GenealogyContext';
+import { useCalendar } from '../contexts/CalendarContext';
+import { useDataset } from '../contexts/DatasetContext';
+import { getPersonMerges } from '../services/database';
+import PersonMergePanel from './PersonMergePanel';
 import { runHealthCheck } from '../utils/SmartDataValidator';
+import { getYear } from '../utils/calendarUtils';
 
 function DataHealthDashboard({ isDarkTheme = true, onNavigateToPerson, onNavigateToRelationship }) {
   const { 
     people, 
     relationships, 
+    relationshipTypes,
     houses,
     deletePerson,
     deleteRelationship,
-    addRelationship
+    addRelationship,
+    reversePersonMerge
   } = useGenealogy();
+  const { calendar } = useCalendar();
+  const { activeDataset } = useDataset();
   
   const [report, setReport] = useState(null);
   const [isScanning, setIsScanning] = useState(false);
@@ -35,6 +45,8 @@ function DataHealthDashboard({ isDarkTheme = true, onNavigateToPerson, onNavigat
   const [isDeleting, setIsDeleting] = useState(false);
   const [deleteConfirm, setDeleteConfirm] = useState(null); // { type, id, name }
   const [namedAfterConfirm, setNamedAfterConfirm] = useState(null); // { person1Id, person2Id, names }
+  const [mergePair, setMergePair] = useState(null); // { person1Id, person2Id }
+  const [merges, setMerges] = useState([]);
   
   // Theme
   const theme = isDarkTheme ? {
@@ -75,11 +87,45 @@ function DataHealthDashboard({ isDarkTheme = true, onNavigateToPerson, onNavigat
     
     // Use setTimeout to allow UI to update before heavy computation
     setTimeout(() => {
-      const healthReport = runHealthCheck({ people, relationships, houses });
+      const healthReport = runHealthCheck({ people, relationships, houses }, { calendar, relationshipTypes });
       setReport(healthReport);
       setIsScanning(false);
     }, 100);
-  }, [people, relationships, houses]);
+  }, [people, relationships, houses, calendar, relationshipTypes]);
+
+  /**
+   * Load the merge history
+   */
+  const loadMerges = useCallback(() => {
+    getPersonMerges(activeDataset?.id).then(setMerges);
+  }, [activeDataset]);
+
+  useEffect(() => {
+    loadMerges();
+  }, [loadMerges]);
+
+  /**
+   * After a merge: refresh the history and rescan
+   */
+  const handleMerged = () => {
+    loadMerges();
+    if (report) handleRunScan();
+  };
+
+  /**
+   * Reverse a merge, restoring the duplicate
+   */
+  const handleReverseMerge = async (merge) => {
+    if (!window.confirm(`Reverse "${merge.label}"? The merged person and their links will be restored.`)) {
+      return;
+    }
+    try {
+      await reversePersonMerge(merge.id);
+      handleMerged();
+    } catch (error) {
+      alert('Error reversing merge: ' + error.message);
+    }
+  };
 
   /**
    * Delete a single person
@@ -141,8 +187,8 @@ function DataHealthDashboard({ isDarkTheme = true, onNavigateToPerson, onNavigat
     let namedPersonId, honoredPersonId, namedName, honoredName;
     
     // The newer person (later birth year) is the one "named after" the older
-    const year1 = person1?.dateOfBirth ? parseInt(person1.dateOfBirth.split('-')[0]) : null;
-    const year2 = person2?.dateOfBirth ? parseInt(person2.dateOfBirth.split('-')[0]) : null;
+    const year1 = getYear(person1?.dateOfBirth);
+    const year2 = getYear(person2?.dateOfBirth);
     
     if (year1 && year2) {
       if (year1 > year2) {
@@ -846,6 +892,27 @@ function DataHealthDashboard({ isDarkTheme = true, onNavigateToPerson, onNavigat
                     {isConfirmingNamedAfter ? '✓ Confirm' : '👤 Named After'}
                   </button>
                 ))}
+
+                {/* Merge button for confirmed duplicates */}
+                {canNameAfter && issue.details?.duplicates?.map(dup => (
+                  <button
+                    key={`merge-${dup.id}`}
+                    onClick={() => {
+                      setDeleteConfirm(null);
+                      setNamedAfterConfirm(null);
+                      setMergePair({ person1Id: dup.id, person2Id: issue.personId });
+                    }}
+                    className="px-2 py-1 rounded text-xs font-medium transition-all hover:opacity-80"
+                    style={{
+                      backgroundColor: theme.bgLighter,
+                      color: theme.accent,
+                      border: `1px solid ${theme.accent}`
+                    }}
+                    title={`Merge into ${dup.name}`}
+                  >
+                    🔀 Merge
+                  </button>
+                ))}
                 
                 {/* View button */}
                 {(issue.personId || issue.relationshipId) && !issue.code?.includes('ORPHANED') && (
@@ -900,6 +967,51 @@ function DataHealthDashboard({ isDarkTheme = true, onNavigateToPerson, onNavigat
     );
   };
 
+  /**
+   * Render merge history
+   */
+  const renderMergeHistory = () => {
+    if (merges.length === 0) return null;
+
+    return (
+      <div
+        className="mt-6 p-4 rounded-lg border"
+        style={{ backgroundColor: theme.bgLight, borderColor: theme.border }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="font-semibold mb-3 flex items-center gap-2" style={{ color: theme.text }}>
+          <span>🔀</span> Merge History
+        </h3>
+        <div className="space-y-2">
+          {merges.map(merge => (
+            <div key={merge.id} className="flex items-center gap-3 text-sm">
+              <span className="flex-1" style={{ color: merge.status === 'merged' ? theme.text : theme.textSecondary }}>
+                {merge.label}
+                <span className="ml-2 text-xs" style={{ color: theme.textSecondary }}>
+                  {new Date(merge.mergedAt).toLocaleDateString()} · {merge.changes.length} records
+                  {merge.status === 'reversed' && ' · reversed'}
+                </span>
+              </span>
+              {merge.status === 'merged' && (
+                <button
+                  onClick={() => handleReverseMerge(merge)}
+                  className="px-2 py-1 rounded text-xs font-medium transition-all hover:opacity-80"
+                  style={{
+                    backgroundColor: theme.bgLighter,
+                    color: theme.text,
+                    border: `1px solid ${theme.border}`
+                  }}
+                >
+                  ↩️ Reverse
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
   /**
    * Render health score
    */
@@ -1033,8 +1145,20 @@ function DataHealthDashboard({ isDarkTheme = true, onNavigateToPerson, onNavigat
         </>
       )}
       
+      {renderMergeHistory()}
+
       {/* Named After Choice Dialog */}
       {renderNamedAfterChoiceDialog()}
+
+      {mergePair && (
+        <PersonMergePanel
+          isOpen={!!mergePair}
+          onClose={() => setMergePair(null)}
+          person1Id={mergePair.person1Id}
+          person2Id={mergePair.person2Id}
+          onMerged={handleMerged}
+        />
+      )}
     </div>
   );
 }
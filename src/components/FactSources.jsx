@@ -0,0 +1,267 @@
+/**
+ * FactSources.jsx - Sources Behind a Single Fact
+ *
+ * PURPOSE:
+ * Lists the citations backing one fact on a record (a birth date, a parent
+ * link, a tenure) with their confidence, and lets the user add or remove
+ * them. The component only edits the record's `citations` array - the
+ * parent decides when to save it. See utils/citations.js.
+ *
+ * Props:
+ * - citations: The record's full citations array
+ * - field: Fact shown here (e.g. 'dateOfBirth')
+ * - label: Fact name shown in the row (optional)
+ * - onChange: Called with the new full citations array
+ * - sources: { codexEntries, writings, chapters } for pickers and titles
+ * - readOnly: Hide add/remove controls
+ */
+
+import { useState } from 'react';
+import Icon from './icons';
+import {
+  CONFIDENCE_LEVELS,
+  SOURCE_TYPES,
+  createCitation,
+  validateCitation,
+  addCitation,
+  removeCitation,
+  getCitationsForField,
+  getFieldConfidence,
+  describeSource
+} from '../utils/citations';
+import './FactSources.css';
+
+const EMPTY_FORM = {
+  sourceType: 'codex',
+  codexEntryId: '',
+  writingId: '',
+  chapterId: '',
+  title: '',
+  note: '',
+  confidence: 'canon'
+};
+
+/**
+ * Small confidence marker for a field label - nothing if the fact is uncited
+ */
+export function ConfidenceBadge({ record, field }) {
+  const confidence = getFieldConfidence(record, field);
+  if (!confidence) return null;
+
+  const level = CONFIDENCE_LEVELS[confidence];
+  const count = getCitationsForField(record, field).length;
+  return (
+    <span
+      className={`fact-sources__badge fact-sources__badge--${confidence}`}
+      title={`${level.label} · ${count} source${count === 1 ? '' : 's'}`}
+    >
+      {level.icon} {level.label}
+    </span>
+  );
+}
+
+function FactSources({
+  citations = [],
+  field,
+  label = null,
+  onChange,
+  sources = {},
+  readOnly = false
+}) {
+  const { codexEntries = [], writings = [], chapters = [] } = sources;
+
+  // ==================== STATE ====================
+  const [isAdding, setIsAdding] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState([]);
+
+  const fieldCitations = citations.filter(c => c.field === field);
+  const writingChapters = chapters
+    .filter(c => c.writingId === Number(form.writingId))
+    .sort((a, b) => (a.order || 0) - (b.order || 0));
+
+  // ==================== HANDLERS ====================
+
+  const updateForm = (updates) => setForm(prev => ({ ...prev, ...updates }));
+
+  const handleAdd = () => {
+    const citation = createCitation(field, {
+      ...form,
+      codexEntryId: form.codexEntryId ? Number(form.codexEntryId) : null,
+      writingId: form.writingId ? Number(form.writingId) : null,
+      chapterId: form.chapterId ? Number(form.chapterId) : null
+    });
+    const validation = validateCitation(citation);
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    onChange(addCitation(citations, citation));
+    setForm(EMPTY_FORM);
+    setErrors([]);
+    setIsAdding(false);
+  };
+
+  const handleCancel = () => {
+    setForm(EMPTY_FORM);
+    setErrors([]);
+    setIsAdding(false);
+  };
+
+  // ==================== RENDER ====================
+
+  return (
+    <div className="fact-sources">
+      {label && (
+        <div className="fact-sources__header">
+          <span className="fact-sources__label">{label}</span>
+          {!readOnly && !isAdding && (
+            <button
+              type="button"
+              className="fact-sources__add-btn"
+              onClick={() => setIsAdding(true)}
+              title={`Cite a source for ${label.toLowerCase()}`}
+            >
+              <Icon name="plus" size={12} />
+              <span>Source</span>
+            </button>
+          )}
+        </div>
+      )}
+
+      {fieldCitations.length === 0 && !isAdding && (
+        <p className="fact-sources__empty">No sources cited</p>
+      )}
+
+      {fieldCitations.length > 0 && (
+        <ul className="fact-sources__list">
+          {fieldCitations.map(citation => {
+            const level = CONFIDENCE_LEVELS[citation.confidence] || CONFIDENCE_LEVELS.canon;
+            return (
+              <li key={citation.id} className="fact-sources__item">
+                <span className="fact-sources__source" title={citation.note || undefined}>
+                  {SOURCE_TYPES[citation.sourceType]?.icon} {describeSource(citation, sources)}
+                </span>
+                <span className={`fact-sources__badge fact-sources__badge--${level.id}`}>
+                  {level.label}
+                </span>
+                {!readOnly && (
+                  <button
+                    type="button"
+                    className="fact-sources__remove"
+                    onClick={() => onChange(removeCitation(citations, citation.id))}
+                    title="Remove this source"
+                  >
+                    <Icon name="x" size={12} />
+                  </button>
+                )}
+                {citation.note && citation.sourceType !== 'document' && (
+                  <span className="fact-sources__note">{citation.note}</span>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {isAdding && (
+        <div className="fact-sources__form">
+          <div className="fact-sources__form-row">
+            <select
+              value={form.sourceType}
+              onChange={(e) => updateForm({ sourceType: e.target.value })}
+              className="fact-sources__input"
+            >
+              {Object.values(SOURCE_TYPES).map(type => (
+                <option key={type.id} value={type.id}>{type.label}</option>
+              ))}
+            </select>
+            <select
+              value={form.confidence}
+              onChange={(e) => updateForm({ confidence: e.target.value })}
+              className="fact-sources__input"
+              title={CONFIDENCE_LEVELS[form.confidence].description}
+            >
+              {Object.values(CONFIDENCE_LEVELS).map(level => (
+                <option key={level.id} value={level.id}>{level.icon} {level.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {form.sourceType === 'codex' && (
+            <select
+              value={form.codexEntryId}
+              onChange={(e) => updateForm({ codexEntryId: e.target.value })}
+              className="fact-sources__input"
+            >
+              <option value="">Choose a Codex entry…</option>
+              {codexEntries.map(entry => (
+                <option key={entry.id} value={entry.id}>{entry.title || `Entry #${entry.id}`}</option>
+              ))}
+            </select>
+          )}
+
+          {form.sourceType === 'chapter' && (
+            <div className="fact-sources__form-row">
+              <select
+                value={form.writingId}
+                onChange={(e) => updateForm({ writingId: e.target.value, chapterId: '' })}
+                className="fact-sources__input"
+              >
+                <option value="">Choose a writing…</option>
+                {writings.map(writing => (
+                  <option key={writing.id} value={writing.id}>{writing.title || 'Untitled'}</option>
+                ))}
+              </select>
+              <select
+                value={form.chapterId}
+                onChange={(e) => updateForm({ chapterId: e.target.value })}
+                className="fact-sources__input"
+                disabled={!form.writingId}
+              >
+                <option value="">Chapter…</option>
+                {writingChapters.map(chapter => (
+                  <option key={chapter.id} value={chapter.id}>{chapter.title || `Chapter ${chapter.order ?? ''}`}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {form.sourceType === 'document' && (
+            <input
+              type="text"
+              value={form.title}
+              onChange={(e) => updateForm({ title: e.target.value })}
+              placeholder="Document, e.g. Annals of Wilfrey"
+              className="fact-sources__input"
+            />
+          )}
+
+          <input
+            type="text"
+            value={form.note}
+            onChange={(e) => updateForm({ note: e.target.value })}
+            placeholder="Note (optional)"
+            className="fact-sources__input"
+          />
+
+          {errors.length > 0 && (
+            <p className="fact-sources__error">{errors[0]}</p>
+          )}
+
+          <div className="fact-sources__form-actions">
+            <button type="button" className="fact-sources__btn" onClick={handleCancel}>
+              Cancel
+            </button>
+            <button type="button" className="fact-sources__btn fact-sources__btn--primary" onClick={handleAdd}>
+              Add Source
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FactSources;
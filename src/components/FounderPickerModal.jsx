@@ -8,7 +8,8 @@
  * - Search by name
  * - Filter by house membership
  * - Shows legitimacy status (affects cadet tier)
- * - Preview panel with person details
+ * - Preview panel with person details, including age and ceremony
+ *   eligibility at the story present
  * - Only shows eligible members of the parent house
  *
  * Props:
@@ -25,6 +26,8 @@ import { motion, AnimatePresence } from 'framer-motion';
 import Icon from './icons';
 import ActionButton from './shared/ActionButton';
 import EmptyState from './shared/EmptyState';
+import { useCalendar } from '../contexts/CalendarContext';
+import { isEligibleForCeremony } from '../services/database';
 import './FounderPickerModal.css';
 
 // Animation variants
@@ -110,6 +113,8 @@ function FounderPickerModal({
   people = [],
   houses = []
 }) {
+  const { calendar, presentDate, formatDate, getAge } = useCalendar();
+
   // State
   const [searchTerm, setSearchTerm] = useState('');
   const [legitimacyFilter, setLegitimacyFilter] = useState('all');
@@ -183,6 +188,13 @@ function FounderPickerModal({
     return person?.legitimacyStatus === 'bastard' ? 2 : 1;
   };
 
+  // Ceremony eligibility of the selected person at the story present
+  const selectedEligibility = useMemo(() => (
+    selectedPerson
+      ? isEligibleForCeremony(selectedPerson, { asOf: presentDate, calendar })
+      : null
+  ), [selectedPerson, presentDate, calendar]);
+
   // Handle selection
   const handleSelect = (person) => {
     setSelectedPerson(person);
@@ -386,15 +398,24 @@ function FounderPickerModal({
                     </div>
 
                     {/* Birth/Death dates if available */}
-                    {(selectedPerson.birthDate || selectedPerson.deathDate) && (
+                    {(selectedPerson.dateOfBirth || selectedPerson.dateOfDeath) && (
                       <div className="founder-picker__preview-dates">
                         <Icon name="calendar" size={14} />
                         <span>
-                          {selectedPerson.birthDate || '?'} - {selectedPerson.deathDate || 'Present'}
+                          {formatDate(selectedPerson.dateOfBirth) || '?'} - {formatDate(selectedPerson.dateOfDeath) || 'Present'}
+                          {selectedEligibility?.eligible && ` (age ${getAge(selectedPerson.dateOfBirth)})`}
                         </span>
                       </div>
                     )}
 
+                    {/* Ceremony eligibility at the story present */}
+                    {selectedEligibility && !selectedEligibility.eligible && (
+                      <div className="founder-picker__preview-warning">
+                        <Icon name="alert-circle" size={14} />
+                        <span>{selectedEligibility.reason}</span>
+                      </div>
+                    )}
+
                     {/* Notes if available */}
                     {selectedPerson.notes && (
                       <div className="founder-picker__preview-notes">
@@ -10,6 +10,8 @@
  * - "Link Existing" → opens HeraldryPickerModal
  * - "View/Edit" → navigates to HeraldryCreator in edit mode
  * - "Remove" → unlinks heraldry (doesn't delete)
+ *
+ * When editing, also shows household roles and the house's seats over time.
  */
 
 import { useState, useEffect } from 'react';
@@ -19,6 +21,7 @@ import HeraldryPickerModal from './heraldry/HeraldryPickerModal';
 import Icon from './icons/Icon';
 import ActionButton from './shared/ActionButton';
 import { HouseholdRolesPanel } from './household';
+import PlacementHistory from './PlacementHistory';
 import { useDataset } from '../contexts/DatasetContext';
 import { useAuth } from '../contexts/AuthContext';
 import {
@@ -667,6 +670,23 @@ function HouseForm({
           </motion.div>
         )}
 
+        {/* Seats Section - Only show when editing */}
+        {house?.id && (
+          <motion.div
+            className="house-form__section"
+            variants={SECTION_VARIANTS}
+            initial="hidden"
+            animate="visible"
+            transition={{ delay: 0.3 }}
+          >
+            <h3 className="house-form__section-title">
+              <Icon name="castle" size={16} />
+              <span>Seats</span>
+            </h3>
+            <PlacementHistory kind="seat" ownerId={house.id} />
+          </motion.div>
+        )}
+
         {/* Form Actions */}
         <div className="house-form__actions">
           <ActionButton
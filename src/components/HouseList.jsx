@@ -4,7 +4,8 @@
  * PURPOSE:
  * Displays all houses in a list with heraldry thumbnails,
  * edit and delete options, and quick heraldry actions.
- * Includes search and sort functionality.
+ * Includes search and sort functionality, and a time slider showing
+ * each house's living members and filled household roles in a given year.
  *
  * Uses Framer Motion for animations, Lucide icons, and BEM CSS.
  *
@@ -19,7 +20,14 @@ import { useState, useEffect, useMemo, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useDataset } from '../contexts/DatasetContext';
+import { useCalendar } from '../contexts/CalendarContext';
+import { useGenealogy } from '../contexts/GenealogyContext';
 import { getHeraldry } from '../services/heraldryService';
+import { getAllHouseholdRoles } from '../services/householdRoleService';
+import { getRoleType } from '../data/householdRoleTypes';
+import { useTimeSlice } from '../hooks';
+import { isAliveInYear, getFilledRolesInYear } from '../utils/timeSlice';
+import { getYear } from '../utils/calendarUtils';
 import Icon from './icons';
 import EmptyState from './shared/EmptyState';
 import ListControls from './shared/ListControls';
@@ -27,6 +35,7 @@ import ListSearchBar from './shared/ListSearchBar';
 import SortDropdown from './shared/SortDropdown';
 import FilterDropdown from './shared/FilterDropdown';
 import Pagination from './shared/Pagination';
+import TimeSlider from './shared/TimeSlider';
 import { sanitizeSVG } from '../utils/sanitize';
 import './HouseList.css';
 
@@ -107,6 +116,9 @@ function HouseList({
 }) {
   const navigate = useNavigate();
   const { activeDataset } = useDataset();
+  const { people } = useGenealogy();
+  const { year: viewYear, setYear: setViewYear } = useTimeSlice();
+  const { calendar } = useCalendar();
 
   // ==================== SEARCH & SORT STATE ====================
   const [searchTerm, setSearchTerm] = useState('');
@@ -123,6 +135,9 @@ function HouseList({
   const [heraldryCache, setHeraldryCache] = useState({});
   const [loadingHeraldry, setLoadingHeraldry] = useState({});
 
+  // Household roles, for the time slider
+  const [householdRoles, setHouseholdRoles] = useState([]);
+
   // ==================== FILTERED & SORTED HOUSES ====================
   const filteredAndSortedHouses = useMemo(() => {
     let filtered = [...houses];
@@ -228,6 +243,36 @@ function HouseList({
     }
   };
 
+  // ==================== TIME SLIDER ====================
+  useEffect(() => {
+    if (viewYear === null) return;
+    getAllHouseholdRoles()
+      .then(setHouseholdRoles)
+      .catch(error => console.error('Error loading household roles:', error));
+  }, [viewYear, houses]);
+
+  // houseId -> { living, roles } for the selected year
+  const houseSnapshots = useMemo(() => {
+    if (viewYear === null) return null;
+
+    const peopleById = new Map(people.map(p => [p.id, p]));
+    const snapshots = new Map(houses.map(h => [h.id, { living: 0, roles: [] }]));
+    people.forEach(person => {
+      if (snapshots.has(person.houseId) && isAliveInYear(person, viewYear, calendar)) {
+        snapshots.get(person.houseId).living++;
+      }
+    });
+    getFilledRolesInYear(householdRoles, peopleById, viewYear, calendar).forEach(role => {
+      const holder = peopleById.get(role.currentHolderId);
+      snapshots.get(role.houseId)?.roles.push({
+        id: role.id,
+        name: role.customRoleName || getRoleType(role.roleType)?.name || role.roleType,
+        holderName: `${holder.firstName} ${holder.lastName || ''}`.trim()
+      });
+    });
+    return snapshots;
+  }, [viewYear, people, houses, householdRoles, calendar]);
+
   // ==================== HANDLERS ====================
   const handleHeraldryClick = (house) => {
     if (house.heraldryId) {
@@ -360,6 +405,10 @@ function HouseList({
         />
       </ListControls>
 
+      <div className="house-list__timeline">
+        <TimeSlider year={viewYear} onChange={setViewYear} people={people} />
+      </div>
+
       {/* Empty state for filtered results */}
       {filteredAndSortedHouses.length === 0 && hasActiveFilters ? (
         <EmptyState
@@ -432,6 +481,27 @@ function HouseList({
                   {house.notes && (
                     <p className="house-list__notes">{house.notes}</p>
                   )}
+
+                  {/* The house in the slider's year */}
+                  {houseSnapshots && (
+                    <div className="house-list__snapshot">
+                      {getYear(house.foundedDate, calendar) > viewYear ? (
+                        <span>Not yet founded</span>
+                      ) : (
+                        <>
+                          <span>
+                            <Icon name="users" size={12} />
+                            {houseSnapshots.get(house.id).living} living
+                          </span>
+                          {houseSnapshots.get(house.id).roles.map(role => (
+                            <span key={role.id} className="house-list__snapshot-role">
+                              {role.name}: {role.holderName}
+                            </span>
+                          ))}
+                        </>
+                      )}
+                    </div>
+                  )}
                 </div>
 
                 {/* Actions */}
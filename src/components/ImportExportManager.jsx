@@ -8,6 +8,7 @@
  * - Conflict detection and resolution
  * - Progress tracking
  * - Version compatibility checking
+ * - GEDCOM exchange with other genealogy tools (dry-run review before import)
  *
  * Uses Framer Motion for animations, Lucide icons, and BEM CSS.
  */
@@ -22,12 +23,16 @@ import {
 } from '../services/database';
 import { useGenealogy } from '../contexts/GenealogyContext';
 import { useDataset } from '../contexts/DatasetContext';
+import { useCalendar } from '../contexts/CalendarContext';
 import {
   exportData,
   importData,
   CURRENT_VERSION
 } from '../services/database/MigrationHooks';
 import { getAllEntries } from '../services/codexService';
+import { GEDCOM_VERSIONS, gedcomToTemplate } from '../utils/gedcom';
+import { processFamilyImport } from '../utils/bulkFamilyImport';
+import { isFeatureEnabled } from '../config/featureFlags';
 import {
   getContextSystemStatus,
   getContextRegistry,
@@ -114,6 +119,7 @@ function ImportExportManager() {
   // Access context for data refresh after import
   const { refreshData } = useGenealogy();
   const { activeDataset } = useDataset();
+  const { calendar } = useCalendar();
 
   // Export state
   const [exporting, setExporting] = useState(false);
@@ -139,6 +145,16 @@ function ImportExportManager() {
   const [generatingContexts, setGeneratingContexts] = useState(false);
   const [contextError, setContextError] = useState(null);
 
+  // GEDCOM state
+  const gedcomEnabled = isFeatureEnabled('EXPERIMENTAL.GEDCOM_EXPORT');
+  const [gedcomVersion, setGedcomVersion] = useState(GEDCOM_VERSIONS[0]);
+  const [gedcomExporting, setGedcomExporting] = useState(false);
+  const [gedcomTemplate, setGedcomTemplate] = useState(null);
+  const [gedcomReport, setGedcomReport] = useState(null);
+  const [gedcomErrors, setGedcomErrors] = useState(null);
+  const [gedcomImporting, setGedcomImporting] = useState(false);
+  const [gedcomSuccess, setGedcomSuccess] = useState(false);
+
   // Load context status
   const loadContextStatus = useCallback(async () => {
     const datasetId = activeDataset?.id;
@@ -462,6 +478,132 @@ function ImportExportManager() {
     document.getElementById('import-file-input').value = '';
   };
 
+  // ==================== GEDCOM FUNCTIONS ====================
+
+  const handleGedcomExport = async () => {
+    const datasetId = activeDataset?.id;
+    try {
+      setGedcomExporting(true);
+      setGedcomErrors(null);
+
+      const [people, houses, relationships] = await Promise.all([
+        getAllPeople(datasetId),
+        getAllHouses(datasetId),
+        getAllRelationships(datasetId)
+      ]);
+
+      const gedcom = exportData(
+        { people, houses, relationships },
+        'gedcom',
+        { version: gedcomVersion, calendar }
+      );
+
+      const blob = new Blob([gedcom], { type: 'text/plain' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+      link.download = `lineageweaver-${timestamp}.ged`;
+
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('GEDCOM export error:', error);
+      setGedcomErrors([error.message]);
+    } finally {
+      setGedcomExporting(false);
+    }
+  };
+
+  /**
+   * Convert the chosen file to an import template and run it through
+   * processFamilyImport as a dry run, so nothing is written until the
+   * user has reviewed the report.
+   */
+  const handleGedcomFileSelect = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const datasetId = activeDataset?.id;
+    setGedcomTemplate(null);
+    setGedcomReport(null);
+    setGedcomErrors(null);
+    setGedcomSuccess(false);
+
+    try {
+      const text = await readFileAsText(file);
+      const existingHouses = await getAllHouses(datasetId);
+      const { template, report } = gedcomToTemplate(text, { existingHouses });
+
+      if (report.errors.length > 0) {
+        setGedcomErrors(report.errors);
+        return;
+      }
+
+      const dryRun = await processFamilyImport(template, {
+        datasetId,
+        dryRun: true,
+        skipCodex: true
+      });
+
+      if (!dryRun.success) {
+        setGedcomErrors(dryRun.errors);
+        return;
+      }
+
+      setGedcomTemplate(template);
+      setGedcomReport({
+        ...report,
+        warnings: [...report.warnings, ...(dryRun.warnings || [])]
+      });
+    } catch (error) {
+      setGedcomErrors([error.message]);
+    }
+  };
+
+  const handleGedcomImport = async () => {
+    if (!gedcomTemplate) return;
+
+    try {
+      setGedcomImporting(true);
+      const result = await processFamilyImport(gedcomTemplate, {
+        datasetId: activeDataset?.id,
+        skipCodex: true
+      });
+
+      if (!result.success) {
+        setGedcomErrors(result.errors);
+        return;
+      }
+
+      setGedcomSuccess(true);
+      setGedcomTemplate(null);
+      setGedcomReport(null);
+      await refreshData();
+
+      setTimeout(() => {
+        setGedcomSuccess(false);
+        document.getElementById('gedcom-file-input').value = '';
+      }, 3000);
+    } catch (error) {
+      console.error('GEDCOM import error:', error);
+      setGedcomErrors([error.message]);
+    } finally {
+      setGedcomImporting(false);
+    }
+  };
+
+  const handleCancelGedcom = () => {
+    setGedcomTemplate(null);
+    setGedcomReport(null);
+    setGedcomErrors(null);
+    setGedcomSuccess(false);
+    document.getElementById('gedcom-file-input').value = '';
+  };
+
   // ==================== RENDER ====================
 
   return (
@@ -829,6 +971,217 @@ function ImportExportManager() {
         </motion.div>
       </motion.section>
 
+      {/* GEDCOM Section */}
+      {gedcomEnabled && (
+        <motion.section
+          className="import-export__section"
+          variants={SECTION_VARIANTS}
+          initial="hidden"
+          animate="visible"
+          transition={{ delay: 0.15 }}
+        >
+          <h2 className="import-export__header">
+            <Icon name="git-branch" size={24} />
+            <span>GEDCOM Exchange</span>
+          </h2>
+          <p className="import-export__description">
+            Exchange trees with other genealogy tools. Houses travel as surnames and notes; imports are reviewed as a dry run before anything is saved.
+          </p>
+
+          <motion.div
+            className="import-export__card"
+            variants={CARD_VARIANTS}
+          >
+            {/* Export */}
+            <div className="import-export__card-row">
+              <div className="import-export__card-info">
+                <h3 className="import-export__card-title">GEDCOM Export</h3>
+                <p className="import-export__card-subtitle">
+                  People, houses, parents and spouses
+                </p>
+              </div>
+              <select
+                value={gedcomVersion}
+                onChange={(e) => setGedcomVersion(e.target.value)}
+                className="import-export__version-select"
+                aria-label="GEDCOM version"
+              >
+                {GEDCOM_VERSIONS.map(version => (
+                  <option key={version} value={version}>GEDCOM {version}</option>
+                ))}
+              </select>
+              <button
+                className="import-export__btn import-export__btn--primary"
+                onClick={handleGedcomExport}
+                disabled={gedcomExporting}
+              >
+                {gedcomExporting ? (
+                  <>
+                    <Icon name="loader" size={16} />
+                    <span>Exporting...</span>
+                  </>
+                ) : (
+                  <>
+                    <Icon name="download" size={16} />
+                    <span>Download .ged</span>
+                  </>
+                )}
+              </button>
+            </div>
+
+            {/* Import file selection */}
+            {!gedcomReport && (
+              <div className="import-export__file-input-wrapper">
+                <input
+                  id="gedcom-file-input"
+                  type="file"
+                  accept=".ged"
+                  onChange={handleGedcomFileSelect}
+                  className="import-export__file-input"
+                />
+                <p className="import-export__file-hint">
+                  Select a .ged file (GEDCOM 5.5.1 or 7.0) to preview its import
+                </p>
+              </div>
+            )}
+
+            {/* Errors */}
+            <AnimatePresence>
+              {gedcomErrors && (
+                <motion.div
+                  className="import-export__alert import-export__alert--error"
+                  variants={ALERT_VARIANTS}
+                  initial="hidden"
+                  animate="visible"
+                  exit="exit"
+                >
+                  <Icon name="x-circle" size={18} className="import-export__alert-icon" />
+                  <div className="import-export__alert-content">
+                    <h4 className="import-export__alert-title">GEDCOM Import Failed</h4>
+                    <ul className="import-export__alert-list">
+                      {gedcomErrors.map((error, index) => (
+                        <li key={index}>{error}</li>
+                      ))}
+                    </ul>
+                  </div>
+                </motion.div>
+              )}
+            </AnimatePresence>
+
+            {/* Dry-run report */}
+            <AnimatePresence mode="wait">
+              {gedcomReport && (
+                <motion.div
+                  className="import-export__preview"
+                  variants={CARD_VARIANTS}
+                  initial="hidden"
+                  animate="visible"
+                  exit="hidden"
+                >
+                  <h3 className="import-export__preview-title">
+                    <Icon name="file-text" size={18} />
+                    <span>Dry Run - GEDCOM {gedcomReport.version || 'unknown version'}</span>
+                  </h3>
+                  {gedcomReport.source && (
+                    <p className="import-export__file-hint">
+                      Exported by {gedcomReport.source}
+                    </p>
+                  )}
+
+                  <motion.div
+                    className="import-export__counts-grid"
+                    variants={GRID_VARIANTS}
+                    initial="hidden"
+                    animate="visible"
+                  >
+                    <motion.div className="import-export__count-item" variants={ITEM_VARIANTS}>
+                      <p className="import-export__count-value">{gedcomReport.counts.people}</p>
+                      <p className="import-export__count-label">People</p>
+                    </motion.div>
+                    <motion.div className="import-export__count-item" variants={ITEM_VARIANTS}>
+                      <p className="import-export__count-value">{gedcomReport.counts.houses}</p>
+                      <p className="import-export__count-label">New Houses</p>
+                    </motion.div>
+                    <motion.div className="import-export__count-item" variants={ITEM_VARIANTS}>
+                      <p className="import-export__count-value">{gedcomReport.counts.matchedHouses}</p>
+                      <p className="import-export__count-label">Existing Houses</p>
+                    </motion.div>
+                    <motion.div className="import-export__count-item" variants={ITEM_VARIANTS}>
+                      <p className="import-export__count-value">{gedcomReport.counts.relationships}</p>
+                      <p className="import-export__count-label">Relationships</p>
+                    </motion.div>
+                  </motion.div>
+
+                  {gedcomReport.warnings.length > 0 && (
+                    <div className="import-export__alert import-export__alert--warning">
+                      <Icon name="alert-triangle" size={18} className="import-export__alert-icon" />
+                      <div className="import-export__alert-content">
+                        <h4 className="import-export__alert-title">
+                          {gedcomReport.warnings.length} Warnings
+                        </h4>
+                        <ul className="import-export__alert-list">
+                          {gedcomReport.warnings.slice(0, 10).map((warning, index) => (
+                            <li key={index}>{warning}</li>
+                          ))}
+                          {gedcomReport.warnings.length > 10 && (
+                            <li>...and {gedcomReport.warnings.length - 10} more</li>
+                          )}
+                        </ul>
+                      </div>
+                    </div>
+                  )}
+
+                  <div className="import-export__actions">
+                    <button
+                      className="import-export__btn import-export__btn--secondary"
+                      onClick={handleCancelGedcom}
+                      disabled={gedcomImporting}
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      className="import-export__btn import-export__btn--primary"
+                      onClick={handleGedcomImport}
+                      disabled={gedcomImporting}
+                    >
+                      {gedcomImporting ? (
+                        <>
+                          <Icon name="loader" size={16} />
+                          <span>Importing...</span>
+                        </>
+                      ) : (
+                        <>
+                          <Icon name="check" size={16} />
+                          <span>Confirm Import</span>
+                        </>
+                      )}
+                    </button>
+                  </div>
+                </motion.div>
+              )}
+            </AnimatePresence>
+
+            {/* Success message */}
+            <AnimatePresence>
+              {gedcomSuccess && (
+                <motion.div
+                  className="import-export__alert import-export__alert--success"
+                  variants={ALERT_VARIANTS}
+                  initial="hidden"
+                  animate="visible"
+                  exit="exit"
+                >
+                  <Icon name="check-circle" size={18} className="import-export__alert-icon" />
+                  <p className="import-export__alert-text">
+                    GEDCOM import complete. All views are now updated!
+                  </p>
+                </motion.div>
+              )}
+            </AnimatePresence>
+          </motion.div>
+        </motion.section>
+      )}
+
       {/* Codex Integration Section */}
       <motion.section
         className="import-export__section"
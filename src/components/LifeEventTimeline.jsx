@@ -0,0 +1,425 @@
+/**
+ * LifeEventTimeline.jsx - A Person's Life in Order
+ *
+ * PURPOSE:
+ * Shows one person's birth, life events and death as a chronological
+ * timeline, with ages where the dates are certain, and lets the user add,
+ * edit or remove events. Saving is left to the parent through onSave and
+ * onDelete. See utils/lifeEvents.js and data/lifeEventTypes.js.
+ *
+ * Props:
+ * - person: Whose timeline this is (always among the event's people)
+ * - events: Life events involving the person
+ * - people, houses: For linking and showing names
+ * - codexEntries: For the location and Codex event pickers and titles
+ * - onSave: Called with (eventData, eventId) - eventId null for a new event
+ * - onDelete: Called with the event ID
+ * - onPersonSelect: Called with a linked person when their name is clicked (optional)
+ * - readOnly: Hide add/edit/remove controls
+ */
+
+import { useState, useMemo } from 'react';
+import Icon from './icons';
+import { useCalendar } from '../contexts/CalendarContext';
+import { getAllLifeEventTypesSorted, getLifeEventType } from '../data/lifeEventTypes';
+import { validateLifeEvent, buildPersonTimeline, getLifeEventTitle } from '../utils/lifeEvents';
+import './LifeEventTimeline.css';
+
+const EMPTY_FORM = {
+  eventType: 'knighting',
+  title: '',
+  date: '',
+  endDate: '',
+  personIds: [],
+  houseIds: [],
+  codexLocationId: '',
+  codexEntryId: '',
+  notes: ''
+};
+
+const personName = (p) => `${p.firstName} ${p.lastName}`.trim();
+
+function LifeEventTimeline({
+  person,
+  events = [],
+  people = [],
+  houses = [],
+  codexEntries = [],
+  onSave,
+  onDelete,
+  onPersonSelect = null,
+  readOnly = false
+}) {
+  const { calendar, formatDate, formatDateForInput, parseDateInput, getDateInputHint } = useCalendar();
+
+  // ==================== STATE ====================
+  const [editingId, setEditingId] = useState(null); // 'new' or an event ID
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const timeline = useMemo(
+    () => buildPersonTimeline(person, events, calendar),
+    [person, events, calendar]
+  );
+  const peopleById = useMemo(() => new Map(people.map(p => [p.id, p])), [people]);
+  const houseName = useMemo(() => new Map(houses.map(h => [h.id, h.houseName])), [houses]);
+  const entryTitle = useMemo(() => new Map(codexEntries.map(e => [e.id, e.title])), [codexEntries]);
+  const locationEntries = codexEntries.filter(e => e.type === 'location');
+  const eventEntries = codexEntries.filter(e => e.type === 'event');
+
+  const formType = getLifeEventType(form.eventType);
+  const dateHint = getDateInputHint({ uncertain: true });
+
+  // ==================== HANDLERS ====================
+
+  const updateForm = (updates) => setForm(prev => ({ ...prev, ...updates }));
+
+  const startAdding = () => {
+    setForm({ ...EMPTY_FORM, personIds: [person.id], houseIds: person.houseId ? [person.houseId] : [] });
+    setErrors([]);
+    setEditingId('new');
+  };
+
+  const startEditing = (event) => {
+    setForm({
+      eventType: event.eventType,
+      title: event.title || '',
+      date: formatDateForInput(event.date),
+      endDate: formatDateForInput(event.endDate),
+      personIds: event.personIds || [],
+      houseIds: event.houseIds || [],
+      codexLocationId: event.codexLocationId ? String(event.codexLocationId) : '',
+      codexEntryId: event.codexEntryId ? String(event.codexEntryId) : '',
+      notes: event.notes || ''
+    });
+    setErrors([]);
+    setEditingId(event.id);
+  };
+
+  const handleCancel = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+    setErrors([]);
+  };
+
+  const handleSave = async () => {
+    const date = parseDateInput(form.date, { uncertain: true });
+    const endDate = formType.spansTime
+      ? parseDateInput(form.endDate, { uncertain: true })
+      : { valid: true, value: '' };
+    const dateErrors = [
+      !date.valid && `Date: ${date.error}`,
+      !endDate.valid && `End date: ${endDate.error}`
+    ].filter(Boolean);
+    if (dateErrors.length > 0) {
+      setErrors(dateErrors);
+      return;
+    }
+
+    const eventData = {
+      eventType: form.eventType,
+      title: form.title.trim() || null,
+      date: date.value || null,
+      endDate: endDate.value || null,
+      personIds: form.personIds,
+      houseIds: form.houseIds,
+      codexLocationId: form.codexLocationId ? Number(form.codexLocationId) : null,
+      codexEntryId: form.codexEntryId ? Number(form.codexEntryId) : null,
+      notes: form.notes.trim() || null
+    };
+    const validation = validateLifeEvent(eventData, calendar);
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await onSave(eventData, editingId === 'new' ? null : editingId);
+      handleCancel();
+    } catch (error) {
+      setErrors([error.message]);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (event) => {
+    if (!window.confirm(`Remove "${getLifeEventTitle(event)}" from the timeline?`)) return;
+    try {
+      await onDelete(event.id);
+    } catch (error) {
+      alert('Error removing event: ' + error.message);
+    }
+  };
+
+  // ==================== RENDER ====================
+
+  const renderDates = (event) => {
+    if (!event.date && !event.endDate) return 'Undated';
+    if (!event.endDate) return formatDate(event.date);
+    return `${event.date ? formatDate(event.date) : '?'} – ${formatDate(event.endDate)}`;
+  };
+
+  const renderPeople = (event) => {
+    const others = (event.personIds || [])
+      .filter(id => id !== person.id)
+      .map(id => peopleById.get(id))
+      .filter(Boolean);
+    if (others.length === 0) return null;
+    return (
+      <span className="life-events__with">
+        with{' '}
+        {others.map((other, index) => (
+          <span key={other.id}>
+            {index > 0 && ', '}
+            {onPersonSelect ? (
+              <button type="button" className="life-events__person-link" onClick={() => onPersonSelect(other)}>
+                {personName(other)}
+              </button>
+            ) : personName(other)}
+          </span>
+        ))}
+      </span>
+    );
+  };
+
+  const renderEntry = (entry, index) => {
+    if (entry.kind !== 'event') {
+      const isBirth = entry.kind === 'birth';
+      return (
+        <li key={entry.kind} className={`life-events__item life-events__item--${entry.kind}`}>
+          <span className="life-events__marker">
+            <Icon name={isBirth ? 'baby' : 'x-circle'} size={12} />
+          </span>
+          <div className="life-events__body">
+            <div className="life-events__heading">
+              <span className="life-events__title">{isBirth ? 'Born' : 'Died'}</span>
+              {entry.age !== null && <span className="life-events__age">aged {entry.age}</span>}
+            </div>
+            <span className="life-events__date">{formatDate(entry.date)}</span>
+          </div>
+        </li>
+      );
+    }
+
+    const { event } = entry;
+    const type = getLifeEventType(event.eventType);
+    const location = entryTitle.get(event.codexLocationId);
+    const codexTitle = entryTitle.get(event.codexEntryId);
+    const eventHouses = (event.houseIds || []).map(id => houseName.get(id)).filter(Boolean);
+
+    return (
+      <li key={event.id ?? index} className="life-events__item">
+        <span className="life-events__marker" title={type.name}>
+          <Icon name={type.icon} size={12} />
+        </span>
+        <div className="life-events__body">
+          <div className="life-events__heading">
+            <span className="life-events__title">{getLifeEventTitle(event)}</span>
+            {entry.age !== null && <span className="life-events__age">aged {entry.age}</span>}
+            {!readOnly && (
+              <span className="life-events__actions">
+                <button type="button" className="life-events__icon-btn" onClick={() => startEditing(event)} title="Edit event">
+                  <Icon name="edit-3" size={12} />
+                </button>
+                <button type="button" className="life-events__icon-btn life-events__icon-btn--danger" onClick={() => handleDelete(event)} title="Remove event">
+                  <Icon name="x" size={12} />
+                </button>
+              </span>
+            )}
+          </div>
+          <span className="life-events__date">{renderDates(event)}</span>
+          <div className="life-events__meta">
+            {event.title && <span>{type.name}</span>}
+            {location && (
+              <span><Icon name="map-pin" size={10} /> {location}</span>
+            )}
+            {codexTitle && (
+              <span><Icon name="scroll-text" size={10} /> {codexTitle}</span>
+            )}
+            {eventHouses.length > 0 && (
+              <span><Icon name="castle" size={10} /> {eventHouses.join(', ')}</span>
+            )}
+            {renderPeople(event)}
+          </div>
+          {event.notes && <p className="life-events__notes">{event.notes}</p>}
+        </div>
+      </li>
+    );
+  };
+
+  const renderChips = (ids, labelFor, onRemove, fixedId = null) => (
+    <div className="life-events__chips">
+      {ids.map(id => (
+        <span key={id} className="life-events__chip">
+          {labelFor(id)}
+          {id !== fixedId && (
+            <button type="button" className="life-events__chip-remove" onClick={() => onRemove(id)} title="Remove">
+              <Icon name="x" size={10} />
+            </button>
+          )}
+        </span>
+      ))}
+    </div>
+  );
+
+  const renderForm = () => (
+    <div className="life-events__form">
+      <div className="life-events__form-row">
+        <select
+          value={form.eventType}
+          onChange={(e) => updateForm({ eventType: e.target.value })}
+          className="life-events__input"
+          title={formType.description}
+        >
+          {getAllLifeEventTypesSorted().map(type => (
+            <option key={type.id} value={type.id}>{type.name}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={form.title}
+          onChange={(e) => updateForm({ title: e.target.value })}
+          placeholder={`Title, e.g. ${formType.name} at…`}
+          className="life-events__input"
+        />
+      </div>
+
+      <div className="life-events__form-row">
+        <input
+          type="text"
+          value={form.date}
+          onChange={(e) => updateForm({ date: e.target.value })}
+          placeholder={formType.spansTime ? 'From' : 'Date'}
+          title={dateHint}
+          className="life-events__input"
+        />
+        {formType.spansTime && (
+          <input
+            type="text"
+            value={form.endDate}
+            onChange={(e) => updateForm({ endDate: e.target.value })}
+            placeholder="Until (optional)"
+            title={dateHint}
+            className="life-events__input"
+          />
+        )}
+      </div>
+
+      <span className="life-events__label">People</span>
+      {renderChips(
+        form.personIds,
+        id => (peopleById.get(id) ? personName(peopleById.get(id)) : `#${id}`),
+        id => updateForm({ personIds: form.personIds.filter(p => p !== id) }),
+        person.id
+      )}
+      <select
+        value=""
+        onChange={(e) => e.target.value && updateForm({ personIds: [...form.personIds, Number(e.target.value)] })}
+        className="life-events__input"
+      >
+        <option value="">Add someone else…</option>
+        {people
+          .filter(p => !form.personIds.includes(p.id))
+          .sort((a, b) => personName(a).localeCompare(personName(b)))
+          .map(p => (
+            <option key={p.id} value={p.id}>{personName(p)}</option>
+          ))}
+      </select>
+
+      <span className="life-events__label">Houses</span>
+      {renderChips(
+        form.houseIds,
+        id => houseName.get(id) || `#${id}`,
+        id => updateForm({ houseIds: form.houseIds.filter(h => h !== id) })
+      )}
+      <select
+        value=""
+        onChange={(e) => e.target.value && updateForm({ houseIds: [...form.houseIds, Number(e.target.value)] })}
+        className="life-events__input"
+      >
+        <option value="">Add a house…</option>
+        {houses
+          .filter(h => !form.houseIds.includes(h.id))
+          .map(h => (
+            <option key={h.id} value={h.id}>{h.houseName}</option>
+          ))}
+      </select>
+
+      <div className="life-events__form-row">
+        <select
+          value={form.codexLocationId}
+          onChange={(e) => updateForm({ codexLocationId: e.target.value })}
+          className="life-events__input"
+        >
+          <option value="">Where (Codex location)…</option>
+          {locationEntries.map(entry => (
+            <option key={entry.id} value={entry.id}>{entry.title || `Entry #${entry.id}`}</option>
+          ))}
+        </select>
+        <select
+          value={form.codexEntryId}
+          onChange={(e) => updateForm({ codexEntryId: e.target.value })}
+          className="life-events__input"
+        >
+          <option value="">Codex event…</option>
+          {eventEntries.map(entry => (
+            <option key={entry.id} value={entry.id}>{entry.title || `Entry #${entry.id}`}</option>
+          ))}
+        </select>
+      </div>
+
+      <textarea
+        value={form.notes}
+        onChange={(e) => updateForm({ notes: e.target.value })}
+        placeholder="Notes (optional)"
+        rows={2}
+        className="life-events__input"
+      />
+
+      {errors.length > 0 && (
+        <p className="life-events__error">{errors[0]}</p>
+      )}
+
+      <div className="life-events__form-actions">
+        <button type="button" className="life-events__btn" onClick={handleCancel} disabled={saving}>
+          Cancel
+        </button>
+        <button type="button" className="life-events__btn life-events__btn--primary" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving…' : editingId === 'new' ? 'Add Event' : 'Save Event'}
+        </button>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="life-events">
+      {timeline.length === 0 && !editingId && (
+        <p className="life-events__empty">No dates or events recorded</p>
+      )}
+
+      {timeline.length > 0 && (
+        <ol className="life-events__list">
+          {timeline.map((entry, index) => (
+            entry.kind === 'event' && entry.event.id === editingId
+              ? <li key={entry.event.id} className="life-events__item life-events__item--editing">{renderForm()}</li>
+              : renderEntry(entry, index)
+          ))}
+        </ol>
+      )}
+
+      {!readOnly && editingId === 'new' && renderForm()}
+
+      {!readOnly && !editingId && (
+        <button type="button" className="life-events__add-btn" onClick={startAdding}>
+          <Icon name="plus" size={12} />
+          <span>Add Event</span>
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default LifeEventTimeline;
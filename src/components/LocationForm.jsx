@@ -0,0 +1,145 @@
+/**
+ * LocationForm.jsx - Create or Edit a Registry Location
+ *
+ * Name, kind of place, the place it lies within, and notes. The parent
+ * list leaves out the location itself and everything inside it, and the
+ * result is checked with validateLocation before onSave is called.
+ *
+ * Props:
+ * - location: Location being edited, or null for a new one
+ * - locations: All locations (for the parent list)
+ * - defaultParentId: Parent to start a new location under (optional)
+ * - onSave: Called with the location data
+ * - onCancel: Close without saving
+ */
+
+import { useState } from 'react';
+import Icon from './icons/Icon';
+import ActionButton from './shared/ActionButton';
+import { getAllLocationTypesSorted } from '../data/locationTypes';
+import { flattenLocationTree, getDescendantIds, validateLocation } from '../utils/locations';
+import './LocationForm.css';
+
+function LocationForm({ location = null, locations, defaultParentId = null, onSave, onCancel }) {
+  const [form, setForm] = useState({
+    name: location?.name || '',
+    locationType: location?.locationType || 'holding',
+    parentId: location?.parentId || defaultParentId || '',
+    notes: location?.notes || ''
+  });
+  const [errors, setErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const excluded = location?.id
+    ? new Set([location.id, ...getDescendantIds(location.id, locations)])
+    : new Set();
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const data = {
+      name: form.name.trim(),
+      locationType: form.locationType,
+      parentId: form.parentId ? Number(form.parentId) : null,
+      notes: form.notes.trim() || null
+    };
+
+    const validation = validateLocation({ ...data, id: location?.id }, locations);
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await onSave(data);
+    } catch (error) {
+      setErrors([error.message]);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="location-form" onSubmit={handleSubmit}>
+      <div className="location-form__row">
+        <label className="location-form__group">
+          <span className="location-form__label">Name</span>
+          <input
+            type="text"
+            name="name"
+            value={form.name}
+            onChange={handleChange}
+            placeholder="e.g., Breakmount"
+            className="location-form__input"
+            autoFocus
+          />
+        </label>
+        <label className="location-form__group">
+          <span className="location-form__label">Kind of place</span>
+          <select
+            name="locationType"
+            value={form.locationType}
+            onChange={handleChange}
+            className="location-form__input"
+          >
+            {getAllLocationTypesSorted().map(type => (
+              <option key={type.id} value={type.id}>{type.name}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <label className="location-form__group">
+        <span className="location-form__label">Lies within</span>
+        <select
+          name="parentId"
+          value={form.parentId}
+          onChange={handleChange}
+          className="location-form__input"
+        >
+          <option value="">— Nowhere (top level) —</option>
+          {flattenLocationTree(locations)
+            .filter(({ location: l }) => !excluded.has(l.id))
+            .map(({ location: l, depth }) => (
+              <option key={l.id} value={l.id}>
+                {'\u00A0\u00A0'.repeat(depth)}{l.name}
+              </option>
+            ))}
+        </select>
+      </label>
+
+      <label className="location-form__group">
+        <span className="location-form__label">Notes</span>
+        <textarea
+          name="notes"
+          value={form.notes}
+          onChange={handleChange}
+          rows="2"
+          className="location-form__input"
+        />
+      </label>
+
+      {errors.length > 0 && (
+        <p className="location-form__error">
+          <Icon name="alert-circle" size={14} />
+          <span>{errors[0]}</span>
+        </p>
+      )}
+
+      <div className="location-form__actions">
+        <ActionButton type="button" onClick={onCancel} variant="ghost">
+          Cancel
+        </ActionButton>
+        <ActionButton type="submit" icon={location ? 'save' : 'plus'} variant="primary" disabled={saving}>
+          {location ? 'Save Location' : 'Add Location'}
+        </ActionButton>
+      </div>
+    </form>
+  );
+}
+
+export default LocationForm;
@@ -7,6 +7,7 @@
  * - Page navigation links with icons
  * - Optional search bar
  * - Theme toggle
+ * - Undo/redo buttons (and Ctrl+Z / Ctrl+Shift+Z)
  * - User menu and sync status
  * - Mobile-responsive hamburger menu
  *
@@ -15,7 +16,7 @@
  * Animations via Framer Motion for smooth transitions.
  */
 
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useRef, useEffect } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import Icon from './icons';
@@ -24,9 +25,12 @@ import ThemeSelector from './ThemeSelector';
 import { useTheme } from './ThemeContext';
 import { UserMenu, SyncStatusIndicator } from './auth';
 import { SuggestionsBadge } from './suggestions';
-import { useDignityAnalysis } from '../hooks';
+import { useDignityAnalysis, useUndoRedoShortcuts } from '../hooks';
 import { useDatasetManager } from '../App';
+import { useGenealogy } from '../contexts/GenealogyContext';
 import AIAssistant from './AIAssistant';
+import { isFeatureEnabled } from '../config/featureFlags';
+import { withYearParam } from '../utils/timeSlice';
 import './Navigation.css';
 
 // Navigation link configuration
@@ -37,9 +41,14 @@ const NAV_LINKS = [
   { path: '/writing', label: 'Writing', icon: 'feather' },
   { path: '/heraldry', label: 'Heraldry', icon: 'shield' },
   { path: '/dignities', label: 'Dignities', icon: 'crown' },
+  { path: '/locations', label: 'Locations', icon: 'map' },
+  { path: '/network', label: 'Network', icon: 'network', feature: 'EXPERIMENTAL.RELATIONSHIP_GRAPH' },
   { path: '/manage', label: 'Manage', icon: 'anvil' }
 ];
 
+// Links to experimental pages only show while their flag is on
+const VISIBLE_NAV_LINKS = NAV_LINKS.filter(link => !link.feature || isFeatureEnabled(link.feature));
+
 // Mobile menu animation variants
 const MOBILE_MENU_VARIANTS = {
   hidden: {
@@ -84,6 +93,39 @@ function Navigation({
   // Get critical suggestion count for nav badge
   const { criticalCount } = useDignityAnalysis({ autoRun: false });
 
+  // Undo/redo journal
+  const { history, undo, redo } = useGenealogy();
+  const [historyMessage, setHistoryMessage] = useState(null);
+  const historyMessageTimer = useRef(null);
+
+  useEffect(() => () => clearTimeout(historyMessageTimer.current), []);
+
+  const showHistoryMessage = useCallback((message) => {
+    clearTimeout(historyMessageTimer.current);
+    setHistoryMessage(message);
+    historyMessageTimer.current = setTimeout(() => setHistoryMessage(null), 3000);
+  }, []);
+
+  const handleUndo = useCallback(async () => {
+    try {
+      const entry = await undo();
+      if (entry) showHistoryMessage({ text: `Undone: ${entry.label}` });
+    } catch (error) {
+      showHistoryMessage({ text: error.message, isError: true });
+    }
+  }, [undo, showHistoryMessage]);
+
+  const handleRedo = useCallback(async () => {
+    try {
+      const entry = await redo();
+      if (entry) showHistoryMessage({ text: `Redone: ${entry.label}` });
+    } catch (error) {
+      showHistoryMessage({ text: error.message, isError: true });
+    }
+  }, [redo, showHistoryMessage]);
+
+  useUndoRedoShortcuts({ onUndo: handleUndo, onRedo: handleRedo });
+
   // Check if link is active
   const isActive = useCallback((path, exact = false) => {
     if (exact) {
@@ -92,6 +134,9 @@ function Navigation({
     return location.pathname.startsWith(path);
   }, [location.pathname]);
 
+  // Links keep the time slider's year (?year=) so it follows the user
+  const linkTo = useCallback((path) => withYearParam(path, location.search), [location.search]);
+
   // Toggle mobile menu
   const toggleMobileMenu = useCallback(() => {
     setMobileMenuOpen(prev => !prev);
@@ -107,7 +152,7 @@ function Navigation({
       <div className="nav__container">
         <div className="nav__content">
           {/* Logo/Brand */}
-          <Link to="/" className="nav__brand">
+          <Link to={linkTo('/')} className="nav__brand">
             <span className="nav__brand-icon">
               <Icon name="network" size={24} strokeWidth={1.5} />
             </span>
@@ -116,10 +161,10 @@ function Navigation({
 
           {/* Desktop Navigation Links */}
           <div className={`nav__links ${compactMode ? 'nav__links--compact' : ''}`}>
-            {NAV_LINKS.map(({ path, label, icon, exact }) => (
+            {VISIBLE_NAV_LINKS.map(({ path, label, icon, exact }) => (
               <Link
                 key={path}
-                to={path}
+                to={linkTo(path)}
                 className={`nav__link ${isActive(path, exact) ? 'nav__link--active' : ''} ${compactMode ? 'nav__link--icon-only' : ''}`}
               >
                 <span className="nav__link-icon">
@@ -170,6 +215,41 @@ function Navigation({
               </motion.button>
             )}
 
+            {/* Undo / Redo */}
+            <div className="nav__history">
+              <button
+                className="nav__history-button"
+                onClick={handleUndo}
+                disabled={!history.canUndo}
+                title={history.canUndo ? `Undo: ${history.undoLabel} (Ctrl+Z)` : 'Nothing to undo'}
+                aria-label="Undo"
+              >
+                <Icon name="undo" size={18} strokeWidth={1.5} />
+              </button>
+              <button
+                className="nav__history-button"
+                onClick={handleRedo}
+                disabled={!history.canRedo}
+                title={history.canRedo ? `Redo: ${history.redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+                aria-label="Redo"
+              >
+                <Icon name="redo" size={18} strokeWidth={1.5} />
+              </button>
+              <AnimatePresence>
+                {historyMessage && (
+                  <motion.span
+                    className={`nav__history-message ${historyMessage.isError ? 'nav__history-message--error' : ''}`}
+                    role="status"
+                    initial={{ opacity: 0, y: -4 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0 }}
+                  >
+                    {historyMessage.text}
+                  </motion.span>
+                )}
+              </AnimatePresence>
+            </div>
+
             {/* Theme Dropdown */}
             <ThemeSelector variant="nav-dropdown" />
 
@@ -215,10 +295,10 @@ function Navigation({
               exit="hidden"
             >
               <div className="nav__mobile-links">
-                {NAV_LINKS.map(({ path, label, icon, exact }) => (
+                {VISIBLE_NAV_LINKS.map(({ path, label, icon, exact }) => (
                   <Link
                     key={path}
-                    to={path}
+                    to={linkTo(path)}
                     className={`nav__mobile-link ${isActive(path, exact) ? 'nav__mobile-link--active' : ''}`}
                     onClick={handleMobileLinkClick}
                   >
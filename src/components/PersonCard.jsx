@@ -18,6 +18,7 @@ import { motion, AnimatePresence } from 'framer-motion';
 import { Link } from 'react-router-dom';
 import { isFeatureEnabled } from '../config/featureFlags';
 import { useDataset } from '../contexts/DatasetContext';
+import { useCalendar } from '../contexts/CalendarContext';
 import { getEntry } from '../services/codexService';
 import { getBiographyStatus } from '../utils/biographyStatus';
 import Icon from './icons';
@@ -61,6 +62,7 @@ const LEGITIMACY_COLORS = {
 function PersonCard({ person, house, relationships = [], allPeople = [] }) {
   // ==================== DATASET CONTEXT ====================
   const { activeDataset } = useDataset();
+  const { formatDate } = useCalendar();
 
   // ==================== CODEX INTEGRATION ====================
   const [codexEntry, setCodexEntry] = useState(null);
@@ -193,9 +195,9 @@ function PersonCard({ person, house, relationships = [], allPeople = [] }) {
                 <span>Lifespan</span>
               </h3>
               <p className="person-card__text">
-                {person.dateOfBirth && `Born: ${person.dateOfBirth}`}
+                {person.dateOfBirth && `Born: ${formatDate(person.dateOfBirth)}`}
                 {person.dateOfBirth && person.dateOfDeath && ' • '}
-                {person.dateOfDeath && `Died: ${person.dateOfDeath}`}
+                {person.dateOfDeath && `Died: ${formatDate(person.dateOfDeath)}`}
               </p>
             </div>
           )}
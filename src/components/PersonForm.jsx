@@ -2,6 +2,7 @@ import { useState, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { isFeatureEnabled } from '../config/featureFlags';
+import { useCalendar } from '../contexts/CalendarContext';
 import EpithetsSection from './EpithetsSection';
 import Icon from './icons/Icon';
 import ActionButton from './shared/ActionButton';
@@ -37,18 +38,20 @@ const SECTION_VARIANTS = {
 
 function PersonForm({ person = null, houses = [], onSave, onCancel }) {
   const navigate = useNavigate();
+  const { isGregorian, formatDateForInput, parseDateInput, getDateInputHint, compareDates } = useCalendar();
 
   // Form state
   const [formData, setFormData] = useState({
     firstName: person?.firstName || '',
     lastName: person?.lastName || '',
     maidenName: person?.maidenName || '',
-    dateOfBirth: person?.dateOfBirth || '',
-    dateOfDeath: person?.dateOfDeath || '',
+    dateOfBirth: formatDateForInput(person?.dateOfBirth) || '',
+    dateOfDeath: formatDateForInput(person?.dateOfDeath) || '',
     gender: person?.gender || 'male',
     houseId: person?.houseId || null,
     legitimacyStatus: person?.legitimacyStatus || 'legitimate',
     species: person?.species || '',
+    inHolyOrders: person?.inHolyOrders || false,
     magicalBloodline: person?.magicalBloodline || '',
     titles: person?.titles ? person.titles.join(', ') : '',
     notes: person?.notes || '',
@@ -132,28 +135,33 @@ function PersonForm({ person = null, houses = [], onSave, onCancel }) {
       newErrors.lastName = 'Last name is required';
     }
 
-    const dateRegex = /^\d{4}(-\d{2}(-\d{2})?)?$/;
-    if (formData.dateOfBirth && !dateRegex.test(formData.dateOfBirth)) {
-      newErrors.dateOfBirth = 'Date must be YYYY, YYYY-MM, or YYYY-MM-DD';
+    // Dates are typed in the dataset's calendar and stored canonically
+    const birth = parseDateInput(formData.dateOfBirth, { uncertain: true });
+    const death = parseDateInput(formData.dateOfDeath, { uncertain: true });
+    if (!birth.valid) {
+      newErrors.dateOfBirth = birth.error;
     }
-    if (formData.dateOfDeath && !dateRegex.test(formData.dateOfDeath)) {
-      newErrors.dateOfDeath = 'Date must be YYYY, YYYY-MM, or YYYY-MM-DD';
+    if (!death.valid) {
+      newErrors.dateOfDeath = death.error;
     }
 
-    if (formData.dateOfBirth && formData.dateOfDeath) {
-      if (formData.dateOfDeath < formData.dateOfBirth) {
+    if (birth.value && death.value) {
+      if (compareDates(death.value, birth.value) < 0) {
         newErrors.dateOfDeath = 'Death date cannot be before birth date';
       }
     }
 
     setErrors(newErrors);
-    return Object.keys(newErrors).length === 0;
+    return Object.keys(newErrors).length === 0
+      ? { dateOfBirth: birth.value, dateOfDeath: death.value }
+      : null;
   };
 
   const handleSubmit = (e) => {
     e.preventDefault();
 
-    if (validate()) {
+    const dates = validate();
+    if (dates) {
       const titlesArray = formData.titles
         ? formData.titles.split(',').map(t => t.trim()).filter(t => t)
         : [];
@@ -163,8 +171,8 @@ function PersonForm({ person = null, houses = [], onSave, onCancel }) {
         titles: titlesArray,
         houseId: formData.houseId ? parseInt(formData.houseId) : null,
         maidenName: formData.maidenName || null,
-        dateOfBirth: formData.dateOfBirth || null,
-        dateOfDeath: formData.dateOfDeath || null,
+        dateOfBirth: dates.dateOfBirth || null,
+        dateOfDeath: dates.dateOfDeath || null,
         species: formData.species || null,
         magicalBloodline: formData.magicalBloodline || null,
         portraitUrl: formData.portraitUrl || null,
@@ -373,7 +381,7 @@ function PersonForm({ person = null, houses = [], onSave, onCancel }) {
               value={formData.dateOfBirth || ''}
               onChange={handleChange}
               className={`person-form__input ${errors.dateOfBirth ? 'person-form__input--error' : ''}`}
-              placeholder="YYYY-MM-DD or YYYY"
+              placeholder={isGregorian ? 'YYYY-MM-DD or YYYY' : getDateInputHint()}
             />
             {errors.dateOfBirth ? (
               <span className="person-form__error">
@@ -381,7 +389,7 @@ function PersonForm({ person = null, houses = [], onSave, onCancel }) {
                 {errors.dateOfBirth}
               </span>
             ) : (
-              <span className="person-form__hint">Format: YYYY-MM-DD, YYYY-MM, or YYYY</span>
+              <span className="person-form__hint">{getDateInputHint({ uncertain: true })}</span>
             )}
           </div>
 
@@ -397,7 +405,7 @@ function PersonForm({ person = null, houses = [], onSave, onCancel }) {
               value={formData.dateOfDeath || ''}
               onChange={handleChange}
               className={`person-form__input ${errors.dateOfDeath ? 'person-form__input--error' : ''}`}
-              placeholder="YYYY-MM-DD or YYYY"
+              placeholder={isGregorian ? 'YYYY-MM-DD or YYYY' : getDateInputHint()}
             />
             {errors.dateOfDeath ? (
               <span className="person-form__error">
@@ -445,6 +453,21 @@ function PersonForm({ person = null, houses = [], onSave, onCancel }) {
             This affects the border color in the family tree visualization
           </span>
         </div>
+
+        <div className="person-form__group">
+          <label className="person-form__checkbox">
+            <input
+              type="checkbox"
+              name="inHolyOrders"
+              checked={formData.inHolyOrders}
+              onChange={(e) => setFormData(prev => ({ ...prev, inHolyOrders: e.target.checked }))}
+            />
+            <span>In holy orders</span>
+          </label>
+          <span className="person-form__hint">
+            Custom succession laws can bar clergy from inheriting
+          </span>
+        </div>
       </motion.div>
 
       {/* Fantasy Elements Section */}
@@ -4,7 +4,10 @@
  * PURPOSE:
  * Displays all people in an animated list with their key information.
  * Shows house affiliation and provides edit/delete options.
- * Includes search and sort functionality.
+ * Includes search and sort functionality, plus the advanced query builder
+ * (EXPERIMENTAL.ADVANCED_SEARCH) whose matches narrow the list.
+ * With EXPERIMENTAL.BULK_OPERATIONS, people can be multi-selected and
+ * edited together in the bulk edit dialog.
  * Uses Framer Motion for animations, Lucide icons, and BEM CSS.
  *
  * Props:
@@ -27,7 +30,12 @@ import GroupHeader from './shared/GroupHeader';
 import GroupToggle from './shared/GroupToggle';
 import Pagination from './shared/Pagination';
 import ViewDensityToggle from './shared/ViewDensityToggle';
+import AdvancedSearch from './AdvancedSearch';
+import BulkEditPanel from './BulkEditPanel';
 import useListKeyboardShortcuts from '../hooks/useListKeyboardShortcuts';
+import { useCalendar } from '../contexts/CalendarContext';
+import { isFeatureEnabled } from '../config/featureFlags';
+import { getResultPeople } from '../utils/searchQuery';
 import './PersonList.css';
 
 // ==================== PAGINATION CONFIG ====================
@@ -94,6 +102,8 @@ const SORT_OPTIONS = [
 ];
 
 function PersonList({ people, houses, onEdit, onDelete }) {
+  const { compareDates } = useCalendar();
+
   // ==================== SEARCH & SORT STATE ====================
   const [searchTerm, setSearchTerm] = useState('');
   const [sortBy, setSortBy] = useState('lastName');
@@ -103,6 +113,15 @@ function PersonList({ people, houses, onEdit, onDelete }) {
   const [filterLegitimacy, setFilterLegitimacy] = useState('');
   const [filterLivingStatus, setFilterLivingStatus] = useState('');
 
+  // ==================== ADVANCED SEARCH STATE ====================
+  const [showAdvanced, setShowAdvanced] = useState(false);
+  const [advancedMatchIds, setAdvancedMatchIds] = useState(null); // Set of person IDs, null = no query
+
+  // ==================== BULK SELECTION STATE ====================
+  const bulkEnabled = isFeatureEnabled('EXPERIMENTAL.BULK_OPERATIONS');
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [showBulkEdit, setShowBulkEdit] = useState(false);
+
   // ==================== GROUPING STATE ====================
   const [groupByHouse, setGroupByHouse] = useState(true);
   const [collapsedGroups, setCollapsedGroups] = useState(new Set());
@@ -163,14 +182,6 @@ function PersonList({ people, houses, onEdit, onDelete }) {
     return house ? house.colorCode : 'var(--text-tertiary)';
   };
 
-  /**
-   * Format date for display
-   */
-  const formatDate = (dateStr) => {
-    if (!dateStr) return null;
-    return dateStr;
-  };
-
   // ==================== HOUSE OPTIONS FOR FILTER ====================
   const houseOptions = useMemo(() => {
     return houses
@@ -194,6 +205,11 @@ function PersonList({ people, houses, onEdit, onDelete }) {
       );
     }
 
+    // Apply advanced search matches
+    if (advancedMatchIds) {
+      filtered = filtered.filter(p => advancedMatchIds.has(p.id));
+    }
+
     // Apply house filter
     if (filterHouse) {
       filtered = filtered.filter(p => p.houseId === filterHouse);
@@ -223,9 +239,11 @@ function PersonList({ people, houses, onEdit, onDelete }) {
         case 'firstName':
           return (a.firstName || '').localeCompare(b.firstName || '');
         case 'dateOfBirth':
-          return (a.dateOfBirth || '9999').localeCompare(b.dateOfBirth || '9999');
+          return compareDates(a.dateOfBirth, b.dateOfBirth);
         case 'dateOfBirthDesc':
-          return (b.dateOfBirth || '').localeCompare(a.dateOfBirth || '');
+          // Reverse order, but people without a birth date still go last
+          if (!a.dateOfBirth || !b.dateOfBirth) return compareDates(a.dateOfBirth, b.dateOfBirth);
+          return compareDates(b.dateOfBirth, a.dateOfBirth);
         case 'house': {
           const houseA = getHouseName(a.houseId);
           const houseB = getHouseName(b.houseId);
@@ -237,7 +255,7 @@ function PersonList({ people, houses, onEdit, onDelete }) {
     });
 
     return filtered;
-  }, [people, houses, searchTerm, sortBy, filterHouse, filterLegitimacy, filterLivingStatus, houseMap]);
+  }, [people, houses, searchTerm, sortBy, filterHouse, filterLegitimacy, filterLivingStatus, advancedMatchIds, houseMap, compareDates]);
 
   // Memoize processed people with house data
   const processedPeople = useMemo(() => {
@@ -279,13 +297,14 @@ function PersonList({ people, houses, onEdit, onDelete }) {
   const hasActiveFilters = searchTerm.length > 0 ||
     filterHouse.length > 0 ||
     filterLegitimacy.length > 0 ||
-    filterLivingStatus.length > 0;
+    filterLivingStatus.length > 0 ||
+    advancedMatchIds !== null;
 
   // ==================== PAGINATION LOGIC ====================
   // Reset page when filters/sort change
   useMemo(() => {
     setCurrentPage(1);
-  }, [searchTerm, sortBy, filterHouse, filterLegitimacy, filterLivingStatus]);
+  }, [searchTerm, sortBy, filterHouse, filterLegitimacy, filterLivingStatus, advancedMatchIds]);
 
   // Calculate total pages (only for ungrouped view)
   const totalPages = Math.ceil(processedPeople.length / ITEMS_PER_PAGE);
@@ -303,10 +322,52 @@ function PersonList({ people, houses, onEdit, onDelete }) {
     setFilterHouse('');
     setFilterLegitimacy('');
     setFilterLivingStatus('');
+    setShowAdvanced(false);
+    setAdvancedMatchIds(null);
     setSortBy('lastName');
     setCurrentPage(1);
   }, []);
 
+  // ==================== BULK SELECTION ====================
+  // People deleted since they were picked drop out of the selection
+  const selectedPeopleIds = useMemo(
+    () => people.filter(p => selectedIds.has(p.id)).map(p => p.id),
+    [people, selectedIds]
+  );
+  const allShownSelected = processedPeople.length > 0 &&
+    processedPeople.every(p => selectedIds.has(p.id));
+
+  const toggleSelected = useCallback((personId) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(personId)) {
+        next.delete(personId);
+      } else {
+        next.add(personId);
+      }
+      return next;
+    });
+  }, []);
+
+  // Selects everyone matching the filters, not just the current page
+  const handleToggleAllShown = () => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      processedPeople.forEach(p => (allShownSelected ? next.delete(p.id) : next.add(p.id)));
+      return next;
+    });
+  };
+
+  // House and dignity searches narrow the list to members and holders
+  const handleAdvancedResults = useCallback((records, entity) => {
+    setAdvancedMatchIds(records ? new Set(getResultPeople(records, entity, people).map(p => p.id)) : null);
+  }, [people]);
+
+  const handleToggleAdvanced = (enabled) => {
+    setShowAdvanced(enabled);
+    if (!enabled) setAdvancedMatchIds(null);
+  };
+
   // If no data at all, show empty state without controls
   if (people.length === 0) {
     return (
@@ -371,8 +432,63 @@ function PersonList({ people, houses, onEdit, onDelete }) {
           density={viewDensity}
           onChange={setViewDensity}
         />
+        {isFeatureEnabled('EXPERIMENTAL.ADVANCED_SEARCH') && (
+          <GroupToggle
+            enabled={showAdvanced}
+            onChange={handleToggleAdvanced}
+            label="Advanced Search"
+          />
+        )}
       </ListControls>
 
+      {showAdvanced && (
+        <div className="person-list__advanced">
+          <AdvancedSearch
+            onResults={handleAdvancedResults}
+            onSelect={(record, entity) => entity === 'people' && onEdit(record)}
+          />
+        </div>
+      )}
+
+      {bulkEnabled && (
+        <div className="person-list__selection">
+          <label className="person-list__select-all">
+            <input
+              type="checkbox"
+              checked={allShownSelected}
+              onChange={handleToggleAllShown}
+              disabled={processedPeople.length === 0}
+            />
+            <span>Select all {processedPeople.length} shown</span>
+          </label>
+          <span className="person-list__selection-count">
+            {selectedPeopleIds.length} selected
+          </span>
+          {selectedPeopleIds.length > 0 && (
+            <ActionButton variant="ghost" size="sm" icon="x" onClick={() => setSelectedIds(new Set())}>
+              Clear
+            </ActionButton>
+          )}
+          <ActionButton
+            variant="primary"
+            size="sm"
+            icon="layers"
+            onClick={() => setShowBulkEdit(true)}
+            disabled={selectedPeopleIds.length === 0}
+          >
+            Bulk Edit
+          </ActionButton>
+        </div>
+      )}
+
+      {bulkEnabled && (
+        <BulkEditPanel
+          isOpen={showBulkEdit}
+          onClose={() => setShowBulkEdit(false)}
+          selectedIds={selectedPeopleIds}
+        />
+      )}
+
       {/* Empty state for filtered results */}
       {processedPeople.length === 0 && hasActiveFilters ? (
         <EmptyState
@@ -409,6 +525,8 @@ function PersonList({ people, houses, onEdit, onDelete }) {
                         onEdit={onEdit}
                         onDelete={onDelete}
                         showHouse={false}
+                        selected={selectedIds.has(person.id)}
+                        onToggleSelect={bulkEnabled ? toggleSelected : null}
                       />
                     ))}
                   </motion.div>
@@ -434,6 +552,8 @@ function PersonList({ people, houses, onEdit, onDelete }) {
                   onEdit={onEdit}
                   onDelete={onDelete}
                   showHouse={true}
+                  selected={selectedIds.has(person.id)}
+                  onToggleSelect={bulkEnabled ? toggleSelected : null}
                 />
               ))}
             </AnimatePresence>
@@ -450,15 +570,12 @@ function PersonList({ people, houses, onEdit, onDelete }) {
 }
 
 // ==================== PERSON ITEM SUBCOMPONENT ====================
-function PersonItem({ person, onEdit, onDelete, showHouse = true }) {
-  const formatDate = (dateStr) => {
-    if (!dateStr) return null;
-    return dateStr;
-  };
+function PersonItem({ person, onEdit, onDelete, showHouse = true, selected = false, onToggleSelect = null }) {
+  const { formatDate } = useCalendar();
 
   return (
     <motion.div
-      className="person-list__item"
+      className={`person-list__item ${selected ? 'person-list__item--selected' : ''}`}
       style={{ '--legitimacy-color': person.legitimacyColor }}
       variants={ITEM_VARIANTS}
       initial="hidden"
@@ -468,6 +585,17 @@ function PersonItem({ person, onEdit, onDelete, showHouse = true }) {
       whileHover={{ y: -2 }}
     >
       <div className="person-list__content">
+        {/* Bulk selection */}
+        {onToggleSelect && (
+          <input
+            type="checkbox"
+            className="person-list__checkbox"
+            checked={selected}
+            onChange={() => onToggleSelect(person.id)}
+            aria-label={`Select ${person.firstName} ${person.lastName}`}
+          />
+        )}
+
         {/* Person Info */}
         <div className="person-list__info">
           {/* Name and House */}
@@ -0,0 +1,243 @@
+/**
+ * PersonMergePanel.jsx - Merge Two Person Records
+ *
+ * PURPOSE:
+ * Side-by-side merge for a confirmed duplicate. For each field the user
+ * picks which record's value to keep; titles and epithets are combined.
+ * Everything pointing at the duplicate - relationships, dignity tenures,
+ * household roles, heraldry, writing links, Codex entries - is re-pointed
+ * at the person kept, and the merge is recorded so it can be reversed.
+ * See utils/personMerge.js for the rules.
+ *
+ * Props:
+ * - isOpen: Whether the dialog is shown
+ * - onClose: Close handler
+ * - person1Id / person2Id: The pair to merge (person 1 is kept by default)
+ * - onMerged: Called with the merge record after merging (optional)
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import Modal from './Modal';
+import Icon from './icons';
+import { useGenealogy } from '../contexts/GenealogyContext';
+import { useDataset } from '../contexts/DatasetContext';
+import { previewPersonMerge } from '../services/database';
+import {
+  MERGE_FIELDS,
+  getDefaultChoices,
+  getConflictingFields,
+  buildMergedPerson
+} from '../utils/personMerge';
+import './PersonMergePanel.css';
+
+const SUMMARY_LABELS = {
+  relationship: ['relationship', 'relationships'],
+  house: ['house founded', 'houses founded'],
+  dignity: ['dignity', 'dignities'],
+  dignityTenure: ['dignity tenure', 'dignity tenures'],
+  householdRole: ['household role', 'household roles'],
+  lifeEvent: ['life event', 'life events'],
+  residence: ['residence', 'residences'],
+  heraldryLink: ['heraldry link', 'heraldry links'],
+  writingLink: ['writing link', 'writing links'],
+  codexEntry: ['Codex entry', 'Codex entries'],
+  acknowledgedDuplicate: ['namesake note', 'namesake notes']
+};
+
+const personName = (person) =>
+  [person?.firstName, person?.lastName].filter(Boolean).join(' ') || 'Unnamed';
+
+function PersonMergePanel({ isOpen, onClose, person1Id, person2Id, onMerged = null }) {
+  const { people, houses, mergePeople } = useGenealogy();
+  const { activeDataset } = useDataset();
+
+  // ==================== STATE ====================
+  const [swapped, setSwapped] = useState(false);
+  const [choiceOverrides, setChoiceOverrides] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [merging, setMerging] = useState(false);
+  const [error, setError] = useState(null);
+
+  const survivorId = swapped ? person2Id : person1Id;
+  const duplicateId = swapped ? person1Id : person2Id;
+  const survivor = people.find(p => p.id === survivorId);
+  const duplicate = people.find(p => p.id === duplicateId);
+
+  const choices = useMemo(() => (
+    survivor && duplicate ? { ...getDefaultChoices(survivor, duplicate), ...choiceOverrides } : {}
+  ), [survivor, duplicate, choiceOverrides]);
+
+  const conflicts = useMemo(() => (
+    survivor && duplicate ? new Set(getConflictingFields(survivor, duplicate)) : new Set()
+  ), [survivor, duplicate]);
+
+  const merged = survivor && duplicate ? buildMergedPerson(survivor, duplicate, choices) : null;
+
+  // What else the merge re-points (read from the database, which holds
+  // the dignity, heraldry and writing records)
+  useEffect(() => {
+    if (!isOpen || !survivorId || !duplicateId) return undefined;
+    let cancelled = false;
+    previewPersonMerge(survivorId, duplicateId, null, {}, activeDataset?.id)
+      .then(plan => { if (!cancelled) setPreview(plan.summary); })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [isOpen, survivorId, duplicateId, activeDataset, people]);
+
+  const handleSwap = () => {
+    setSwapped(prev => !prev);
+    setChoiceOverrides({});
+    setPreview(null);
+  };
+
+  const handleMerge = async () => {
+    setMerging(true);
+    setError(null);
+    try {
+      const merge = await mergePeople(survivorId, duplicateId, choices);
+      onMerged?.(merge);
+      onClose();
+    } catch (err) {
+      console.error('❌ Error merging people:', err);
+      setError(err.message || 'Merge failed.');
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  // ==================== RENDER ====================
+
+  const formatValue = (key, value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (key === 'houseId') return houses.find(h => h.id === value)?.houseName || `House ${value}`;
+    if (key === 'notes' || key === 'portraitUrl') {
+      const text = String(value);
+      return text.length > 60 ? `${text.slice(0, 60)}…` : text;
+    }
+    return String(value);
+  };
+
+  const renderChoice = (key, side, person) => {
+    const selected = choices[key] === side;
+    return (
+      <td className={`person-merge__cell ${selected ? 'person-merge__cell--selected' : ''}`}>
+        <label className="person-merge__option">
+          <input
+            type="radio"
+            name={`merge-${key}`}
+            checked={selected}
+            onChange={() => setChoiceOverrides(prev => ({ ...prev, [key]: side }))}
+          />
+          <span>{formatValue(key, person[key])}</span>
+        </label>
+      </td>
+    );
+  };
+
+  const summaryItems = preview
+    ? Object.entries(preview).map(([type, count]) => {
+        const [one, many] = SUMMARY_LABELS[type] || [type, type];
+        return `${count} ${count === 1 ? one : many}`;
+      })
+    : [];
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Merge People"
+      icon="users"
+      size="lg"
+    >
+      {!survivor || !duplicate ? (
+        <p className="modal__description">One of these people no longer exists.</p>
+      ) : (
+        <div className="person-merge">
+          <p className="modal__description">
+            Keep <strong>{personName(survivor)}</strong> and fold <strong>{personName(duplicate)}</strong> into them.
+            Pick which value to keep for each field; fields that disagree are marked.
+          </p>
+
+          <table className="person-merge__table">
+            <thead>
+              <tr>
+                <th />
+                <th>Keep · #{survivor.id}</th>
+                <th>
+                  Merge in · #{duplicate.id}
+                  <button type="button" className="person-merge__swap" onClick={handleSwap} title="Keep this one instead">
+                    <Icon name="refresh" size={14} />
+                  </button>
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {MERGE_FIELDS.map(({ key, label }) => (
+                <tr key={key} className={conflicts.has(key) ? 'person-merge__row--conflict' : ''}>
+                  <th className="person-merge__field">
+                    {conflicts.has(key) && <Icon name="alert-circle" size={12} />}
+                    {label}
+                  </th>
+                  {renderChoice(key, 'survivor', survivor)}
+                  {renderChoice(key, 'duplicate', duplicate)}
+                </tr>
+              ))}
+              <tr>
+                <th className="person-merge__field">Titles</th>
+                <td colSpan={2} className="person-merge__combined">
+                  {merged.titles?.join(', ') || '—'}
+                </td>
+              </tr>
+              <tr>
+                <th className="person-merge__field">Epithets</th>
+                <td colSpan={2} className="person-merge__combined">
+                  {merged.epithets?.map(e => e.text).join(', ') || '—'}
+                </td>
+              </tr>
+            </tbody>
+          </table>
+
+          <div className="modal__alert modal__alert--info">
+            <Icon name="info" size={16} className="modal__alert-icon" />
+            <div className="modal__alert-content">
+              <p className="modal__alert-text">
+                {preview === null
+                  ? 'Checking what points at this person…'
+                  : summaryItems.length > 0
+                    ? `Re-points ${summaryItems.join(', ')} to ${personName(survivor)}.`
+                    : `Nothing else points at ${personName(duplicate)}.`}
+                {' '}{personName(duplicate)} is then removed. The merge can be reversed from the merge history.
+              </p>
+            </div>
+          </div>
+
+          {error && (
+            <div className="modal__alert modal__alert--error">
+              <Icon name="alert-circle" size={16} className="modal__alert-icon" />
+              <div className="modal__alert-content">
+                <p className="modal__alert-text">{error}</p>
+              </div>
+            </div>
+          )}
+
+          <div className="person-merge__actions">
+            <button type="button" className="person-merge__btn person-merge__btn--secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="person-merge__btn person-merge__btn--primary"
+              onClick={handleMerge}
+              disabled={merging}
+            >
+              <Icon name={merging ? 'loader' : 'check'} size={16} />
+              <span>{merging ? 'Merging...' : 'Merge'}</span>
+            </button>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+}
+
+export default PersonMergePanel;
@@ -17,6 +17,7 @@
 import { useState, useEffect, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useDataset } from '../contexts/DatasetContext';
+import { useCalendar } from '../contexts/CalendarContext';
 import {
   getPersonalArms,
   hasPersonalArms,
@@ -56,6 +57,7 @@ function PersonalArmsSection({
 }) {
   const navigate = useNavigate();
   const { activeDataset } = useDataset();
+  const { calendar } = useCalendar();
   
   // ==================== STATE ====================
   const [personalArms, setPersonalArms] = useState(null);
@@ -96,8 +98,8 @@ function PersonalArmsSection({
     if (!person || !allPeople.length || !allRelationships.length) {
       return null;
     }
-    return calculateBirthOrder(person, allPeople, allRelationships);
-  }, [person, allPeople, allRelationships]);
+    return calculateBirthOrder(person, allPeople, allRelationships, calendar);
+  }, [person, allPeople, allRelationships, calendar]);
   
   // Check eligibility
   const eligible = useMemo(() => {
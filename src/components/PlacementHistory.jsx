@@ -0,0 +1,270 @@
+/**
+ * PlacementHistory.jsx - Where Someone Lived, or Where a House Sat
+ *
+ * PURPOSE:
+ * Lists a person's residences or a house's seats over time, each with its
+ * place in the locations registry and its dates, and lets the user add or
+ * remove them. Loads and saves through locationService itself, so it can
+ * sit in any panel that knows the person or house. See utils/locations.js.
+ *
+ * USAGE:
+ * <PlacementHistory kind="residence" ownerId={person.id} />
+ * <PlacementHistory kind="seat" ownerId={house.id} />
+ *
+ * Props:
+ * - kind: 'residence' (ownerId is a person) or 'seat' (ownerId is a house)
+ * - ownerId: Person or house ID
+ * - readOnly: Hide add/remove controls
+ */
+
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Icon from './icons';
+import { useAuth } from '../contexts/AuthContext';
+import { useDataset } from '../contexts/DatasetContext';
+import { useCalendar } from '../contexts/CalendarContext';
+import {
+  getAllLocations,
+  getResidencesForPerson,
+  createResidence,
+  deleteResidence,
+  getSeatsForHouse,
+  createHouseSeat,
+  deleteHouseSeat
+} from '../services/locationService';
+import {
+  flattenLocationTree,
+  getLocationPath,
+  sortPlacements,
+  validatePlacement
+} from '../utils/locations';
+import './PlacementHistory.css';
+
+const KINDS = {
+  residence: {
+    ownerKey: 'personId',
+    load: getResidencesForPerson,
+    create: createResidence,
+    remove: deleteResidence,
+    noun: 'residence',
+    empty: 'No residences recorded'
+  },
+  seat: {
+    ownerKey: 'houseId',
+    load: getSeatsForHouse,
+    create: createHouseSeat,
+    remove: deleteHouseSeat,
+    noun: 'seat',
+    empty: 'No seats recorded'
+  }
+};
+
+const EMPTY_FORM = { locationId: '', startDate: '', endDate: '', notes: '' };
+
+function PlacementHistory({ kind = 'residence', ownerId, readOnly = false }) {
+  const config = KINDS[kind];
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { activeDataset } = useDataset();
+  const { calendar, formatDate, parseDateInput, getDateInputHint } = useCalendar();
+
+  // ==================== STATE ====================
+  const [placements, setPlacements] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [isAdding, setIsAdding] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState([]);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!ownerId) return undefined;
+    let cancelled = false;
+    const datasetId = activeDataset?.id;
+    Promise.all([config.load(ownerId, datasetId), getAllLocations(datasetId)])
+      .then(([loaded, allLocations]) => {
+        if (cancelled) return;
+        setPlacements(loaded);
+        setLocations(allLocations);
+      })
+      .catch(error => console.warn(`Could not load ${config.noun}s:`, error));
+    return () => { cancelled = true; };
+  }, [ownerId, activeDataset, config, reloadKey]);
+
+  // ==================== HANDLERS ====================
+
+  const updateForm = (updates) => setForm(prev => ({ ...prev, ...updates }));
+
+  const handleCancel = () => {
+    setForm(EMPTY_FORM);
+    setErrors([]);
+    setIsAdding(false);
+  };
+
+  const handleAdd = async () => {
+    const start = parseDateInput(form.startDate, { uncertain: true });
+    const end = parseDateInput(form.endDate, { uncertain: true });
+    if (!start.valid || !end.valid) {
+      setErrors([!start.valid ? `From: ${start.error}` : `Until: ${end.error}`]);
+      return;
+    }
+
+    const placement = {
+      [config.ownerKey]: ownerId,
+      locationId: form.locationId ? Number(form.locationId) : null,
+      startDate: start.value || null,
+      endDate: end.value || null,
+      notes: form.notes.trim() || null
+    };
+    const validation = validatePlacement(placement, locations, calendar);
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    try {
+      await config.create(placement, user?.uid, activeDataset?.id);
+      handleCancel();
+      setReloadKey(key => key + 1);
+    } catch (error) {
+      setErrors([error.message]);
+    }
+  };
+
+  const handleRemove = async (placement) => {
+    try {
+      await config.remove(placement.id, user?.uid, activeDataset?.id);
+      setReloadKey(key => key + 1);
+    } catch (error) {
+      alert(`Error removing ${config.noun}: ` + error.message);
+    }
+  };
+
+  // ==================== RENDER ====================
+
+  const describeDates = (placement) => {
+    if (!placement.startDate && !placement.endDate) return 'Dates unknown';
+    const from = placement.startDate ? formatDate(placement.startDate) : '?';
+    return placement.endDate ? `${from} – ${formatDate(placement.endDate)}` : `from ${from}`;
+  };
+
+  const dateHint = getDateInputHint({ uncertain: true });
+
+  return (
+    <div className="placement-history">
+      {placements.length === 0 && !isAdding && (
+        <p className="placement-history__empty">{config.empty}</p>
+      )}
+
+      {placements.length > 0 && (
+        <ul className="placement-history__list">
+          {sortPlacements(placements, calendar).map(placement => {
+            const path = getLocationPath(placement.locationId, locations);
+            const place = path[path.length - 1];
+            return (
+              <li key={placement.id} className="placement-history__item">
+                <Icon name="map-pin" size={12} className="placement-history__icon" />
+                <div className="placement-history__body">
+                  <button
+                    type="button"
+                    className="placement-history__place"
+                    onClick={() => place && navigate(`/locations/${place.id}`)}
+                    disabled={!place}
+                    title={path.map(l => l.name).join(' › ')}
+                  >
+                    {place?.name || 'Unknown location'}
+                  </button>
+                  {path.length > 1 && (
+                    <span className="placement-history__within">
+                      {path[path.length - 2].name}
+                    </span>
+                  )}
+                  <span className="placement-history__dates">{describeDates(placement)}</span>
+                  {placement.notes && <span className="placement-history__notes">{placement.notes}</span>}
+                </div>
+                {!readOnly && (
+                  <button
+                    type="button"
+                    className="placement-history__remove"
+                    onClick={() => handleRemove(placement)}
+                    title={`Remove this ${config.noun}`}
+                  >
+                    <Icon name="x" size={12} />
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {isAdding && (
+        <div className="placement-history__form">
+          <select
+            value={form.locationId}
+            onChange={(e) => updateForm({ locationId: e.target.value })}
+            className="placement-history__input"
+          >
+            <option value="">Choose a location…</option>
+            {flattenLocationTree(locations).map(({ location, depth }) => (
+              <option key={location.id} value={location.id}>
+                {'\u00A0\u00A0'.repeat(depth)}{location.name}
+              </option>
+            ))}
+          </select>
+          {locations.length === 0 && (
+            <p className="placement-history__hint">
+              Add places in the <button type="button" className="placement-history__link" onClick={() => navigate('/locations')}>locations registry</button> first.
+            </p>
+          )}
+          <div className="placement-history__form-row">
+            <input
+              type="text"
+              value={form.startDate}
+              onChange={(e) => updateForm({ startDate: e.target.value })}
+              placeholder="From"
+              title={dateHint}
+              className="placement-history__input"
+            />
+            <input
+              type="text"
+              value={form.endDate}
+              onChange={(e) => updateForm({ endDate: e.target.value })}
+              placeholder="Until"
+              title={dateHint}
+              className="placement-history__input"
+            />
+          </div>
+          <input
+            type="text"
+            value={form.notes}
+            onChange={(e) => updateForm({ notes: e.target.value })}
+            placeholder="Note (optional)"
+            className="placement-history__input"
+          />
+
+          {errors.length > 0 && (
+            <p className="placement-history__error">{errors[0]}</p>
+          )}
+
+          <div className="placement-history__form-actions">
+            <button type="button" className="placement-history__btn" onClick={handleCancel}>
+              Cancel
+            </button>
+            <button type="button" className="placement-history__btn placement-history__btn--primary" onClick={handleAdd}>
+              Add {config.noun === 'seat' ? 'Seat' : 'Residence'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {!readOnly && !isAdding && (
+        <button type="button" className="placement-history__add-btn" onClick={() => setIsAdding(true)}>
+          <Icon name="plus" size={12} />
+          <span>{config.noun === 'seat' ? 'Seat' : 'Residence'}</span>
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default PlacementHistory;
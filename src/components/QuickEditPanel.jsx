@@ -7,9 +7,13 @@
  * - Personal arms section
  * - Biography/Codex integration
  * - Titles & Dignities
+ * - Life events timeline
+ * - Residences over time
  * - Epithets management
  * - Family relationships (spouses, parents, children, siblings)
+ * - Bloodline: inbreeding, pedigree collapse and kinship with spouses
  * - Smart validation for relationship creation
+ * - "Focus on line" for the family tree (when onFocusLine is given)
  *
  * Medieval manuscript theme with Framer Motion animations.
  */
@@ -19,17 +23,41 @@ import { useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useGenealogy } from '../contexts/GenealogyContext';
 import { useDataset } from '../contexts/DatasetContext';
+import { useAuth } from '../contexts/AuthContext';
+import { useCalendar } from '../contexts/CalendarContext';
 import HouseHeraldrySection from './HouseHeraldrySection';
 import PersonalArmsSection from './PersonalArmsSection';
 import { hasPersonalArms } from '../services/heraldryService';
-import { getEntryByPersonId } from '../services/codexService';
+import { getEntryByPersonId, getAllEntries as getAllCodexEntries } from '../services/codexService';
 import { getBiographyStatus, getStatusSummary } from '../utils/biographyStatus';
 import { validateRelationship } from '../utils/SmartDataValidator';
+import { buildRelationshipMaps } from '../utils/RelationshipCalculator';
+import {
+  buildBloodParentMap,
+  createAnalysisCache,
+  calculateInbreedingCoefficient,
+  calculatePedigreeCollapse,
+  analyzeKinship,
+  getHouseConsanguinityStats,
+  formatCoefficient
+} from '../services/consanguinityService';
+import { getYear, toCanonicalDate } from '../utils/calendarUtils';
 import { getDignitiesForPerson, getDignityIcon, DIGNITY_CLASSES, DIGNITY_NATURES } from '../services/dignityService';
 import { getLinksByTarget, LINK_TARGET_TYPES } from '../services/writingLinkService';
-import { getWriting } from '../services/writingService';
+import { getWriting, getAllWritings } from '../services/writingService';
+import { getAllChapters } from '../services/chapterService';
+import {
+  getLifeEventsForPerson,
+  createLifeEvent,
+  updateLifeEvent,
+  deleteLifeEvent
+} from '../services/lifeEventService';
 import EpithetsSection from './EpithetsSection';
+import LifeEventTimeline from './LifeEventTimeline';
+import PlacementHistory from './PlacementHistory';
+import FactSources, { ConfidenceBadge } from './FactSources';
 import { getPrimaryEpithet } from '../utils/epithetUtils';
+import { CITABLE_FIELDS } from '../utils/citations';
 import Icon from './icons/Icon';
 import ActionButton from './shared/ActionButton';
 import './QuickEditPanel.css';
@@ -82,6 +110,7 @@ function QuickEditPanel({
   person,
   onClose,
   onPersonSelect,
+  onFocusLine,
   isDarkTheme = true
 }) {
   const {
@@ -91,14 +120,26 @@ function QuickEditPanel({
     addPerson,
     updatePerson,
     addRelationship,
+    updateRelationship,
     deleteRelationship
   } = useGenealogy();
 
   const navigate = useNavigate();
+  const { user } = useAuth();
   const { activeDataset } = useDataset();
+  const {
+    calendar,
+    formatYear,
+    formatDateForInput,
+    parseDateInput,
+    compareDates,
+    getDateInputHint
+  } = useCalendar();
 
   // Local state
   const [editedPerson, setEditedPerson] = useState(person);
+  // Dates are edited as calendar text and converted back to stored form on save
+  const [dateInputs, setDateInputs] = useState({ dateOfBirth: '', dateOfDeath: '' });
   const [addingRelationType, setAddingRelationType] = useState(null);
   const [addMode, setAddMode] = useState('new');
   const [newPersonForm, setNewPersonForm] = useState(null);
@@ -119,6 +160,9 @@ function QuickEditPanel({
   const [personHasArms, setPersonHasArms] = useState(false);
   const [writingBacklinks, setWritingBacklinks] = useState([]);
   const [loadingBacklinks, setLoadingBacklinks] = useState(false);
+  const [lifeEvents, setLifeEvents] = useState([]);
+  // Codex entries, writings and chapters that citations can point at
+  const [sourceOptions, setSourceOptions] = useState({ codexEntries: [], writings: [], chapters: [] });
 
   // Collapsible section state
   // Biography is always collapsed, others auto-expand if they have data
@@ -127,7 +171,11 @@ function QuickEditPanel({
     biography: true,
     titles: true,
     epithets: true,
-    writingBacklinks: true
+    lifeEvents: true,
+    residences: true,
+    writingBacklinks: true,
+    bloodline: true,
+    sources: true
   });
 
   const toggleSection = (section) => {
@@ -140,6 +188,10 @@ function QuickEditPanel({
   // Reset state when person changes
   useEffect(() => {
     setEditedPerson(person);
+    setDateInputs({
+      dateOfBirth: formatDateForInput(person?.dateOfBirth),
+      dateOfDeath: formatDateForInput(person?.dateOfDeath)
+    });
     setAddingRelationType(null);
     setAddMode('new');
     setNewPersonForm(null);
@@ -157,7 +209,7 @@ function QuickEditPanel({
       setPersonHasArms(false);
       setWritingBacklinks([]);
     }
-  }, [person, activeDataset]);
+  }, [person, activeDataset, formatDateForInput]);
 
   // Smart auto-expand: when data loads, expand sections that have content (except biography)
   useEffect(() => {
@@ -167,9 +219,45 @@ function QuickEditPanel({
       // biography always stays collapsed (user preference)
       titles: personDignities.length === 0,  // Expand if has titles
       epithets: !(person?.epithets?.length > 0),  // Expand if has epithets
-      writingBacklinks: writingBacklinks.length === 0  // Expand if mentioned in writings
+      lifeEvents: lifeEvents.length === 0,  // Expand if has life events
+      writingBacklinks: writingBacklinks.length === 0,  // Expand if mentioned in writings
+      sources: !(person?.citations?.length > 0)  // Expand if any fact is cited
     }));
-  }, [personHasArms, personDignities, person?.epithets, writingBacklinks]);
+  }, [personHasArms, personDignities, person?.epithets, lifeEvents, writingBacklinks, person?.citations]);
+
+  // Life events for the timeline
+  useEffect(() => {
+    if (!person?.id) {
+      setLifeEvents([]);
+      return undefined;
+    }
+    let cancelled = false;
+    getLifeEventsForPerson(person.id, activeDataset?.id)
+      .then(events => {
+        if (!cancelled) setLifeEvents(events);
+      })
+      .catch(error => {
+        console.warn('Could not load life events:', error);
+        if (!cancelled) setLifeEvents([]);
+      });
+    return () => { cancelled = true; };
+  }, [person?.id, activeDataset]);
+
+  // Citation pickers don't depend on the person, so load them once per dataset
+  useEffect(() => {
+    const datasetId = activeDataset?.id;
+    let cancelled = false;
+    Promise.all([
+      getAllCodexEntries(datasetId),
+      getAllWritings(datasetId),
+      getAllChapters(datasetId)
+    ])
+      .then(([codexEntries, writings, chapters]) => {
+        if (!cancelled) setSourceOptions({ codexEntries, writings, chapters });
+      })
+      .catch(error => console.warn('Could not load citation sources:', error));
+    return () => { cancelled = true; };
+  }, [activeDataset]);
 
   const loadCodexEntry = async (personId) => {
     const datasetId = activeDataset?.id;
@@ -253,6 +341,32 @@ function QuickEditPanel({
     }
   };
 
+  // Life events save straight away, apart from the person's own Save
+  const handleSaveLifeEvent = async (eventData, eventId) => {
+    const datasetId = activeDataset?.id;
+    if (eventId) {
+      await updateLifeEvent(eventId, eventData, user?.uid, datasetId);
+    } else {
+      await createLifeEvent(eventData, user?.uid, datasetId);
+    }
+    setLifeEvents(await getLifeEventsForPerson(person.id, datasetId));
+  };
+
+  const handleDeleteLifeEvent = async (eventId) => {
+    await deleteLifeEvent(eventId, user?.uid, activeDataset?.id);
+    setLifeEvents(prev => prev.filter(e => e.id !== eventId));
+  };
+
+  // Parent links carry their own citations and save straight away, like
+  // adding or removing the link itself
+  const handleRelationshipCitationsChange = async (relationshipId, citations) => {
+    try {
+      await updateRelationship(relationshipId, { citations });
+    } catch (error) {
+      alert('Error saving sources: ' + error.message);
+    }
+  };
+
   // Computed relationships
   const house = useMemo(() =>
     houses.find(h => h.id === person?.houseId),
@@ -307,12 +421,8 @@ function QuickEditPanel({
         relationshipId: rel.id
       }))
       .filter(item => item.person)
-      .sort((a, b) => {
-        const aYear = parseInt(a.person.dateOfBirth) || 0;
-        const bYear = parseInt(b.person.dateOfBirth) || 0;
-        return aYear - bYear;
-      }),
-    [personRelationships, person?.id, people]
+      .sort((a, b) => compareDates(a.person.dateOfBirth, b.person.dateOfBirth)),
+    [personRelationships, person?.id, people, compareDates]
   );
 
   const siblings = useMemo(() => {
@@ -332,12 +442,51 @@ function QuickEditPanel({
     return Array.from(siblingIds)
       .map(id => people.find(p => p.id === id))
       .filter(Boolean)
-      .sort((a, b) => {
-        const aYear = parseInt(a.dateOfBirth) || 0;
-        const bYear = parseInt(b.dateOfBirth) || 0;
-        return aYear - bYear;
-      });
-  }, [parents, relationships, person?.id, people]);
+      .sort((a, b) => compareDates(a.dateOfBirth, b.dateOfBirth));
+  }, [parents, relationships, person?.id, people, compareDates]);
+
+  // Bloodline: inbreeding, pedigree collapse, kinship with each spouse and
+  // the house's figures (blood relationships only)
+  const bloodline = useMemo(() => {
+    if (!person?.id) return null;
+
+    const parentMap = buildBloodParentMap(relationships);
+    const { spouseMap } = buildRelationshipMaps(relationships);
+    const peopleById = new Map(people.map(p => [p.id, p]));
+    const options = { cache: createAnalysisCache() };
+
+    const inbreeding = calculateInbreedingCoefficient(person.id, parentMap, options);
+    const bloodParents = parentMap.get(person.id) || [];
+    const parentKinship = inbreeding > 0
+      ? analyzeKinship(bloodParents[0], bloodParents[1], parentMap, peopleById, options)
+      : null;
+
+    const spouseKinship = spouses
+      .map(({ person: spouse }) => ({
+        spouse,
+        ...analyzeKinship(person.id, spouse.id, parentMap, peopleById, options)
+      }))
+      .filter(kinship => kinship.related);
+
+    return {
+      inbreeding,
+      parentKinship,
+      spouseKinship,
+      collapse: calculatePedigreeCollapse(person.id, parentMap),
+      houseStats: person.houseId
+        ? getHouseConsanguinityStats(person.houseId, people, parentMap, spouseMap, options)
+        : null,
+      peopleById
+    };
+  }, [person?.id, person?.houseId, people, relationships, spouses]);
+
+  // Expand the bloodline section for inbred people and cousin marriages
+  useEffect(() => {
+    setCollapsedSections(prev => ({
+      ...prev,
+      bloodline: !(bloodline?.inbreeding > 0 || bloodline?.spouseKinship.length > 0)
+    }));
+  }, [bloodline]);
 
   // Available people for linking
   const availableExistingPeople = useMemo(() => {
@@ -390,7 +539,19 @@ function QuickEditPanel({
   const handleSave = async () => {
     try {
       setSaving(true);
-      await updatePerson(editedPerson.id, editedPerson);
+      const birth = parseDateInput(dateInputs.dateOfBirth, { uncertain: true });
+      const death = parseDateInput(dateInputs.dateOfDeath, { uncertain: true });
+      const dateError = birth.error || death.error;
+      if (dateError) {
+        alert('Error saving: ' + dateError);
+        return;
+      }
+
+      await updatePerson(editedPerson.id, {
+        ...editedPerson,
+        dateOfBirth: birth.value || null,
+        dateOfDeath: death.value || null
+      });
     } catch (error) {
       alert('Error saving: ' + error.message);
     } finally {
@@ -429,8 +590,8 @@ function QuickEditPanel({
       id: -1,
       firstName: newPersonForm.firstName?.trim() || 'New',
       lastName: newPersonForm.lastName?.trim() || person.lastName,
-      dateOfBirth: newPersonForm.dateOfBirth || null,
-      dateOfDeath: newPersonForm.dateOfDeath || null,
+      dateOfBirth: parseDateInput(newPersonForm.dateOfBirth, { uncertain: true }).value || null,
+      dateOfDeath: parseDateInput(newPersonForm.dateOfDeath, { uncertain: true }).value || null,
       gender: newPersonForm.gender,
       houseId: newPersonForm.houseId || person.houseId
     };
@@ -460,7 +621,7 @@ function QuickEditPanel({
 
     if (tempRelationship && newPersonForm.firstName?.trim()) {
       const allPeopleWithTemp = [...people, tempPerson];
-      const result = validateRelationship(tempRelationship, allPeopleWithTemp, relationships);
+      const result = validateRelationship(tempRelationship, allPeopleWithTemp, relationships, { calendar });
 
       setValidationErrors(result.errors || []);
       setValidationWarnings(result.warnings || []);
@@ -472,7 +633,7 @@ function QuickEditPanel({
       setValidationErrors([]);
       setValidationWarnings([]);
     }
-  }, [newPersonForm, addingRelationType, addMode, person, people, relationships]);
+  }, [newPersonForm, addingRelationType, addMode, person, people, relationships, calendar, parseDateInput]);
 
   useEffect(() => {
     if (!selectedExistingPerson || !addingRelationType || addMode !== 'existing') {
@@ -515,15 +676,17 @@ function QuickEditPanel({
     }
 
     if (tempRelationship) {
-      const result = validateRelationship(tempRelationship, people, relationships);
+      const result = validateRelationship(tempRelationship, people, relationships, { calendar });
       setValidationErrors(result.errors || []);
       setValidationWarnings(result.warnings || []);
       setWarningsAcknowledged(false);
     }
-  }, [selectedExistingPerson, addingRelationType, addMode, person, people, relationships, parents]);
+  }, [selectedExistingPerson, addingRelationType, addMode, person, people, relationships, parents, calendar]);
 
   const getSmartDefaults = (relationType) => {
-    const currentYear = parseInt(person.dateOfBirth) || 1250;
+    const currentYear = getYear(person.dateOfBirth) ?? 1250;
+    // Defaults are shown in the input, so express them in the dataset's calendar
+    const yearInput = (year) => formatDateForInput(toCanonicalDate({ year }));
 
     const base = {
       firstName: '',
@@ -542,7 +705,7 @@ function QuickEditPanel({
         return {
           ...base,
           gender: person.gender === 'male' ? 'female' : 'male',
-          dateOfBirth: String(currentYear),
+          dateOfBirth: yearInput(currentYear),
           houseId: null,
           lastName: '',
           marriageStatus: 'married'  // Can be 'betrothed' or 'married'
@@ -550,21 +713,21 @@ function QuickEditPanel({
       case 'parent':
         return {
           ...base,
-          dateOfBirth: String(currentYear - 25),
+          dateOfBirth: yearInput(currentYear - 25),
           houseId: person.houseId,
           lastName: person.lastName
         };
       case 'child':
         return {
           ...base,
-          dateOfBirth: String(currentYear + 25),
+          dateOfBirth: yearInput(currentYear + 25),
           houseId: person.houseId,
           lastName: person.lastName
         };
       case 'sibling':
         return {
           ...base,
-          dateOfBirth: String(currentYear),
+          dateOfBirth: yearInput(currentYear),
           houseId: person.houseId,
           lastName: person.lastName
         };
@@ -589,6 +752,13 @@ function QuickEditPanel({
       return;
     }
 
+    const birth = parseDateInput(newPersonForm.dateOfBirth, { uncertain: true });
+    const death = parseDateInput(newPersonForm.dateOfDeath, { uncertain: true });
+    if (birth.error || death.error) {
+      alert('Cannot save: ' + (birth.error || death.error));
+      return;
+    }
+
     try {
       setSaving(true);
 
@@ -597,8 +767,8 @@ function QuickEditPanel({
         lastName: newPersonForm.lastName.trim() || person.lastName,
         maidenName: newPersonForm.maidenName.trim() || null,
         gender: newPersonForm.gender,
-        dateOfBirth: newPersonForm.dateOfBirth || null,
-        dateOfDeath: newPersonForm.dateOfDeath || null,
+        dateOfBirth: birth.value || null,
+        dateOfDeath: death.value || null,
         houseId: newPersonForm.houseId || person.houseId,
         legitimacyStatus: newPersonForm.legitimacyStatus,
         notes: newPersonForm.notes || null
@@ -835,6 +1005,16 @@ function QuickEditPanel({
               <Icon name="external-link" size={14} />
               <span>Full Edit</span>
             </button>
+            {onFocusLine && (
+              <button
+                onClick={() => onFocusLine(person)}
+                className="quick-edit__full-edit-btn quick-edit__focus-btn"
+                title="Show only this person's ancestors and descendants"
+              >
+                <Icon name="target" size={14} />
+                <span>Focus on Line</span>
+              </button>
+            )}
           </div>
           <button onClick={onClose} className="quick-edit__close" title="Close panel">
             <Icon name="x" size={24} />
@@ -858,20 +1038,26 @@ function QuickEditPanel({
 
             <div className="quick-edit__row">
               <div className="quick-edit__field">
-                <label className="quick-edit__label">Born</label>
+                <label className="quick-edit__label">
+                  Born <ConfidenceBadge record={editedPerson} field="dateOfBirth" />
+                </label>
                 <input
                   type="text"
-                  value={editedPerson.dateOfBirth || ''}
-                  onChange={(e) => setEditedPerson({ ...editedPerson, dateOfBirth: e.target.value })}
+                  value={dateInputs.dateOfBirth}
+                  onChange={(e) => setDateInputs({ ...dateInputs, dateOfBirth: e.target.value })}
+                  title={getDateInputHint({ uncertain: true })}
                   className="quick-edit__input"
                 />
               </div>
               <div className="quick-edit__field">
-                <label className="quick-edit__label">Died</label>
+                <label className="quick-edit__label">
+                  Died <ConfidenceBadge record={editedPerson} field="dateOfDeath" />
+                </label>
                 <input
                   type="text"
-                  value={editedPerson.dateOfDeath || ''}
-                  onChange={(e) => setEditedPerson({ ...editedPerson, dateOfDeath: e.target.value })}
+                  value={dateInputs.dateOfDeath}
+                  onChange={(e) => setDateInputs({ ...dateInputs, dateOfDeath: e.target.value })}
+                  title={getDateInputHint({ uncertain: true })}
                   placeholder="Living"
                   className="quick-edit__input"
                 />
@@ -1197,6 +1383,102 @@ function QuickEditPanel({
             </AnimatePresence>
           </motion.section>
 
+          {/* Bloodline - Collapsible */}
+          {bloodline && (
+            <motion.section
+              className="quick-edit__section quick-edit__section--collapsible"
+              variants={SECTION_VARIANTS}
+              initial="hidden"
+              animate="visible"
+              transition={{ delay: 0.33 }}
+            >
+              <h3
+                className="quick-edit__section-title quick-edit__section-title--clickable"
+                onClick={() => toggleSection('bloodline')}
+              >
+                <Icon name="dna" size={14} />
+                <span>Bloodline</span>
+                {bloodline.inbreeding > 0 && (
+                  <span className="quick-edit__section-indicator">F {formatCoefficient(bloodline.inbreeding)}</span>
+                )}
+                <Icon
+                  name={collapsedSections.bloodline ? 'chevron-down' : 'chevron-up'}
+                  size={14}
+                  className="quick-edit__section-toggle"
+                />
+              </h3>
+              <AnimatePresence>
+                {!collapsedSections.bloodline && (
+                  <motion.div
+                    initial={{ height: 0, opacity: 0 }}
+                    animate={{ height: 'auto', opacity: 1 }}
+                    exit={{ height: 0, opacity: 0 }}
+                    transition={{ duration: 0.2 }}
+                    className="quick-edit__section-content"
+                  >
+                    <dl className="quick-edit__bloodline">
+                      <div className="quick-edit__bloodline-row">
+                        <dt>Inbreeding coefficient</dt>
+                        <dd>{formatCoefficient(bloodline.inbreeding)}</dd>
+                      </div>
+                      {bloodline.parentKinship && (
+                        <div className="quick-edit__bloodline-row">
+                          <dt>Parents related as</dt>
+                          <dd>{[...new Set(bloodline.parentKinship.relationships.map(r => r.label))].join(', ')}</dd>
+                        </div>
+                      )}
+                      <div className="quick-edit__bloodline-row">
+                        <dt>Pedigree collapse</dt>
+                        <dd>
+                          {formatCoefficient(bloodline.collapse.collapse)}
+                          <span className="quick-edit__bloodline-note">
+                            {bloodline.collapse.distinctAncestors} of {bloodline.collapse.knownSlots} known ancestors distinct
+                          </span>
+                        </dd>
+                      </div>
+                      {bloodline.collapse.repeatedAncestors.length > 0 && (
+                        <div className="quick-edit__bloodline-row">
+                          <dt>Repeated ancestors</dt>
+                          <dd>
+                            {bloodline.collapse.repeatedAncestors.slice(0, 4).map(({ personId, occurrences }) => {
+                              const ancestor = bloodline.peopleById.get(personId);
+                              return (
+                                <span key={personId} className="quick-edit__bloodline-note">
+                                  {ancestor ? `${ancestor.firstName} ${ancestor.lastName}` : 'Unknown'} ×{occurrences}
+                                </span>
+                              );
+                            })}
+                          </dd>
+                        </div>
+                      )}
+                      {bloodline.spouseKinship.map(({ spouse, relationships: kinRelationships, relationship }) => (
+                        <div key={spouse.id} className="quick-edit__bloodline-row quick-edit__bloodline-row--warning">
+                          <dt>Married {spouse.firstName} {spouse.lastName}</dt>
+                          <dd>
+                            {[...new Set(kinRelationships.map(r => r.label))].join(', ')}
+                            <span className="quick-edit__bloodline-note">relationship {formatCoefficient(relationship)}</span>
+                          </dd>
+                        </div>
+                      ))}
+                      {bloodline.houseStats && house && (
+                        <div className="quick-edit__bloodline-row">
+                          <dt>{house.houseName}</dt>
+                          <dd>
+                            {bloodline.houseStats.inbredCount} of {bloodline.houseStats.memberCount} members inbred
+                            <span className="quick-edit__bloodline-note">
+                              average collapse {formatCoefficient(bloodline.houseStats.averageCollapse)},
+                              {' '}{bloodline.houseStats.consanguineousMarriages.length} marriage(s) between blood relatives
+                            </span>
+                          </dd>
+                        </div>
+                      )}
+                    </dl>
+                  </motion.div>
+                )}
+              </AnimatePresence>
+            </motion.section>
+          )}
+
           {/* Titles & Dignities - Collapsible */}
           <motion.section
             className="quick-edit__section quick-edit__section--collapsible"
@@ -1276,6 +1558,86 @@ function QuickEditPanel({
             </AnimatePresence>
           </motion.section>
 
+          {/* Life Events - Collapsible */}
+          <motion.section
+            className="quick-edit__section quick-edit__section--collapsible"
+            variants={SECTION_VARIANTS}
+            initial="hidden"
+            animate="visible"
+            transition={{ delay: 0.38 }}
+          >
+            <h3
+              className="quick-edit__section-title quick-edit__section-title--clickable"
+              onClick={() => toggleSection('lifeEvents')}
+            >
+              <Icon name="calendar" size={14} />
+              <span>Life Events</span>
+              <span className="quick-edit__section-count">({lifeEvents.length})</span>
+              <Icon
+                name={collapsedSections.lifeEvents ? 'chevron-down' : 'chevron-up'}
+                size={14}
+                className="quick-edit__section-toggle"
+              />
+            </h3>
+            <AnimatePresence>
+              {!collapsedSections.lifeEvents && (
+                <motion.div
+                  initial={{ height: 0, opacity: 0 }}
+                  animate={{ height: 'auto', opacity: 1 }}
+                  exit={{ height: 0, opacity: 0 }}
+                  transition={{ duration: 0.2 }}
+                  className="quick-edit__section-content"
+                >
+                  <LifeEventTimeline
+                    person={person}
+                    events={lifeEvents}
+                    people={people}
+                    houses={houses}
+                    codexEntries={sourceOptions.codexEntries}
+                    onSave={handleSaveLifeEvent}
+                    onDelete={handleDeleteLifeEvent}
+                    onPersonSelect={onPersonSelect}
+                  />
+                </motion.div>
+              )}
+            </AnimatePresence>
+          </motion.section>
+
+          {/* Residences - Collapsible */}
+          <motion.section
+            className="quick-edit__section quick-edit__section--collapsible"
+            variants={SECTION_VARIANTS}
+            initial="hidden"
+            animate="visible"
+            transition={{ delay: 0.39 }}
+          >
+            <h3
+              className="quick-edit__section-title quick-edit__section-title--clickable"
+              onClick={() => toggleSection('residences')}
+            >
+              <Icon name="home" size={14} />
+              <span>Residences</span>
+              <Icon
+                name={collapsedSections.residences ? 'chevron-down' : 'chevron-up'}
+                size={14}
+                className="quick-edit__section-toggle"
+              />
+            </h3>
+            <AnimatePresence>
+              {!collapsedSections.residences && (
+                <motion.div
+                  initial={{ height: 0, opacity: 0 }}
+                  animate={{ height: 'auto', opacity: 1 }}
+                  exit={{ height: 0, opacity: 0 }}
+                  transition={{ duration: 0.2 }}
+                  className="quick-edit__section-content"
+                >
+                  <PlacementHistory kind="residence" ownerId={person.id} />
+                </motion.div>
+              )}
+            </AnimatePresence>
+          </motion.section>
+
           {/* Epithets - Collapsible */}
           <motion.section
             className="quick-edit__section quick-edit__section--collapsible"
@@ -1317,6 +1679,64 @@ function QuickEditPanel({
             </AnimatePresence>
           </motion.section>
 
+          {/* Sources - Collapsible */}
+          <motion.section
+            className="quick-edit__section quick-edit__section--collapsible"
+            variants={SECTION_VARIANTS}
+            initial="hidden"
+            animate="visible"
+            transition={{ delay: 0.45 }}
+          >
+            <h3
+              className="quick-edit__section-title quick-edit__section-title--clickable"
+              onClick={() => toggleSection('sources')}
+            >
+              <Icon name="scroll-text" size={14} />
+              <span>Sources</span>
+              <span className="quick-edit__section-count">({(editedPerson.citations || []).length})</span>
+              <Icon
+                name={collapsedSections.sources ? 'chevron-down' : 'chevron-up'}
+                size={14}
+                className="quick-edit__section-toggle"
+              />
+            </h3>
+            <AnimatePresence>
+              {!collapsedSections.sources && (
+                <motion.div
+                  initial={{ height: 0, opacity: 0 }}
+                  animate={{ height: 'auto', opacity: 1 }}
+                  exit={{ height: 0, opacity: 0 }}
+                  transition={{ duration: 0.2 }}
+                  className="quick-edit__section-content"
+                >
+                  {Object.entries(CITABLE_FIELDS.person).map(([field, label]) => (
+                    <FactSources
+                      key={field}
+                      citations={editedPerson.citations || []}
+                      field={field}
+                      label={label}
+                      onChange={(citations) => setEditedPerson({ ...editedPerson, citations })}
+                      sources={sourceOptions}
+                    />
+                  ))}
+                  {parents.map(({ person: parent, relationshipId }) => {
+                    const link = relationships.find(r => r.id === relationshipId);
+                    return (
+                      <FactSources
+                        key={`parent-${relationshipId}`}
+                        citations={link?.citations || []}
+                        field="relationship"
+                        label={`Parentage: ${parent.firstName} ${parent.lastName}`}
+                        onChange={(citations) => handleRelationshipCitationsChange(relationshipId, citations)}
+                        sources={sourceOptions}
+                      />
+                    );
+                  })}
+                </motion.div>
+              )}
+            </AnimatePresence>
+          </motion.section>
+
         </div>
 
         {/* Footer */}
@@ -1463,7 +1883,7 @@ function QuickEditPanel({
                             type="text"
                             value={newPersonForm.dateOfBirth}
                             onChange={(e) => setNewPersonForm({ ...newPersonForm, dateOfBirth: e.target.value })}
-                            placeholder="e.g. 1250"
+                            placeholder={getDateInputHint()}
                             className="quick-edit-modal__input"
                           />
                         </div>
@@ -1560,8 +1980,8 @@ function QuickEditPanel({
                             {selectedExistingPerson.firstName} {selectedExistingPerson.lastName}
                           </span>
                           <span className="quick-edit-modal__selected-details">
-                            {selectedExistingPerson.dateOfBirth && `b. ${selectedExistingPerson.dateOfBirth.split('-')[0]}`}
-                            {selectedExistingPerson.dateOfDeath && ` - d. ${selectedExistingPerson.dateOfDeath.split('-')[0]}`}
+                            {selectedExistingPerson.dateOfBirth && `b. ${formatYear(selectedExistingPerson.dateOfBirth)}`}
+                            {selectedExistingPerson.dateOfDeath && ` - d. ${formatYear(selectedExistingPerson.dateOfDeath)}`}
                             {(() => {
                               const h = houses.find(ho => ho.id === selectedExistingPerson.houseId);
                               return h ? ` - ${h.houseName}` : '';
@@ -1599,8 +2019,8 @@ function QuickEditPanel({
                                 {p.firstName} {p.lastName}
                               </span>
                               <span className="quick-edit-modal__person-details">
-                                {p.dateOfBirth && `b. ${p.dateOfBirth.split('-')[0]}`}
-                                {p.dateOfDeath && ` - d. ${p.dateOfDeath.split('-')[0]}`}
+                                {p.dateOfBirth && `b. ${formatYear(p.dateOfBirth)}`}
+                                {p.dateOfDeath && ` - d. ${formatYear(p.dateOfDeath)}`}
                                 {(() => {
                                   const h = houses.find(ho => ho.id === p.houseId);
                                   return h ? ` - ${h.houseName}` : '';
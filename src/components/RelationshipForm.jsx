@@ -14,11 +14,30 @@
  * - twin: Twins
  * - named-after: Namesake
  * - lineage-gap: Distant Ancestor
+ * - plus the dataset's own types (see utils/relationshipTypes.js), listed
+ *   under "Custom Types"
+ *
+ * Proposed marriages between blood relatives closer than the dataset's
+ * warning degree (see consanguinityService) are flagged with the other
+ * smart validation warnings.
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { validateRelationship, generateCascadeSuggestions } from '../utils/SmartDataValidator';
+import { useCalendar } from '../contexts/CalendarContext';
+import { useAuth } from '../contexts/AuthContext';
+import { useDataset } from '../contexts/DatasetContext';
+import {
+  buildBloodParentMap,
+  checkProposedMarriage,
+  DEFAULT_WARNING_DEGREE
+} from '../services/consanguinityService';
+import {
+  getConsanguinityWarningDegree,
+  saveConsanguinityWarningDegree
+} from '../services/datasetSettingsService';
+import { getRelationshipTypeMap, getRelationshipType } from '../utils/relationshipTypes';
 import Icon from './icons/Icon';
 import ActionButton from './shared/ActionButton';
 import './RelationshipForm.css';
@@ -48,82 +67,50 @@ const ALERT_VARIANTS = {
   }
 };
 
-const RELATIONSHIP_TYPE_CONFIG = {
-  parent: {
-    icon: 'users',
-    label: 'Parent/Child',
-    person1Label: 'Parent',
-    person2Label: 'Child',
-    description: 'Person 1 is the parent of Person 2'
-  },
-  spouse: {
-    icon: 'heart',
-    label: 'Spouse/Marriage',
-    person1Label: 'First Person',
-    person2Label: 'Second Person',
-    description: 'Person 1 and Person 2 are married'
-  },
-  'adopted-parent': {
-    icon: 'home',
-    label: 'Adopted Parent/Child',
-    person1Label: 'Adoptive Parent',
-    person2Label: 'Adopted Child',
-    description: 'Person 1 adopted Person 2'
-  },
-  'foster-parent': {
-    icon: 'hand-heart',
-    label: 'Foster Parent/Child',
-    person1Label: 'Foster Parent',
-    person2Label: 'Foster Child',
-    description: 'Person 1 is foster parent of Person 2'
-  },
-  mentor: {
-    icon: 'graduation-cap',
-    label: 'Mentor/Apprentice',
-    person1Label: 'Mentor',
-    person2Label: 'Apprentice',
-    description: 'Person 1 is mentor to Person 2'
-  },
-  twin: {
-    icon: 'copy',
-    label: 'Twins',
-    person1Label: 'First Twin',
-    person2Label: 'Second Twin',
-    description: 'Person 1 and Person 2 are twins'
-  },
-  'named-after': {
-    icon: 'bookmark',
-    label: 'Named After (Namesake)',
-    person1Label: 'Person Named',
-    person2Label: 'Named After (Honored)',
-    description: 'Person 1 was named after Person 2 (honors/namesake)'
-  },
-  'lineage-gap': {
-    icon: 'link',
-    label: 'Lineage Gap (Distant Ancestor)',
-    person1Label: 'Descendant',
-    person2Label: 'Distant Ancestor',
-    description: 'Person 2 is a distant ancestor of Person 1 (exact lineage unknown)'
-  }
-};
+// Choices for the kinship warning, in civil-law degrees
+const WARNING_DEGREE_OPTIONS = [
+  { value: 0, label: 'Off' },
+  { value: 2, label: 'Siblings (2 degrees)' },
+  { value: 3, label: 'Aunts, uncles, nieces, nephews (3)' },
+  { value: 4, label: 'First cousins (4)' },
+  { value: 5, label: 'First cousins once removed (5)' },
+  { value: 6, label: 'Second cousins (6)' },
+  { value: 8, label: 'Third cousins (8)' }
+];
 
 function RelationshipForm({
   relationship = null,
   people = [],
   allRelationships = [],
+  relationshipTypes = getRelationshipTypeMap(),
   onSave,
   onCancel,
   onSuggestionAccept = null
 }) {
-  // Form state
+  const {
+    calendar,
+    isGregorian,
+    formatDateForInput,
+    formatYear,
+    parseDateInput,
+    getDateInputHint,
+    compareDates
+  } = useCalendar();
+  const { user } = useAuth();
+  const { activeDataset } = useDataset();
+  const datasetId = activeDataset?.id || null;
+  const dateHint = getDateInputHint({ uncertain: true });
+  const datePlaceholder = isGregorian ? 'YYYY-MM-DD or YYYY' : getDateInputHint();
+
+  // Form state (dates are shown in the dataset's calendar)
   const [formData, setFormData] = useState({
     person1Id: relationship?.person1Id || '',
     person2Id: relationship?.person2Id || '',
     relationshipType: relationship?.relationshipType || 'parent',
     biologicalParent: relationship?.biologicalParent ?? true,
-    betrothalDate: relationship?.betrothalDate || '',
-    marriageDate: relationship?.marriageDate || '',
-    divorceDate: relationship?.divorceDate || '',
+    betrothalDate: formatDateForInput(relationship?.betrothalDate) || '',
+    marriageDate: formatDateForInput(relationship?.marriageDate) || '',
+    divorceDate: formatDateForInput(relationship?.divorceDate) || '',
     marriageStatus: relationship?.marriageStatus || 'married',
     estimatedGenerations: relationship?.estimatedGenerations || '',
     lineageNotes: relationship?.lineageNotes || ''
@@ -135,6 +122,27 @@ function RelationshipForm({
   const [warningsAcknowledged, setWarningsAcknowledged] = useState(false);
   const [suggestions, setSuggestions] = useState([]);
 
+  // Kinship warning for marriages between blood relatives
+  const [warningDegree, setWarningDegree] = useState(DEFAULT_WARNING_DEGREE);
+  const peopleById = useMemo(() => new Map(people.map(p => [p.id, p])), [people]);
+  const bloodParentMap = useMemo(() => buildBloodParentMap(allRelationships), [allRelationships]);
+
+  useEffect(() => {
+    getConsanguinityWarningDegree(datasetId)
+      .then(setWarningDegree)
+      .catch(() => setWarningDegree(DEFAULT_WARNING_DEGREE));
+  }, [datasetId]);
+
+  const handleWarningDegreeChange = async (e) => {
+    const degree = Number(e.target.value);
+    setWarningDegree(degree);
+    try {
+      await saveConsanguinityWarningDegree(degree, user?.uid || null, datasetId);
+    } catch (error) {
+      console.error('Failed to save kinship warning degree:', error);
+    }
+  };
+
   const handleChange = (e) => {
     const { name, value, type, checked } = e.target;
     setFormData(prev => ({
@@ -147,6 +155,19 @@ function RelationshipForm({
     setWarningsAcknowledged(false);
   };
 
+  /**
+   * Convert the typed dates to stored (canonical) form for validation and
+   * saving. Unreadable dates become null here - validate() reports them.
+   */
+  const toStoredDates = useCallback((data) => {
+    const stored = { ...data };
+    for (const field of ['betrothalDate', 'marriageDate', 'divorceDate']) {
+      const parsed = parseDateInput(data[field], { uncertain: true });
+      stored[field] = parsed.valid ? parsed.value : null;
+    }
+    return stored;
+  }, [parseDateInput]);
+
   const getPersonName = (personId) => {
     const person = people.find(p => p.id === parseInt(personId));
     return person ? `${person.firstName} ${person.lastName}` : 'Unknown';
@@ -161,7 +182,7 @@ function RelationshipForm({
     }
 
     const relationshipToValidate = {
-      ...formData,
+      ...toStoredDates(formData),
       person1Id: parseInt(formData.person1Id),
       person2Id: parseInt(formData.person2Id),
       id: relationship?.id
@@ -170,10 +191,21 @@ function RelationshipForm({
     const validationResult = validateRelationship(
       relationshipToValidate,
       people,
-      allRelationships
+      allRelationships,
+      { calendar, relationshipTypes }
     );
 
-    setWarnings(validationResult.warnings || []);
+    const kinshipWarning = formData.relationshipType === 'spouse' && warningDegree > 0
+      ? checkProposedMarriage(
+        relationshipToValidate.person1Id,
+        relationshipToValidate.person2Id,
+        bloodParentMap,
+        peopleById,
+        warningDegree
+      )
+      : null;
+
+    setWarnings([...(validationResult.warnings || []), ...(kinshipWarning ? [kinshipWarning] : [])]);
 
     if (!relationship) {
       const newSuggestions = generateCascadeSuggestions(
@@ -183,7 +215,7 @@ function RelationshipForm({
       );
       setSuggestions(newSuggestions);
     }
-  }, [formData, people, allRelationships, relationship]);
+  }, [formData, people, allRelationships, relationship, calendar, relationshipTypes, toStoredDates, warningDegree, bloodParentMap, peopleById]);
 
   const validate = () => {
     const newErrors = {};
@@ -201,20 +233,16 @@ function RelationshipForm({
     }
 
     if (formData.relationshipType === 'spouse') {
-      const dateRegex = /^\d{4}(-\d{2}(-\d{2})?)?$/;
-
-      if (formData.betrothalDate && !dateRegex.test(formData.betrothalDate)) {
-        newErrors.betrothalDate = 'Date must be YYYY, YYYY-MM, or YYYY-MM-DD';
-      }
-      if (formData.marriageDate && !dateRegex.test(formData.marriageDate)) {
-        newErrors.marriageDate = 'Date must be YYYY, YYYY-MM, or YYYY-MM-DD';
-      }
-      if (formData.divorceDate && !dateRegex.test(formData.divorceDate)) {
-        newErrors.divorceDate = 'Date must be YYYY, YYYY-MM, or YYYY-MM-DD';
+      for (const field of ['betrothalDate', 'marriageDate', 'divorceDate']) {
+        const parsed = parseDateInput(formData[field], { uncertain: true });
+        if (!parsed.valid) {
+          newErrors[field] = parsed.error;
+        }
       }
 
-      if (formData.marriageDate && formData.divorceDate &&
-          formData.divorceDate < formData.marriageDate) {
+      const stored = toStoredDates(formData);
+      if (stored.marriageDate && stored.divorceDate &&
+          compareDates(stored.divorceDate, stored.marriageDate) < 0) {
         newErrors.divorceDate = 'Divorce date cannot be before marriage date';
       }
     }
@@ -222,7 +250,7 @@ function RelationshipForm({
     // Smart validation errors
     if (formData.person1Id && formData.person2Id) {
       const relationshipToValidate = {
-        ...formData,
+        ...toStoredDates(formData),
         person1Id: parseInt(formData.person1Id),
         person2Id: parseInt(formData.person2Id),
         id: relationship?.id
@@ -231,7 +259,8 @@ function RelationshipForm({
       const smartResult = validateRelationship(
         relationshipToValidate,
         people,
-        allRelationships
+        allRelationships,
+        { calendar, relationshipTypes }
       );
 
       smartResult.errors.forEach(err => {
@@ -268,17 +297,18 @@ function RelationshipForm({
     }
 
     if (validate()) {
+      const storedDates = toStoredDates(formData);
       const relationshipData = {
         person1Id: parseInt(formData.person1Id),
         person2Id: parseInt(formData.person2Id),
         relationshipType: formData.relationshipType,
         biologicalParent: formData.relationshipType === 'parent' ? formData.biologicalParent : null,
-        betrothalDate: formData.relationshipType === 'spouse' && formData.betrothalDate
-          ? formData.betrothalDate : null,
-        marriageDate: formData.relationshipType === 'spouse' && formData.marriageDate
-          ? formData.marriageDate : null,
-        divorceDate: formData.relationshipType === 'spouse' && formData.divorceDate
-          ? formData.divorceDate : null,
+        betrothalDate: formData.relationshipType === 'spouse' && storedDates.betrothalDate
+          ? storedDates.betrothalDate : null,
+        marriageDate: formData.relationshipType === 'spouse' && storedDates.marriageDate
+          ? storedDates.marriageDate : null,
+        divorceDate: formData.relationshipType === 'spouse' && storedDates.divorceDate
+          ? storedDates.divorceDate : null,
         marriageStatus: formData.relationshipType === 'spouse'
           ? formData.marriageStatus : null,
         estimatedGenerations: formData.relationshipType === 'lineage-gap' && formData.estimatedGenerations
@@ -302,7 +332,9 @@ function RelationshipForm({
     setSuggestions(prev => prev.filter(s => s !== suggestion));
   };
 
-  const currentConfig = RELATIONSHIP_TYPE_CONFIG[formData.relationshipType];
+  const currentConfig = getRelationshipType(formData.relationshipType, relationshipTypes);
+  const builtInTypes = Object.values(relationshipTypes).filter(type => type.builtIn);
+  const customTypes = Object.values(relationshipTypes).filter(type => !type.builtIn);
 
   return (
     <form className="relationship-form" onSubmit={handleSubmit}>
@@ -329,16 +361,32 @@ function RelationshipForm({
             onChange={handleChange}
             className="relationship-form__select"
           >
-            {Object.entries(RELATIONSHIP_TYPE_CONFIG).map(([value, config]) => (
-              <option key={value} value={value}>
-                {config.label}
+            {builtInTypes.map(type => (
+              <option key={type.id} value={type.id}>
+                {type.label}
               </option>
             ))}
+            {customTypes.length > 0 && (
+              <optgroup label="Custom Types">
+                {customTypes.map(type => (
+                  <option key={type.id} value={type.id}>
+                    {type.label}
+                  </option>
+                ))}
+              </optgroup>
+            )}
+            {!relationshipTypes[formData.relationshipType] && (
+              <option value={formData.relationshipType}>
+                {formData.relationshipType} (deleted type)
+              </option>
+            )}
           </select>
-          <span className="relationship-form__hint">
-            <Icon name={currentConfig.icon} size={12} />
-            {currentConfig.description}
-          </span>
+          {currentConfig.description && (
+            <span className="relationship-form__hint">
+              <Icon name={currentConfig.icon} size={12} />
+              {currentConfig.description}
+            </span>
+          )}
           {errors.relationshipType && (
             <span className="relationship-form__error">
               <Icon name="alert-circle" size={12} />
@@ -378,7 +426,7 @@ function RelationshipForm({
               {people.map(person => (
                 <option key={person.id} value={person.id}>
                   {person.firstName} {person.lastName}
-                  {person.dateOfBirth ? ` (b. ${person.dateOfBirth.split('-')[0]})` : ''}
+                  {person.dateOfBirth ? ` (b. ${formatYear(person.dateOfBirth)})` : ''}
                 </option>
               ))}
             </select>
@@ -406,7 +454,7 @@ function RelationshipForm({
               {people.map(person => (
                 <option key={person.id} value={person.id}>
                   {person.firstName} {person.lastName}
-                  {person.dateOfBirth ? ` (b. ${person.dateOfBirth.split('-')[0]})` : ''}
+                  {person.dateOfBirth ? ` (b. ${formatYear(person.dateOfBirth)})` : ''}
                 </option>
               ))}
             </select>
@@ -637,7 +685,7 @@ function RelationshipForm({
                   value={formData.marriageDate}
                   onChange={handleChange}
                   className={`relationship-form__input ${errors.marriageDate ? 'relationship-form__input--error' : ''}`}
-                  placeholder="YYYY-MM-DD or YYYY"
+                  placeholder={datePlaceholder}
                 />
                 {errors.marriageDate ? (
                   <span className="relationship-form__error">
@@ -646,7 +694,7 @@ function RelationshipForm({
                   </span>
                 ) : (
                   <span className="relationship-form__hint">
-                    Format: YYYY-MM-DD, YYYY-MM, or YYYY
+                    {dateHint}
                   </span>
                 )}
               </div>
@@ -697,6 +745,26 @@ function RelationshipForm({
               </select>
             </div>
 
+            {/* Kinship Warning */}
+            <div className="relationship-form__group">
+              <label htmlFor="warningDegree" className="relationship-form__label">
+                Warn About Blood Relatives
+              </label>
+              <select
+                id="warningDegree"
+                value={warningDegree}
+                onChange={handleWarningDegreeChange}
+                className="relationship-form__select"
+              >
+                {WARNING_DEGREE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <span className="relationship-form__hint">
+                Flags marriages this close or closer. Applies to the whole dataset.
+              </span>
+            </div>
+
             {/* Betrothal Date - shown when betrothed */}
             {formData.marriageStatus === 'betrothed' && (
               <div className="relationship-form__group">
@@ -710,7 +778,7 @@ function RelationshipForm({
                   value={formData.betrothalDate}
                   onChange={handleChange}
                   className={`relationship-form__input ${errors.betrothalDate ? 'relationship-form__input--error' : ''}`}
-                  placeholder="YYYY-MM-DD or YYYY"
+                  placeholder={datePlaceholder}
                 />
                 {errors.betrothalDate ? (
                   <span className="relationship-form__error">
@@ -719,7 +787,7 @@ function RelationshipForm({
                   </span>
                 ) : (
                   <span className="relationship-form__hint">
-                    Format: YYYY-MM-DD, YYYY-MM, or YYYY
+                    {dateHint}
                   </span>
                 )}
               </div>
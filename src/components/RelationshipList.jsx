@@ -9,6 +9,8 @@
  * Props:
  * - relationships: Array of relationship objects
  * - people: Array of people (to show names)
+ * - relationshipTypes: Type definitions by ID, for the dataset's own types
+ *   (see utils/relationshipTypes.js)
  * - onEdit: Function to call when user wants to edit a relationship
  * - onDelete: Function to call when user wants to delete a relationship
  */
@@ -23,6 +25,8 @@ import ListSearchBar from './shared/ListSearchBar';
 import SortDropdown from './shared/SortDropdown';
 import FilterDropdown from './shared/FilterDropdown';
 import Pagination from './shared/Pagination';
+import { useCalendar } from '../contexts/CalendarContext';
+import { getRelationshipTypeMap, describeCustomRelationship } from '../utils/relationshipTypes';
 import './RelationshipList.css';
 
 // ==================== PAGINATION CONFIG ====================
@@ -123,7 +127,23 @@ const SORT_OPTIONS = [
   { value: 'marriageDate', label: 'Marriage Date' }
 ];
 
-function RelationshipList({ relationships, people, onEdit, onDelete }) {
+function RelationshipList({
+  relationships,
+  people,
+  relationshipTypes = getRelationshipTypeMap(),
+  onEdit,
+  onDelete
+}) {
+  const { formatDate, compareDates } = useCalendar();
+
+  // Built-in filters first, then the dataset's own types
+  const typeOptions = useMemo(() => [
+    ...RELATIONSHIP_TYPE_OPTIONS,
+    ...Object.values(relationshipTypes)
+      .filter(type => !type.builtIn)
+      .map(type => ({ value: type.id, label: type.label }))
+  ], [relationshipTypes]);
+
   // ==================== SEARCH & SORT STATE ====================
   const [searchTerm, setSearchTerm] = useState('');
   const [sortBy, setSortBy] = useState('type');
@@ -153,6 +173,17 @@ function RelationshipList({ relationships, people, onEdit, onDelete }) {
   const getRelationshipDetails = (rel) => {
     const person1 = getPersonName(rel.person1Id);
     const person2 = getPersonName(rel.person2Id);
+    const customType = relationshipTypes[rel.relationshipType];
+    if (customType && !customType.builtIn) {
+      return {
+        text: describeCustomRelationship(person1, person2, customType),
+        icon: customType.icon,
+        color: customType.color,
+        person1Name: person1,
+        person2Name: person2
+      };
+    }
+
     const config = RELATIONSHIP_CONFIG[rel.relationshipType] || RELATIONSHIP_CONFIG.default;
 
     return {
@@ -196,14 +227,14 @@ function RelationshipList({ relationships, people, onEdit, onDelete }) {
         case 'person2':
           return getPersonName(a.person2Id).localeCompare(getPersonName(b.person2Id));
         case 'marriageDate':
-          return (a.marriageDate || '9999').localeCompare(b.marriageDate || '9999');
+          return compareDates(a.marriageDate, b.marriageDate);
         default:
           return 0;
       }
     });
 
     return filtered;
-  }, [relationships, searchTerm, sortBy, filterType, personMap]);
+  }, [relationships, searchTerm, sortBy, filterType, personMap, compareDates]);
 
   // Memoize processed relationships
   const processedRelationships = useMemo(() => {
@@ -267,7 +298,7 @@ function RelationshipList({ relationships, people, onEdit, onDelete }) {
         <FilterDropdown
           value={filterType}
           onChange={setFilterType}
-          options={RELATIONSHIP_TYPE_OPTIONS}
+          options={typeOptions}
           label="Type:"
           icon="link"
           allLabel="All Types"
@@ -323,19 +354,19 @@ function RelationshipList({ relationships, people, onEdit, onDelete }) {
                       {rel.betrothalDate && (
                         <span className="relationship-list__meta-item">
                           <Icon name="calendar" size={14} />
-                          <span>Betrothed: {rel.betrothalDate}</span>
+                          <span>Betrothed: {formatDate(rel.betrothalDate)}</span>
                         </span>
                       )}
                       {rel.marriageDate && (
                         <span className="relationship-list__meta-item">
                           <Icon name="calendar" size={14} />
-                          <span>Married: {rel.marriageDate}</span>
+                          <span>Married: {formatDate(rel.marriageDate)}</span>
                         </span>
                       )}
                       {rel.divorceDate && (
                         <span className="relationship-list__meta-item relationship-list__meta-item--muted">
                           <Icon name="calendar" size={14} />
-                          <span>Divorced: {rel.divorceDate}</span>
+                          <span>Divorced: {formatDate(rel.divorceDate)}</span>
                         </span>
                       )}
                     </div>
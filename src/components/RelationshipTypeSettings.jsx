@@ -0,0 +1,316 @@
+/**
+ * RelationshipTypeSettings.jsx - Custom Relationship Type Editor
+ *
+ * PURPOSE:
+ * Lets the user add relationship types of their own - sworn brothers,
+ * hostage-wards, lieges and vassals, rivals, paramours - alongside the
+ * built-in ones. Each type sets its label and icon, whether it runs one
+ * way (liege → vassal) or both (rivals), whether it counts as kinship for
+ * succession and inheritance, and whether the family tree draws it.
+ *
+ * NOTES:
+ * - Built-in types are listed for reference but can't be changed.
+ * - A type still used by relationships can't be removed; change or delete
+ *   those relationships first.
+ * - IDs are made from the label when a type is first saved and never
+ *   change afterwards, so relabelling a type keeps its relationships.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import Icon from './icons/Icon';
+import ActionButton from './shared/ActionButton';
+import { useGenealogy } from '../contexts/GenealogyContext';
+import {
+  TYPE_ICONS,
+  TYPE_COLORS,
+  createRelationshipTypeId,
+  normalizeRelationshipType,
+  validateRelationshipTypes
+} from '../utils/relationshipTypes';
+import './RelationshipTypeSettings.css';
+
+const EMPTY_TYPE = {
+  id: null,
+  label: '',
+  person1Label: '',
+  person2Label: '',
+  description: '',
+  icon: 'link',
+  color: 'gray',
+  directional: false,
+  kinship: false,
+  drawsLine: false
+};
+
+/**
+ * Give unsaved types their IDs, so the draft can be validated as saved
+ */
+function assignIds(draft, relationshipTypes) {
+  const taken = { ...relationshipTypes };
+  return draft.map(type => {
+    if (type.id) return type;
+    const id = createRelationshipTypeId(type.label, taken);
+    taken[id] = true;
+    return { ...type, id };
+  });
+}
+
+/**
+ * RelationshipTypeSettings Component
+ */
+function RelationshipTypeSettings() {
+  const { relationshipTypes, relationships, saveRelationshipTypes } = useGenealogy();
+
+  const savedCustomTypes = useMemo(
+    () => Object.values(relationshipTypes).filter(type => !type.builtIn),
+    [relationshipTypes]
+  );
+  const builtInTypes = useMemo(
+    () => Object.values(relationshipTypes).filter(type => type.builtIn),
+    [relationshipTypes]
+  );
+
+  const [draft, setDraft] = useState(savedCustomTypes);
+  const [saving, setSaving] = useState(false);
+  const [saveMessage, setSaveMessage] = useState(null);
+
+  // Refresh the form when the stored types change (e.g. dataset switch)
+  useEffect(() => {
+    setDraft(savedCustomTypes);
+  }, [savedCustomTypes]);
+
+  const usageCounts = useMemo(() => {
+    const counts = new Map();
+    relationships.forEach(rel => {
+      counts.set(rel.relationshipType, (counts.get(rel.relationshipType) || 0) + 1);
+    });
+    return counts;
+  }, [relationships]);
+
+  const validation = useMemo(
+    () => validateRelationshipTypes(assignIds(draft, relationshipTypes).map(normalizeRelationshipType)),
+    [draft, relationshipTypes]
+  );
+
+  // ==================== FIELD HANDLERS ====================
+
+  const updateType = (index, field, value) => {
+    setDraft(prev => prev.map((type, i) => (i === index ? { ...type, [field]: value } : type)));
+    setSaveMessage(null);
+  };
+
+  const addType = () => {
+    setDraft(prev => [...prev, { ...EMPTY_TYPE }]);
+    setSaveMessage(null);
+  };
+
+  const removeType = (index) => {
+    setDraft(prev => prev.filter((_, i) => i !== index));
+    setSaveMessage(null);
+  };
+
+  // ==================== ACTIONS ====================
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await saveRelationshipTypes(assignIds(draft, relationshipTypes));
+      setSaveMessage('Relationship types saved');
+    } catch (error) {
+      console.error('❌ Error saving relationship types:', error);
+      setSaveMessage(`Error: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="relationship-type-settings">
+      {/* Custom types */}
+      <section className="relationship-type-settings__section">
+        <h3 className="relationship-type-settings__section-title">
+          <Icon name="link-2" size={16} />
+          <span>Custom Types</span>
+          <span className="relationship-type-settings__badge">
+            {draft.length} {draft.length === 1 ? 'type' : 'types'}
+          </span>
+        </h3>
+        <p className="relationship-type-settings__hint">
+          Kinship types count as family for succession and inheritance. A one-way kinship
+          type makes the second person an heir of the first, as adoption does.
+        </p>
+
+        {draft.length > 0 && (
+          <div className="relationship-type-settings__list">
+            {draft.map((type, index) => {
+              const inUse = type.id ? usageCounts.get(type.id) || 0 : 0;
+              return (
+                <div key={type.id || `new-${index}`} className="relationship-type-settings__type">
+                  <div className="relationship-type-settings__row">
+                    <span className={`relationship-type-settings__icon relationship-type-settings__icon--${type.color}`}>
+                      <Icon name={type.icon} size={16} />
+                    </span>
+                    <input
+                      type="text"
+                      value={type.label}
+                      onChange={(e) => updateType(index, 'label', e.target.value)}
+                      className="relationship-type-settings__input"
+                      placeholder="e.g. Sworn Brother"
+                      aria-label={`Type ${index + 1} label`}
+                    />
+                    <select
+                      value={type.icon}
+                      onChange={(e) => updateType(index, 'icon', e.target.value)}
+                      className="relationship-type-settings__select"
+                      aria-label={`Type ${index + 1} icon`}
+                    >
+                      {TYPE_ICONS.map(icon => (
+                        <option key={icon} value={icon}>{icon}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={type.color}
+                      onChange={(e) => updateType(index, 'color', e.target.value)}
+                      className="relationship-type-settings__select"
+                      aria-label={`Type ${index + 1} color`}
+                    >
+                      {TYPE_COLORS.map(color => (
+                        <option key={color} value={color}>{color}</option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      className="relationship-type-settings__remove"
+                      onClick={() => removeType(index)}
+                      disabled={inUse > 0}
+                      title={inUse > 0 ? `Used by ${inUse} relationship${inUse === 1 ? '' : 's'}` : 'Remove type'}
+                    >
+                      <Icon name="trash" size={14} />
+                    </button>
+                  </div>
+
+                  <div className="relationship-type-settings__row">
+                    <label className="relationship-type-settings__checkbox">
+                      <input
+                        type="checkbox"
+                        checked={type.directional}
+                        onChange={(e) => updateType(index, 'directional', e.target.checked)}
+                      />
+                      <span>One-way</span>
+                    </label>
+                    <label className="relationship-type-settings__checkbox">
+                      <input
+                        type="checkbox"
+                        checked={type.kinship}
+                        onChange={(e) => updateType(index, 'kinship', e.target.checked)}
+                      />
+                      <span>Counts as kinship</span>
+                    </label>
+                    <label className="relationship-type-settings__checkbox">
+                      <input
+                        type="checkbox"
+                        checked={type.drawsLine}
+                        onChange={(e) => updateType(index, 'drawsLine', e.target.checked)}
+                      />
+                      <span>Draw on tree</span>
+                    </label>
+                    {inUse > 0 && (
+                      <span className="relationship-type-settings__usage">
+                        {inUse} relationship{inUse === 1 ? '' : 's'}
+                      </span>
+                    )}
+                  </div>
+
+                  {type.directional && (
+                    <div className="relationship-type-settings__row">
+                      <input
+                        type="text"
+                        value={type.person1Label}
+                        onChange={(e) => updateType(index, 'person1Label', e.target.value)}
+                        className="relationship-type-settings__input"
+                        placeholder="First role (e.g. Liege)"
+                        aria-label={`Type ${index + 1} first role`}
+                      />
+                      <Icon name="arrow-right" size={14} />
+                      <input
+                        type="text"
+                        value={type.person2Label}
+                        onChange={(e) => updateType(index, 'person2Label', e.target.value)}
+                        className="relationship-type-settings__input"
+                        placeholder="Second role (e.g. Vassal)"
+                        aria-label={`Type ${index + 1} second role`}
+                      />
+                    </div>
+                  )}
+
+                  <input
+                    type="text"
+                    value={type.description}
+                    onChange={(e) => updateType(index, 'description', e.target.value)}
+                    className="relationship-type-settings__input"
+                    placeholder="Description (optional)"
+                    aria-label={`Type ${index + 1} description`}
+                  />
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        <ActionButton icon="plus" size="sm" onClick={addType}>
+          Add Type
+        </ActionButton>
+      </section>
+
+      {/* Built-in types */}
+      <section className="relationship-type-settings__section">
+        <h3 className="relationship-type-settings__section-title">
+          <Icon name="lock" size={16} />
+          <span>Built-in Types</span>
+        </h3>
+        <ul className="relationship-type-settings__builtins">
+          {builtInTypes.map(type => (
+            <li key={type.id} className="relationship-type-settings__builtin">
+              <Icon name={type.icon} size={14} />
+              <span>{type.label}</span>
+              {type.kinship && <span className="relationship-type-settings__tag">kinship</span>}
+              {type.drawsLine && <span className="relationship-type-settings__tag">drawn</span>}
+            </li>
+          ))}
+        </ul>
+      </section>
+
+      {/* Validation & save */}
+      <section className="relationship-type-settings__section">
+        {!validation.valid && (
+          <ul className="relationship-type-settings__errors">
+            {validation.errors.map(error => (
+              <li key={error} className="relationship-type-settings__error">
+                <Icon name="alert-circle" size={14} />
+                <span>{error}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="relationship-type-settings__actions">
+          <ActionButton
+            icon="save"
+            variant="primary"
+            onClick={handleSave}
+            loading={saving}
+            disabled={!validation.valid || saving}
+          >
+            Save Types
+          </ActionButton>
+        </div>
+
+        {saveMessage && (
+          <p className="relationship-type-settings__message">{saveMessage}</p>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default RelationshipTypeSettings;
@@ -5,6 +5,10 @@
  * Search input with dropdown results for finding people in the tree.
  * Uses Framer Motion for animations, Lucide icons, and BEM CSS.
  *
+ * With EXPERIMENTAL.ADVANCED_SEARCH on, a toggle opens the query builder
+ * instead. Its house and dignity results highlight the members or
+ * holders.
+ *
  * Props:
  * - people: Array of people to search through
  * - onSearchResults: Callback with filtered results
@@ -14,6 +18,10 @@
 import { useState, useRef, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import Icon from './icons';
+import AdvancedSearch from './AdvancedSearch';
+import { useCalendar } from '../contexts/CalendarContext';
+import { isFeatureEnabled } from '../config/featureFlags';
+import { getResultPeople } from '../utils/searchQuery';
 import './SearchBar.css';
 
 // ==================== ANIMATION VARIANTS ====================
@@ -51,12 +59,15 @@ const ITEM_VARIANTS = {
 };
 
 function SearchBar({ people, onSearchResults, onPersonSelect }) {
+  const { formatDate } = useCalendar();
   const [searchQuery, setSearchQuery] = useState('');
   const [showDropdown, setShowDropdown] = useState(false);
   const [results, setResults] = useState([]);
   const [highlightedIndex, setHighlightedIndex] = useState(-1);
+  const [showAdvanced, setShowAdvanced] = useState(false);
   const inputRef = useRef(null);
   const dropdownRef = useRef(null);
+  const advancedEnabled = isFeatureEnabled('EXPERIMENTAL.ADVANCED_SEARCH');
 
   const handleSearch = (query) => {
     setSearchQuery(query);
@@ -103,6 +114,24 @@ function SearchBar({ people, onSearchResults, onPersonSelect }) {
     inputRef.current?.focus();
   };
 
+  const handleToggleAdvanced = () => {
+    // Each mode owns the highlight while it is open
+    handleClear();
+    setShowAdvanced(prev => !prev);
+  };
+
+  const handleAdvancedResults = (records, entity) => {
+    onSearchResults(records ? getResultPeople(records, entity, people) : []);
+  };
+
+  const handleAdvancedSelect = (record, entity) => {
+    if (entity === 'people') {
+      handleSelectPerson(record);
+      return;
+    }
+    onSearchResults(getResultPeople([record], entity, people));
+  };
+
   // Keyboard navigation
   const handleKeyDown = (e) => {
     if (!showDropdown || results.length === 0) return;
@@ -157,7 +186,7 @@ function SearchBar({ people, onSearchResults, onPersonSelect }) {
   const displayResults = results.slice(0, 10);
 
   return (
-    <div className="search-bar">
+    <div className={`search-bar ${advancedEnabled ? 'search-bar--advanced' : ''}`}>
       {/* Input wrapper */}
       <div className="search-bar__input-wrapper">
         <Icon name="search" size={18} className="search-bar__icon" />
@@ -169,7 +198,8 @@ function SearchBar({ people, onSearchResults, onPersonSelect }) {
           onChange={(e) => handleSearch(e.target.value)}
           onFocus={() => results.length > 0 && setShowDropdown(true)}
           onKeyDown={handleKeyDown}
-          placeholder="Search people..."
+          placeholder={showAdvanced ? 'Using advanced search' : 'Search people...'}
+          disabled={showAdvanced}
           className="search-bar__input"
           autoComplete="off"
           role="combobox"
@@ -195,8 +225,31 @@ function SearchBar({ people, onSearchResults, onPersonSelect }) {
             </motion.button>
           )}
         </AnimatePresence>
+
+        {advancedEnabled && (
+          <button
+            type="button"
+            className={`search-bar__advanced-toggle ${showAdvanced ? 'search-bar__advanced-toggle--active' : ''}`}
+            onClick={handleToggleAdvanced}
+            title="Advanced search"
+            aria-label="Advanced search"
+            aria-pressed={showAdvanced}
+          >
+            <Icon name="sliders" size={16} />
+          </button>
+        )}
       </div>
 
+      {showAdvanced && (
+        <div className="search-bar__advanced">
+          <AdvancedSearch
+            onResults={handleAdvancedResults}
+            onSelect={handleAdvancedSelect}
+            onClose={handleToggleAdvanced}
+          />
+        </div>
+      )}
+
       {/* Dropdown Results */}
       <AnimatePresence>
         {showDropdown && results.length > 0 && (
@@ -239,8 +292,8 @@ function SearchBar({ people, onSearchResults, onPersonSelect }) {
                       </div>
                     )}
                     <div className="search-bar__result-dates">
-                      {person.dateOfBirth}
-                      {person.dateOfDeath ? ` - ${person.dateOfDeath}` : ''}
+                      {formatDate(person.dateOfBirth)}
+                      {person.dateOfDeath ? ` - ${formatDate(person.dateOfDeath)}` : ''}
                     </div>
                   </div>
                 </motion.button>
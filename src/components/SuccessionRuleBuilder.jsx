@@ -0,0 +1,300 @@
+/**
+ * SuccessionRuleBuilder.jsx - Edit a Custom Succession Law
+ *
+ * Builds the rule set stored at successionRules.custom (see
+ * utils/successionRules.js): how lines are walked, the ordering criteria
+ * in priority order, gender and legitimacy rules, who is barred, and how
+ * far the search reaches. Shows the line the rules produce as they change.
+ *
+ * Props:
+ * - rules: Current rule set
+ * - onChange: Called with the updated rule set
+ * - preview: Succession candidates for the current rules (optional)
+ * - getPersonName: personId -> display name, for the preview
+ */
+
+import { useState } from 'react';
+import Icon from './icons/Icon';
+import {
+  SUCCESSION_METHODS,
+  ORDERING_CRITERIA,
+  GENDER_RULES,
+  BASTARD_RULES,
+  HOUSE_RESTRICTIONS,
+  MAX_COLLATERAL_REACH,
+  normalizeSuccessionRules,
+  validateSuccessionRules
+} from '../utils/successionRules';
+import './SuccessionRuleBuilder.css';
+
+// How far up the collateral search goes, by collateralReach
+const REACH_LABELS = [
+  'Own descendants only',
+  'Siblings\' lines',
+  'Uncles\' and aunts\' lines',
+  'Great-uncles\' lines'
+];
+
+function SuccessionRuleBuilder({ rules, onChange, preview = null, getPersonName }) {
+  const current = normalizeSuccessionRules(rules);
+  const validation = validateSuccessionRules(current);
+  const [speciesText, setSpeciesText] = useState(current.excludedSpecies.join(', '));
+
+  const update = (changes) => onChange({ ...current, ...changes });
+
+  // ==================== ORDERING ====================
+
+  const moveCriterion = (index, offset) => {
+    const ordering = [...current.ordering];
+    const [criterion] = ordering.splice(index, 1);
+    ordering.splice(index + offset, 0, criterion);
+    update({ ordering });
+  };
+
+  const removeCriterion = (criterion) => {
+    update({ ordering: current.ordering.filter(c => c !== criterion) });
+  };
+
+  const addCriterion = (criterion) => {
+    if (!criterion) return;
+    // Eldest and youngest are alternatives
+    const opposite = { eldest: 'youngest', youngest: 'eldest' }[criterion];
+    update({ ordering: [...current.ordering.filter(c => c !== opposite), criterion] });
+  };
+
+  const unusedCriteria = Object.values(ORDERING_CRITERIA).filter(c => !current.ordering.includes(c.id));
+
+  const handleSpeciesChange = (text) => {
+    setSpeciesText(text);
+    update({ excludedSpecies: text.split(',').map(s => s.trim()).filter(Boolean) });
+  };
+
+  return (
+    <div className="succession-rules">
+      {/* Method */}
+      <div className="succession-rules__group">
+        <label className="succession-rules__label">Lines are walked by</label>
+        <div className="succession-rules__options">
+          {Object.values(SUCCESSION_METHODS).map(method => (
+            <label key={method.id} className="succession-rules__option">
+              <input
+                type="radio"
+                name="succession-method"
+                checked={current.method === method.id}
+                onChange={() => update({ method: method.id })}
+              />
+              <span>
+                <strong>{method.name}</strong>
+                <small>{method.description}</small>
+              </span>
+            </label>
+          ))}
+        </div>
+      </div>
+
+      {/* Ordering */}
+      <div className="succession-rules__group">
+        <label className="succession-rules__label">
+          {current.method === 'proximity' ? 'Among kin of equal degree' : 'Among siblings'}, order by
+        </label>
+        <ol className="succession-rules__ordering">
+          {current.ordering.map((criterion, index) => (
+            <li key={criterion} className="succession-rules__criterion">
+              <span className="succession-rules__criterion-name">
+                {ORDERING_CRITERIA[criterion]?.name || criterion}
+              </span>
+              <button
+                type="button"
+                className="succession-rules__icon-btn"
+                onClick={() => moveCriterion(index, -1)}
+                disabled={index === 0}
+                title="Move up"
+              >
+                <Icon name="chevron-up" size={14} />
+              </button>
+              <button
+                type="button"
+                className="succession-rules__icon-btn"
+                onClick={() => moveCriterion(index, 1)}
+                disabled={index === current.ordering.length - 1}
+                title="Move down"
+              >
+                <Icon name="chevron-down" size={14} />
+              </button>
+              <button
+                type="button"
+                className="succession-rules__icon-btn"
+                onClick={() => removeCriterion(criterion)}
+                title="Remove"
+              >
+                <Icon name="x" size={14} />
+              </button>
+            </li>
+          ))}
+          <li className="succession-rules__criterion succession-rules__criterion--fallback">
+            then eldest first
+          </li>
+        </ol>
+        {unusedCriteria.length > 0 && (
+          <select
+            value=""
+            onChange={(e) => addCriterion(e.target.value)}
+            className="succession-rules__select"
+          >
+            <option value="">+ Add a criterion…</option>
+            {unusedCriteria.map(c => (
+              <option key={c.id} value={c.id}>{c.name} - {c.description}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      <div className="succession-rules__row">
+        <div className="succession-rules__group">
+          <label className="succession-rules__label">Gender</label>
+          <select
+            value={current.gender}
+            onChange={(e) => update({ gender: e.target.value })}
+            className="succession-rules__select"
+          >
+            {Object.values(GENDER_RULES).map(rule => (
+              <option key={rule.id} value={rule.id}>{rule.name}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="succession-rules__group">
+          <label className="succession-rules__label">Bastards</label>
+          <select
+            value={current.bastards}
+            onChange={(e) => update({ bastards: e.target.value })}
+            className="succession-rules__select"
+            title={BASTARD_RULES[current.bastards]?.description}
+          >
+            {Object.values(BASTARD_RULES).map(rule => (
+              <option key={rule.id} value={rule.id}>{rule.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="succession-rules__row">
+        <div className="succession-rules__group">
+          <label className="succession-rules__label">House</label>
+          <select
+            value={current.houseRestriction}
+            onChange={(e) => update({ houseRestriction: e.target.value })}
+            className="succession-rules__select"
+          >
+            {Object.values(HOUSE_RESTRICTIONS).map(rule => (
+              <option key={rule.id} value={rule.id}>{rule.name}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="succession-rules__group">
+          <label className="succession-rules__label">Search reaches</label>
+          <select
+            value={current.collateralReach}
+            onChange={(e) => update({ collateralReach: Number(e.target.value) })}
+            className="succession-rules__select"
+          >
+            {Array.from({ length: MAX_COLLATERAL_REACH + 1 }, (_, reach) => (
+              <option key={reach} value={reach}>
+                {REACH_LABELS[reach] || `${reach} generations up`}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Exclusions */}
+      <div className="succession-rules__group">
+        <label className="succession-rules__label">Also barred</label>
+        <label className="succession-rules__checkbox">
+          <input
+            type="checkbox"
+            checked={current.excludeAdopted}
+            onChange={(e) => update({ excludeAdopted: e.target.checked })}
+          />
+          Adopted children
+        </label>
+        <label className="succession-rules__checkbox">
+          <input
+            type="checkbox"
+            checked={current.excludeClergy}
+            onChange={(e) => update({ excludeClergy: e.target.checked })}
+          />
+          Those in holy orders
+        </label>
+        <input
+          type="text"
+          value={speciesText}
+          onChange={(e) => handleSpeciesChange(e.target.value)}
+          placeholder="Species, comma-separated (e.g., Elf, Dwarf)"
+          className="succession-rules__select"
+        />
+        <label className="succession-rules__checkbox">
+          <input
+            type="checkbox"
+            checked={current.excludedTransmit}
+            onChange={(e) => update({ excludedTransmit: e.target.checked })}
+          />
+          Barred people still pass their claim to their children
+        </label>
+      </div>
+
+      {(validation.errors.length > 0 || validation.warnings.length > 0) && (
+        <ul className="succession-rules__messages">
+          {validation.errors.map(message => (
+            <li key={message} className="succession-rules__message succession-rules__message--error">
+              <Icon name="alert-circle" size={12} />
+              <span>{message}</span>
+            </li>
+          ))}
+          {validation.warnings.map(message => (
+            <li key={message} className="succession-rules__message">
+              <Icon name="alert-triangle" size={12} />
+              <span>{message}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Preview */}
+      {preview && (
+        <div className="succession-rules__preview">
+          <h4 className="succession-rules__preview-title">
+            <Icon name="crown" size={14} />
+            <span>Line under these rules</span>
+          </h4>
+          {preview.length === 0 ? (
+            <p className="succession-rules__preview-empty">No claimants found - is there a current holder?</p>
+          ) : (
+            <ol className="succession-rules__preview-list">
+              {preview.slice(0, 8).map(candidate => (
+                <li
+                  key={candidate.personId}
+                  className={`succession-rules__preview-item ${candidate.excluded ? 'succession-rules__preview-item--excluded' : ''}`}
+                >
+                  <span className="succession-rules__preview-position">
+                    {candidate.excluded ? <Icon name="x" size={10} /> : candidate.position}
+                  </span>
+                  <span className="succession-rules__preview-name">{getPersonName(candidate.personId)}</span>
+                  <span className="succession-rules__preview-meta">
+                    {candidate.excluded ? candidate.exclusionReason : candidate.relationship}
+                  </span>
+                </li>
+              ))}
+              {preview.length > 8 && (
+                <li className="succession-rules__preview-more">+{preview.length - 8} more</li>
+              )}
+            </ol>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SuccessionRuleBuilder;
@@ -0,0 +1,358 @@
+/**
+ * SuccessionSimulator.jsx - "What If" Succession
+ *
+ * PURPOSE:
+ * Lets the user build a hypothetical scenario - deaths, disinheritances,
+ * legitimizations and marriages on a chosen date - and shows how every
+ * dignity's succession would change: new holders and heirs, personal unions
+ * and the crises that follow. Nothing is saved until the scenario is
+ * committed. See services/successionScenarioService.js.
+ *
+ * Committing saves the deaths, legitimizations and marriages and records
+ * the changes of holder as tenures, all at once and undone as one step
+ * (see commitSuccessionScenario in the genealogy context). Disinheritances
+ * only shape the committed successions.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import Icon from './icons';
+import { ActionButton } from './shared';
+import { useGenealogy } from '../contexts/GenealogyContext';
+import { useCalendar } from '../contexts/CalendarContext';
+import { useDataset } from '../contexts/DatasetContext';
+import { getAllDignities } from '../services/dignityService';
+import {
+  SCENARIO_ACTIONS,
+  SCENARIO_CRISES,
+  validateScenarioAction,
+  simulateScenario
+} from '../services/successionScenarioService';
+import './SuccessionSimulator.css';
+
+const EMPTY_DRAFT = { type: 'kill', personId: '', spouseId: '' };
+
+// How much of each new line to show
+const LINE_PREVIEW = 3;
+
+const personName = (p) => (p ? `${p.firstName} ${p.lastName || ''}`.trim() : 'Unknown');
+
+function SuccessionSimulator() {
+  const { people, relationships, relationshipTypes, commitSuccessionScenario } = useGenealogy();
+  const { calendar, presentDate, formatDate, formatDateForInput, parseDateInput, getDateInputHint } = useCalendar();
+  const { activeDataset } = useDataset();
+
+  // ==================== STATE ====================
+  const [dignities, setDignities] = useState([]);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [dateInput, setDateInput] = useState(() => formatDateForInput(presentDate));
+  const [actions, setActions] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [error, setError] = useState(null);
+  const [committing, setCommitting] = useState(false);
+  const [committedCount, setCommittedCount] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getAllDignities(activeDataset?.id)
+      .then(all => { if (!cancelled) setDignities(all); })
+      .catch(err => console.error('Error loading dignities:', err));
+    return () => { cancelled = true; };
+  }, [activeDataset, reloadKey]);
+
+  // The present date can arrive after the calendar loads
+  useEffect(() => {
+    if (presentDate) setDateInput(prev => prev || formatDateForInput(presentDate));
+  }, [presentDate, formatDateForInput]);
+
+  const parsedDate = parseDateInput(dateInput);
+  const date = parsedDate.valid ? parsedDate.value : null;
+
+  const peopleById = useMemo(() => new Map(people.map(p => [p.id, p])), [people]);
+  const dignityById = useMemo(() => new Map(dignities.map(d => [d.id, d])), [dignities]);
+  const sortedPeople = useMemo(
+    () => [...people].sort((a, b) => personName(a).localeCompare(personName(b))),
+    [people]
+  );
+  const nameOf = (id) => personName(peopleById.get(id));
+
+  const result = useMemo(() => {
+    if (!date || actions.length === 0) return null;
+    return simulateScenario({ people, relationships, dignities, actions, date, calendar, relationshipTypes });
+  }, [people, relationships, dignities, actions, date, calendar, relationshipTypes]);
+
+  // ==================== HANDLERS ====================
+
+  const updateDraft = (updates) => {
+    setDraft(prev => ({ ...prev, ...updates }));
+    setError(null);
+  };
+
+  const handleAdd = () => {
+    if (!date) {
+      setError(`Scenario date: ${parsedDate.error || 'Enter a date'}`);
+      return;
+    }
+    const action = {
+      id: `${Date.now()}-${actions.length}`,
+      type: draft.type,
+      personId: Number(draft.personId) || null,
+      ...(draft.type === 'marry' && { spouseId: Number(draft.spouseId) || null })
+    };
+    const problem = validateScenarioAction(action, { people, relationships, actions, date, calendar });
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    setActions(prev => [...prev, action]);
+    setDraft({ ...EMPTY_DRAFT, type: draft.type });
+    setCommittedCount(null);
+  };
+
+  const handleRemove = (actionId) => {
+    setActions(prev => prev.filter(a => a.id !== actionId));
+  };
+
+  const handleReset = () => {
+    setActions([]);
+    setDraft(EMPTY_DRAFT);
+    setError(null);
+  };
+
+  const handleCommit = async () => {
+    const message = `Make this scenario part of the record as of ${formatDate(date)}?\n\n` +
+      'Deaths, legitimizations and marriages are saved to the people involved, and every change of ' +
+      'holder is recorded as a tenure. Disinheritances are not recorded.';
+    if (!window.confirm(message)) return;
+
+    setCommitting(true);
+    setError(null);
+    try {
+      const count = await commitSuccessionScenario(result, actions, date);
+      setCommittedCount(count);
+      setActions([]);
+      setReloadKey(key => key + 1);
+    } catch (err) {
+      setError(`Could not commit the scenario: ${err.message}`);
+    } finally {
+      setCommitting(false);
+    }
+  };
+
+  // ==================== RENDER ====================
+
+  const describeAction = (action) => (action.type === 'marry'
+    ? `${nameOf(action.personId)} marries ${nameOf(action.spouseId)}`
+    : `${nameOf(action.personId)} - ${SCENARIO_ACTIONS[action.type].name.toLowerCase()}`);
+
+  const renderDignityLink = (dignityId) => (
+    <Link key={dignityId} to={`/dignities/view/${dignityId}`} className="succession-simulator__dignity-link">
+      {dignityById.get(dignityId)?.name || 'Unknown dignity'}
+    </Link>
+  );
+
+  const renderChange = (label, before, after) => (
+    <div className="succession-simulator__change-row">
+      <span className="succession-simulator__change-label">{label}</span>
+      <span className={before === after ? '' : 'succession-simulator__change-before'}>
+        {before ? nameOf(before) : 'None'}
+      </span>
+      {before !== after && (
+        <>
+          <Icon name="chevron-right" size={14} />
+          <span className="succession-simulator__change-after">{after ? nameOf(after) : 'None'}</span>
+        </>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="succession-simulator">
+      <p className="succession-simulator__intro">
+        Try out deaths, disinheritances, legitimizations and marriages and see how every line of
+        succession would change. Nothing is saved unless you commit the scenario.
+      </p>
+
+      {/* Scenario builder */}
+      <div className="succession-simulator__builder">
+        <label className="succession-simulator__field">
+          <span>Scenario date</span>
+          <input
+            type="text"
+            value={dateInput}
+            onChange={(e) => { setDateInput(e.target.value); setError(null); }}
+            placeholder={getDateInputHint()}
+          />
+        </label>
+        <label className="succession-simulator__field">
+          <span>What happens</span>
+          <select value={draft.type} onChange={(e) => updateDraft({ type: e.target.value, spouseId: '' })}>
+            {Object.values(SCENARIO_ACTIONS).map(type => (
+              <option key={type.id} value={type.id}>{type.name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="succession-simulator__field">
+          <span>Person</span>
+          <select value={draft.personId} onChange={(e) => updateDraft({ personId: e.target.value })}>
+            <option value="">Choose...</option>
+            {sortedPeople.map(p => <option key={p.id} value={p.id}>{personName(p)}</option>)}
+          </select>
+        </label>
+        {draft.type === 'marry' && (
+          <label className="succession-simulator__field">
+            <span>Marries</span>
+            <select value={draft.spouseId} onChange={(e) => updateDraft({ spouseId: e.target.value })}>
+              <option value="">Choose...</option>
+              {sortedPeople.map(p => <option key={p.id} value={p.id}>{personName(p)}</option>)}
+            </select>
+          </label>
+        )}
+        <ActionButton icon="plus" variant="secondary" size="sm" onClick={handleAdd}>
+          Add
+        </ActionButton>
+      </div>
+
+      {error && (
+        <p className="succession-simulator__error">
+          <Icon name="alert-circle" size={14} />
+          <span>{error}</span>
+        </p>
+      )}
+
+      {committedCount !== null && actions.length === 0 && (
+        <p className="succession-simulator__committed">
+          <Icon name="check-circle" size={14} />
+          <span>Scenario committed - {committedCount} {committedCount === 1 ? 'dignity' : 'dignities'} changed hands.</span>
+        </p>
+      )}
+
+      {actions.length > 0 && (
+        <ul className="succession-simulator__actions">
+          {actions.map(action => (
+            <li key={action.id} className="succession-simulator__action">
+              <Icon name={SCENARIO_ACTIONS[action.type].icon} size={14} />
+              <span>{describeAction(action)}</span>
+              <button
+                type="button"
+                className="succession-simulator__remove"
+                onClick={() => handleRemove(action.id)}
+                title="Remove from scenario"
+              >
+                <Icon name="x" size={14} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Outcome */}
+      {result && (
+        <div className="succession-simulator__results">
+          {result.dignities.length === 0 ? (
+            <p className="succession-simulator__empty">No dignity's succession changes in this scenario.</p>
+          ) : (
+            <>
+              {result.crises.length > 0 && (
+                <section className="succession-simulator__section">
+                  <h3 className="succession-simulator__section-title">
+                    <Icon name="alert-triangle" size={16} />
+                    <span>Crises</span>
+                  </h3>
+                  <ul className="succession-simulator__list">
+                    {result.crises.map((crisis, index) => (
+                      <li
+                        key={`${crisis.dignityId}-${index}`}
+                        className={`succession-simulator__crisis succession-simulator__crisis--${SCENARIO_CRISES[crisis.type].severity}`}
+                      >
+                        <strong>{SCENARIO_CRISES[crisis.type].name}</strong>
+                        {renderDignityLink(crisis.dignityId)}
+                        <span>{crisis.message}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </section>
+              )}
+
+              {(result.unions.length > 0 || result.marriageUnions.length > 0) && (
+                <section className="succession-simulator__section">
+                  <h3 className="succession-simulator__section-title">
+                    <Icon name="git-branch" size={16} />
+                    <span>Personal Unions</span>
+                  </h3>
+                  <ul className="succession-simulator__list">
+                    {result.unions.map(union => (
+                      <li key={`${union.personId}-${union.dignityIds.join('-')}`} className="succession-simulator__union">
+                        <span>
+                          {nameOf(union.personId)} {union.kind === 'held' ? 'would hold' : 'would be heir to'}
+                        </span>
+                        {union.dignityIds.map(renderDignityLink)}
+                      </li>
+                    ))}
+                    {result.marriageUnions.map(union => (
+                      <li key={union.personIds.join('-')} className="succession-simulator__union">
+                        <span>
+                          Children of {nameOf(union.personIds[0])} and {nameOf(union.personIds[1])} would be heirs to
+                        </span>
+                        {union.dignityIds.map(renderDignityLink)}
+                      </li>
+                    ))}
+                  </ul>
+                </section>
+              )}
+
+              <section className="succession-simulator__section">
+                <h3 className="succession-simulator__section-title">
+                  <Icon name="crown" size={16} />
+                  <span>Affected Dignities ({result.dignities.length})</span>
+                </h3>
+                <div className="succession-simulator__dignities">
+                  {result.dignities.map(change => (
+                    <article key={change.dignity.id} className="succession-simulator__dignity">
+                      {renderDignityLink(change.dignity.id)}
+                      {renderChange('Holder', change.previousHolderId, change.holderId)}
+                      {renderChange('Heir', change.previousHeirId, change.heirId)}
+                      {change.line.some(c => !c.excluded) && (
+                        <ol className="succession-simulator__line">
+                          {change.line.filter(c => !c.excluded).slice(0, LINE_PREVIEW).map(candidate => (
+                            <li key={candidate.personId}>
+                              {personName(candidate.person)}
+                              <span className="succession-simulator__relationship"> ({candidate.relationship})</span>
+                            </li>
+                          ))}
+                        </ol>
+                      )}
+                    </article>
+                  ))}
+                </div>
+              </section>
+
+              <div className="succession-simulator__footer">
+                <p className="succession-simulator__note">
+                  Committing saves the deaths, legitimizations and marriages and records every change of
+                  holder as a tenure. Disinheritances are not recorded.
+                </p>
+                <div className="succession-simulator__footer-actions">
+                  <ActionButton icon="rotate-ccw" variant="ghost" size="sm" onClick={handleReset} disabled={committing}>
+                    Clear
+                  </ActionButton>
+                  <ActionButton
+                    icon={committing ? 'loader-2' : 'save'}
+                    variant="primary"
+                    size="sm"
+                    onClick={handleCommit}
+                    disabled={committing}
+                  >
+                    {committing ? 'Committing...' : 'Commit Scenario'}
+                  </ActionButton>
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SuccessionSimulator;
@@ -0,0 +1,413 @@
+/**
+ * TenureTimeline.jsx - Gantt Timeline of Tenures
+ *
+ * PURPOSE:
+ * Shows one or many dignities' holders across the years: a bar per
+ * tenure in the holder's house colour, interregnum and regency periods,
+ * disputes over the years they were pressed, and gaps and overlaps
+ * between holders. Clicking a bar opens the tenure for editing; dragging
+ * either end of a bar moves that date to the year it is dropped on.
+ * Saving is left to the parent through onSaveTenure. See
+ * utils/tenureTimeline.js.
+ *
+ * Props:
+ * - dignities: Dignities to show, one row each, in display order
+ * - tenures: Tenure records (any dignity)
+ * - people, houses: For holder names and house colours
+ * - onSaveTenure: Called with (tenureId, updates); may return a promise
+ * - onDignitySelect: Called with a dignity when its row label is clicked (optional)
+ * - readOnly: No editing or dragging
+ */
+
+import { useState, useMemo, useRef } from 'react';
+import Icon from './icons';
+import { useCalendar } from '../contexts/CalendarContext';
+import { ACQUISITION_TYPES, END_TYPES, INTERREGNUM_REASONS } from '../services/dignityService';
+import { getYear } from '../utils/calendarUtils';
+import { buildTenureTimeline, getDraggedDates } from '../utils/tenureTimeline';
+import './TenureTimeline.css';
+
+// Year steps for the axis, smallest first
+const AXIS_STEPS = [1, 2, 5, 10, 20, 25, 50, 100, 200, 250, 500, 1000];
+const MAX_TICKS = 10;
+
+const personName = (p) => (p ? `${p.firstName} ${p.lastName || ''}`.trim() : 'Unknown');
+
+/**
+ * Give each bar the first lane free at its start, so overlapping
+ * tenures stack instead of hiding each other
+ */
+function assignLanes(bars) {
+  const laneEnds = [];
+  return bars.map(bar => {
+    let lane = laneEnds.findIndex(end => end <= bar.start);
+    if (lane === -1) lane = laneEnds.length;
+    laneEnds[lane] = bar.end;
+    return { ...bar, lane };
+  });
+}
+
+function TenureTimeline({
+  dignities,
+  tenures,
+  people = [],
+  houses = [],
+  onSaveTenure,
+  onDignitySelect = null,
+  readOnly = false
+}) {
+  const { calendar, presentDate, formatDate, formatDateForInput, parseDateInput, getDateInputHint } = useCalendar();
+
+  // ==================== STATE ====================
+  const [editing, setEditing] = useState(null); // { tenure, form }
+  const [errors, setErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [drag, setDrag] = useState(null); // { tenure, edge, year, track }
+  const dragMoved = useRef(false);
+
+  const timeline = useMemo(
+    () => buildTenureTimeline(dignities, tenures, { presentYear: getYear(presentDate), calendar }),
+    [dignities, tenures, presentDate, calendar]
+  );
+  const peopleById = useMemo(() => new Map(people.map(p => [p.id, p])), [people]);
+  const housesById = useMemo(() => new Map(houses.map(h => [h.id, h])), [houses]);
+  const sortedPeople = useMemo(
+    () => [...people].sort((a, b) => personName(a).localeCompare(personName(b))),
+    [people]
+  );
+
+  if (!timeline) {
+    return <p className="tenure-timeline__empty">No dated tenures to show on a timeline yet.</p>;
+  }
+
+  const { startYear, endYear } = timeline;
+  const span = endYear - startYear;
+  const step = AXIS_STEPS.find(s => span / s <= MAX_TICKS) || AXIS_STEPS[AXIS_STEPS.length - 1];
+  const ticks = [];
+  for (let year = Math.ceil(startYear / step) * step; year <= endYear; year += step) ticks.push(year);
+
+  const position = (start, end) => ({
+    left: `${((start - startYear) / span) * 100}%`,
+    width: `${(Math.max(end - start, 0) / span) * 100}%`
+  });
+
+  // ==================== DRAGGING ====================
+
+  const yearAt = (track, clientX) => {
+    const rect = track.getBoundingClientRect();
+    const fraction = Math.min(Math.max((clientX - rect.left) / rect.width, 0), 1);
+    return Math.round(startYear + fraction * span);
+  };
+
+  const startDrag = (event, tenure, edge) => {
+    if (readOnly) return;
+    event.stopPropagation();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragMoved.current = false;
+    const track = event.currentTarget.closest('.tenure-timeline__track');
+    setDrag({ tenure, edge, year: yearAt(track, event.clientX), track });
+  };
+
+  const moveDrag = (event) => {
+    if (!drag) return;
+    const year = yearAt(drag.track, event.clientX);
+    if (year !== drag.year) {
+      dragMoved.current = true;
+      setDrag({ ...drag, year });
+    }
+  };
+
+  const endDrag = async () => {
+    if (!drag) return;
+    const dates = dragMoved.current ? getDraggedDates(drag.tenure, drag.edge, drag.year, calendar) : null;
+    setDrag(null);
+    if (!dates) return;
+    try {
+      setErrors([]);
+      await onSaveTenure(drag.tenure.id, dates);
+    } catch (err) {
+      setErrors([`Could not move tenure: ${err.message}`]);
+    }
+  };
+
+  // ==================== EDITING ====================
+
+  const openEditor = (tenure) => {
+    if (readOnly || dragMoved.current) {
+      dragMoved.current = false;
+      return;
+    }
+    setErrors([]);
+    setEditing({
+      tenure,
+      form: {
+        personId: String(tenure.personId || ''),
+        dateStarted: formatDateForInput(tenure.dateStarted),
+        dateEnded: formatDateForInput(tenure.dateEnded),
+        acquisitionType: tenure.acquisitionType || '',
+        endType: tenure.endType || '',
+        notes: tenure.notes || ''
+      }
+    });
+  };
+
+  const updateForm = (updates) => setEditing(prev => ({ ...prev, form: { ...prev.form, ...updates } }));
+
+  const handleSave = async () => {
+    const { tenure, form } = editing;
+    const started = parseDateInput(form.dateStarted, { uncertain: true });
+    const ended = parseDateInput(form.dateEnded, { uncertain: true });
+    const problems = [
+      !form.personId && 'Choose who held it',
+      !started.valid && `Start: ${started.error}`,
+      !ended.valid && `End: ${ended.error}`
+    ].filter(Boolean);
+    if (problems.length > 0) {
+      setErrors(problems);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await onSaveTenure(tenure.id, {
+        personId: Number(form.personId),
+        dateStarted: started.value || null,
+        ...(tenure.dateEnded && { dateEnded: ended.value || null }),
+        acquisitionType: form.acquisitionType || null,
+        endType: form.endType || null,
+        notes: form.notes || null
+      });
+      setEditing(null);
+    } catch (err) {
+      setErrors([`Could not save: ${err.message}`]);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ==================== RENDER ====================
+
+  const renderBar = (bar, dignity) => {
+    const { tenure } = bar;
+    const holder = peopleById.get(tenure.personId);
+    const house = housesById.get(holder?.houseId);
+    const dragging = drag?.tenure.id === tenure.id;
+    const start = dragging && drag.edge === 'start' ? drag.year : bar.start;
+    const end = dragging && drag.edge === 'end' ? drag.year : bar.end;
+    const dates = `${formatDate(tenure.dateStarted)} – ${tenure.dateEnded ? formatDate(tenure.dateEnded) : 'Present'}`;
+
+    return (
+      <div
+        key={tenure.id}
+        className={`tenure-timeline__bar ${bar.open ? 'tenure-timeline__bar--open' : ''} ${editing?.tenure.id === tenure.id ? 'tenure-timeline__bar--selected' : ''}`}
+        style={{
+          ...position(start, Math.max(end, start)),
+          top: `calc(${bar.lane} * var(--tenure-lane-height))`,
+          '--house-color': house?.colorCode || 'var(--accent-primary)'
+        }}
+        title={`${personName(holder)} · ${dates}${readOnly ? '' : ' · Click to edit, drag an end to move it'}`}
+        onClick={() => openEditor(tenure)}
+        role={readOnly ? undefined : 'button'}
+        aria-label={`${personName(holder)}, ${dignity.name}, ${dates}`}
+      >
+        {!readOnly && (
+          <span
+            className="tenure-timeline__handle tenure-timeline__handle--start"
+            onPointerDown={(e) => startDrag(e, tenure, 'start')}
+            onPointerMove={moveDrag}
+            onPointerUp={endDrag}
+            onClick={(e) => e.stopPropagation()}
+          />
+        )}
+        <span className="tenure-timeline__bar-label">{personName(holder)}</span>
+        {!readOnly && !bar.open && (
+          <span
+            className="tenure-timeline__handle tenure-timeline__handle--end"
+            onPointerDown={(e) => startDrag(e, tenure, 'end')}
+            onPointerMove={moveDrag}
+            onPointerUp={endDrag}
+            onClick={(e) => e.stopPropagation()}
+          />
+        )}
+        {dragging && <span className="tenure-timeline__drag-year">{drag.year}</span>}
+      </div>
+    );
+  };
+
+  const { form } = editing || {};
+
+  return (
+    <div className="tenure-timeline">
+      <div className="tenure-timeline__chart">
+        {/* Axis */}
+        <div className="tenure-timeline__row tenure-timeline__row--axis">
+          <div className="tenure-timeline__label" />
+          <div className="tenure-timeline__track">
+            {ticks.map(year => (
+              <span key={year} className="tenure-timeline__tick" style={{ left: position(year, year).left }}>
+                {year}
+              </span>
+            ))}
+          </div>
+        </div>
+
+        {timeline.rows.map(row => {
+          const bars = assignLanes(row.bars);
+          const lanes = Math.max(1, ...bars.map(b => b.lane + 1));
+          return (
+            <div key={row.dignity.id} className="tenure-timeline__row">
+              <div className="tenure-timeline__label">
+                {onDignitySelect ? (
+                  <button type="button" className="tenure-timeline__dignity" onClick={() => onDignitySelect(row.dignity)}>
+                    {row.dignity.name}
+                  </button>
+                ) : (
+                  <span className="tenure-timeline__dignity">{row.dignity.name}</span>
+                )}
+                {row.undated > 0 && (
+                  <span className="tenure-timeline__undated">{row.undated} undated</span>
+                )}
+              </div>
+              <div
+                className="tenure-timeline__track"
+                style={{ height: `calc(${lanes} * var(--tenure-lane-height) + var(--tenure-dispute-height))` }}
+              >
+                {ticks.map(year => (
+                  <span key={year} className="tenure-timeline__gridline" style={{ left: position(year, year).left }} />
+                ))}
+                {row.periods.map(period => (
+                  <div
+                    key={period.kind}
+                    className={`tenure-timeline__period tenure-timeline__period--${period.kind}`}
+                    style={position(period.start, period.end)}
+                    title={[
+                      period.kind === 'regency' ? 'Regency' : 'Interregnum',
+                      INTERREGNUM_REASONS[period.interregnum.reason]?.name,
+                      period.interregnum.regentId &&
+                        `${period.interregnum.regentTitle || 'Regent'}: ${personName(peopleById.get(period.interregnum.regentId))}`
+                    ].filter(Boolean).join(' · ')}
+                  />
+                ))}
+                {row.findings.map(finding => (
+                  <div
+                    key={`${finding.type}-${finding.before.id}-${finding.after.id}`}
+                    className={`tenure-timeline__finding tenure-timeline__finding--${finding.type}`}
+                    style={position(finding.start, Math.max(finding.end, finding.start + span / 200))}
+                    title={finding.type === 'gap'
+                      ? `No holder recorded ${finding.start}–${finding.end}`
+                      : `${personName(peopleById.get(finding.before.personId))} and ${personName(peopleById.get(finding.after.personId))} overlap ${finding.start}–${finding.end}`}
+                  />
+                ))}
+                {bars.map(bar => renderBar(bar, row.dignity))}
+                {row.disputes.map((item, index) => (
+                  <div
+                    key={item.dispute.id || index}
+                    className="tenure-timeline__dispute"
+                    style={position(item.start, Math.max(item.end, item.start + span / 200))}
+                    title={`Claim by ${personName(peopleById.get(item.dispute.claimantId))}`}
+                  >
+                    <Icon name="swords" size={10} />
+                  </div>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Legend */}
+      <div className="tenure-timeline__legend">
+        <span><span className="tenure-timeline__swatch tenure-timeline__swatch--regency" />Regency</span>
+        <span><span className="tenure-timeline__swatch tenure-timeline__swatch--interregnum" />Interregnum</span>
+        <span><span className="tenure-timeline__swatch tenure-timeline__swatch--gap" />Gap</span>
+        <span><span className="tenure-timeline__swatch tenure-timeline__swatch--overlap" />Overlap</span>
+        <span><span className="tenure-timeline__swatch tenure-timeline__swatch--dispute" />Dispute</span>
+      </div>
+
+      {!editing && errors.length > 0 && (
+        <ul className="tenure-timeline__errors">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+
+      {/* Editor */}
+      {editing && (
+        <div className="tenure-timeline__editor">
+          <div className="tenure-timeline__editor-row">
+            <label className="tenure-timeline__field">
+              <span>Holder</span>
+              <select value={form.personId} onChange={(e) => updateForm({ personId: e.target.value })}>
+                <option value="">Choose...</option>
+                {sortedPeople.map(p => <option key={p.id} value={p.id}>{personName(p)}</option>)}
+              </select>
+            </label>
+            <label className="tenure-timeline__field">
+              <span>Started</span>
+              <input
+                type="text"
+                value={form.dateStarted}
+                onChange={(e) => updateForm({ dateStarted: e.target.value })}
+                placeholder={getDateInputHint({ uncertain: true })}
+              />
+            </label>
+            <label className="tenure-timeline__field">
+              <span>Ended</span>
+              <input
+                type="text"
+                value={form.dateEnded}
+                onChange={(e) => updateForm({ dateEnded: e.target.value })}
+                placeholder={editing.tenure.dateEnded ? getDateInputHint({ uncertain: true }) : 'Present'}
+                disabled={!editing.tenure.dateEnded}
+                title={editing.tenure.dateEnded ? undefined : 'End the current tenure from the dignity\'s page'}
+              />
+            </label>
+          </div>
+          <div className="tenure-timeline__editor-row">
+            <label className="tenure-timeline__field">
+              <span>Acquired by</span>
+              <select value={form.acquisitionType} onChange={(e) => updateForm({ acquisitionType: e.target.value })}>
+                <option value="">Unknown</option>
+                {Object.values(ACQUISITION_TYPES).map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+              </select>
+            </label>
+            <label className="tenure-timeline__field">
+              <span>Ended by</span>
+              <select
+                value={form.endType}
+                onChange={(e) => updateForm({ endType: e.target.value })}
+                disabled={!editing.tenure.dateEnded}
+              >
+                <option value="">Unknown</option>
+                {Object.values(END_TYPES).map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+              </select>
+            </label>
+          </div>
+          <label className="tenure-timeline__field">
+            <span>Notes</span>
+            <textarea rows={2} value={form.notes} onChange={(e) => updateForm({ notes: e.target.value })} />
+          </label>
+          {errors.length > 0 && (
+            <ul className="tenure-timeline__errors">
+              {errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+          <div className="tenure-timeline__editor-actions">
+            <button type="button" className="tenure-timeline__btn" onClick={() => setEditing(null)} disabled={saving}>
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="tenure-timeline__btn tenure-timeline__btn--primary"
+              onClick={handleSave}
+              disabled={saving}
+            >
+              {saving ? 'Saving...' : 'Save Tenure'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TenureTimeline;
@@ -5,6 +5,10 @@
  * Provides interactive controls for the family tree visualization:
  * - Zoom in/out/reset buttons
  * - Current zoom level display
+ * - Export (SVG / PNG / PDF) button
+ * - Focus mode / collapsed branches status, with ways back to the full tree
+ * - Multi-selection status, with the way into bulk edit
+ * - Time slider for viewing the tree at one year
  * - Keyboard shortcuts
  *
  * Uses Framer Motion for animations and BEM CSS.
@@ -14,6 +18,7 @@ import { useEffect } from 'react';
 import { motion } from 'framer-motion';
 import * as d3 from 'd3';
 import Icon from './icons';
+import TimeSlider from './shared/TimeSlider';
 import './TreeControls.css';
 
 // ==================== ANIMATION VARIANTS ====================
@@ -43,7 +48,18 @@ function TreeControls({
   svgRef,
   zoomBehaviorRef,
   zoomLevel,
-  onZoomChange
+  onZoomChange,
+  onExport,
+  focusPersonName = null,
+  onExitFocus,
+  collapsedCount = 0,
+  onExpandAll,
+  selectedCount = 0,
+  onBulkEdit = null,
+  onClearSelection,
+  people = [],
+  year = null,
+  onYearChange = null
 }) {
   // ==================== ZOOM HANDLERS ====================
   const handleZoomIn = () => {
@@ -139,8 +155,73 @@ function TreeControls({
         <span className="tree-controls__zoom-level">
           {Math.round(zoomLevel * 100)}%
         </span>
+
+        {onExport && (
+          <button
+            className="tree-controls__zoom-btn tree-controls__zoom-btn--secondary"
+            onClick={onExport}
+            title="Export Tree (SVG, PNG, PDF)"
+          >
+            <Icon name="download" size={18} />
+          </button>
+        )}
       </motion.div>
 
+      {/* Branch Status - Top Centre */}
+      {(focusPersonName || collapsedCount > 0 || selectedCount > 0) && (
+        <motion.div
+          className="tree-controls tree-controls--branches"
+          variants={PANEL_VARIANTS}
+          initial="hidden"
+          animate="visible"
+        >
+          {focusPersonName && (
+            <div className="tree-controls__branch-status">
+              <Icon name="target" size={14} />
+              <span>Line of {focusPersonName}</span>
+              <button className="tree-controls__branch-btn" onClick={onExitFocus}>
+                Show All
+              </button>
+            </div>
+          )}
+          {collapsedCount > 0 && (
+            <div className="tree-controls__branch-status">
+              <Icon name="git-branch" size={14} />
+              <span>{collapsedCount} {collapsedCount === 1 ? 'branch' : 'branches'} collapsed</span>
+              <button className="tree-controls__branch-btn" onClick={onExpandAll}>
+                Expand All
+              </button>
+            </div>
+          )}
+          {selectedCount > 0 && (
+            <div className="tree-controls__branch-status">
+              <Icon name="check-square" size={14} />
+              <span>{selectedCount} selected</span>
+              {onBulkEdit && (
+                <button className="tree-controls__branch-btn" onClick={onBulkEdit}>
+                  Bulk Edit
+                </button>
+              )}
+              <button className="tree-controls__branch-btn" onClick={onClearSelection}>
+                Clear
+              </button>
+            </div>
+          )}
+        </motion.div>
+      )}
+
+      {/* Time Slider - Bottom Centre */}
+      {onYearChange && (
+        <motion.div
+          className="tree-controls tree-controls--timeline"
+          variants={PANEL_VARIANTS}
+          initial="hidden"
+          animate="visible"
+        >
+          <TimeSlider year={year} onChange={onYearChange} people={people} />
+        </motion.div>
+      )}
+
       {/* Keyboard Shortcuts Hint */}
       <motion.div
         className="tree-controls__shortcuts"
@@ -152,6 +233,12 @@ function TreeControls({
         <kbd className="tree-controls__kbd">+</kbd>/<kbd className="tree-controls__kbd">-</kbd> zoom
         <span className="tree-controls__shortcuts-divider">•</span>
         <kbd className="tree-controls__kbd">0</kbd> reset
+        {onBulkEdit && (
+          <>
+            <span className="tree-controls__shortcuts-divider">•</span>
+            <kbd className="tree-controls__kbd">Shift</kbd>+click select
+          </>
+        )}
       </motion.div>
     </>
   );
@@ -0,0 +1,264 @@
+/**
+ * TreeExportPanel.jsx - Family Tree Export Dialog
+ *
+ * PURPOSE:
+ * Exports the tree currently drawn in FamilyTree as a file:
+ * - SVG: scalable, for further editing or the web
+ * - PNG: high-DPI image, up to poster size
+ * - PDF: tiled across printable pages
+ *
+ * The whole house-scoped layout is exported, not just what is in view.
+ * See utils/treeExport.js for the rendering.
+ */
+
+import { useState, useEffect } from 'react';
+import Modal from './Modal';
+import Icon from './icons';
+import { downloadFile } from '../services/exportService';
+import {
+  TREE_EXPORT_FORMATS,
+  TREE_EXPORT_FORMAT_LABELS,
+  PNG_SCALES,
+  PAPER_SIZES,
+  createExportSvg,
+  planPageTiles,
+  getRasterScale,
+  getTreeExportFilename,
+  exportTreeAsSvg,
+  exportTreeAsPng,
+  exportTreeAsPdf
+} from '../utils/treeExport';
+import './TreeExportPanel.css';
+
+const PAGES_ACROSS_OPTIONS = [1, 2, 3, 4, 6, 8];
+
+function TreeExportPanel({
+  isOpen,
+  onClose,
+  svgRef,
+  title
+}) {
+  // ==================== STATE ====================
+  const [format, setFormat] = useState(TREE_EXPORT_FORMATS.PDF);
+  const [includeTitle, setIncludeTitle] = useState(true);
+  const [pngScale, setPngScale] = useState(4);
+  const [paper, setPaper] = useState('a4');
+  const [orientation, setOrientation] = useState('landscape');
+  const [pagesAcross, setPagesAcross] = useState(2);
+  const [layoutSize, setLayoutSize] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const exportTitle = includeTitle ? title : null;
+
+  // Measure the layout when the dialog opens, for the size previews
+  useEffect(() => {
+    if (!isOpen) return;
+
+    setError(null);
+    setResult(null);
+    try {
+      const { width, height } = createExportSvg(svgRef.current, { title: exportTitle });
+      setLayoutSize({ width, height });
+    } catch (err) {
+      console.error('❌ Error measuring tree for export:', err);
+      setLayoutSize(null);
+      setError('There is no tree on screen to export.');
+    }
+  }, [isOpen, exportTitle, svgRef]);
+
+  // ==================== PREVIEWS ====================
+  const pagePlan = layoutSize && format === TREE_EXPORT_FORMATS.PDF
+    ? planPageTiles(layoutSize.width, layoutSize.height, { paper, orientation, pagesAcross })
+    : null;
+
+  const pngSize = layoutSize && format === TREE_EXPORT_FORMATS.PNG
+    ? (() => {
+        const scale = getRasterScale(layoutSize.width, layoutSize.height, pngScale);
+        return {
+          width: Math.floor(layoutSize.width * scale),
+          height: Math.floor(layoutSize.height * scale),
+          limited: scale < pngScale
+        };
+      })()
+    : null;
+
+  // ==================== EXPORT ====================
+  const handleExport = async () => {
+    setExporting(true);
+    setError(null);
+    setResult(null);
+
+    try {
+      const prepared = createExportSvg(svgRef.current, { title: exportTitle });
+      const filename = getTreeExportFilename(title, format);
+
+      if (format === TREE_EXPORT_FORMATS.SVG) {
+        downloadFile(exportTreeAsSvg(prepared), filename, 'image/svg+xml');
+        setResult(`Saved ${filename}`);
+      } else if (format === TREE_EXPORT_FORMATS.PNG) {
+        const png = await exportTreeAsPng(prepared, pngScale);
+        downloadFile(png.blob, filename, 'image/png');
+        setResult(`Saved ${filename} (${png.width} × ${png.height} px)`);
+      } else {
+        const pdf = await exportTreeAsPdf(prepared, { title: title || '', paper, orientation, pagesAcross });
+        downloadFile(pdf.blob, filename, 'application/pdf');
+        setResult(`Saved ${filename} (${pdf.pageCount} ${pdf.pageCount === 1 ? 'page' : 'pages'})`);
+      }
+    } catch (err) {
+      console.error('❌ Error exporting tree:', err);
+      setError(err.message || 'Export failed.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Export Tree"
+      icon="download"
+      size="sm"
+    >
+      <div className="tree-export">
+        <div className="modal__form-group">
+          <label className="modal__form-label">Format</label>
+          <div className="tree-export__formats">
+            {Object.values(TREE_EXPORT_FORMATS).map(value => (
+              <button
+                key={value}
+                type="button"
+                className={`tree-export__format ${format === value ? 'tree-export__format--active' : ''}`}
+                onClick={() => setFormat(value)}
+              >
+                {TREE_EXPORT_FORMAT_LABELS[value]}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {format === TREE_EXPORT_FORMATS.PNG && (
+          <div className="modal__form-group">
+            <label className="modal__form-label" htmlFor="tree-export-scale">Resolution</label>
+            <select
+              id="tree-export-scale"
+              className="modal__form-select"
+              value={pngScale}
+              onChange={(e) => setPngScale(Number(e.target.value))}
+            >
+              {PNG_SCALES.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            {pngSize && (
+              <p className="modal__form-hint">
+                {pngSize.width} × {pngSize.height} px
+                {pngSize.limited && ' - reduced to the largest image your browser can draw'}
+              </p>
+            )}
+          </div>
+        )}
+
+        {format === TREE_EXPORT_FORMATS.PDF && (
+          <>
+            <div className="modal__form-row">
+              <div className="modal__form-group">
+                <label className="modal__form-label" htmlFor="tree-export-paper">Paper</label>
+                <select
+                  id="tree-export-paper"
+                  className="modal__form-select"
+                  value={paper}
+                  onChange={(e) => setPaper(e.target.value)}
+                >
+                  {Object.entries(PAPER_SIZES).map(([key, size]) => (
+                    <option key={key} value={key}>{size.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="modal__form-group">
+                <label className="modal__form-label" htmlFor="tree-export-orientation">Orientation</label>
+                <select
+                  id="tree-export-orientation"
+                  className="modal__form-select"
+                  value={orientation}
+                  onChange={(e) => setOrientation(e.target.value)}
+                >
+                  <option value="portrait">Portrait</option>
+                  <option value="landscape">Landscape</option>
+                </select>
+              </div>
+            </div>
+
+            <div className="modal__form-group">
+              <label className="modal__form-label" htmlFor="tree-export-pages">Pages Across</label>
+              <select
+                id="tree-export-pages"
+                className="modal__form-select"
+                value={pagesAcross}
+                onChange={(e) => setPagesAcross(Number(e.target.value))}
+              >
+                {PAGES_ACROSS_OPTIONS.map(count => (
+                  <option key={count} value={count}>{count}</option>
+                ))}
+              </select>
+              {pagePlan && (
+                <p className="modal__form-hint">
+                  Prints on {pagePlan.tiles.length} {pagePlan.tiles.length === 1 ? 'page' : 'pages'} ({pagePlan.columns} across × {pagePlan.rows} down). Each page is labelled with its row and column.
+                </p>
+              )}
+            </div>
+          </>
+        )}
+
+        {title && (
+          <label className="modal__form-checkbox">
+            <input
+              type="checkbox"
+              checked={includeTitle}
+              onChange={(e) => setIncludeTitle(e.target.checked)}
+            />
+            <span>Add the title &ldquo;{title}&rdquo;</span>
+          </label>
+        )}
+
+        {error && (
+          <div className="modal__alert modal__alert--error">
+            <Icon name="alert-circle" size={16} className="modal__alert-icon" />
+            <div className="modal__alert-content">
+              <p className="modal__alert-text">{error}</p>
+            </div>
+          </div>
+        )}
+
+        {result && (
+          <div className="modal__alert modal__alert--success">
+            <Icon name="check" size={16} className="modal__alert-icon" />
+            <div className="modal__alert-content">
+              <p className="modal__alert-text">{result}</p>
+            </div>
+          </div>
+        )}
+
+        <div className="tree-export__actions">
+          <button type="button" className="tree-export__btn tree-export__btn--secondary" onClick={onClose}>
+            Close
+          </button>
+          <button
+            type="button"
+            className="tree-export__btn tree-export__btn--primary"
+            onClick={handleExport}
+            disabled={exporting || !layoutSize}
+          >
+            <Icon name={exporting ? 'loader' : 'download'} size={16} />
+            <span>{exporting ? 'Exporting...' : 'Export'}</span>
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+export default TreeExportPanel;
@@ -2,9 +2,12 @@
  * TreeSettingsPanel Component
  *
  * Collapsible settings panel for the Family Tree view.
- * Controls house selection, centering, relationship display, and branch view.
+ * Controls house selection, chart mode, centering, relationship display,
+ * and branch view.
  */
 
+import { CHART_MODES, CHART_MODE_LABELS, MAX_CHART_GENERATIONS } from '../utils/chartLayouts';
+
 function TreeSettingsPanel({
   // Panel state
   isExpanded,
@@ -14,6 +17,12 @@ function TreeSettingsPanel({
   selectedHouseId,
   onHouseChange,
 
+  // Chart mode (house tree or a person-centred chart)
+  chartMode,
+  onChartModeChange,
+  chartGenerations,
+  onChartGenerationsChange,
+
   // Centre on person
   centreOnPersonId,
   onCentreOnChange,
@@ -38,7 +47,7 @@ function TreeSettingsPanel({
           borderColor: 'var(--border-primary)',
           borderRadius: 'var(--radius-lg)',
           boxShadow: 'var(--shadow-lg)',
-          maxHeight: isExpanded ? '600px' : '0',
+          maxHeight: isExpanded ? '760px' : '0',
           opacity: isExpanded ? '1' : '0',
           padding: isExpanded ? '1rem' : '0 1rem'
         }}
@@ -67,10 +76,60 @@ function TreeSettingsPanel({
           ))}
         </select>
 
+        {/* Chart Mode */}
+        <div className="mt-4 pt-4" style={{ borderTopWidth: '1px', borderColor: 'var(--border-primary)' }}>
+          <label className="block mb-2 text-sm font-medium" style={{ color: 'var(--text-primary)' }}>
+            Chart:
+          </label>
+          <select
+            value={chartMode}
+            onChange={(e) => onChartModeChange(e.target.value)}
+            className="w-48 p-2 rounded transition"
+            style={{
+              backgroundColor: 'var(--bg-tertiary)',
+              color: 'var(--text-primary)',
+              borderWidth: '1px',
+              borderColor: 'var(--border-primary)',
+              borderRadius: 'var(--radius-md)'
+            }}
+          >
+            {Object.values(CHART_MODES).map(mode => (
+              <option key={mode} value={mode}>{CHART_MODE_LABELS[mode]}</option>
+            ))}
+          </select>
+
+          {chartMode !== CHART_MODES.HOUSE && (
+            <>
+              <label className="block mt-3 mb-2 text-sm font-medium" style={{ color: 'var(--text-primary)' }}>
+                Generations:
+              </label>
+              <select
+                value={chartGenerations}
+                onChange={(e) => onChartGenerationsChange(Number(e.target.value))}
+                className="w-48 p-2 rounded transition"
+                style={{
+              backgroundColor: 'var(--bg-tertiary)',
+              color: 'var(--text-primary)',
+              borderWidth: '1px',
+              borderColor: 'var(--border-primary)',
+              borderRadius: 'var(--radius-md)'
+            }}
+              >
+                {Array.from({ length: MAX_CHART_GENERATIONS }, (_, i) => i + 1).map(count => (
+                  <option key={count} value={count}>{count}</option>
+                ))}
+              </select>
+              <p className="mt-2 text-xs" style={{ color: 'var(--text-tertiary)' }}>
+                Double-click a person to centre the chart on them
+              </p>
+            </>
+          )}
+        </div>
+
         {/* Centre On Person */}
         <div className="mt-4 pt-4" style={{ borderTopWidth: '1px', borderColor: 'var(--border-primary)' }}>
           <label className="block mb-2 text-sm font-medium" style={{ color: 'var(--text-primary)' }}>
-            Centre On:
+            {chartMode === CHART_MODES.HOUSE ? 'Centre On:' : 'Chart Person:'}
           </label>
           <select
             value={centreOnPersonId}
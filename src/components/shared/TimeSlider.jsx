@@ -0,0 +1,87 @@
+/**
+ * TimeSlider.jsx - Timeline Scrubber Component
+ *
+ * PURPOSE:
+ * Picks one in-world year to view the world at, across the span of the
+ * dataset's dated births and deaths. Shows nothing if nobody is dated.
+ * Uses the active calendar to display years and BEM CSS.
+ *
+ * Props:
+ * - year: Selected stored year, or null for all of history
+ * - onChange: Callback with the new year, or null to clear it
+ * - people: Person records (sets the slider's range)
+ */
+
+import { useMemo } from 'react';
+import Icon from '../icons';
+import { useCalendar } from '../../contexts/CalendarContext';
+import { getYearRange } from '../../utils/timeSlice';
+import './TimeSlider.css';
+
+function TimeSlider({ year, onChange, people }) {
+  const { calendar, formatYear } = useCalendar();
+  const range = useMemo(() => getYearRange(people, calendar), [people, calendar]);
+
+  if (!range) return null;
+
+  const { minYear, maxYear } = range;
+  const value = year === null ? maxYear : Math.min(Math.max(year, minYear), maxYear);
+  const step = (delta) => onChange(Math.min(Math.max(value + delta, minYear), maxYear));
+
+  return (
+    <div className={`time-slider ${year === null ? 'time-slider--off' : ''}`}>
+      <span className="time-slider__label">
+        <Icon name="calendar" size={14} />
+        <span>Year</span>
+      </span>
+
+      <button
+        type="button"
+        className="time-slider__step"
+        onClick={() => step(-1)}
+        disabled={year !== null && value <= minYear}
+        title="Previous year"
+      >
+        <Icon name="chevron-left" size={14} />
+      </button>
+
+      <input
+        type="range"
+        className="time-slider__range"
+        min={minYear}
+        max={maxYear}
+        value={value}
+        onChange={(e) => onChange(parseInt(e.target.value, 10))}
+        aria-label="View the world at year"
+        aria-valuetext={year === null ? 'All of history' : formatYear(String(value))}
+      />
+
+      <button
+        type="button"
+        className="time-slider__step"
+        onClick={() => step(1)}
+        disabled={year !== null && value >= maxYear}
+        title="Next year"
+      >
+        <Icon name="chevron-right" size={14} />
+      </button>
+
+      <span className="time-slider__value">
+        {year === null ? 'All of history' : formatYear(String(value))}
+      </span>
+
+      {year !== null && (
+        <button
+          type="button"
+          className="time-slider__clear"
+          onClick={() => onChange(null)}
+          title="Show all of history"
+        >
+          <Icon name="x" size={14} />
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default TimeSlider;
@@ -171,9 +171,9 @@ export const FEATURE_FLAGS = {
     
     // UI/UX Enhancements
     CODEX_PREVIEW_HOVER: false,         // 🧪 Rich hover cards for Codex entries
-    RELATIONSHIP_GRAPH: false,          // 🧪 Network visualization of all connections
-    ADVANCED_SEARCH: false,             // 🧪 Multi-field search with filters
-    BULK_OPERATIONS: false,             // 🧪 Batch edit multiple people/relationships
+    RELATIONSHIP_GRAPH: true,           // 🧪 Network visualization of all connections
+    ADVANCED_SEARCH: true,              // 🧪 Multi-field search with filters
+    BULK_OPERATIONS: true,              // 🧪 Batch edit multiple people/relationships
 
     // Data Features
     AI_BIOGRAPHY_ASSISTANT: false,      // 🧪 AI suggestions for Codex biographies
@@ -182,11 +182,11 @@ export const FEATURE_FLAGS = {
 
     // Visualization Enhancements
     RELATIONSHIP_STRENGTH: false,       // 🧪 Visual indicator of relationship closeness
-    HOUSE_ALLIANCES_VIEW: false,        // 🧪 Map of inter-house connections
+    HOUSE_ALLIANCES_VIEW: true,         // 🧪 Map of inter-house connections
     ANIMATED_TRANSITIONS: false,        // 🧪 Smooth animations for tree changes
 
     // Export/Import
-    GEDCOM_EXPORT: false,               // 🧪 Export to standard genealogy format
+    GEDCOM_EXPORT: true,                // 🧪 GEDCOM 5.5.1 / 7.0 import & export
     MARKDOWN_EXPORT: false,             // 🧪 Export Codex entries as markdown
     COLLABORATIVE_SYNC: false,          // 🧪 Multi-user editing capabilities
 
@@ -0,0 +1,184 @@
+/**
+ * CalendarContext.jsx - In-World Calendar & Story Present for the Active Dataset
+ *
+ * PURPOSE:
+ * Every dataset (world) can define its own calendar: named months of any
+ * length, eras ("412 AE") and an epoch offset between stored and displayed
+ * years. This context loads that definition for the active dataset and
+ * hands out calendar-bound helpers so components never have to thread the
+ * calendar through props:
+ *
+ *   const { formatDate, parseDateInput, compareDates } = useCalendar();
+ *   formatDate(person.dateOfBirth)            → "3 Frostmoon 412 AE"
+ *   parseDateInput('3 Frostmoon 412 AE')      → { valid, value: '1245-01-03' }
+ *
+ * STORY PRESENT:
+ * The context also holds the in-world "now" that ages, majority, succession
+ * eligibility and living/deceased checks are measured against:
+ *
+ *   const { presentDate, getAge, isAlive } = useCalendar();
+ *
+ * The dataset sets a default; an open Writing project can override it with
+ * its own present (setProjectPresentDate) for as long as it is open. With
+ * neither set, presentDate is null and callers fall back to the record
+ * alone (anyone with a death date is deceased, ages use today's date).
+ *
+ * STORAGE:
+ * Both live in the dataset's `datasetSettings` table (keys 'calendar' and
+ * 'presentDate') and sync to the cloud with the rest of the dataset.
+ *
+ * OUTSIDE A PROVIDER:
+ * useCalendar() falls back to the default Gregorian calendar, so standalone
+ * components (and component tests) keep working without extra setup.
+ */
+
+import { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  getCalendar,
+  saveCalendar,
+  getPresentDate,
+  savePresentDate
+} from '../services/datasetSettingsService';
+import { calculateAge } from '../services/database';
+import { DEFAULT_CALENDAR, createCalendarHelpers } from '../utils/calendarUtils';
+import { useAuth } from './AuthContext';
+import { useDataset } from './DatasetContext';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONTEXT OBJECT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Bind the story-present helpers to one present date
+ */
+function createPresentHelpers(helpers, presentDate) {
+  return {
+    presentDate,
+    getAge: (dateOfBirth, asOf = presentDate) => calculateAge(dateOfBirth, { asOf }),
+    getLifeStatus: (person, asOf = presentDate) => helpers.getLifeStatus(person, asOf),
+    isAlive: (person, asOf = presentDate) => helpers.isAliveOn(person, asOf)
+  };
+}
+
+const DEFAULT_HELPERS = createCalendarHelpers(DEFAULT_CALENDAR);
+
+const DEFAULT_VALUE = {
+  ...DEFAULT_HELPERS,
+  ...createPresentHelpers(DEFAULT_HELPERS, null),
+  datasetPresentDate: null,
+  projectPresentDate: null,
+  loading: false,
+  updateCalendar: async () => {
+    throw new Error('updateCalendar must be used within a CalendarProvider');
+  },
+  updatePresentDate: async () => {
+    throw new Error('updatePresentDate must be used within a CalendarProvider');
+  },
+  setProjectPresentDate: () => {},
+  reloadCalendar: async () => {}
+};
+
+const CalendarContext = createContext(DEFAULT_VALUE);
+
+/**
+ * CalendarProvider Component
+ *
+ * Loads the active dataset's calendar and reloads it whenever the dataset
+ * changes. Must sit inside AuthProvider and DatasetProvider.
+ */
+export function CalendarProvider({ children }) {
+  const [calendar, setCalendar] = useState(DEFAULT_CALENDAR);
+  const [datasetPresentDate, setDatasetPresentDate] = useState(null);
+  const [projectPresentDate, setProjectPresentDate] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const { user } = useAuth();
+  const { activeDataset } = useDataset();
+  const datasetId = activeDataset?.id || 'default';
+
+  /**
+   * Re-read the calendar and story present from IndexedDB (e.g. after a
+   * cloud download)
+   */
+  const reloadCalendar = useCallback(async () => {
+    try {
+      const [loaded, present] = await Promise.all([
+        getCalendar(datasetId),
+        getPresentDate(datasetId)
+      ]);
+      setCalendar(loaded);
+      setDatasetPresentDate(present);
+    } catch (err) {
+      console.error('❌ CalendarContext: Failed to load calendar', err);
+      setCalendar(DEFAULT_CALENDAR);
+      setDatasetPresentDate(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [datasetId]);
+
+  useEffect(() => {
+    setLoading(true);
+    setProjectPresentDate(null);
+    reloadCalendar();
+  }, [reloadCalendar]);
+
+  /**
+   * Validate, save and apply a new calendar definition
+   * @throws {Error} If the definition is invalid
+   */
+  const updateCalendar = useCallback(async (newCalendar) => {
+    const saved = await saveCalendar(newCalendar, user?.uid || null, datasetId);
+    setCalendar(saved);
+    return saved;
+  }, [user, datasetId]);
+
+  /**
+   * Save (or clear, with null) the dataset's story present
+   * @throws {Error} If the date doesn't exist in the calendar
+   */
+  const updatePresentDate = useCallback(async (newPresentDate) => {
+    const saved = await savePresentDate(newPresentDate || null, calendar, user?.uid || null, datasetId);
+    setDatasetPresentDate(saved);
+    return saved;
+  }, [calendar, user, datasetId]);
+
+  const presentDate = projectPresentDate || datasetPresentDate || null;
+
+  const value = useMemo(() => {
+    const helpers = createCalendarHelpers(calendar);
+    return {
+      ...helpers,
+      ...createPresentHelpers(helpers, presentDate),
+      datasetPresentDate,
+      projectPresentDate,
+      loading,
+      updateCalendar,
+      updatePresentDate,
+      setProjectPresentDate,
+      reloadCalendar
+    };
+  }, [calendar, presentDate, datasetPresentDate, projectPresentDate, loading, updateCalendar, updatePresentDate, reloadCalendar]);
+
+  return (
+    <CalendarContext.Provider value={value}>
+      {children}
+    </CalendarContext.Provider>
+  );
+}
+
+/**
+ * Hook to use the active dataset's calendar
+ *
+ * Returns: { calendar, isGregorian, formatDate, formatYear, formatDateForInput,
+ *            parseDateInput, getDateInputHint, isValidDateString, compareDates,
+ *            yearsBetween, toDayNumber, presentDate, datasetPresentDate,
+ *            projectPresentDate, getAge, getLifeStatus, isAlive, loading,
+ *            updateCalendar, updatePresentDate, setProjectPresentDate,
+ *            reloadCalendar }
+ */
+export function useCalendar() {
+  return useContext(CalendarContext);
+}
+
+export default CalendarContext;
@@ -27,6 +27,26 @@
  * - All mutations now sync to Firestore in the background
  * - Initial data load checks cloud for existing data
  * - Local-first approach: UI updates instantly, cloud syncs async
+ *
+ * UNDO/REDO:
+ * - Every mutation is journaled with before/after snapshots (historyService)
+ * - undo()/redo() replay the journal locally, then through the sync queue
+ * - `history` in state says what can be undone/redone, for buttons and shortcuts
+ * - bulkUpdate() writes many people/relationships in one transaction, queues
+ *   them as one sync batch and journals them as one undo step
+ * - commitSuccessionScenario() writes a what-if scenario's deaths, marriages
+ *   and changes of holder in one transaction, undone as one step
+ *
+ * PERSON MERGE:
+ * - mergePeople() folds a duplicate into another person, re-pointing
+ *   everything that referred to them (see utils/personMerge.js)
+ * - Merges are kept in their own table rather than the journal, since they
+ *   reach dignities, heraldry and writing too; reversePersonMerge() undoes one
+ *
+ * RELATIONSHIP TYPES:
+ * - `relationshipTypes` maps every type ID (built-in and the dataset's own)
+ *   to its definition (see utils/relationshipTypes.js)
+ * - saveRelationshipTypes() replaces the dataset's custom types
  */
 
 import { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
@@ -44,8 +64,16 @@ import {
   updateRelationship as dbUpdateRelationship,
   deleteRelationship as dbDeleteRelationship,
   foundCadetHouse as dbFoundCadetHouse,
+  bulkUpdateRecords as dbBulkUpdateRecords,
+  mergePeople as dbMergePeople,
+  reversePersonMerge as dbReversePersonMerge,
   deleteAllData as dbDeleteAllData
 } from '../services/database';
+import {
+  getCustomRelationshipTypes,
+  saveCustomRelationshipTypes
+} from '../services/datasetSettingsService';
+import { getRelationshipTypeMap } from '../utils/relationshipTypes';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // 🔗 TREE-CODEX INTEGRATION (Phase 1: Light Integration)
@@ -72,13 +100,30 @@ import {
   syncDeleteRelationship,
   syncAddCodexEntry,
   syncDeleteCodexEntry,
+  syncReplayedOperations,
+  syncBulkUpdate,
+  syncPersonMerge,
   getSyncStatus,
   startPeriodicSync,
   stopPeriodicSync
 } from '../services/dataSyncService';
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// ↩️ UNDO/REDO JOURNAL
+// ═══════════════════════════════════════════════════════════════════════════════
+import {
+  snapshotEntities,
+  getCodexLinkTargets,
+  recordOperation,
+  undoLastOperation,
+  redoLastOperation,
+  getHistoryState
+} from '../services/historyService';
+import { commitScenario } from '../services/successionScenarioService';
+
 import { useAuth } from './AuthContext';
 import { useDataset } from './DatasetContext';
+import { useCalendar } from './CalendarContext';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // CONTEXT OBJECTS
@@ -98,6 +143,14 @@ const GenealogyDispatchContext = createContext(null);
 // Legacy context for backward compatibility
 const GenealogyContext = createContext(null);
 
+const EMPTY_HISTORY = { canUndo: false, canRedo: false, undoLabel: null, redoLabel: null };
+
+const personName = (person) =>
+  [person?.firstName, person?.lastName].filter(Boolean).join(' ') || 'person';
+
+const relationshipName = (relationship) =>
+  relationship?.relationshipType ? `${relationship.relationshipType} relationship` : 'relationship';
+
 /**
  * GenealogyProvider Component
  * 
@@ -109,6 +162,7 @@ export function GenealogyProvider({ children }) {
   const [people, setPeople] = useState([]);
   const [houses, setHouses] = useState([]);
   const [relationships, setRelationships] = useState([]);
+  const [customRelationshipTypes, setCustomRelationshipTypes] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [dataVersion, setDataVersion] = useState(0);
@@ -116,6 +170,9 @@ export function GenealogyProvider({ children }) {
   // ☁️ Cloud sync state
   const [syncStatus, setSyncStatus] = useState('idle'); // 'idle' | 'syncing' | 'synced' | 'error'
   const [syncInitialized, setSyncInitialized] = useState(false);
+
+  // ↩️ Undo/redo availability for the active dataset
+  const [history, setHistory] = useState(EMPTY_HISTORY);
   
   // Get current user from auth context
   const { user } = useAuth();
@@ -123,6 +180,9 @@ export function GenealogyProvider({ children }) {
   // Get active dataset from dataset context
   const { activeDataset } = useDataset();
 
+  // In-world calendar (for codex subtitles; reloaded after cloud download)
+  const { formatDate, reloadCalendar } = useCalendar();
+
   // ==================== INITIAL DATA LOAD + CLOUD SYNC ====================
   
   useEffect(() => {
@@ -161,6 +221,7 @@ export function GenealogyProvider({ children }) {
 
       // Now load whatever data we have (local DB is now authoritative)
       await loadAllData();
+      await reloadCalendar();
 
       setSyncStatus('synced');
       setSyncInitialized(true);
@@ -180,7 +241,7 @@ export function GenealogyProvider({ children }) {
       // Without this, the useEffect will keep retrying and cause flickering
       setSyncInitialized(true);
     }
-  }, [user, activeDataset]);
+  }, [user, activeDataset, reloadCalendar]);
 
   /**
    * Load all data from IndexedDB for the active dataset
@@ -193,15 +254,17 @@ export function GenealogyProvider({ children }) {
       const datasetId = activeDataset?.id || 'default';
       console.log('📚 Loading data for dataset:', datasetId);
 
-      const [allPeople, allHouses, allRelationships] = await Promise.all([
+      const [allPeople, allHouses, allRelationships, customTypes] = await Promise.all([
         getAllPeople(datasetId),
         getAllHouses(datasetId),
-        getAllRelationships(datasetId)
+        getAllRelationships(datasetId),
+        getCustomRelationshipTypes(datasetId)
       ]);
 
       setPeople(allPeople);
       setHouses(allHouses);
       setRelationships(allRelationships);
+      setCustomRelationshipTypes(customTypes);
       setDataVersion(v => v + 1);
 
       console.log('📚 GenealogyContext: Data loaded', {
@@ -218,6 +281,27 @@ export function GenealogyProvider({ children }) {
     }
   }, [activeDataset]);
 
+  // ==================== HISTORY JOURNAL ====================
+
+  const refreshHistory = useCallback(async () => {
+    setHistory(await getHistoryState(activeDataset?.id || 'default'));
+  }, [activeDataset]);
+
+  useEffect(() => {
+    refreshHistory();
+  }, [refreshHistory]);
+
+  /**
+   * Journal a finished mutation
+   * @param {string} label - Shown in undo/redo tooltips
+   * @param {Array} before - snapshotEntities() result from before the mutation
+   * @param {Array} [created] - { entityType, entityId } of records the mutation created
+   */
+  const journal = useCallback(async (label, before, created = []) => {
+    await recordOperation(label, before, created, activeDataset?.id || 'default');
+    await refreshHistory();
+  }, [activeDataset, refreshHistory]);
+
   // ==================== PERSON OPERATIONS ====================
 
   /**
@@ -238,12 +322,12 @@ export function GenealogyProvider({ children }) {
         
         let lifeDates = '';
         if (personData.dateOfBirth) {
-          lifeDates = `b. ${personData.dateOfBirth}`;
+          lifeDates = `b. ${formatDate(personData.dateOfBirth)}`;
           if (personData.dateOfDeath) {
-            lifeDates += ` - d. ${personData.dateOfDeath}`;
+            lifeDates += ` - d. ${formatDate(personData.dateOfDeath)}`;
           }
         } else if (personData.dateOfDeath) {
-          lifeDates = `d. ${personData.dateOfDeath}`;
+          lifeDates = `d. ${formatDate(personData.dateOfDeath)}`;
         }
         
         let subtitle = '';
@@ -273,7 +357,7 @@ export function GenealogyProvider({ children }) {
             maidenName: personData.maidenName || null
           },
           isAutoGenerated: true
-        });
+        }, datasetId);
         
         await dbUpdatePerson(newId, { codexEntryId: codexEntryId }, datasetId);
         console.log('📖 Codex entry auto-created for:', fullName);
@@ -301,13 +385,19 @@ export function GenealogyProvider({ children }) {
         syncAddPerson(user.uid, activeDataset.id, newId, newPerson);
       }
 
+      // ↩️ 5. Journal (the Codex entry goes with the person on undo)
+      await journal(`Add ${personName(newPerson)}`, [], [
+        { entityType: 'person', entityId: newId },
+        { entityType: 'codexEntry', entityId: codexEntryId }
+      ]);
+
       console.log('✅ Person added:', newPerson.firstName, newPerson.lastName);
       return newId;
     } catch (err) {
       console.error('❌ Failed to add person:', err);
       throw err;
     }
-  }, [user, activeDataset]);
+  }, [user, activeDataset, formatDate, journal]);
 
   /**
    * Update an existing person
@@ -315,6 +405,7 @@ export function GenealogyProvider({ children }) {
   const updatePerson = useCallback(async (id, updates) => {
     try {
       const datasetId = activeDataset?.id || 'default';
+      const before = await snapshotEntities([{ entityType: 'person', entityId: id }], datasetId);
       await dbUpdatePerson(id, updates, datasetId);
       
       setPeople(prev => prev.map(person => 
@@ -327,12 +418,14 @@ export function GenealogyProvider({ children }) {
         syncUpdatePerson(user.uid, activeDataset.id, id, updates);
       }
 
+      await journal(`Edit ${personName(before[0]?.data)}`, before);
+
       console.log('✅ Person updated:', id);
     } catch (err) {
       console.error('❌ Failed to update person:', err);
       throw err;
     }
-  }, [user, activeDataset]);
+  }, [user, activeDataset, journal]);
 
   /**
    * Delete a person with CASCADE delete of relationships
@@ -350,12 +443,22 @@ export function GenealogyProvider({ children }) {
       );
       const relationshipIds = relationshipsToDelete.map(r => r.id);
 
+      // Snapshot everything the cascade removes; the person goes last so
+      // undo restores them before their relationships, and the Codex entry
+      // before its links
+      const before = await snapshotEntities([
+        ...relationshipIds.map(relId => ({ entityType: 'relationship', entityId: relId })),
+        ...await getCodexLinkTargets(codexEntryId, datasetId),
+        { entityType: 'codexEntry', entityId: codexEntryId },
+        { entityType: 'person', entityId: id }
+      ], datasetId);
+
       // Delete person (and cascade relationships) from local DB
       await dbDeletePerson(id, datasetId);
 
       if (codexEntryId) {
         try {
-          await deleteCodexEntry(codexEntryId);
+          await deleteCodexEntry(codexEntryId, datasetId);
           console.log('📖 Codex entry cascade-deleted:', codexEntryId);
 
           // ☁️ Sync codex deletion to cloud
@@ -378,12 +481,14 @@ export function GenealogyProvider({ children }) {
         syncDeletePerson(user.uid, activeDataset.id, id, relationshipIds);
       }
 
+      await journal(`Delete ${personName(personToDelete)}`, before);
+
       console.log('✅ Person deleted:', id, `(cascade: ${relationshipIds.length} relationships)`);
     } catch (err) {
       console.error('❌ Failed to delete person:', err);
       throw err;
     }
-  }, [people, relationships, user, activeDataset]);
+  }, [people, relationships, user, activeDataset, journal]);
 
   // ==================== HOUSE OPERATIONS ====================
 
@@ -400,17 +505,25 @@ export function GenealogyProvider({ children }) {
         syncAddHouse(user.uid, activeDataset.id, newId, newHouse);
       }
 
+      // The database layer auto-creates a Codex entry; undo removes it too
+      const [stored] = await snapshotEntities([{ entityType: 'house', entityId: newId }], datasetId);
+      await journal(`Add House ${newHouse.houseName}`, [], [
+        { entityType: 'house', entityId: newId },
+        { entityType: 'codexEntry', entityId: stored?.data?.codexEntryId }
+      ]);
+
       console.log('✅ House added:', newHouse.houseName);
       return newId;
     } catch (err) {
       console.error('❌ Failed to add house:', err);
       throw err;
     }
-  }, [user, activeDataset]);
+  }, [user, activeDataset, journal]);
 
   const updateHouse = useCallback(async (id, updates) => {
     try {
       const datasetId = activeDataset?.id || 'default';
+      const before = await snapshotEntities([{ entityType: 'house', entityId: id }], datasetId);
       await dbUpdateHouse(id, updates, datasetId);
       setHouses(prev => prev.map(house =>
         house.id === id ? { ...house, ...updates } : house
@@ -422,18 +535,34 @@ export function GenealogyProvider({ children }) {
         syncUpdateHouse(user.uid, activeDataset.id, id, updates);
       }
 
+      await journal(`Edit House ${before[0]?.data?.houseName || id}`, before);
+
       console.log('✅ House updated:', id);
     } catch (err) {
       console.error('❌ Failed to update house:', err);
       throw err;
     }
-  }, [user, activeDataset]);
+  }, [user, activeDataset, journal]);
 
   const deleteHouse = useCallback(async (id) => {
     try {
       const datasetId = activeDataset?.id || 'default';
+      const house = houses.find(h => h.id === id);
+
+      // Snapshot the cascade (members lose their houseId, the Codex entry
+      // and its links are deleted); the house goes last so undo restores it first
+      const before = await snapshotEntities([
+        ...people.filter(p => p.houseId === id).map(p => ({ entityType: 'person', entityId: p.id })),
+        ...await getCodexLinkTargets(house?.codexEntryId, datasetId),
+        { entityType: 'codexEntry', entityId: house?.codexEntryId },
+        { entityType: 'house', entityId: id }
+      ], datasetId);
+
       await dbDeleteHouse(id, { datasetId });
       setHouses(prev => prev.filter(house => house.id !== id));
+      setPeople(prev => prev.map(person =>
+        person.houseId === id ? { ...person, houseId: null } : person
+      ));
       setDataVersion(v => v + 1);
 
       // ☁️ Sync to cloud
@@ -441,12 +570,14 @@ export function GenealogyProvider({ children }) {
         syncDeleteHouse(user.uid, activeDataset.id, id);
       }
 
+      await journal(`Delete House ${house?.houseName || id}`, before);
+
       console.log('✅ House deleted:', id);
     } catch (err) {
       console.error('❌ Failed to delete house:', err);
       throw err;
     }
-  }, [user, activeDataset]);
+  }, [people, houses, user, activeDataset, journal]);
 
   // ==================== RELATIONSHIP OPERATIONS ====================
 
@@ -463,17 +594,22 @@ export function GenealogyProvider({ children }) {
         syncAddRelationship(user.uid, activeDataset.id, newId, newRelationship);
       }
 
+      await journal(`Add ${relationshipName(relationshipData)}`, [], [
+        { entityType: 'relationship', entityId: newId }
+      ]);
+
       console.log('✅ Relationship added:', relationshipData.relationshipType);
       return newId;
     } catch (err) {
       console.error('❌ Failed to add relationship:', err);
       throw err;
     }
-  }, [user, activeDataset]);
+  }, [user, activeDataset, journal]);
 
   const updateRelationship = useCallback(async (id, updates) => {
     try {
       const datasetId = activeDataset?.id || 'default';
+      const before = await snapshotEntities([{ entityType: 'relationship', entityId: id }], datasetId);
       await dbUpdateRelationship(id, updates, datasetId);
       setRelationships(prev => prev.map(rel =>
         rel.id === id ? { ...rel, ...updates } : rel
@@ -485,16 +621,19 @@ export function GenealogyProvider({ children }) {
         syncUpdateRelationship(user.uid, activeDataset.id, id, updates);
       }
 
+      await journal(`Edit ${relationshipName(before[0]?.data)}`, before);
+
       console.log('✅ Relationship updated:', id);
     } catch (err) {
       console.error('❌ Failed to update relationship:', err);
       throw err;
     }
-  }, [user, activeDataset]);
+  }, [user, activeDataset, journal]);
 
   const deleteRelationship = useCallback(async (id) => {
     try {
       const datasetId = activeDataset?.id || 'default';
+      const before = await snapshotEntities([{ entityType: 'relationship', entityId: id }], datasetId);
       await dbDeleteRelationship(id, datasetId);
       setRelationships(prev => prev.filter(rel => rel.id !== id));
       setDataVersion(v => v + 1);
@@ -504,18 +643,48 @@ export function GenealogyProvider({ children }) {
         syncDeleteRelationship(user.uid, activeDataset.id, id);
       }
 
+      await journal(`Delete ${relationshipName(before[0]?.data)}`, before);
+
       console.log('✅ Relationship deleted:', id);
     } catch (err) {
       console.error('❌ Failed to delete relationship:', err);
       throw err;
     }
+  }, [user, activeDataset, journal]);
+
+  // ==================== RELATIONSHIP TYPES ====================
+
+  /**
+   * Replace the dataset's custom relationship types
+   * @throws {Error} If any type is invalid
+   */
+  const saveRelationshipTypes = useCallback(async (types) => {
+    try {
+      const saved = await saveCustomRelationshipTypes(types, user?.uid || null, activeDataset?.id || 'default');
+      setCustomRelationshipTypes(saved);
+      setDataVersion(v => v + 1);
+
+      console.log('✅ Relationship types saved:', saved.length);
+      return saved;
+    } catch (err) {
+      console.error('❌ Failed to save relationship types:', err);
+      throw err;
+    }
   }, [user, activeDataset]);
 
+  const relationshipTypes = useMemo(
+    () => getRelationshipTypeMap(customRelationshipTypes),
+    [customRelationshipTypes]
+  );
+
   // ==================== SPECIAL OPERATIONS ====================
 
   const foundCadetHouse = useCallback(async (ceremonyData) => {
     try {
       const datasetId = activeDataset?.id || 'default';
+      const before = await snapshotEntities([
+        { entityType: 'person', entityId: ceremonyData.founderId }
+      ], datasetId);
       const result = await dbFoundCadetHouse(ceremonyData, datasetId);
       await loadAllData();
 
@@ -525,13 +694,60 @@ export function GenealogyProvider({ children }) {
         syncUpdatePerson(user.uid, activeDataset.id, result.founder.id, result.founder);
       }
 
+      await journal(`Found House ${result.house.houseName}`, before, [
+        { entityType: 'house', entityId: result.house.id },
+        { entityType: 'codexEntry', entityId: result.house.codexEntryId }
+      ]);
+
       console.log('✅ Cadet house founded:', result.house.houseName);
       return result;
     } catch (err) {
       console.error('❌ Failed to found cadet house:', err);
       throw err;
     }
-  }, [loadAllData, user, activeDataset]);
+  }, [loadAllData, user, activeDataset, journal]);
+
+  /**
+   * Apply a planned bulk edit (see utils/bulkEdit.js)
+   * @param {Array} changes - [{ entityType: 'person'|'relationship', entityId, updates }]
+   * @param {string} label - Journal label, undone as one step
+   */
+  const bulkUpdate = useCallback(async (changes, label) => {
+    if (changes.length === 0) return 0;
+    try {
+      const datasetId = activeDataset?.id || 'default';
+      const before = await snapshotEntities(
+        changes.map(({ entityType, entityId }) => ({ entityType, entityId })),
+        datasetId
+      );
+      await dbBulkUpdateRecords(changes, datasetId);
+
+      const applyTo = (entityType) => {
+        const updatesById = new Map(changes
+          .filter(change => change.entityType === entityType)
+          .map(change => [change.entityId, change.updates]));
+        return prev => (updatesById.size === 0 ? prev : prev.map(record =>
+          updatesById.has(record.id) ? { ...record, ...updatesById.get(record.id) } : record
+        ));
+      };
+      setPeople(applyTo('person'));
+      setRelationships(applyTo('relationship'));
+      setDataVersion(v => v + 1);
+
+      // ☁️ One sync batch for the whole edit
+      if (user && activeDataset) {
+        syncBulkUpdate(user.uid, activeDataset.id, changes);
+      }
+
+      await journal(label, before);
+
+      console.log('✅ Bulk update applied:', label);
+      return changes.length;
+    } catch (err) {
+      console.error('❌ Failed to apply bulk update:', err);
+      throw err;
+    }
+  }, [user, activeDataset, journal]);
 
   const deleteAllData = useCallback(async () => {
     try {
@@ -546,12 +762,168 @@ export function GenealogyProvider({ children }) {
       // Note: We don't delete cloud data here - user might want to restore it
       // If you want to also clear cloud, add that logic here
 
+      // The database layer also clears the operation journal
+      await refreshHistory();
+
       console.log('✅ All local data deleted for dataset:', datasetId);
     } catch (err) {
       console.error('❌ Failed to delete all data:', err);
       throw err;
     }
-  }, [activeDataset]);
+  }, [activeDataset, refreshHistory]);
+
+  // ==================== UNDO / REDO ====================
+
+  /**
+   * Mirror a replay into local state without a full reload
+   */
+  const applyReplayToState = useCallback((operations) => {
+    const setters = { person: setPeople, house: setHouses, relationship: setRelationships };
+
+    for (const { entityType, entityId, operation, snapshot } of operations) {
+      const setRecords = setters[entityType];
+      if (!setRecords) continue;
+
+      setRecords(prev => {
+        if (operation === 'delete') {
+          return prev.filter(record => record.id !== entityId);
+        }
+        return prev.some(record => record.id === entityId)
+          ? prev.map(record => record.id === entityId ? snapshot : record)
+          : [...prev, snapshot];
+      });
+    }
+    setDataVersion(v => v + 1);
+  }, []);
+
+  /**
+   * Undo or redo one journaled operation
+   * @returns {Promise<Object|null>} The journal entry replayed, or null if there was none
+   * @throws {Error} If a record involved was changed outside the journal since
+   */
+  const replayHistory = useCallback(async (direction) => {
+    const datasetId = activeDataset?.id || 'default';
+    try {
+      const result = direction === 'undo'
+        ? await undoLastOperation(datasetId)
+        : await redoLastOperation(datasetId);
+      if (!result) return null;
+
+      applyReplayToState(result.operations);
+
+      // ☁️ Queue the replay so the cloud copy follows
+      if (user && activeDataset) {
+        syncReplayedOperations(user.uid, activeDataset.id, result.operations);
+      }
+
+      console.log(`✅ ${direction === 'undo' ? 'Undone' : 'Redone'}:`, result.entry.label);
+      return result.entry;
+    } catch (err) {
+      console.error(`❌ Failed to ${direction}:`, err);
+      throw err;
+    } finally {
+      await refreshHistory();
+    }
+  }, [activeDataset, user, applyReplayToState, refreshHistory]);
+
+  const undo = useCallback(() => replayHistory('undo'), [replayHistory]);
+  const redo = useCallback(() => replayHistory('redo'), [replayHistory]);
+
+  // ==================== WHAT-IF SCENARIOS ====================
+
+  /**
+   * Make a simulated succession scenario part of the record
+   * (see services/successionScenarioService.js)
+   * @param {Object} result - simulateScenario result
+   * @param {Array} actions - The scenario's actions
+   * @param {string} date - Scenario date
+   * @returns {Promise<number>} Number of dignities that changed hands
+   */
+  const commitSuccessionScenario = useCallback(async (result, actions, date) => {
+    const datasetId = activeDataset?.id || 'default';
+    try {
+      const { count, operations } = await commitScenario(result, actions, date, people, datasetId);
+
+      applyReplayToState(operations);
+
+      // ☁️ Queue the writes so the cloud copy follows
+      if (user && activeDataset) {
+        syncReplayedOperations(user.uid, activeDataset.id, operations);
+      }
+
+      console.log('✅ Scenario committed');
+      return count;
+    } catch (err) {
+      console.error('❌ Failed to commit scenario:', err);
+      throw err;
+    } finally {
+      await refreshHistory();
+    }
+  }, [activeDataset, user, people, applyReplayToState, refreshHistory]);
+
+  // ==================== PERSON MERGE ====================
+
+  /**
+   * Mirror a merge (or its reversal) into local state
+   */
+  const applyMergeToState = useCallback((changes, direction) => {
+    const ordered = direction === 'reverse' ? [...changes].reverse() : changes;
+    applyReplayToState(ordered.map(({ entityType, entityId, before, after }) => {
+      const snapshot = direction === 'reverse' ? before : after;
+      return { entityType, entityId, snapshot, operation: snapshot ? 'update' : 'delete' };
+    }));
+  }, [applyReplayToState]);
+
+  /**
+   * Merge a duplicate person into another
+   * @param {number} survivorId - Person kept
+   * @param {number} duplicateId - Person folded in and deleted
+   * @param {Object} choices - Per-field picks (see utils/personMerge.getDefaultChoices)
+   * @returns {Promise<Object>} The merge record
+   */
+  const mergePeople = useCallback(async (survivorId, duplicateId, choices) => {
+    try {
+      const datasetId = activeDataset?.id || 'default';
+      const merge = await dbMergePeople(survivorId, duplicateId, choices, { relationshipTypes }, datasetId);
+      applyMergeToState(merge.changes, 'merge');
+
+      // ☁️ Sync in background
+      if (user && activeDataset) {
+        syncPersonMerge(user.uid, activeDataset.id, merge.changes, 'merge');
+      }
+
+      console.log('✅', merge.label);
+      return merge;
+    } catch (err) {
+      console.error('❌ Failed to merge people:', err);
+      throw err;
+    }
+  }, [user, activeDataset, relationshipTypes, applyMergeToState]);
+
+  /**
+   * Reverse an earlier merge, restoring the duplicate and their links
+   * @param {number} mergeId - personMerges ID
+   * @returns {Promise<Object>} The merge record
+   * @throws {Error} If a record the merge wrote has been edited since
+   */
+  const reversePersonMerge = useCallback(async (mergeId) => {
+    try {
+      const datasetId = activeDataset?.id || 'default';
+      const merge = await dbReversePersonMerge(mergeId, datasetId);
+      applyMergeToState(merge.changes, 'reverse');
+
+      // ☁️ Sync in background
+      if (user && activeDataset) {
+        syncPersonMerge(user.uid, activeDataset.id, merge.changes, 'reverse');
+      }
+
+      console.log('✅ Reversed:', merge.label);
+      return merge;
+    } catch (err) {
+      console.error('❌ Failed to reverse merge:', err);
+      throw err;
+    }
+  }, [user, activeDataset, applyMergeToState]);
 
   // ==================== HELPER FUNCTIONS ====================
 
@@ -582,12 +954,14 @@ export function GenealogyProvider({ children }) {
     people,
     houses,
     relationships,
+    relationshipTypes,
 
     // UI state
     loading,
     error,
     dataVersion,
     syncStatus,
+    history,
 
     // Read-only helpers (these don't mutate, just lookup)
     getPersonById,
@@ -598,10 +972,12 @@ export function GenealogyProvider({ children }) {
     people,
     houses,
     relationships,
+    relationshipTypes,
     loading,
     error,
     dataVersion,
     syncStatus,
+    history,
     getPersonById,
     getHouseById,
     getPeopleByHouse,
@@ -626,11 +1002,20 @@ export function GenealogyProvider({ children }) {
     addRelationship,
     updateRelationship,
     deleteRelationship,
+    saveRelationshipTypes,
 
     // Special operations
     foundCadetHouse,
+    bulkUpdate,
+    commitSuccessionScenario,
+    mergePeople,
+    reversePersonMerge,
     deleteAllData,
 
+    // History
+    undo,
+    redo,
+
     // Manual refresh
     refreshData: loadAllData
   }), [
@@ -643,8 +1028,15 @@ export function GenealogyProvider({ children }) {
     addRelationship,
     updateRelationship,
     deleteRelationship,
+    saveRelationshipTypes,
     foundCadetHouse,
+    bulkUpdate,
+    commitSuccessionScenario,
+    mergePeople,
+    reversePersonMerge,
     deleteAllData,
+    undo,
+    redo,
     loadAllData
   ]);
 
@@ -676,8 +1068,8 @@ export function GenealogyProvider({ children }) {
  * Use this for components that only need to READ data (display lists, show details).
  * These components will re-render when data changes.
  *
- * Returns: { people, houses, relationships, loading, error, dataVersion, syncStatus,
- *            getPersonById, getHouseById, getPeopleByHouse, getRelationshipsForPerson }
+ * Returns: { people, houses, relationships, relationshipTypes, loading, error,
+ *            dataVersion, syncStatus, history, getPersonById, getHouseById, getPeopleByHouse, getRelationshipsForPerson }
  */
 export function useGenealogyState() {
   const context = useContext(GenealogyStateContext);
@@ -700,8 +1092,10 @@ export function useGenealogyState() {
  * (which is rare since they're wrapped in useCallback).
  *
  * Returns: { addPerson, updatePerson, deletePerson, addHouse, updateHouse, deleteHouse,
- *            addRelationship, updateRelationship, deleteRelationship, foundCadetHouse,
- *            deleteAllData, refreshData }
+ *            addRelationship, updateRelationship, deleteRelationship,
+ *            saveRelationshipTypes, foundCadetHouse, bulkUpdate,
+ *            commitSuccessionScenario, mergePeople, reversePersonMerge, deleteAllData, undo, redo,
+ *            refreshData }
  */
 export function useGenealogyDispatch() {
   const context = useContext(GenealogyDispatchContext);
@@ -0,0 +1,111 @@
+/**
+ * Life Event Types - Lineageweaver
+ *
+ * Kinds of event that can be recorded in a person's life: knightings,
+ * battles, exiles, coronations and the like. Births, deaths and marriages
+ * already live on people and relationships and are not repeated here.
+ *
+ * Types that span time (an exile, an imprisonment) can carry an end date.
+ *
+ * @module lifeEventTypes
+ */
+
+// ==================== EVENT TYPES ====================
+
+/**
+ * All available life event types
+ */
+export const LIFE_EVENT_TYPES = {
+  knighting: {
+    id: 'knighting',
+    name: 'Knighting',
+    icon: 'sword',
+    description: 'Raised to knighthood',
+    spansTime: false,
+    order: 1
+  },
+  coronation: {
+    id: 'coronation',
+    name: 'Coronation',
+    icon: 'crown',
+    description: 'Crowned, invested or raised to a dignity',
+    spansTime: false,
+    order: 2
+  },
+  battle: {
+    id: 'battle',
+    name: 'Battle',
+    icon: 'swords',
+    description: 'Fought in, led or fell at a battle or siege',
+    spansTime: true,
+    order: 3
+  },
+  exile: {
+    id: 'exile',
+    name: 'Exile',
+    icon: 'compass',
+    description: 'Banished or fled abroad',
+    spansTime: true,
+    order: 4
+  },
+  imprisonment: {
+    id: 'imprisonment',
+    name: 'Imprisonment',
+    icon: 'lock',
+    description: 'Held captive, hostage or imprisoned',
+    spansTime: true,
+    order: 5
+  },
+  pilgrimage: {
+    id: 'pilgrimage',
+    name: 'Pilgrimage',
+    icon: 'map-pin',
+    description: 'Journeyed to a holy place',
+    spansTime: true,
+    order: 6
+  },
+  fostering: {
+    id: 'fostering',
+    name: 'Fostering',
+    icon: 'users',
+    description: 'Fostered or warded in another household',
+    spansTime: true,
+    order: 7
+  },
+  other: {
+    id: 'other',
+    name: 'Other',
+    icon: 'star',
+    description: 'Any other notable event',
+    spansTime: true,
+    order: 99
+  }
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Get event type by ID, falling back to 'other'
+ * @param {string} typeId - Event type ID
+ * @returns {Object} Event type
+ */
+export function getLifeEventType(typeId) {
+  return LIFE_EVENT_TYPES[typeId] || LIFE_EVENT_TYPES.other;
+}
+
+/**
+ * Get all event types sorted by order
+ * @returns {Object[]} Sorted array of event types
+ */
+export function getAllLifeEventTypesSorted() {
+  return Object.values(LIFE_EVENT_TYPES)
+    .sort((a, b) => a.order - b.order);
+}
+
+// ==================== EXPORTS ====================
+
+export default {
+  LIFE_EVENT_TYPES,
+  getLifeEventType,
+  getAllLifeEventTypesSorted
+};
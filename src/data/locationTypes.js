@@ -0,0 +1,95 @@
+/**
+ * Location Types - Lineageweaver
+ *
+ * Kinds of place in the locations registry, from whole realms down to a
+ * single keep. Locations nest through parentId - a castle within a holding
+ * within a region - and `rank` says roughly how large each kind is, so the
+ * registry can suggest sensible parents and sort siblings.
+ *
+ * @module locationTypes
+ */
+
+// ==================== LOCATION TYPES ====================
+
+/**
+ * All available location types
+ */
+export const LOCATION_TYPES = {
+  realm: {
+    id: 'realm',
+    name: 'Realm',
+    icon: 'globe',
+    description: 'A kingdom, empire or other sovereign land',
+    rank: 1
+  },
+  region: {
+    id: 'region',
+    name: 'Region',
+    icon: 'map',
+    description: 'A province, march, shire or other division of a realm',
+    rank: 2
+  },
+  holding: {
+    id: 'holding',
+    name: 'Holding',
+    icon: 'home',
+    description: 'A lordship, manor or estate held of a lord',
+    rank: 3
+  },
+  city: {
+    id: 'city',
+    name: 'City or Town',
+    icon: 'users',
+    description: 'A settlement with walls, markets or a charter',
+    rank: 4
+  },
+  castle: {
+    id: 'castle',
+    name: 'Castle',
+    icon: 'castle',
+    description: 'A castle, keep, fortified manor or palace',
+    rank: 5
+  },
+  religious: {
+    id: 'religious',
+    name: 'Religious House',
+    icon: 'star',
+    description: 'An abbey, priory, temple or shrine',
+    rank: 5
+  },
+  other: {
+    id: 'other',
+    name: 'Other',
+    icon: 'map-pin',
+    description: 'Any other place',
+    rank: 6
+  }
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Get location type by ID, falling back to 'other'
+ * @param {string} typeId - Location type ID
+ * @returns {Object} Location type
+ */
+export function getLocationType(typeId) {
+  return LOCATION_TYPES[typeId] || LOCATION_TYPES.other;
+}
+
+/**
+ * Get all location types, largest first
+ * @returns {Object[]} Sorted array of location types
+ */
+export function getAllLocationTypesSorted() {
+  return Object.values(LOCATION_TYPES)
+    .sort((a, b) => a.rank - b.rank);
+}
+
+// ==================== EXPORTS ====================
+
+export default {
+  LOCATION_TYPES,
+  getLocationType,
+  getAllLocationTypesSorted
+};
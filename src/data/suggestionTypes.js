@@ -48,6 +48,14 @@ export const SUGGESTION_TYPES = {
     defaultSeverity: 'warning',
     icon: 'calendar'
   },
+  'tenure-overlap': {
+    id: 'tenure-overlap',
+    name: 'Tenure Overlap',
+    description: 'Two holders recorded at the same time',
+    category: 'tenure',
+    defaultSeverity: 'warning',
+    icon: 'layers'
+  },
   'no-tenure-records': {
     id: 'no-tenure-records',
     name: 'No Tenure Records',
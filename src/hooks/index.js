@@ -6,3 +6,6 @@
 export { default as useFormState, validationRules, validate } from './useFormState';
 export { default as useDignityAnalysis } from './useDignityAnalysis';
 export { default as useDevLayout } from './useDevLayout';
+export { default as useUndoRedoShortcuts } from './useUndoRedoShortcuts';
+export { default as useCollapsedBranches } from './useCollapsedBranches';
+export { default as useTimeSlice } from './useTimeSlice';
@@ -0,0 +1,92 @@
+/**
+ * useCollapsedBranches.js - Collapsed Branches and Focus Mode Hook
+ *
+ * PURPOSE:
+ * Holds which people in the house tree have their descendants collapsed,
+ * and whose direct line (if anyone's) is in focus. The state is kept in
+ * localStorage per dataset and house, so each house reopens the way it
+ * was left. See utils/branchVisibility.js for who ends up hidden.
+ *
+ * Props:
+ * - datasetId: Active dataset
+ * - houseId: House shown in the tree (nothing is stored without one)
+ *
+ * Returns { collapsedIds, focusPersonId, toggleCollapsed, expandAll,
+ * setFocusPersonId }
+ */
+
+import { useState, useCallback } from 'react';
+
+const STORAGE_PREFIX = 'lineageweaver-tree-branches';
+const EMPTY_STATE = { collapsedIds: [], focusPersonId: null };
+
+const getStorageKey = (datasetId, houseId) =>
+  houseId ? `${STORAGE_PREFIX}:${datasetId || 'default'}:${houseId}` : null;
+
+function loadState(storageKey) {
+  if (!storageKey) return EMPTY_STATE;
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey));
+    return {
+      collapsedIds: Array.isArray(saved?.collapsedIds) ? saved.collapsedIds : [],
+      focusPersonId: saved?.focusPersonId ?? null
+    };
+  } catch {
+    return EMPTY_STATE;
+  }
+}
+
+function saveState(storageKey, state) {
+  if (!storageKey) return;
+  if (state.collapsedIds.length === 0 && state.focusPersonId === null) {
+    localStorage.removeItem(storageKey);
+  } else {
+    localStorage.setItem(storageKey, JSON.stringify(state));
+  }
+}
+
+function useCollapsedBranches({ datasetId, houseId }) {
+  const storageKey = getStorageKey(datasetId, houseId);
+  const [branches, setBranches] = useState(() => ({ storageKey, ...loadState(storageKey) }));
+
+  // Switching dataset or house picks up that house's saved state
+  let current = branches;
+  if (branches.storageKey !== storageKey) {
+    current = { storageKey, ...loadState(storageKey) };
+    setBranches(current);
+  }
+
+  const update = useCallback((change) => {
+    setBranches(prev => {
+      const next = { ...prev, ...change(prev) };
+      saveState(next.storageKey, { collapsedIds: next.collapsedIds, focusPersonId: next.focusPersonId });
+      return next;
+    });
+  }, []);
+
+  const toggleCollapsed = useCallback((personId) => {
+    update(prev => ({
+      collapsedIds: prev.collapsedIds.includes(personId)
+        ? prev.collapsedIds.filter(id => id !== personId)
+        : [...prev.collapsedIds, personId]
+    }));
+  }, [update]);
+
+  const expandAll = useCallback(() => {
+    update(() => ({ collapsedIds: [] }));
+  }, [update]);
+
+  const setFocusPersonId = useCallback((personId) => {
+    update(() => ({ focusPersonId: personId ?? null }));
+  }, [update]);
+
+  return {
+    collapsedIds: current.collapsedIds,
+    focusPersonId: current.focusPersonId,
+    toggleCollapsed,
+    expandAll,
+    setFocusPersonId
+  };
+}
+
+export default useCollapsedBranches;
@@ -18,6 +18,7 @@
 import { useState, useCallback, useMemo } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { useDataset } from '../contexts/DatasetContext';
+import { useCalendar } from '../contexts/CalendarContext';
 import { runFullAnalysis, analyzeEntity } from '../services/dignityAnalysisService';
 import {
   createDignity,
@@ -39,6 +40,7 @@ export function useDignityAnalysis(options = {}) {
   const { scope = 'all', entityId = null } = options;
   const { user } = useAuth();
   const { activeDataset } = useDataset();
+  const { calendar, presentDate } = useCalendar();
 
   // ==================== CORE STATE ====================
 
@@ -141,14 +143,15 @@ export function useDignityAnalysis(options = {}) {
     setLoading(true);
     setError(null);
     const datasetId = activeDataset?.id;
+    const presentOptions = { asOf: presentDate, calendar };
 
     try {
       let result;
 
       if (scope === 'all') {
-        result = await runFullAnalysis({ ...analysisOptions, datasetId });
+        result = await runFullAnalysis({ ...presentOptions, ...analysisOptions, datasetId });
       } else {
-        const entitySuggestions = await analyzeEntity(scope, entityId, datasetId);
+        const entitySuggestions = await analyzeEntity(scope, entityId, datasetId, presentOptions);
         result = {
           suggestions: entitySuggestions,
           stats: {
@@ -175,7 +178,7 @@ export function useDignityAnalysis(options = {}) {
     } finally {
       setLoading(false);
     }
-  }, [scope, entityId, activeDataset]);
+  }, [scope, entityId, activeDataset, calendar, presentDate]);
 
   /**
    * Apply a suggestion (execute its action)
@@ -0,0 +1,38 @@
+/**
+ * useTimeSlice.js - Selected Year Hook
+ *
+ * PURPOSE:
+ * Holds the year the time slider is set to. The year lives in the URL
+ * (?year=1245) rather than in state, so a view of the world at one year
+ * can be bookmarked and shared, and the same year carries across the
+ * pages that read it (the navigation links keep it, see withYearParam). See utils/timeSlice.js for what "at one year" means.
+ *
+ * Returns { year, setYear } - year is a stored year, or null for all of
+ * history; setYear(null) clears it
+ */
+
+import { useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { YEAR_PARAM, parseYearParam } from '../utils/timeSlice';
+
+function useTimeSlice() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const year = parseYearParam(searchParams.get(YEAR_PARAM));
+
+  // Keep any other query parameters; replace so scrubbing doesn't flood history
+  const setYear = useCallback((nextYear) => {
+    setSearchParams(prev => {
+      const params = new URLSearchParams(prev);
+      if (nextYear === null || nextYear === undefined) {
+        params.delete(YEAR_PARAM);
+      } else {
+        params.set(YEAR_PARAM, String(nextYear));
+      }
+      return params;
+    }, { replace: true });
+  }, [setSearchParams]);
+
+  return { year, setYear };
+}
+
+export default useTimeSlice;
@@ -0,0 +1,48 @@
+/**
+ * useUndoRedoShortcuts.js - Undo/Redo Keyboard Shortcuts Hook
+ *
+ * PURPOSE:
+ * Binds Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) to the genealogy undo/redo
+ * journal. Text fields keep their native undo, so the shortcuts only fire
+ * when focus is not in an input, textarea, select or editable element.
+ *
+ * Props:
+ * - onUndo: Called for Ctrl+Z
+ * - onRedo: Called for Ctrl+Shift+Z
+ * - enabled: Set false to unbind (default true)
+ */
+
+import { useEffect, useCallback } from 'react';
+
+function useUndoRedoShortcuts({
+  onUndo,
+  onRedo,
+  enabled = true
+}) {
+  const handleKeyDown = useCallback((e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+
+    // Leave text editing undo to the browser
+    const activeElement = document.activeElement;
+    const isInputFocused = activeElement?.tagName === 'INPUT' ||
+                          activeElement?.tagName === 'TEXTAREA' ||
+                          activeElement?.tagName === 'SELECT' ||
+                          activeElement?.isContentEditable;
+    if (isInputFocused) return;
+
+    e.preventDefault();
+    if (e.shiftKey) {
+      onRedo?.();
+    } else {
+      onUndo?.();
+    }
+  }, [onUndo, onRedo]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [handleKeyDown, enabled]);
+}
+
+export default useUndoRedoShortcuts;
@@ -3,6 +3,8 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { getEntry, getAllLinksForEntry, getEntry as getBacklinkEntry, updateEntry } from '../services/codexService';
 import { getHeraldry } from '../services/heraldryService';
+import { getLifeEventsForPerson } from '../services/lifeEventService';
+import { getLocationByCodexEntry } from '../services/locationService';
 import { getDatabase } from '../services/database';
 import { useDataset } from '../contexts/DatasetContext';
 import { parseWikiLinks, getContextSnippet } from '../utils/wikiLinkParser';
@@ -13,6 +15,7 @@ import Icon from '../components/icons/Icon';
 import LoadingState from '../components/shared/LoadingState';
 import EmptyState from '../components/shared/EmptyState';
 import ActionButton from '../components/shared/ActionButton';
+import LifeEventTimeline from '../components/LifeEventTimeline';
 import './CodexEntryView.css';
 
 /**
@@ -24,6 +27,8 @@ import './CodexEntryView.css';
  * - Backlinks panel showing entries that reference this one
  * - Linked heraldry display
  * - Epithets for personage entries
+ * - Life events timeline for personage entries
+ * - Link to the locations registry for location entries
  */
 
 // Animation variants
@@ -88,6 +93,11 @@ function CodexEntryView() {
 
   // Linked person data for personage entries
   const [linkedPerson, setLinkedPerson] = useState(null);
+  // Their life events, with the names and titles the timeline shows
+  const [lifeTimeline, setLifeTimeline] = useState(null);
+
+  // Registry location described by a location entry
+  const [registryLocation, setRegistryLocation] = useState(null);
 
   // Load linked heraldry record
   const loadLinkedHeraldry = useCallback(async (heraldryId) => {
@@ -236,6 +246,46 @@ function CodexEntryView() {
     loadEntry();
   }, [loadEntry]);
 
+  // Load the linked person's life events
+  useEffect(() => {
+    if (!linkedPerson) {
+      setLifeTimeline(null);
+      return undefined;
+    }
+    let cancelled = false;
+    const datasetId = activeDataset?.id;
+    const db = getDatabase(datasetId);
+    Promise.all([
+      getLifeEventsForPerson(linkedPerson.id, datasetId),
+      db.people.toArray(),
+      db.houses.toArray(),
+      db.codexEntries.toArray()
+    ])
+      .then(([events, people, houses, codexEntries]) => {
+        if (!cancelled) setLifeTimeline({ events, people, houses, codexEntries });
+      })
+      .catch(err => {
+        console.error('Error loading life events:', err);
+        if (!cancelled) setLifeTimeline(null);
+      });
+    return () => { cancelled = true; };
+  }, [linkedPerson, activeDataset]);
+
+  // Find the registry location this entry describes
+  useEffect(() => {
+    if (entry?.type !== 'location') {
+      setRegistryLocation(null);
+      return undefined;
+    }
+    let cancelled = false;
+    getLocationByCodexEntry(entry.id, activeDataset?.id)
+      .then(location => {
+        if (!cancelled) setRegistryLocation(location || null);
+      })
+      .catch(err => console.error('Error loading registry location:', err));
+    return () => { cancelled = true; };
+  }, [entry?.type, entry?.id, activeDataset]);
+
   // Navigation handlers
   const handleEdit = useCallback(() => {
     navigate(`/codex/edit/${id}`);
@@ -527,6 +577,16 @@ function CodexEntryView() {
                   </ActionButton>
                 )}
 
+                {registryLocation && (
+                  <ActionButton
+                    icon="map"
+                    onClick={() => navigate(`/locations/${registryLocation.id}`)}
+                    variant="secondary"
+                  >
+                    View in Locations
+                  </ActionButton>
+                )}
+
                 {entry.heraldryId && linkedHeraldry && (
                   <ActionButton
                     icon="shield"
@@ -609,6 +669,30 @@ function CodexEntryView() {
               />
             </section>
 
+            {/* Life events for personage entries */}
+            {linkedPerson && lifeTimeline && (
+              <>
+                <div className="entry-divider">
+                  <Icon name="sparkle" size={16} />
+                </div>
+
+                <section className="entry-timeline">
+                  <h2 className="entry-timeline__title">
+                    <Icon name="calendar" size={20} />
+                    <span>Life &amp; Times</span>
+                  </h2>
+                  <LifeEventTimeline
+                    person={linkedPerson}
+                    events={lifeTimeline.events}
+                    people={lifeTimeline.people}
+                    houses={lifeTimeline.houses}
+                    codexEntries={lifeTimeline.codexEntries}
+                    readOnly
+                  />
+                </section>
+              </>
+            )}
+
             {/* Divider before backlinks */}
             <div className="entry-divider">
               <Icon name="sparkle" size={16} />
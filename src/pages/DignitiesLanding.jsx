@@ -20,8 +20,10 @@ import { useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useAuth } from '../contexts/AuthContext';
 import { useDataset } from '../contexts/DatasetContext';
+import { useCalendar } from '../contexts/CalendarContext';
 import {
   getAllDignities,
+  getAllDignityTenures,
   getDignityStatistics,
   deleteDignity,
   DIGNITY_CLASSES,
@@ -33,11 +35,13 @@ import { getAllHouses, getAllPeople } from '../services/database';
 import Navigation from '../components/Navigation';
 import Icon from '../components/icons';
 import { LoadingState, EmptyState, SectionHeader, Card, ActionButton } from '../components/shared';
+import TimeSlider from '../components/shared/TimeSlider';
 import { AnalysisSummary, SuggestionsPanel } from '../components/suggestions';
 import DignityEducationPanel from '../components/DignityEducationPanel';
 import DignityTerm, { LearningModeToggle } from '../components/DignityTerm';
 import { RankPips } from '../components/DignityVisuals';
-import { useDignityAnalysis } from '../hooks';
+import { useDignityAnalysis, useTimeSlice } from '../hooks';
+import { getHoldersInYear, getHolderOf, YEAR_PARAM } from '../utils/timeSlice';
 import './DignitiesLanding.css';
 
 // Animation variants
@@ -86,6 +90,7 @@ function DignitiesLanding() {
 
   // State
   const [dignities, setDignities] = useState([]);
+  const [tenures, setTenures] = useState([]);
   const [houses, setHouses] = useState([]);
   const [people, setPeople] = useState([]);
   const [statistics, setStatistics] = useState(null);
@@ -119,8 +124,9 @@ function DignitiesLanding() {
       try {
         setLoading(true);
 
-        const [dignitiesData, housesData, peopleData, stats] = await Promise.all([
+        const [dignitiesData, tenuresData, housesData, peopleData, stats] = await Promise.all([
           getAllDignities(datasetId),
+          getAllDignityTenures(datasetId),
           getAllHouses(datasetId),
           getAllPeople(datasetId),
           getDignityStatistics(datasetId)
@@ -129,6 +135,7 @@ function DignitiesLanding() {
         if (cancelled) return;
 
         setDignities(dignitiesData);
+        setTenures(tenuresData);
         setHouses(housesData);
         setPeople(peopleData);
         setStatistics(stats);
@@ -165,6 +172,33 @@ function DignitiesLanding() {
     return house?.colorCode || 'var(--text-tertiary)';
   }, [houses]);
 
+  // Time slider: with a year selected, holders come from tenure records and
+  // the house shown is the holder's
+  const { year: viewYear, setYear: setViewYear } = useTimeSlice();
+  const { calendar } = useCalendar();
+
+  const holdersInYear = useMemo(
+    () => (viewYear === null ? null : getHoldersInYear(tenures, viewYear, calendar)),
+    [tenures, viewYear, calendar]
+  );
+
+  const getHolderId = useCallback(
+    (dignity) => getHolderOf(dignity, holdersInYear),
+    [holdersInYear]
+  );
+
+  const getHolderHouseId = useCallback((dignity) => {
+    if (!holdersInYear) return dignity.currentHouseId;
+    const holder = people.find(p => p.id === getHolderId(dignity));
+    return holder?.houseId || null;
+  }, [holdersInYear, getHolderId, people]);
+
+  // No holder: vacant, or (in a past year) simply not recorded
+  const getVacancyLabel = useCallback(
+    (dignity) => (getHolderId(dignity) === undefined ? 'No record' : 'Vacant'),
+    [getHolderId]
+  );
+
   // Get available ranks for current filter
   const availableRanks = useMemo(() => {
     if (filterClass === 'all') {
@@ -190,9 +224,9 @@ function DignitiesLanding() {
         if (d.shortName?.toLowerCase().includes(term)) return true;
         if (d.placeName?.toLowerCase().includes(term)) return true;
         if (d.seatName?.toLowerCase().includes(term)) return true;
-        const holderName = getPersonName(d.currentHolderId);
+        const holderName = getPersonName(getHolderId(d));
         if (holderName?.toLowerCase().includes(term)) return true;
-        const houseName = getHouseName(d.currentHouseId);
+        const houseName = getHouseName(getHolderHouseId(d));
         if (houseName?.toLowerCase().includes(term)) return true;
         return false;
       });
@@ -227,8 +261,8 @@ function DignitiesLanding() {
           return (aRankInfo?.order || 99) - (bRankInfo?.order || 99);
         }
         case 'house': {
-          const houseA = getHouseName(a.currentHouseId) || 'zzz';
-          const houseB = getHouseName(b.currentHouseId) || 'zzz';
+          const houseA = getHouseName(getHolderHouseId(a)) || 'zzz';
+          const houseB = getHouseName(getHolderHouseId(b)) || 'zzz';
           return houseA.localeCompare(houseB);
         }
         case 'created':
@@ -239,7 +273,7 @@ function DignitiesLanding() {
     });
 
     return filtered;
-  }, [dignities, searchTerm, filterClass, filterRank, filterNature, sortBy, getPersonName, getHouseName]);
+  }, [dignities, searchTerm, filterClass, filterRank, filterNature, sortBy, getPersonName, getHouseName, getHolderId, getHolderHouseId]);
 
   // Build hierarchy tree for hierarchy view (uses filteredDignities so search/filter works)
   const hierarchyTree = useMemo(() => {
@@ -351,8 +385,8 @@ function DignitiesLanding() {
   function renderHierarchyNode(node, depth = 0) {
     const { dignity, subordinates } = node;
     const icon = getDignityIcon(dignity);
-    const holderName = getPersonName(dignity.currentHolderId);
-    const houseColor = getHouseColor(dignity.currentHouseId);
+    const holderName = getPersonName(getHolderId(dignity));
+    const houseColor = getHouseColor(getHolderHouseId(dignity));
 
     return (
       <div key={dignity.id} className="dignities-hierarchy__node" style={{ marginLeft: depth * 24 }}>
@@ -585,6 +619,11 @@ function DignitiesLanding() {
                 {/* Learning Mode Toggle */}
                 <LearningModeToggle />
               </div>
+
+              {/* Time Slider - who held what in a given year */}
+              <div className="dignities-timeline">
+                <TimeSlider year={viewYear} onChange={setViewYear} people={people} />
+              </div>
             </motion.section>
 
             {/* Main Content */}
@@ -645,9 +684,9 @@ function DignitiesLanding() {
                       {filteredDignities.map((d, index) => {
                         const classInfo = getClassInfo(d.dignityClass);
                         const icon = getDignityIcon(d);
-                        const holderName = getPersonName(d.currentHolderId);
-                        const houseName = getHouseName(d.currentHouseId);
-                        const houseColor = getHouseColor(d.currentHouseId);
+                        const holderName = getPersonName(getHolderId(d));
+                        const houseName = getHouseName(getHolderHouseId(d));
+                        const houseColor = getHouseColor(getHolderHouseId(d));
 
                         return (
                           <motion.div
@@ -703,7 +742,7 @@ function DignitiesLanding() {
                               ) : (
                                 <div className="dignities-card__vacant">
                                   <Icon name="circle-alert" size={14} />
-                                  <span>Vacant</span>
+                                  <span>{getVacancyLabel(d)}</span>
                                 </div>
                               )}
 
@@ -781,6 +820,13 @@ function DignitiesLanding() {
                       />
                       <span>Show Personal Honours</span>
                     </label>
+                    <ActionButton
+                      icon="network"
+                      variant="secondary"
+                      onClick={() => navigate(`/dignities/hierarchy${viewYear === null ? '' : `?${YEAR_PARAM}=${viewYear}`}`)}
+                    >
+                      Open Chart
+                    </ActionButton>
                     <ActionButton icon="plus" variant="primary" onClick={handleCreateDignity}>
                       Create New
                     </ActionButton>
@@ -894,6 +940,10 @@ function DignitiesLanding() {
                 Record New Dignity
               </ActionButton>
 
+              <ActionButton icon="calendar" variant="secondary" onClick={() => navigate('/dignities/timeline')}>
+                Tenure Timeline
+              </ActionButton>
+
               <ActionButton icon="tree-deciduous" variant="secondary" onClick={() => navigate('/tree')}>
                 Family Tree
               </ActionButton>
@@ -980,26 +1030,26 @@ function DignitiesLanding() {
                 animate={{ opacity: 1, y: 0, transition: { delay: 0.15 } }}
               >
                 {/* Holder */}
-                {getPersonName(selectedDignity.currentHolderId) ? (
+                {getPersonName(getHolderId(selectedDignity)) ? (
                   <div className="dignities-preview__detail">
                     <Icon name="user" size={16} />
-                    <span>{getPersonName(selectedDignity.currentHolderId)}</span>
+                    <span>{getPersonName(getHolderId(selectedDignity))}</span>
                   </div>
                 ) : (
                   <div className="dignities-preview__detail dignities-preview__detail--warning">
                     <Icon name="circle-alert" size={16} />
-                    <span>Vacant</span>
+                    <span>{getVacancyLabel(selectedDignity)}</span>
                   </div>
                 )}
 
                 {/* House */}
-                {getHouseName(selectedDignity.currentHouseId) && (
+                {getHouseName(getHolderHouseId(selectedDignity)) && (
                   <div className="dignities-preview__detail">
                     <span
                       className="dignities-preview__house-dot"
-                      style={{ backgroundColor: getHouseColor(selectedDignity.currentHouseId) }}
+                      style={{ backgroundColor: getHouseColor(getHolderHouseId(selectedDignity)) }}
                     />
-                    <span>{getHouseName(selectedDignity.currentHouseId)}</span>
+                    <span>{getHouseName(getHolderHouseId(selectedDignity))}</span>
                   </div>
                 )}
 
@@ -12,6 +12,7 @@
  * - Tabbed view by severity (All, Critical, Warnings, Info)
  * - Bulk dismiss/defer actions
  * - History of applied/dismissed suggestions
+ * - "What if" succession simulator (SuccessionSimulator)
  *
  * DESIGN:
  * Follows the medieval manuscript aesthetic.
@@ -22,6 +23,7 @@ import { useState, useCallback, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import Navigation from '../components/Navigation';
+import SuccessionSimulator from '../components/SuccessionSimulator';
 import Icon from '../components/icons';
 import { LoadingState, EmptyState, ActionButton } from '../components/shared';
 import { SuggestionCard, AnalysisSummary } from '../components/suggestions';
@@ -66,6 +68,7 @@ function DignityAnalysis() {
   const [activeTab, setActiveTab] = useState('all');
   const [sortBy, setSortBy] = useState('severity');
   const [filterType, setFilterType] = useState('all');
+  const [showSimulator, setShowSimulator] = useState(false);
 
   // Analysis hook
   const {
@@ -239,6 +242,13 @@ function DignityAnalysis() {
             </div>
 
             <div className="dignity-analysis__actions">
+              <ActionButton
+                icon="git-branch"
+                variant={showSimulator ? 'secondary' : 'ghost'}
+                onClick={() => setShowSimulator(show => !show)}
+              >
+                What If…
+              </ActionButton>
               <ActionButton
                 icon={loading ? 'loader-2' : 'zap'}
                 variant="primary"
@@ -251,6 +261,20 @@ function DignityAnalysis() {
             </div>
           </motion.header>
 
+          {/* Succession Simulator */}
+          <AnimatePresence>
+            {showSimulator && (
+              <motion.section
+                className="dignity-analysis__simulator"
+                initial={{ opacity: 0, height: 0 }}
+                animate={{ opacity: 1, height: 'auto' }}
+                exit={{ opacity: 0, height: 0 }}
+              >
+                <SuccessionSimulator />
+              </motion.section>
+            )}
+          </AnimatePresence>
+
           {/* Error State */}
           {error && (
             <motion.div className="dignity-analysis__error" variants={ITEM_VARIANTS}>
@@ -28,6 +28,8 @@ import {
   natureHasGrantTracking
 } from '../services/dignityService';
 import { getAllHouses, getAllPeople } from '../services/database';
+import { getAllLocations } from '../services/locationService';
+import { flattenLocationTree, validateDignitySeat } from '../utils/locations';
 import Navigation from '../components/Navigation';
 import Icon from '../components/icons/Icon';
 import ActionButton from '../components/shared/ActionButton';
@@ -81,6 +83,7 @@ function DignityForm() {
     tenureType: 'of',
     placeName: '',
     seatName: '',
+    seatLocationId: '',
     swornToId: '',
     fealtyType: 'sworn-to',
     currentHolderId: '',
@@ -99,6 +102,7 @@ function DignityForm() {
   const [houses, setHouses] = useState([]);
   const [people, setPeople] = useState([]);
   const [dignities, setDignities] = useState([]);
+  const [locations, setLocations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState(null);
@@ -114,15 +118,17 @@ function DignityForm() {
       setError(null);
       const datasetId = activeDataset?.id;
 
-      const [housesData, peopleData, dignitiesData] = await Promise.all([
+      const [housesData, peopleData, dignitiesData, locationsData] = await Promise.all([
         getAllHouses(datasetId),
         getAllPeople(datasetId),
-        getAllDignities(datasetId)
+        getAllDignities(datasetId),
+        getAllLocations(datasetId)
       ]);
 
       setHouses(housesData);
       setPeople(peopleData);
       setDignities(dignitiesData);
+      setLocations(locationsData);
 
       if (isEditMode) {
         const dignity = await getDignity(parseInt(id), datasetId);
@@ -148,6 +154,7 @@ function DignityForm() {
             tenureType: dignity.tenureType || 'of',
             placeName: dignity.placeName || '',
             seatName: dignity.seatName || '',
+            seatLocationId: dignity.seatLocationId || '',
             swornToId: dignity.swornToId || '',
             fealtyType: dignity.fealtyType || 'sworn-to',
             currentHolderId: dignity.currentHolderId || '',
@@ -364,6 +371,11 @@ function DignityForm() {
       return;
     }
 
+    if (!seatCheck.isValid) {
+      setError(seatCheck.errors[0]);
+      return;
+    }
+
     try {
       setSaving(true);
       setError(null);
@@ -375,6 +387,7 @@ function DignityForm() {
         shortName: formData.shortName.trim() || null,
         placeName: formData.placeName.trim() || null,
         seatName: formData.seatName.trim() || null,
+        seatLocationId: formData.seatLocationId ? parseInt(formData.seatLocationId) : null,
         swornToId: formData.swornToId ? parseInt(formData.swornToId) : null,
         currentHolderId: formData.currentHolderId ? parseInt(formData.currentHolderId) : null,
         currentHouseId: formData.currentHouseId ? parseInt(formData.currentHouseId) : null,
@@ -402,6 +415,26 @@ function DignityForm() {
     }
   }
 
+  // Nudge toward linking a free-text seat to the registry
+  const seatCheck = validateDignitySeat({
+    seatName: formData.seatName,
+    seatLocationId: formData.seatLocationId ? parseInt(formData.seatLocationId) : null
+  }, locations);
+  const seatWarning = seatCheck.warnings.length > 0 && (
+    <span className="dignity-form__warning">
+      {seatCheck.warnings[0]}
+      {seatCheck.match && (
+        <button
+          type="button"
+          className="dignity-form__link-btn"
+          onClick={() => setFormData(prev => ({ ...prev, seatLocationId: seatCheck.match.id }))}
+        >
+          Link it
+        </button>
+      )}
+    </span>
+  );
+
   function getHouseName(houseId) {
     const house = houses.find(h => h.id === houseId);
     return house?.houseName || 'Unknown House';
@@ -708,6 +741,32 @@ function DignityForm() {
                 </span>
               </div>
             </div>
+
+            <div className="dignity-form__row">
+              <div className="dignity-form__group">
+                <label htmlFor="seatLocationId" className="dignity-form__label">
+                  Seat Location
+                </label>
+                <select
+                  id="seatLocationId"
+                  name="seatLocationId"
+                  value={formData.seatLocationId}
+                  onChange={handleChange}
+                  className="dignity-form__select"
+                >
+                  <option value="">- Not in the registry -</option>
+                  {flattenLocationTree(locations).map(({ location, depth }) => (
+                    <option key={location.id} value={location.id}>
+                      {'\u00A0\u00A0'.repeat(depth)}{location.name}
+                    </option>
+                  ))}
+                </select>
+                {seatWarning}
+                <span className="dignity-form__hint">
+                  Links the seat to the locations registry and its Codex entry
+                </span>
+              </div>
+            </div>
           </motion.section>
 
           {/* Feudal Hierarchy Section */}
@@ -0,0 +1,183 @@
+/**
+ * DignityTimeline.jsx - Tenure Timeline Across Dignities
+ *
+ * PURPOSE:
+ * Lays the tenure histories of many dignities side by side on one
+ * Gantt timeline, so successions, vacancies, regencies and disputes
+ * can be compared across the realm. Bars can be edited and dragged in
+ * place; row labels lead to each dignity's page. See
+ * components/TenureTimeline.jsx.
+ *
+ * DESIGN:
+ * Follows the medieval manuscript aesthetic.
+ * Rows are ordered by rank, like the hierarchy chart.
+ */
+
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useAuth } from '../contexts/AuthContext';
+import { useDataset } from '../contexts/DatasetContext';
+import {
+  getAllDignities,
+  getAllDignityTenures,
+  updateDignityTenure,
+  natureHasTenureHistory,
+  DIGNITY_CLASSES
+} from '../services/dignityService';
+import { getAllHouses, getAllPeople } from '../services/database';
+import Navigation from '../components/Navigation';
+import Icon from '../components/icons';
+import { LoadingState, EmptyState, ActionButton } from '../components/shared';
+import TenureTimeline from '../components/TenureTimeline';
+import { compareDignitiesByRank } from '../utils/feudalHierarchy';
+import './DignityTimeline.css';
+
+function DignityTimeline() {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { activeDataset } = useDataset();
+
+  const [loading, setLoading] = useState(true);
+  const [data, setData] = useState({ dignities: [], tenures: [], houses: [], people: [] });
+  const [classFilter, setClassFilter] = useState('all');
+  const [search, setSearch] = useState('');
+  const [withTenuresOnly, setWithTenuresOnly] = useState(true);
+
+  const loadData = useCallback(async () => {
+    const datasetId = activeDataset?.id;
+    const [dignities, tenures, houses, people] = await Promise.all([
+      getAllDignities(datasetId),
+      getAllDignityTenures(datasetId),
+      getAllHouses(datasetId),
+      getAllPeople(datasetId)
+    ]);
+    return { dignities, tenures, houses, people };
+  }, [activeDataset]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const loaded = await loadData();
+        if (!cancelled) setData(loaded);
+      } catch (error) {
+        console.error('Error loading tenure timeline:', error);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+    return () => { cancelled = true; };
+  }, [loadData]);
+
+  const dignities = useMemo(() => {
+    const withTenures = new Set(data.tenures.map(t => t.dignityId));
+    const term = search.trim().toLowerCase();
+    return data.dignities
+      .filter(d => natureHasTenureHistory(d.dignityNature || 'territorial'))
+      .filter(d => classFilter === 'all' || d.dignityClass === classFilter)
+      .filter(d => !withTenuresOnly || withTenures.has(d.id))
+      .filter(d => !term || d.name.toLowerCase().includes(term))
+      .sort(compareDignitiesByRank);
+  }, [data.dignities, data.tenures, classFilter, search, withTenuresOnly]);
+
+  // Errors are shown by the timeline
+  const handleSaveTenure = useCallback(async (tenureId, updates) => {
+    await updateDignityTenure(tenureId, updates, user?.uid, activeDataset?.id);
+    setData(await loadData());
+  }, [user?.uid, activeDataset, loadData]);
+
+  // ==================== RENDER ====================
+
+  if (loading) {
+    return (
+      <>
+        <Navigation />
+        <div className="dignity-timeline">
+          <LoadingState message="Unrolling the rolls of tenure..." />
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <>
+      <Navigation />
+      <div className="dignity-timeline">
+        <motion.div
+          className="dignity-timeline__container"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          transition={{ duration: 0.3 }}
+        >
+          {/* Header */}
+          <header className="dignity-timeline__header">
+            <div>
+              <h1 className="dignity-timeline__title">
+                <Icon name="calendar" size={28} />
+                <span>Tenure Timeline</span>
+              </h1>
+              <p className="dignity-timeline__subtitle">
+                Who held each dignity, and when · Click a bar to edit it, drag its ends to change the dates
+              </p>
+            </div>
+            <ActionButton icon="arrow-left" variant="secondary" onClick={() => navigate('/dignities')}>
+              Back to Dignities
+            </ActionButton>
+          </header>
+
+          {/* Filters */}
+          <section className="dignity-timeline__filters">
+            <input
+              type="search"
+              className="dignity-timeline__search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search dignities..."
+            />
+            <select
+              className="dignity-timeline__select"
+              value={classFilter}
+              onChange={(e) => setClassFilter(e.target.value)}
+            >
+              <option value="all">All classes</option>
+              {Object.values(DIGNITY_CLASSES).map(c => (
+                <option key={c.id} value={c.id}>{c.name}</option>
+              ))}
+            </select>
+            <label className="dignity-timeline__toggle">
+              <input
+                type="checkbox"
+                checked={withTenuresOnly}
+                onChange={(e) => setWithTenuresOnly(e.target.checked)}
+              />
+              Only dignities with recorded tenures
+            </label>
+          </section>
+
+          {/* Timeline */}
+          {dignities.length === 0 ? (
+            <EmptyState
+              icon="calendar"
+              title="No Tenures to Show"
+              description="Record who held each dignity, and when, to see their tenures on the timeline."
+              action={{ label: 'Back to Dignities', onClick: () => navigate('/dignities') }}
+            />
+          ) : (
+            <TenureTimeline
+              dignities={dignities}
+              tenures={data.tenures}
+              people={data.people}
+              houses={data.houses}
+              onSaveTenure={handleSaveTenure}
+              onDignitySelect={(dignity) => navigate(`/dignities/view/${dignity.id}`)}
+            />
+          )}
+        </motion.div>
+      </div>
+    </>
+  );
+}
+
+export default DignityTimeline;
@@ -3,6 +3,8 @@ import { useNavigate, useParams } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useAuth } from '../contexts/AuthContext';
 import { useDataset } from '../contexts/DatasetContext';
+import { useCalendar } from '../contexts/CalendarContext';
+import { useGenealogy } from '../contexts/GenealogyContext';
 import {
   getDignity,
   deleteDignity,
@@ -14,6 +16,7 @@ import {
   deleteDignityTenure,
   updateDignity,
   calculateSuccessionLine,
+  computeSuccessionLine,
   addDispute,
   resolveDispute,
   removeDispute,
@@ -40,8 +43,15 @@ import {
   natureHasTenureHistory
 } from '../services/dignityService';
 import { getAllHouses, getAllPeople, getAllRelationships } from '../services/database';
+import { buildRelationshipMaps } from '../utils/RelationshipCalculator';
+import {
+  DEFAULT_SUCCESSION_RULES,
+  describeSuccessionRules,
+  validateSuccessionRules
+} from '../utils/successionRules';
 import { getLinksByTarget, LINK_TARGET_TYPES } from '../services/writingLinkService';
 import { getWriting } from '../services/writingService';
+import { getLocation } from '../services/locationService';
 import Navigation from '../components/Navigation';
 import Icon from '../components/icons/Icon';
 import LoadingState from '../components/shared/LoadingState';
@@ -50,6 +60,8 @@ import ActionButton from '../components/shared/ActionButton';
 import { SuggestionCard } from '../components/suggestions';
 import DignityTerm, { LearningModeToggle } from '../components/DignityTerm';
 import { RankPips, ChainOfCommand, HierarchyPosition, ClassBadge } from '../components/DignityVisuals';
+import SuccessionRuleBuilder from '../components/SuccessionRuleBuilder';
+import TenureTimeline from '../components/TenureTimeline';
 import { useDignityAnalysis } from '../hooks';
 import './DignityView.css';
 
@@ -102,11 +114,27 @@ const CLASS_ICONS = {
   other: 'scroll-text'
 };
 
+// A partible heir's share as a fraction where it is one (1/3), else a percentage
+const formatShare = (share) => {
+  const denominator = Math.round(1 / share);
+  return Math.abs(share * denominator - 1) < 1e-9 ? `1/${denominator}` : `${Math.round(share * 100)}%`;
+};
+
 function DignityView() {
   const navigate = useNavigate();
   const { id } = useParams();
   const { user } = useAuth();
   const { activeDataset } = useDataset();
+  const {
+    formatDate: formatCalendarDate,
+    formatDateForInput,
+    parseDateInput,
+    getDateInputHint,
+    calendar,
+    presentDate,
+    isAlive
+  } = useCalendar();
+  const { relationshipTypes } = useGenealogy();
 
   // State
   const [dignity, setDignity] = useState(null);
@@ -116,6 +144,7 @@ function DignityView() {
   const [houses, setHouses] = useState([]);
   const [people, setPeople] = useState([]);
   const [relationships, setRelationships] = useState([]);
+  const [seatLocation, setSeatLocation] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [writingBacklinks, setWritingBacklinks] = useState([]);
@@ -132,7 +161,8 @@ function DignityView() {
     excludeWomen: false,
     requiresConfirmation: false,
     customNotes: '',
-    designatedHeirId: ''
+    designatedHeirId: '',
+    custom: DEFAULT_SUCCESSION_RULES
   });
   const [savingRules, setSavingRules] = useState(false);
 
@@ -226,15 +256,8 @@ function DignityView() {
 
   const formatDate = useCallback((dateStr) => {
     if (!dateStr) return 'Unknown';
-    if (dateStr.length === 4) return dateStr;
-    const date = new Date(dateStr);
-    if (isNaN(date)) return dateStr;
-    return date.toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    });
-  }, []);
+    return formatCalendarDate(dateStr);
+  }, [formatCalendarDate]);
 
   const formatTimestamp = useCallback((isoString) => {
     if (!isoString) return 'Unknown';
@@ -251,21 +274,8 @@ function DignityView() {
     try {
       setLoadingSuccession(true);
 
-      const parentMap = new Map();
-      const childrenMap = new Map();
-      const spouseMap = new Map();
-
-      for (const rel of relationshipsData) {
-        if (rel.relationshipType === 'parent') {
-          const existingParents = parentMap.get(rel.person2Id) || [];
-          parentMap.set(rel.person2Id, [...existingParents, rel.person1Id]);
-          const existingChildren = childrenMap.get(rel.person1Id) || [];
-          childrenMap.set(rel.person1Id, [...existingChildren, rel.person2Id]);
-        } else if (rel.relationshipType === 'spouse') {
-          spouseMap.set(rel.person1Id, rel.person2Id);
-          spouseMap.set(rel.person2Id, rel.person1Id);
-        }
-      }
+      const { parentMap, childrenMap, spouseMap } =
+        buildRelationshipMaps(relationshipsData, { calendar, relationshipTypes });
 
       const line = await calculateSuccessionLine(
         dignityData.id,
@@ -274,7 +284,8 @@ function DignityView() {
         childrenMap,
         spouseMap,
         10,
-        activeDataset?.id
+        activeDataset?.id,
+        { asOf: presentDate, calendar }
       );
 
       setSuccessionLine(line);
@@ -284,7 +295,7 @@ function DignityView() {
     } finally {
       setLoadingSuccession(false);
     }
-  }, [activeDataset]);
+  }, [activeDataset, presentDate, calendar, relationshipTypes]);
 
   // Load data
   const loadData = useCallback(async () => {
@@ -406,6 +417,22 @@ function DignityView() {
     loadEntityLinks();
   }, [loadEntityLinks]);
 
+  // Load the registered seat, if the dignity has one
+  useEffect(() => {
+    const seatLocationId = dignity?.seatLocationId;
+    if (!seatLocationId) {
+      setSeatLocation(null);
+      return undefined;
+    }
+    let cancelled = false;
+    getLocation(seatLocationId, activeDataset?.id)
+      .then(location => {
+        if (!cancelled) setSeatLocation(location || null);
+      })
+      .catch(error => console.warn('Could not load seat location:', error));
+    return () => { cancelled = true; };
+  }, [dignity?.seatLocationId, activeDataset]);
+
   // Navigation handlers
   const handleEdit = useCallback(() => {
     navigate(`/dignities/edit/${id}`);
@@ -453,14 +480,14 @@ function DignityView() {
     setEditingTenure(tenure);
     setTenureForm({
       personId: tenure.personId,
-      dateStarted: tenure.dateStarted || '',
+      dateStarted: formatDateForInput(tenure.dateStarted),
       dateEnded: '',
       acquisitionType: tenure.acquisitionType || 'inheritance',
       endType: 'death',
       notes: tenure.notes || ''
     });
     setShowTenureModal(true);
-  }, []);
+  }, [formatDateForInput]);
 
   const handleCloseTenureModal = useCallback(() => {
     setShowTenureModal(false);
@@ -481,13 +508,20 @@ function DignityView() {
       return;
     }
 
+    const started = parseDateInput(tenureForm.dateStarted, { uncertain: true });
+    const ended = parseDateInput(tenureForm.dateEnded, { uncertain: true });
+    if (started.error || ended.error) {
+      alert(started.error || ended.error);
+      return;
+    }
+
     try {
       setSavingTenure(true);
       const datasetId = activeDataset?.id;
 
       if (tenureMode === 'end' && editingTenure) {
         await updateDignityTenure(editingTenure.id, {
-          dateEnded: tenureForm.dateEnded || null,
+          dateEnded: ended.value || null,
           endType: tenureForm.endType || null,
           notes: tenureForm.notes || null
         }, user?.uid, datasetId);
@@ -502,8 +536,8 @@ function DignityView() {
         await createDignityTenure({
           dignityId: parseInt(id),
           personId: parseInt(tenureForm.personId),
-          dateStarted: tenureForm.dateStarted || null,
-          dateEnded: tenureForm.dateEnded || null,
+          dateStarted: started.value || null,
+          dateEnded: ended.value || null,
           acquisitionType: tenureForm.acquisitionType,
           endType: tenureForm.dateEnded ? tenureForm.endType : null,
           notes: tenureForm.notes || null
@@ -527,7 +561,7 @@ function DignityView() {
     } finally {
       setSavingTenure(false);
     }
-  }, [tenureMode, tenureForm, editingTenure, id, user?.uid, people, dignity?.currentHouseId, loadData, handleCloseTenureModal, activeDataset]);
+  }, [tenureMode, tenureForm, editingTenure, id, user?.uid, people, dignity?.currentHouseId, loadData, handleCloseTenureModal, activeDataset, parseDateInput]);
 
   const handleDeleteTenure = useCallback(async (tenureId) => {
     if (!window.confirm('Delete this tenure record? This cannot be undone.')) {
@@ -543,6 +577,12 @@ function DignityView() {
     }
   }, [user?.uid, loadData, activeDataset]);
 
+  // Edits made on the tenure timeline (errors are shown by the timeline)
+  const handleTimelineSave = useCallback(async (tenureId, updates) => {
+    await updateDignityTenure(tenureId, updates, user?.uid, activeDataset?.id);
+    await loadData();
+  }, [user?.uid, loadData, activeDataset]);
+
   // Succession management handlers
   const handleOpenSuccessionRules = useCallback(() => {
     const rules = dignity?.successionRules || {};
@@ -553,7 +593,8 @@ function DignityView() {
       excludeWomen: rules.excludeWomen || false,
       requiresConfirmation: rules.requiresConfirmation || false,
       customNotes: rules.customNotes || '',
-      designatedHeirId: dignity?.designatedHeirId || ''
+      designatedHeirId: dignity?.designatedHeirId || '',
+      custom: rules.custom || DEFAULT_SUCCESSION_RULES
     });
     setShowSuccessionRulesModal(true);
   }, [dignity]);
@@ -563,6 +604,15 @@ function DignityView() {
   }, []);
 
   const handleSaveSuccessionRules = useCallback(async () => {
+    const isCustom = successionRulesForm.successionType === 'custom';
+    if (isCustom) {
+      const validation = validateSuccessionRules(successionRulesForm.custom);
+      if (!validation.isValid) {
+        alert(validation.errors[0]);
+        return;
+      }
+    }
+
     try {
       setSavingRules(true);
 
@@ -573,7 +623,9 @@ function DignityView() {
           legitimizedBastardsEligible: successionRulesForm.legitimizedBastardsEligible,
           excludeWomen: successionRulesForm.excludeWomen,
           requiresConfirmation: successionRulesForm.requiresConfirmation,
-          customNotes: successionRulesForm.customNotes || null
+          customNotes: successionRulesForm.customNotes || null,
+          // Keep a house law that was set up earlier, even while another type is in use
+          custom: isCustom ? successionRulesForm.custom : (dignity?.successionRules?.custom || null)
         },
         designatedHeirId: successionRulesForm.designatedHeirId
           ? parseInt(successionRulesForm.designatedHeirId)
@@ -588,7 +640,20 @@ function DignityView() {
     } finally {
       setSavingRules(false);
     }
-  }, [successionRulesForm, id, user?.uid, loadData, handleCloseSuccessionRulesModal, activeDataset]);
+  }, [successionRulesForm, dignity, id, user?.uid, loadData, handleCloseSuccessionRulesModal, activeDataset]);
+
+  // The line the custom rules being edited would give
+  const customRulesPreview = useMemo(() => {
+    if (!showSuccessionRulesModal || !dignity || successionRulesForm.successionType !== 'custom') return null;
+    const { parentMap, childrenMap, spouseMap } =
+      buildRelationshipMaps(relationships, { calendar, relationshipTypes });
+    const draft = {
+      ...dignity,
+      successionType: 'custom',
+      successionRules: { ...dignity.successionRules, custom: successionRulesForm.custom }
+    };
+    return computeSuccessionLine(draft, people, parentMap, childrenMap, spouseMap, 10, { asOf: presentDate, calendar });
+  }, [showSuccessionRulesModal, dignity, successionRulesForm, relationships, people, calendar, relationshipTypes, presentDate]);
 
   // Dispute management handlers
   const handleOpenAddDispute = useCallback(() => {
@@ -977,6 +1042,10 @@ function DignityView() {
                     </div>
                   </div>
                 )}
+
+                <ActionButton icon="network" variant="ghost" size="sm" onClick={() => navigate('/dignities/hierarchy')}>
+                  View Realm Hierarchy
+                </ActionButton>
               </motion.section>
 
               {/* Entity Links Section */}
@@ -1060,7 +1129,9 @@ function DignityView() {
                     </div>
                     {dignity.designatedHeirId && (
                       <div className="dignity-succession-rules__item dignity-succession-rules__item--designated">
-                        <span className="dignity-succession-rules__label">Designated Heir:</span>
+                        <span className="dignity-succession-rules__label">
+                          {dignity.successionType === 'tanistry' ? 'Elected Tanist:' : 'Designated Heir:'}
+                        </span>
                         <span className="dignity-succession-rules__value">
                           {getPersonName(dignity.designatedHeirId)}
                         </span>
@@ -1114,6 +1185,11 @@ function DignityView() {
                 <div className="dignity-succession-line">
                   <div className="dignity-succession-line__header">
                     <h4>Line of Succession</h4>
+                    {presentDate && (
+                      <span className="dignity-succession-line__present">
+                        as of {formatCalendarDate(presentDate)}
+                      </span>
+                    )}
                     {!dignity.interregnum && !dignity.isVacant && (
                       <button className="dignity-succession-line__set-interregnum" onClick={handleOpenInterregnum}>
                         <Icon name="hourglass" size={14} />
@@ -1121,6 +1197,11 @@ function DignityView() {
                       </button>
                     )}
                   </div>
+                  {dignity.successionType === 'custom' && (
+                    <p className="dignity-succession-line__law">
+                      {describeSuccessionRules(dignity.successionRules?.custom).join(' · ')}
+                    </p>
+                  )}
 
                   {loadingSuccession ? (
                     <div className="dignity-succession-line__loading">
@@ -1159,7 +1240,26 @@ function DignityView() {
                               {candidate.exclusionReason}
                             </span>
                           )}
-                          {index === 0 && !candidate.excluded && (
+                          {candidate.share > 0 && (
+                            <span
+                              className="dignity-succession-line__share-badge"
+                              title="Share of the holdings under partible inheritance"
+                            >
+                              {formatShare(candidate.share)}
+                            </span>
+                          )}
+                          {candidate.elected && (
+                            <span className="dignity-succession-line__share-badge">Tanist</span>
+                          )}
+                          {candidate.isMinor && !candidate.excluded && (
+                            <span
+                              className="dignity-succession-line__minor-badge"
+                              title="Under the age of majority - would need a regent"
+                            >
+                              Minor ({candidate.age})
+                            </span>
+                          )}
+                          {index === 0 && !candidate.excluded && candidate.share === undefined && (
                             <span className="dignity-succession-line__heir-badge">Heir</span>
                           )}
                         </div>
@@ -1326,6 +1426,18 @@ function DignityView() {
                   </button>
                 </div>
 
+                {tenures.length > 0 && (
+                  <div className="dignity-tenure__timeline">
+                    <TenureTimeline
+                      dignities={[dignity]}
+                      tenures={tenures}
+                      people={people}
+                      houses={houses}
+                      onSaveTenure={handleTimelineSave}
+                    />
+                  </div>
+                )}
+
                 {tenures.length === 0 ? (
                   <div className="dignity-tenure__empty">
                     <p>No tenure records have been added yet.</p>
@@ -1448,7 +1560,7 @@ function DignityView() {
               </div>
 
               {/* Location */}
-              {(dignity.placeName || dignity.seatName) && (
+              {(dignity.placeName || dignity.seatName || seatLocation) && (
                 <div className="dignity-sidebar-section">
                   <h3 className="dignity-sidebar-section__title">Location</h3>
                   <dl className="dignity-sidebar-facts">
@@ -1461,12 +1573,22 @@ function DignityView() {
                         </dd>
                       </div>
                     )}
-                    {dignity.seatName && (
+                    {(dignity.seatName || seatLocation) && (
                       <div className="dignity-sidebar-facts__item">
                         <dt>Seat</dt>
                         <dd>
                           <Icon name="castle" size={12} />
-                          <span>{dignity.seatName}</span>
+                          {seatLocation ? (
+                            <button
+                              type="button"
+                              className="dignity-sidebar-facts__link"
+                              onClick={() => navigate(`/locations/${seatLocation.id}`)}
+                            >
+                              {dignity.seatName || seatLocation.name}
+                            </button>
+                          ) : (
+                            <span>{dignity.seatName}</span>
+                          )}
                         </dd>
                       </div>
                     )}
@@ -1608,7 +1730,7 @@ function DignityView() {
                         type="text"
                         value={tenureForm.dateEnded}
                         onChange={(e) => setTenureForm({ ...tenureForm, dateEnded: e.target.value })}
-                        placeholder="e.g., 1287 or 1287-03-15"
+                        placeholder={getDateInputHint()}
                       />
                     </div>
 
@@ -1656,7 +1778,7 @@ function DignityView() {
                           type="text"
                           value={tenureForm.dateStarted}
                           onChange={(e) => setTenureForm({ ...tenureForm, dateStarted: e.target.value })}
-                          placeholder="e.g., 1245"
+                          placeholder={getDateInputHint()}
                         />
                       </div>
 
@@ -1739,7 +1861,7 @@ function DignityView() {
             onClick={handleCloseSuccessionRulesModal}
           >
             <motion.div
-              className="dignity-modal"
+              className={`dignity-modal ${successionRulesForm.successionType === 'custom' ? 'dignity-modal--wide' : ''}`}
               initial={{ opacity: 0, scale: 0.95, y: 20 }}
               animate={{ opacity: 1, scale: 1, y: 0 }}
               exit={{ opacity: 0, scale: 0.95, y: 20 }}
@@ -1773,7 +1895,17 @@ function DignityView() {
                   </p>
                 </div>
 
-                {SUCCESSION_TYPES[successionRulesForm.successionType]?.autoCalculate && (
+                {successionRulesForm.successionType === 'custom' && (
+                  <SuccessionRuleBuilder
+                    rules={successionRulesForm.custom}
+                    onChange={(custom) => setSuccessionRulesForm({ ...successionRulesForm, custom })}
+                    preview={customRulesPreview}
+                    getPersonName={getPersonName}
+                  />
+                )}
+
+                {SUCCESSION_TYPES[successionRulesForm.successionType]?.autoCalculate &&
+                  successionRulesForm.successionType !== 'custom' && (
                   <>
                     <div className="dignity-form__group dignity-form__group--checkbox">
                       <label>
@@ -1802,14 +1934,16 @@ function DignityView() {
                 )}
 
                 <div className="dignity-form__group">
-                  <label>Designated Heir (Override)</label>
+                  <label>
+                    {successionRulesForm.successionType === 'tanistry' ? 'Elected Tanist' : 'Designated Heir (Override)'}
+                  </label>
                   <select
                     value={successionRulesForm.designatedHeirId}
                     onChange={(e) => setSuccessionRulesForm({ ...successionRulesForm, designatedHeirId: e.target.value })}
                   >
                     <option value="">— Use calculated succession —</option>
                     {people
-                      .filter(p => !p.dateOfDeath)
+                      .filter(p => isAlive(p))
                       .sort((a, b) => `${a.lastName} ${a.firstName}`.localeCompare(`${b.lastName} ${b.firstName}`))
                       .map(p => (
                         <option key={p.id} value={p.id}>
@@ -1822,7 +1956,9 @@ function DignityView() {
                     }
                   </select>
                   <p className="dignity-form__hint">
-                    Override automatic succession with a specific heir.
+                    {successionRulesForm.successionType === 'tanistry'
+                      ? 'The heir chosen by the kin group. They lead the line if they are eligible to stand.'
+                      : 'Override automatic succession with a specific heir.'}
                   </p>
                 </div>
 
@@ -1923,7 +2059,7 @@ function DignityView() {
                       >
                         <option value="">— Select Claimant —</option>
                         {people
-                          .filter(p => !p.dateOfDeath)
+                          .filter(p => isAlive(p))
                           .sort((a, b) => `${a.lastName} ${a.firstName}`.localeCompare(`${b.lastName} ${b.firstName}`))
                           .map(p => (
                             <option key={p.id} value={p.id}>
@@ -2089,7 +2225,7 @@ function DignityView() {
                   >
                     <option value="">— No Regent —</option>
                     {people
-                      .filter(p => !p.dateOfDeath)
+                      .filter(p => isAlive(p))
                       .sort((a, b) => `${a.lastName} ${a.firstName}`.localeCompare(`${b.lastName} ${b.firstName}`))
                       .map(p => (
                         <option key={p.id} value={p.id}>
@@ -1,31 +1,69 @@
 import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
-import { useParams, useLocation } from 'react-router-dom';
+import { useParams, useLocation, useNavigate } from 'react-router-dom';
 import * as d3 from 'd3';
 import { useGenealogy } from '../contexts/GenealogyContext';
+import { useCalendar } from '../contexts/CalendarContext';
+import { useDataset } from '../contexts/DatasetContext';
+import { useCollapsedBranches, useTimeSlice } from '../hooks';
 import Navigation from '../components/Navigation';
 import TreeControls from '../components/TreeControls';
 import TreeSettingsPanel from '../components/TreeSettingsPanel';
 import FragmentNavigator from '../components/FragmentNavigator';
 import QuickEditPanel from '../components/QuickEditPanel';
 import BranchView from '../components/BranchView';
+import TreeExportPanel from '../components/TreeExportPanel';
+import BulkEditPanel from '../components/BulkEditPanel';
 import Icon from '../components/icons';
-import { calculateAllRelationships } from '../utils/RelationshipCalculator';
+import {
+  calculateAllRelationships,
+  buildRelationshipMaps as buildMapsFromRelationships,
+  getSpouseIds,
+  getSpouseKey
+} from '../utils/RelationshipCalculator';
 import { useTheme } from '../components/ThemeContext';
 import { getAllThemeColors, getHouseColor } from '../utils/themeColors';
 import { getPrimaryEpithet } from '../utils/epithetUtils';
-import { getAllDignities, getDignityIcon } from '../services/dignityService';
-import { calculateBlockBasedLayout } from '../utils/familyBlockLayout';
+import { getAllDignities, getAllDignityTenures, getDignityIcon } from '../services/dignityService';
+import { getAllHeraldry } from '../services/heraldryService';
+import { getUnions } from '../utils/familyBlockLayout';
+import {
+  CHART_MODES,
+  CHART_MODE_LABELS,
+  DEFAULT_CHART_GENERATIONS,
+  MAX_CHART_GENERATIONS,
+  calculatePedigreeLayout,
+  calculateDescendantLayout,
+  calculateHourglassLayout,
+  calculateFanLayout
+} from '../utils/chartLayouts';
+import { getYear } from '../utils/calendarUtils';
 import {
   estimateTextWidth,
   truncateText,
   truncateName,
   harmonizeColor as harmonizeColorUtil,
   getHouseIdsInScope,
-  getHouseScopedPeopleIds,
-  findRootPersonForHouse,
   detectFragments,
-  getLineageGapConnections
+  getLineageGapConnections,
+  getHouseHeraldryImage
 } from '../utils/treeHelpers';
+import {
+  detectTreeGenerations,
+  getHouseLayoutInput,
+  canReuseHouseLayout,
+  diffPeopleForLayout
+} from '../utils/houseTreeLayout';
+import { requestHouseLayout } from '../utils/treeLayoutClient';
+import { getHiddenPersonIds, getCollapsedCounts } from '../utils/branchVisibility';
+import { CULLED_CLASS, createViewportCuller, parseTranslate } from '../utils/viewportCulling';
+import { TYPE_COLOR_VALUES } from '../utils/relationshipTypes';
+import { isFeatureEnabled } from '../config/featureFlags';
+import {
+  isAliveInYear,
+  filterRelationshipsForYear,
+  getHoldersInYear,
+  groupDignitiesByHolder
+} from '../utils/timeSlice';
 
 // 🛠️ DEV LAYOUT TOOLS - PARKED (drag and drop feature available here)
 // import { useDevLayout } from '../hooks/useDevLayout';
@@ -39,6 +77,7 @@ function FamilyTree() {
   // ==================== URL PARAMETERS ====================
   const { personId: urlPersonId } = useParams();
   const location = useLocation(); // Track navigation for effect triggering
+  const navigate = useNavigate();
   
   // Use the global theme system
   const { theme, isDarkTheme } = useTheme();
@@ -47,24 +86,55 @@ function FamilyTree() {
   const {
     people,
     houses,
-    relationships,
+    relationships: allRelationships,
+    relationshipTypes,
     loading,
     dataVersion
   } = useGenealogy();
+  const { calendar, formatDate, compareDates, presentDate, getLifeStatus } = useCalendar();
+  const { activeDataset } = useDataset();
+
+  // ⏳ TIME SLIDER - the year in the URL (?year=) limits the house tree to
+  // people alive then, marriages in force and titles held
+  const { year: viewYear, setYear: setViewYear } = useTimeSlice();
+  const relationships = useMemo(
+    () => filterRelationshipsForYear(allRelationships, viewYear, calendar),
+    [allRelationships, viewYear, calendar]
+  );
 
   // ==================== LOCAL UI STATE ====================
   const [selectedHouseId, setSelectedHouseId] = useState(null);
   // Cadet houses are always included (child houses with parentHouseId)
   const showCadetHouses = true;
+
+  // 🌿 COLLAPSED BRANCHES / FOCUS MODE - saved per dataset and house
+  const {
+    collapsedIds,
+    focusPersonId,
+    toggleCollapsed,
+    expandAll,
+    setFocusPersonId
+  } = useCollapsedBranches({ datasetId: activeDataset?.id, houseId: selectedHouseId });
   const [zoomLevel, setZoomLevel] = useState(1);
   const svgRef = useRef(null);
   const zoomBehaviorRef = useRef(null);
 
+  // ⚡ LARGE TREES - culling / level of detail, cached house layout, and
+  // what the current drawing was made from (for in-place card updates)
+  const cullerRef = useRef(null);
+  const houseLayoutRef = useRef({ sources: null, layout: null });
+  const lastDrawRef = useRef(null);
+
   // Search functionality
   const [searchResults, setSearchResults] = useState([]);
   
   // Quick edit panel
   const [selectedPerson, setSelectedPerson] = useState(null);
+
+  // Bulk selection (shift/ctrl-click cards)
+  const bulkEnabled = isFeatureEnabled('EXPERIMENTAL.BULK_OPERATIONS');
+  const [bulkSelectedIds, setBulkSelectedIds] = useState(() => new Set());
+  const [showBulkEdit, setShowBulkEdit] = useState(false);
   
   // Relationship calculator
   const [showRelationships, setShowRelationships] = useState(false);
@@ -88,7 +158,17 @@ function FamilyTree() {
 
   // 👑 DIGNITIES
   const [dignities, setDignities] = useState([]);
-  const [dignitiesByPerson, setDignitiesByPerson] = useState(new Map());
+  const [dignityTenures, setDignityTenures] = useState([]);
+  const dignitiesByPerson = useMemo(
+    () => groupDignitiesByHolder(dignities, viewYear === null ? null : getHoldersInYear(dignityTenures, viewYear, calendar)),
+    [dignities, dignityTenures, viewYear, calendar]
+  );
+
+  // 🛡️ HERALDRY - house arms drawn on each card (houseId -> data URL)
+  const [heraldryByHouse, setHeraldryByHouse] = useState(new Map());
+
+  // 📤 EXPORT
+  const [showExportPanel, setShowExportPanel] = useState(false);
 
   // 🎯 HIGHLIGHTED PERSON
   const [highlightedPersonId, setHighlightedPersonId] = useState(null);
@@ -101,6 +181,17 @@ function FamilyTree() {
   // ==================== HOUSE VIEW CONTROLS ====================
   const [centreOnPersonId, setCentreOnPersonId] = useState('auto');
 
+  // 📊 CHART MODE - house tree, or a chart centred on one person
+  const [chartMode, setChartMode] = useState(() => {
+    const saved = localStorage.getItem('lineageweaver-chart-mode');
+    return Object.values(CHART_MODES).includes(saved) ? saved : CHART_MODES.HOUSE;
+  });
+  const [chartGenerations, setChartGenerations] = useState(() => {
+    const saved = parseInt(localStorage.getItem('lineageweaver-chart-generations'));
+    return saved >= 1 && saved <= MAX_CHART_GENERATIONS ? saved : DEFAULT_CHART_GENERATIONS;
+  });
+  const isHouseChart = chartMode === CHART_MODES.HOUSE;
+
   // Card dimensions
   const CARD_WIDTH = 150;
   const CARD_HEIGHT = 70;
@@ -120,6 +211,9 @@ function FamilyTree() {
   // Generation spacing
   const GENERATION_SPACING = verticalSpacing + CARD_HEIGHT;
 
+  // Edits touching more people than this (imports, bulk edits) redraw the whole tree
+  const MAX_INCREMENTAL_UPDATES = 25;
+
   // 🛠️ DEV LAYOUT - PARKED (drag and drop feature available here)
   // To re-enable: uncomment the imports at top and uncomment this block
   /*
@@ -184,41 +278,66 @@ function FamilyTree() {
     
     const houseMembers = people
       .filter(p => houseIds.has(p.houseId))
-      .sort((a, b) => parseInt(a.dateOfBirth) - parseInt(b.dateOfBirth));
+      .sort((a, b) => compareDates(a.dateOfBirth, b.dateOfBirth));
     
     return houseMembers;
-  }, [selectedHouseId, people, houses, showCadetHouses]);
+  }, [selectedHouseId, people, houses, showCadetHouses, compareDates]);
 
   // RELATIONSHIP MAP BUILDER
+  // spouseMap is personId -> [spouseIds] in marriage order; divorced couples
+  // stay in it so their unions and children are still drawn
   const buildRelationshipMaps = () => {
     const peopleById = new Map(people.map(p => [p.id, p]));
     const housesById = new Map(houses.map(h => [h.id, h]));
-    const parentMap = new Map();
-    const childrenMap = new Map();
-    const spouseMap = new Map();
-    const spouseRelationshipMap = new Map();
-
-    relationships.forEach(rel => {
-      if (rel.relationshipType === 'spouse') {
-        if (peopleById.has(rel.person1Id) && peopleById.has(rel.person2Id)) {
-          spouseMap.set(rel.person1Id, rel.person2Id);
-          spouseMap.set(rel.person2Id, rel.person1Id);
-          const key = [rel.person1Id, rel.person2Id].sort((a, b) => a - b).join('-');
-          spouseRelationshipMap.set(key, rel);
-        }
-      } else if (rel.relationshipType === 'parent' || rel.relationshipType === 'adopted-parent') {
-        const parentId = rel.person1Id;
-        const childId = rel.person2Id;
-        if (!parentMap.has(childId)) parentMap.set(childId, []);
-        parentMap.get(childId).push(parentId);
-        if (!childrenMap.has(parentId)) childrenMap.set(parentId, []);
-        childrenMap.get(parentId).push(childId);
-      }
-    });
+    const treeRelationships = relationships.filter(rel =>
+      rel.relationshipType !== 'spouse' ||
+      (peopleById.has(rel.person1Id) && peopleById.has(rel.person2Id))
+    );
+    const { parentMap, childrenMap, spouseMap, spouseRelationshipMap } =
+      buildMapsFromRelationships(treeRelationships, { includeDivorced: true, calendar });
 
     return { peopleById, housesById, parentMap, childrenMap, spouseMap, spouseRelationshipMap };
   };
 
+  // Relationship labels from one person's point of view. Unlike the tree's
+  // own maps, these follow custom kinship types and name custom ties.
+  const getRelationshipLabels = (personId) => {
+    const { parentMap, childrenMap, spouseMap, customTieMap } =
+      buildMapsFromRelationships(relationships, { includeDivorced: true, calendar, relationshipTypes });
+    return calculateAllRelationships(personId, people, parentMap, childrenMap, spouseMap, calendar, customTieMap);
+  };
+
+  // Who collapsed branches and focus mode leave off the house tree
+  const branchVisibility = useMemo(() => {
+    if (!selectedHouseId || people.length === 0) {
+      return { hiddenIds: new Set(), collapsedCounts: new Map(), branchParentIds: new Set() };
+    }
+
+    const maps = buildMapsFromRelationships(relationships, { includeDivorced: true, calendar });
+    const houseIds = getHouseIdsInScope(selectedHouseId, houses, showCadetHouses);
+    const houseMemberIds = new Set(people.filter(p => houseIds.has(p.houseId)).map(p => p.id));
+
+    // Only people with children in the house get a collapse toggle
+    const branchParentIds = new Set();
+    maps.childrenMap.forEach((childIds, parentId) => {
+      if (childIds.some(id => houseMemberIds.has(id))) branchParentIds.add(parentId);
+    });
+
+    return {
+      hiddenIds: getHiddenPersonIds(people, { collapsedIds, focusPersonId }, maps),
+      collapsedCounts: getCollapsedCounts(collapsedIds, maps.childrenMap, id => houseMemberIds.has(id)),
+      branchParentIds
+    };
+  }, [selectedHouseId, people, houses, relationships, showCadetHouses, calendar, collapsedIds, focusPersonId]);
+
+  const visiblePeople = useMemo(() => (
+    branchVisibility.hiddenIds.size > 0 || viewYear !== null
+      ? people.filter(p =>
+          !branchVisibility.hiddenIds.has(p.id) && (viewYear === null || isAliveInYear(p, viewYear, calendar))
+        )
+      : people
+  ), [people, branchVisibility, viewYear, calendar]);
+
   const fragmentInfo = useMemo(() => {
     if (!selectedHouseId || people.length === 0) {
       return { fragments: [], lineageGaps: [], hasMultipleFragments: false };
@@ -227,7 +346,7 @@ function FamilyTree() {
     const { parentMap, childrenMap, spouseMap, peopleById } = buildRelationshipMaps();
     const houseIds = getHouseIdsInScope(selectedHouseId, houses, showCadetHouses);
     
-    const houseMembers = people.filter(p => houseIds.has(p.houseId));
+    const houseMembers = visiblePeople.filter(p => houseIds.has(p.houseId));
     
     const fragments = detectFragments(houseMembers, spouseMap, parentMap, childrenMap);
     
@@ -248,7 +367,7 @@ function FamilyTree() {
       lineageGaps,
       hasMultipleFragments: fragments.length > 1
     };
-  }, [selectedHouseId, people, houses, relationships, showCadetHouses]);
+  }, [selectedHouseId, people, visiblePeople, houses, relationships, showCadetHouses]);
 
   const [fragmentSeparatorStyle, setFragmentSeparatorStyle] = useState(() => {
     const saved = localStorage.getItem('lineageweaver-fragment-style');
@@ -260,6 +379,32 @@ function FamilyTree() {
     localStorage.setItem('lineageweaver-fragment-style', style);
   };
 
+  // Drop the kept pan/zoom so the next draw fits the new content
+  const clearSavedTransform = () => {
+    if (!svgRef.current) return;
+    const g = d3.select(svgRef.current).select('.zoom-group');
+    if (!g.empty()) {
+      g.attr('transform', null);
+    }
+  };
+
+  const getFocusPersonName = () => {
+    const person = focusPersonId !== null && people.find(p => p.id === focusPersonId);
+    return person ? `${person.firstName} ${person.lastName}` : null;
+  };
+
+  const handleChartModeChange = (mode) => {
+    clearSavedTransform();
+    setChartMode(mode);
+    localStorage.setItem('lineageweaver-chart-mode', mode);
+  };
+
+  const handleChartGenerationsChange = (generations) => {
+    clearSavedTransform();
+    setChartGenerations(generations);
+    localStorage.setItem('lineageweaver-chart-generations', String(generations));
+  };
+
   // Navigate to a specific fragment by zooming/panning to its bounds
   const navigateToFragment = (fragmentIndex) => {
     const bounds = fragmentBoundsRef.current.find(b => b.index === fragmentIndex);
@@ -336,6 +481,19 @@ function FamilyTree() {
     return () => clearTimeout(timer);
   }, [urlPersonId, people, houses, location.key]); // location.key forces re-run on navigation
 
+  // /tree/:personId?chart=pedigree&generations=5 opens straight into a chart
+  useEffect(() => {
+    const params = new URLSearchParams(location.search);
+    const mode = params.get('chart');
+    if (Object.values(CHART_MODES).includes(mode)) {
+      setChartMode(mode);
+    }
+    const generations = parseInt(params.get('generations'));
+    if (generations >= 1 && generations <= MAX_CHART_GENERATIONS) {
+      setChartGenerations(generations);
+    }
+  }, [location.search]);
+
   useEffect(() => {
     // Don't set default house if we're navigating via URL - let the URL nav effect handle it
     if (urlPersonId) {
@@ -359,25 +517,10 @@ function FamilyTree() {
   useEffect(() => {
     async function loadDignities() {
       try {
-        const allDignities = await getAllDignities();
+        const [allDignities, allTenures] = await Promise.all([getAllDignities(), getAllDignityTenures()]);
         setDignities(allDignities);
-        
-        const byPerson = new Map();
-        allDignities.forEach(dignity => {
-          if (dignity.currentHolderId) {
-            if (!byPerson.has(dignity.currentHolderId)) {
-              byPerson.set(dignity.currentHolderId, []);
-            }
-            byPerson.get(dignity.currentHolderId).push(dignity);
-          }
-        });
-        
-        byPerson.forEach((personDignities, personId) => {
-          personDignities.sort((a, b) => (b.displayPriority || 0) - (a.displayPriority || 0));
-        });
-        
-        setDignitiesByPerson(byPerson);
-        console.log(`👑 Loaded ${allDignities.length} dignities, ${byPerson.size} people have titles`);
+        setDignityTenures(allTenures);
+        console.log(`👑 Loaded ${allDignities.length} dignities and ${allTenures.length} tenures`);
       } catch (error) {
         console.error('Error loading dignities:', error);
       }
@@ -386,14 +529,36 @@ function FamilyTree() {
     loadDignities();
   }, [dataVersion]);
 
+  useEffect(() => {
+    async function loadHeraldry() {
+      try {
+        const heraldryById = new Map((await getAllHeraldry()).map(record => [record.id, record]));
+
+        const byHouse = new Map();
+        houses.forEach(house => {
+          const image = getHouseHeraldryImage(house, heraldryById.get(house.heraldryId));
+          if (image) byHouse.set(house.id, image);
+        });
+
+        setHeraldryByHouse(byHouse);
+      } catch (error) {
+        console.error('Error loading heraldry:', error);
+      }
+    }
+
+    loadHeraldry();
+  }, [houses, dataVersion]);
+
   // Redraw tree when data changes
   useEffect(() => {
     // Only draw tree when not in branch view
-    if (!selectedHouseId || people.length === 0 || showBranchView) return;
+    if (people.length === 0) return;
+    if (isHouseChart && (!selectedHouseId || showBranchView)) return;
 
     // If navigating via URL, ensure we're drawing the correct house
     // This check is independent of the ref to avoid any race conditions
-    if (urlPersonId) {
+    // (person-centred charts don't depend on the house)
+    if (urlPersonId && isHouseChart) {
       const targetPerson = people.find(p => p.id === parseInt(urlPersonId));
       if (targetPerson && targetPerson.houseId !== selectedHouseId) {
         console.log(`🎯 Waiting for house update: URL person ${targetPerson.firstName} (house ${targetPerson.houseId}) !== current ${selectedHouseId}`);
@@ -406,14 +571,89 @@ function FamilyTree() {
       }
     }
 
-    drawTree();
-  }, [selectedHouseId, people, houses, relationships, showCadetHouses, theme, searchResults, relationshipMap, verticalSpacing, dataVersion, centreOnPersonId, fragmentSeparatorStyle, dignitiesByPerson, highlightedPersonId, isManualMode, effectivePositions, useBlockLayout, branchSpacing, showBranchView, urlPersonId]);
+    // Everything the drawing depends on apart from people (dataVersion
+    // bumps with every edit, so it says nothing on its own)
+    const viewInputs = [selectedHouseId, houses, relationships, relationshipTypes, showCadetHouses, showBranchView, collapsedIds, focusPersonId, viewYear, theme, searchResults, bulkSelectedIds, relationshipMap, verticalSpacing, centreOnPersonId, fragmentSeparatorStyle, dignitiesByPerson, highlightedPersonId, isManualMode, effectivePositions, useBlockLayout, branchSpacing, urlPersonId, calendar, presentDate, chartMode, chartGenerations, heraldryByHouse];
+    const lastDraw = lastDrawRef.current;
+
+    // Only names, dates and the like changed: repaint just those cards
+    if (lastDraw && chartMode !== CHART_MODES.FAN &&
+        viewInputs.every((value, i) => Object.is(value, lastDraw.viewInputs[i]))) {
+      const { structural, changedIds } = diffPeopleForLayout(lastDraw.people, people);
+      if (!structural && changedIds.length <= MAX_INCREMENTAL_UPDATES) {
+        redrawCards(changedIds);
+        lastDrawRef.current = { viewInputs, people };
+        return;
+      }
+    }
+
+    lastDrawRef.current = null;
+    const markDrawn = () => { lastDrawRef.current = { viewInputs, people }; };
+
+    if (!isHouseChart) {
+      drawTree();
+      markDrawn();
+      return;
+    }
+
+    const sources = {
+      people: visiblePeople,
+      houses,
+      relationships,
+      selectedHouseId,
+      showCadetHouses,
+      centreOnPersonId,
+      calendar,
+      config: {
+        cardWidth: CARD_WIDTH,
+        cardHeight: CARD_HEIGHT,
+        siblingSpacing: SPACING,
+        spouseSpacing: SPACING,
+        branchSpacing,
+        anchorX: ANCHOR_X,
+        startY: START_Y,
+        generationSpacing: GENERATION_SPACING,
+        fragmentGap
+      }
+    };
+
+    const cached = houseLayoutRef.current;
+    if (canReuseHouseLayout(cached.sources, sources)) {
+      drawTree(cached.layout);
+      markDrawn();
+      return;
+    }
+
+    // Lay out off the main thread; a newer change cancels this draw
+    let cancelled = false;
+    requestHouseLayout(getHouseLayoutInput(sources))
+      .then(layout => {
+        if (cancelled) return;
+        houseLayoutRef.current = { sources, layout };
+        drawTree(layout);
+        markDrawn();
+      })
+      .catch(error => console.error('❌ Error laying out tree:', error));
+
+    return () => { cancelled = true; };
+  }, [selectedHouseId, people, houses, relationships, relationshipTypes, showCadetHouses, theme, searchResults, bulkSelectedIds, relationshipMap, verticalSpacing, dataVersion, centreOnPersonId, fragmentSeparatorStyle, dignitiesByPerson, highlightedPersonId, isManualMode, effectivePositions, useBlockLayout, branchSpacing, showBranchView, urlPersonId, calendar, presentDate, chartMode, chartGenerations, heraldryByHouse, collapsedIds, focusPersonId, viewYear, visiblePeople, branchVisibility]);
 
   const handleSearchResults = (results) => {
     setSearchResults(results);
   };
 
-  const handlePersonClick = (person) => {
+  const handlePersonClick = (person, event = null) => {
+    // Shift/ctrl/cmd-click adds to the bulk selection instead of opening the card
+    if (bulkEnabled && (event?.shiftKey || event?.ctrlKey || event?.metaKey)) {
+      setBulkSelectedIds(prev => {
+        const next = new Set(prev);
+        if (next.has(person.id)) next.delete(person.id);
+        else next.add(person.id);
+        return next;
+      });
+      return;
+    }
+
     setSelectedPerson(person);
     
     // 🛠️ DEV LAYOUT: Also select for dev mode
@@ -423,85 +663,17 @@ function FamilyTree() {
     
     if (showRelationshipsRef.current) {
       setReferencePerson(person);
-      const { parentMap, childrenMap, spouseMap } = buildRelationshipMaps();
-      const relationships = calculateAllRelationships(person.id, people, parentMap, childrenMap, spouseMap);
-      setRelationshipMap(relationships);
+      setRelationshipMap(getRelationshipLabels(person.id));
     }
   };
 
-  const detectGenerations = (peopleById, parentMap, childrenMap, spouseMap, overrideRootId = null) => {
-    let rootPerson;
-
-    if (overrideRootId && peopleById.has(overrideRootId)) {
-      rootPerson = peopleById.get(overrideRootId);
-      console.log(`Using override root: ${rootPerson.firstName} ${rootPerson.lastName}`);
-    } else {
-      const gen0People = Array.from(peopleById.values())
-        .filter(p => !parentMap.has(p.id))
-        .sort((a, b) => parseInt(a.dateOfBirth) - parseInt(b.dateOfBirth));
-
-      if (gen0People.length === 0) {
-        console.warn('No root people found (everyone has parents)');
-        return [];
-      }
-
-      console.log('Root candidates (no parents):', gen0People.map(p => `${p.firstName} ${p.lastName} (b.${p.dateOfBirth})`));
-
-      rootPerson = gen0People[0];
-    }
-
-    console.log(`Root (Gen 0): ${rootPerson.firstName} ${rootPerson.lastName}`);
-
-    const generations = [];
-    const processedIds = new Set();
-
-    generations.push([rootPerson.id]);
-    processedIds.add(rootPerson.id);
-
-    const rootSpouseId = spouseMap.get(rootPerson.id);
-    if (rootSpouseId) {
-      processedIds.add(rootSpouseId);
-    }
-
-    let currentGenIndex = 0;
-    while (currentGenIndex < generations.length) {
-      const currentGen = generations[currentGenIndex];
-      const nextGenIds = new Set();
-
-      currentGen.forEach(personId => {
-        const children = childrenMap.get(personId) || [];
-        children.forEach(childId => {
-          // CRITICAL: Only include children that are IN this fragment (peopleById)
-          // This prevents generation detection from following relationships outside the fragment
-          if (!processedIds.has(childId) && peopleById.has(childId)) {
-            nextGenIds.add(childId);
-            processedIds.add(childId);
-          }
-        });
-
-        const spouseId = spouseMap.get(personId);
-        if (spouseId && peopleById.has(spouseId)) {
-          const spouseChildren = childrenMap.get(spouseId) || [];
-          spouseChildren.forEach(childId => {
-            // CRITICAL: Only include children that are IN this fragment (peopleById)
-            if (!processedIds.has(childId) && peopleById.has(childId)) {
-              nextGenIds.add(childId);
-              processedIds.add(childId);
-            }
-          });
-        }
-      });
-
-      if (nextGenIds.size > 0) {
-        generations.push(Array.from(nextGenIds));
-      }
-
-      currentGenIndex++;
-    }
+  // Generations for BranchView; the main house chart gets them from its layout
+  const detectGenerations = (peopleById, parentMap, childrenMap, spouseMap, overrideRootId = null) =>
+    detectTreeGenerations(peopleById, parentMap, childrenMap, spouseMap, overrideRootId, calendar);
 
-    console.log('Generations detected:', generations.map((g, i) => `Gen ${i}: ${g.length} people`));
-    return generations;
-  };
+  // Card border / line colour for a person's legitimacy status
+  const getStatusBorderColor = (person, themeColors) =>
+    themeColors.statusBorders[person?.legitimacyStatus] || themeColors.statusBorders.legitimate;
 
   // 🛠️ DEV LAYOUT: Draw person card - modified to support dragging
   const drawPersonCard = (g, person, x, y, housesById, themeColors, spouseMap = null, childrenMap = null) => {
@@ -509,11 +681,7 @@ function FamilyTree() {
     const originalColor = birthHouse ? birthHouse.colorCode : '#666666';
     const harmonizedBg = harmonizeColor(originalColor);
     
-    let borderColor = themeColors.statusBorders.legitimate;
-    if (person.legitimacyStatus === 'bastard') borderColor = themeColors.statusBorders.bastard;
-    if (person.legitimacyStatus === 'adopted') borderColor = themeColors.statusBorders.adopted;
-    if (person.legitimacyStatus === 'commoner') borderColor = themeColors.statusBorders.commoner;
-    if (person.legitimacyStatus === 'unknown') borderColor = themeColors.statusBorders.unknown;
+    const borderColor = getStatusBorderColor(person, themeColors);
 
     // 🛠️ DEV LAYOUT: Use effective position if in manual mode
     let finalX = x;
@@ -524,16 +692,23 @@ function FamilyTree() {
       finalY = effectivePositions[person.id].y;
     }
 
+    // Living / deceased / not-yet-born at the story present
+    const lifeStatus = getLifeStatus(person);
+
     const card = g.append('g')
-      .attr('class', 'person-card')
+      .attr('class', `person-card person-card--${lifeStatus}`)
       .attr('data-person-id', person.id)
       .attr('transform', `translate(${finalX}, ${finalY})`)
       .style('cursor', isManualMode ? 'grab' : 'pointer')
-      .on('click', () => handlePersonClick(person));
+      .on('click', (event) => handlePersonClick(person, event));
+
+    if (!isHouseChart) {
+      card.on('dblclick', (event) => rerootChart(event, person));
+    }
     
     // 🛠️ DEV LAYOUT: Add drag behavior if in manual mode
     if (isManualMode) {
-      const dragStartRef = { x: 0, y: 0, spouseStartX: 0, spouseStartY: 0, offsetX: 0, offsetY: 0 };
+      const dragStartRef = { x: 0, y: 0, spouses: [], offsetX: 0, offsetY: 0 };
       
       const drag = d3.drag()
         .on('start', function(event) {
@@ -553,15 +728,14 @@ function FamilyTree() {
           dragStartRef.x = finalX;
           dragStartRef.y = finalY;
           
-          // Store spouse starting position for coupled dragging
-          if (spouseMap) {
-            const spouseId = spouseMap.get(person.id);
-            if (spouseId && effectivePositions[spouseId]) {
-              dragStartRef.spouseId = spouseId;
-              dragStartRef.spouseStartX = effectivePositions[spouseId].x;
-              dragStartRef.spouseStartY = effectivePositions[spouseId].y;
-            }
-          }
+          // Store spouse starting positions for coupled dragging
+          dragStartRef.spouses = getSpouseIds(spouseMap, person.id)
+            .filter(spouseId => effectivePositions[spouseId])
+            .map(spouseId => ({
+              id: spouseId,
+              startX: effectivePositions[spouseId].x,
+              startY: effectivePositions[spouseId].y
+            }));
         })
         .on('drag', function(event) {
           // Get mouse position in the zoom group's coordinate system
@@ -576,22 +750,22 @@ function FamilyTree() {
           d3.select(this).attr('transform', `translate(${newX}, ${newY})`);
           setPosition(person.id, newX, newY);
           
-          // Move spouse together (same delta)
-          if (dragStartRef.spouseId) {
-            const deltaX = newX - dragStartRef.x;
-            const deltaY = newY - dragStartRef.y;
-            const newSpouseX = dragStartRef.spouseStartX + deltaX;
-            const newSpouseY = dragStartRef.spouseStartY + deltaY;
+          // Move spouses together (same delta)
+          const deltaX = newX - dragStartRef.x;
+          const deltaY = newY - dragStartRef.y;
+          dragStartRef.spouses.forEach(spouse => {
+            const newSpouseX = spouse.startX + deltaX;
+            const newSpouseY = spouse.startY + deltaY;
             
             // Find and move spouse card
             g.selectAll('.person-card')
               .filter(function() {
-                return d3.select(this).attr('data-person-id') == dragStartRef.spouseId;
+                return d3.select(this).attr('data-person-id') == spouse.id;
               })
               .attr('transform', `translate(${newSpouseX}, ${newSpouseY})`);
             
-            setPosition(dragStartRef.spouseId, newSpouseX, newSpouseY);
-          }
+            setPosition(spouse.id, newSpouseX, newSpouseY);
+          });
         })
         .on('end', function() {
           setDraggingPersonId(null);
@@ -607,8 +781,12 @@ function FamilyTree() {
       .attr('fill', harmonizedBg)
       .attr('stroke', borderColor)
       .attr('stroke-width', 2.5)
+      .attr('stroke-dasharray', lifeStatus === 'unborn' ? '6 4' : null)
       .attr('rx', 6)
       .attr('filter', 'url(#card-shadow)');
+
+    if (lifeStatus === 'deceased') card.attr('opacity', 0.75);
+    if (lifeStatus === 'unborn') card.attr('opacity', 0.45);
     
     const glowColor = isDarkTheme() ? 'rgba(233, 220, 201, 0.1)' : 'rgba(255, 255, 255, 0.3)';
     card.append('rect')
@@ -616,6 +794,16 @@ function FamilyTree() {
       .attr('width', CARD_WIDTH - 2).attr('height', CARD_HEIGHT - 2)
       .attr('fill', 'none').attr('stroke', glowColor).attr('stroke-width', 1).attr('rx', 5);
     
+    const heraldryImage = heraldryByHouse.get(person.houseId);
+    if (heraldryImage) {
+      card.append('image')
+        .attr('class', 'person-heraldry')
+        .attr('href', heraldryImage)
+        .attr('x', 4).attr('y', 4)
+        .attr('width', 16).attr('height', 19)
+        .attr('preserveAspectRatio', 'xMidYMid meet');
+    }
+
     const textMaxWidth = CARD_WIDTH - 16;
     const nameFontSize = 13;
     const secondaryFontSize = 10;
@@ -659,7 +847,7 @@ function FamilyTree() {
         .text(maidenResult.text);
     }
     currentY += 16;
-    const dates = `b. ${person.dateOfBirth}${person.dateOfDeath ? ` - d. ${person.dateOfDeath}` : ''}`;
+    const dates = `b. ${formatDate(person.dateOfBirth, { style: 'short' })}${person.dateOfDeath ? ` - d. ${formatDate(person.dateOfDeath, { style: 'short' })}` : ''}`;
     const datesResult = truncateText(dates, textMaxWidth, secondaryFontSize);
     card.append('text')
       .attr('x', CARD_WIDTH / 2).attr('y', currentY)
@@ -682,6 +870,7 @@ function FamilyTree() {
     }
 
     const isHighlighted = searchResults.some(p => p.id === person.id);
+    const isBulkSelected = bulkSelectedIds.has(person.id);
     const isUrlHighlighted = highlightedPersonId === person.id;
     const isDevSelected = isManualMode && auraPersonId === person.id;
     
@@ -695,6 +884,19 @@ function FamilyTree() {
         .attr('rx', 6)
         .attr('class', 'search-highlight');
     }
+
+    if (isBulkSelected) {
+      card.append('rect')
+        .attr('width', CARD_WIDTH + 10)
+        .attr('height', CARD_HEIGHT + 10)
+        .attr('x', -5)
+        .attr('y', -5)
+        .attr('fill', 'none')
+        .attr('stroke', '#4a9eff')
+        .attr('stroke-width', 3)
+        .attr('rx', 11)
+        .attr('class', 'bulk-selection');
+    }
     
     if (isUrlHighlighted) {
       card.append('rect')
@@ -766,7 +968,8 @@ function FamilyTree() {
         .attr('r', 10)
         .attr('fill', isDarkTheme() ? 'rgba(0, 0, 0, 0.5)' : 'rgba(255, 255, 255, 0.7)')
         .attr('stroke', isDarkTheme() ? 'rgba(212, 165, 116, 0.5)' : 'rgba(139, 90, 43, 0.5)')
-        .attr('stroke-width', 1);
+        .attr('stroke-width', 1)
+        .attr('class', 'dignity-badge');
       
       card.append('text')
         .attr('x', CARD_WIDTH - 12)
@@ -780,32 +983,138 @@ function FamilyTree() {
         .text(`${topDignity.title}${personDignities.length > 1 ? ` (+${personDignities.length - 1} more)` : ''}`);
     }
     
+    // 🌿 COLLAPSE TOGGLE - hides or shows this person's descendants
+    const isCollapsed = branchVisibility.collapsedCounts.has(person.id);
+    if (isHouseChart && (isCollapsed || branchVisibility.branchParentIds.has(person.id))) {
+      const toggle = card.append('g')
+        .attr('class', 'branch-toggle')
+        .attr('transform', `translate(${CARD_WIDTH / 2}, ${CARD_HEIGHT})`)
+        .on('click', (event) => {
+          event.stopPropagation();
+          toggleCollapsed(person.id);
+        });
+
+      toggle.append('circle')
+        .attr('r', 8)
+        .attr('fill', isDarkTheme() ? '#2d231c' : '#faf5eb')
+        .attr('stroke', borderColor)
+        .attr('stroke-width', 1.5);
+
+      toggle.append('text')
+        .attr('y', 4)
+        .attr('text-anchor', 'middle')
+        .attr('font-size', '12px')
+        .attr('font-weight', 'bold')
+        .attr('fill', isDarkTheme() ? '#e9dcc9' : '#5c4a3d')
+        .text(isCollapsed ? '+' : '−');
+
+      toggle.append('title').text(isCollapsed ? 'Show descendants' : 'Hide descendants');
+    }
+
+    if (isHouseChart && isCollapsed) {
+      const hiddenCount = branchVisibility.collapsedCounts.get(person.id);
+      card.append('text')
+        .attr('class', 'collapsed-badge')
+        .attr('x', CARD_WIDTH / 2)
+        .attr('y', CARD_HEIGHT + 24)
+        .attr('text-anchor', 'middle')
+        .attr('font-size', '10px')
+        .attr('font-style', 'italic')
+        .attr('fill', isDarkTheme() ? '#d4a574' : '#8b5a2b')
+        .text(`+${hiddenCount} ${hiddenCount === 1 ? 'descendant' : 'descendants'}`);
+    }
+
     return { x: finalX, y: finalY, width: CARD_WIDTH, height: CARD_HEIGHT, personId: person.id };
   };
 
-  const drawMarriageLine = (g, pos1, pos2, themeColors, relationship = null) => {
+  /**
+   * Where a union (marriage) node sits. The first marriage joins the two
+   * cards side by side at mid-height; later marriages run under the cards
+   * in between, each a step lower, so every marriage gets its own node.
+   */
+  const getUnionCenter = (pos1, pos2, unionIndex = 0) => {
+    if (unionIndex === 0) {
+      return {
+        x: (pos1.x + pos1.width + pos2.x) / 2,
+        y: (pos1.y + pos1.height / 2 + pos2.y + pos2.height / 2) / 2
+      };
+    }
+    const x1 = pos1.x + pos1.width - 12 - (unionIndex - 1) * 8;
+    const x2 = pos2.x + pos2.width / 2;
+    return { x: (x1 + x2) / 2, y: pos1.y + pos1.height + 6 * unionIndex };
+  };
+
+  const drawMarriageLine = (g, pos1, pos2, themeColors, relationship = null, unionIndex = 0, showNode = false) => {
     const isBetrothed = relationship?.marriageStatus === 'betrothed';
+    const isDivorced = relationship?.marriageStatus === 'divorced';
 
     const marriageColor = isDarkTheme() ? '#c08a7a' : '#b87a8a';
     const betrothalColor = isDarkTheme() ? '#8a7ac0' : '#9a8ab8';
     const lineColor = isBetrothed ? betrothalColor : marriageColor;
+    const center = getUnionCenter(pos1, pos2, unionIndex);
 
-    const x1 = pos1.x + pos1.width;
-    const y1 = pos1.y + pos1.height / 2;
-    const x2 = pos2.x;
-    const y2 = pos2.y + pos2.height / 2;
+    let line;
+    if (unionIndex === 0) {
+      line = g.append('line')
+        .attr('x1', pos1.x + pos1.width).attr('y1', pos1.y + pos1.height / 2)
+        .attr('x2', pos2.x).attr('y2', pos2.y + pos2.height / 2);
+    } else {
+      // Down from the person, along under the cards between, up to the spouse
+      const x1 = pos1.x + pos1.width - 12 - (unionIndex - 1) * 8;
+      const x2 = pos2.x + pos2.width / 2;
+      line = g.append('path')
+        .attr('d', `M ${x1} ${pos1.y + pos1.height} V ${center.y} H ${x2} V ${pos2.y + pos2.height}`)
+        .attr('fill', 'none');
+    }
 
-    const line = g.append('line').attr('class', isBetrothed ? 'betrothal-line' : 'marriage-line')
-      .attr('x1', x1).attr('y1', y1).attr('x2', x2).attr('y2', y2)
+    line.attr('class', isBetrothed ? 'betrothal-line' : 'marriage-line')
       .attr('stroke', lineColor)
       .attr('stroke-width', 2.5)
-      .attr('opacity', 0.8);
+      .attr('opacity', isDivorced ? 0.45 : 0.8);
 
     if (isBetrothed) {
       line.attr('stroke-dasharray', '8,4');
     }
 
-    return { x: (x1 + x2) / 2, y: (y1 + y2) / 2 };
+    if (showNode) {
+      g.append('circle').attr('class', 'union-node')
+        .attr('cx', center.x).attr('cy', center.y).attr('r', 4)
+        .attr('fill', lineColor)
+        .attr('stroke', isDarkTheme() ? '#1a1410' : '#f5ede0')
+        .attr('stroke-width', 1.5);
+    }
+
+    return center;
+  };
+
+  // Lines for custom relationship types that ask to be drawn: a dashed arc
+  // between the two cards, under the cards, coloured like the type
+  const drawCustomRelationshipLines = (g, positionMap) => {
+    relationships.forEach(rel => {
+      const type = relationshipTypes[rel.relationshipType];
+      if (!type || type.builtIn || !type.drawsLine) return;
+
+      const pos1 = positionMap.get(rel.person1Id);
+      const pos2 = positionMap.get(rel.person2Id);
+      if (!pos1 || !pos2) return;
+
+      const x1 = pos1.x + pos1.width / 2;
+      const y1 = pos1.y + pos1.height / 2;
+      const x2 = pos2.x + pos2.width / 2;
+      const y2 = pos2.y + pos2.height / 2;
+      // Bow the arc sideways so it doesn't run along parent/child lines
+      const bow = Math.min(120, Math.hypot(x2 - x1, y2 - y1) * 0.25);
+
+      const line = g.insert('path', '.person-card')
+        .attr('class', 'custom-relationship-line')
+        .attr('d', `M ${x1} ${y1} Q ${(x1 + x2) / 2 + bow} ${(y1 + y2) / 2 - bow} ${x2} ${y2}`)
+        .attr('fill', 'none')
+        .attr('stroke', TYPE_COLOR_VALUES[type.color] || TYPE_COLOR_VALUES.gray)
+        .attr('stroke-width', 2)
+        .attr('stroke-dasharray', type.directional ? '10,4' : '3,4')
+        .attr('opacity', 0.7);
+      line.append('title').text(type.label);
+    });
   };
 
   const drawChildLines = (g, marriageCenter, positions, parentY, childY, peopleById, parentMap, positionMap, themeColors, yOffset = 0, parentId = null, spouseId = null) => {
@@ -1071,7 +1380,316 @@ function FamilyTree() {
   };
   */
 
-  const drawTree = () => {
+  // ==================== PERSON-CENTRED CHARTS ====================
+
+  // Chart root: the Centre On person (set from /tree/:personId), else the
+  // house's oldest member
+  const getChartRootId = (peopleById) => {
+    if (peopleById.has(centreOnPersonId)) return centreOnPersonId;
+    const urlId = parseInt(urlPersonId);
+    if (peopleById.has(urlId)) return urlId;
+    return getHouseNotablePeople[0]?.id ?? people[0]?.id ?? null;
+  };
+
+  // Heading for exports: the house, or the chart and the person it is about
+  const getExportTitle = () => {
+    if (isHouseChart) {
+      const houseName = houses.find(h => h.id === selectedHouseId)?.houseName;
+      if (!houseName) return 'Family Tree';
+      return /^house\b/i.test(houseName) ? houseName : `House ${houseName}`;
+    }
+
+    const peopleById = new Map(people.map(p => [p.id, p]));
+    const root = peopleById.get(getChartRootId(peopleById));
+    const chartLabel = CHART_MODE_LABELS[chartMode];
+    return root ? `${chartLabel} of ${[root.firstName, root.lastName].filter(Boolean).join(' ')}` : chartLabel;
+  };
+
+  // Double-clicking a person re-roots the chart on them via the URL
+  const rerootChart = (event, person) => {
+    event.stopPropagation();
+    navigate(`/tree/${person.id}${location.search}`);
+  };
+
+  const drawChartLink = (g, fromPos, toPos, link, orientation, peopleById, themeColors) => {
+    if (link.type === 'spouse') {
+      // Bracket beside a stacked couple so it never crosses the cards between
+      const marriageColor = isDarkTheme() ? '#c08a7a' : '#b87a8a';
+      const d = orientation === 'horizontal'
+        ? `M ${fromPos.x} ${fromPos.y + fromPos.height / 2} H ${fromPos.x - 8} V ${toPos.y + toPos.height / 2} H ${toPos.x}`
+        : `M ${fromPos.x + fromPos.width / 2} ${fromPos.y} V ${fromPos.y - 8} H ${toPos.x + toPos.width / 2} V ${toPos.y}`;
+      g.append('path').attr('class', 'marriage-line').attr('d', d).attr('stroke', marriageColor);
+      return;
+    }
+
+    const status = peopleById.get(link.personId)?.legitimacyStatus;
+    const lineClass = status === 'bastard' ? 'child-line-bastard' : status === 'adopted' ? 'child-line-adopted' : 'child-line-legit';
+    let d;
+    if (orientation === 'horizontal') {
+      const forward = toPos.x > fromPos.x;
+      const x1 = forward ? fromPos.x + fromPos.width : fromPos.x;
+      const x2 = forward ? toPos.x : toPos.x + toPos.width;
+      const midX = (x1 + x2) / 2;
+      d = `M ${x1} ${fromPos.y + fromPos.height / 2} H ${midX} V ${toPos.y + toPos.height / 2} H ${x2}`;
+    } else {
+      const forward = toPos.y > fromPos.y;
+      const y1 = forward ? fromPos.y + fromPos.height : fromPos.y;
+      const y2 = forward ? toPos.y : toPos.y + toPos.height;
+      const midY = (y1 + y2) / 2;
+      d = `M ${fromPos.x + fromPos.width / 2} ${y1} V ${midY} H ${toPos.x + toPos.width / 2} V ${y2}`;
+    }
+    g.append('path')
+      .attr('class', lineClass)
+      .attr('d', d)
+      .attr('stroke', getStatusBorderColor(peopleById.get(link.personId), themeColors))
+      .attr('stroke-width', 2)
+      .attr('stroke-dasharray', status === 'bastard' ? '6,3' : status === 'adopted' ? '2,3' : null);
+  };
+
+  // Ancestor rings around the person, one segment per known ancestor
+  const drawFanChart = (g, rootId, maps, themeColors, positionMap) => {
+    const { peopleById, housesById } = maps;
+    const segments = calculateFanLayout(rootId, maps, { generations: chartGenerations });
+    const arc = d3.arc().cornerRadius(3);
+
+    segments.forEach(segment => {
+      const person = peopleById.get(segment.personId);
+      const house = housesById.get(person.houseId);
+      const lifeStatus = getLifeStatus(person);
+
+      const group = g.append('g')
+        .attr('class', `person-card fan-segment person-card--${lifeStatus}`)
+        .attr('data-person-id', person.id)
+        .on('click', (event) => handlePersonClick(person, event))
+        .on('dblclick', (event) => rerootChart(event, person));
+
+      group.append('path')
+        .attr('d', arc(segment))
+        .attr('fill', harmonizeColor(house ? house.colorCode : '#666666'))
+        .attr('stroke', getStatusBorderColor(person, themeColors))
+        .attr('stroke-width', 1.5)
+        .attr('stroke-dasharray', lifeStatus === 'unborn' ? '6 4' : null);
+
+      if (lifeStatus === 'deceased') group.attr('opacity', 0.75);
+      if (lifeStatus === 'unborn') group.attr('opacity', 0.45);
+
+      const dates = `b. ${formatDate(person.dateOfBirth, { style: 'short' })}${person.dateOfDeath ? ` - d. ${formatDate(person.dateOfDeath, { style: 'short' })}` : ''}`;
+      group.append('title').text(`${person.firstName} ${person.lastName}\n${dates}`);
+
+      // Text runs along the ring where the segment is wide, across it where narrow
+      const midAngle = (segment.startAngle + segment.endAngle) / 2;
+      const midRadius = (segment.innerRadius + segment.outerRadius) / 2;
+      const ringWidth = segment.outerRadius - segment.innerRadius;
+      const arcLength = midRadius * (segment.endAngle - segment.startAngle);
+      const tangential = segment.generation === 0 || arcLength >= ringWidth;
+      const degrees = (midAngle * 180) / Math.PI;
+
+      let [cx, cy] = arc.centroid(segment);
+      let rotation = 0;
+      if (segment.generation === 0) {
+        cx = 0;
+        cy = 0;
+      } else if (tangential) {
+        rotation = Math.abs(degrees) > 90 ? degrees + 180 : degrees;
+      } else {
+        rotation = degrees > 0 ? degrees - 90 : degrees + 90;
+      }
+
+      const fontSize = Math.max(13 - segment.generation * 1.5, 8);
+      const maxWidth = (tangential ? Math.min(arcLength, segment.outerRadius * 2) : ringWidth) - 10;
+      const label = group.append('text')
+        .attr('transform', `translate(${cx}, ${cy}) rotate(${rotation})`)
+        .attr('text-anchor', 'middle')
+        .attr('class', 'person-name')
+        .attr('fill', '#e9dcc9')
+        .attr('font-size', `${fontSize}px`)
+        .attr('filter', 'url(#text-shadow)');
+      label.append('tspan')
+        .attr('x', 0)
+        .attr('dy', segment.generation <= 2 ? '-0.2em' : '0.35em')
+        .text(truncateName(person.firstName, person.lastName, maxWidth, fontSize).text);
+      if (segment.generation <= 2) {
+        label.append('tspan')
+          .attr('x', 0)
+          .attr('dy', '1.3em')
+          .attr('class', 'person-dates')
+          .attr('fill', '#b8a891')
+          .text(truncateText(dates, maxWidth, 10).text);
+      }
+
+      if (searchResults.some(p => p.id === person.id) || highlightedPersonId === person.id) {
+        group.append('path')
+          .attr('d', arc(segment))
+          .attr('fill', 'none')
+          .attr('stroke', '#ffff00')
+          .attr('stroke-width', 3)
+          .attr('class', 'search-highlight');
+      }
+
+      if (bulkSelectedIds.has(person.id)) {
+        group.append('path')
+          .attr('d', arc(segment))
+          .attr('fill', 'none')
+          .attr('stroke', '#4a9eff')
+          .attr('stroke-width', 3)
+          .attr('stroke-dasharray', '6,3')
+          .attr('class', 'bulk-selection');
+      }
+
+      if (segment.generation > 0) {
+        positionMap.set(person.id, { x: cx - 40, y: cy - 20, width: 80, height: 40 });
+      }
+    });
+
+    // The root's entry spans the whole fan so fitting and centring cover it
+    const outerRadius = Math.max(...segments.map(segment => segment.outerRadius));
+    positionMap.set(rootId, { x: -outerRadius, y: -outerRadius, width: outerRadius * 2, height: outerRadius * 1.5 });
+  };
+
+  // Draw the selected person-centred chart; returns positions for centring
+  const drawPersonChart = (g, maps, themeColors) => {
+    const { peopleById, housesById, spouseMap, childrenMap } = maps;
+    const positionMap = new Map();
+    const rootId = getChartRootId(peopleById);
+
+    if (!rootId) {
+      g.append('text').attr('x', 0).attr('y', 0).attr('text-anchor', 'middle').attr('font-size', '20px').attr('fill', '#e9dcc9').text('No data available.');
+      return positionMap;
+    }
+
+    if (chartMode === CHART_MODES.FAN) {
+      drawFanChart(g, rootId, maps, themeColors, positionMap);
+      return positionMap;
+    }
+
+    const config = { generations: chartGenerations, cardWidth: CARD_WIDTH, cardHeight: CARD_HEIGHT, calendar };
+    const layout = chartMode === CHART_MODES.PEDIGREE
+      ? calculatePedigreeLayout(rootId, maps, config)
+      : chartMode === CHART_MODES.DESCENDANTS
+        ? calculateDescendantLayout(rootId, maps, config)
+        : calculateHourglassLayout(rootId, maps, config);
+
+    const nodePositions = new Map(layout.nodes.map(node => [
+      node.key,
+      { x: node.x, y: node.y, width: CARD_WIDTH, height: CARD_HEIGHT }
+    ]));
+
+    // Lines first so the cards sit on top of them
+    layout.links.forEach(link => {
+      drawChartLink(g, nodePositions.get(link.from), nodePositions.get(link.to), link, layout.orientation, peopleById, themeColors);
+    });
+
+    layout.nodes.forEach(node => {
+      const pos = drawPersonCard(g, peopleById.get(node.personId), node.x, node.y, housesById, themeColors, spouseMap, childrenMap);
+      // The root wins when a person appears more than once
+      if (!positionMap.has(node.personId) || node.key === 'root') {
+        positionMap.set(node.personId, pos);
+      }
+    });
+
+    return positionMap;
+  };
+
+  // Center the view: on the URL-highlighted person, else keep the user's
+  // pan/zoom, else fit all drawn content
+  const centerView = (svg, zoom, positionMap, savedTransform) => {
+    if (positionMap.size > 0) {
+      const positions = Array.from(positionMap.values());
+      
+      const minX = Math.min(...positions.map(p => p.x));
+      const maxX = Math.max(...positions.map(p => p.x + p.width));
+      const minY = Math.min(...positions.map(p => p.y));
+      const maxY = Math.max(...positions.map(p => p.y + p.height));
+      
+      const contentCenterX = (minX + maxX) / 2;
+      const contentCenterY = (minY + maxY) / 2;
+      const contentWidth = maxX - minX;
+      const contentHeight = maxY - minY;
+      
+      const svgElement = svgRef.current;
+      const viewportWidth = svgElement?.clientWidth || window.innerWidth;
+      const viewportHeight = svgElement?.clientHeight || window.innerHeight;
+      
+      if (highlightedPersonId && positionMap.has(highlightedPersonId)) {
+        const highlightedPos = positionMap.get(highlightedPersonId);
+        const personCenterX = highlightedPos.x + highlightedPos.width / 2;
+        const personCenterY = highlightedPos.y + highlightedPos.height / 2;
+        const targetScale = 1.5;
+        
+        const translateX = (viewportWidth / 2) - (personCenterX * targetScale);
+        const translateY = (viewportHeight / 2) - (personCenterY * targetScale);
+        
+        const highlightTransform = d3.zoomIdentity
+          .translate(translateX, translateY)
+          .scale(targetScale);
+        
+        svg.call(zoom.transform, highlightTransform);
+        setZoomLevel(targetScale);
+        
+        console.log('🎯 Centered on highlighted person:', {
+          personId: highlightedPersonId,
+          position: { x: personCenterX, y: personCenterY },
+          scale: targetScale
+        });
+      } else if (savedTransform) {
+        svg.call(zoom.transform, savedTransform);
+      } else {
+        const padding = 100;
+        const scaleX = (viewportWidth - padding * 2) / contentWidth;
+        const scaleY = (viewportHeight - padding * 2) / contentHeight;
+        const idealScale = Math.min(scaleX, scaleY, 1);
+        const finalScale = Math.max(idealScale, 0.3);
+        
+        const translateX = (viewportWidth / 2) - (contentCenterX * finalScale);
+        const translateY = (viewportHeight / 2) - (contentCenterY * finalScale);
+        
+        const initialTransform = d3.zoomIdentity
+          .translate(translateX, translateY)
+          .scale(finalScale);
+        
+        svg.call(zoom.transform, initialTransform);
+        setZoomLevel(finalScale);
+        
+        console.log('🎯 Tree centered:', {
+          contentCenter: { x: contentCenterX, y: contentCenterY },
+          contentSize: { width: contentWidth, height: contentHeight },
+          viewport: { width: viewportWidth, height: viewportHeight },
+          scale: finalScale
+        });
+      }
+    } else {
+      const fallbackTransform = savedTransform || d3.zoomIdentity.translate(200, 100).scale(0.8);
+      svg.call(zoom.transform, fallbackTransform);
+    }
+  };
+
+  // Repaint the cards of people whose details changed, where they already stand
+  const redrawCards = (personIds) => {
+    if (personIds.length === 0 || !svgRef.current) return;
+
+    const { peopleById, housesById, spouseMap, childrenMap } = buildRelationshipMaps();
+    const themeColors = getAllThemeColors();
+
+    personIds.forEach(personId => {
+      const person = peopleById.get(personId);
+      d3.select(svgRef.current).selectAll(`.person-card[data-person-id="${personId}"]`).each(function() {
+        const position = parseTranslate(this.getAttribute('transform'));
+        if (!person || !position) return;
+
+        const parent = d3.select(this.parentNode);
+        drawPersonCard(parent, person, position.x, position.y, housesById, themeColors, spouseMap, childrenMap);
+        const newCard = this.parentNode.lastElementChild;
+
+        newCard.classList.toggle(CULLED_CLASS, this.classList.contains(CULLED_CLASS));
+        this.parentNode.insertBefore(newCard, this);
+        this.remove();
+      });
+    });
+
+    cullerRef.current?.invalidate();
+  };
+
+  const drawTree = (houseLayout = null) => {
     const themeColors = getAllThemeColors();
     
     let savedTransform = null;
@@ -1119,11 +1737,31 @@ function FamilyTree() {
 
     const g = svg.append('g').attr('class', 'zoom-group');
 
+    cullerRef.current?.destroy();
+    const culler = createViewportCuller(g.node(), {
+      cardSize: { width: CARD_WIDTH, height: CARD_HEIGHT },
+      getViewportSize: () => ({ width: svgRef.current?.clientWidth || 0, height: svgRef.current?.clientHeight || 0 })
+    });
+    cullerRef.current = culler;
+
     const zoom = d3.zoom().scaleExtent([0.1, 3])
-      .on('zoom', (event) => { g.attr('transform', event.transform); setZoomLevel(event.transform.k); });
+      .on('zoom', (event) => {
+        g.attr('transform', event.transform);
+        setZoomLevel(event.transform.k);
+        culler.schedule(event.transform);
+      });
 
     svg.call(zoom);
     zoomBehaviorRef.current = zoom;
+    // Runs after this draw finishes, in case nothing below moves the view
+    culler.schedule(savedTransform || d3.zoomIdentity);
+
+    // Person-centred charts replace the house layout entirely
+    if (!isHouseChart) {
+      const chartPositions = drawPersonChart(g, { peopleById, housesById, parentMap, childrenMap, spouseMap }, themeColors);
+      centerView(svg, zoom, chartPositions, savedTransform);
+      return;
+    }
 
     g.append('line').attr('class', 'anchor-line')
       .attr('x1', ANCHOR_X).attr('y1', 0).attr('x2', ANCHOR_X).attr('y2', 5000)
@@ -1134,46 +1772,51 @@ function FamilyTree() {
       return;
     }
 
-    let scopedPeopleById = peopleById;
-    let overrideRootId = null;
-    
-    if (selectedHouseId) {
-      const scopedIds = getHouseScopedPeopleIds(
-        selectedHouseId,
-        people,
-        houses,
-        spouseMap,
-        childrenMap,
-        parentMap,
-        showCadetHouses
-      );
-      
-      scopedPeopleById = new Map();
-      scopedIds.forEach(id => {
-        if (peopleById.has(id)) {
-          scopedPeopleById.set(id, peopleById.get(id));
-        }
-      });
-      
-      overrideRootId = findRootPersonForHouse(
-        scopedIds,
-        peopleById,
-        parentMap,
-        centreOnPersonId
-      );
-      
-      console.log(`🏠 House filter: ${houses.find(h => h.id === selectedHouseId)?.houseName}`);
-      console.log(`   Scoped people: ${scopedPeopleById.size} of ${peopleById.size}`);
-      console.log(`   Root person ID: ${overrideRootId}`);
-    }
+    // House scoping and card positions come from the layout worker
+    // (utils/houseTreeLayout.js); here they are only drawn
+    const scopedPeopleById = new Map();
+    houseLayout.scopedIds.forEach(id => {
+      if (peopleById.has(id)) {
+        scopedPeopleById.set(id, peopleById.get(id));
+      }
+    });
+
+    console.log(`🏠 House filter: ${houses.find(h => h.id === selectedHouseId)?.houseName}`);
+    console.log(`   Scoped people: ${scopedPeopleById.size} of ${peopleById.size}`);
+    console.log(`   Root person ID: ${houseLayout.rootPersonId}`);
 
     const positionMap = new Map();
     const marriageCenters = new Map();
     const marriageLinesToDraw = [];
+
+    // Record a marriage's union node and queue its line (drawn after the cards)
+    const addUnion = (personId, personPos, spouseId, spousePos, unionIndex, spouseCount) => {
+      const key = getSpouseKey(personId, spouseId);
+      marriageCenters.set(key, getUnionCenter(personPos, spousePos, unionIndex));
+      marriageLinesToDraw.push([personPos, spousePos, spouseRelationshipMap.get(key), unionIndex, spouseCount > 1]);
+    };
+
+    // Draw a person's spouses in marriage order, each with its own union
+    const drawSpouses = (personId, personPos, spouses, getSpouseCoords) => {
+      spouses.forEach((spouse, unionIndex) => {
+        const coords = getSpouseCoords(spouse);
+        if (!coords) return;
+        const spousePos = drawPersonCard(g, spouse, coords.x, coords.y, housesById, themeColors, spouseMap, childrenMap);
+        positionMap.set(spouse.id, spousePos);
+        addUnion(personId, personPos, spouse.id, spousePos, unionIndex, spouses.length);
+      });
+    };
+
+    // A person's spouses that are part of this fragment
+    const getFragmentSpouses = (personId, fragmentPeopleById) =>
+      getSpouseIds(spouseMap, personId)
+        .map(id => fragmentPeopleById.get(id))
+        .filter(Boolean);
     
-    const fragmentsToDraw = fragmentInfo.hasMultipleFragments 
-      ? fragmentInfo.fragments 
-      : [{ rootPerson: scopedPeopleById.get(overrideRootId), peopleIds: new Set(scopedPeopleById.keys()) }];
+    const fragmentsToDraw = houseLayout.fragments.map(fragment => ({
+      ...fragment,
+      rootPerson: scopedPeopleById.get(fragment.rootPersonId) || peopleById.get(fragment.rootPersonId)
+    }));
     
     if (fragmentsToDraw.length === 0 || !fragmentsToDraw[0].rootPerson) {
       g.append('text').attr('x', ANCHOR_X).attr('y', 200).attr('text-anchor', 'middle').attr('font-size', '20px').attr('fill', '#e9dcc9').text('No root couple found.');
@@ -1207,14 +1850,14 @@ function FamilyTree() {
       });
       
       fragment.peopleIds.forEach(id => {
-        const spouseId = spouseMap.get(id);
-        if (spouseId && scopedPeopleById.has(spouseId)) {
-          fragmentPeopleById.set(spouseId, scopedPeopleById.get(spouseId));
-        }
+        getSpouseIds(spouseMap, id).forEach(spouseId => {
+          if (scopedPeopleById.has(spouseId)) {
+            fragmentPeopleById.set(spouseId, scopedPeopleById.get(spouseId));
+          }
+        });
       });
       
-      const fragmentRootId = fragment.rootPerson?.id;
-      const generations = detectGenerations(fragmentPeopleById, parentMap, childrenMap, spouseMap, fragmentRootId);
+      const { generations } = fragment;
       
       if (generations.length === 0) {
         console.warn(`Fragment ${fragmentIndex + 1} has no generations`);
@@ -1223,29 +1866,8 @@ function FamilyTree() {
       
       console.log(`🌳 Drawing fragment ${fragmentIndex + 1}/${fragmentsToDraw.length}: ${fragment.rootPerson?.firstName} ${fragment.rootPerson?.lastName} (${generations.length} generations)`);
 
-      // 🧱 BLOCK LAYOUT: Pre-calculate positions if enabled
-      let blockPositions = null;
-      if (useBlockLayout) {
-        console.log('🧱 Using BLOCK LAYOUT mode');
-        blockPositions = calculateBlockBasedLayout(
-          generations,
-          childrenMap,
-          spouseMap,
-          fragmentPeopleById,
-          parentMap,
-          {
-            cardWidth: CARD_WIDTH,
-            cardHeight: CARD_HEIGHT,
-            siblingSpacing: SPACING,
-            spouseSpacing: SPACING,
-            branchSpacing: branchSpacing,
-            anchorX: ANCHOR_X,
-            startY: currentGenPos,
-            generationSpacing: GENERATION_SPACING
-          }
-        );
-        console.log('🧱 Block positions calculated for', blockPositions.size, 'people');
-      }
+      // 🧱 BLOCK LAYOUT: Positions were calculated with the layout
+      const blockPositions = useBlockLayout ? fragment.positions : null;
 
     generations.forEach((genIds, genIndex) => {
       const isLastGeneration = genIndex === generations.length - 1;
@@ -1258,8 +1880,7 @@ function FamilyTree() {
           return;
         }
 
-        const rootSpouseId = spouseMap.get(rootPerson.id);
-        const rootSpouse = rootSpouseId ? fragmentPeopleById.get(rootSpouseId) : null;
+        const rootSpouses = getFragmentSpouses(rootPerson.id, fragmentPeopleById);
 
         // 🧱 BLOCK LAYOUT: Use pre-calculated positions if available
         if (useBlockLayout && blockPositions) {
@@ -1268,22 +1889,7 @@ function FamilyTree() {
             const rootPos = drawPersonCard(g, rootPerson, rootBlockPos.x, rootBlockPos.y, housesById, themeColors, spouseMap, childrenMap);
             positionMap.set(rootPerson.id, rootPos);
 
-            if (rootSpouse) {
-              const spouseBlockPos = blockPositions.get(rootSpouse.id);
-              if (spouseBlockPos) {
-                const spousePos = drawPersonCard(g, rootSpouse, spouseBlockPos.x, spouseBlockPos.y, housesById, themeColors, spouseMap, childrenMap);
-                positionMap.set(rootSpouse.id, spousePos);
-
-                const mc = {
-                  x: (rootPos.x + rootPos.width + spousePos.x) / 2,
-                  y: (rootPos.y + rootPos.height/2 + spousePos.y + spousePos.height/2) / 2
-                };
-                marriageCenters.set([rootPerson.id, rootSpouse.id].sort().join('-'), mc);
-                const relKey = [rootPerson.id, rootSpouse.id].sort((a, b) => a - b).join('-');
-                const spouseRel = spouseRelationshipMap.get(relKey);
-                marriageLinesToDraw.push([rootPos, spousePos, spouseRel]);
-              }
-            }
+            drawSpouses(rootPerson.id, rootPos, rootSpouses, spouse => blockPositions.get(spouse.id));
 
             if (!isLastGeneration) {
               currentGenPos += genSize + genSpacing;
@@ -1293,7 +1899,7 @@ function FamilyTree() {
         }
 
         // Standard layout (non-block mode)
-        const gen0Cards = rootSpouse ? 2 : 1;
+        const gen0Cards = 1 + rootSpouses.length;
         const gen0SibWidth = gen0Cards * siblingSize + (gen0Cards - 1) * SPACING;
         let gen0SibPos = anchorSibPos - (gen0SibWidth / 2);
 
@@ -1302,20 +1908,11 @@ function FamilyTree() {
         positionMap.set(rootPerson.id, rootPos);
         gen0SibPos += siblingSize + SPACING;
 
-        if (rootSpouse) {
+        drawSpouses(rootPerson.id, rootPos, rootSpouses, () => {
           const spouseCoords = layoutToXY(gen0SibPos, currentGenPos);
-          const spousePos = drawPersonCard(g, rootSpouse, spouseCoords.x, spouseCoords.y, housesById, themeColors, spouseMap, childrenMap);
-          positionMap.set(rootSpouse.id, spousePos);
-
-          const mc = {
-            x: (rootPos.x + rootPos.width + spousePos.x) / 2,
-            y: (rootPos.y + rootPos.height/2 + spousePos.y + spousePos.height/2) / 2
-          };
-          marriageCenters.set([rootPerson.id, rootSpouse.id].sort().join('-'), mc);
-          const relKey = [rootPerson.id, rootSpouse.id].sort((a, b) => a - b).join('-');
-          const spouseRel = spouseRelationshipMap.get(relKey);
-          marriageLinesToDraw.push([rootPos, spousePos, spouseRel]);
-        }
+          gen0SibPos += siblingSize + SPACING;
+          return spouseCoords;
+        });
         
         if (!isLastGeneration) {
           currentGenPos += genSize + genSpacing;
@@ -1334,105 +1931,61 @@ function FamilyTree() {
           const childPos = drawPersonCard(g, child, childBlockPos.x, childBlockPos.y, housesById, themeColors, spouseMap, childrenMap);
           positionMap.set(childId, childPos);
 
-          // Draw spouse if has one
-          const childSpouseId = spouseMap.get(childId);
-          if (childSpouseId && fragmentPeopleById.has(childSpouseId)) {
-            const spouse = fragmentPeopleById.get(childSpouseId);
-            const spouseBlockPos = blockPositions.get(childSpouseId);
-            if (spouseBlockPos) {
-              const spousePos = drawPersonCard(g, spouse, spouseBlockPos.x, spouseBlockPos.y, housesById, themeColors, spouseMap, childrenMap);
-              positionMap.set(childSpouseId, spousePos);
-
-              const mc = {
-                x: (childPos.x + childPos.width + spousePos.x) / 2,
-                y: (childPos.y + childPos.height/2 + spousePos.y + spousePos.height/2) / 2
-              };
-              marriageCenters.set([childId, childSpouseId].sort().join('-'), mc);
-              const relKey = [childId, childSpouseId].sort((a, b) => a - b).join('-');
-              const spouseRel = spouseRelationshipMap.get(relKey);
-              marriageLinesToDraw.push([childPos, spousePos, spouseRel]);
-            }
-          }
+          // Draw spouses, if any
+          drawSpouses(childId, childPos, getFragmentSpouses(childId, fragmentPeopleById), spouse => blockPositions.get(spouse.id));
         });
 
-        // Draw parent-child lines - separate children by parentage
+        // Draw parent-child lines - one set per union, so each marriage's
+        // children hang from that marriage's node
         const prevGenIds = generations[genIndex - 1];
         const processedChildIds = new Set();
+        const prevGenY = currentGenPos - genSpacing - CARD_HEIGHT;
+        const toPositions = ids => ids.map(id => positionMap.get(id)).filter(pos => pos);
+        const cardBottom = pos => ({ x: pos.x + CARD_WIDTH/2, y: pos.y + CARD_HEIGHT });
 
         prevGenIds.forEach(parentId => {
           const parentPos = positionMap.get(parentId);
           if (!parentPos) return;
 
-          const spouseId = spouseMap.get(parentId);
-          const spousePos = spouseId ? positionMap.get(spouseId) : null;
-
-          // Get this parent's children
-          const parentChildren = childrenMap.get(parentId) || [];
-          const spouseChildren = spouseId ? (childrenMap.get(spouseId) || []) : [];
-
-          // Separate children into: both parents vs single parent (bastards)
-          const jointChildren = []; // Children of both parents
-          const singleParentChildren = []; // Children of only this parent (bastards)
-
-          parentChildren.forEach(childId => {
-            if (!genIds.includes(childId) || processedChildIds.has(childId)) return;
+          getUnions(parentId, childrenMap, spouseMap, parentMap, fragmentPeopleById).forEach(({ spouseId, childIds }) => {
+            // Children of both partners hang from the union node; children of
+            // only one (e.g. bastards, a spouse's children by someone else)
+            // hang from that partner's card
+            const jointChildren = [];
+            const parentOnlyChildren = [];
+            const spouseOnlyChildren = [];
 
-            const childParents = parentMap.get(childId) || [];
-            const hasBothParents = spouseId && childParents.includes(parentId) && childParents.includes(spouseId);
-
-            if (hasBothParents) {
-              jointChildren.push(childId);
-            } else if (childParents.includes(parentId) && !childParents.includes(spouseId)) {
-              singleParentChildren.push(childId);
-            }
-            processedChildIds.add(childId);
-          });
-
-          // Also check spouse's children (in case they have children from another relationship)
-          if (spouseId) {
-            spouseChildren.forEach(childId => {
+            childIds.forEach(childId => {
               if (!genIds.includes(childId) || processedChildIds.has(childId)) return;
+              processedChildIds.add(childId);
 
               const childParents = parentMap.get(childId) || [];
-              // Already handled if both parents, so this would be spouse-only child
-              if (!childParents.includes(parentId) && childParents.includes(spouseId)) {
-                // This child belongs to spouse only - will be drawn when we process spouse
+              if (spouseId && childParents.includes(parentId) && childParents.includes(spouseId)) {
+                jointChildren.push(childId);
+              } else if (childParents.includes(parentId)) {
+                parentOnlyChildren.push(childId);
+              } else {
+                spouseOnlyChildren.push(childId);
               }
             });
-          }
-
-          const prevGenY = currentGenPos - genSpacing - CARD_HEIGHT;
-
-          // Draw lines for joint children (from marriage center)
-          if (jointChildren.length > 0) {
-            const jointChildPositions = jointChildren
-              .map(id => positionMap.get(id))
-              .filter(pos => pos);
 
+            const jointChildPositions = toPositions(jointChildren);
             if (jointChildPositions.length > 0) {
-              const mcKey = spouseId ? [parentId, spouseId].sort().join('-') : parentId.toString();
-              const parentMC = marriageCenters.get(mcKey) || {
-                x: parentPos.x + CARD_WIDTH/2,
-                y: parentPos.y + CARD_HEIGHT
-              };
-              drawChildLines(g, parentMC, jointChildPositions, prevGenY + CARD_HEIGHT, currentGenPos, fragmentPeopleById, parentMap, positionMap, themeColors, 0, parentId, spouseId);
+              const unionMC = marriageCenters.get(getSpouseKey(parentId, spouseId)) || cardBottom(parentPos);
+              drawChildLines(g, unionMC, jointChildPositions, prevGenY + CARD_HEIGHT, currentGenPos, fragmentPeopleById, parentMap, positionMap, themeColors, 0, parentId, spouseId);
             }
-          }
 
-          // Draw lines for single-parent children (bastards) - from this parent only
-          if (singleParentChildren.length > 0) {
-            const singleChildPositions = singleParentChildren
-              .map(id => positionMap.get(id))
-              .filter(pos => pos);
-
-            if (singleChildPositions.length > 0) {
-              const singleParentMC = {
-                x: parentPos.x + CARD_WIDTH/2,
-                y: parentPos.y + CARD_HEIGHT
-              };
-              drawChildLines(g, singleParentMC, singleChildPositions, prevGenY + CARD_HEIGHT, currentGenPos, fragmentPeopleById, parentMap, positionMap, themeColors, 0, parentId, null);
+            const parentOnlyPositions = toPositions(parentOnlyChildren);
+            if (parentOnlyPositions.length > 0) {
+              drawChildLines(g, cardBottom(parentPos), parentOnlyPositions, prevGenY + CARD_HEIGHT, currentGenPos, fragmentPeopleById, parentMap, positionMap, themeColors, 0, parentId, null);
             }
-          }
+
+            const spousePos = spouseId ? positionMap.get(spouseId) : null;
+            const spouseOnlyPositions = toPositions(spouseOnlyChildren);
+            if (spousePos && spouseOnlyPositions.length > 0) {
+              drawChildLines(g, cardBottom(spousePos), spouseOnlyPositions, prevGenY + CARD_HEIGHT, currentGenPos, fragmentPeopleById, parentMap, positionMap, themeColors, 0, spouseId, null);
+            }
+          });
         });
 
         if (!isLastGeneration) {
@@ -1448,42 +2001,35 @@ function FamilyTree() {
       
       const prevGenPeople = new Set(prevGenIds);
       prevGenIds.forEach(pid => {
-        const spouse = spouseMap.get(pid);
-        if (spouse) prevGenPeople.add(spouse);
+        getSpouseIds(spouseMap, pid).forEach(spouseId => prevGenPeople.add(spouseId));
       });
       
       prevGenPeople.forEach(parentId => {
         const parent = fragmentPeopleById.get(parentId);
         if (!parent) return;
         
-        const spouseId = spouseMap.get(parentId);
-        const children = childrenMap.get(parentId) || [];
-        const childSet = new Set(children);
-        
-        if (spouseId) {
-          const spouseChildren = childrenMap.get(spouseId) || [];
-          spouseChildren.forEach(c => childSet.add(c));
-        }
-        
-        const genChildren = Array.from(childSet)
-          .filter(id => genIds.includes(id) && !processedChildren.has(id))
-          .map(id => fragmentPeopleById.get(id))
-          .filter(p => p)
-          .sort((a, b) => parseInt(a.dateOfBirth) - parseInt(b.dateOfBirth));
-        
-        if (genChildren.length === 0) return;
-        
-        genChildren.forEach(child => processedChildren.add(child.id));
-        
-        const groupKey = spouseId ? [parentId, spouseId].sort().join('-') : parentId.toString();
-        
-        if (groups.find(g => g.key === groupKey)) return;
-        
-        groups.push({
-          key: groupKey,
-          parentId: parentId,
-          spouseId: spouseId,
-          children: genChildren
+        // One group per union, so each marriage's children stay together
+        getUnions(parentId, childrenMap, spouseMap, parentMap, fragmentPeopleById).forEach(({ spouseId, childIds }) => {
+          const genChildren = childIds
+            .filter(id => genIds.includes(id) && !processedChildren.has(id))
+            .map(id => fragmentPeopleById.get(id))
+            .filter(p => p)
+            .sort((a, b) => compareDates(a.dateOfBirth, b.dateOfBirth));
+          
+          if (genChildren.length === 0) return;
+          
+          genChildren.forEach(child => processedChildren.add(child.id));
+          
+          const groupKey = spouseId ? getSpouseKey(parentId, spouseId) : parentId.toString();
+          
+          if (groups.find(g => g.key === groupKey)) return;
+          
+          groups.push({
+            key: groupKey,
+            parentId: parentId,
+            spouseId: spouseId,
+            children: genChildren
+          });
         });
       });
       
@@ -1507,8 +2053,7 @@ function FamilyTree() {
           return true;
         }
         
-        const rootSpouseId = spouseMap.get(rootPersonId);
-        if (personId === rootSpouseId) {
+        if (getSpouseIds(spouseMap, rootPersonId).includes(personId)) {
           traceableCache.set(personId, true);
           return true;
         }
@@ -1553,7 +2098,7 @@ function FamilyTree() {
           const siblings = siblingIds
             .map(id => scopedPeopleById.get(id))
             .filter(p => p)
-            .sort((a, b) => parseInt(a.dateOfBirth) - parseInt(b.dateOfBirth));
+            .sort((a, b) => compareDates(a.dateOfBirth, b.dateOfBirth));
           
           const birthPosition = siblings.findIndex(s => s.id === currentId);
           orderChain.unshift(birthPosition >= 0 ? birthPosition : 999);
@@ -1585,10 +2130,7 @@ function FamilyTree() {
         totalCards += group.children.length;
         
         group.children.forEach(child => {
-          const childSpouseId = spouseMap.get(child.id);
-          if (childSpouseId && scopedPeopleById.has(childSpouseId)) {
-            totalCards++;
-          }
+          totalCards += getFragmentSpouses(child.id, fragmentPeopleById).length;
         });
       });
       
@@ -1605,27 +2147,14 @@ function FamilyTree() {
           groupPositions.push(childPos);
           currentSibPos += siblingSize + SPACING;
           
-          const childSpouseId = spouseMap.get(child.id);
-          if (childSpouseId && fragmentPeopleById.has(childSpouseId)) {
-            const spouse = fragmentPeopleById.get(childSpouseId);
+          drawSpouses(child.id, childPos, getFragmentSpouses(child.id, fragmentPeopleById), () => {
             const spouseCoords = layoutToXY(currentSibPos, currentGenPos);
-            const spousePos = drawPersonCard(g, spouse, spouseCoords.x, spouseCoords.y, housesById, themeColors, spouseMap, childrenMap);
-            positionMap.set(childSpouseId, spousePos);
-
-            const mc = {
-              x: (childPos.x + childPos.width + spousePos.x) / 2,
-              y: (childPos.y + childPos.height/2 + spousePos.y + spousePos.height/2) / 2
-            };
-            marriageCenters.set([child.id, childSpouseId].sort().join('-'), mc);
-            const relKey = [child.id, childSpouseId].sort((a, b) => a - b).join('-');
-            const spouseRel = spouseRelationshipMap.get(relKey);
-            marriageLinesToDraw.push([childPos, spousePos, spouseRel]);
-
             currentSibPos += siblingSize + SPACING;
-          }
+            return spouseCoords;
+          });
         });
         
-          const mcKey = group.spouseId ? [group.parentId, group.spouseId].sort().join('-') : group.parentId.toString();
+          const mcKey = group.spouseId ? getSpouseKey(group.parentId, group.spouseId) : group.parentId.toString();
           const parentPos = positionMap.get(group.parentId);
           
           if (!parentPos) {
@@ -1660,7 +2189,10 @@ function FamilyTree() {
     
     });
     
-    marriageLinesToDraw.forEach(([pos1, pos2, relationship]) => drawMarriageLine(g, pos1, pos2, themeColors, relationship));
+    marriageLinesToDraw.forEach(([pos1, pos2, relationship, unionIndex, showNode]) =>
+      drawMarriageLine(g, pos1, pos2, themeColors, relationship, unionIndex, showNode)
+    );
+    drawCustomRelationshipLines(g, positionMap);
 
     // 🛠️ DEV LAYOUT: Store algorithm positions for the hook
     const algorithmPositions = {};
@@ -1679,10 +2211,11 @@ function FamilyTree() {
       fragmentInfo.fragments.forEach((frag, index) => {
         frag.peopleIds.forEach(pid => personToFragment.set(pid, index));
         frag.houseMembers.forEach(member => {
-          const spouseId = spouseMap.get(member.id);
-          if (spouseId && !personToFragment.has(spouseId)) {
-            personToFragment.set(spouseId, index);
-          }
+          getSpouseIds(spouseMap, member.id).forEach(spouseId => {
+            if (!personToFragment.has(spouseId)) {
+              personToFragment.set(spouseId, index);
+            }
+          });
         });
       });
       
@@ -1745,8 +2278,8 @@ function FamilyTree() {
           
           const upperFragment = fragmentInfo.fragments[upperBounds.index];
           const lowerFragment = fragmentInfo.fragments[lowerBounds.index];
-          const latestUpperBirth = Math.max(...upperFragment.houseMembers.map(p => parseInt(p.dateOfBirth) || 0));
-          const earliestLowerBirth = Math.min(...lowerFragment.houseMembers.map(p => parseInt(p.dateOfBirth) || 9999));
+          const latestUpperBirth = Math.max(...upperFragment.houseMembers.map(p => getYear(p.dateOfBirth) ?? 0));
+          const earliestLowerBirth = Math.min(...lowerFragment.houseMembers.map(p => getYear(p.dateOfBirth) ?? 9999));
           const yearGap = earliestLowerBirth - latestUpperBirth;
           
           g.append('line')
@@ -1789,75 +2322,7 @@ function FamilyTree() {
       console.log('🎨 Fragment visualization drawn:', fragmentSeparatorStyle);
     }
     
-    // Center view on content
-    if (positionMap.size > 0) {
-      const positions = Array.from(positionMap.values());
-      
-      const minX = Math.min(...positions.map(p => p.x));
-      const maxX = Math.max(...positions.map(p => p.x + p.width));
-      const minY = Math.min(...positions.map(p => p.y));
-      const maxY = Math.max(...positions.map(p => p.y + p.height));
-      
-      const contentCenterX = (minX + maxX) / 2;
-      const contentCenterY = (minY + maxY) / 2;
-      const contentWidth = maxX - minX;
-      const contentHeight = maxY - minY;
-      
-      const svgElement = svgRef.current;
-      const viewportWidth = svgElement?.clientWidth || window.innerWidth;
-      const viewportHeight = svgElement?.clientHeight || window.innerHeight;
-      
-      if (highlightedPersonId && positionMap.has(highlightedPersonId)) {
-        const highlightedPos = positionMap.get(highlightedPersonId);
-        const personCenterX = highlightedPos.x + highlightedPos.width / 2;
-        const personCenterY = highlightedPos.y + highlightedPos.height / 2;
-        const targetScale = 1.5;
-        
-        const translateX = (viewportWidth / 2) - (personCenterX * targetScale);
-        const translateY = (viewportHeight / 2) - (personCenterY * targetScale);
-        
-        const highlightTransform = d3.zoomIdentity
-          .translate(translateX, translateY)
-          .scale(targetScale);
-        
-        svg.call(zoom.transform, highlightTransform);
-        setZoomLevel(targetScale);
-        
-        console.log('🎯 Centered on highlighted person:', {
-          personId: highlightedPersonId,
-          position: { x: personCenterX, y: personCenterY },
-          scale: targetScale
-        });
-      } else if (savedTransform) {
-        svg.call(zoom.transform, savedTransform);
-      } else {
-        const padding = 100;
-        const scaleX = (viewportWidth - padding * 2) / contentWidth;
-        const scaleY = (viewportHeight - padding * 2) / contentHeight;
-        const idealScale = Math.min(scaleX, scaleY, 1);
-        const finalScale = Math.max(idealScale, 0.3);
-        
-        const translateX = (viewportWidth / 2) - (contentCenterX * finalScale);
-        const translateY = (viewportHeight / 2) - (contentCenterY * finalScale);
-        
-        const initialTransform = d3.zoomIdentity
-          .translate(translateX, translateY)
-          .scale(finalScale);
-        
-        svg.call(zoom.transform, initialTransform);
-        setZoomLevel(finalScale);
-        
-        console.log('🎯 Tree centered:', {
-          contentCenter: { x: contentCenterX, y: contentCenterY },
-          contentSize: { width: contentWidth, height: contentHeight },
-          viewport: { width: viewportWidth, height: viewportHeight },
-          scale: finalScale
-        });
-      }
-    } else {
-      const fallbackTransform = savedTransform || d3.zoomIdentity.translate(200, 100).scale(0.8);
-      svg.call(zoom.transform, fallbackTransform);
-    }
+    centerView(svg, zoom, positionMap, savedTransform);
   };
 
   const handleHouseChange = (newHouseId) => {
@@ -1927,6 +2392,10 @@ function FamilyTree() {
         houses={houses}
         selectedHouseId={selectedHouseId}
         onHouseChange={handleHouseChange}
+        chartMode={chartMode}
+        onChartModeChange={handleChartModeChange}
+        chartGenerations={chartGenerations}
+        onChartGenerationsChange={handleChartGenerationsChange}
         centreOnPersonId={centreOnPersonId}
         onCentreOnChange={setCentreOnPersonId}
         notablePeople={getHouseNotablePeople}
@@ -1941,7 +2410,7 @@ function FamilyTree() {
         }}
         showBranchView={showBranchView}
         onShowBranchViewChange={setShowBranchView}
-        hasMultipleFragments={fragmentInfo.hasMultipleFragments}
+        hasMultipleFragments={isHouseChart && fragmentInfo.hasMultipleFragments}
       />
 
       <TreeControls
@@ -1949,11 +2418,40 @@ function FamilyTree() {
         zoomBehaviorRef={zoomBehaviorRef}
         zoomLevel={zoomLevel}
         onZoomChange={(level) => setZoomLevel(level)}
+        onExport={showBranchView && isHouseChart && fragmentInfo.hasMultipleFragments ? null : () => setShowExportPanel(true)}
+        focusPersonName={isHouseChart ? getFocusPersonName() : null}
+        onExitFocus={() => {
+          clearSavedTransform();
+          setFocusPersonId(null);
+        }}
+        collapsedCount={isHouseChart ? collapsedIds.length : 0}
+        onExpandAll={expandAll}
+        selectedCount={bulkSelectedIds.size}
+        onBulkEdit={bulkEnabled ? () => setShowBulkEdit(true) : null}
+        onClearSelection={() => setBulkSelectedIds(new Set())}
+        people={people}
+        year={viewYear}
+        onYearChange={isHouseChart ? setViewYear : null}
         isDarkTheme={isDarkTheme()}
       />
 
+      <TreeExportPanel
+        isOpen={showExportPanel}
+        onClose={() => setShowExportPanel(false)}
+        svgRef={svgRef}
+        title={showExportPanel ? getExportTitle() : null}
+      />
+
+      {bulkEnabled && (
+        <BulkEditPanel
+          isOpen={showBulkEdit}
+          onClose={() => setShowBulkEdit(false)}
+          selectedIds={[...bulkSelectedIds]}
+        />
+      )}
+
       {/* Fragment Navigator - Minimal pill in top-left */}
-      {fragmentInfo.hasMultipleFragments && !showBranchView && (
+      {isHouseChart && fragmentInfo.hasMultipleFragments && !showBranchView && (
         <FragmentNavigator
           fragments={fragmentInfo.fragments}
           onNavigateToFragment={navigateToFragment}
@@ -1961,7 +2459,7 @@ function FamilyTree() {
       )}
 
       {/* Main Tree View or Branch View */}
-      {showBranchView && fragmentInfo.hasMultipleFragments ? (
+      {isHouseChart && showBranchView && fragmentInfo.hasMultipleFragments ? (
         (() => {
           const maps = buildRelationshipMaps();
           return (
@@ -2000,11 +2498,15 @@ function FamilyTree() {
             setSelectedPerson(newPerson);
             if (showRelationshipsRef.current) {
               setReferencePerson(newPerson);
-              const { parentMap, childrenMap, spouseMap } = buildRelationshipMaps();
-              const newRelationships = calculateAllRelationships(newPerson.id, people, parentMap, childrenMap, spouseMap);
-              setRelationshipMap(newRelationships);
+              setRelationshipMap(getRelationshipLabels(newPerson.id));
             }
           }}
+          onFocusLine={isHouseChart && getHouseNotablePeople.some(p => p.id === selectedPerson.id)
+            ? (person) => {
+                clearSavedTransform();
+                setFocusPersonId(person.id);
+              }
+            : null}
           isDarkTheme={isDarkTheme()}
         />
       )}
@@ -2028,6 +2530,14 @@ function FamilyTree() {
         .anchor-line { stroke-width: 1; stroke-dasharray: 5,5; opacity: 0.15; }
         .search-highlight { animation: pulse 1.5s infinite; }
         .dev-selection-ring { animation: devSelectionPulse 2s ease-in-out infinite; }
+        .${CULLED_CLASS} { display: none; }
+        .branch-toggle { cursor: pointer; }
+        .branch-toggle:hover circle { stroke-width: 2.5; }
+        .zoom-group[data-detail='simplified'] :is(.person-epithet, .person-maiden, .person-dates, .person-heraldry, .dignity-badge, .dignity-icon),
+        .zoom-group[data-detail='minimal'] :is(.person-name, .person-epithet, .person-maiden, .person-dates, .person-heraldry, .dignity-badge, .dignity-icon, .branch-toggle) {
+          display: none;
+        }
+        .zoom-group:is([data-detail='simplified'], [data-detail='minimal']) .person-card :is(rect, text) { filter: none; }
         @keyframes pulse {
           0%, 100% { opacity: 1; }
           50% { opacity: 0.5; }
@@ -0,0 +1,284 @@
+/**
+ * FeudalHierarchy.jsx - Realm Hierarchy Chart
+ *
+ * PURPOSE:
+ * Draws the chain of fealty as a chart: the Crown at the top and every
+ * dignity beneath the one it is sworn to, down to the wardyns. Each node
+ * shows its holder with their house colour and heraldry; vacancies and
+ * active disputes are highlighted, and collapsed subtrees say how many
+ * problems they hide. The time slider shows the realm as it stood in a
+ * year. See utils/feudalHierarchy.js.
+ *
+ * DESIGN:
+ * Follows the medieval manuscript aesthetic.
+ * Connector lines are drawn in CSS; their style follows the fealty type.
+ */
+
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useDataset } from '../contexts/DatasetContext';
+import { useCalendar } from '../contexts/CalendarContext';
+import { useTheme } from '../components/ThemeContext';
+import { getAllDignities, getAllDignityTenures, getDignityIcon, FEALTY_TYPES } from '../services/dignityService';
+import { getAllHouses, getAllPeople } from '../services/database';
+import Navigation from '../components/Navigation';
+import Icon from '../components/icons';
+import { LoadingState, EmptyState, ActionButton } from '../components/shared';
+import TimeSlider from '../components/shared/TimeSlider';
+import HeraldryThumbnail from '../components/HeraldryThumbnail';
+import DignityTerm from '../components/DignityTerm';
+import { useTimeSlice } from '../hooks';
+import { getHoldersInYear } from '../utils/timeSlice';
+import { buildFeudalHierarchy, getBranchIds } from '../utils/feudalHierarchy';
+import './FeudalHierarchy.css';
+
+const personName = (p) => (p ? `${p.firstName} ${p.lastName || ''}`.trim() : 'Unknown');
+
+function FeudalHierarchy() {
+  const navigate = useNavigate();
+  const { activeDataset } = useDataset();
+  const { isDarkTheme } = useTheme();
+  const { year, setYear } = useTimeSlice();
+  const { calendar } = useCalendar();
+
+  const [loading, setLoading] = useState(true);
+  const [data, setData] = useState({ dignities: [], tenures: [], houses: [], people: [] });
+  const [collapsedIds, setCollapsedIds] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const datasetId = activeDataset?.id;
+        const [dignities, tenures, houses, people] = await Promise.all([
+          getAllDignities(datasetId),
+          getAllDignityTenures(datasetId),
+          getAllHouses(datasetId),
+          getAllPeople(datasetId)
+        ]);
+        if (cancelled) return;
+        setData({ dignities, tenures, houses, people });
+      } catch (error) {
+        console.error('Error loading feudal hierarchy:', error);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+    return () => { cancelled = true; };
+  }, [activeDataset]);
+
+  const peopleById = useMemo(() => new Map(data.people.map(p => [p.id, p])), [data.people]);
+  const housesById = useMemo(() => new Map(data.houses.map(h => [h.id, h])), [data.houses]);
+
+  const roots = useMemo(() => {
+    const holdersInYear = year === null ? null : getHoldersInYear(data.tenures, year, calendar);
+    return buildFeudalHierarchy(data.dignities, { year, holdersInYear });
+  }, [data.dignities, data.tenures, year, calendar]);
+
+  const stats = useMemo(() => {
+    const count = (nodes, test) => nodes.reduce((sum, n) => sum + (test(n) ? 1 : 0) + count(n.children, test), 0);
+    return {
+      vacant: count(roots, n => n.vacant),
+      disputed: count(roots, n => n.disputes.length > 0)
+    };
+  }, [roots]);
+
+  // In a past year the house is the holder's; now it is the dignity's own
+  const getHouse = useCallback((node) => {
+    const holder = node.holderId ? peopleById.get(node.holderId) : null;
+    const houseId = year === null ? (node.dignity.currentHouseId || holder?.houseId) : holder?.houseId;
+    return houseId ? housesById.get(houseId) || null : null;
+  }, [peopleById, housesById, year]);
+
+  const toggleCollapsed = (dignityId) => {
+    setCollapsedIds(prev => (prev.includes(dignityId)
+      ? prev.filter(id => id !== dignityId)
+      : [...prev, dignityId]));
+  };
+
+  // ==================== RENDER ====================
+
+  function renderNode(node) {
+    const { dignity, holderId, children } = node;
+    const house = getHouse(node);
+    const collapsed = collapsedIds.includes(dignity.id);
+    const disputed = node.disputes.length > 0;
+    const claimants = node.disputes.map(d => personName(peopleById.get(d.claimantId))).join(', ');
+    const classes = [
+      'feudal-chart__node',
+      node.vacant && 'feudal-chart__node--vacant',
+      disputed && 'feudal-chart__node--disputed',
+      holderId === undefined && 'feudal-chart__node--unrecorded'
+    ].filter(Boolean).join(' ');
+
+    return (
+      <li
+        key={dignity.id}
+        className={`feudal-chart__branch feudal-chart__branch--${dignity.fealtyType || 'sworn-to'}`}
+      >
+        <div className={classes} style={{ '--house-color': house?.colorCode || 'var(--border-secondary)' }}>
+          <button
+            type="button"
+            className="feudal-chart__main"
+            onClick={() => navigate(`/dignities/view/${dignity.id}`)}
+            title={`View ${dignity.name}`}
+          >
+            <span className="feudal-chart__arms">
+              {house ? (
+                <HeraldryThumbnail house={house} size={28} showBorder={false} isDarkTheme={isDarkTheme()} />
+              ) : (
+                <span className="feudal-chart__icon">{getDignityIcon(dignity) || <Icon name="scroll-text" size={18} />}</span>
+              )}
+            </span>
+            <span className="feudal-chart__text">
+              <span className="feudal-chart__name">{dignity.name}</span>
+              {dignity.dignityRank && (
+                <span className="feudal-chart__rank">
+                  <DignityTerm rank={dignity.dignityRank} dignityClass={dignity.dignityClass} />
+                </span>
+              )}
+              <span className="feudal-chart__holder">
+                {holderId ? personName(peopleById.get(holderId)) : holderId === null ? 'Vacant' : 'No record'}
+              </span>
+            </span>
+          </button>
+
+          {(disputed || node.inInterregnum) && (
+            <div className="feudal-chart__flags">
+              {disputed && (
+                <span className="feudal-chart__flag feudal-chart__flag--disputed" title={`Claimed by ${claimants}`}>
+                  <Icon name="swords" size={12} />
+                  {node.disputes.length === 1 ? 'Disputed' : `${node.disputes.length} claims`}
+                </span>
+              )}
+              {node.inInterregnum && (
+                <span className="feudal-chart__flag feudal-chart__flag--interregnum">
+                  <Icon name="clock" size={12} />
+                  Interregnum
+                </span>
+              )}
+            </div>
+          )}
+
+          {children.length > 0 && (
+            <button
+              type="button"
+              className="feudal-chart__toggle"
+              onClick={() => toggleCollapsed(dignity.id)}
+              title={collapsed ? 'Show sworn dignities' : 'Hide sworn dignities'}
+            >
+              <Icon name={collapsed ? 'chevron-right' : 'chevron-down'} size={12} />
+              {collapsed ? `${node.descendantCount} sworn` : 'Collapse'}
+              {collapsed && node.issuesBelow > 0 && (
+                <span className="feudal-chart__hidden-issues" title="Vacancies or disputes beneath">
+                  <Icon name="alert-triangle" size={11} />
+                  {node.issuesBelow}
+                </span>
+              )}
+            </button>
+          )}
+        </div>
+
+        {children.length > 0 && !collapsed && (
+          <ul className="feudal-chart__children">
+            {children.map(renderNode)}
+          </ul>
+        )}
+      </li>
+    );
+  }
+
+  if (loading) {
+    return (
+      <>
+        <Navigation />
+        <div className="feudal-hierarchy">
+          <LoadingState message="Tracing the bonds of fealty..." />
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <>
+      <Navigation />
+      <div className="feudal-hierarchy">
+        <motion.div
+          className="feudal-hierarchy__container"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          transition={{ duration: 0.3 }}
+        >
+          {/* Header */}
+          <header className="feudal-hierarchy__header">
+            <div>
+              <h1 className="feudal-hierarchy__title">
+                <Icon name="network" size={28} />
+                <span>Realm Hierarchy</span>
+              </h1>
+              <p className="feudal-hierarchy__subtitle">
+                {year === null ? 'The bonds of fealty as they stand' : `The bonds of fealty in the year ${year}`}
+                {stats.vacant > 0 && ` · ${stats.vacant} vacant`}
+                {stats.disputed > 0 && ` · ${stats.disputed} disputed`}
+              </p>
+            </div>
+            <ActionButton icon="arrow-left" variant="secondary" onClick={() => navigate('/dignities')}>
+              Back to Dignities
+            </ActionButton>
+          </header>
+
+          {/* Controls */}
+          <section className="feudal-hierarchy__controls">
+            <TimeSlider year={year} onChange={setYear} people={data.people} />
+            <div className="feudal-hierarchy__control-row">
+              <div className="feudal-hierarchy__legend">
+                {Object.values(FEALTY_TYPES).map(type => (
+                  <span key={type.id} className="feudal-hierarchy__legend-item" title={type.description}>
+                    <span className={`feudal-hierarchy__legend-line feudal-hierarchy__legend-line--${type.id}`} />
+                    {type.name}
+                  </span>
+                ))}
+                <span className="feudal-hierarchy__legend-item">
+                  <span className="feudal-hierarchy__legend-swatch feudal-hierarchy__legend-swatch--vacant" />
+                  Vacant
+                </span>
+                <span className="feudal-hierarchy__legend-item">
+                  <span className="feudal-hierarchy__legend-swatch feudal-hierarchy__legend-swatch--disputed" />
+                  Disputed
+                </span>
+              </div>
+              <div className="feudal-hierarchy__buttons">
+                <ActionButton icon="maximize-2" variant="ghost" size="sm" onClick={() => setCollapsedIds([])}>
+                  Expand All
+                </ActionButton>
+                <ActionButton icon="minimize" variant="ghost" size="sm" onClick={() => setCollapsedIds(getBranchIds(roots))}>
+                  Collapse All
+                </ActionButton>
+              </div>
+            </div>
+          </section>
+
+          {/* Chart */}
+          {roots.length === 0 ? (
+            <EmptyState
+              icon="network"
+              title="No Dignities Recorded"
+              description="Record dignities and swear them to their superiors to see the realm's hierarchy."
+              action={{ label: 'Record a Dignity', onClick: () => navigate('/dignities/create') }}
+            />
+          ) : (
+            <div className="feudal-chart">
+              <ul className="feudal-chart__tree">
+                {roots.map(renderNode)}
+              </ul>
+            </div>
+          )}
+        </motion.div>
+      </div>
+    </>
+  );
+}
+
+export default FeudalHierarchy;
@@ -0,0 +1,330 @@
+/**
+ * LocationView.jsx - A Single Place in the Locations Registry
+ *
+ * Shows where the place lies, what lies within it, the dignities seated
+ * there, and who lived at it and ruled from it, grouped by period (see
+ * buildLocationHistory). The place can be edited or removed from here.
+ */
+
+import { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useAuth } from '../contexts/AuthContext';
+import { useDataset } from '../contexts/DatasetContext';
+import { useCalendar } from '../contexts/CalendarContext';
+import {
+  getAllLocations,
+  getAllResidences,
+  getAllHouseSeats,
+  updateLocation,
+  deleteLocation
+} from '../services/locationService';
+import { getAllDignities, getAllDignityTenures, getDignityIcon } from '../services/dignityService';
+import { getAllPeople, getAllHouses } from '../services/database';
+import { getLocationType } from '../data/locationTypes';
+import { getLocationPath, buildLocationHistory } from '../utils/locations';
+import Navigation from '../components/Navigation';
+import Icon from '../components/icons/Icon';
+import LoadingState from '../components/shared/LoadingState';
+import EmptyState from '../components/shared/EmptyState';
+import ActionButton from '../components/shared/ActionButton';
+import LocationForm from '../components/LocationForm';
+import './LocationView.css';
+
+// Animation variants
+const CONTAINER_VARIANTS = {
+  hidden: { opacity: 0 },
+  visible: {
+    opacity: 1,
+    transition: { staggerChildren: 0.08, delayChildren: 0.1 }
+  }
+};
+
+const ITEM_VARIANTS = {
+  hidden: { opacity: 0, y: 20 },
+  visible: {
+    opacity: 1,
+    y: 0,
+    transition: { duration: 0.4, ease: [0.25, 0.46, 0.45, 0.94] }
+  }
+};
+
+// How each kind of history entry is shown
+const ENTRY_KINDS = {
+  resident: { icon: 'home', verb: 'lived at' },
+  seat: { icon: 'castle', verb: 'seated at' },
+  ruler: { icon: 'crown', verb: 'ruled from' }
+};
+
+function LocationView() {
+  const { id } = useParams();
+  const locationId = Number(id);
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { activeDataset } = useDataset();
+  const { calendar, formatDate } = useCalendar();
+
+  const [loading, setLoading] = useState(true);
+  const [data, setData] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const datasetId = activeDataset?.id;
+        const [locations, residences, houseSeats, dignities, dignityTenures, people, houses] = await Promise.all([
+          getAllLocations(datasetId),
+          getAllResidences(datasetId),
+          getAllHouseSeats(datasetId),
+          getAllDignities(datasetId),
+          getAllDignityTenures(datasetId),
+          getAllPeople(datasetId),
+          getAllHouses(datasetId)
+        ]);
+        if (cancelled) return;
+        setData({ locations, residences, houseSeats, dignities, dignityTenures, people, houses });
+      } catch (error) {
+        console.error('Error loading location:', error);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+    return () => { cancelled = true; };
+  }, [activeDataset, reloadKey]);
+
+  const location = data?.locations.find(l => l.id === locationId);
+
+  const handleSave = async (updates) => {
+    await updateLocation(locationId, updates, user?.uid, activeDataset?.id);
+    setEditing(false);
+    setReloadKey(key => key + 1);
+  };
+
+  const handleDelete = async () => {
+    const message = `Remove "${location.name}" from the registry?\n\n` +
+      'Places within it move up a level, residences and house seats there are removed, ' +
+      'and dignities seated there keep only their seat name. Its Codex entry is kept.';
+    if (!window.confirm(message)) return;
+
+    try {
+      await deleteLocation(locationId, user?.uid, activeDataset?.id);
+      navigate('/locations');
+    } catch (error) {
+      alert('Error removing location: ' + error.message);
+    }
+  };
+
+  const describeDates = (entry) => {
+    if (!entry.startDate && !entry.endDate) return null;
+    const from = entry.startDate ? formatDate(entry.startDate) : '?';
+    return entry.endDate ? `${from} – ${formatDate(entry.endDate)}` : `from ${from}`;
+  };
+
+  if (loading) {
+    return (
+      <div className="app-layout">
+        <Navigation />
+        <main className="location-view">
+          <LoadingState message="Loading location..." />
+        </main>
+      </div>
+    );
+  }
+
+  if (!location) {
+    return (
+      <div className="app-layout">
+        <Navigation />
+        <main className="location-view">
+          <EmptyState
+            icon="map"
+            title="Location Not Found"
+            description="This place may have been removed from the registry."
+            action={{ label: 'Back to Locations', onClick: () => navigate('/locations') }}
+          />
+        </main>
+      </div>
+    );
+  }
+
+  const type = getLocationType(location.locationType);
+  const path = getLocationPath(locationId, data.locations);
+  const children = data.locations
+    .filter(l => l.parentId === locationId)
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const history = buildLocationHistory(locationId, data, calendar);
+
+  return (
+    <div className="app-layout">
+      <Navigation />
+      <main className="location-view">
+        <motion.div
+          className="location-view__container"
+          variants={CONTAINER_VARIANTS}
+          initial="hidden"
+          animate="visible"
+        >
+          {/* Header */}
+          <motion.header className="location-view__header" variants={ITEM_VARIANTS}>
+            <div className="location-view__header-content">
+              <div className="location-view__breadcrumb">
+                <button onClick={() => navigate('/locations')}>
+                  <Icon name="map" size={14} />
+                  <span>Locations</span>
+                </button>
+                {path.slice(0, -1).map(ancestor => (
+                  <span key={ancestor.id} className="location-view__crumb">
+                    <Icon name="chevron-right" size={14} />
+                    <button onClick={() => navigate(`/locations/${ancestor.id}`)}>
+                      {ancestor.name}
+                    </button>
+                  </span>
+                ))}
+              </div>
+              <h1 className="location-view__title">
+                <Icon name={type.icon} size={28} />
+                <span>{location.name}</span>
+              </h1>
+              <p className="location-view__subtitle">{type.name}</p>
+              {location.notes && <p className="location-view__notes">{location.notes}</p>}
+            </div>
+            <div className="location-view__actions">
+              {location.codexEntryId && (
+                <ActionButton
+                  icon="book-open"
+                  onClick={() => navigate(`/codex/entry/${location.codexEntryId}`)}
+                  variant="secondary"
+                >
+                  Codex Entry
+                </ActionButton>
+              )}
+              <ActionButton icon="edit-3" onClick={() => setEditing(!editing)} variant="secondary">
+                Edit
+              </ActionButton>
+              <ActionButton icon="trash-2" onClick={handleDelete} variant="danger">
+                Remove
+              </ActionButton>
+            </div>
+          </motion.header>
+
+          <AnimatePresence>
+            {editing && (
+              <motion.section
+                className="location-view__panel"
+                initial={{ opacity: 0, height: 0 }}
+                animate={{ opacity: 1, height: 'auto' }}
+                exit={{ opacity: 0, height: 0 }}
+              >
+                <LocationForm
+                  location={location}
+                  locations={data.locations}
+                  onSave={handleSave}
+                  onCancel={() => setEditing(false)}
+                />
+              </motion.section>
+            )}
+          </AnimatePresence>
+
+          <div className="location-view__grid">
+            {/* Places within */}
+            <motion.section className="location-view__section" variants={ITEM_VARIANTS}>
+              <h2 className="location-view__section-title">
+                <Icon name="map-pin" size={18} />
+                <span>Places Within</span>
+              </h2>
+              {children.length === 0 ? (
+                <p className="location-view__empty">Nothing recorded within {location.name}</p>
+              ) : (
+                <ul className="location-view__list">
+                  {children.map(child => (
+                    <li key={child.id}>
+                      <button className="location-view__link" onClick={() => navigate(`/locations/${child.id}`)}>
+                        <Icon name={getLocationType(child.locationType).icon} size={14} />
+                        <span>{child.name}</span>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </motion.section>
+
+            {/* Dignities seated here */}
+            <motion.section className="location-view__section" variants={ITEM_VARIANTS}>
+              <h2 className="location-view__section-title">
+                <Icon name="crown" size={18} />
+                <span>Seat Of</span>
+              </h2>
+              {history.dignities.length === 0 ? (
+                <p className="location-view__empty">No dignities are seated here</p>
+              ) : (
+                <ul className="location-view__list">
+                  {history.dignities.map(dignity => (
+                    <li key={dignity.id}>
+                      <button className="location-view__link" onClick={() => navigate(`/dignities/view/${dignity.id}`)}>
+                        {getDignityIcon(dignity) || <Icon name="crown" size={14} />}
+                        <span>{dignity.name}</span>
+                      </button>
+                      {dignity.seatLocationId !== locationId && (
+                        <span className="location-view__muted">
+                          at {data.locations.find(l => l.id === dignity.seatLocationId)?.name}
+                        </span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </motion.section>
+          </div>
+
+          {/* History by period */}
+          <motion.section className="location-view__section" variants={ITEM_VARIANTS}>
+            <h2 className="location-view__section-title">
+              <Icon name="scroll-text" size={18} />
+              <span>Lived and Ruled Here</span>
+            </h2>
+            {history.groups.length === 0 ? (
+              <p className="location-view__empty">
+                No residences, house seats or rulers recorded. Add residences from a person&apos;s
+                panel, seats from a house, or seat a dignity here.
+              </p>
+            ) : (
+              history.groups.map(group => (
+                <div key={group.label || 'undated'} className="location-view__period">
+                  <h3 className="location-view__period-title">{group.label || 'Undated'}</h3>
+                  <ul className="location-view__history">
+                    {group.entries.map(entry => {
+                      const kind = ENTRY_KINDS[entry.kind];
+                      const dates = describeDates(entry);
+                      return (
+                        <li key={`${entry.kind}-${entry.id}`} className={`location-view__entry location-view__entry--${entry.kind}`}>
+                          <Icon name={kind.icon} size={14} className="location-view__entry-icon" />
+                          {entry.personId ? (
+                            <button className="location-view__link" onClick={() => navigate(`/tree/${entry.personId}`)}>
+                              {entry.name}
+                            </button>
+                          ) : (
+                            <span className="location-view__entry-name">{entry.name}</span>
+                          )}
+                          <span className="location-view__muted">
+                            {entry.kind === 'ruler' ? `held ${entry.dignityName}, ${kind.verb}` : kind.verb}{' '}
+                            {entry.location?.name}
+                          </span>
+                          {dates && <span className="location-view__entry-dates">{dates}</span>}
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </div>
+              ))
+            )}
+          </motion.section>
+        </motion.div>
+      </main>
+    </div>
+  );
+}
+
+export default LocationView;
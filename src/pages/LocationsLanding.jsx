@@ -0,0 +1,206 @@
+/**
+ * LocationsLanding.jsx - The Locations Registry
+ *
+ * Every place in the dataset as a nested tree - realms, regions, holdings,
+ * castles - with the dignities seated at each. New places get a Codex
+ * location entry automatically (see locationService). Each place opens its
+ * own page listing who lived and ruled there.
+ */
+
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useAuth } from '../contexts/AuthContext';
+import { useDataset } from '../contexts/DatasetContext';
+import { getAllLocations, createLocation } from '../services/locationService';
+import { getAllDignities } from '../services/dignityService';
+import { getLocationType } from '../data/locationTypes';
+import { flattenLocationTree } from '../utils/locations';
+import Navigation from '../components/Navigation';
+import Icon from '../components/icons/Icon';
+import LoadingState from '../components/shared/LoadingState';
+import EmptyState from '../components/shared/EmptyState';
+import ActionButton from '../components/shared/ActionButton';
+import LocationForm from '../components/LocationForm';
+import './LocationsLanding.css';
+
+// Animation variants
+const CONTAINER_VARIANTS = {
+  hidden: { opacity: 0 },
+  visible: {
+    opacity: 1,
+    transition: { staggerChildren: 0.08, delayChildren: 0.1 }
+  }
+};
+
+const ITEM_VARIANTS = {
+  hidden: { opacity: 0, y: 20 },
+  visible: {
+    opacity: 1,
+    y: 0,
+    transition: { duration: 0.4, ease: [0.25, 0.46, 0.45, 0.94] }
+  }
+};
+
+function LocationsLanding() {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { activeDataset } = useDataset();
+
+  const [loading, setLoading] = useState(true);
+  const [locations, setLocations] = useState([]);
+  const [dignities, setDignities] = useState([]);
+  // null = closed, { parentId } = adding a location (under parentId, if set)
+  const [adding, setAdding] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const datasetId = activeDataset?.id;
+        const [locationData, dignityData] = await Promise.all([
+          getAllLocations(datasetId),
+          getAllDignities(datasetId)
+        ]);
+        if (cancelled) return;
+        setLocations(locationData);
+        setDignities(dignityData);
+      } catch (error) {
+        console.error('Error loading locations:', error);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+    return () => { cancelled = true; };
+  }, [activeDataset, reloadKey]);
+
+  const handleCreate = async (data) => {
+    const id = await createLocation(data, user?.uid, activeDataset?.id);
+    setAdding(null);
+    if (data.parentId) {
+      setReloadKey(key => key + 1);
+    } else {
+      navigate(`/locations/${id}`);
+    }
+  };
+
+  const seatedCount = (locationId) => dignities.filter(d => d.seatLocationId === locationId).length;
+
+  if (loading) {
+    return (
+      <div className="app-layout">
+        <Navigation />
+        <main className="locations-landing">
+          <LoadingState message="Loading locations..." />
+        </main>
+      </div>
+    );
+  }
+
+  const tree = flattenLocationTree(locations);
+
+  return (
+    <div className="app-layout">
+      <Navigation />
+      <main className="locations-landing">
+        <motion.div
+          className="locations-landing__container"
+          variants={CONTAINER_VARIANTS}
+          initial="hidden"
+          animate="visible"
+        >
+          {/* Header */}
+          <motion.header className="locations-landing__header" variants={ITEM_VARIANTS}>
+            <div className="locations-landing__header-content">
+              <h1 className="locations-landing__title">
+                <Icon name="map" size={28} />
+                <span>Locations</span>
+              </h1>
+              <p className="locations-landing__subtitle">
+                {locations.length === 0
+                  ? 'Realms, holdings and castles, and who lived and ruled there'
+                  : `${locations.length} place${locations.length === 1 ? '' : 's'} in the registry`}
+              </p>
+            </div>
+            {!adding && (
+              <ActionButton icon="plus" onClick={() => setAdding({ parentId: null })} variant="primary">
+                New Location
+              </ActionButton>
+            )}
+          </motion.header>
+
+          <AnimatePresence>
+            {adding && (
+              <motion.section
+                className="locations-landing__panel"
+                initial={{ opacity: 0, height: 0 }}
+                animate={{ opacity: 1, height: 'auto' }}
+                exit={{ opacity: 0, height: 0 }}
+              >
+                <LocationForm
+                  key={adding.parentId || 'root'}
+                  locations={locations}
+                  defaultParentId={adding.parentId}
+                  onSave={handleCreate}
+                  onCancel={() => setAdding(null)}
+                />
+              </motion.section>
+            )}
+          </AnimatePresence>
+
+          {tree.length === 0 ? (
+            <motion.div variants={ITEM_VARIANTS}>
+              <EmptyState
+                icon="map"
+                title="No Locations Yet"
+                description="Add the realms, regions and seats of your world, then record who lived at each and which houses held them."
+              />
+            </motion.div>
+          ) : (
+            <motion.ul className="locations-landing__tree" variants={ITEM_VARIANTS}>
+              {tree.map(({ location, depth }) => {
+                const type = getLocationType(location.locationType);
+                const seated = seatedCount(location.id);
+                return (
+                  <li
+                    key={location.id}
+                    className="locations-landing__node"
+                    style={{ paddingLeft: `calc(${depth} * var(--space-6))` }}
+                  >
+                    <button
+                      type="button"
+                      className="locations-landing__node-main"
+                      onClick={() => navigate(`/locations/${location.id}`)}
+                    >
+                      <Icon name={type.icon} size={16} className="locations-landing__node-icon" />
+                      <span className="locations-landing__node-name">{location.name}</span>
+                      <span className="locations-landing__node-type">{type.name}</span>
+                      {seated > 0 && (
+                        <span className="locations-landing__node-seats" title="Dignities seated here">
+                          <Icon name="crown" size={12} />
+                          {seated}
+                        </span>
+                      )}
+                    </button>
+                    <button
+                      type="button"
+                      className="locations-landing__node-add"
+                      onClick={() => setAdding({ parentId: location.id })}
+                      title={`Add a place within ${location.name}`}
+                    >
+                      <Icon name="plus" size={14} />
+                    </button>
+                  </li>
+                );
+              })}
+            </motion.ul>
+          )}
+        </motion.div>
+      </main>
+    </div>
+  );
+}
+
+export default LocationsLanding;
@@ -8,6 +8,8 @@
  * - Relationships (connections between people)
  * - Import/Export functionality
  * - Data health and validation tools
+ * - The dataset's in-world calendar
+ * - The dataset's own relationship types
  *
  * DESIGN:
  * Follows the medieval manuscript aesthetic established in Home.jsx
@@ -38,6 +40,8 @@ import CadetHouseCeremonyModal from '../components/CadetHouseCeremonyModal';
 import FounderPickerModal from '../components/FounderPickerModal';
 import ImportExportManager from '../components/ImportExportManager';
 import DataHealthDashboard from '../components/DataHealthDashboard';
+import CalendarSettings from '../components/CalendarSettings';
+import RelationshipTypeSettings from '../components/RelationshipTypeSettings';
 import UnifiedImportTool from '../components/UnifiedImportTool';
 import BastardNameAudit from '../components/BastardNameAudit';
 import MysteriaMigrationTool from '../components/MysteriaMigrationTool';
@@ -68,6 +72,8 @@ const TABS = [
   { id: 'import-export', label: 'Import/Export', icon: 'hard-drive' },
   { id: 'bulk-import', label: 'Bulk Import', icon: 'users-round' },
   { id: 'health', label: 'Data Health', icon: 'heart-pulse' },
+  { id: 'calendar', label: 'Calendar', icon: 'calendar' },
+  { id: 'relationship-types', label: 'Relationship Types', icon: 'link-2' },
   { id: 'maintenance', label: 'Maintenance', icon: 'wrench' }
 ];
 
@@ -80,6 +86,7 @@ function ManageData() {
     people,
     houses,
     relationships,
+    relationshipTypes,
     loading,
     addPerson,
     updatePerson,
@@ -478,6 +485,7 @@ function ManageData() {
                         <RelationshipList
                           relationships={relationships}
                           people={people}
+                          relationshipTypes={relationshipTypes}
                           onEdit={handleEditRelationship}
                           onDelete={handleDeleteRelationship}
                         />
@@ -536,6 +544,40 @@ function ManageData() {
                       </motion.div>
                     )}
 
+                    {/* Calendar Tab */}
+                    {activeTab === 'calendar' && (
+                      <motion.div
+                        key="calendar"
+                        className="manage-panel"
+                        variants={TAB_CONTENT_VARIANTS}
+                        initial="hidden"
+                        animate="visible"
+                        exit="exit"
+                      >
+                        <div className="manage-panel__header">
+                          <SectionHeader icon="calendar" title="World Calendar" size="sm" />
+                        </div>
+                        <CalendarSettings />
+                      </motion.div>
+                    )}
+
+                    {/* Relationship Types Tab */}
+                    {activeTab === 'relationship-types' && (
+                      <motion.div
+                        key="relationship-types"
+                        className="manage-panel"
+                        variants={TAB_CONTENT_VARIANTS}
+                        initial="hidden"
+                        animate="visible"
+                        exit="exit"
+                      >
+                        <div className="manage-panel__header">
+                          <SectionHeader icon="link-2" title="Relationship Types" size="sm" />
+                        </div>
+                        <RelationshipTypeSettings />
+                      </motion.div>
+                    )}
+
                     {/* Maintenance Tab */}
                     {activeTab === 'maintenance' && (
                       <motion.div
@@ -679,6 +721,7 @@ function ManageData() {
           relationship={editingRelationship}
           people={people}
           allRelationships={relationships}
+          relationshipTypes={relationshipTypes}
           onSave={handleSaveRelationship}
           onCancel={() => {
             setShowRelationshipModal(false);
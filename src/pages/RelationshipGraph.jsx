@@ -0,0 +1,410 @@
+/**
+ * RelationshipGraph.jsx - Relationship Network
+ *
+ * PURPOSE:
+ * Shows the ties the family tree can't: marriages, fealty, mentorships,
+ * rivalries, alliances and the dataset's own relationship types, as a
+ * force-directed network. Nodes are people, or houses in the alliances
+ * view, where ties between members are summed into one weighted edge per
+ * house pair and type.
+ *
+ * FEATURES:
+ * - Toggle edge types on and off from the legend
+ * - Filter by house and by era (people alive, ties in force)
+ * - Drag nodes, pan and zoom
+ * - Click a person to open the quick edit panel; click a house to open
+ *   its Codex entry, or to see its members if it has none
+ *
+ * DESIGN:
+ * Graph data comes from utils/relationshipGraph; this page only draws it.
+ * The D3 simulation is rebuilt whenever the filtered graph changes and
+ * stopped on unmount.
+ */
+
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import * as d3 from 'd3';
+import { useGenealogy } from '../contexts/GenealogyContext';
+import { useDataset } from '../contexts/DatasetContext';
+import { useCalendar } from '../contexts/CalendarContext';
+import { useTheme } from '../components/ThemeContext';
+import { getAllDignities } from '../services/dignityService';
+import { isFeatureEnabled } from '../config/featureFlags';
+import { getYear } from '../utils/calendarUtils';
+import {
+  GRAPH_MODES,
+  getGraphEdgeTypes,
+  buildPersonGraph,
+  buildHouseGraph
+} from '../utils/relationshipGraph';
+import Navigation from '../components/Navigation';
+import QuickEditPanel from '../components/QuickEditPanel';
+import Icon from '../components/icons/Icon';
+import ActionButton from '../components/shared/ActionButton';
+import EmptyState from '../components/shared/EmptyState';
+import './RelationshipGraph.css';
+
+const nodeRadius = (node, mode) =>
+  mode === GRAPH_MODES.HOUSES ? 10 + Math.sqrt(node.degree) * 4 : 6 + Math.sqrt(node.degree) * 2;
+
+/**
+ * Spread edges between the same two nodes into separate arcs
+ */
+function assignCurves(links) {
+  const byPair = new Map();
+  links.forEach(link => {
+    const key = [link.source, link.target].sort().join('|');
+    if (!byPair.has(key)) byPair.set(key, []);
+    byPair.get(key).push(link);
+  });
+  byPair.forEach(group => {
+    group.forEach((link, i) => {
+      const offset = (i - (group.length - 1) / 2) * 24;
+      // Keep the bend on the same side whichever way the edge runs
+      link.curve = link.source < link.target ? offset : -offset;
+    });
+  });
+}
+
+function RelationshipGraph() {
+  const navigate = useNavigate();
+  const { people, houses, relationships, relationshipTypes } = useGenealogy();
+  const { activeDataset } = useDataset();
+  const { parseDateInput, getDateInputHint } = useCalendar();
+  const { isDarkTheme } = useTheme();
+  const darkTheme = isDarkTheme();
+
+  const alliancesEnabled = isFeatureEnabled('EXPERIMENTAL.HOUSE_ALLIANCES_VIEW');
+
+  const [dignities, setDignities] = useState([]);
+  const [mode, setMode] = useState(GRAPH_MODES.PEOPLE);
+  const [hiddenTypes, setHiddenTypes] = useState(() => new Set());
+  const [houseFilter, setHouseFilter] = useState('');
+  const [fromText, setFromText] = useState('');
+  const [toText, setToText] = useState('');
+  const [selectedPerson, setSelectedPerson] = useState(null);
+
+  const svgRef = useRef(null);
+  const nodeClickRef = useRef(null);
+
+  useEffect(() => {
+    getAllDignities(activeDataset?.id)
+      .then(setDignities)
+      .catch(error => {
+        console.error('❌ Error loading dignities for network:', error);
+        setDignities([]);
+      });
+  }, [activeDataset]);
+
+  const edgeTypes = useMemo(() => getGraphEdgeTypes(relationshipTypes), [relationshipTypes]);
+
+  // ==================== FILTERS ====================
+
+  const parseEra = (text) => {
+    const parsed = parseDateInput(text);
+    if (!parsed.valid) return { year: null, error: parsed.error };
+    return { year: parsed.value ? getYear(parsed.value) : null, error: null };
+  };
+  const from = parseEra(fromText);
+  const to = parseEra(toText);
+
+  const graph = useMemo(() => {
+    const data = { people, houses, relationships, dignities, relationshipTypes };
+    const filters = {
+      edgeTypes: new Set(edgeTypes.map(type => type.id).filter(id => !hiddenTypes.has(id))),
+      houseId: houseFilter ? Number(houseFilter) : null,
+      fromYear: from.year,
+      toYear: to.year
+    };
+    return mode === GRAPH_MODES.HOUSES ? buildHouseGraph(data, filters) : buildPersonGraph(data, filters);
+  }, [people, houses, relationships, dignities, relationshipTypes, edgeTypes, hiddenTypes, houseFilter, from.year, to.year, mode]);
+
+  const houseColors = useMemo(
+    () => new Map(houses.map(house => [house.id, house.colorCode || null])),
+    [houses]
+  );
+
+  const toggleType = (typeId) => {
+    setHiddenTypes(prev => {
+      const next = new Set(prev);
+      if (next.has(typeId)) next.delete(typeId);
+      else next.add(typeId);
+      return next;
+    });
+  };
+
+  // ==================== NODE CLICKS ====================
+
+  const handleNodeClick = (node) => {
+    if (node.personId) {
+      setSelectedPerson(people.find(p => p.id === node.personId) || null);
+      return;
+    }
+    const house = houses.find(h => h.id === node.houseId);
+    if (house?.codexEntryId) {
+      navigate(`/codex/entry/${house.codexEntryId}`);
+    } else {
+      setHouseFilter(String(node.houseId));
+      setMode(GRAPH_MODES.PEOPLE);
+    }
+  };
+
+  // The simulation keeps one click handler; point it at the latest render's
+  useEffect(() => {
+    nodeClickRef.current = handleNodeClick;
+  });
+
+  // ==================== DRAWING ====================
+
+  useEffect(() => {
+    const svgElement = svgRef.current;
+    if (!svgElement) return undefined;
+
+    const svg = d3.select(svgElement);
+    svg.selectAll('*').remove();
+    if (graph.nodes.length === 0) return undefined;
+
+    const { width, height } = svgElement.getBoundingClientRect();
+    const typeById = new Map(edgeTypes.map(type => [type.id, type]));
+    const nodes = graph.nodes.map(node => ({ ...node }));
+    const links = graph.edges.map(edge => ({ ...edge }));
+    assignCurves(links);
+
+    const labelColor = darkTheme ? '#e9dcc9' : '#5c4a3d';
+    const defaultNodeColor = darkTheme ? '#8b7355' : '#a08060';
+    const nodeStroke = darkTheme ? '#1a1410' : '#f5ede0';
+
+    // Arrowheads for one-way ties
+    const defs = svg.append('defs');
+    edgeTypes.filter(type => type.directional).forEach(type => {
+      defs.append('marker')
+        .attr('id', `network-arrow-${type.id}`)
+        .attr('viewBox', '0 -5 10 10')
+        .attr('refX', 10)
+        .attr('markerWidth', 6)
+        .attr('markerHeight', 6)
+        .attr('orient', 'auto')
+        .append('path')
+        .attr('d', 'M0,-5L10,0L0,5')
+        .attr('fill', type.color);
+    });
+
+    const g = svg.append('g');
+    svg.call(d3.zoom().scaleExtent([0.2, 4]).on('zoom', (event) => {
+      g.attr('transform', event.transform);
+    }));
+
+    const link = g.append('g')
+      .attr('class', 'relationship-graph__edges')
+      .selectAll('path')
+      .data(links)
+      .join('path')
+      .attr('fill', 'none')
+      .attr('stroke', d => typeById.get(d.type)?.color || defaultNodeColor)
+      .attr('stroke-width', d => (d.count ? 1.5 + Math.sqrt(d.count) * 1.5 : 1.5))
+      .attr('stroke-opacity', 0.75)
+      .attr('marker-end', d => (typeById.get(d.type)?.directional ? `url(#network-arrow-${d.type})` : null));
+
+    link.append('title').text(d => {
+      const type = typeById.get(d.type);
+      if (d.count) return `${type?.houseLabel || d.type} (${d.count})`;
+      return d.label || type?.label || d.type;
+    });
+
+    const node = g.append('g')
+      .attr('class', 'relationship-graph__nodes')
+      .selectAll('g')
+      .data(nodes)
+      .join('g')
+      .attr('class', 'relationship-graph__node')
+      .on('click', (event, d) => nodeClickRef.current?.(d));
+
+    node.append('circle')
+      .attr('r', d => nodeRadius(d, mode))
+      .attr('fill', d => (mode === GRAPH_MODES.HOUSES ? d.color : houseColors.get(d.houseId)) || defaultNodeColor)
+      .attr('stroke', nodeStroke)
+      .attr('stroke-width', 1.5);
+
+    node.append('text')
+      .attr('dy', d => nodeRadius(d, mode) + 12)
+      .attr('text-anchor', 'middle')
+      .attr('fill', labelColor)
+      .attr('font-size', mode === GRAPH_MODES.HOUSES ? 12 : 10)
+      .text(d => d.label);
+
+    node.append('title').text(d => `${d.label} - ${d.degree} tie${d.degree === 1 ? '' : 's'}`);
+
+    const simulation = d3.forceSimulation(nodes)
+      .force('link', d3.forceLink(links).id(d => d.id).distance(mode === GRAPH_MODES.HOUSES ? 160 : 80))
+      .force('charge', d3.forceManyBody().strength(mode === GRAPH_MODES.HOUSES ? -400 : -160))
+      .force('center', d3.forceCenter(width / 2, height / 2))
+      .force('collide', d3.forceCollide(d => nodeRadius(d, mode) + 6));
+
+    node.call(d3.drag()
+      .on('start', (event, d) => {
+        if (!event.active) simulation.alphaTarget(0.3).restart();
+        d.fx = d.x;
+        d.fy = d.y;
+      })
+      .on('drag', (event, d) => {
+        d.fx = event.x;
+        d.fy = event.y;
+      })
+      .on('end', (event, d) => {
+        if (!event.active) simulation.alphaTarget(0);
+        d.fx = null;
+        d.fy = null;
+      }));
+
+    simulation.on('tick', () => {
+      link.attr('d', d => {
+        const { source, target } = d;
+        const dx = target.x - source.x;
+        const dy = target.y - source.y;
+        const length = Math.hypot(dx, dy) || 1;
+        const cx = (source.x + target.x) / 2 - (dy / length) * d.curve;
+        const cy = (source.y + target.y) / 2 + (dx / length) * d.curve;
+
+        // Stop at the target's rim so arrowheads stay visible
+        const ex = target.x - cx;
+        const ey = target.y - cy;
+        const toControl = Math.hypot(ex, ey) || 1;
+        const inset = nodeRadius(target, mode) + 2;
+        const tx = target.x - (ex / toControl) * inset;
+        const ty = target.y - (ey / toControl) * inset;
+        return `M${source.x},${source.y}Q${cx},${cy} ${tx},${ty}`;
+      });
+      node.attr('transform', d => `translate(${d.x},${d.y})`);
+    });
+
+    return () => simulation.stop();
+  }, [graph, edgeTypes, houseColors, mode, darkTheme]);
+
+  // ==================== RENDER ====================
+
+  const dateHint = getDateInputHint();
+
+  return (
+    <div className="app-layout">
+      <Navigation />
+      <main className="relationship-graph">
+        <div className="relationship-graph__container">
+          <header className="relationship-graph__header">
+            <div className="relationship-graph__header-content">
+              <h1 className="relationship-graph__title">
+                <Icon name="network" size={28} />
+                <span>Relationship Network</span>
+              </h1>
+              <p className="relationship-graph__subtitle">
+                {graph.nodes.length} {mode === GRAPH_MODES.HOUSES ? 'houses' : 'people'} and {graph.edges.length} ties
+                {' '}beyond the family tree
+              </p>
+            </div>
+            <ActionButton icon="arrow-left" onClick={() => navigate('/tree')} variant="secondary">
+              Back to Tree
+            </ActionButton>
+          </header>
+
+          <div className="relationship-graph__controls">
+            {alliancesEnabled && (
+              <div className="relationship-graph__mode" role="group" aria-label="Show">
+                <button
+                  type="button"
+                  className={`relationship-graph__mode-btn ${mode === GRAPH_MODES.PEOPLE ? 'relationship-graph__mode-btn--active' : ''}`}
+                  onClick={() => setMode(GRAPH_MODES.PEOPLE)}
+                >
+                  <Icon name="users" size={14} />
+                  <span>People</span>
+                </button>
+                <button
+                  type="button"
+                  className={`relationship-graph__mode-btn ${mode === GRAPH_MODES.HOUSES ? 'relationship-graph__mode-btn--active' : ''}`}
+                  onClick={() => setMode(GRAPH_MODES.HOUSES)}
+                >
+                  <Icon name="castle" size={14} />
+                  <span>House Alliances</span>
+                </button>
+              </div>
+            )}
+
+            <label className="relationship-graph__field">
+              <span>House</span>
+              <select
+                value={houseFilter}
+                onChange={(e) => setHouseFilter(e.target.value)}
+                className="relationship-graph__input"
+              >
+                <option value="">All houses</option>
+                {houses.map(house => (
+                  <option key={house.id} value={house.id}>{house.houseName}</option>
+                ))}
+              </select>
+            </label>
+
+            <label className="relationship-graph__field">
+              <span>From</span>
+              <input
+                type="text"
+                value={fromText}
+                onChange={(e) => setFromText(e.target.value)}
+                className={`relationship-graph__input ${from.error ? 'relationship-graph__input--error' : ''}`}
+                placeholder={dateHint}
+                title={from.error || dateHint}
+              />
+            </label>
+
+            <label className="relationship-graph__field">
+              <span>To</span>
+              <input
+                type="text"
+                value={toText}
+                onChange={(e) => setToText(e.target.value)}
+                className={`relationship-graph__input ${to.error ? 'relationship-graph__input--error' : ''}`}
+                placeholder={dateHint}
+                title={to.error || dateHint}
+              />
+            </label>
+          </div>
+
+          <div className="relationship-graph__legend" role="group" aria-label="Tie types">
+            {edgeTypes.map(type => (
+              <button
+                key={type.id}
+                type="button"
+                className={`relationship-graph__chip ${hiddenTypes.has(type.id) ? 'relationship-graph__chip--off' : ''}`}
+                onClick={() => toggleType(type.id)}
+                aria-pressed={!hiddenTypes.has(type.id)}
+              >
+                <span className="relationship-graph__swatch" style={{ background: type.color }} />
+                <span>{mode === GRAPH_MODES.HOUSES ? type.houseLabel : type.label}</span>
+                {type.directional && <Icon name="arrow-right" size={12} />}
+              </button>
+            ))}
+          </div>
+
+          <div className="relationship-graph__canvas">
+            {graph.nodes.length === 0 && (
+              <EmptyState
+                icon="network"
+                title="No ties to show"
+                description="Add marriages, fealty or other relationships, or loosen the filters."
+              />
+            )}
+            <svg ref={svgRef} className="relationship-graph__svg" />
+          </div>
+        </div>
+      </main>
+
+      {selectedPerson && (
+        <QuickEditPanel
+          person={selectedPerson}
+          onClose={() => setSelectedPerson(null)}
+          onPersonSelect={setSelectedPerson}
+          isDarkTheme={darkTheme}
+        />
+      )}
+    </div>
+  );
+}
+
+export default RelationshipGraph;
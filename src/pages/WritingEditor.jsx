@@ -3,6 +3,10 @@
  *
  * Full editor page for writing projects with TipTap integration,
  * chapter navigation, and entity sidebar.
+ *
+ * A project can set its own story present (metadata.presentDate); while the
+ * editor is open it overrides the dataset's present for ages and living
+ * checks (see CalendarContext).
  */
 
 import { useState, useEffect, useCallback, useRef } from 'react';
@@ -11,6 +15,7 @@ import Navigation from '../components/Navigation';
 import Icon from '../components/icons';
 import { useAuth } from '../contexts/AuthContext';
 import { useDataset } from '../contexts/DatasetContext';
+import { useCalendar } from '../contexts/CalendarContext';
 import { TipTapEditor, EditorToolbar } from '../components/writing/Editor';
 import useAutoSave from '../hooks/useAutoSave';
 import {
@@ -112,6 +117,12 @@ export default function WritingEditor() {
   const navigate = useNavigate();
   const { user } = useAuth();
   const { activeDataset } = useDataset();
+  const {
+    formatDateForInput,
+    parseDateInput,
+    getDateInputHint,
+    setProjectPresentDate
+  } = useCalendar();
 
   const editorRef = useRef(null);
   const [editor, setEditor] = useState(null);
@@ -121,6 +132,7 @@ export default function WritingEditor() {
   const [activeChapter, setActiveChapter] = useState(null);
   const [loading, setLoading] = useState(true);
   const [pendingSaveData, setPendingSaveData] = useState(null);
+  const [presentInput, setPresentInput] = useState('');
 
   // Canon check state
   const [showCanonPanel, setShowCanonPanel] = useState(false);
@@ -250,6 +262,17 @@ export default function WritingEditor() {
     loadData();
   }, [id, activeDataset?.id, navigate]);
 
+  // Apply the project's story present while the editor is open
+  const projectPresentDate = writing?.metadata?.presentDate || null;
+  useEffect(() => {
+    setProjectPresentDate(projectPresentDate);
+    setPresentInput(formatDateForInput(projectPresentDate));
+  }, [projectPresentDate, setProjectPresentDate, formatDateForInput]);
+
+  useEffect(() => {
+    return () => setProjectPresentDate(null);
+  }, [setProjectPresentDate]);
+
   // Load active chapter when selection changes
   useEffect(() => {
     async function loadChapter() {
@@ -538,6 +561,31 @@ Be encouraging but honest. Give specific examples from the text when possible. K
     setWriting(prev => ({ ...prev, status: newStatus }));
   }, [id, user, activeDataset]);
 
+  // Handle project story present change (blank falls back to the dataset's)
+  const handlePresentDateCommit = useCallback(async () => {
+    const parsed = parseDateInput(presentInput);
+    if (!parsed.valid) {
+      alert(parsed.error);
+      setPresentInput(formatDateForInput(projectPresentDate));
+      return;
+    }
+
+    const newPresentDate = parsed.value || null;
+    if (newPresentDate === projectPresentDate) return;
+
+    const datasetId = activeDataset?.id;
+    const metadata = { ...(writing?.metadata || {}), presentDate: newPresentDate };
+
+    await updateWriting(parseInt(id), { metadata }, datasetId);
+
+    // Sync to cloud
+    if (user && activeDataset) {
+      syncUpdateWriting(user.uid, datasetId, parseInt(id), { metadata });
+    }
+
+    setWriting(prev => ({ ...prev, metadata }));
+  }, [id, user, activeDataset, writing, presentInput, projectPresentDate, parseDateInput, formatDateForInput]);
+
   if (loading) {
     return (
       <>
@@ -583,6 +631,17 @@ Be encouraging but honest. Give specific examples from the text when possible. K
                     <option key={value} value={value}>{label}</option>
                   ))}
                 </select>
+                <input
+                  type="text"
+                  className="writing-editor__present-input"
+                  value={presentInput}
+                  onChange={(e) => setPresentInput(e.target.value)}
+                  onBlur={handlePresentDateCommit}
+                  onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                  placeholder="Story present"
+                  title={`Story present for this project (${getDateInputHint()}). Leave blank to use the dataset's.`}
+                  aria-label="Story present for this project"
+                />
                 <span className="writing-editor__word-count">
                   {totalWordCount.toLocaleString()} words
                 </span>
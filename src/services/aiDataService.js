@@ -36,7 +36,10 @@ import {
   getAllDisputes
 } from './dignityService';
 
+import { getCalendar } from './datasetSettingsService';
+
 import { getDatabase } from './database';
+import { formatYear, getYearRange } from '../utils/calendarUtils';
 
 // ==================== MAIN DATA COLLECTION ====================
 
@@ -58,7 +61,8 @@ export async function collectFullDataContext(datasetId = 'default') {
       codexEntries,
       heraldry,
       dignities,
-      householdRoles
+      householdRoles,
+      calendar
     ] = await Promise.all([
       getAllPeople(datasetId),
       getAllHouses(datasetId),
@@ -66,7 +70,8 @@ export async function collectFullDataContext(datasetId = 'default') {
       getAllCodexEntries(datasetId),
       getAllHeraldry(datasetId),
       getAllDignities(datasetId),
-      getHouseholdRoles(datasetId)
+      getHouseholdRoles(datasetId),
+      getCalendar(datasetId)
     ]);
 
     // Build lookup maps for efficient cross-referencing
@@ -101,6 +106,7 @@ export async function collectFullDataContext(datasetId = 'default') {
 
       // Metadata
       datasetId,
+      calendar,
       collectedAt: new Date().toISOString()
     };
 
@@ -729,7 +735,7 @@ function formatDignitySummary(dignity, data) {
 /**
  * Analyze data for potential issues
  *
- * @param {Object} data - Full data context
+ * @param {Object} data - Full data context (dates are read with its calendar)
  * @returns {Array} Array of detected issues
  */
 export function analyzeDataForIssues(data) {
@@ -819,47 +825,51 @@ export function analyzeDataForIssues(data) {
     }
   });
 
-  // Check for date inconsistencies
+  // Check for date inconsistencies, in the dataset calendar. Uncertain
+  // dates only conflict when no reading of them fits.
+  const years = (date) => {
+    const range = date ? getYearRange(date, data.calendar) : null;
+    return range && { earliest: range.earliest ?? -Infinity, latest: range.latest ?? Infinity };
+  };
+  const yearText = (date) => formatYear(date, data.calendar);
+
   data.people.forEach(person => {
+    const birth = years(person.dateOfBirth);
+
     // Birth after death
-    if (person.dateOfBirth && person.dateOfDeath) {
-      const birth = parseInt(person.dateOfBirth);
-      const death = parseInt(person.dateOfDeath);
-      if (!isNaN(birth) && !isNaN(death) && birth > death) {
-        issues.push({
-          type: 'date_inconsistency',
-          severity: 'critical',
-          entityType: 'person',
-          entityId: person.id,
-          message: `${person.firstName} ${person.lastName}'s birth date (${birth}) is after death date (${death})`,
-          suggestion: 'Correct the birth or death date'
-        });
-      }
+    const death = years(person.dateOfDeath);
+    if (birth && death && death.latest < birth.earliest) {
+      issues.push({
+        type: 'date_inconsistency',
+        severity: 'critical',
+        entityType: 'person',
+        entityId: person.id,
+        message: `${person.firstName} ${person.lastName}'s birth date (${yearText(person.dateOfBirth)}) is after death date (${yearText(person.dateOfDeath)})`,
+        suggestion: 'Correct the birth or death date'
+      });
     }
 
     // Child older than parent
     const parents = data.lookupMaps.parentMap.get(person.id);
-    if (parents && person.dateOfBirth) {
-      const childBirth = parseInt(person.dateOfBirth);
+    if (parents && birth) {
       parents.forEach(parentId => {
         const parent = data.lookupMaps.peopleById.get(parentId);
-        if (parent?.dateOfBirth) {
-          const parentBirth = parseInt(parent.dateOfBirth);
-          if (!isNaN(childBirth) && !isNaN(parentBirth) && childBirth <= parentBirth) {
-            issues.push({
-              type: 'date_inconsistency',
-              severity: 'critical',
-              entityType: 'person',
-              entityId: person.id,
-              message: `${person.firstName} ${person.lastName} (b. ${childBirth}) is born same year or before parent ${parent.firstName} ${parent.lastName} (b. ${parentBirth})`,
-              suggestion: 'Check the birth dates and parent-child relationship'
-            });
-          }
+        const parentBirth = years(parent?.dateOfBirth);
+        if (parentBirth && birth.latest <= parentBirth.earliest) {
+          issues.push({
+            type: 'date_inconsistency',
+            severity: 'critical',
+            entityType: 'person',
+            entityId: person.id,
+            message: `${person.firstName} ${person.lastName} (b. ${yearText(person.dateOfBirth)}) is born same year or before parent ${parent.firstName} ${parent.lastName} (b. ${yearText(parent.dateOfBirth)})`,
+            suggestion: 'Check the birth dates and parent-child relationship'
+          });
         }
       });
     }
   });
 
+
   // Check for orphaned codex entries
   data.codexEntries.forEach(entry => {
     if (entry.personId) {
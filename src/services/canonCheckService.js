@@ -3,6 +3,10 @@
  *
  * Validates writing content against established lore/data in LineageWeaver.
  * Provides both rule-based (fast) and AI-powered (deep) validation.
+ *
+ * Facts whose sources are only rumoured or disputed (see utils/citations.js)
+ * are not held against the writing: the rule checks flag them as notes, and
+ * the AI prompt marks them so contradicting them is not reported as an error.
  */
 
 import { getAllPeople, getAllHouses } from './database';
@@ -11,6 +15,9 @@ import { getAllDignities, getTenuresForPerson } from './dignityService';
 import { getLinksByWriting } from './writingLinkService';
 import { getEntityById, ENTITY_TYPES } from './entitySearchService';
 import { askGemini } from './aiAssistantService';
+import { getCalendar, getPresentDate } from './datasetSettingsService';
+import { formatYear, getYear, getTodayCanonical, toCanonicalDate } from '../utils/calendarUtils';
+import { getFieldConfidence, getLowConfidenceFields } from '../utils/citations';
 
 // ==================== ISSUE TYPES ====================
 
@@ -27,7 +34,8 @@ export const ISSUE_CATEGORIES = {
   DIGNITY_CONFLICT: 'dignity_conflict',
   PLOT_INCONSISTENCY: 'plot_inconsistency',
   CHARACTER_TRAIT: 'character_trait',
-  WORLD_RULE: 'world_rule'
+  WORLD_RULE: 'world_rule',
+  UNCERTAIN_FACT: 'uncertain_fact'
 };
 
 // ==================== RULE-BASED VALIDATION ====================
@@ -65,6 +73,10 @@ export async function runRuleBasedChecks(writingId, content, plainText, datasetI
     const dignityIssues = await checkDignityTenures(links, datasetId);
     issues.push(...dignityIssues);
 
+    // Check 5: Note rumoured or disputed facts about linked characters
+    const uncertainIssues = await checkUncertainFacts(links, datasetId);
+    issues.push(...uncertainIssues);
+
   } catch (error) {
     console.error('Rule-based check failed:', error);
     issues.push({
@@ -172,30 +184,39 @@ async function checkUnlinkedMentions(plainText, existingLinks, datasetId) {
 
 /**
  * Check character lifespan conflicts
+ * Characters who died over a century before the story present are noted
  */
 async function checkCharacterLifespans(links, datasetId) {
   const issues = [];
 
   const personLinks = links.filter(l => l.targetType === ENTITY_TYPES.PERSON);
-  const people = await getAllPeople(datasetId);
+  const [people, calendar, presentDate] = await Promise.all([
+    getAllPeople(datasetId),
+    getCalendar(datasetId),
+    getPresentDate(datasetId)
+  ]);
   const peopleMap = new Map(people.map(p => [p.id, p]));
+  const presentYear = getYear(presentDate || getTodayCanonical(), calendar);
 
   for (const link of personLinks) {
     const person = peopleMap.get(link.targetId);
     if (!person) continue;
 
+    const dateOfDeath = person.dateOfDeath || (person.deathYear ? toCanonicalDate({ year: person.deathYear }) : null);
+    const deathYear = dateOfDeath ? getYear(dateOfDeath, calendar) : null;
+
     // Check if character is marked as deceased
-    if (person.deathYear && person.deathYear < new Date().getFullYear() - 100) {
+    if (deathYear !== null && presentYear !== null && deathYear < presentYear - 100) {
       // Character died over 100 years ago - might be relevant
       issues.push({
         id: `deceased-${person.id}`,
         type: ISSUE_TYPES.INFO,
         category: ISSUE_CATEGORIES.TIMELINE_CONFLICT,
         title: 'Historical Character',
-        description: `${formatPersonName(person)} died in ${person.deathYear}. Ensure your story's timeline is consistent.`,
+        description: `${formatPersonName(person)} died in ${formatYear(dateOfDeath, calendar)}. Ensure your story's timeline is consistent.`,
         entityType: ENTITY_TYPES.PERSON,
         entityId: person.id,
-        deathYear: person.deathYear
+        deathYear
       });
     }
   }
@@ -240,6 +261,39 @@ async function checkDignityTenures(links, datasetId) {
   return issues.slice(0, 3); // Limit informational messages
 }
 
+/**
+ * Note facts about linked characters that rest on rumoured or disputed
+ * sources - the writing may follow any version, so these are never errors
+ */
+async function checkUncertainFacts(links, datasetId) {
+  const issues = [];
+
+  const personIds = new Set(links.filter(l => l.targetType === ENTITY_TYPES.PERSON).map(l => l.targetId));
+  if (personIds.size === 0) return issues;
+
+  const people = await getAllPeople(datasetId);
+  for (const person of people) {
+    if (!personIds.has(person.id)) continue;
+
+    const facts = getLowConfidenceFields(person, 'person');
+    if (facts.length === 0) continue;
+
+    const described = facts.map(f => `${f.label.toLowerCase()} (${f.confidence})`).join(', ');
+    issues.push({
+      id: `uncertain-${person.id}`,
+      type: ISSUE_TYPES.INFO,
+      category: ISSUE_CATEGORIES.UNCERTAIN_FACT,
+      title: 'Uncertain Facts',
+      description: `${formatPersonName(person)}: ${described}. The sources don't settle these, so the story may follow any version.`,
+      entityType: ENTITY_TYPES.PERSON,
+      entityId: person.id,
+      facts
+    });
+  }
+
+  return issues;
+}
+
 // ==================== AI-POWERED VALIDATION ====================
 
 /**
@@ -280,15 +334,18 @@ export async function prepareAIValidationContext(writingId, content, plainText,
   return {
     writingText: plainText,
     referencedEntities,
-    linkCount: links.length
+    linkCount: links.length,
+    calendar: await getCalendar(datasetId)
   };
 }
 
 /**
  * Build the prompt for AI canon checking
+ * Years are given as the world reckons them, in the context's calendar
  */
 export function buildCanonCheckPrompt(context) {
-  const { writingText, referencedEntities } = context;
+  const { writingText, referencedEntities, calendar = null } = context;
+  const yearOf = (date, legacyYear) => (date ? formatYear(date, calendar) : legacyYear);
 
   // Format entities for the prompt
   let entitiesContext = '';
@@ -299,8 +356,10 @@ export function buildCanonCheckPrompt(context) {
       const name = formatPersonName(person);
       entitiesContext += `- ${name}`;
       if (person.epithet) entitiesContext += ` (${person.epithet})`;
-      if (person.birthYear) entitiesContext += `, born ${person.birthYear}`;
-      if (person.deathYear) entitiesContext += `, died ${person.deathYear}`;
+      const birthYear = yearOf(person.dateOfBirth, person.birthYear);
+      const deathYear = yearOf(person.dateOfDeath, person.deathYear);
+      if (birthYear) entitiesContext += `, born ${birthYear}${confidenceNote(person, 'dateOfBirth')}`;
+      if (deathYear) entitiesContext += `, died ${deathYear}${confidenceNote(person, 'dateOfDeath')}`;
       entitiesContext += '\n';
     }
   }
@@ -344,6 +403,9 @@ Identify any potential canon issues such as:
 3. Title/dignity errors
 4. Contradictions with established lore
 
+Facts marked (rumoured) or (disputed) are uncertain in the world itself.
+Contradicting them is not an error; at most mention it as "info".
+
 For each issue found, provide:
 - Type: error, warning, or info
 - Title: Brief issue name
@@ -560,6 +622,12 @@ function formatPersonName(person) {
   return parts.join(' ') || 'Unnamed Person';
 }
 
+// " (rumoured)" / " (disputed)" after an uncertain fact in the AI prompt
+function confidenceNote(record, field) {
+  const confidence = getFieldConfidence(record, field);
+  return confidence && confidence !== 'canon' ? ` (${confidence})` : '';
+}
+
 function escapeRegex(string) {
   return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
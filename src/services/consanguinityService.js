@@ -0,0 +1,514 @@
+/**
+ * Consanguinity Service
+ *
+ * Measures how closely people are related by blood, for houses that keep
+ * marrying their cousins:
+ *
+ * - Every path of common ancestry between two people (not just the first
+ *   relationship label RelationshipCalculator finds)
+ * - Coefficient of kinship, coefficient of relationship and inbreeding
+ *   coefficient, using Wright's path method
+ * - Pedigree collapse for a person and statistics per house
+ * - A warning check for proposed marriages within a number of degrees
+ *
+ * DESIGN PRINCIPLES:
+ * - Pure functions over relationship maps (no database access)
+ * - Blood only: adoptive and non-biological parent links are ignored
+ * - Degrees are counted the civil-law way: generations up from one person
+ *   to the common ancestor plus generations down to the other (siblings 2,
+ *   first cousins 4, second cousins 6)
+ *
+ * @module consanguinityService
+ */
+
+import { getSpouseIds, getGenderedLabel, getOrdinal } from '../utils/RelationshipCalculator';
+
+// Deepest ancestor searched from each person
+export const MAX_ANCESTRY_DEPTH = 12;
+
+// Default for the marriage warning: first cousins and closer
+export const DEFAULT_WARNING_DEGREE = 4;
+
+// ==================== BLOOD LINES ====================
+
+/**
+ * Build childId -> [parentIds] from biological parent links only
+ *
+ * @param {Array} relationships - All relationships
+ * @returns {Map} Map of personId -> [parentIds]
+ */
+export function buildBloodParentMap(relationships) {
+  const parentMap = new Map();
+
+  relationships.forEach(rel => {
+    if (rel.relationshipType !== 'parent' || rel.biologicalParent === false) return;
+    const parents = parentMap.get(rel.person2Id) || [];
+    if (!parents.includes(rel.person1Id)) {
+      parentMap.set(rel.person2Id, [...parents, rel.person1Id]);
+    }
+  });
+
+  return parentMap;
+}
+
+/**
+ * Shared memo for repeated analysis over the same data (e.g. a whole house)
+ *
+ * @returns {{ paths: Map, inbreeding: Map }}
+ */
+export function createAnalysisCache() {
+  return { paths: new Map(), inbreeding: new Map() };
+}
+
+/**
+ * Every line of descent from a person up to each ancestor
+ *
+ * The person counts as their own ancestor at depth 0, so a parent and child
+ * share ancestry through the parent.
+ *
+ * @returns {Map} ancestorId -> [paths], each path [personId, ..., ancestorId]
+ */
+function getAncestorPaths(personId, parentMap, maxDepth, cache) {
+  const cacheKey = `${personId}:${maxDepth}`;
+  if (cache?.paths.has(cacheKey)) return cache.paths.get(cacheKey);
+
+  const paths = new Map();
+  const walk = (path) => {
+    const current = path[path.length - 1];
+    if (!paths.has(current)) paths.set(current, []);
+    paths.get(current).push(path);
+
+    if (path.length > maxDepth) return;
+    (parentMap.get(current) || []).forEach(parentId => {
+      // A parent already on the path means the data loops; stop there
+      if (!path.includes(parentId)) walk([...path, parentId]);
+    });
+  };
+  walk([personId]);
+
+  cache?.paths.set(cacheKey, paths);
+  return paths;
+}
+
+// ==================== COMMON ANCESTRY ====================
+
+/**
+ * Find every path of common ancestry between two people
+ *
+ * A path runs from A up to a common ancestor and down to B. Following
+ * Wright, the two halves may only meet at the ancestor itself, so a couple
+ * of great-grandparents and each of their descendants above the cousins
+ * are not counted twice.
+ *
+ * @param {number} personAId - First person
+ * @param {number} personBId - Second person
+ * @param {Map} parentMap - Map of personId -> [parentIds] (see buildBloodParentMap)
+ * @param {Object} [options] - { maxDepth, cache }
+ * @returns {Array<Object>} Paths, closest first:
+ *   { ancestorId, pathA, pathB, generationsA, generationsB, degree }
+ */
+export function findCommonAncestry(personAId, personBId, parentMap, options = {}) {
+  const { maxDepth = MAX_ANCESTRY_DEPTH, cache = null } = options;
+  if (personAId === personBId) return [];
+
+  const pathsA = getAncestorPaths(personAId, parentMap, maxDepth, cache);
+  const pathsB = getAncestorPaths(personBId, parentMap, maxDepth, cache);
+  const results = [];
+
+  pathsA.forEach((ancestorPathsA, ancestorId) => {
+    const ancestorPathsB = pathsB.get(ancestorId);
+    if (!ancestorPathsB) return;
+
+    ancestorPathsA.forEach(pathA => {
+      const belowA = new Set(pathA.slice(0, -1));
+      ancestorPathsB.forEach(pathB => {
+        if (pathB.slice(0, -1).some(id => belowA.has(id))) return;
+        results.push({
+          ancestorId,
+          pathA,
+          pathB,
+          generationsA: pathA.length - 1,
+          generationsB: pathB.length - 1,
+          degree: pathA.length + pathB.length - 2
+        });
+      });
+    });
+  });
+
+  return results.sort((a, b) => a.degree - b.degree || a.generationsA - b.generationsA);
+}
+
+// ==================== COEFFICIENTS ====================
+
+/**
+ * Inbreeding coefficient F: the chance that both copies of a gene the
+ * person carries come from the same ancestor. Equal to the kinship of
+ * their two parents; 0 if either parent is unknown.
+ *
+ * @param {number} personId - Person to measure
+ * @param {Map} parentMap - Map of personId -> [parentIds]
+ * @param {Object} [options] - { maxDepth, cache }
+ * @returns {number} 0 (outbred) to 1
+ */
+export function calculateInbreedingCoefficient(personId, parentMap, options = {}) {
+  const cache = options.cache || createAnalysisCache();
+  if (cache.inbreeding.has(personId)) return cache.inbreeding.get(personId);
+
+  // Guards a looping pedigree from recursing forever
+  cache.inbreeding.set(personId, 0);
+
+  const parents = parentMap.get(personId) || [];
+  const coefficient = parents.length >= 2
+    ? calculateKinshipCoefficient(parents[0], parents[1], parentMap, { ...options, cache })
+    : 0;
+
+  cache.inbreeding.set(personId, coefficient);
+  return coefficient;
+}
+
+/**
+ * Coefficient of kinship (coancestry): the chance that a gene drawn at
+ * random from each person is identical by descent.
+ *
+ *   f(A,B) = sum over paths of (1/2)^(n1 + n2 + 1) * (1 + F(ancestor))
+ *
+ * @param {number} personAId - First person
+ * @param {number} personBId - Second person
+ * @param {Map} parentMap - Map of personId -> [parentIds]
+ * @param {Object} [options] - { maxDepth, cache }
+ * @returns {number} 0 to 1 (first cousins 1/16, full siblings 1/4)
+ */
+export function calculateKinshipCoefficient(personAId, personBId, parentMap, options = {}) {
+  const cache = options.cache || createAnalysisCache();
+  const withCache = { ...options, cache };
+
+  if (personAId === personBId) {
+    return (1 + calculateInbreedingCoefficient(personAId, parentMap, withCache)) / 2;
+  }
+
+  return findCommonAncestry(personAId, personBId, parentMap, withCache)
+    .reduce((sum, path) =>
+      sum + (0.5 ** (path.degree + 1)) * (1 + calculateInbreedingCoefficient(path.ancestorId, parentMap, withCache)),
+    0);
+}
+
+/**
+ * Wright's coefficient of relationship r: the share of genes two people
+ * hold in common by descent, corrected for their own inbreeding.
+ *
+ * @param {number} personAId - First person
+ * @param {number} personBId - Second person
+ * @param {Map} parentMap - Map of personId -> [parentIds]
+ * @param {Object} [options] - { maxDepth, cache }
+ * @returns {number} 0 to 1 (parent/child and full siblings 0.5, first cousins 0.125)
+ */
+export function calculateRelationshipCoefficient(personAId, personBId, parentMap, options = {}) {
+  const cache = options.cache || createAnalysisCache();
+  const withCache = { ...options, cache };
+  if (personAId === personBId) return 1;
+
+  const kinship = calculateKinshipCoefficient(personAId, personBId, parentMap, withCache);
+  const inbreedingA = calculateInbreedingCoefficient(personAId, parentMap, withCache);
+  const inbreedingB = calculateInbreedingCoefficient(personBId, parentMap, withCache);
+  return (2 * kinship) / Math.sqrt((1 + inbreedingA) * (1 + inbreedingB));
+}
+
+// ==================== LABELS ====================
+
+/**
+ * "Great-" prefixes: 0 → '', 1 → 'Great-', 2 → 'Great-Great-', 3+ → '3x Great-'
+ */
+function greats(count) {
+  if (count <= 0) return '';
+  if (count <= 2) return 'Great-'.repeat(count);
+  return `${count}x Great-`;
+}
+
+/**
+ * Label for B as seen from A, given the generations from each to the
+ * common ancestor
+ *
+ * @param {number} generationsA - Generations from A up to the ancestor
+ * @param {number} generationsB - Generations from B up to the ancestor
+ * @param {Object} [personB] - B's record, for gendered labels
+ * @param {boolean} [half] - Related through one ancestor of a couple only
+ * @returns {string} e.g. "Grandmother", "Half-Brother", "2nd Cousin Once Removed"
+ */
+export function getKinshipLabel(generationsA, generationsB, personB = {}, half = false) {
+  const halfPrefix = half ? 'Half-' : '';
+
+  if (generationsA === 0) {
+    if (generationsB === 1) return getGenderedLabel(personB, 'Son', 'Daughter', 'Child');
+    const prefix = greats(generationsB - 2);
+    return getGenderedLabel(personB, `${prefix}Grandson`, `${prefix}Granddaughter`, `${prefix}Grandchild`);
+  }
+  if (generationsB === 0) {
+    if (generationsA === 1) return getGenderedLabel(personB, 'Father', 'Mother', 'Parent');
+    const prefix = greats(generationsA - 2);
+    return getGenderedLabel(personB, `${prefix}Grandfather`, `${prefix}Grandmother`, `${prefix}Grandparent`);
+  }
+  if (generationsA === 1 && generationsB === 1) {
+    return `${halfPrefix}${getGenderedLabel(personB, 'Brother', 'Sister', 'Sibling')}`;
+  }
+  if (generationsB === 1) {
+    const prefix = greats(generationsA - 2);
+    return `${halfPrefix}${getGenderedLabel(personB, `${prefix}Uncle`, `${prefix}Aunt`, `${prefix}Aunt/Uncle`)}`;
+  }
+  if (generationsA === 1) {
+    const prefix = generationsB > 2 ? `${greats(generationsB - 3)}Grand-` : '';
+    return `${halfPrefix}${getGenderedLabel(personB, `${prefix}Nephew`, `${prefix}Niece`, `${prefix}Niece/Nephew`)}`;
+  }
+
+  const cousinDegree = Math.min(generationsA, generationsB) - 1;
+  const removal = Math.abs(generationsA - generationsB);
+  const removed = removal === 0 ? ''
+    : removal === 1 ? ' Once Removed'
+      : removal === 2 ? ' Twice Removed'
+        : ` ${removal}x Removed`;
+  return `${halfPrefix}${getOrdinal(cousinDegree)} Cousin${removed}`;
+}
+
+/**
+ * Group common-ancestry paths into relationships. Paths that share every
+ * person below the ancestor describe one relationship through a couple
+ * (full); a lone ancestor gives a half relationship.
+ *
+ * @param {Array} paths - From findCommonAncestry
+ * @param {Map} peopleById - Map of personId -> person
+ * @returns {Array<Object>} { label, ancestorIds, generationsA, generationsB, degree, half }
+ */
+export function describeCommonAncestry(paths, peopleById) {
+  const groups = new Map();
+
+  paths.forEach(path => {
+    const key = `${path.pathA.slice(0, -1).join(',')}|${path.pathB.slice(0, -1).join(',')}`;
+    if (!groups.has(key)) {
+      groups.set(key, { ...path, ancestorIds: [] });
+    }
+    groups.get(key).ancestorIds.push(path.ancestorId);
+  });
+
+  return [...groups.values()].map(group => {
+    const direct = group.generationsA === 0 || group.generationsB === 0;
+    const half = !direct && group.ancestorIds.length < 2;
+    const personB = peopleById.get(group.pathB[0]) || {};
+    return {
+      label: getKinshipLabel(group.generationsA, group.generationsB, personB, half),
+      ancestorIds: group.ancestorIds,
+      generationsA: group.generationsA,
+      generationsB: group.generationsB,
+      degree: group.degree,
+      half
+    };
+  });
+}
+
+/**
+ * Everything known about how two people are related by blood
+ *
+ * @param {number} personAId - First person
+ * @param {number} personBId - Second person
+ * @param {Map} parentMap - Map of personId -> [parentIds]
+ * @param {Map} peopleById - Map of personId -> person
+ * @param {Object} [options] - { maxDepth, cache }
+ * @returns {Object} { related, relationships, closestDegree, kinship, relationship }
+ */
+export function analyzeKinship(personAId, personBId, parentMap, peopleById, options = {}) {
+  const cache = options.cache || createAnalysisCache();
+  const withCache = { ...options, cache };
+
+  const paths = findCommonAncestry(personAId, personBId, parentMap, withCache);
+  const relationships = describeCommonAncestry(paths, peopleById);
+
+  return {
+    related: relationships.length > 0,
+    relationships,
+    closestDegree: relationships.length > 0 ? Math.min(...relationships.map(r => r.degree)) : null,
+    kinship: calculateKinshipCoefficient(personAId, personBId, parentMap, withCache),
+    relationship: calculateRelationshipCoefficient(personAId, personBId, parentMap, withCache)
+  };
+}
+
+/**
+ * Format a coefficient as a percentage ("6.25%")
+ */
+export function formatCoefficient(value) {
+  if (!value) return '0%';
+  const percent = value * 100;
+  return `${percent >= 1 ? Number(percent.toFixed(2)) : Number(percent.toPrecision(2))}%`;
+}
+
+// ==================== PEDIGREE COLLAPSE ====================
+
+/**
+ * Pedigree collapse: how many ancestor slots are filled by someone who
+ * already fills another. Measured against the slots actually known, so a
+ * thin pedigree is not mistaken for a collapsed one.
+ *
+ * @param {number} personId - Person to measure
+ * @param {Map} parentMap - Map of personId -> [parentIds]
+ * @param {Object} [options] - { generations = 6 }
+ * @returns {Object} {
+ *   generations: [{ generation, possibleSlots, knownSlots, distinctAncestors }],
+ *   knownSlots, distinctAncestors, collapse (0-1),
+ *   repeatedAncestors: [{ personId, occurrences }]
+ * }
+ */
+export function calculatePedigreeCollapse(personId, parentMap, options = {}) {
+  const { generations = 6 } = options;
+  const occurrences = new Map();
+  const byGeneration = [];
+  let current = [personId];
+
+  for (let generation = 1; generation <= generations; generation++) {
+    const next = current.flatMap(id => parentMap.get(id) || []);
+    if (next.length === 0) break;
+
+    next.forEach(id => occurrences.set(id, (occurrences.get(id) || 0) + 1));
+    byGeneration.push({
+      generation,
+      possibleSlots: 2 ** generation,
+      knownSlots: next.length,
+      distinctAncestors: new Set(next).size
+    });
+    current = next;
+  }
+
+  const knownSlots = byGeneration.reduce((sum, g) => sum + g.knownSlots, 0);
+  const distinctAncestors = occurrences.size;
+
+  return {
+    generations: byGeneration,
+    knownSlots,
+    distinctAncestors,
+    collapse: knownSlots > 0 ? 1 - distinctAncestors / knownSlots : 0,
+    repeatedAncestors: [...occurrences.entries()]
+      .filter(([, count]) => count > 1)
+      .map(([id, count]) => ({ personId: id, occurrences: count }))
+      .sort((a, b) => b.occurrences - a.occurrences)
+  };
+}
+
+/**
+ * Inbreeding and pedigree-collapse statistics for the members of a house
+ *
+ * @param {number} houseId - House to measure
+ * @param {Array} people - All people
+ * @param {Map} parentMap - Map of personId -> [parentIds]
+ * @param {Map} spouseMap - Map of personId -> [spouseIds]
+ * @param {Object} [options] - { generations, maxDepth, cache }
+ * @returns {Object} {
+ *   houseId, memberCount, averageCollapse, averageInbreeding, inbredCount,
+ *   mostInbred: { personId, coefficient } | null,
+ *   mostCollapsed: { personId, collapse } | null,
+ *   consanguineousMarriages: [{ person1Id, person2Id, kinship, label, degree }]
+ * }
+ */
+export function getHouseConsanguinityStats(houseId, people, parentMap, spouseMap, options = {}) {
+  const cache = options.cache || createAnalysisCache();
+  const withCache = { ...options, cache };
+  const peopleById = new Map(people.map(p => [p.id, p]));
+  const members = people.filter(p => p.houseId === houseId);
+
+  let collapseSum = 0;
+  let inbreedingSum = 0;
+  let inbredCount = 0;
+  let mostInbred = null;
+  let mostCollapsed = null;
+  const consanguineousMarriages = [];
+  const seenCouples = new Set();
+
+  members.forEach(member => {
+    const { collapse } = calculatePedigreeCollapse(member.id, parentMap, withCache);
+    const coefficient = calculateInbreedingCoefficient(member.id, parentMap, withCache);
+
+    collapseSum += collapse;
+    inbreedingSum += coefficient;
+    if (coefficient > 0) inbredCount++;
+    if (coefficient > 0 && (!mostInbred || coefficient > mostInbred.coefficient)) {
+      mostInbred = { personId: member.id, coefficient };
+    }
+    if (collapse > 0 && (!mostCollapsed || collapse > mostCollapsed.collapse)) {
+      mostCollapsed = { personId: member.id, collapse };
+    }
+
+    getSpouseIds(spouseMap, member.id).forEach(spouseId => {
+      const coupleKey = [member.id, spouseId].sort((a, b) => a - b).join('-');
+      if (seenCouples.has(coupleKey)) return;
+      seenCouples.add(coupleKey);
+
+      const kinship = analyzeKinship(member.id, spouseId, parentMap, peopleById, withCache);
+      if (!kinship.related) return;
+      const closest = kinship.relationships.find(r => r.degree === kinship.closestDegree);
+      consanguineousMarriages.push({
+        person1Id: member.id,
+        person2Id: spouseId,
+        kinship: kinship.kinship,
+        label: closest.label,
+        degree: kinship.closestDegree
+      });
+    });
+  });
+
+  return {
+    houseId,
+    memberCount: members.length,
+    averageCollapse: members.length > 0 ? collapseSum / members.length : 0,
+    averageInbreeding: members.length > 0 ? inbreedingSum / members.length : 0,
+    inbredCount,
+    mostInbred,
+    mostCollapsed,
+    consanguineousMarriages: consanguineousMarriages.sort((a, b) => a.degree - b.degree)
+  };
+}
+
+// ==================== MARRIAGE CHECK ====================
+
+/**
+ * Warn about a proposed marriage between people related within a number
+ * of degrees. Returns a warning in the SmartDataValidator shape.
+ *
+ * @param {number} person1Id - First partner
+ * @param {number} person2Id - Second partner
+ * @param {Map} parentMap - Map of personId -> [parentIds]
+ * @param {Map} peopleById - Map of personId -> person
+ * @param {number} [maxDegree] - Warn at this many degrees or fewer
+ * @returns {Object|null} { code, message, details, severity } or null
+ */
+export function checkProposedMarriage(person1Id, person2Id, parentMap, peopleById, maxDegree = DEFAULT_WARNING_DEGREE) {
+  if (!person1Id || !person2Id || person1Id === person2Id) return null;
+
+  const kinship = analyzeKinship(person1Id, person2Id, parentMap, peopleById);
+  if (!kinship.related || kinship.closestDegree > maxDegree) return null;
+
+  const person1 = peopleById.get(person1Id);
+  const person2 = peopleById.get(person2Id);
+  const labels = [...new Set(kinship.relationships.map(r => r.label))];
+  const name = (person) => (person ? `${person.firstName} ${person.lastName}` : 'Unknown');
+
+  return {
+    code: 'CONSANGUINEOUS_MARRIAGE',
+    message: `${name(person2)} is ${name(person1)}'s ${labels.join(', ')} ` +
+      `(${kinship.closestDegree} degrees, relationship ${formatCoefficient(kinship.relationship)})`,
+    details: kinship,
+    severity: 'warning'
+  };
+}
+
+export default {
+  MAX_ANCESTRY_DEPTH,
+  DEFAULT_WARNING_DEGREE,
+  buildBloodParentMap,
+  createAnalysisCache,
+  findCommonAncestry,
+  calculateInbreedingCoefficient,
+  calculateKinshipCoefficient,
+  calculateRelationshipCoefficient,
+  getKinshipLabel,
+  describeCommonAncestry,
+  analyzeKinship,
+  formatCoefficient,
+  calculatePedigreeCollapse,
+  getHouseConsanguinityStats,
+  checkProposedMarriage
+};
@@ -0,0 +1,168 @@
+/**
+ * Consanguinity Service Tests
+ *
+ * Tests for blood-relationship analysis:
+ * - Paths of common ancestry and their labels
+ * - Kinship, relationship and inbreeding coefficients
+ * - Pedigree collapse and per-house statistics
+ * - Proposed marriage warnings
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildRelationshipMaps } from '../utils/RelationshipCalculator';
+import {
+  buildBloodParentMap,
+  findCommonAncestry,
+  calculateInbreedingCoefficient,
+  calculateKinshipCoefficient,
+  calculateRelationshipCoefficient,
+  analyzeKinship,
+  calculatePedigreeCollapse,
+  getHouseConsanguinityStats,
+  checkProposedMarriage
+} from './consanguinityService';
+
+// Gerard + Gisela -> Stefan, Sabine
+// Stefan + Wilma -> Conrad;  Sabine + Hugo -> Clara
+// Conrad + Clara (first cousins) -> Xavier
+const people = [
+  { id: 1, firstName: 'Gerard', lastName: 'Valmont', gender: 'male', houseId: 1 },
+  { id: 2, firstName: 'Gisela', lastName: 'Valmont', gender: 'female', houseId: 2 },
+  { id: 3, firstName: 'Stefan', lastName: 'Valmont', gender: 'male', houseId: 1 },
+  { id: 4, firstName: 'Sabine', lastName: 'Valmont', gender: 'female', houseId: 1 },
+  { id: 5, firstName: 'Wilma', lastName: 'Adler', gender: 'female', houseId: 2 },
+  { id: 6, firstName: 'Hugo', lastName: 'Brandt', gender: 'male', houseId: 2 },
+  { id: 7, firstName: 'Conrad', lastName: 'Valmont', gender: 'male', houseId: 1 },
+  { id: 8, firstName: 'Clara', lastName: 'Brandt', gender: 'female', houseId: 2 },
+  { id: 9, firstName: 'Xavier', lastName: 'Valmont', gender: 'male', houseId: 1 }
+];
+
+const parent = (person1Id, person2Id, extra = {}) => ({ person1Id, person2Id, relationshipType: 'parent', ...extra });
+const spouse = (person1Id, person2Id) => ({ person1Id, person2Id, relationshipType: 'spouse' });
+
+const relationships = [
+  spouse(1, 2),
+  parent(1, 3), parent(2, 3), parent(1, 4), parent(2, 4),
+  spouse(3, 5),
+  parent(3, 7), parent(5, 7),
+  spouse(4, 6),
+  parent(4, 8), parent(6, 8),
+  spouse(7, 8),
+  parent(7, 9), parent(8, 9)
+];
+
+const peopleById = new Map(people.map(p => [p.id, p]));
+const parentMap = buildBloodParentMap(relationships);
+
+describe('consanguinityService', () => {
+  describe('buildBloodParentMap', () => {
+    it('should ignore adoptive and non-biological parents', () => {
+      const map = buildBloodParentMap([
+        parent(1, 3),
+        { person1Id: 2, person2Id: 3, relationshipType: 'adopted-parent' },
+        parent(5, 3, { biologicalParent: false })
+      ]);
+      expect(map.get(3)).toEqual([1]);
+    });
+  });
+
+  describe('findCommonAncestry', () => {
+    it('should find one path through each ancestor of a couple', () => {
+      const paths = findCommonAncestry(7, 8, parentMap);
+      expect(paths.map(p => p.ancestorId).sort()).toEqual([1, 2]);
+      expect(paths[0]).toMatchObject({ pathA: [7, 3, paths[0].ancestorId], generationsA: 2, generationsB: 2, degree: 4 });
+    });
+
+    it('should not count paths that meet below the common ancestor', () => {
+      // Xavier and his grandfather Stefan: via Conrad, and via Clara up to
+      // Gerard and Gisela - but never via Conrad and Stefan up to Gerard again
+      const paths = findCommonAncestry(9, 3, parentMap);
+      expect(paths.map(p => p.pathA)).toEqual([[9, 7, 3], [9, 8, 4, 1], [9, 8, 4, 2]]);
+      expect(paths[0]).toMatchObject({ ancestorId: 3, pathB: [3], degree: 2 });
+    });
+  });
+
+  describe('coefficients', () => {
+    it('should give textbook values for siblings and cousins', () => {
+      expect(calculateKinshipCoefficient(3, 4, parentMap)).toBe(0.25);
+      expect(calculateRelationshipCoefficient(3, 4, parentMap)).toBe(0.5);
+      expect(calculateKinshipCoefficient(7, 8, parentMap)).toBe(1 / 16);
+      expect(calculateRelationshipCoefficient(7, 8, parentMap)).toBe(0.125);
+    });
+
+    it('should make the child of first cousins inbred', () => {
+      expect(calculateInbreedingCoefficient(9, parentMap)).toBe(1 / 16);
+      expect(calculateInbreedingCoefficient(7, parentMap)).toBe(0);
+    });
+
+    it('should add up every relationship between double first cousins', () => {
+      // Two brothers marry two sisters
+      const doubleCousins = buildBloodParentMap([
+        parent(1, 3), parent(2, 3), parent(1, 4), parent(2, 4),
+        parent(10, 5), parent(11, 5), parent(10, 6), parent(11, 6),
+        parent(3, 7), parent(5, 7), parent(4, 8), parent(6, 8)
+      ]);
+      expect(calculateRelationshipCoefficient(7, 8, doubleCousins)).toBe(0.25);
+    });
+  });
+
+  describe('analyzeKinship', () => {
+    it('should label each relationship, including half relationships', () => {
+      const halfParents = buildBloodParentMap([parent(1, 3), parent(2, 3), parent(1, 4)]);
+      const result = analyzeKinship(3, 4, halfParents, peopleById);
+
+      expect(result.relationships).toEqual([
+        { label: 'Half-Sister', ancestorIds: [1], generationsA: 1, generationsB: 1, degree: 2, half: true }
+      ]);
+      expect(result.relationship).toBe(0.25);
+    });
+
+    it('should describe a couple of common ancestors as one full relationship', () => {
+      const result = analyzeKinship(9, 4, parentMap, peopleById);
+      const labels = result.relationships.map(r => r.label);
+
+      // Sabine is Xavier's grandmother and, through Conrad, his great-aunt
+      expect(labels).toContain('Grandmother');
+      expect(labels).toContain('Great-Aunt');
+      expect(result.closestDegree).toBe(2);
+    });
+  });
+
+  describe('calculatePedigreeCollapse', () => {
+    it('should count a shared couple of great-grandparents once', () => {
+      const result = calculatePedigreeCollapse(9, parentMap);
+
+      expect(result.generations[2]).toEqual({ generation: 3, possibleSlots: 8, knownSlots: 4, distinctAncestors: 2 });
+      expect(result.repeatedAncestors).toEqual([
+        { personId: 1, occurrences: 2 },
+        { personId: 2, occurrences: 2 }
+      ]);
+      expect(result.collapse).toBeCloseTo(1 - 8 / 10);
+    });
+  });
+
+  describe('getHouseConsanguinityStats', () => {
+    it('should report inbred members and cousin marriages', () => {
+      const { spouseMap } = buildRelationshipMaps(relationships);
+      const stats = getHouseConsanguinityStats(1, people, parentMap, spouseMap);
+
+      expect(stats.memberCount).toBe(5);
+      expect(stats.inbredCount).toBe(1);
+      expect(stats.mostInbred).toEqual({ personId: 9, coefficient: 1 / 16 });
+      expect(stats.consanguineousMarriages).toEqual([
+        { person1Id: 7, person2Id: 8, kinship: 1 / 16, label: '1st Cousin', degree: 4 }
+      ]);
+    });
+  });
+
+  describe('checkProposedMarriage', () => {
+    it('should warn within the configured degree only', () => {
+      const warning = checkProposedMarriage(7, 8, parentMap, peopleById, 4);
+      expect(warning).toMatchObject({ code: 'CONSANGUINEOUS_MARRIAGE', severity: 'warning' });
+      expect(warning.message).toBe("Clara Brandt is Conrad Valmont's 1st Cousin (4 degrees, relationship 12.5%)");
+
+      expect(checkProposedMarriage(7, 8, parentMap, peopleById, 3)).toBeNull();
+      expect(checkProposedMarriage(5, 6, parentMap, peopleById, 4)).toBeNull();
+    });
+  });
+});
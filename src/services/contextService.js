@@ -32,6 +32,9 @@ import { getAllRelationships } from './database.js';
 import { getAllEntries } from './codexService.js';
 import { getAllDignities, getTenuresForDignity, DIGNITY_CLASSES, DIGNITY_RANKS } from './dignityService.js';
 import { getAllHeraldry } from './heraldryService.js';
+import { getAllLifeEvents } from './lifeEventService.js';
+import { getCalendar } from './datasetSettingsService.js';
+import { buildWorldTimeline } from '../utils/lifeEvents.js';
 
 // ==================== CONFIGURATION ====================
 
@@ -431,11 +434,13 @@ async function generateMasterContext(datasetId) {
   const contextId = 'master';
 
   // Get all data
-  const [houses, people, codexEntries, relationships] = await Promise.all([
+  const [houses, people, codexEntries, relationships, lifeEvents, calendar] = await Promise.all([
     getAllHouses(datasetId),
     getAllPeople(datasetId),
     getAllEntries(datasetId),
-    getAllRelationships(datasetId)
+    getAllRelationships(datasetId),
+    getAllLifeEvents(datasetId),
+    getCalendar(datasetId)
   ]);
 
   // Clear existing files for this context
@@ -450,7 +455,8 @@ async function generateMasterContext(datasetId) {
       houses: houses.length,
       people: people.length,
       codexEntries: codexEntries.length,
-      relationships: relationships.length
+      relationships: relationships.length,
+      lifeEvents: lifeEvents.length
     },
     files: [
       '_index.json',
@@ -493,15 +499,8 @@ async function generateMasterContext(datasetId) {
   }));
   await saveContextFile(contextId, 'codex-summary.json', codexSummary, 'summary', datasetId);
 
-  // Generate timeline (events from codex)
-  const events = codexEntries
-    .filter(e => e.type === 'event')
-    .map(e => ({
-      id: e.id,
-      title: e.title,
-      era: e.era,
-      category: e.category
-    }));
+  // Generate timeline (life events in date order, then undated Codex events)
+  const events = buildWorldTimeline({ lifeEvents, people, houses, codexEntries }, calendar);
   await saveContextFile(contextId, 'timeline.json', events, 'timeline', datasetId);
 
   // Update registry
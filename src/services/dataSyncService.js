@@ -75,6 +75,18 @@ import {
   addHouseholdRoleCloud,
   updateHouseholdRoleCloud,
   deleteHouseholdRoleCloud,
+  addLifeEventCloud,
+  updateLifeEventCloud,
+  deleteLifeEventCloud,
+  addLocationCloud,
+  updateLocationCloud,
+  deleteLocationCloud,
+  addResidenceCloud,
+  updateResidenceCloud,
+  deleteResidenceCloud,
+  addHouseSeatCloud,
+  updateHouseSeatCloud,
+  deleteHouseSeatCloud,
   addWritingCloud,
   updateWritingCloud,
   deleteWritingCloud,
@@ -101,7 +113,10 @@ import {
   addArcMilestoneCloud,
   updateArcMilestoneCloud,
   deleteArcMilestoneCloud,
+  setDatasetSettingCloud,
+  deleteDatasetSettingCloud,
   syncAllToCloud,
+  batchUpdateCloud,
   downloadAllFromCloud,
   hasCloudData
 } from './firestoreService';
@@ -117,6 +132,7 @@ import {
   getDatabase,
   // Sync queue functions for data loss prevention
   addToSyncQueue,
+  addBatchToSyncQueue,
   markEntitySynced,
   hasPendingChanges,
   getPendingChangeCount,
@@ -330,11 +346,36 @@ async function syncSingleChange(userId, datasetId, entityType, change) {
       update: () => updateDignityCloud(userId, datasetId, entityId, data),
       delete: () => deleteDignityCloud(userId, datasetId, entityId)
     },
+    dignityTenure: {
+      add: () => addDignityTenureCloud(userId, datasetId, { ...data, id: entityId }),
+      update: () => updateDignityTenureCloud(userId, datasetId, entityId, data),
+      delete: () => deleteDignityTenureCloud(userId, datasetId, entityId)
+    },
     householdRole: {
       add: () => addHouseholdRoleCloud(userId, datasetId, { ...data, id: entityId }),
       update: () => updateHouseholdRoleCloud(userId, datasetId, entityId, data),
       delete: () => deleteHouseholdRoleCloud(userId, datasetId, entityId)
     },
+    lifeEvent: {
+      add: () => addLifeEventCloud(userId, datasetId, { ...data, id: entityId }),
+      update: () => updateLifeEventCloud(userId, datasetId, entityId, data),
+      delete: () => deleteLifeEventCloud(userId, datasetId, entityId)
+    },
+    location: {
+      add: () => addLocationCloud(userId, datasetId, { ...data, id: entityId }),
+      update: () => updateLocationCloud(userId, datasetId, entityId, data),
+      delete: () => deleteLocationCloud(userId, datasetId, entityId)
+    },
+    residence: {
+      add: () => addResidenceCloud(userId, datasetId, { ...data, id: entityId }),
+      update: () => updateResidenceCloud(userId, datasetId, entityId, data),
+      delete: () => deleteResidenceCloud(userId, datasetId, entityId)
+    },
+    houseSeat: {
+      add: () => addHouseSeatCloud(userId, datasetId, { ...data, id: entityId }),
+      update: () => updateHouseSeatCloud(userId, datasetId, entityId, data),
+      delete: () => deleteHouseSeatCloud(userId, datasetId, entityId)
+    },
     writing: {
       add: () => addWritingCloud(userId, datasetId, { ...data, id: entityId }),
       update: () => updateWritingCloud(userId, datasetId, entityId, data),
@@ -378,6 +419,10 @@ async function syncSingleChange(userId, datasetId, entityType, change) {
       add: () => addArcMilestoneCloud(userId, datasetId, { ...data, id: entityId }),
       update: () => updateArcMilestoneCloud(userId, datasetId, entityId, data),
       delete: () => deleteArcMilestoneCloud(userId, datasetId, entityId)
+    },
+    datasetSetting: {
+      set: () => setDatasetSettingCloud(userId, datasetId, { ...data, key: entityId }),
+      delete: () => deleteDatasetSettingCloud(userId, datasetId, entityId)
     }
   };
 
@@ -578,6 +623,38 @@ export async function initializeSync(userId, datasetId = DEFAULT_DATASET_ID) {
         console.warn('Could not get household roles:', e);
       }
 
+      // Get life events
+      let lifeEvents = [];
+      try {
+        lifeEvents = await localDb.lifeEvents.toArray();
+      } catch (e) {
+        console.warn('Could not get life events:', e);
+      }
+
+      // Get locations
+      let locations = [];
+      try {
+        locations = await localDb.locations.toArray();
+      } catch (e) {
+        console.warn('Could not get locations:', e);
+      }
+
+      // Get residences
+      let residences = [];
+      try {
+        residences = await localDb.residences.toArray();
+      } catch (e) {
+        console.warn('Could not get residences:', e);
+      }
+
+      // Get house seats
+      let houseSeats = [];
+      try {
+        houseSeats = await localDb.houseSeats.toArray();
+      } catch (e) {
+        console.warn('Could not get house seats:', e);
+      }
+
       // Get writings data
       let writings = [];
       let chapters = [];
@@ -608,6 +685,14 @@ export async function initializeSync(userId, datasetId = DEFAULT_DATASET_ID) {
         console.warn('Could not get planning data:', e);
       }
 
+      // Get dataset settings (calendar, etc.)
+      let datasetSettings = [];
+      try {
+        datasetSettings = await localDb.datasetSettings.toArray();
+      } catch (e) {
+        console.warn('Could not get dataset settings:', e);
+      }
+
       await syncAllToCloud(userId, dsId, {
         people: localPeople,
         houses: localHouses,
@@ -620,6 +705,10 @@ export async function initializeSync(userId, datasetId = DEFAULT_DATASET_ID) {
         dignityTenures,
         dignityLinks,
         householdRoles,
+        lifeEvents,
+        locations,
+        residences,
+        houseSeats,
         writings,
         chapters,
         writingLinks,
@@ -628,7 +717,8 @@ export async function initializeSync(userId, datasetId = DEFAULT_DATASET_ID) {
         scenePlans,
         plotThreads,
         characterArcs,
-        arcMilestones
+        arcMilestones,
+        datasetSettings
       });
 
       updateSyncStatus({ isSyncing: false, lastSyncTime: new Date() });
@@ -770,6 +860,46 @@ export async function initializeSync(userId, datasetId = DEFAULT_DATASET_ID) {
       }
     }
 
+    // Handle life events if they exist
+    for (const event of cloudData.lifeEvents || []) {
+      const { createdAt, updatedAt, syncedAt, localId, ...eventData } = event;
+      try {
+        await localDb.lifeEvents.put({ ...eventData, id: parseInt(event.id) || event.id });
+      } catch (e) {
+        console.warn('Could not restore life event:', e);
+      }
+    }
+
+    // Handle locations if they exist
+    for (const location of cloudData.locations || []) {
+      const { createdAt, updatedAt, syncedAt, localId, ...locationData } = location;
+      try {
+        await localDb.locations.put({ ...locationData, id: parseInt(location.id) || location.id });
+      } catch (e) {
+        console.warn('Could not restore location:', e);
+      }
+    }
+
+    // Handle residences if they exist
+    for (const residence of cloudData.residences || []) {
+      const { createdAt, updatedAt, syncedAt, localId, ...residenceData } = residence;
+      try {
+        await localDb.residences.put({ ...residenceData, id: parseInt(residence.id) || residence.id });
+      } catch (e) {
+        console.warn('Could not restore residence:', e);
+      }
+    }
+
+    // Handle house seats if they exist
+    for (const seat of cloudData.houseSeats || []) {
+      const { createdAt, updatedAt, syncedAt, localId, ...seatData } = seat;
+      try {
+        await localDb.houseSeats.put({ ...seatData, id: parseInt(seat.id) || seat.id });
+      } catch (e) {
+        console.warn('Could not restore house seat:', e);
+      }
+    }
+
     // Handle writings if they exist
     for (const writing of cloudData.writings || []) {
       const { createdAt, updatedAt, syncedAt, localId, ...writingData } = writing;
@@ -860,6 +990,19 @@ export async function initializeSync(userId, datasetId = DEFAULT_DATASET_ID) {
       }
     }
 
+    // Handle dataset settings if they exist (keyed by setting name)
+    for (const setting of cloudData.datasetSettings || []) {
+      try {
+        await localDb.datasetSettings.put({
+          key: setting.key || setting.id,
+          value: setting.value,
+          updated: setting.updated
+        });
+      } catch (e) {
+        console.warn('Could not restore dataset setting:', e);
+      }
+    }
+
     updateSyncStatus({ isSyncing: false, lastSyncTime: new Date() });
 
     return {
@@ -1120,6 +1263,136 @@ export async function syncDeleteCodexEntry(userId, datasetId, entryId) {
   }
 }
 
+// ==================== UNDO/REDO REPLAY ====================
+
+/**
+ * Push an undo/redo replay through the regular sync wrappers
+ *
+ * Each operation is queued like the original mutation would have been, so
+ * the cloud copy converges on the restored state even if we are offline now.
+ * Operations run in order (the history service already orders them so that
+ * restored records exist before anything that references them).
+ *
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {Array} operations - [{ entityType, entityId, operation: 'add'|'update'|'delete', data }]
+ */
+export async function syncReplayedOperations(userId, datasetId, operations) {
+  const wrappers = {
+    person: { add: syncAddPerson, update: syncUpdatePerson, delete: syncDeletePerson },
+    house: { add: syncAddHouse, update: syncUpdateHouse, delete: syncDeleteHouse },
+    relationship: { add: syncAddRelationship, update: syncUpdateRelationship, delete: syncDeleteRelationship },
+    codexEntry: { add: syncAddCodexEntry, update: syncUpdateCodexEntry, delete: syncDeleteCodexEntry },
+    codexLink: { add: syncAddCodexLink, delete: syncDeleteCodexLink },
+    dignity: { add: syncAddDignity, update: syncUpdateDignity, delete: syncDeleteDignity },
+    dignityTenure: { add: syncAddDignityTenure, update: syncUpdateDignityTenure, delete: syncDeleteDignityTenure }
+  };
+
+  for (const { entityType, entityId, operation, data } of operations) {
+    const wrapper = wrappers[entityType]?.[operation];
+    if (!wrapper) {
+      console.warn(`☁️ No sync wrapper for replayed ${operation} of ${entityType}`);
+      continue;
+    }
+
+    if (operation === 'delete') {
+      await wrapper(userId, datasetId, entityId);
+    } else {
+      await wrapper(userId, datasetId, entityId, data);
+    }
+  }
+}
+
+// ==================== BULK EDIT ====================
+
+const BULK_COLLECTIONS = {
+  person: 'people',
+  relationship: 'relationships'
+};
+
+/**
+ * Sync a bulk edit as one batch (local queue + cloud)
+ *
+ * The whole edit is queued in one write, then pushed to the cloud in
+ * batched writes rather than one request per record.
+ *
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {Array} changes - [{ entityType: 'person'|'relationship', entityId, updates }]
+ */
+export async function syncBulkUpdate(userId, datasetId, changes) {
+  await addBatchToSyncQueue(changes.map(({ entityType, entityId, updates }) => ({
+    entityType, entityId, operation: 'update', data: updates
+  })), datasetId);
+
+  if (!userId || !isOnline) return;
+
+  try {
+    await retryWithBackoff(
+      () => batchUpdateCloud(userId, datasetId, changes.map(({ entityType, entityId, updates }) => ({
+        collection: BULK_COLLECTIONS[entityType], id: entityId, data: updates
+      }))),
+      SYNC_RETRY_CONFIG
+    );
+    for (const { entityType, entityId } of changes) {
+      await markEntitySynced(entityType, entityId, datasetId);
+    }
+  } catch (error) {
+    console.error('☁️ Failed to sync bulk edit after retries:', error);
+  }
+}
+
+// ==================== PERSON MERGE ====================
+
+/**
+ * Sync a person merge, or its reversal, record by record
+ *
+ * Links have no update in the cloud; re-adding one under the same ID
+ * overwrites it. Namesake acknowledgements are local-only and skipped.
+ *
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {Array} changes - The merge's [{ entityType, entityId, before, after }]
+ * @param {'merge'|'reverse'} direction
+ */
+export async function syncPersonMerge(userId, datasetId, changes, direction) {
+  const wrappers = {
+    person: { add: syncAddPerson, update: syncUpdatePerson, delete: syncDeletePerson },
+    house: { update: syncUpdateHouse },
+    relationship: { add: syncAddRelationship, update: syncUpdateRelationship, delete: syncDeleteRelationship },
+    codexEntry: { update: syncUpdateCodexEntry },
+    dignity: { update: syncUpdateDignity },
+    dignityTenure: { update: syncUpdateDignityTenure },
+    householdRole: { update: syncUpdateHouseholdRole },
+    lifeEvent: { update: syncUpdateLifeEvent },
+    residence: { update: syncUpdateResidence },
+    heraldryLink: { add: syncAddHeraldryLink, update: syncAddHeraldryLink, delete: syncDeleteHeraldryLink },
+    writingLink: { add: syncAddWritingLink, update: syncAddWritingLink, delete: syncDeleteWritingLink }
+  };
+
+  // Reversing restores the duplicate before anything points back at them
+  const ordered = direction === 'reverse' ? [...changes].reverse() : changes;
+
+  for (const { entityType, entityId, before, after } of ordered) {
+    if (entityType === 'acknowledgedDuplicate') continue;
+    const target = direction === 'reverse' ? before : after;
+    const current = direction === 'reverse' ? after : before;
+    const operation = !target ? 'delete' : !current ? 'add' : 'update';
+
+    const wrapper = wrappers[entityType]?.[operation];
+    if (!wrapper) {
+      console.warn(`☁️ No sync wrapper for merged ${operation} of ${entityType}`);
+      continue;
+    }
+
+    if (operation === 'delete') {
+      await wrapper(userId, datasetId, entityId);
+    } else {
+      await wrapper(userId, datasetId, entityId, target);
+    }
+  }
+}
+
 // ==================== CODEX LINK SYNC WRAPPERS ====================
 
 /**
@@ -1432,6 +1705,222 @@ export async function syncDeleteHouseholdRole(userId, datasetId, roleId) {
   }
 }
 
+// ==================== LIFE EVENTS SYNC ====================
+
+/**
+ * Add life event (local + cloud)
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {number} eventId - The local event ID (after local add)
+ * @param {Object} eventData - The event data
+ */
+export async function syncAddLifeEvent(userId, datasetId, eventId, eventData) {
+  await addToSyncQueue({ entityType: 'lifeEvent', entityId: eventId, operation: 'add', data: eventData }, datasetId);
+
+  if (!userId || !isOnline) return;
+
+  try {
+    await addLifeEventCloud(userId, datasetId, { ...eventData, id: eventId });
+    await markEntitySynced('lifeEvent', eventId, datasetId);
+  } catch (error) {
+    console.error('☁️ Failed to sync life event add:', error);
+  }
+}
+
+/**
+ * Update life event (local + cloud)
+ */
+export async function syncUpdateLifeEvent(userId, datasetId, eventId, updates) {
+  await addToSyncQueue({ entityType: 'lifeEvent', entityId: eventId, operation: 'update', data: updates }, datasetId);
+
+  if (!userId || !isOnline) return;
+
+  try {
+    await updateLifeEventCloud(userId, datasetId, eventId, updates);
+    await markEntitySynced('lifeEvent', eventId, datasetId);
+  } catch (error) {
+    console.error('☁️ Failed to sync life event update:', error);
+  }
+}
+
+/**
+ * Delete life event (local + cloud)
+ */
+export async function syncDeleteLifeEvent(userId, datasetId, eventId) {
+  await addToSyncQueue({ entityType: 'lifeEvent', entityId: eventId, operation: 'delete' }, datasetId);
+
+  if (!userId || !isOnline) return;
+
+  try {
+    await deleteLifeEventCloud(userId, datasetId, eventId);
+    await markEntitySynced('lifeEvent', eventId, datasetId);
+  } catch (error) {
+    console.error('☁️ Failed to sync life event delete:', error);
+  }
+}
+
+// ==================== LOCATIONS SYNC ====================
+
+/**
+ * Add location (local + cloud)
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {number} locationId - The local location ID (after local add)
+ * @param {Object} locationData - The location data
+ */
+export async function syncAddLocation(userId, datasetId, locationId, locationData) {
+  await addToSyncQueue({ entityType: 'location', entityId: locationId, operation: 'add', data: locationData }, datasetId);
+
+  if (!userId || !isOnline) return;
+
+  try {
+    await addLocationCloud(userId, datasetId, { ...locationData, id: locationId });
+    await markEntitySynced('location', locationId, datasetId);
+  } catch (error) {
+    console.error('☁️ Failed to sync location add:', error);
+  }
+}
+
+/**
+ * Update location (local + cloud)
+ */
+export async function syncUpdateLocation(userId, datasetId, locationId, updates) {
+  await addToSyncQueue({ entityType: 'location', entityId: locationId, operation: 'update', data: updates }, datasetId);
+
+  if (!userId || !isOnline) return;
+
+  try {
+    await updateLocationCloud(userId, datasetId, locationId, updates);
+    await markEntitySynced('location', locationId, datasetId);
+  } catch (error) {
+    console.error('☁️ Failed to sync location update:', error);
+  }
+}
+
+/**
+ * Delete location (local + cloud)
+ */
+export async function syncDeleteLocation(userId, datasetId, locationId) {
+  await addToSyncQueue({ entityType: 'location', entityId: locationId, operation: 'delete' }, datasetId);
+
+  if (!userId || !isOnline) return;
+
+  try {
+    await deleteLocationCloud(userId, datasetId, locationId);
+    await markEntitySynced('location', locationId, datasetId);
+  } catch (error) {
+    console.error('☁️ Failed to sync location delete:', error);
+  }
+}
+
+// ==================== RESIDENCES SYNC ====================
+
+/**
+ * Add residence (local + cloud)
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {number} residenceId - The local residence ID (after local add)
+ * @param {Object} residenceData - The residence data
+ */
+export async function syncAddResidence(userId, datasetId, residenceId, residenceData) {
+  await addToSyncQueue({ entityType: 'residence', entityId: residenceId, operation: 'add', data: residenceData }, datasetId);
+
+  if (!userId || !isOnline) return;
+
+  try {
+    await addResidenceCloud(userId, datasetId, { ...residenceData, id: residenceId });
+    await markEntitySynced('residence', residenceId, datasetId);
+  } catch (error) {
+    console.error('☁️ Failed to sync residence add:', error);
+  }
+}
+
+/**
+ * Update residence (local + cloud)
+ */
+export async function syncUpdateResidence(userId, datasetId, residenceId, updates) {
+  await addToSyncQueue({ entityType: 'residence', entityId: residenceId, operation: 'update', data: updates }, datasetId);
+
+  if (!userId || !isOnline) return;
+
+  try {
+    await updateResidenceCloud(userId, datasetId, residenceId, updates);
+    await markEntitySynced('residence', residenceId, datasetId);
+  } catch (error) {
+    console.error('☁️ Failed to sync residence update:', error);
+  }
+}
+
+/**
+ * Delete residence (local + cloud)
+ */
+export async function syncDeleteResidence(userId, datasetId, residenceId) {
+  await addToSyncQueue({ entityType: 'residence', entityId: residenceId, operation: 'delete' }, datasetId);
+
+  if (!userId || !isOnline) return;
+
+  try {
+    await deleteResidenceCloud(userId, datasetId, residenceId);
+    await markEntitySynced('residence', residenceId, datasetId);
+  } catch (error) {
+    console.error('☁️ Failed to sync residence delete:', error);
+  }
+}
+
+// ==================== HOUSE SEATS SYNC ====================
+
+/**
+ * Add house seat (local + cloud)
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {number} seatId - The local house seat ID (after local add)
+ * @param {Object} seatData - The house seat data
+ */
+export async function syncAddHouseSeat(userId, datasetId, seatId, seatData) {
+  await addToSyncQueue({ entityType: 'houseSeat', entityId: seatId, operation: 'add', data: seatData }, datasetId);
+
+  if (!userId || !isOnline) return;
+
+  try {
+    await addHouseSeatCloud(userId, datasetId, { ...seatData, id: seatId });
+    await markEntitySynced('houseSeat', seatId, datasetId);
+  } catch (error) {
+    console.error('☁️ Failed to sync house seat add:', error);
+  }
+}
+
+/**
+ * Update house seat (local + cloud)
+ */
+export async function syncUpdateHouseSeat(userId, datasetId, seatId, updates) {
+  await addToSyncQueue({ entityType: 'houseSeat', entityId: seatId, operation: 'update', data: updates }, datasetId);
+
+  if (!userId || !isOnline) return;
+
+  try {
+    await updateHouseSeatCloud(userId, datasetId, seatId, updates);
+    await markEntitySynced('houseSeat', seatId, datasetId);
+  } catch (error) {
+    console.error('☁️ Failed to sync house seat update:', error);
+  }
+}
+
+/**
+ * Delete house seat (local + cloud)
+ */
+export async function syncDeleteHouseSeat(userId, datasetId, seatId) {
+  await addToSyncQueue({ entityType: 'houseSeat', entityId: seatId, operation: 'delete' }, datasetId);
+
+  if (!userId || !isOnline) return;
+
+  try {
+    await deleteHouseSeatCloud(userId, datasetId, seatId);
+    await markEntitySynced('houseSeat', seatId, datasetId);
+  } catch (error) {
+    console.error('☁️ Failed to sync house seat delete:', error);
+  }
+}
+
 // ==================== WRITINGS SYNC ====================
 
 /**
@@ -1874,6 +2363,45 @@ export async function syncDeleteArcMilestone(userId, datasetId, milestoneId) {
   }
 }
 
+// ==================== DATASET SETTINGS SYNC ====================
+
+/**
+ * Save dataset setting (local + cloud)
+ * Settings are keyed by name, so the entity ID is the setting key.
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {string} key - The setting key
+ * @param {Object} settingData - The full setting row ({ key, value, updated })
+ */
+export async function syncSetDatasetSetting(userId, datasetId, key, settingData) {
+  await addToSyncQueue({ entityType: 'datasetSetting', entityId: key, operation: 'set', data: settingData }, datasetId);
+
+  if (!userId || !isOnline) return;
+
+  try {
+    await setDatasetSettingCloud(userId, datasetId, { ...settingData, key });
+    await markEntitySynced('datasetSetting', key, datasetId);
+  } catch (error) {
+    console.error('☁️ Failed to sync dataset setting:', error);
+  }
+}
+
+/**
+ * Delete dataset setting (local + cloud)
+ */
+export async function syncDeleteDatasetSetting(userId, datasetId, key) {
+  await addToSyncQueue({ entityType: 'datasetSetting', entityId: key, operation: 'delete' }, datasetId);
+
+  if (!userId || !isOnline) return;
+
+  try {
+    await deleteDatasetSettingCloud(userId, datasetId, key);
+    await markEntitySynced('datasetSetting', key, datasetId);
+  } catch (error) {
+    console.error('☁️ Failed to sync dataset setting delete:', error);
+  }
+}
+
 // ==================== UTILITY ====================
 
 /**
@@ -2024,6 +2552,46 @@ export async function forceCloudSync(userId, datasetId = DEFAULT_DATASET_ID, opt
       }
     }
 
+    // Restore life events
+    for (const event of cloudData.lifeEvents || []) {
+      const { createdAt, updatedAt, syncedAt, localId, ...eventData } = event;
+      try {
+        await localDb.lifeEvents.put({ ...eventData, id: parseInt(event.id) || event.id });
+      } catch (e) {
+        console.warn('Could not restore life event during force sync:', e);
+      }
+    }
+
+    // Restore locations
+    for (const location of cloudData.locations || []) {
+      const { createdAt, updatedAt, syncedAt, localId, ...locationData } = location;
+      try {
+        await localDb.locations.put({ ...locationData, id: parseInt(location.id) || location.id });
+      } catch (e) {
+        console.warn('Could not restore location during force sync:', e);
+      }
+    }
+
+    // Restore residences
+    for (const residence of cloudData.residences || []) {
+      const { createdAt, updatedAt, syncedAt, localId, ...residenceData } = residence;
+      try {
+        await localDb.residences.put({ ...residenceData, id: parseInt(residence.id) || residence.id });
+      } catch (e) {
+        console.warn('Could not restore residence during force sync:', e);
+      }
+    }
+
+    // Restore house seats
+    for (const seat of cloudData.houseSeats || []) {
+      const { createdAt, updatedAt, syncedAt, localId, ...seatData } = seat;
+      try {
+        await localDb.houseSeats.put({ ...seatData, id: parseInt(seat.id) || seat.id });
+      } catch (e) {
+        console.warn('Could not restore house seat during force sync:', e);
+      }
+    }
+
     // Restore writings
     for (const writing of cloudData.writings || []) {
       const { createdAt, updatedAt, syncedAt, localId, ...writingData } = writing;
@@ -2114,6 +2682,19 @@ export async function forceCloudSync(userId, datasetId = DEFAULT_DATASET_ID, opt
       }
     }
 
+    // Restore dataset settings
+    for (const setting of cloudData.datasetSettings || []) {
+      try {
+        await localDb.datasetSettings.put({
+          key: setting.key || setting.id,
+          value: setting.value,
+          updated: setting.updated
+        });
+      } catch (e) {
+        console.warn('Could not restore dataset setting during force sync:', e);
+      }
+    }
+
     updateSyncStatus({ isSyncing: false, lastSyncTime: new Date() });
     return { status: 'success', data: cloudData };
   } catch (error) {
@@ -2157,6 +2738,10 @@ export async function forceUploadToCloud(userId, datasetId = DEFAULT_DATASET_ID)
     let dignityTenures = [];
     let dignityLinks = [];
     let householdRoles = [];
+    let lifeEvents = [];
+    let locations = [];
+    let residences = [];
+    let houseSeats = [];
 
     try {
       codexEntries = await getAllCodexEntries();
@@ -2186,6 +2771,30 @@ export async function forceUploadToCloud(userId, datasetId = DEFAULT_DATASET_ID)
       console.warn('Could not get household roles for upload:', e);
     }
 
+    try {
+      lifeEvents = await localDb.lifeEvents.toArray();
+    } catch (e) {
+      console.warn('Could not get life events for upload:', e);
+    }
+
+    try {
+      locations = await localDb.locations.toArray();
+    } catch (e) {
+      console.warn('Could not get locations for upload:', e);
+    }
+
+    try {
+      residences = await localDb.residences.toArray();
+    } catch (e) {
+      console.warn('Could not get residences for upload:', e);
+    }
+
+    try {
+      houseSeats = await localDb.houseSeats.toArray();
+    } catch (e) {
+      console.warn('Could not get house seats for upload:', e);
+    }
+
     // Get writings data
     let writings = [];
     let chapters = [];
@@ -2216,6 +2825,14 @@ export async function forceUploadToCloud(userId, datasetId = DEFAULT_DATASET_ID)
       console.warn('Could not get planning data for upload:', e);
     }
 
+    // Get dataset settings (calendar, etc.)
+    let datasetSettings = [];
+    try {
+      datasetSettings = await localDb.datasetSettings.toArray();
+    } catch (e) {
+      console.warn('Could not get dataset settings for upload:', e);
+    }
+
     // Upload everything to cloud
     await syncAllToCloud(userId, dsId, {
       people: localPeople,
@@ -2229,6 +2846,10 @@ export async function forceUploadToCloud(userId, datasetId = DEFAULT_DATASET_ID)
       dignityTenures,
       dignityLinks,
       householdRoles,
+      lifeEvents,
+      locations,
+      residences,
+      houseSeats,
       writings,
       chapters,
       writingLinks,
@@ -2237,7 +2858,8 @@ export async function forceUploadToCloud(userId, datasetId = DEFAULT_DATASET_ID)
       scenePlans,
       plotThreads,
       characterArcs,
-      arcMilestones
+      arcMilestones,
+      datasetSettings
     });
 
     // Clear the sync queue since everything is now synced
@@ -2297,6 +2919,15 @@ export default {
   syncUpdateCodexEntry,
   syncDeleteCodexEntry,
 
+  // Undo/redo replay
+  syncReplayedOperations,
+
+  // Bulk edit
+  syncBulkUpdate,
+
+  // Person merge
+  syncPersonMerge,
+
   // Sync wrappers - Codex Links
   syncAddCodexLink,
   syncDeleteCodexLink,
@@ -2318,6 +2949,26 @@ export default {
   syncAddDignityLink,
   syncDeleteDignityLink,
 
+  // Sync wrappers - Life Events
+  syncAddLifeEvent,
+  syncUpdateLifeEvent,
+  syncDeleteLifeEvent,
+
+  // Sync wrappers - Locations
+  syncAddLocation,
+  syncUpdateLocation,
+  syncDeleteLocation,
+
+  // Sync wrappers - Residences
+  syncAddResidence,
+  syncUpdateResidence,
+  syncDeleteResidence,
+
+  // Sync wrappers - House Seats
+  syncAddHouseSeat,
+  syncUpdateHouseSeat,
+  syncDeleteHouseSeat,
+
   // Sync wrappers - Writings
   syncAddWriting,
   syncUpdateWriting,
@@ -2356,5 +3007,9 @@ export default {
   // Sync wrappers - Planning: Arc Milestones
   syncAddArcMilestone,
   syncUpdateArcMilestone,
-  syncDeleteArcMilestone
+  syncDeleteArcMilestone,
+
+  // Sync wrappers - Dataset Settings
+  syncSetDatasetSetting,
+  syncDeleteDatasetSetting
 };
@@ -1,4 +1,6 @@
 import Dexie from 'dexie';
+import { yearsBetween, getTodayCanonical, getLifeStatus, LIFE_STATUS } from '../utils/calendarUtils';
+import { MERGE_TABLES, planPersonMerge, describeMerge } from '../utils/personMerge';
 
 // Context notification - lazy loaded to avoid circular deps
 let contextNotify = null;
@@ -517,6 +519,192 @@ db.version(16).stores({
   // contextLog: History of context generation events for auditing
   contextLog: '++id, contextId, event, trigger, timestamp, duration, stats'
 });
+
+// Version 17: Add Dataset Settings
+// Key/value store for per-dataset world configuration (calendar definition, etc.).
+// Keyed by setting name rather than auto-increment ID - one row per setting.
+db.version(17).stores({
+  people: '++id, firstName, lastName, houseId, dateOfBirth, dateOfDeath, bastardStatus, codexEntryId, heraldryId',
+  houses: '++id, houseName, parentHouseId, houseType, codexEntryId, heraldryId',
+  relationships: '++id, person1Id, person2Id, relationshipType',
+  codexEntries: '++id, type, title, category, *tags, era, created, updated',
+  codexLinks: '++id, sourceId, targetId, type',
+  acknowledgedDuplicates: '++id, person1Id, person2Id, acknowledgedAt',
+  heraldry: '++id, name, category, *tags, created, updated',
+  heraldryLinks: '++id, heraldryId, entityType, entityId, linkType',
+  dignities: '++id, name, shortName, dignityClass, dignityRank, swornToId, currentHolderId, currentHouseId, codexEntryId, created, updated',
+  dignityTenures: '++id, dignityId, personId, dateStarted, dateEnded, acquisitionType, endType, created',
+  dignityLinks: '++id, dignityId, entityType, entityId, linkType, created',
+  bugs: '++id, title, status, priority, system, page, created, resolved',
+  householdRoles: '++id, houseId, roleType, currentHolderId, startDate, created, updated',
+  syncQueue: '++id, entityType, entityId, operation, timestamp, synced',
+  writings: '++id, title, type, status, *tags, createdAt, updatedAt',
+  chapters: '++id, writingId, order, createdAt, updatedAt',
+  writingLinks: '++id, writingId, chapterId, targetType, targetId, createdAt',
+  storyPlans: '++id, writingId, framework, *genre, createdAt, updatedAt',
+  storyArcs: '++id, storyPlanId, type, status, order, createdAt, updatedAt',
+  storyBeats: '++id, storyPlanId, storyArcId, beatType, status, order, createdAt, updatedAt',
+  scenePlans: '++id, storyPlanId, chapterId, povCharacterId, status, order, createdAt, updatedAt',
+  characterArcs: '++id, storyPlanId, characterId, arcType, status, createdAt, updatedAt',
+  plotThreads: '++id, storyPlanId, threadType, status, createdAt, updatedAt',
+  contextRegistry: '++id, contextId, contextType, houseId, status, lastGenerated, lastSourceChange, *tags',
+  contextFiles: '++id, contextId, filePath, fileType, content, size, itemCount, generatedAt',
+  contextLog: '++id, contextId, event, trigger, timestamp, duration, stats',
+  // NEW: datasetSettings - one row per setting key (e.g. 'calendar')
+  datasetSettings: 'key, updated'
+});
+
+// Version 18: Add Operation Journal
+// Undo/redo history for genealogy mutations. Each row is one user-level
+// operation with before/after snapshots of every record it touched.
+db.version(18).stores({
+  people: '++id, firstName, lastName, houseId, dateOfBirth, dateOfDeath, bastardStatus, codexEntryId, heraldryId',
+  houses: '++id, houseName, parentHouseId, houseType, codexEntryId, heraldryId',
+  relationships: '++id, person1Id, person2Id, relationshipType',
+  codexEntries: '++id, type, title, category, *tags, era, created, updated',
+  codexLinks: '++id, sourceId, targetId, type',
+  acknowledgedDuplicates: '++id, person1Id, person2Id, acknowledgedAt',
+  heraldry: '++id, name, category, *tags, created, updated',
+  heraldryLinks: '++id, heraldryId, entityType, entityId, linkType',
+  dignities: '++id, name, shortName, dignityClass, dignityRank, swornToId, currentHolderId, currentHouseId, codexEntryId, created, updated',
+  dignityTenures: '++id, dignityId, personId, dateStarted, dateEnded, acquisitionType, endType, created',
+  dignityLinks: '++id, dignityId, entityType, entityId, linkType, created',
+  bugs: '++id, title, status, priority, system, page, created, resolved',
+  householdRoles: '++id, houseId, roleType, currentHolderId, startDate, created, updated',
+  syncQueue: '++id, entityType, entityId, operation, timestamp, synced',
+  writings: '++id, title, type, status, *tags, createdAt, updatedAt',
+  chapters: '++id, writingId, order, createdAt, updatedAt',
+  writingLinks: '++id, writingId, chapterId, targetType, targetId, createdAt',
+  storyPlans: '++id, writingId, framework, *genre, createdAt, updatedAt',
+  storyArcs: '++id, storyPlanId, type, status, order, createdAt, updatedAt',
+  storyBeats: '++id, storyPlanId, storyArcId, beatType, status, order, createdAt, updatedAt',
+  scenePlans: '++id, storyPlanId, chapterId, povCharacterId, status, order, createdAt, updatedAt',
+  characterArcs: '++id, storyPlanId, characterId, arcType, status, createdAt, updatedAt',
+  plotThreads: '++id, storyPlanId, threadType, status, createdAt, updatedAt',
+  contextRegistry: '++id, contextId, contextType, houseId, status, lastGenerated, lastSourceChange, *tags',
+  contextFiles: '++id, contextId, filePath, fileType, content, size, itemCount, generatedAt',
+  contextLog: '++id, contextId, event, trigger, timestamp, duration, stats',
+  datasetSettings: 'key, updated',
+  // NEW: operationJournal - status is 'done' (undoable) or 'undone' (redoable)
+  operationJournal: '++id, status, timestamp'
+});
+
+// Version 19: Add Person Merges
+// One row per merge of a duplicate person into another, holding before/after
+// snapshots of every record it touched so the merge can be reversed.
+db.version(19).stores({
+  people: '++id, firstName, lastName, houseId, dateOfBirth, dateOfDeath, bastardStatus, codexEntryId, heraldryId',
+  houses: '++id, houseName, parentHouseId, houseType, codexEntryId, heraldryId',
+  relationships: '++id, person1Id, person2Id, relationshipType',
+  codexEntries: '++id, type, title, category, *tags, era, created, updated',
+  codexLinks: '++id, sourceId, targetId, type',
+  acknowledgedDuplicates: '++id, person1Id, person2Id, acknowledgedAt',
+  heraldry: '++id, name, category, *tags, created, updated',
+  heraldryLinks: '++id, heraldryId, entityType, entityId, linkType',
+  dignities: '++id, name, shortName, dignityClass, dignityRank, swornToId, currentHolderId, currentHouseId, codexEntryId, created, updated',
+  dignityTenures: '++id, dignityId, personId, dateStarted, dateEnded, acquisitionType, endType, created',
+  dignityLinks: '++id, dignityId, entityType, entityId, linkType, created',
+  bugs: '++id, title, status, priority, system, page, created, resolved',
+  householdRoles: '++id, houseId, roleType, currentHolderId, startDate, created, updated',
+  syncQueue: '++id, entityType, entityId, operation, timestamp, synced',
+  writings: '++id, title, type, status, *tags, createdAt, updatedAt',
+  chapters: '++id, writingId, order, createdAt, updatedAt',
+  writingLinks: '++id, writingId, chapterId, targetType, targetId, createdAt',
+  storyPlans: '++id, writingId, framework, *genre, createdAt, updatedAt',
+  storyArcs: '++id, storyPlanId, type, status, order, createdAt, updatedAt',
+  storyBeats: '++id, storyPlanId, storyArcId, beatType, status, order, createdAt, updatedAt',
+  scenePlans: '++id, storyPlanId, chapterId, povCharacterId, status, order, createdAt, updatedAt',
+  characterArcs: '++id, storyPlanId, characterId, arcType, status, createdAt, updatedAt',
+  plotThreads: '++id, storyPlanId, threadType, status, createdAt, updatedAt',
+  contextRegistry: '++id, contextId, contextType, houseId, status, lastGenerated, lastSourceChange, *tags',
+  contextFiles: '++id, contextId, filePath, fileType, content, size, itemCount, generatedAt',
+  contextLog: '++id, contextId, event, trigger, timestamp, duration, stats',
+  datasetSettings: 'key, updated',
+  operationJournal: '++id, status, timestamp',
+  // NEW: personMerges - status is 'merged' or 'reversed'
+  personMerges: '++id, survivorId, mergedId, status, mergedAt'
+});
+
+// Version 20: Add Life Events
+// Dated events in people's lives (knightings, battles, exiles, coronations...)
+// linked to any number of people and houses, a Codex location and a Codex
+// event entry. Multi-entry indexes find a person's or house's events.
+db.version(20).stores({
+  people: '++id, firstName, lastName, houseId, dateOfBirth, dateOfDeath, bastardStatus, codexEntryId, heraldryId',
+  houses: '++id, houseName, parentHouseId, houseType, codexEntryId, heraldryId',
+  relationships: '++id, person1Id, person2Id, relationshipType',
+  codexEntries: '++id, type, title, category, *tags, era, created, updated',
+  codexLinks: '++id, sourceId, targetId, type',
+  acknowledgedDuplicates: '++id, person1Id, person2Id, acknowledgedAt',
+  heraldry: '++id, name, category, *tags, created, updated',
+  heraldryLinks: '++id, heraldryId, entityType, entityId, linkType',
+  dignities: '++id, name, shortName, dignityClass, dignityRank, swornToId, currentHolderId, currentHouseId, codexEntryId, created, updated',
+  dignityTenures: '++id, dignityId, personId, dateStarted, dateEnded, acquisitionType, endType, created',
+  dignityLinks: '++id, dignityId, entityType, entityId, linkType, created',
+  bugs: '++id, title, status, priority, system, page, created, resolved',
+  householdRoles: '++id, houseId, roleType, currentHolderId, startDate, created, updated',
+  syncQueue: '++id, entityType, entityId, operation, timestamp, synced',
+  writings: '++id, title, type, status, *tags, createdAt, updatedAt',
+  chapters: '++id, writingId, order, createdAt, updatedAt',
+  writingLinks: '++id, writingId, chapterId, targetType, targetId, createdAt',
+  storyPlans: '++id, writingId, framework, *genre, createdAt, updatedAt',
+  storyArcs: '++id, storyPlanId, type, status, order, createdAt, updatedAt',
+  storyBeats: '++id, storyPlanId, storyArcId, beatType, status, order, createdAt, updatedAt',
+  scenePlans: '++id, storyPlanId, chapterId, povCharacterId, status, order, createdAt, updatedAt',
+  characterArcs: '++id, storyPlanId, characterId, arcType, status, createdAt, updatedAt',
+  plotThreads: '++id, storyPlanId, threadType, status, createdAt, updatedAt',
+  contextRegistry: '++id, contextId, contextType, houseId, status, lastGenerated, lastSourceChange, *tags',
+  contextFiles: '++id, contextId, filePath, fileType, content, size, itemCount, generatedAt',
+  contextLog: '++id, contextId, event, trigger, timestamp, duration, stats',
+  datasetSettings: 'key, updated',
+  operationJournal: '++id, status, timestamp',
+  personMerges: '++id, survivorId, mergedId, status, mergedAt',
+  // NEW: lifeEvents - date/endDate are stored dates (see utils/calendarUtils)
+  lifeEvents: '++id, eventType, date, *personIds, *houseIds, codexLocationId, codexEntryId, created, updated'
+});
+
+// Version 21: Add Locations, Residences and House Seats
+// A registry of places (regions, holdings, castles...) nested by parentId and
+// tied to Codex location entries, with who lived where and which house held
+// its seat where over time. Dignities gain seatLocationId for their seat.
+db.version(21).stores({
+  people: '++id, firstName, lastName, houseId, dateOfBirth, dateOfDeath, bastardStatus, codexEntryId, heraldryId',
+  houses: '++id, houseName, parentHouseId, houseType, codexEntryId, heraldryId',
+  relationships: '++id, person1Id, person2Id, relationshipType',
+  codexEntries: '++id, type, title, category, *tags, era, created, updated',
+  codexLinks: '++id, sourceId, targetId, type',
+  acknowledgedDuplicates: '++id, person1Id, person2Id, acknowledgedAt',
+  heraldry: '++id, name, category, *tags, created, updated',
+  heraldryLinks: '++id, heraldryId, entityType, entityId, linkType',
+  dignities: '++id, name, shortName, dignityClass, dignityRank, swornToId, currentHolderId, currentHouseId, codexEntryId, seatLocationId, created, updated',
+  dignityTenures: '++id, dignityId, personId, dateStarted, dateEnded, acquisitionType, endType, created',
+  dignityLinks: '++id, dignityId, entityType, entityId, linkType, created',
+  bugs: '++id, title, status, priority, system, page, created, resolved',
+  householdRoles: '++id, houseId, roleType, currentHolderId, startDate, created, updated',
+  syncQueue: '++id, entityType, entityId, operation, timestamp, synced',
+  writings: '++id, title, type, status, *tags, createdAt, updatedAt',
+  chapters: '++id, writingId, order, createdAt, updatedAt',
+  writingLinks: '++id, writingId, chapterId, targetType, targetId, createdAt',
+  storyPlans: '++id, writingId, framework, *genre, createdAt, updatedAt',
+  storyArcs: '++id, storyPlanId, type, status, order, createdAt, updatedAt',
+  storyBeats: '++id, storyPlanId, storyArcId, beatType, status, order, createdAt, updatedAt',
+  scenePlans: '++id, storyPlanId, chapterId, povCharacterId, status, order, createdAt, updatedAt',
+  characterArcs: '++id, storyPlanId, characterId, arcType, status, createdAt, updatedAt',
+  plotThreads: '++id, storyPlanId, threadType, status, createdAt, updatedAt',
+  contextRegistry: '++id, contextId, contextType, houseId, status, lastGenerated, lastSourceChange, *tags',
+  contextFiles: '++id, contextId, filePath, fileType, content, size, itemCount, generatedAt',
+  contextLog: '++id, contextId, event, trigger, timestamp, duration, stats',
+  datasetSettings: 'key, updated',
+  operationJournal: '++id, status, timestamp',
+  personMerges: '++id, survivorId, mergedId, status, mergedAt',
+  lifeEvents: '++id, eventType, date, *personIds, *houseIds, codexLocationId, codexEntryId, created, updated',
+  // NEW: locations - parentId nests holdings and castles within regions
+  locations: '++id, name, locationType, parentId, codexEntryId, created, updated',
+  // NEW: residences - where a person lived, startDate/endDate are stored dates
+  residences: '++id, personId, locationId, startDate, endDate, created, updated',
+  // NEW: houseSeats - a house's seat over time
+  houseSeats: '++id, houseId, locationId, startDate, endDate, created, updated'
+});
 } // End of applySchema function
 
 /**
@@ -956,18 +1144,223 @@ export async function deleteRelationship(id, datasetId) {
   }
 }
 
+// ==================== BULK OPERATIONS ====================
+
+const BULK_TABLES = {
+  person: 'people',
+  relationship: 'relationships'
+};
+
+/**
+ * Apply many person/relationship updates in one transaction
+ *
+ * Either every update is written or none is, so a bulk edit can't leave
+ * half the selection changed.
+ *
+ * @param {Array} changes - [{ entityType: 'person'|'relationship', entityId, updates }]
+ * @param {string} [datasetId] - Dataset ID
+ * @returns {Promise<number>} Number of records updated
+ * @throws {Error} If a change names another entity type or a missing record
+ */
+export async function bulkUpdateRecords(changes, datasetId) {
+  try {
+    const database = getDatabase(datasetId);
+    changes.forEach(({ entityType }) => {
+      if (!BULK_TABLES[entityType]) throw new Error(`Bulk update not supported for ${entityType}`);
+    });
+
+    await database.transaction('rw', database.people, database.relationships, async () => {
+      for (const { entityType, entityId, updates } of changes) {
+        const updated = await database[BULK_TABLES[entityType]].update(entityId, updates);
+        if (updated === 0) throw new Error(`${entityType} ${entityId} not found`);
+      }
+    });
+    console.log(`Bulk updated ${changes.length} records`);
+
+    // Notify context system
+    for (const { entityType, entityId } of changes) {
+      if (entityType !== 'person') continue;
+      notifyContextChange('person', 'update', await database.people.get(entityId), datasetId);
+    }
+
+    return changes.length;
+  } catch (error) {
+    console.error('Error in bulk update:', error);
+    throw error;
+  }
+}
+
+// ==================== PERSON MERGE ====================
+
+/**
+ * Read everything a merge might re-point and plan it
+ * @private
+ */
+async function planMergeFromDatabase(database, survivorId, duplicateId, choices, options) {
+  const data = {};
+  for (const table of Object.values(MERGE_TABLES)) {
+    data[table] = await database[table].toArray();
+  }
+  return planPersonMerge(survivorId, duplicateId, choices, data, options);
+}
+
+/**
+ * Plan a merge against the stored data without writing anything
+ *
+ * @param {number} survivorId - Person kept
+ * @param {number} duplicateId - Person folded in
+ * @param {Object} [choices] - Per-field picks (see utils/personMerge.getDefaultChoices)
+ * @param {Object} [options] - { relationshipTypes }
+ * @param {string} [datasetId] - Dataset ID
+ * @returns {Promise<{merged: Object, changes: Array, summary: Object}>}
+ */
+export async function previewPersonMerge(survivorId, duplicateId, choices, options = {}, datasetId) {
+  try {
+    const database = getDatabase(datasetId);
+    return await planMergeFromDatabase(database, survivorId, duplicateId, choices, options);
+  } catch (error) {
+    console.error('Error previewing person merge:', error);
+    throw error;
+  }
+}
+
+/**
+ * Merge a duplicate person into another
+ *
+ * Plans and writes the merge in one transaction (see utils/personMerge.js)
+ * and keeps it in personMerges so reversePersonMerge() can undo it.
+ *
+ * @param {number} survivorId - Person kept
+ * @param {number} duplicateId - Person folded in and deleted
+ * @param {Object} [choices] - Per-field picks
+ * @param {Object} [options] - { relationshipTypes }
+ * @param {string} [datasetId] - Dataset ID
+ * @returns {Promise<Object>} The stored merge record ({ id, label, changes, ... })
+ */
+export async function mergePeople(survivorId, duplicateId, choices, options = {}, datasetId) {
+  try {
+    const database = getDatabase(datasetId);
+    const tables = [...Object.values(MERGE_TABLES), 'personMerges'].map(name => database[name]);
+    let merge = null;
+
+    await database.transaction('rw', tables, async () => {
+      const plan = await planMergeFromDatabase(database, survivorId, duplicateId, choices, options);
+      const duplicate = plan.changes.find(c => c.entityType === 'person' && c.entityId === duplicateId).before;
+      const survivor = plan.changes.find(c => c.entityType === 'person' && c.entityId === survivorId).before;
+
+      for (const { entityType, entityId, after } of plan.changes) {
+        const table = database[MERGE_TABLES[entityType]];
+        if (after) await table.put(after);
+        else await table.delete(entityId);
+      }
+
+      merge = {
+        survivorId,
+        mergedId: duplicateId,
+        label: describeMerge(survivor, duplicate),
+        changes: plan.changes,
+        summary: plan.summary,
+        status: 'merged',
+        mergedAt: new Date().toISOString()
+      };
+      merge.id = await database.personMerges.add(merge);
+    });
+
+    console.log(`🔀 ${merge.label} (${merge.changes.length} records)`);
+    notifyContextChange('person', 'update', await database.people.get(survivorId), datasetId);
+    return merge;
+  } catch (error) {
+    console.error('Error merging people:', error);
+    throw error;
+  }
+}
+
+/**
+ * Reverse a merge: bring the duplicate back and point everything at them again
+ *
+ * Refuses if any record the merge wrote has been edited since, rather
+ * than overwrite that edit.
+ *
+ * @param {number} mergeId - personMerges ID
+ * @param {string} [datasetId] - Dataset ID
+ * @returns {Promise<Object>} The merge record, now with status 'reversed'
+ * @throws {Error} If the merge is missing, already reversed or its records have changed
+ */
+export async function reversePersonMerge(mergeId, datasetId) {
+  try {
+    const database = getDatabase(datasetId);
+    const tables = [...Object.values(MERGE_TABLES), 'personMerges'].map(name => database[name]);
+    let merge = null;
+
+    await database.transaction('rw', tables, async () => {
+      merge = await database.personMerges.get(mergeId);
+      if (!merge) throw new Error(`Merge ${mergeId} not found`);
+      if (merge.status !== 'merged') throw new Error(`"${merge.label}" has already been reversed`);
+
+      const ordered = [...merge.changes].reverse();
+      for (const { entityType, entityId, after } of ordered) {
+        const current = await database[MERGE_TABLES[entityType]].get(entityId);
+        if (JSON.stringify(current ?? null) !== JSON.stringify(after ?? null)) {
+          throw new Error(`Cannot reverse "${merge.label}": ${entityType} ${entityId} has changed since`);
+        }
+      }
+
+      for (const { entityType, entityId, before } of ordered) {
+        const table = database[MERGE_TABLES[entityType]];
+        if (before) await table.put(before);
+        else await table.delete(entityId);
+      }
+
+      merge.status = 'reversed';
+      merge.reversedAt = new Date().toISOString();
+      await database.personMerges.put(merge);
+    });
+
+    console.log('↩️ Reversed:', merge.label);
+    return merge;
+  } catch (error) {
+    console.error('Error reversing person merge:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all merges, newest first
+ *
+ * @param {string} [datasetId] - Dataset ID
+ */
+export async function getPersonMerges(datasetId) {
+  try {
+    const database = getDatabase(datasetId);
+    return await database.personMerges.orderBy('id').reverse().toArray();
+  } catch (error) {
+    console.error('Error getting person merges:', error);
+    return [];
+  }
+}
+
 // ==================== CADET HOUSE OPERATIONS ====================
 
-export function calculateAge(dateOfBirth) {
+/**
+ * Age at which a person may found a house, hold a dignity without a
+ * regent, etc.
+ */
+export const AGE_OF_MAJORITY = 18;
+
+/**
+ * Calculate a person's age in whole years
+ *
+ * Ages are measured against the story present (the in-world "now") when
+ * one is given; otherwise against today's real date.
+ *
+ * @param {string} dateOfBirth - Stored birth date
+ * @param {Object} [options]
+ * @param {string} [options.asOf] - Stored date to measure to (the story present)
+ * @returns {number|null} Age, or null if the birth date is missing/unreadable
+ */
+export function calculateAge(dateOfBirth, { asOf = null } = {}) {
   if (!dateOfBirth) return null;
-  const today = new Date();
-  const birth = new Date(dateOfBirth);
-  let age = today.getFullYear() - birth.getFullYear();
-  const monthDiff = today.getMonth() - birth.getMonth();
-  if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birth.getDate())) {
-    age--;
-  }
-  return age;
+  return yearsBetween(dateOfBirth, asOf || getTodayCanonical());
 }
 
 /**
@@ -989,18 +1382,30 @@ export function calculateAge(dateOfBirth) {
  * @param {string} person.dateOfBirth - Date of birth
  * @param {string} person.legitimacyStatus - Legitimacy status
  * @param {string} [person.bastardStatus] - Bastard status if applicable
+ * @param {Object} [options]
+ * @param {string} [options.asOf] - Story present to evaluate at (defaults to today)
+ * @param {Object} [options.calendar] - Dataset calendar, for comparing dates
  * @returns {{eligible: boolean, tier: number|null, reason: string|null}}
  */
-export function isEligibleForCeremony(person) {
+export function isEligibleForCeremony(person, { asOf = null, calendar = null } = {}) {
   // Must have a birth date
   if (!person.dateOfBirth) {
     return { eligible: false, tier: null, reason: 'No birth date recorded' };
   }
+
+  // Must be alive at the story present
+  const lifeStatus = getLifeStatus(person, asOf, calendar);
+  if (lifeStatus === LIFE_STATUS.UNBORN) {
+    return { eligible: false, tier: null, reason: 'Not yet born' };
+  }
+  if (lifeStatus === LIFE_STATUS.DECEASED) {
+    return { eligible: false, tier: null, reason: 'Deceased' };
+  }
   
-  // Must be at least 18
-  const age = calculateAge(person.dateOfBirth);
-  if (age < 18) {
-    return { eligible: false, tier: null, reason: `Must be at least 18 (currently ${age})` };
+  // Must be of age
+  const age = calculateAge(person.dateOfBirth, { asOf });
+  if (age < AGE_OF_MAJORITY) {
+    return { eligible: false, tier: null, reason: `Must be at least ${AGE_OF_MAJORITY} (currently ${age})` };
   }
   
   // Check for bastards (Tier 2)
@@ -1036,8 +1441,8 @@ export function isEligibleForCeremony(person) {
  * Returns boolean instead of object
  * @deprecated Use isEligibleForCeremony(person).eligible instead
  */
-export function canFoundCadetHouse(person) {
-  return isEligibleForCeremony(person).eligible;
+export function canFoundCadetHouse(person, options = {}) {
+  return isEligibleForCeremony(person, options).eligible;
 }
 
 /**
@@ -1197,6 +1602,21 @@ export async function deleteAllData(datasetId, options = {}) {
     if (database.characterArcs) await database.characterArcs.clear();
     if (database.plotThreads) await database.plotThreads.clear();
 
+    // Clear dataset settings (calendar, etc.) if the table exists
+    if (database.datasetSettings) await database.datasetSettings.clear();
+
+    // Clear life events if the table exists
+    if (database.lifeEvents) await database.lifeEvents.clear();
+
+    // Clear locations tables if they exist
+    if (database.locations) await database.locations.clear();
+    if (database.residences) await database.residences.clear();
+    if (database.houseSeats) await database.houseSeats.clear();
+
+    // Undo history and merge records refer to the records just cleared
+    if (database.operationJournal) await database.operationJournal.clear();
+    if (database.personMerges) await database.personMerges.clear();
+
     // Only clear syncQueue if explicitly requested (after successful full sync)
     if (options.clearSyncQueue && database.syncQueue) {
       await database.syncQueue.clear();
@@ -1410,6 +1830,36 @@ export async function addToSyncQueue(change, datasetId) {
   }
 }
 
+/**
+ * Add many changes to the sync queue in one write
+ *
+ * Used by bulk edits so the whole batch is queued together: if the app
+ * closes mid-way, either all of it or none of it is pending.
+ *
+ * @param {Array} changes - [{ entityType, entityId, operation, data }] as for addToSyncQueue
+ * @param {string} [datasetId] - Dataset ID
+ * @returns {Promise<number>} Number of entries queued
+ */
+export async function addBatchToSyncQueue(changes, datasetId) {
+  try {
+    const database = getDatabase(datasetId);
+    const timestamp = Date.now();
+    await database.syncQueue.bulkAdd(changes.map(change => ({
+      entityType: change.entityType,
+      entityId: String(change.entityId),
+      operation: change.operation,
+      data: change.data || null,
+      timestamp,
+      synced: 0
+    })));
+    console.log(`📝 Queued batch of ${changes.length} changes`);
+    return changes.length;
+  } catch (error) {
+    console.error('Error adding batch to sync queue:', error);
+    throw error;
+  }
+}
+
 /**
  * Mark a sync queue entry as synced (called after cloud confirms)
  *
@@ -7,6 +7,7 @@
  * - Relationship operations (add, get, update, delete)
  * - Utility functions (age calculation, ceremony eligibility)
  * - Cascade delete behavior
+ * - Person merge and its reversal
  */
 
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
@@ -36,7 +37,11 @@ import {
   deleteRelationship,
   calculateAge,
   isEligibleForCeremony,
-  canFoundCadetHouse
+  canFoundCadetHouse,
+  mergePeople,
+  reversePersonMerge,
+  getPersonMerges,
+  deleteAllData
 } from './database';
 
 // Use a unique dataset ID for each test to ensure isolation
@@ -419,6 +424,11 @@ describe('Database Service', () => {
 
         expect(age).toBe(24);
       });
+
+      it('should measure against the story present when given', () => {
+        expect(calculateAge('0400-06-01', { asOf: '0430-05-31' })).toBe(29);
+        expect(calculateAge('0400-06-01', { asOf: '0430-06-01' })).toBe(30);
+      });
     });
 
     describe('isEligibleForCeremony', () => {
@@ -514,6 +524,29 @@ describe('Database Service', () => {
         expect(result.eligible).toBe(false);
         expect(result.reason).toContain('noble house');
       });
+
+      describe('at a story present', () => {
+        const person = {
+          dateOfBirth: '0400-01-01',
+          legitimacyStatus: 'legitimate',
+          houseId: 1
+        };
+
+        it('should use the story present for the age check', () => {
+          expect(isEligibleForCeremony(person, { asOf: '0410' }).reason).toContain('currently 10');
+          expect(isEligibleForCeremony(person, { asOf: '0420' }).eligible).toBe(true);
+        });
+
+        it('should reject people not yet born', () => {
+          expect(isEligibleForCeremony(person, { asOf: '0399' }).reason).toBe('Not yet born');
+        });
+
+        it('should only treat people as deceased once their death date has passed', () => {
+          const mortal = { ...person, dateOfDeath: '0450' };
+          expect(isEligibleForCeremony(mortal, { asOf: '0440' }).eligible).toBe(true);
+          expect(isEligibleForCeremony(mortal, { asOf: '0460' }).reason).toBe('Deceased');
+        });
+      });
     });
 
     describe('canFoundCadetHouse (legacy)', () => {
@@ -529,6 +562,68 @@ describe('Database Service', () => {
     });
   });
 
+  describe('Person Merge', () => {
+    it('should merge a duplicate and reverse the merge', async () => {
+      const db = getDatabase(TEST_DATASET_ID);
+      const keptId = await addPerson({ firstName: 'Aldric', lastName: 'Wilfrey' }, TEST_DATASET_ID);
+      const copyId = await addPerson({ firstName: 'Aldric', lastName: 'Wilfrey', dateOfDeath: '1180' }, TEST_DATASET_ID);
+      const childId = await addPerson({ firstName: 'Edric', lastName: 'Wilfrey' }, TEST_DATASET_ID);
+      await addRelationship({ person1Id: copyId, person2Id: childId, relationshipType: 'parent' }, TEST_DATASET_ID);
+      const tenureId = await db.dignityTenures.add({ dignityId: 1, personId: copyId });
+
+      const merge = await mergePeople(keptId, copyId, null, {}, TEST_DATASET_ID);
+
+      expect(await getPerson(copyId, TEST_DATASET_ID)).toBeUndefined();
+      expect((await getPerson(keptId, TEST_DATASET_ID)).dateOfDeath).toBe('1180');
+      expect((await getRelationshipsForPerson(childId, TEST_DATASET_ID))[0].person1Id).toBe(keptId);
+      expect((await db.dignityTenures.get(tenureId)).personId).toBe(keptId);
+      expect((await getPersonMerges(TEST_DATASET_ID))[0]).toMatchObject({ id: merge.id, status: 'merged' });
+
+      await reversePersonMerge(merge.id, TEST_DATASET_ID);
+
+      expect((await getPerson(copyId, TEST_DATASET_ID)).dateOfDeath).toBe('1180');
+      expect((await getPerson(keptId, TEST_DATASET_ID)).dateOfDeath).toBeUndefined();
+      expect((await getRelationshipsForPerson(childId, TEST_DATASET_ID))[0].person1Id).toBe(copyId);
+      expect((await db.dignityTenures.get(tenureId)).personId).toBe(copyId);
+      await expect(reversePersonMerge(merge.id, TEST_DATASET_ID)).rejects.toThrow('already been reversed');
+    });
+
+    it('should refuse to reverse a merge over later edits', async () => {
+      const keptId = await addPerson({ firstName: 'Sela' }, TEST_DATASET_ID);
+      const copyId = await addPerson({ firstName: 'Sela' }, TEST_DATASET_ID);
+      const merge = await mergePeople(keptId, copyId, null, {}, TEST_DATASET_ID);
+
+      await updatePerson(keptId, { lastName: 'Thorn' }, TEST_DATASET_ID);
+
+      await expect(reversePersonMerge(merge.id, TEST_DATASET_ID)).rejects.toThrow('has changed since');
+      expect(await getPerson(copyId, TEST_DATASET_ID)).toBeUndefined();
+    });
+  });
+
+  describe('deleteAllData', () => {
+    it('should clear life events', async () => {
+      const db = getDatabase(TEST_DATASET_ID);
+      await db.lifeEvents.add({ eventType: 'battle', date: '1250', personIds: [], houseIds: [] });
+
+      await deleteAllData(TEST_DATASET_ID);
+
+      expect(await db.lifeEvents.count()).toBe(0);
+    });
+
+    it('should clear locations, residences and house seats', async () => {
+      const db = getDatabase(TEST_DATASET_ID);
+      const locationId = await db.locations.add({ name: 'Highcairn', locationType: 'castle' });
+      await db.residences.add({ personId: 1, locationId });
+      await db.houseSeats.add({ houseId: 1, locationId });
+
+      await deleteAllData(TEST_DATASET_ID);
+
+      expect(await db.locations.count()).toBe(0);
+      expect(await db.residences.count()).toBe(0);
+      expect(await db.houseSeats.count()).toBe(0);
+    });
+  });
+
   describe('Dataset Isolation', () => {
     it('should keep data isolated between datasets', async () => {
       const dataset1 = 'test-dataset-1';
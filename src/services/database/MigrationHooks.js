@@ -29,6 +29,8 @@
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
+import { exportGedcom } from '../../utils/gedcom';
+
 // ═══════════════════════════════════════════════════════════════════════════
 // 🪝 HOOK: SCHEMA_VERSIONS
 // ═══════════════════════════════════════════════════════════════════════════
@@ -254,7 +256,7 @@ export const CURRENT_VERSION = 'v2.0.0';
 // 
 // SUPPORTED FORMATS:
 // - json: Complete data export (default)
-// - gedcom: Standard genealogy format (future)
+// - gedcom: Standard genealogy format (5.5.1 / 7.0)
 // - csv: Spreadsheet-compatible (future)
 // ═══════════════════════════════════════════════════════════════════════════
 
@@ -344,31 +346,14 @@ export const EXPORT_FORMATTERS = {
   },
 
   // ───────────────────────────────────────────────────────────────────────
-  // 🚀 FUTURE: GEDCOM Export (Module 1E Feature)
+  // GEDCOM Export (5.5.1 / 7.0)
   // ───────────────────────────────────────────────────────────────────────
-  // GEDCOM is the standard format for genealogy software.
-  // Uncomment when implementing timeline view and GEDCOM export feature.
+  // GEDCOM is the standard format for genealogy software. The mapping
+  // lives in utils/gedcom.js; options are { version, calendar }.
   // ───────────────────────────────────────────────────────────────────────
-  // gedcom: {
-  //   person: (person) => {
-  //     // GEDCOM format for individuals
-  //     return `0 @I${person.id}@ INDI
-  // 1 NAME ${person.firstName} /${person.lastName}/
-  // 1 SEX ${person.gender === 'male' ? 'M' : person.gender === 'female' ? 'F' : 'U'}
-  // ${person.dateOfBirth ? `1 BIRT\n2 DATE ${person.dateOfBirth}` : ''}
-  // ${person.dateOfDeath ? `1 DEAT\n2 DATE ${person.dateOfDeath}` : ''}`;
-  //   },
-  //   
-  //   full: (data) => {
-  //     // Complete GEDCOM file
-  //     let gedcom = '0 HEAD\n1 GEDC\n2 VERS 5.5.1\n2 FORM LINEAGEWEAVER\n';
-  //     data.people.forEach(person => {
-  //       gedcom += EXPORT_FORMATTERS.gedcom.person(person) + '\n';
-  //     });
-  //     gedcom += '0 TRLR';
-  //     return gedcom;
-  //   },
-  // },
+  gedcom: {
+    full: (data, options) => exportGedcom(data, options),
+  },
 
 };
 
@@ -542,15 +527,16 @@ export const getMigrationPath = (fromVersion, toVersion) => {
  * Export data in specified format
  * @param {Object} data - Data to export
  * @param {string} format - Export format (json, gedcom, etc.)
+ * @param {Object} [options] - Format-specific options (gedcom: { version, calendar })
  * @returns {string|Object} - Formatted export
  */
-export const exportData = (data, format = 'json') => {
+export const exportData = (data, format = 'json', options = {}) => {
   const formatter = EXPORT_FORMATTERS[format];
   if (!formatter) {
     throw new Error(`Unknown export format: ${format}`);
   }
   
-  return formatter.full(data);
+  return formatter.full(data, options);
 };
 
 /**
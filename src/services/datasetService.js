@@ -209,7 +209,11 @@ export async function deleteDataset(userId, datasetId) {
       'dignityTenures',
       'dignityLinks',
       'bugs',
-      'householdRoles'
+      'householdRoles',
+      'lifeEvents',
+      'locations',
+      'residences',
+      'houseSeats'
     ];
 
     // Delete documents in each collection
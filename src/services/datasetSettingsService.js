@@ -0,0 +1,333 @@
+/**
+ * Dataset Settings Service - Per-Dataset World Configuration
+ *
+ * Key/value storage for settings that belong to a dataset (a world) rather
+ * than to the user or the device. Each setting is one row in the
+ * `datasetSettings` table, keyed by name:
+ *
+ *   { key: 'calendar', value: { name, months, eras, periods, epochOffset }, updated }
+ *
+ * Because settings live in the dataset's own IndexedDB database they are
+ * switched automatically with the dataset, and they sync to the cloud like
+ * any other entity (entityType 'datasetSetting', entityId = key).
+ *
+ * KNOWN KEYS:
+ * - 'calendar'    → in-world calendar definition (see utils/calendarUtils.js)
+ * - 'presentDate' → the story present: the in-world "now" used for ages and
+ *                   living/deceased checks (stored date string)
+ * - 'consanguinityWarningDegree' → warn when a proposed marriage joins
+ *                   blood relatives within this many (civil-law) degrees
+ * - 'relationshipTypes' → the dataset's own relationship types (see
+ *                   utils/relationshipTypes.js)
+ * - 'savedSearches' → named advanced-search queries (see utils/searchQuery.js)
+ */
+
+import { getDatabase } from './database';
+import { syncSetDatasetSetting, syncDeleteDatasetSetting } from './dataSyncService';
+import { DEFAULT_WARNING_DEGREE } from './consanguinityService';
+import {
+  DEFAULT_CALENDAR,
+  normalizeCalendar,
+  validateCalendar,
+  isValidDateString
+} from '../utils/calendarUtils';
+import { normalizeRelationshipType, validateRelationshipTypes } from '../utils/relationshipTypes';
+import { SEARCH_ENTITIES } from '../utils/searchQuery';
+
+export const SETTING_KEYS = {
+  CALENDAR: 'calendar',
+  PRESENT_DATE: 'presentDate',
+  CONSANGUINITY_WARNING_DEGREE: 'consanguinityWarningDegree',
+  RELATIONSHIP_TYPES: 'relationshipTypes',
+  SAVED_SEARCHES: 'savedSearches'
+};
+
+// ==================== GENERIC SETTINGS ====================
+
+/**
+ * Get a setting's value
+ *
+ * @param {string} key - Setting key
+ * @param {*} [defaultValue=null] - Returned when the setting has never been saved
+ * @param {string} [datasetId] - Dataset ID (optional, defaults to 'default')
+ * @returns {Promise<*>} The stored value or defaultValue
+ */
+export async function getSetting(key, defaultValue = null, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    const row = await db.datasetSettings.get(key);
+    return row ? row.value : defaultValue;
+  } catch (error) {
+    console.error(`❌ Error getting dataset setting '${key}':`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get every setting as a plain { key: value } object
+ *
+ * @param {string} [datasetId] - Dataset ID (optional, defaults to 'default')
+ * @returns {Promise<Object>}
+ */
+export async function getAllSettings(datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    const rows = await db.datasetSettings.toArray();
+    return Object.fromEntries(rows.map(row => [row.key, row.value]));
+  } catch (error) {
+    console.error('❌ Error getting dataset settings:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save a setting (insert or replace)
+ *
+ * @param {string} key - Setting key
+ * @param {*} value - Any structured-cloneable value
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @param {string} [datasetId] - Dataset ID (optional, defaults to 'default')
+ * @returns {Promise<Object>} The saved row
+ */
+export async function setSetting(key, value, userId = null, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    const record = {
+      key,
+      value,
+      updated: new Date().toISOString()
+    };
+
+    await db.datasetSettings.put(record);
+    console.log(`⚙️ Dataset setting saved: ${key}`);
+
+    if (userId) {
+      syncSetDatasetSetting(userId, datasetId, key, record);
+    }
+
+    return record;
+  } catch (error) {
+    console.error(`❌ Error saving dataset setting '${key}':`, error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a setting so its default applies again
+ *
+ * @param {string} key - Setting key
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @param {string} [datasetId] - Dataset ID (optional, defaults to 'default')
+ */
+export async function deleteSetting(key, userId = null, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    await db.datasetSettings.delete(key);
+    console.log(`⚙️ Dataset setting removed: ${key}`);
+
+    if (userId) {
+      syncDeleteDatasetSetting(userId, datasetId, key);
+    }
+  } catch (error) {
+    console.error(`❌ Error deleting dataset setting '${key}':`, error);
+    throw error;
+  }
+}
+
+// ==================== CALENDAR ====================
+
+/**
+ * Get the dataset's calendar, falling back to the Gregorian default
+ *
+ * @param {string} [datasetId] - Dataset ID (optional, defaults to 'default')
+ * @returns {Promise<Object>} Normalized calendar definition
+ */
+export async function getCalendar(datasetId = null) {
+  const calendar = await getSetting(SETTING_KEYS.CALENDAR, null, datasetId);
+  return normalizeCalendar(calendar || DEFAULT_CALENDAR);
+}
+
+/**
+ * Validate and save the dataset's calendar
+ *
+ * @param {Object} calendar - Calendar definition
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @param {string} [datasetId] - Dataset ID (optional, defaults to 'default')
+ * @returns {Promise<Object>} The normalized, saved calendar
+ * @throws {Error} If the calendar definition is invalid
+ */
+export async function saveCalendar(calendar, userId = null, datasetId = null) {
+  const { valid, errors } = validateCalendar(calendar);
+  if (!valid) {
+    throw new Error(`Invalid calendar: ${errors.join('; ')}`);
+  }
+
+  const normalized = normalizeCalendar(calendar);
+  await setSetting(SETTING_KEYS.CALENDAR, normalized, userId, datasetId);
+  return normalized;
+}
+
+// ==================== STORY PRESENT ====================
+
+/**
+ * Get the dataset's story present
+ *
+ * @param {string} [datasetId] - Dataset ID (optional, defaults to 'default')
+ * @returns {Promise<string|null>} Stored date string, or null if not set
+ */
+export async function getPresentDate(datasetId = null) {
+  return getSetting(SETTING_KEYS.PRESENT_DATE, null, datasetId);
+}
+
+/**
+ * Set or clear the dataset's story present
+ *
+ * @param {string|null} presentDate - Stored date string, or null to clear
+ * @param {Object} [calendar] - Calendar the date must be valid in
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @param {string} [datasetId] - Dataset ID (optional, defaults to 'default')
+ * @returns {Promise<string|null>} The saved date
+ * @throws {Error} If the date doesn't exist in the calendar
+ */
+export async function savePresentDate(presentDate, calendar = null, userId = null, datasetId = null) {
+  if (!presentDate) {
+    await deleteSetting(SETTING_KEYS.PRESENT_DATE, userId, datasetId);
+    return null;
+  }
+
+  if (!isValidDateString(presentDate, calendar)) {
+    throw new Error(`Invalid story present: ${presentDate}`);
+  }
+
+  await setSetting(SETTING_KEYS.PRESENT_DATE, presentDate, userId, datasetId);
+  return presentDate;
+}
+
+// ==================== MARRIAGE WARNINGS ====================
+
+/**
+ * Get the degree of kinship within which proposed marriages are flagged
+ *
+ * @param {string} [datasetId] - Dataset ID (optional, defaults to 'default')
+ * @returns {Promise<number>} Degrees (first cousins are 4)
+ */
+export async function getConsanguinityWarningDegree(datasetId = null) {
+  return getSetting(SETTING_KEYS.CONSANGUINITY_WARNING_DEGREE, DEFAULT_WARNING_DEGREE, datasetId);
+}
+
+/**
+ * Save the marriage warning degree (0 turns the warning off)
+ *
+ * @param {number} degree - Whole number of degrees, 0 or more
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @param {string} [datasetId] - Dataset ID (optional, defaults to 'default')
+ * @returns {Promise<number>} The saved degree
+ * @throws {Error} If the degree isn't a whole number of 0 or more
+ */
+export async function saveConsanguinityWarningDegree(degree, userId = null, datasetId = null) {
+  if (!Number.isInteger(degree) || degree < 0) {
+    throw new Error(`Invalid warning degree: ${degree}`);
+  }
+
+  await setSetting(SETTING_KEYS.CONSANGUINITY_WARNING_DEGREE, degree, userId, datasetId);
+  return degree;
+}
+
+// ==================== RELATIONSHIP TYPES ====================
+
+/**
+ * Get the dataset's own relationship types (built-in types not included)
+ *
+ * @param {string} [datasetId] - Dataset ID (optional, defaults to 'default')
+ * @returns {Promise<Array>} Custom type definitions
+ */
+export async function getCustomRelationshipTypes(datasetId = null) {
+  const types = await getSetting(SETTING_KEYS.RELATIONSHIP_TYPES, [], datasetId);
+  return Array.isArray(types) ? types : [];
+}
+
+/**
+ * Validate and save the dataset's own relationship types
+ *
+ * @param {Array} types - Custom type definitions
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @param {string} [datasetId] - Dataset ID (optional, defaults to 'default')
+ * @returns {Promise<Array>} The normalized, saved types
+ * @throws {Error} If any type is invalid
+ */
+export async function saveCustomRelationshipTypes(types, userId = null, datasetId = null) {
+  const normalized = types.map(normalizeRelationshipType);
+  const { valid, errors } = validateRelationshipTypes(normalized);
+  if (!valid) {
+    throw new Error(`Invalid relationship types: ${errors.join('; ')}`);
+  }
+
+  await setSetting(SETTING_KEYS.RELATIONSHIP_TYPES, normalized, userId, datasetId);
+  return normalized;
+}
+
+// ==================== SAVED SEARCHES ====================
+
+/**
+ * Get the dataset's saved searches
+ *
+ * @param {string} [datasetId] - Dataset ID (optional, defaults to 'default')
+ * @returns {Promise<Array>} [{ id, name, query }]
+ */
+export async function getSavedSearches(datasetId = null) {
+  const searches = await getSetting(SETTING_KEYS.SAVED_SEARCHES, [], datasetId);
+  return Array.isArray(searches) ? searches : [];
+}
+
+/**
+ * Validate and save the dataset's saved searches
+ *
+ * @param {Array} searches - [{ id, name, query: { entity, text, conditions } }]
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @param {string} [datasetId] - Dataset ID (optional, defaults to 'default')
+ * @returns {Promise<Array>} The saved searches
+ * @throws {Error} If a search has no name or an unknown entity
+ */
+export async function saveSavedSearches(searches, userId = null, datasetId = null) {
+  const normalized = searches.map(search => ({
+    id: search.id,
+    name: String(search.name ?? '').trim(),
+    query: {
+      entity: search.query?.entity,
+      text: search.query?.text || '',
+      conditions: (search.query?.conditions || []).map(({ field, value, negate }) => ({
+        field, value: String(value ?? ''), negate: Boolean(negate)
+      }))
+    }
+  }));
+
+  normalized.forEach(search => {
+    if (!search.id || !search.name) {
+      throw new Error('Invalid saved search: every search needs an id and a name');
+    }
+    if (!SEARCH_ENTITIES.includes(search.query.entity)) {
+      throw new Error(`Invalid saved search "${search.name}": unknown entity ${search.query.entity}`);
+    }
+  });
+
+  await setSetting(SETTING_KEYS.SAVED_SEARCHES, normalized, userId, datasetId);
+  return normalized;
+}
+
+export default {
+  SETTING_KEYS,
+  getSetting,
+  getAllSettings,
+  setSetting,
+  deleteSetting,
+  getCalendar,
+  saveCalendar,
+  getPresentDate,
+  savePresentDate,
+  getConsanguinityWarningDegree,
+  saveConsanguinityWarningDegree,
+  getCustomRelationshipTypes,
+  saveCustomRelationshipTypes,
+  getSavedSearches,
+  saveSavedSearches
+};
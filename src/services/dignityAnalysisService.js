@@ -16,6 +16,7 @@
 import { getAllPeople, getAllHouses, getAllRelationships } from './database';
 import { getAllDignities, getTenuresForDignity, natureHasSuccession, natureHasTenureHistory } from './dignityService';
 import { SUGGESTION_TYPES, ACTION_TYPES } from '../data/suggestionTypes';
+import { compareDates, formatDate, formatYear, getYearRange, getLifeStatus, LIFE_STATUS } from '../utils/calendarUtils';
 
 // ==================== UTILITY FUNCTIONS ====================
 
@@ -33,9 +34,11 @@ function generateSuggestionId() {
  * @param {Array} houses - All houses
  * @param {Array} dignities - All dignities
  * @param {Array} relationships - All relationships
+ * @param {Object} [options] - { asOf, calendar }: story present and dataset
+ *   calendar, carried on the maps for the living/deceased checks
  * @returns {Object} Maps for quick lookups
  */
-function buildLookupMaps(people, houses, dignities, relationships) {
+function buildLookupMaps(people, houses, dignities, relationships, { asOf = null, calendar = null } = {}) {
   const peopleById = new Map(people.map(p => [p.id, p]));
   const housesById = new Map(houses.map(h => [h.id, h]));
   const dignitiesById = new Map(dignities.map(d => [d.id, d]));
@@ -43,7 +46,8 @@ function buildLookupMaps(people, houses, dignities, relationships) {
   // Build relationship maps
   const parentMap = new Map(); // childId -> [parentIds]
   const childrenMap = new Map(); // parentId -> [childIds]
-  const spouseMap = new Map(); // personId -> spouseId
+  const spouseMap = new Map(); // personId -> [spouseIds] in marriage order
+  const marriages = [];
 
   for (const rel of relationships) {
     if (rel.relationshipType === 'parent') {
@@ -54,11 +58,16 @@ function buildLookupMaps(people, houses, dignities, relationships) {
       const existingChildren = childrenMap.get(rel.person1Id) || [];
       childrenMap.set(rel.person1Id, [...existingChildren, rel.person2Id]);
     } else if (rel.relationshipType === 'spouse') {
-      spouseMap.set(rel.person1Id, rel.person2Id);
-      spouseMap.set(rel.person2Id, rel.person1Id);
+      marriages.push(rel);
     }
   }
 
+  marriages.sort((a, b) => compareDates(a.marriageDate, b.marriageDate, calendar));
+  for (const rel of marriages) {
+    spouseMap.set(rel.person1Id, [...(spouseMap.get(rel.person1Id) || []), rel.person2Id]);
+    spouseMap.set(rel.person2Id, [...(spouseMap.get(rel.person2Id) || []), rel.person1Id]);
+  }
+
   // Build house members map
   const houseMembersMap = new Map(); // houseId -> [personIds]
   for (const person of people) {
@@ -98,7 +107,9 @@ function buildLookupMaps(people, houses, dignities, relationships) {
     spouseMap,
     houseMembersMap,
     dignitiesByHouse,
-    dignitiesByPerson
+    dignitiesByPerson,
+    asOf,
+    calendar
   };
 }
 
@@ -111,17 +122,27 @@ function getPersonName(person) {
 }
 
 /**
- * Check if person is deceased
+ * Earliest and latest stored year a date allows in the calendar on the
+ * maps, open ends as ±Infinity; null when there is no readable date
  */
-function isDeceased(person) {
-  return person && person.dateOfDeath;
+function yearRangeOf(date, maps) {
+  const range = date ? getYearRange(date, maps.calendar) : null;
+  if (!range) return null;
+  return { earliest: range.earliest ?? -Infinity, latest: range.latest ?? Infinity };
 }
 
 /**
- * Check if person is living
+ * Check if person is deceased at the story present held on the maps
  */
-function isLiving(person) {
-  return person && !person.dateOfDeath;
+function isDeceased(person, maps) {
+  return !!person && getLifeStatus(person, maps.asOf, maps.calendar) === LIFE_STATUS.DECEASED;
+}
+
+/**
+ * Check if person is living at the story present held on the maps
+ */
+function isLiving(person, maps) {
+  return !!person && getLifeStatus(person, maps.asOf, maps.calendar) === LIFE_STATUS.LIVING;
 }
 
 /**
@@ -140,14 +161,10 @@ function findEldestLivingLegitimate(houseId, maps) {
   const memberIds = maps.houseMembersMap.get(houseId) || [];
   const members = memberIds
     .map(id => maps.peopleById.get(id))
-    .filter(p => p && isLiving(p) && isLegitimate(p));
+    .filter(p => p && isLiving(p, maps) && isLegitimate(p));
 
   // Sort by birth date (oldest first)
-  members.sort((a, b) => {
-    const aYear = parseInt(a.dateOfBirth) || 9999;
-    const bYear = parseInt(b.dateOfBirth) || 9999;
-    return aYear - bYear;
-  });
+  members.sort((a, b) => compareDates(a.dateOfBirth, b.dateOfBirth, maps.calendar));
 
   return members[0] || null;
 }
@@ -259,7 +276,7 @@ function analyzeDeceasedHolders(dignities, maps) {
     if (!dignity.currentHolderId) continue;
 
     const holder = maps.peopleById.get(dignity.currentHolderId);
-    if (!holder || !isDeceased(holder)) continue;
+    if (!holder || !isDeceased(holder, maps)) continue;
 
     // Skip personal-honours - they're expected to die with the person
     const nature = dignity.dignityNature || 'territorial';
@@ -414,7 +431,7 @@ function analyzeTenureGaps(dignities, tenuresByDignity, maps) {
     // Get deceased members who could have held this title
     const deceasedMembers = memberIds
       .map(id => maps.peopleById.get(id))
-      .filter(p => p && isDeceased(p) && isLegitimate(p))
+      .filter(p => p && isDeceased(p, maps) && isLegitimate(p))
       .filter(p => {
         // Check they're not already in tenure records
         return !tenures.some(t => t.personId === p.id);
@@ -423,11 +440,7 @@ function analyzeTenureGaps(dignities, tenuresByDignity, maps) {
     if (deceasedMembers.length === 0) continue;
 
     // Sort by death date (oldest first)
-    deceasedMembers.sort((a, b) => {
-      const aYear = parseInt(a.dateOfDeath) || 9999;
-      const bYear = parseInt(b.dateOfDeath) || 9999;
-      return aYear - bYear;
-    });
+    deceasedMembers.sort((a, b) => compareDates(a.dateOfDeath, b.dateOfDeath, maps.calendar));
 
     // Only suggest if we have at least 2 deceased members to form a chain
     if (deceasedMembers.length < 2) continue;
@@ -485,6 +498,106 @@ function analyzeTenureGaps(dignities, tenuresByDignity, maps) {
   return suggestions;
 }
 
+/**
+ * Find gaps and overlaps between a dignity's dated tenures
+ *
+ * Tenures are taken in order of start. A gap is time between the latest
+ * end so far and the next start; an overlap is a start before that end.
+ * A tenure with no end date is taken to run until the next one begins, so
+ * it is never part of a gap or overlap. Tenures with no start date can't
+ * be placed and are skipped.
+ *
+ * @param {Array} tenures - One dignity's tenure records
+ * @param {Object} [options] - { calendar }: dataset calendar
+ * @returns {Array<{type: 'gap'|'overlap', start: string, end: string, before: Object, after: Object}>}
+ */
+export function findTenureGaps(tenures, { calendar = null } = {}) {
+  const dated = tenures
+    .filter(t => t.dateStarted)
+    .sort((a, b) => compareDates(a.dateStarted, b.dateStarted, calendar));
+  const findings = [];
+  let reach = null; // Tenure with the latest end so far
+
+  for (const tenure of dated) {
+    if (reach?.dateEnded) {
+      const order = compareDates(reach.dateEnded, tenure.dateStarted, calendar);
+      if (order < 0) {
+        findings.push({ type: 'gap', start: reach.dateEnded, end: tenure.dateStarted, before: reach, after: tenure });
+      } else if (order > 0) {
+        const end = tenure.dateEnded && compareDates(tenure.dateEnded, reach.dateEnded, calendar) < 0
+          ? tenure.dateEnded
+          : reach.dateEnded;
+        findings.push({ type: 'overlap', start: tenure.dateStarted, end, before: reach, after: tenure });
+      }
+    }
+    if (!tenure.dateEnded || !reach?.dateEnded || compareDates(tenure.dateEnded, reach.dateEnded, calendar) > 0) {
+      reach = tenure;
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Analyze gaps and overlaps between recorded tenures
+ *
+ * @param {Array} dignities - All dignities
+ * @param {Map} tenuresByDignity - Map of dignityId -> tenures[]
+ * @param {Object} maps - Lookup maps
+ * @returns {Suggestion[]} Suggestions for tenure gaps and overlaps
+ */
+function analyzeTenureDates(dignities, tenuresByDignity, maps) {
+  const suggestions = [];
+
+  for (const dignity of dignities) {
+    if (!natureHasTenureHistory(dignity.dignityNature || 'territorial')) continue;
+
+    for (const finding of findTenureGaps(tenuresByDignity.get(dignity.id) || [], maps)) {
+      const before = maps.peopleById.get(finding.before.personId);
+      const after = maps.peopleById.get(finding.after.personId);
+      const isGap = finding.type === 'gap';
+      const start = formatDate(finding.start, maps.calendar);
+      const end = formatDate(finding.end, maps.calendar);
+
+      suggestions.push({
+        id: generateSuggestionId(),
+        type: isGap ? 'tenure-gap' : 'tenure-overlap',
+        severity: 'warning',
+        confidence: isGap ? 0.8 : 0.9,
+        title: isGap ? `Gap in the holders of ${dignity.name}` : `Overlapping holders of ${dignity.name}`,
+        description: isGap
+          ? `No one is recorded as holding it between ${start} and ${end}.`
+          : `${getPersonName(after)}'s tenure begins (${start}) before ${getPersonName(before)}'s ends (${end}).`,
+        reasoning: isGap
+          ? `${getPersonName(before)}'s tenure ends before ${getPersonName(after)}'s begins. A holder may be missing, or it was vacant.`
+          : 'Two people should not hold the same dignity at once unless it was shared or contested.',
+        affectedEntities: [
+          { type: 'dignity', id: dignity.id, name: dignity.name },
+          { type: 'tenure', id: finding.before.id, name: `Tenure of ${getPersonName(before)}` },
+          { type: 'tenure', id: finding.after.id, name: `Tenure of ${getPersonName(after)}` }
+        ],
+        suggestedAction: {
+          type: 'review',
+          label: 'Review Tenures',
+          data: { dignityId: dignity.id },
+          preview: isGap ? 'Add the missing holder or record the vacancy' : 'Correct the tenure dates'
+        },
+        alternativeActions: [],
+        dependsOn: [],
+        enables: [],
+        created: new Date().toISOString(),
+        dismissed: false,
+        dismissedReason: null,
+        applied: false,
+        appliedAt: null,
+        deferred: false
+      });
+    }
+  }
+
+  return suggestions;
+}
+
 /**
  * Analyze orphaned dignities (no holder AND no house)
  *
@@ -567,26 +680,28 @@ function analyzeTemporalIssues(dignities, tenuresByDignity, maps) {
       const person = maps.peopleById.get(tenure.personId);
       if (!person) continue;
 
-      const birthYear = parseInt(person.dateOfBirth);
-      const deathYear = parseInt(person.dateOfDeath);
-      const tenureStartYear = parseInt(tenure.dateStarted);
-      const tenureEndYear = parseInt(tenure.dateEnded);
+      const birth = yearRangeOf(person.dateOfBirth, maps);
+      const death = yearRangeOf(person.dateOfDeath, maps);
+      const tenureStart = yearRangeOf(tenure.dateStarted, maps);
+      const tenureEnd = yearRangeOf(tenure.dateEnded, maps);
+      const year = (date) => formatYear(date, maps.calendar);
 
+      // Uncertain dates only conflict when no reading of them fits
       let issue = null;
 
       // Check if tenure started before birth
-      if (birthYear && tenureStartYear && tenureStartYear < birthYear) {
-        issue = `Tenure started (${tenureStartYear}) before ${getPersonName(person)} was born (${birthYear})`;
+      if (birth && tenureStart && tenureStart.latest < birth.earliest) {
+        issue = `Tenure started (${year(tenure.dateStarted)}) before ${getPersonName(person)} was born (${year(person.dateOfBirth)})`;
       }
 
       // Check if tenure ended after death
-      if (deathYear && tenureEndYear && tenureEndYear > deathYear) {
-        issue = `Tenure ended (${tenureEndYear}) after ${getPersonName(person)} died (${deathYear})`;
+      if (death && tenureEnd && tenureEnd.earliest > death.latest) {
+        issue = `Tenure ended (${year(tenure.dateEnded)}) after ${getPersonName(person)} died (${year(person.dateOfDeath)})`;
       }
 
       // Check if tenure started after death
-      if (deathYear && tenureStartYear && tenureStartYear > deathYear) {
-        issue = `Tenure started (${tenureStartYear}) after ${getPersonName(person)} died (${deathYear})`;
+      if (death && tenureStart && tenureStart.earliest > death.latest) {
+        issue = `Tenure started (${year(tenure.dateStarted)}) after ${getPersonName(person)} died (${year(person.dateOfDeath)})`;
       }
 
       if (issue) {
@@ -902,6 +1017,8 @@ function analyzeCadetHousesWithoutTitles(houses, maps) {
  * @param {string[]} options.analyzers - Which analyzers to run (default: all)
  * @param {string[]} options.severities - Which severities to include (default: all)
  * @param {number} options.minConfidence - Minimum confidence threshold (default: 0)
+ * @param {string} options.asOf - Story present for living/deceased checks (default: none)
+ * @param {Object} options.calendar - Dataset calendar for date comparisons
  * @returns {Promise<AnalysisResult>} Analysis results
  */
 export async function runFullAnalysis(options = {}) {
@@ -909,7 +1026,9 @@ export async function runFullAnalysis(options = {}) {
     analyzers = 'all',
     severities = ['critical', 'warning', 'info'],
     minConfidence = 0,
-    datasetId = null
+    datasetId = null,
+    asOf = null,
+    calendar = null
   } = options;
 
   if (import.meta.env.DEV) {
@@ -938,7 +1057,7 @@ export async function runFullAnalysis(options = {}) {
     }
 
     // 2. Build lookup maps
-    const maps = buildLookupMaps(people, houses, dignities, relationships);
+    const maps = buildLookupMaps(people, houses, dignities, relationships, { asOf, calendar });
 
     // 3. Run analyzers
     let allSuggestions = [];
@@ -948,6 +1067,7 @@ export async function runFullAnalysis(options = {}) {
       'deceased-holder': () => analyzeDeceasedHolders(dignities, maps),
       'no-tenure-records': () => analyzeNoTenureRecords(dignities, tenuresByDignity, maps),
       'tenure-gaps': () => analyzeTenureGaps(dignities, tenuresByDignity, maps),
+      'tenure-dates': () => analyzeTenureDates(dignities, tenuresByDignity, maps),
       'orphaned-dignity': () => analyzeOrphanedDignities(dignities, maps),
       'temporal-issues': () => analyzeTemporalIssues(dignities, tenuresByDignity, maps),
       'circular-chains': () => analyzeCircularFeudalChains(dignities),
@@ -1029,10 +1149,12 @@ export async function runFullAnalysis(options = {}) {
  *
  * @param {string} entityType - 'house' | 'person' | 'dignity'
  * @param {number} entityId - Entity ID
+ * @param {string} [datasetId] - Dataset ID
+ * @param {Object} [options] - Extra runFullAnalysis options (asOf, calendar)
  * @returns {Promise<Suggestion[]>} Relevant suggestions
  */
-export async function analyzeEntity(entityType, entityId, datasetId = null) {
-  const result = await runFullAnalysis({ datasetId });
+export async function analyzeEntity(entityType, entityId, datasetId = null, options = {}) {
+  const result = await runFullAnalysis({ ...options, datasetId });
 
   return result.suggestions.filter(suggestion =>
     suggestion.affectedEntities.some(e =>
@@ -1050,6 +1172,7 @@ export {
   analyzeDeceasedHolders,
   analyzeNoTenureRecords,
   analyzeTenureGaps,
+  analyzeTenureDates,
   analyzeOrphanedDignities,
   analyzeTemporalIssues,
   analyzeCircularFeudalChains,
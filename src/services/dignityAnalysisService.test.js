@@ -0,0 +1,113 @@
+/**
+ * Dignity Analysis Service Tests
+ *
+ * Tests for gaps and overlaps between recorded tenures:
+ * - Finding them in a dignity's tenure dates
+ * - Turning them into suggestions, with dates in the dataset calendar
+ * - Tenures that don't fit their holder's lifespan
+ */
+
+import { describe, it, expect } from 'vitest';
+import { findTenureGaps, analyzeTenureDates, analyzeTemporalIssues, buildLookupMaps } from './dignityAnalysisService';
+
+const tenure = (id, personId, dateStarted, dateEnded = null) => ({ id, dignityId: 1, personId, dateStarted, dateEnded });
+
+describe('findTenureGaps', () => {
+  it('should find the time between one holder and the next', () => {
+    const gaps = findTenureGaps([tenure(2, 11, '1230', '1250'), tenure(1, 10, '1200', '1220')]);
+
+    expect(gaps).toEqual([
+      { type: 'gap', start: '1220', end: '1230', before: expect.objectContaining({ id: 1 }), after: expect.objectContaining({ id: 2 }) }
+    ]);
+  });
+
+  it('should find holders recorded at the same time', () => {
+    const gaps = findTenureGaps([
+      tenure(1, 10, '1200', '1240'),
+      tenure(2, 11, '1220', '1230'),
+      tenure(3, 12, '1235', '1260')
+    ]);
+
+    expect(gaps.map(g => [g.type, g.start, g.end, g.before.id, g.after.id])).toEqual([
+      ['overlap', '1220', '1230', 1, 2],
+      ['overlap', '1235', '1240', 1, 3]
+    ]);
+  });
+
+  it('should not judge tenures with an unknown end or start', () => {
+    expect(findTenureGaps([
+      tenure(1, 10, '1200'),
+      tenure(2, 11, '1230', '1250'),
+      tenure(3, 12, '1250', '1270'),
+      tenure(4, 13, null, '1300')
+    ])).toEqual([]);
+  });
+});
+
+describe('analyzeTenureDates', () => {
+  it('should suggest reviewing each gap and overlap', () => {
+    const people = [
+      { id: 10, firstName: 'Aldric', lastName: 'Reach' },
+      { id: 11, firstName: 'Edric', lastName: 'Reach' },
+      { id: 12, firstName: 'Bran', lastName: 'Reach' }
+    ];
+    const maps = buildLookupMaps(people, [], [], []);
+    const tenures = [tenure(1, 10, '1200', '1220'), tenure(2, 11, '1230', '1250'), tenure(3, 12, '1245')];
+    const suggestions = analyzeTenureDates(
+      [{ id: 1, name: 'Drith of Highcairn' }, { id: 2, name: 'Keeper of the Seal', dignityNature: 'personal-honour' }],
+      new Map([[1, tenures], [2, tenures]]),
+      maps
+    );
+
+    expect(suggestions.map(s => [s.type, s.description])).toEqual([
+      ['tenure-gap', 'No one is recorded as holding it between 1220 and 1230.'],
+      ['tenure-overlap', 'Bran Reach\'s tenure begins (1245) before Edric Reach\'s ends (1250).']
+    ]);
+    expect(suggestions[0].suggestedAction).toMatchObject({ type: 'review', data: { dignityId: 1 } });
+  });
+
+  it('should give dates in the dataset calendar', () => {
+    // Stored 1245 is displayed 412 AE
+    const calendar = {
+      epochOffset: -833,
+      months: [{ name: 'Frostmoon', days: 30 }, { name: 'Thawing', days: 45 }],
+      eras: [{ name: 'After Eclipse', abbreviation: 'AE', startYear: 1 }]
+    };
+    const maps = buildLookupMaps([], [], [], [], { calendar });
+    const suggestions = analyzeTenureDates(
+      [{ id: 1, name: 'Drith of Highcairn' }],
+      new Map([[1, [tenure(1, 10, '1240', '1245-02'), tenure(2, 11, '~1250')]]]),
+      maps
+    );
+
+    expect(suggestions[0].description).toBe('No one is recorded as holding it between Thawing 412 AE and c. 417 AE.');
+  });
+});
+
+describe('analyzeTemporalIssues', () => {
+  // Stored 1245 is displayed 412 AE
+  const calendar = {
+    epochOffset: -833,
+    eras: [{ name: 'After Eclipse', abbreviation: 'AE', startYear: 1 }],
+    periods: [{ name: 'Long Winter', startYear: 410, endYear: 415 }]
+  };
+  const dignity = { id: 1, name: 'Drith of Highcairn' };
+
+  const issuesFor = (person, tenures) => analyzeTemporalIssues(
+    [dignity],
+    new Map([[1, tenures]]),
+    buildLookupMaps([{ id: 10, firstName: 'Aldric', lastName: 'Reach', ...person }], [], [], [], { calendar })
+  ).map(s => s.description);
+
+  it('should read uncertain dates and report in-world years', () => {
+    expect(issuesFor({ dateOfBirth: '~1250' }, [tenure(1, 10, '<1240')]))
+      .toEqual(['Tenure started (before 407 AE) before Aldric Reach was born (c. 417 AE)']);
+    expect(issuesFor({ dateOfBirth: '1200', dateOfDeath: '@Long Winter' }, [tenure(1, 10, '1230', '1260')]))
+      .toEqual(['Tenure ended (427 AE) after Aldric Reach died (during Long Winter)']);
+  });
+
+  it('should not report dates that could still fit', () => {
+    expect(issuesFor({ dateOfBirth: '~1240' }, [tenure(1, 10, '1239')])).toEqual([]);
+    expect(issuesFor({ dateOfBirth: '1200', dateOfDeath: '@Long Winter' }, [tenure(1, 10, '1230', '1246')])).toEqual([]);
+  });
+});
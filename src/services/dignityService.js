@@ -19,7 +19,17 @@
  * - dignityLinks: Junction table for complex entity relationships
  */
 
-import { getDatabase } from './database';
+import { getDatabase, calculateAge, AGE_OF_MAJORITY } from './database';
+import { compareDates, getLifeStatus, LIFE_STATUS } from '../utils/calendarUtils';
+import { evaluateSuccessionRules } from '../utils/successionRules';
+import {
+  getBastardRule,
+  evaluateUltimogeniture,
+  evaluateSemiSalic,
+  evaluateMatrilineal,
+  evaluateTanistry,
+  evaluatePartible
+} from '../utils/successionLaws';
 import {
   syncAddDignity,
   syncUpdateDignity,
@@ -185,6 +195,41 @@ export const SUCCESSION_TYPES = {
     icon: '👴',
     autoCalculate: true
   },
+  'ultimogeniture': {
+    id: 'ultimogeniture',
+    name: 'Ultimogeniture',
+    description: 'Youngest son inherits, then his sons. Daughters only if no males exist.',
+    icon: '🌱',
+    autoCalculate: true
+  },
+  'semi-salic': {
+    id: 'semi-salic',
+    name: 'Semi-Salic Law',
+    description: 'Male-line kinsmen first, however distant. A daughter inherits only when every male line has failed.',
+    icon: '⚖️',
+    autoCalculate: true
+  },
+  'matrilineal': {
+    id: 'matrilineal',
+    name: 'Matrilineal',
+    description: 'Passes through the female line: brothers, then sisters\' sons. A man\'s own children are of their mother\'s line.',
+    icon: '♀',
+    autoCalculate: true
+  },
+  'tanistry': {
+    id: 'tanistry',
+    name: 'Tanistry',
+    description: 'Heir elected from the grown men of the kin group - male-line descendants of the holder\'s great-grandfather. Set the elected tanist as the designated heir.',
+    icon: '🌳',
+    autoCalculate: true
+  },
+  'partible': {
+    id: 'partible',
+    name: 'Partible (Gavelkind)',
+    description: 'Holdings divided equally among all sons, or among daughters if there are no sons.',
+    icon: '➗',
+    autoCalculate: true
+  },
   'elective': {
     id: 'elective',
     name: 'Elective',
@@ -209,9 +254,9 @@ export const SUCCESSION_TYPES = {
   'custom': {
     id: 'custom',
     name: 'Custom',
-    description: 'User-defined succession rules.',
+    description: 'House law built from your own ordering and exclusion rules.',
     icon: '✏️',
-    autoCalculate: false
+    autoCalculate: true
   }
 };
 
@@ -525,6 +570,23 @@ export function natureHasTenureHistory(nature) {
 
 // ==================== DIGNITY CRUD OPERATIONS ====================
 
+/**
+ * Look up a dignity's seat in the locations registry
+ *
+ * @param {Object} db - Dataset database
+ * @param {number|null} seatLocationId - Seat location ID, if any
+ * @returns {Promise<Object|null>} The location, or null when no seat is set
+ * @throws {Error} If a seat is set but the location does not exist
+ */
+async function getSeatLocation(db, seatLocationId) {
+  if (!seatLocationId) return null;
+  const location = await db.locations.get(seatLocationId);
+  if (!location) {
+    throw new Error(`Seat location ${seatLocationId} does not exist`);
+  }
+  return location;
+}
+
 /**
  * Create a new dignity record
  * 
@@ -541,6 +603,7 @@ export function natureHasTenureHistory(nature) {
  * - tenureType: Article IV styling ('of', 'in', 'at', etc.)
  * - placeName: The place this dignity governs
  * - seatName: Primary residence/seat
+ * - seatLocationId: The seat in the locations registry (must exist)
  * - swornToId: Reference to superior dignity
  * - fealtyType: Type of feudal bond
  * - currentHolderId: Person currently holding
@@ -548,7 +611,7 @@ export function natureHasTenureHistory(nature) {
  * - isVacant: Boolean - no current holder
  * - isHereditary: Boolean - passes by blood
  * - codexEntryId: Link to Codex article
- * - codexLocationId: 🪝 Link to Codex location (future)
+ * - codexLocationId: Link to Codex location (defaults to the seat's entry)
  * - displayIcon: Visual indicator for tree
  * - displayPriority: Ordering when person holds multiple
  * - notes: Free-form notes
@@ -558,6 +621,7 @@ export async function createDignity(dignityData, userId = null, datasetId = null
   try {
     const db = getDatabase(datasetId);
     const now = new Date().toISOString();
+    const seat = await getSeatLocation(db, dignityData.seatLocationId);
 
     const record = {
       // Identity
@@ -574,7 +638,8 @@ export async function createDignity(dignityData, userId = null, datasetId = null
       // Geographic Binding
       placeName: dignityData.placeName || null,
       seatName: dignityData.seatName || null,
-      codexLocationId: dignityData.codexLocationId || null, // 🪝 Future expansion
+      seatLocationId: seat?.id || null,
+      codexLocationId: dignityData.codexLocationId || seat?.codexEntryId || null,
       
       // Feudal Hierarchy (Article V)
       swornToId: dignityData.swornToId || null,
@@ -716,6 +781,10 @@ export async function getAllDignities(datasetId = null) {
 export async function updateDignity(id, updates, userId = null, datasetId = null) {
   try {
     const db = getDatabase(datasetId);
+    const seat = await getSeatLocation(db, updates.seatLocationId);
+    if (seat?.codexEntryId && !updates.codexLocationId) {
+      updates = { ...updates, codexLocationId: seat.codexEntryId };
+    }
     const result = await db.dignities.update(id, {
       ...updates,
       updated: new Date().toISOString()
@@ -823,6 +892,7 @@ export async function createDignityTenure(tenureData, userId = null, datasetId =
       grantedById: tenureData.grantedById || null,
       witnessedByIds: tenureData.witnessedByIds || null, // 🪝 Article VII
       recordReference: tenureData.recordReference || null, // 🪝 "Rolls of the realm"
+      citations: tenureData.citations || [], // Sources per fact (see utils/citations.js)
       
       notes: tenureData.notes || null,
       created: now
@@ -843,6 +913,21 @@ export async function createDignityTenure(tenureData, userId = null, datasetId =
   }
 }
 
+/**
+ * Get every tenure in the dataset, e.g. to find who held what in a given year
+ *
+ * @returns {Promise<Array>} Array of tenure records
+ */
+export async function getAllDignityTenures(datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    return await db.dignityTenures.toArray();
+  } catch (error) {
+    console.error('❌ Error getting dignity tenures:', error);
+    throw error;
+  }
+}
+
 /**
  * Get all tenures for a specific dignity
  * Returns in chronological order (oldest first)
@@ -863,7 +948,7 @@ export async function getTenuresForDignity(dignityId, datasetId = null) {
       if (!a.dateStarted && !b.dateStarted) return 0;
       if (!a.dateStarted) return 1;
       if (!b.dateStarted) return -1;
-      return new Date(a.dateStarted) - new Date(b.dateStarted);
+      return compareDates(a.dateStarted, b.dateStarted);
     });
   } catch (error) {
     console.error('❌ Error getting tenures for dignity:', error);
@@ -1396,8 +1481,13 @@ export function getRankInfo(dignityClass, dignityRank) {
  * @param {Array} allPeople - All people in the database
  * @param {Map} parentMap - Map of childId -> [parentIds]
  * @param {Map} childrenMap - Map of parentId -> [childIds]
- * @param {Map} spouseMap - Map of personId -> spouseId
+ * @param {Map} spouseMap - Map of personId -> [spouseIds] in marriage order
  * @param {number} maxDepth - Maximum generations to traverse (default 10)
+ * @param {string} [datasetId] - Dataset ID
+ * @param {Object} [options]
+ * @param {string} [options.asOf] - Story present: who is alive, and how old,
+ *   is judged at this date. Without it anyone with a death date is deceased.
+ * @param {Object} [options.calendar] - Dataset calendar, for comparing dates
  * @returns {Promise<Array>} Ordered array of succession candidates
  * 
  * Each candidate object:
@@ -1408,7 +1498,11 @@ export function getRankInfo(dignityClass, dignityRank) {
  *   relationship: string ("Son", "Grandson", "Brother", etc.),
  *   branch: string ("direct" | "collateral"),
  *   excluded: boolean (true if would be excluded by rules),
- *   exclusionReason: string | null
+ *   exclusionReason: string | null,
+ *   age: number | null (at the story present),
+ *   isMinor: boolean (under AGE_OF_MAJORITY - would need a regent),
+ *   share: number (partible only - fraction of the holdings received),
+ *   elected: boolean (tanistry only - the elected tanist)
  * }
  */
 export async function calculateSuccessionLine(
@@ -1418,7 +1512,8 @@ export async function calculateSuccessionLine(
   childrenMap,
   spouseMap,
   maxDepth = 10,
-  datasetId = null
+  datasetId = null,
+  options = {}
 ) {
   try {
     const dignity = await getDignity(dignityId, datasetId);
@@ -1426,307 +1521,378 @@ export async function calculateSuccessionLine(
       console.warn('Dignity not found for succession calculation');
       return [];
     }
+    return computeSuccessionLine(dignity, allPeople, parentMap, childrenMap, spouseMap, maxDepth, options);
+  } catch (error) {
+    console.error('❌ Error calculating succession line:', error);
+    throw error;
+  }
+}
+
+/**
+ * Calculate the line of succession for a dignity record
+ *
+ * The work behind calculateSuccessionLine, for a dignity already in hand -
+ * or one not saved yet, such as a preview of edited succession rules.
+ * Parameters and result are as for calculateSuccessionLine.
+ *
+ * @param {Object} dignity - Dignity record
+ * @returns {Array} Ordered array of succession candidates
+ */
+export function computeSuccessionLine(
+  dignity,
+  allPeople,
+  parentMap,
+  childrenMap,
+  spouseMap,
+  maxDepth = 10,
+  { asOf = null, calendar = null } = {}
+) {
+  // If succession type doesn't support auto-calculation, return empty
+  const successionType = SUCCESSION_TYPES[dignity.successionType];
+  if (!successionType?.autoCalculate) {
+    console.log(`👑 Succession type '${dignity.successionType}' does not support auto-calculation`);
     
-    // If succession type doesn't support auto-calculation, return empty
-    const successionType = SUCCESSION_TYPES[dignity.successionType];
-    if (!successionType?.autoCalculate) {
-      console.log(`👑 Succession type '${dignity.successionType}' does not support auto-calculation`);
-      
-      // If there's a designated heir, return just them
-      if (dignity.designatedHeirId) {
-        const heir = allPeople.find(p => p.id === dignity.designatedHeirId);
-        if (heir) {
-          return [{
-            personId: heir.id,
-            position: 1,
-            person: heir,
-            relationship: 'Designated Heir',
-            branch: 'designated',
-            excluded: false,
-            exclusionReason: null
-          }];
-        }
+    // If there's a designated heir, return just them
+    if (dignity.designatedHeirId) {
+      const heir = allPeople.find(p => p.id === dignity.designatedHeirId);
+      if (heir) {
+        return [{
+          personId: heir.id,
+          position: 1,
+          person: heir,
+          relationship: 'Designated Heir',
+          branch: 'designated',
+          excluded: false,
+          exclusionReason: null
+        }];
       }
-      return [];
+    }
+    return [];
+  }
+  
+  // Get current holder
+  const currentHolderId = dignity.currentHolderId;
+  if (!currentHolderId) {
+    console.log('👑 No current holder - cannot calculate succession');
+    return [];
+  }
+  
+  const currentHolder = allPeople.find(p => p.id === currentHolderId);
+  if (!currentHolder) {
+    console.warn('Current holder not found in people list');
+    return [];
+  }
+  
+  const rules = dignity.successionRules || {};
+  const candidates = [];
+  const visited = new Set();
+  
+  // Build a lookup for people by ID
+  const peopleById = new Map(allPeople.map(p => [p.id, p]));
+  
+  /**
+   * Check if a person is eligible based on succession rules
+   */
+  const checkEligibility = (person) => {
+    // Can't succeed if they're dead - or not yet born - at the story present
+    const lifeStatus = getLifeStatus(person, asOf, calendar);
+    if (lifeStatus === LIFE_STATUS.DECEASED) {
+      return { eligible: false, reason: 'Deceased' };
+    }
+    if (lifeStatus === LIFE_STATUS.UNBORN) {
+      return { eligible: false, reason: 'Not yet born' };
     }
     
-    // Get current holder
-    const currentHolderId = dignity.currentHolderId;
-    if (!currentHolderId) {
-      console.log('👑 No current holder - cannot calculate succession');
-      return [];
+    // Check gender for male-primogeniture
+    if (dignity.successionType === 'male-primogeniture' && person.gender === 'female') {
+      // Women can inherit if no males available - we'll handle this in ordering
+      return { eligible: true, reason: null, lowerPriority: true };
     }
     
-    const currentHolder = allPeople.find(p => p.id === currentHolderId);
-    if (!currentHolder) {
-      console.warn('Current holder not found in people list');
-      return [];
+    // Check bastard status
+    if (person.legitimacyStatus === 'bastard') {
+      if (rules.excludeBastards) {
+        // Check if legitimized
+        if (person.bastardStatus === 'legitimized' && rules.legitimizedBastardsEligible) {
+          return { eligible: true, reason: null, lowerPriority: true };
+        }
+        return { eligible: false, reason: 'Illegitimate birth' };
+      }
     }
     
-    const rules = dignity.successionRules || {};
-    const candidates = [];
-    const visited = new Set();
+    return { eligible: true, reason: null };
+  };
+  
+  /**
+   * Get relationship description between two people
+   */
+  const getRelationshipDescription = (person, toHolder) => {
+    // This is simplified - could be enhanced with RelationshipCalculator
+    const parents = parentMap.get(person.id) || [];
+    const holderChildren = childrenMap.get(toHolder.id) || [];
     
-    // Build a lookup for people by ID
-    const peopleById = new Map(allPeople.map(p => [p.id, p]));
+    if (holderChildren.includes(person.id)) {
+      return person.gender === 'female' ? 'Daughter' : 'Son';
+    }
     
-    /**
-     * Check if a person is eligible based on succession rules
-     */
-    const checkEligibility = (person) => {
-      // Can't succeed if they're dead (unless we're doing historical "what if")
-      if (person.dateOfDeath) {
-        return { eligible: false, reason: 'Deceased' };
+    // Check if grandchild
+    for (const childId of holderChildren) {
+      const grandchildren = childrenMap.get(childId) || [];
+      if (grandchildren.includes(person.id)) {
+        return person.gender === 'female' ? 'Granddaughter' : 'Grandson';
       }
-      
-      // Check gender for male-primogeniture
-      if (dignity.successionType === 'male-primogeniture' && person.gender === 'female') {
-        // Women can inherit if no males available - we'll handle this in ordering
-        return { eligible: true, reason: null, lowerPriority: true };
-      }
-      
-      // Check bastard status
-      if (person.legitimacyStatus === 'bastard') {
-        if (rules.excludeBastards) {
-          // Check if legitimized
-          if (person.bastardStatus === 'legitimized' && rules.legitimizedBastardsEligible) {
-            return { eligible: true, reason: null, lowerPriority: true };
-          }
-          return { eligible: false, reason: 'Illegitimate birth' };
-        }
-      }
-      
-      return { eligible: true, reason: null };
-    };
+    }
     
-    /**
-     * Get relationship description between two people
-     */
-    const getRelationshipDescription = (person, toHolder) => {
-      // This is simplified - could be enhanced with RelationshipCalculator
-      const parents = parentMap.get(person.id) || [];
-      const holderChildren = childrenMap.get(toHolder.id) || [];
-      
-      if (holderChildren.includes(person.id)) {
-        return person.gender === 'female' ? 'Daughter' : 'Son';
-      }
-      
-      // Check if grandchild
-      for (const childId of holderChildren) {
-        const grandchildren = childrenMap.get(childId) || [];
-        if (grandchildren.includes(person.id)) {
-          return person.gender === 'female' ? 'Granddaughter' : 'Grandson';
-        }
+    // Check if sibling
+    const holderParents = parentMap.get(toHolder.id) || [];
+    for (const parentId of holderParents) {
+      const siblings = childrenMap.get(parentId) || [];
+      if (siblings.includes(person.id)) {
+        return person.gender === 'female' ? 'Sister' : 'Brother';
       }
-      
-      // Check if sibling
-      const holderParents = parentMap.get(toHolder.id) || [];
-      for (const parentId of holderParents) {
-        const siblings = childrenMap.get(parentId) || [];
-        if (siblings.includes(person.id)) {
-          return person.gender === 'female' ? 'Sister' : 'Brother';
+    }
+    
+    // Check if niece/nephew
+    for (const parentId of holderParents) {
+      const siblings = childrenMap.get(parentId) || [];
+      for (const siblingId of siblings) {
+        if (siblingId === toHolder.id) continue;
+        const niblings = childrenMap.get(siblingId) || [];
+        if (niblings.includes(person.id)) {
+          return person.gender === 'female' ? 'Niece' : 'Nephew';
         }
       }
-      
-      // Check if niece/nephew
-      for (const parentId of holderParents) {
-        const siblings = childrenMap.get(parentId) || [];
-        for (const siblingId of siblings) {
-          if (siblingId === toHolder.id) continue;
-          const niblings = childrenMap.get(siblingId) || [];
-          if (niblings.includes(person.id)) {
-            return person.gender === 'female' ? 'Niece' : 'Nephew';
-          }
+    }
+    
+    // Check if uncle/aunt
+    for (const parentId of holderParents) {
+      const grandparents = parentMap.get(parentId) || [];
+      for (const gpId of grandparents) {
+        const unclesAunts = childrenMap.get(gpId) || [];
+        if (unclesAunts.includes(person.id)) {
+          return person.gender === 'female' ? 'Aunt' : 'Uncle';
         }
       }
-      
-      // Check if uncle/aunt
-      for (const parentId of holderParents) {
-        const grandparents = parentMap.get(parentId) || [];
-        for (const gpId of grandparents) {
-          const unclesAunts = childrenMap.get(gpId) || [];
-          if (unclesAunts.includes(person.id)) {
-            return person.gender === 'female' ? 'Aunt' : 'Uncle';
+    }
+    
+    // Check if cousin
+    for (const parentId of holderParents) {
+      const grandparents = parentMap.get(parentId) || [];
+      for (const gpId of grandparents) {
+        const unclesAunts = childrenMap.get(gpId) || [];
+        for (const uaId of unclesAunts) {
+          if (uaId === parentId) continue;
+          const cousins = childrenMap.get(uaId) || [];
+          if (cousins.includes(person.id)) {
+            return 'Cousin';
           }
         }
       }
-      
-      // Check if cousin
-      for (const parentId of holderParents) {
-        const grandparents = parentMap.get(parentId) || [];
-        for (const gpId of grandparents) {
-          const unclesAunts = childrenMap.get(gpId) || [];
-          for (const uaId of unclesAunts) {
-            if (uaId === parentId) continue;
-            const cousins = childrenMap.get(uaId) || [];
-            if (cousins.includes(person.id)) {
-              return 'Cousin';
-            }
-          }
+    }
+    
+    return 'Relative';
+  };
+  
+  /**
+   * Recursive traversal for primogeniture systems
+   * Traverses depth-first through descendants, then collaterally
+   */
+  const traversePrimogeniture = (personId, depth, branch) => {
+    if (depth > maxDepth || visited.has(personId)) return;
+    visited.add(personId);
+    
+    const person = peopleById.get(personId);
+    if (!person) return;
+    
+    // Skip the current holder themselves
+    if (personId !== currentHolderId) {
+      const eligibility = checkEligibility(person);
+      candidates.push({
+        personId: person.id,
+        position: 0, // Will be assigned after sorting
+        person,
+        relationship: getRelationshipDescription(person, currentHolder),
+        branch,
+        excluded: !eligibility.eligible,
+        exclusionReason: eligibility.reason,
+        lowerPriority: eligibility.lowerPriority || false,
+        birthDate: person.dateOfBirth,
+        depth
+      });
+    }
+    
+    // Get children and sort by birth date
+    const children = childrenMap.get(personId) || [];
+    const sortedChildren = children
+      .map(id => peopleById.get(id))
+      .filter(p => p)
+      .sort((a, b) => {
+        // For male-primogeniture, males come before females
+        if (dignity.successionType === 'male-primogeniture') {
+          if (a.gender === 'male' && b.gender === 'female') return -1;
+          if (a.gender === 'female' && b.gender === 'male') return 1;
         }
-      }
-      
-      return 'Relative';
-    };
+        // Then sort by birth date
+        return compareDates(a.dateOfBirth, b.dateOfBirth, calendar);
+      });
     
-    /**
-     * Recursive traversal for primogeniture systems
-     * Traverses depth-first through descendants, then collaterally
-     */
-    const traversePrimogeniture = (personId, depth, branch) => {
-      if (depth > maxDepth || visited.has(personId)) return;
-      visited.add(personId);
-      
-      const person = peopleById.get(personId);
-      if (!person) return;
-      
-      // Skip the current holder themselves
-      if (personId !== currentHolderId) {
-        const eligibility = checkEligibility(person);
-        candidates.push({
-          personId: person.id,
-          position: 0, // Will be assigned after sorting
-          person,
-          relationship: getRelationshipDescription(person, currentHolder),
-          branch,
-          excluded: !eligibility.eligible,
-          exclusionReason: eligibility.reason,
-          lowerPriority: eligibility.lowerPriority || false,
-          birthDate: person.dateOfBirth,
-          depth
-        });
-      }
-      
-      // Get children and sort by birth date
-      const children = childrenMap.get(personId) || [];
-      const sortedChildren = children
-        .map(id => peopleById.get(id))
-        .filter(p => p)
-        .sort((a, b) => {
-          // For male-primogeniture, males come before females
-          if (dignity.successionType === 'male-primogeniture') {
-            if (a.gender === 'male' && b.gender === 'female') return -1;
-            if (a.gender === 'female' && b.gender === 'male') return 1;
-          }
-          // Then sort by birth date
-          return (parseInt(a.dateOfBirth) || 9999) - (parseInt(b.dateOfBirth) || 9999);
-        });
-      
-      // Traverse children depth-first
-      for (const child of sortedChildren) {
-        traversePrimogeniture(child.id, depth + 1, 'direct');
-      }
-    };
+    // Traverse children depth-first
+    for (const child of sortedChildren) {
+      traversePrimogeniture(child.id, depth + 1, 'direct');
+    }
+  };
+  
+  /**
+   * Traverse for agnatic seniority (oldest male first)
+   * Need to gather all males in the dynasty and sort by age
+   */
+  const traverseAgnaticSeniority = () => {
+    // Find all people in the same house/dynasty
+    const houseId = currentHolder.houseId;
+    const dynastyMembers = allPeople.filter(p => 
+      p.houseId === houseId && 
+      p.id !== currentHolderId &&
+      p.gender === 'male' &&
+      getLifeStatus(p, asOf, calendar) === LIFE_STATUS.LIVING
+    );
     
-    /**
-     * Traverse for agnatic seniority (oldest male first)
-     * Need to gather all males in the dynasty and sort by age
-     */
-    const traverseAgnaticSeniority = () => {
-      // Find all people in the same house/dynasty
-      const houseId = currentHolder.houseId;
-      const dynastyMembers = allPeople.filter(p => 
-        p.houseId === houseId && 
-        p.id !== currentHolderId &&
-        p.gender === 'male' &&
-        !p.dateOfDeath
-      );
-      
-      // Sort by birth date (oldest first)
-      dynastyMembers.sort((a, b) => 
-        (parseInt(a.dateOfBirth) || 9999) - (parseInt(b.dateOfBirth) || 9999)
-      );
+    // Sort by birth date (oldest first)
+    dynastyMembers.sort((a, b) => compareDates(a.dateOfBirth, b.dateOfBirth, calendar));
+    
+    for (const person of dynastyMembers) {
+      const eligibility = checkEligibility(person);
+      candidates.push({
+        personId: person.id,
+        position: 0,
+        person,
+        relationship: getRelationshipDescription(person, currentHolder),
+        branch: 'dynasty',
+        excluded: !eligibility.eligible,
+        exclusionReason: eligibility.reason,
+        lowerPriority: false,
+        birthDate: person.dateOfBirth,
+        depth: 0
+      });
+    }
+  };
+  
+  /**
+   * Custom house law and the laws in utils/successionLaws order the line
+   * themselves; their claimants just become candidates
+   */
+  const LAW_EVALUATORS = {
+    'custom': (context) => evaluateSuccessionRules(rules.custom, context),
+    'ultimogeniture': evaluateUltimogeniture,
+    'semi-salic': evaluateSemiSalic,
+    'matrilineal': evaluateMatrilineal,
+    'tanistry': evaluateTanistry,
+    'partible': evaluatePartible
+  };
+  const evaluateLaw = (evaluate) => {
+    const ordered = evaluate({
+      holder: currentHolder,
+      people: allPeople,
+      parentMap,
+      childrenMap,
+      maxDepth,
+      asOf,
+      calendar,
+      bastards: getBastardRule(rules),
+      electedId: dignity.designatedHeirId || null,
+      ageOfMajority: AGE_OF_MAJORITY
+    });
+    for (const claimant of ordered) {
+      const candidate = {
+        personId: claimant.person.id,
+        position: 0,
+        person: claimant.person,
+        relationship: getRelationshipDescription(claimant.person, currentHolder),
+        branch: claimant.branch,
+        excluded: claimant.excluded,
+        exclusionReason: claimant.exclusionReason,
+        birthDate: claimant.person.dateOfBirth
+      };
+      if (claimant.share !== undefined) candidate.share = claimant.share;
+      if (claimant.elected !== undefined) candidate.elected = claimant.elected;
+      candidates.push(candidate);
+    }
+  };
+  const lawEvaluator = LAW_EVALUATORS[dignity.successionType];
+  
+  // Execute the appropriate traversal
+  if (lawEvaluator) {
+    evaluateLaw(lawEvaluator);
+  } else if (dignity.successionType === 'agnatic-seniority') {
+    traverseAgnaticSeniority();
+  } else {
+    // Start with current holder's children
+    traversePrimogeniture(currentHolderId, 0, 'direct');
+    
+    // Then traverse collateral lines (siblings and their descendants)
+    const holderParents = parentMap.get(currentHolderId) || [];
+    for (const parentId of holderParents) {
+      const siblings = (childrenMap.get(parentId) || [])
+        .filter(id => id !== currentHolderId);
       
-      for (const person of dynastyMembers) {
-        const eligibility = checkEligibility(person);
-        candidates.push({
-          personId: person.id,
-          position: 0,
-          person,
-          relationship: getRelationshipDescription(person, currentHolder),
-          branch: 'dynasty',
-          excluded: !eligibility.eligible,
-          exclusionReason: eligibility.reason,
-          lowerPriority: false,
-          birthDate: person.dateOfBirth,
-          depth: 0
-        });
+      for (const siblingId of siblings) {
+        traversePrimogeniture(siblingId, 1, 'collateral');
       }
-    };
-    
-    // Execute the appropriate traversal
-    if (dignity.successionType === 'agnatic-seniority') {
-      traverseAgnaticSeniority();
-    } else {
-      // Start with current holder's children
-      traversePrimogeniture(currentHolderId, 0, 'direct');
       
-      // Then traverse collateral lines (siblings and their descendants)
-      const holderParents = parentMap.get(currentHolderId) || [];
-      for (const parentId of holderParents) {
-        const siblings = (childrenMap.get(parentId) || [])
-          .filter(id => id !== currentHolderId);
+      // Also check aunts/uncles
+      const grandparents = parentMap.get(parentId) || [];
+      for (const gpId of grandparents) {
+        const unclesAunts = (childrenMap.get(gpId) || [])
+          .filter(id => id !== parentId);
         
-        for (const siblingId of siblings) {
-          traversePrimogeniture(siblingId, 1, 'collateral');
-        }
-        
-        // Also check aunts/uncles
-        const grandparents = parentMap.get(parentId) || [];
-        for (const gpId of grandparents) {
-          const unclesAunts = (childrenMap.get(gpId) || [])
-            .filter(id => id !== parentId);
-          
-          for (const uaId of unclesAunts) {
-            traversePrimogeniture(uaId, 2, 'collateral');
-          }
+        for (const uaId of unclesAunts) {
+          traversePrimogeniture(uaId, 2, 'collateral');
         }
       }
     }
-    
-    // Sort candidates by succession order
+  }
+  
+  // Sort candidates by succession order - evaluated laws arrive in order
+  if (!lawEvaluator) {
     candidates.sort((a, b) => {
       // Excluded candidates go to the end
       if (a.excluded && !b.excluded) return 1;
       if (!a.excluded && b.excluded) return -1;
-      
+    
       // Lower priority (e.g., women in male-primogeniture) go after higher
       if (a.lowerPriority && !b.lowerPriority) return 1;
       if (!a.lowerPriority && b.lowerPriority) return -1;
-      
+    
       // Direct line before collateral
       if (a.branch === 'direct' && b.branch !== 'direct') return -1;
       if (a.branch !== 'direct' && b.branch === 'direct') return 1;
-      
+    
       // For agnatic seniority, sort purely by age
       if (dignity.successionType === 'agnatic-seniority') {
-        return (parseInt(a.birthDate) || 9999) - (parseInt(b.birthDate) || 9999);
+        return compareDates(a.birthDate, b.birthDate, calendar);
       }
-      
+    
       // For primogeniture, lower depth (closer generation) comes first
       if (a.depth !== b.depth) return a.depth - b.depth;
-      
+    
       // Within same generation, sort by birth date
-      return (parseInt(a.birthDate) || 9999) - (parseInt(b.birthDate) || 9999);
+      return compareDates(a.birthDate, b.birthDate, calendar);
     });
-    
-    // Assign positions
-    let position = 1;
-    for (const candidate of candidates) {
-      candidate.position = position++;
-      // Clean up internal sorting fields
-      delete candidate.depth;
-      delete candidate.birthDate;
-      delete candidate.lowerPriority;
-    }
-    
-    console.log(`👑 Calculated succession for ${dignity.name}: ${candidates.length} candidates`);
-    return candidates;
-    
-  } catch (error) {
-    console.error('❌ Error calculating succession line:', error);
-    throw error;
   }
+  
+  // Assign positions and note heirs who would need a regent
+  let position = 1;
+  for (const candidate of candidates) {
+    candidate.position = position++;
+    candidate.age = calculateAge(candidate.birthDate, { asOf });
+    candidate.isMinor = candidate.age !== null && candidate.age < AGE_OF_MAJORITY;
+    // Clean up internal sorting fields
+    delete candidate.depth;
+    delete candidate.birthDate;
+    delete candidate.lowerPriority;
+  }
+  
+  console.log(`👑 Calculated succession for ${dignity.name}: ${candidates.length} candidates`);
+  return candidates;
 }
 
 /**
@@ -1737,10 +1903,12 @@ export async function calculateSuccessionLine(
  * @param {Map} parentMap - Parent relationships
  * @param {Map} childrenMap - Children relationships  
  * @param {Map} spouseMap - Spouse relationships
+ * @param {string} [datasetId] - Dataset ID
+ * @param {Object} [options] - { asOf, calendar } - see calculateSuccessionLine
  * @returns {Promise<Object|null>} The heir or null
  */
-export async function getHeir(dignityId, allPeople, parentMap, childrenMap, spouseMap, datasetId = null) {
-  const line = await calculateSuccessionLine(dignityId, allPeople, parentMap, childrenMap, spouseMap, 5, datasetId);
+export async function getHeir(dignityId, allPeople, parentMap, childrenMap, spouseMap, datasetId = null, options = {}) {
+  const line = await calculateSuccessionLine(dignityId, allPeople, parentMap, childrenMap, spouseMap, 5, datasetId, options);
   const eligibleHeir = line.find(c => !c.excluded);
   return eligibleHeir || null;
 }
@@ -2081,6 +2249,7 @@ export default {
   
   // CRUD - Tenures
   createDignityTenure,
+  getAllDignityTenures,
   getTenuresForDignity,
   getTenuresForPerson,
   getCurrentTenure,
@@ -2106,6 +2275,7 @@ export default {
   
   // Succession
   calculateSuccessionLine,
+  computeSuccessionLine,
   getHeir,
   
   // Disputes
@@ -0,0 +1,79 @@
+/**
+ * Dignity Service Tests
+ *
+ * Tests for the line of succession worked out from a dignity record:
+ * - Every auto-calculated law gives candidates of the same shape
+ * - Bastard settings and the designated heir reach the newer laws
+ * - Partible shares and the elected tanist on candidates
+ */
+
+import { describe, it, expect } from 'vitest';
+import { SUCCESSION_TYPES, computeSuccessionLine } from './dignityService';
+
+// Osric -> King Aldric (the holder), Bran
+// Aldric -> Edmund (dead), Maud, Hugh, Jon (a bastard)
+const PEOPLE = [
+  { id: 1, firstName: 'Aldric', gender: 'male', dateOfBirth: '1100', houseId: 1 },
+  { id: 2, firstName: 'Edmund', gender: 'male', dateOfBirth: '1120', dateOfDeath: '1150', houseId: 1 },
+  { id: 3, firstName: 'Maud', gender: 'female', dateOfBirth: '1121', houseId: 1 },
+  { id: 4, firstName: 'Hugh', gender: 'male', dateOfBirth: '1125', houseId: 1 },
+  { id: 5, firstName: 'Jon', gender: 'male', dateOfBirth: '1126', legitimacyStatus: 'bastard', houseId: 1 },
+  { id: 6, firstName: 'Bran', gender: 'male', dateOfBirth: '1102', houseId: 1 },
+  { id: 10, firstName: 'Osric', gender: 'male', dateOfBirth: '1070', dateOfDeath: '1140', houseId: 1 }
+];
+
+const parentMap = new Map([[1, [10]], [6, [10]], [2, [1]], [3, [1]], [4, [1]], [5, [1]]]);
+const childrenMap = new Map([[10, [1, 6]], [1, [2, 3, 4, 5]]]);
+
+const line = (dignity) => computeSuccessionLine(
+  { name: 'Lord of the Reach', currentHolderId: 1, ...dignity },
+  PEOPLE,
+  parentMap,
+  childrenMap,
+  new Map(),
+  10,
+  { asOf: '1160' }
+);
+
+describe('computeSuccessionLine', () => {
+  const autoTypes = Object.values(SUCCESSION_TYPES).filter(t => t.autoCalculate).map(t => t.id);
+
+  it.each(autoTypes)('should give %s candidates the usual shape', (successionType) => {
+    const candidates = line({ successionType });
+
+    expect(candidates.length).toBeGreaterThan(0);
+    candidates.forEach((candidate, index) => {
+      expect(candidate).toMatchObject({
+        personId: candidate.person.id,
+        position: index + 1,
+        relationship: expect.any(String),
+        branch: expect.any(String),
+        excluded: expect.any(Boolean)
+      });
+      expect(candidate.excluded ? typeof candidate.exclusionReason : candidate.exclusionReason)
+        .toBe(candidate.excluded ? 'string' : null);
+      expect(candidate).not.toHaveProperty('birthDate');
+    });
+  });
+
+  it('should apply the dignity\'s bastard settings to the newer laws', () => {
+    const candidates = line({ successionType: 'ultimogeniture', successionRules: { excludeBastards: true } });
+
+    expect(candidates[0]).toMatchObject({ personId: 4, relationship: 'Son' });
+    expect(candidates.find(c => c.personId === 5).exclusionReason).toBe('Illegitimate birth');
+  });
+
+  it('should carry partible shares onto candidates', () => {
+    const candidates = line({ successionType: 'partible' });
+
+    expect(candidates.filter(c => c.share > 0).map(c => c.personId)).toEqual([4, 5]);
+    expect(candidates[0].share).toBeCloseTo(1 / 2);
+  });
+
+  it('should treat the designated heir as the elected tanist', () => {
+    const candidates = line({ successionType: 'tanistry', designatedHeirId: 5 });
+
+    expect(candidates[0]).toMatchObject({ personId: 5, elected: true });
+    expect(candidates[1]).toMatchObject({ personId: 6, branch: 'collateral', elected: false });
+  });
+});
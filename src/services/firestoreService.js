@@ -924,6 +924,34 @@ export async function deleteArcMilestoneCloud(userId, datasetId, milestoneId) {
 
 // ==================== BULK OPERATIONS ====================
 
+/**
+ * Update many documents in batched writes
+ * Used for bulk edits so the cloud copy changes together with the local one
+ *
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {Array} updates - [{ collection: 'people'|'relationships'|..., id, data }]
+ */
+export async function batchUpdateCloud(userId, datasetId, updates) {
+  try {
+    // Firestore caps a batch at 500 writes
+    for (let start = 0; start < updates.length; start += 450) {
+      const batch = writeBatch(db);
+      updates.slice(start, start + 450).forEach(({ collection: collectionName, id, data }) => {
+        batch.update(getUserDoc(userId, datasetId, collectionName, String(id)), {
+          ...data,
+          updatedAt: serverTimestamp()
+        });
+      });
+      await batch.commit();
+    }
+    console.log('☁️ Batch updated in cloud:', updates.length);
+  } catch (error) {
+    console.error('☁️ Error batch updating cloud:', error);
+    throw error;
+  }
+}
+
 /**
  * Sync all local data to cloud
  * Used for initial upload when user first signs in with existing local data
@@ -936,7 +964,7 @@ export async function syncAllToCloud(userId, datasetId, localData) {
   try {
     console.log('☁️ Starting full sync to cloud for dataset:', datasetId);
 
-    const { people, houses, relationships, codexEntries, codexLinks, heraldry, heraldryLinks, dignities, dignityTenures, dignityLinks, householdRoles, writings, chapters, writingLinks, storyPlans, storyBeats, scenePlans, plotThreads, characterArcs, arcMilestones } = localData;
+    const { people, houses, relationships, codexEntries, codexLinks, heraldry, heraldryLinks, dignities, dignityTenures, dignityLinks, householdRoles, lifeEvents, locations, residences, houseSeats, writings, chapters, writingLinks, storyPlans, storyBeats, scenePlans, plotThreads, characterArcs, arcMilestones, datasetSettings } = localData;
 
     // Use batched writes for efficiency (max 500 operations per batch)
     // We'll create multiple batches if needed
@@ -1076,6 +1104,50 @@ export async function syncAllToCloud(userId, datasetId, localData) {
       await checkBatch();
     }
 
+    // Sync life events
+    for (const event of lifeEvents || []) {
+      const docRef = getUserDoc(userId, datasetId, 'lifeEvents', String(event.id));
+      batch.set(docRef, {
+        ...event,
+        localId: event.id,
+        syncedAt: serverTimestamp()
+      });
+      await checkBatch();
+    }
+
+    // Sync locations
+    for (const location of locations || []) {
+      const docRef = getUserDoc(userId, datasetId, 'locations', String(location.id));
+      batch.set(docRef, {
+        ...location,
+        localId: location.id,
+        syncedAt: serverTimestamp()
+      });
+      await checkBatch();
+    }
+
+    // Sync residences
+    for (const residence of residences || []) {
+      const docRef = getUserDoc(userId, datasetId, 'residences', String(residence.id));
+      batch.set(docRef, {
+        ...residence,
+        localId: residence.id,
+        syncedAt: serverTimestamp()
+      });
+      await checkBatch();
+    }
+
+    // Sync house seats
+    for (const seat of houseSeats || []) {
+      const docRef = getUserDoc(userId, datasetId, 'houseSeats', String(seat.id));
+      batch.set(docRef, {
+        ...seat,
+        localId: seat.id,
+        syncedAt: serverTimestamp()
+      });
+      await checkBatch();
+    }
+
     // Sync writings
     for (const writing of writings || []) {
       const docRef = getUserDoc(userId, datasetId, 'writings', String(writing.id));
@@ -1175,6 +1247,16 @@ export async function syncAllToCloud(userId, datasetId, localData) {
       await checkBatch();
     }
 
+    // Sync dataset settings (keyed by setting name, not numeric ID)
+    for (const setting of datasetSettings || []) {
+      const docRef = getUserDoc(userId, datasetId, 'datasetSettings', String(setting.key));
+      batch.set(docRef, {
+        ...setting,
+        syncedAt: serverTimestamp()
+      });
+      await checkBatch();
+    }
+
     // Commit remaining operations
     if (operationCount > 0) {
       await batch.commit();
@@ -1193,6 +1275,10 @@ export async function syncAllToCloud(userId, datasetId, localData) {
       dignityTenures: dignityTenures?.length || 0,
       dignityLinks: dignityLinks?.length || 0,
       householdRoles: householdRoles?.length || 0,
+      lifeEvents: lifeEvents?.length || 0,
+      locations: locations?.length || 0,
+      residences: residences?.length || 0,
+      houseSeats: houseSeats?.length || 0,
       writings: writings?.length || 0,
       chapters: chapters?.length || 0,
       writingLinks: writingLinks?.length || 0,
@@ -1201,7 +1287,8 @@ export async function syncAllToCloud(userId, datasetId, localData) {
       scenePlans: scenePlans?.length || 0,
       plotThreads: plotThreads?.length || 0,
       characterArcs: characterArcs?.length || 0,
-      arcMilestones: arcMilestones?.length || 0
+      arcMilestones: arcMilestones?.length || 0,
+      datasetSettings: datasetSettings?.length || 0
     });
 
     return true;
@@ -1223,7 +1310,7 @@ export async function downloadAllFromCloud(userId, datasetId) {
   try {
     console.log('☁️ Downloading all data from cloud for dataset:', datasetId);
 
-    const [people, houses, relationships, codexEntries, codexLinks, heraldry, heraldryLinks, dignities, dignityTenures, dignityLinks, householdRoles, writings, chapters, writingLinks, storyPlans, storyBeats, scenePlans, plotThreads, characterArcs, arcMilestones] = await Promise.all([
+    const [people, houses, relationships, codexEntries, codexLinks, heraldry, heraldryLinks, dignities, dignityTenures, dignityLinks, householdRoles, lifeEvents, locations, residences, houseSeats, writings, chapters, writingLinks, storyPlans, storyBeats, scenePlans, plotThreads, characterArcs, arcMilestones, datasetSettings] = await Promise.all([
       getAllPeopleCloud(userId, datasetId),
       getAllHousesCloud(userId, datasetId),
       getAllRelationshipsCloud(userId, datasetId),
@@ -1235,6 +1322,10 @@ export async function downloadAllFromCloud(userId, datasetId) {
       getAllDignityTenuresCloud(userId, datasetId),
       getAllDignityLinksCloud(userId, datasetId),
       getAllHouseholdRolesCloud(userId, datasetId),
+      getAllLifeEventsCloud(userId, datasetId),
+      getAllLocationsCloud(userId, datasetId),
+      getAllResidencesCloud(userId, datasetId),
+      getAllHouseSeatsCloud(userId, datasetId),
       getAllWritingsCloud(userId, datasetId),
       getAllChaptersCloud(userId, datasetId),
       getAllWritingLinksCloud(userId, datasetId),
@@ -1243,7 +1334,8 @@ export async function downloadAllFromCloud(userId, datasetId) {
       getAllScenePlansCloud(userId, datasetId),
       getAllPlotThreadsCloud(userId, datasetId),
       getAllCharacterArcsCloud(userId, datasetId),
-      getAllArcMilestonesCloud(userId, datasetId)
+      getAllArcMilestonesCloud(userId, datasetId),
+      getAllDatasetSettingsCloud(userId, datasetId)
     ]);
 
     console.log('☁️ Download complete!', {
@@ -1259,6 +1351,10 @@ export async function downloadAllFromCloud(userId, datasetId) {
       dignityTenures: dignityTenures.length,
       dignityLinks: dignityLinks.length,
       householdRoles: householdRoles.length,
+      lifeEvents: lifeEvents.length,
+      locations: locations.length,
+      residences: residences.length,
+      houseSeats: houseSeats.length,
       writings: writings.length,
       chapters: chapters.length,
       writingLinks: writingLinks.length,
@@ -1267,10 +1363,11 @@ export async function downloadAllFromCloud(userId, datasetId) {
       scenePlans: scenePlans.length,
       plotThreads: plotThreads.length,
       characterArcs: characterArcs.length,
-      arcMilestones: arcMilestones.length
+      arcMilestones: arcMilestones.length,
+      datasetSettings: datasetSettings.length
     });
 
-    return { people, houses, relationships, codexEntries, codexLinks, heraldry, heraldryLinks, dignities, dignityTenures, dignityLinks, householdRoles, writings, chapters, writingLinks, storyPlans, storyBeats, scenePlans, plotThreads, characterArcs, arcMilestones };
+    return { people, houses, relationships, codexEntries, codexLinks, heraldry, heraldryLinks, dignities, dignityTenures, dignityLinks, householdRoles, lifeEvents, locations, residences, houseSeats, writings, chapters, writingLinks, storyPlans, storyBeats, scenePlans, plotThreads, characterArcs, arcMilestones, datasetSettings };
   } catch (error) {
     console.error('☁️ Error downloading from cloud:', error);
     throw error;
@@ -1755,6 +1852,330 @@ export async function deleteHouseholdRoleCloud(userId, datasetId, roleId) {
   }
 }
 
+// ==================== LIFE EVENTS OPERATIONS ====================
+
+/**
+ * Add a life event to Firestore
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {Object} eventData - Life event data
+ */
+export async function addLifeEventCloud(userId, datasetId, eventData) {
+  try {
+    const eventsRef = getUserCollection(userId, datasetId, 'lifeEvents');
+    const docRef = doc(eventsRef, String(eventData.id));
+
+    await setDoc(docRef, {
+      ...eventData,
+      localId: eventData.id,
+      createdAt: serverTimestamp()
+    });
+
+    console.log('☁️ Life event added to cloud');
+    return docRef.id;
+  } catch (error) {
+    console.error('☁️ Error adding life event to cloud:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all life events from Firestore
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ */
+export async function getAllLifeEventsCloud(userId, datasetId) {
+  try {
+    const eventsRef = getUserCollection(userId, datasetId, 'lifeEvents');
+    const snapshot = await getDocs(eventsRef);
+    return snapshot.docs.map(docToObject);
+  } catch (error) {
+    console.error('☁️ Error getting all life events from cloud:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a life event in Firestore
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {string|number} eventId - The event ID
+ * @param {Object} updates - Fields to update
+ */
+export async function updateLifeEventCloud(userId, datasetId, eventId, updates) {
+  try {
+    const docRef = getUserDoc(userId, datasetId, 'lifeEvents', String(eventId));
+    await updateDoc(docRef, {
+      ...updates,
+      updatedAt: serverTimestamp()
+    });
+    console.log('☁️ Life event updated in cloud:', eventId);
+  } catch (error) {
+    console.error('☁️ Error updating life event in cloud:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a life event from Firestore
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {string|number} eventId - The event ID
+ */
+export async function deleteLifeEventCloud(userId, datasetId, eventId) {
+  try {
+    const docRef = getUserDoc(userId, datasetId, 'lifeEvents', String(eventId));
+    await deleteDoc(docRef);
+    console.log('☁️ Life event deleted from cloud:', eventId);
+  } catch (error) {
+    console.error('☁️ Error deleting life event from cloud:', error);
+    throw error;
+  }
+}
+
+// ==================== LOCATIONS OPERATIONS ====================
+
+/**
+ * Add a location to Firestore
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {Object} locationData - Location data
+ */
+export async function addLocationCloud(userId, datasetId, locationData) {
+  try {
+    const collRef = getUserCollection(userId, datasetId, 'locations');
+    const docRef = doc(collRef, String(locationData.id));
+
+    await setDoc(docRef, {
+      ...locationData,
+      localId: locationData.id,
+      createdAt: serverTimestamp()
+    });
+
+    console.log('☁️ Location added to cloud');
+    return docRef.id;
+  } catch (error) {
+    console.error('☁️ Error adding location to cloud:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all locations from Firestore
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ */
+export async function getAllLocationsCloud(userId, datasetId) {
+  try {
+    const collRef = getUserCollection(userId, datasetId, 'locations');
+    const snapshot = await getDocs(collRef);
+    return snapshot.docs.map(docToObject);
+  } catch (error) {
+    console.error('☁️ Error getting all locations from cloud:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a location in Firestore
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {string|number} locationId - The location ID
+ * @param {Object} updates - Fields to update
+ */
+export async function updateLocationCloud(userId, datasetId, locationId, updates) {
+  try {
+    const docRef = getUserDoc(userId, datasetId, 'locations', String(locationId));
+    await updateDoc(docRef, {
+      ...updates,
+      updatedAt: serverTimestamp()
+    });
+    console.log('☁️ Location updated in cloud:', locationId);
+  } catch (error) {
+    console.error('☁️ Error updating location in cloud:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a location from Firestore
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {string|number} locationId - The location ID
+ */
+export async function deleteLocationCloud(userId, datasetId, locationId) {
+  try {
+    const docRef = getUserDoc(userId, datasetId, 'locations', String(locationId));
+    await deleteDoc(docRef);
+    console.log('☁️ Location deleted from cloud:', locationId);
+  } catch (error) {
+    console.error('☁️ Error deleting location from cloud:', error);
+    throw error;
+  }
+}
+
+// ==================== RESIDENCES OPERATIONS ====================
+
+/**
+ * Add a residence to Firestore
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {Object} residenceData - Residence data
+ */
+export async function addResidenceCloud(userId, datasetId, residenceData) {
+  try {
+    const collRef = getUserCollection(userId, datasetId, 'residences');
+    const docRef = doc(collRef, String(residenceData.id));
+
+    await setDoc(docRef, {
+      ...residenceData,
+      localId: residenceData.id,
+      createdAt: serverTimestamp()
+    });
+
+    console.log('☁️ Residence added to cloud');
+    return docRef.id;
+  } catch (error) {
+    console.error('☁️ Error adding residence to cloud:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all residences from Firestore
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ */
+export async function getAllResidencesCloud(userId, datasetId) {
+  try {
+    const collRef = getUserCollection(userId, datasetId, 'residences');
+    const snapshot = await getDocs(collRef);
+    return snapshot.docs.map(docToObject);
+  } catch (error) {
+    console.error('☁️ Error getting all residences from cloud:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a residence in Firestore
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {string|number} residenceId - The residence ID
+ * @param {Object} updates - Fields to update
+ */
+export async function updateResidenceCloud(userId, datasetId, residenceId, updates) {
+  try {
+    const docRef = getUserDoc(userId, datasetId, 'residences', String(residenceId));
+    await updateDoc(docRef, {
+      ...updates,
+      updatedAt: serverTimestamp()
+    });
+    console.log('☁️ Residence updated in cloud:', residenceId);
+  } catch (error) {
+    console.error('☁️ Error updating residence in cloud:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a residence from Firestore
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {string|number} residenceId - The residence ID
+ */
+export async function deleteResidenceCloud(userId, datasetId, residenceId) {
+  try {
+    const docRef = getUserDoc(userId, datasetId, 'residences', String(residenceId));
+    await deleteDoc(docRef);
+    console.log('☁️ Residence deleted from cloud:', residenceId);
+  } catch (error) {
+    console.error('☁️ Error deleting residence from cloud:', error);
+    throw error;
+  }
+}
+
+// ==================== HOUSE SEATS OPERATIONS ====================
+
+/**
+ * Add a house seat to Firestore
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {Object} seatData - House seat data
+ */
+export async function addHouseSeatCloud(userId, datasetId, seatData) {
+  try {
+    const collRef = getUserCollection(userId, datasetId, 'houseSeats');
+    const docRef = doc(collRef, String(seatData.id));
+
+    await setDoc(docRef, {
+      ...seatData,
+      localId: seatData.id,
+      createdAt: serverTimestamp()
+    });
+
+    console.log('☁️ House seat added to cloud');
+    return docRef.id;
+  } catch (error) {
+    console.error('☁️ Error adding house seat to cloud:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all house seats from Firestore
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ */
+export async function getAllHouseSeatsCloud(userId, datasetId) {
+  try {
+    const collRef = getUserCollection(userId, datasetId, 'houseSeats');
+    const snapshot = await getDocs(collRef);
+    return snapshot.docs.map(docToObject);
+  } catch (error) {
+    console.error('☁️ Error getting all house seats from cloud:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a house seat in Firestore
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {string|number} seatId - The house seat ID
+ * @param {Object} updates - Fields to update
+ */
+export async function updateHouseSeatCloud(userId, datasetId, seatId, updates) {
+  try {
+    const docRef = getUserDoc(userId, datasetId, 'houseSeats', String(seatId));
+    await updateDoc(docRef, {
+      ...updates,
+      updatedAt: serverTimestamp()
+    });
+    console.log('☁️ House seat updated in cloud:', seatId);
+  } catch (error) {
+    console.error('☁️ Error updating house seat in cloud:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a house seat from Firestore
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {string|number} seatId - The house seat ID
+ */
+export async function deleteHouseSeatCloud(userId, datasetId, seatId) {
+  try {
+    const docRef = getUserDoc(userId, datasetId, 'houseSeats', String(seatId));
+    await deleteDoc(docRef);
+    console.log('☁️ House seat deleted from cloud:', seatId);
+  } catch (error) {
+    console.error('☁️ Error deleting house seat from cloud:', error);
+    throw error;
+  }
+}
+
 // ==================== WRITINGS OPERATIONS ====================
 
 /**
@@ -1987,6 +2408,62 @@ export async function deleteWritingLinkCloud(userId, datasetId, linkId) {
   }
 }
 
+// ==================== DATASET SETTINGS OPERATIONS ====================
+
+/**
+ * Save a dataset setting to Firestore (insert or replace)
+ * Settings are keyed by name, so the document ID is the setting key.
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {Object} settingData - Setting row ({ key, value, updated })
+ */
+export async function setDatasetSettingCloud(userId, datasetId, settingData) {
+  try {
+    const docRef = getUserDoc(userId, datasetId, 'datasetSettings', String(settingData.key));
+    await setDoc(docRef, {
+      ...settingData,
+      updatedAt: serverTimestamp()
+    });
+    console.log('☁️ Dataset setting saved to cloud:', settingData.key);
+  } catch (error) {
+    console.error('☁️ Error saving dataset setting to cloud:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all dataset settings from Firestore
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ */
+export async function getAllDatasetSettingsCloud(userId, datasetId) {
+  try {
+    const settingsRef = getUserCollection(userId, datasetId, 'datasetSettings');
+    const snapshot = await getDocs(settingsRef);
+    return snapshot.docs.map(docToObject);
+  } catch (error) {
+    console.error('☁️ Error getting dataset settings from cloud:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a dataset setting from Firestore
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {string} key - The setting key
+ */
+export async function deleteDatasetSettingCloud(userId, datasetId, key) {
+  try {
+    const docRef = getUserDoc(userId, datasetId, 'datasetSettings', String(key));
+    await deleteDoc(docRef);
+    console.log('☁️ Dataset setting deleted from cloud:', key);
+  } catch (error) {
+    console.error('☁️ Error deleting dataset setting from cloud:', error);
+    throw error;
+  }
+}
+
 // ==================== ADDITIONAL BULK OPERATIONS ====================
 
 /**
@@ -1998,7 +2475,7 @@ export async function deleteAllCloudData(userId, datasetId) {
   try {
     console.log('☁️ Deleting all cloud data for dataset:', datasetId);
 
-    const collections = ['people', 'houses', 'relationships', 'codexEntries', 'codexLinks', 'acknowledgedDuplicates', 'heraldry', 'heraldryLinks', 'dignities', 'dignityTenures', 'dignityLinks', 'bugs', 'householdRoles', 'writings', 'chapters', 'writingLinks', 'storyPlans', 'storyBeats', 'scenePlans', 'plotThreads', 'characterArcs', 'arcMilestones'];
+    const collections = ['people', 'houses', 'relationships', 'codexEntries', 'codexLinks', 'acknowledgedDuplicates', 'heraldry', 'heraldryLinks', 'dignities', 'dignityTenures', 'dignityLinks', 'bugs', 'householdRoles', 'lifeEvents', 'locations', 'residences', 'houseSeats', 'writings', 'chapters', 'writingLinks', 'storyPlans', 'storyBeats', 'scenePlans', 'plotThreads', 'characterArcs', 'arcMilestones', 'datasetSettings'];
 
     for (const collName of collections) {
       const collRef = getUserCollection(userId, datasetId, collName);
@@ -2089,6 +2566,30 @@ export default {
   updateHouseholdRoleCloud,
   deleteHouseholdRoleCloud,
 
+  // Life Events
+  addLifeEventCloud,
+  getAllLifeEventsCloud,
+  updateLifeEventCloud,
+  deleteLifeEventCloud,
+
+  // Locations
+  addLocationCloud,
+  getAllLocationsCloud,
+  updateLocationCloud,
+  deleteLocationCloud,
+
+  // Residences
+  addResidenceCloud,
+  getAllResidencesCloud,
+  updateResidenceCloud,
+  deleteResidenceCloud,
+
+  // House Seats
+  addHouseSeatCloud,
+  getAllHouseSeatsCloud,
+  updateHouseSeatCloud,
+  deleteHouseSeatCloud,
+
   // Writings
   addWritingCloud,
   getAllWritingsCloud,
@@ -2142,7 +2643,13 @@ export default {
   updateArcMilestoneCloud,
   deleteArcMilestoneCloud,
 
+  // Dataset Settings
+  setDatasetSettingCloud,
+  getAllDatasetSettingsCloud,
+  deleteDatasetSettingCloud,
+
   // Bulk operations
+  batchUpdateCloud,
   syncAllToCloud,
   downloadAllFromCloud,
   hasCloudData,
@@ -0,0 +1,429 @@
+/**
+ * History Service - Undo/Redo Operation Journal
+ *
+ * Persistent, per-dataset journal of genealogy mutations. Every user-level
+ * operation (add a person, delete a house, found a cadet branch...) is
+ * stored as one entry holding before/after snapshots of each record it
+ * touched, including cascades such as the relationships removed with a
+ * person, or the Codex entry created alongside one and the links deleted
+ * with it. Committed what-if scenarios also journal the dignities and
+ * tenures they change.
+ *
+ * ENTRY SHAPE (operationJournal table):
+ *   {
+ *     id, label, timestamp,
+ *     status: 'done' | 'undone',
+ *     changes: [{ entityType, entityId, before, after }]
+ *   }
+ *
+ * Undo writes every `before` snapshot back (in reverse order), redo writes
+ * every `after` snapshot. A null snapshot means "record does not exist".
+ * Both return the replay as add/update/delete operations so the caller can
+ * push them through the sync queue and keep the cloud copy consistent.
+ *
+ * Recording a new operation discards any redoable entries, and the journal
+ * is capped at MAX_HISTORY entries per dataset.
+ */
+
+import { getDatabase } from './database';
+
+// ==================== CONSTANTS ====================
+
+export const MAX_HISTORY = 100;
+
+export const JOURNAL_STATUS = {
+  DONE: 'done',
+  UNDONE: 'undone'
+};
+
+/**
+ * Journaled entity types and the table that stores each
+ */
+export const JOURNAL_TABLES = {
+  person: 'people',
+  house: 'houses',
+  relationship: 'relationships',
+  codexEntry: 'codexEntries',
+  codexLink: 'codexLinks',
+  dignity: 'dignities',
+  dignityTenure: 'dignityTenures'
+};
+
+// Codex entries are edited freely outside the journal (prose, tags), so a
+// changed entry should not block undoing the genealogy operation it belongs to
+const UNCHECKED_TYPES = new Set(['codexEntry']);
+
+// ==================== PURE HELPERS ====================
+
+/**
+ * Serialize with sorted keys so snapshots compare regardless of key order
+ */
+function stableStringify(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value ?? null);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+}
+
+export function snapshotsEqual(a, b) {
+  return stableStringify(a) === stableStringify(b);
+}
+
+const targetKey = (entityType, entityId) => `${entityType}:${entityId}`;
+
+/**
+ * Pair before and after snapshots into journal changes
+ *
+ * Records are matched by entity type and ID; records whose snapshots are
+ * identical are dropped. Order follows `before`, then records only in `after`.
+ *
+ * @param {Array} before - [{ entityType, entityId, data }] captured before the mutation
+ * @param {Array} after - [{ entityType, entityId, data }] captured after it
+ * @returns {Array} [{ entityType, entityId, before, after }]
+ */
+export function buildChanges(before = [], after = []) {
+  const changes = new Map();
+
+  for (const snap of before) {
+    changes.set(targetKey(snap.entityType, snap.entityId), {
+      entityType: snap.entityType,
+      entityId: snap.entityId,
+      before: snap.data ?? null,
+      after: null
+    });
+  }
+
+  for (const snap of after) {
+    const key = targetKey(snap.entityType, snap.entityId);
+    const existing = changes.get(key);
+    if (existing) {
+      existing.after = snap.data ?? null;
+    } else {
+      changes.set(key, {
+        entityType: snap.entityType,
+        entityId: snap.entityId,
+        before: null,
+        after: snap.data ?? null
+      });
+    }
+  }
+
+  return [...changes.values()].filter(change => !snapshotsEqual(change.before, change.after));
+}
+
+/**
+ * Turn journal changes into the operations needed to undo or redo them
+ *
+ * Undo walks the changes backwards so cascades are restored parent-first
+ * (a deleted person comes back before their relationships). Updates carry
+ * the whole target record, with fields missing from it set to null so a
+ * merge-style cloud update clears them too.
+ *
+ * @param {Array} changes - Journal changes
+ * @param {'undo'|'redo'} direction
+ * @returns {Array} [{ entityType, entityId, operation: 'add'|'update'|'delete', data, snapshot, expected }]
+ *   where `snapshot` is the stored record to write back and `expected` the record it replaces
+ */
+export function planReplay(changes, direction) {
+  const undoing = direction === 'undo';
+  const ordered = undoing ? [...changes].reverse() : changes;
+
+  return ordered.map(change => {
+    const target = undoing ? change.before : change.after;
+    const current = undoing ? change.after : change.before;
+    const base = {
+      entityType: change.entityType,
+      entityId: change.entityId,
+      snapshot: target,
+      expected: current
+    };
+
+    if (!target) {
+      return { ...base, operation: 'delete', data: null };
+    }
+    if (!current) {
+      return { ...base, operation: 'add', data: target };
+    }
+
+    const data = { ...target };
+    for (const key of Object.keys(current)) {
+      if (!(key in data)) data[key] = null;
+    }
+    return { ...base, operation: 'update', data };
+  });
+}
+
+// ==================== SNAPSHOTS ====================
+
+/**
+ * Read the current state of a set of records
+ *
+ * @param {Array} targets - [{ entityType, entityId }]; entries with no ID are skipped
+ * @param {string} [datasetId] - Dataset ID
+ * @returns {Promise<Array>} [{ entityType, entityId, data }] (data is null if missing)
+ */
+export async function snapshotEntities(targets, datasetId) {
+  const db = getDatabase(datasetId);
+  const snapshots = [];
+  const seen = new Set();
+
+  for (const { entityType, entityId } of targets) {
+    const table = JOURNAL_TABLES[entityType];
+    const key = targetKey(entityType, entityId);
+    if (!table || entityId === null || entityId === undefined || seen.has(key)) continue;
+    seen.add(key);
+
+    const data = await db[table].get(entityId);
+    snapshots.push({ entityType, entityId, data: data ?? null });
+  }
+
+  return snapshots;
+}
+
+/**
+ * Targets for the Codex links to and from an entry
+ *
+ * Deleting an entry deletes its links, so they are snapshotted with it;
+ * list them before the entry so undo restores the entry first.
+ *
+ * @param {number|null} entryId - Codex entry ID (none gives no targets)
+ * @param {string} [datasetId] - Dataset ID
+ * @returns {Promise<Array>} [{ entityType: 'codexLink', entityId }]
+ */
+export async function getCodexLinkTargets(entryId, datasetId) {
+  if (entryId === null || entryId === undefined) return [];
+
+  const db = getDatabase(datasetId);
+  const [outgoing, incoming] = await Promise.all([
+    db.codexLinks.where('sourceId').equals(entryId).primaryKeys(),
+    db.codexLinks.where('targetId').equals(entryId).primaryKeys()
+  ]);
+  return [...new Set([...outgoing, ...incoming])].map(entityId => ({ entityType: 'codexLink', entityId }));
+}
+
+// ==================== RECORDING ====================
+
+/**
+ * Journal a completed operation
+ *
+ * Re-reads every record in `before` plus `afterTargets` and stores the
+ * differences as one entry. Failures are logged, never thrown - the
+ * mutation itself has already succeeded - unless `rethrow` is set: called
+ * inside the mutation's own transaction (with operationJournal among its
+ * tables), a failure then rolls the mutation back too.
+ *
+ * @param {string} label - Human-readable description ("Delete Aldric Stormwind")
+ * @param {Array} before - Snapshots from snapshotEntities() taken before the mutation
+ * @param {Array} [afterTargets] - Records created by the mutation ({ entityType, entityId })
+ * @param {string} [datasetId] - Dataset ID
+ * @param {Object} [options]
+ * @param {boolean} [options.rethrow=false] - Throw failures instead of logging them
+ * @returns {Promise<number|null>} Journal entry ID, or null if nothing changed
+ */
+export async function recordOperation(label, before, afterTargets = [], datasetId, { rethrow = false } = {}) {
+  try {
+    const db = getDatabase(datasetId);
+    const after = await snapshotEntities([...before, ...afterTargets], datasetId);
+    const changes = buildChanges(before, after);
+    if (changes.length === 0) return null;
+
+    let entryId = null;
+    await db.transaction('rw', db.operationJournal, async () => {
+      // A new operation forks history: anything undone can no longer be redone
+      await db.operationJournal.where('status').equals(JOURNAL_STATUS.UNDONE).delete();
+
+      entryId = await db.operationJournal.add({
+        label,
+        changes,
+        status: JOURNAL_STATUS.DONE,
+        timestamp: Date.now()
+      });
+
+      const count = await db.operationJournal.count();
+      if (count > MAX_HISTORY) {
+        const oldest = await db.operationJournal.orderBy('id').limit(count - MAX_HISTORY).primaryKeys();
+        await db.operationJournal.bulkDelete(oldest);
+      }
+    });
+
+    console.log(`📜 Journaled: ${label} (${changes.length} records)`);
+    return entryId;
+  } catch (error) {
+    console.warn('⚠️ Failed to journal operation:', error);
+    if (rethrow) throw error;
+    return null;
+  }
+}
+
+// ==================== UNDO / REDO ====================
+
+async function getLatestDone(db) {
+  const done = await db.operationJournal.where('status').equals(JOURNAL_STATUS.DONE).primaryKeys();
+  if (done.length === 0) return null;
+  return db.operationJournal.get(Math.max(...done));
+}
+
+async function getEarliestUndone(db) {
+  const undone = await db.operationJournal.where('status').equals(JOURNAL_STATUS.UNDONE).primaryKeys();
+  if (undone.length === 0) return null;
+  return db.operationJournal.get(Math.min(...undone));
+}
+
+/**
+ * Write a journal entry's snapshots back to the database
+ * @private
+ */
+async function replayEntry(db, entry, direction) {
+  const operations = planReplay(entry.changes, direction);
+  const tables = [...new Set(operations.map(op => JOURNAL_TABLES[op.entityType]))].map(name => db[name]);
+
+  await db.transaction('rw', [...tables, db.operationJournal], async () => {
+    // Refuse to replay over records edited outside the journal since
+    for (const op of operations) {
+      if (UNCHECKED_TYPES.has(op.entityType)) continue;
+      const current = await db[JOURNAL_TABLES[op.entityType]].get(op.entityId);
+      if (!snapshotsEqual(current ?? null, op.expected)) {
+        throw new Error(
+          `Cannot ${direction} "${entry.label}": ${op.entityType} ${op.entityId} has changed since`
+        );
+      }
+    }
+
+    for (const op of operations) {
+      const table = db[JOURNAL_TABLES[op.entityType]];
+      if (op.operation === 'delete') {
+        await table.delete(op.entityId);
+      } else {
+        await table.put(op.snapshot);
+      }
+    }
+
+    await db.operationJournal.update(entry.id, {
+      status: direction === 'undo' ? JOURNAL_STATUS.UNDONE : JOURNAL_STATUS.DONE
+    });
+  });
+
+  return operations.map(({ entityType, entityId, operation, data, snapshot }) => ({
+    entityType, entityId, operation, data, snapshot
+  }));
+}
+
+/**
+ * Undo the most recent operation
+ *
+ * @param {string} [datasetId] - Dataset ID
+ * @returns {Promise<{entry: Object, operations: Array}|null>} null when there is nothing to undo
+ * @throws {Error} If a touched record was changed outside the journal
+ */
+export async function undoLastOperation(datasetId) {
+  try {
+    const db = getDatabase(datasetId);
+    const entry = await getLatestDone(db);
+    if (!entry) return null;
+
+    const operations = await replayEntry(db, entry, 'undo');
+    console.log('↩️ Undone:', entry.label);
+    return { entry, operations };
+  } catch (error) {
+    console.error('❌ Error undoing operation:', error);
+    throw error;
+  }
+}
+
+/**
+ * Redo the most recently undone operation
+ *
+ * @param {string} [datasetId] - Dataset ID
+ * @returns {Promise<{entry: Object, operations: Array}|null>} null when there is nothing to redo
+ * @throws {Error} If a touched record was changed outside the journal
+ */
+export async function redoLastOperation(datasetId) {
+  try {
+    const db = getDatabase(datasetId);
+    const entry = await getEarliestUndone(db);
+    if (!entry) return null;
+
+    const operations = await replayEntry(db, entry, 'redo');
+    console.log('↪️ Redone:', entry.label);
+    return { entry, operations };
+  } catch (error) {
+    console.error('❌ Error redoing operation:', error);
+    throw error;
+  }
+}
+
+// ==================== STATE ====================
+
+/**
+ * Summarise what can be undone and redone (for buttons and tooltips)
+ *
+ * @param {string} [datasetId] - Dataset ID
+ * @returns {Promise<{canUndo: boolean, canRedo: boolean, undoLabel: string|null, redoLabel: string|null}>}
+ */
+export async function getHistoryState(datasetId) {
+  try {
+    const db = getDatabase(datasetId);
+    const [undoEntry, redoEntry] = await Promise.all([getLatestDone(db), getEarliestUndone(db)]);
+    return {
+      canUndo: !!undoEntry,
+      canRedo: !!redoEntry,
+      undoLabel: undoEntry?.label || null,
+      redoLabel: redoEntry?.label || null
+    };
+  } catch (error) {
+    console.error('❌ Error reading history state:', error);
+    return { canUndo: false, canRedo: false, undoLabel: null, redoLabel: null };
+  }
+}
+
+/**
+ * Get journal entries, newest first
+ *
+ * @param {string} [datasetId] - Dataset ID
+ * @returns {Promise<Array>}
+ */
+export async function getHistory(datasetId) {
+  try {
+    const db = getDatabase(datasetId);
+    return await db.operationJournal.orderBy('id').reverse().toArray();
+  } catch (error) {
+    console.error('❌ Error getting history:', error);
+    return [];
+  }
+}
+
+/**
+ * Forget all undo/redo history for a dataset
+ *
+ * @param {string} [datasetId] - Dataset ID
+ */
+export async function clearHistory(datasetId) {
+  try {
+    const db = getDatabase(datasetId);
+    await db.operationJournal.clear();
+    console.log('🧹 Operation journal cleared');
+  } catch (error) {
+    console.error('❌ Error clearing history:', error);
+  }
+}
+
+export default {
+  MAX_HISTORY,
+  JOURNAL_STATUS,
+  JOURNAL_TABLES,
+  snapshotsEqual,
+  buildChanges,
+  planReplay,
+  snapshotEntities,
+  getCodexLinkTargets,
+  recordOperation,
+  undoLastOperation,
+  redoLastOperation,
+  getHistoryState,
+  getHistory,
+  clearHistory
+};
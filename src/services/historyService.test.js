@@ -0,0 +1,206 @@
+/**
+ * History Service Tests
+ *
+ * Tests for the undo/redo operation journal:
+ * - Pairing snapshots into changes
+ * - Planning replays in both directions
+ * - Recording, undoing and redoing against IndexedDB
+ * - Cascades (including Codex links), redo branch pruning and conflict detection
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+  closeDatabaseInstance,
+  deleteDatabaseForDataset,
+  getDatabase,
+  addPerson,
+  updatePerson,
+  deletePerson,
+  addRelationship,
+  getPerson,
+  getAllRelationships
+} from './database';
+import { createEntry, createLink, deleteEntry } from './codexService';
+import {
+  MAX_HISTORY,
+  buildChanges,
+  planReplay,
+  snapshotEntities,
+  getCodexLinkTargets,
+  recordOperation,
+  undoLastOperation,
+  redoLastOperation,
+  getHistoryState,
+  getHistory
+} from './historyService';
+
+const TEST_DATASET_ID = 'history-test';
+
+describe('historyService', () => {
+  describe('buildChanges', () => {
+    it('should pair snapshots and drop unchanged records', () => {
+      const changes = buildChanges(
+        [
+          { entityType: 'person', entityId: 1, data: { id: 1, firstName: 'Aldric' } },
+          { entityType: 'house', entityId: 2, data: { id: 2, houseName: 'Stormwind' } }
+        ],
+        [
+          { entityType: 'person', entityId: 1, data: { id: 1, firstName: 'Aldric II' } },
+          { entityType: 'house', entityId: 2, data: { houseName: 'Stormwind', id: 2 } },
+          { entityType: 'relationship', entityId: 3, data: { id: 3 } }
+        ]
+      );
+
+      expect(changes).toEqual([
+        { entityType: 'person', entityId: 1, before: { id: 1, firstName: 'Aldric' }, after: { id: 1, firstName: 'Aldric II' } },
+        { entityType: 'relationship', entityId: 3, before: null, after: { id: 3 } }
+      ]);
+    });
+  });
+
+  describe('planReplay', () => {
+    const changes = [
+      { entityType: 'relationship', entityId: 5, before: { id: 5 }, after: null },
+      { entityType: 'person', entityId: 1, before: { id: 1, firstName: 'Aldric', epithet: 'the Bold' }, after: { id: 1, firstName: 'Aldric' } }
+    ];
+
+    it('should reverse the order when undoing', () => {
+      const ops = planReplay(changes, 'undo');
+      expect(ops.map(op => [op.entityType, op.operation])).toEqual([
+        ['person', 'update'],
+        ['relationship', 'add']
+      ]);
+    });
+
+    it('should null out fields missing from the target on update', () => {
+      const [, personOp] = planReplay(changes, 'redo');
+      expect(personOp.data).toEqual({ id: 1, firstName: 'Aldric', epithet: null });
+      expect(personOp.snapshot).toEqual({ id: 1, firstName: 'Aldric' });
+    });
+
+    it('should delete records that did not exist on the target side', () => {
+      const [relationshipOp] = planReplay(changes, 'redo');
+      expect(relationshipOp).toMatchObject({ operation: 'delete', data: null, expected: { id: 5 } });
+    });
+  });
+
+  describe('journal', () => {
+    beforeEach(async () => {
+      await deleteDatabaseForDataset(TEST_DATASET_ID);
+    });
+
+    afterEach(async () => {
+      await closeDatabaseInstance(TEST_DATASET_ID);
+    });
+
+    const journalUpdate = async (id, updates, label) => {
+      const before = await snapshotEntities([{ entityType: 'person', entityId: id }], TEST_DATASET_ID);
+      await updatePerson(id, updates, TEST_DATASET_ID);
+      return recordOperation(label, before, [], TEST_DATASET_ID);
+    };
+
+    it('should undo and redo an update', async () => {
+      const id = await addPerson({ firstName: 'Aldric', lastName: 'Stormwind' }, TEST_DATASET_ID);
+      await journalUpdate(id, { firstName: 'Aldric II' }, 'Rename Aldric');
+
+      expect(await getHistoryState(TEST_DATASET_ID)).toEqual({
+        canUndo: true, canRedo: false, undoLabel: 'Rename Aldric', redoLabel: null
+      });
+
+      const undone = await undoLastOperation(TEST_DATASET_ID);
+      expect(undone.entry.label).toBe('Rename Aldric');
+      expect(undone.operations).toHaveLength(1);
+      expect((await getPerson(id, TEST_DATASET_ID)).firstName).toBe('Aldric');
+
+      await redoLastOperation(TEST_DATASET_ID);
+      expect((await getPerson(id, TEST_DATASET_ID)).firstName).toBe('Aldric II');
+      expect(await undoLastOperation(TEST_DATASET_ID)).not.toBeNull();
+      expect(await undoLastOperation(TEST_DATASET_ID)).toBeNull();
+    });
+
+    it('should restore a person together with cascaded relationships', async () => {
+      const parent = await addPerson({ firstName: 'Aldric', lastName: 'Stormwind' }, TEST_DATASET_ID);
+      const child = await addPerson({ firstName: 'Edric', lastName: 'Stormwind' }, TEST_DATASET_ID);
+      const relId = await addRelationship({ person1Id: parent, person2Id: child, relationshipType: 'parent-child' }, TEST_DATASET_ID);
+
+      const before = await snapshotEntities([
+        { entityType: 'relationship', entityId: relId },
+        { entityType: 'person', entityId: parent }
+      ], TEST_DATASET_ID);
+      await deletePerson(parent, TEST_DATASET_ID);
+      await recordOperation('Delete Aldric', before, [], TEST_DATASET_ID);
+
+      expect(await getAllRelationships(TEST_DATASET_ID)).toHaveLength(0);
+
+      const { operations } = await undoLastOperation(TEST_DATASET_ID);
+      expect(operations.map(op => `${op.operation} ${op.entityType}`)).toEqual(['add person', 'add relationship']);
+      expect(await getPerson(parent, TEST_DATASET_ID)).toMatchObject({ id: parent, firstName: 'Aldric' });
+      expect(await getAllRelationships(TEST_DATASET_ID)).toEqual([
+        { id: relId, person1Id: parent, person2Id: child, relationshipType: 'parent-child' }
+      ]);
+
+      await redoLastOperation(TEST_DATASET_ID);
+      expect(await getPerson(parent, TEST_DATASET_ID)).toBeUndefined();
+      expect(await getAllRelationships(TEST_DATASET_ID)).toHaveLength(0);
+    });
+
+    it('should restore a deleted Codex entry with its links', async () => {
+      const entryId = await createEntry({ type: 'personage', title: 'Aldric Stormwind' }, TEST_DATASET_ID);
+      const otherId = await createEntry({ type: 'location', title: 'Highcairn' }, TEST_DATASET_ID);
+      const outgoing = await createLink({ sourceId: entryId, targetId: otherId }, TEST_DATASET_ID);
+      const incoming = await createLink({ sourceId: otherId, targetId: entryId, type: 'mention' }, TEST_DATASET_ID);
+
+      const before = await snapshotEntities([
+        ...await getCodexLinkTargets(entryId, TEST_DATASET_ID),
+        { entityType: 'codexEntry', entityId: entryId }
+      ], TEST_DATASET_ID);
+      await deleteEntry(entryId, TEST_DATASET_ID);
+      await recordOperation('Delete Aldric', before, [], TEST_DATASET_ID);
+
+      const db = getDatabase(TEST_DATASET_ID);
+      expect(await db.codexLinks.count()).toBe(0);
+
+      const { operations } = await undoLastOperation(TEST_DATASET_ID);
+      expect(operations.map(op => `${op.operation} ${op.entityType}`))
+        .toEqual(['add codexEntry', 'add codexLink', 'add codexLink']);
+      expect(await db.codexEntries.get(entryId)).toMatchObject({ title: 'Aldric Stormwind' });
+      expect((await db.codexLinks.toArray()).map(link => link.id).sort()).toEqual([outgoing, incoming].sort());
+    });
+
+    it('should discard redoable entries when a new operation is recorded', async () => {
+      const id = await addPerson({ firstName: 'Aldric' }, TEST_DATASET_ID);
+      await journalUpdate(id, { firstName: 'A' }, 'First');
+      await journalUpdate(id, { firstName: 'B' }, 'Second');
+      await undoLastOperation(TEST_DATASET_ID);
+
+      await journalUpdate(id, { firstName: 'C' }, 'Third');
+
+      const history = await getHistory(TEST_DATASET_ID);
+      expect(history.map(entry => entry.label)).toEqual(['Third', 'First']);
+      expect((await getHistoryState(TEST_DATASET_ID)).canRedo).toBe(false);
+    });
+
+    it('should refuse to undo over a record changed outside the journal', async () => {
+      const id = await addPerson({ firstName: 'Aldric' }, TEST_DATASET_ID);
+      await journalUpdate(id, { firstName: 'Aldric II' }, 'Rename');
+      await updatePerson(id, { firstName: 'Someone else' }, TEST_DATASET_ID);
+
+      await expect(undoLastOperation(TEST_DATASET_ID)).rejects.toThrow(/has changed since/);
+      expect((await getPerson(id, TEST_DATASET_ID)).firstName).toBe('Someone else');
+      expect((await getHistoryState(TEST_DATASET_ID)).canUndo).toBe(true);
+    });
+
+    it('should skip no-op operations and cap the journal', async () => {
+      const id = await addPerson({ firstName: 'Aldric' }, TEST_DATASET_ID);
+      expect(await journalUpdate(id, { firstName: 'Aldric' }, 'No-op')).toBeNull();
+
+      for (let i = 0; i <= MAX_HISTORY; i++) {
+        await journalUpdate(id, { firstName: `Aldric ${i}` }, `Edit ${i}`);
+      }
+
+      const db = getDatabase(TEST_DATASET_ID);
+      expect(await db.operationJournal.count()).toBe(MAX_HISTORY);
+      expect((await getHistory(TEST_DATASET_ID)).at(-1).label).toBe('Edit 1');
+    });
+  });
+});
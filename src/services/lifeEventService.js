@@ -0,0 +1,226 @@
+/**
+ * Life Event Service - Lineageweaver
+ *
+ * CRUD operations for life events: knightings, battles, exiles and other
+ * dated moments in people's lives, linked to people, houses, a Codex
+ * location and a Codex event entry. See utils/lifeEvents.js for the record
+ * shape, validation and timelines.
+ *
+ * @module lifeEventService
+ */
+
+import { getDatabase } from './database';
+import {
+  syncAddLifeEvent,
+  syncUpdateLifeEvent,
+  syncDeleteLifeEvent
+} from './dataSyncService';
+
+// Context notification - lazy loaded to avoid circular deps (as in database.js)
+let contextNotify = null;
+async function notifyContextChange(operation, event, datasetId) {
+  try {
+    if (!contextNotify) {
+      const { notifyChange } = await import('./contextService.js');
+      contextNotify = notifyChange;
+    }
+    contextNotify('lifeEvent', operation, event, datasetId);
+  } catch {
+    // Context service not available - silently skip
+  }
+}
+
+// ==================== CRUD OPERATIONS ====================
+
+/**
+ * Create a new life event
+ *
+ * @param {Object} eventData - Event data (see utils/lifeEvents.js)
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @param {string} [datasetId] - Dataset ID
+ * @returns {Promise<number>} New event ID
+ */
+export async function createLifeEvent(eventData, userId = null, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    const now = new Date().toISOString();
+
+    const record = {
+      eventType: eventData.eventType || 'other',
+      title: eventData.title?.trim() || null,
+      date: eventData.date || null,
+      endDate: eventData.endDate || null,
+      personIds: eventData.personIds || [],
+      houseIds: eventData.houseIds || [],
+      codexLocationId: eventData.codexLocationId || null,
+      codexEntryId: eventData.codexEntryId || null,
+      notes: eventData.notes || null,
+      created: now,
+      updated: now
+    };
+
+    const id = await db.lifeEvents.add(record);
+    console.log('📅 Life event created:', id);
+
+    if (userId) {
+      syncAddLifeEvent(userId, datasetId, id, record);
+    }
+    notifyContextChange('create', { ...record, id }, datasetId);
+
+    return id;
+  } catch (error) {
+    console.error('❌ Error creating life event:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a life event by ID
+ *
+ * @param {number} id - Event ID
+ * @returns {Promise<Object|undefined>}
+ */
+export async function getLifeEvent(id, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    return await db.lifeEvents.get(id);
+  } catch (error) {
+    console.error('❌ Error getting life event:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get every life event in the dataset
+ *
+ * @returns {Promise<Array>}
+ */
+export async function getAllLifeEvents(datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    return await db.lifeEvents.toArray();
+  } catch (error) {
+    console.error('❌ Error getting life events:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the events a person took part in
+ *
+ * @param {number} personId - Person ID
+ * @returns {Promise<Array>} Unsorted - see utils/lifeEvents.sortLifeEvents
+ */
+export async function getLifeEventsForPerson(personId, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    return await db.lifeEvents.where('personIds').equals(personId).toArray();
+  } catch (error) {
+    console.error('❌ Error getting life events for person:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the events that concern a house
+ *
+ * @param {number} houseId - House ID
+ * @returns {Promise<Array>} Unsorted
+ */
+export async function getLifeEventsForHouse(houseId, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    return await db.lifeEvents.where('houseIds').equals(houseId).toArray();
+  } catch (error) {
+    console.error('❌ Error getting life events for house:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the events a Codex entry describes or locates
+ *
+ * @param {number} entryId - Codex entry ID (event or location)
+ * @returns {Promise<Array>} Unsorted
+ */
+export async function getLifeEventsForCodexEntry(entryId, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    const [described, located] = await Promise.all([
+      db.lifeEvents.where('codexEntryId').equals(entryId).toArray(),
+      db.lifeEvents.where('codexLocationId').equals(entryId).toArray()
+    ]);
+    const seen = new Set(described.map(e => e.id));
+    return [...described, ...located.filter(e => !seen.has(e.id))];
+  } catch (error) {
+    console.error('❌ Error getting life events for Codex entry:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a life event
+ *
+ * @param {number} id - Event ID
+ * @param {Object} updates - Fields to update
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @returns {Promise<number>} Number of records updated (1 if successful)
+ */
+export async function updateLifeEvent(id, updates, userId = null, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    const updateData = {
+      ...updates,
+      updated: new Date().toISOString()
+    };
+
+    const count = await db.lifeEvents.update(id, updateData);
+    console.log('📅 Life event updated:', id);
+
+    if (userId) {
+      syncUpdateLifeEvent(userId, datasetId, id, updateData);
+    }
+    notifyContextChange('update', { ...updateData, id }, datasetId);
+
+    return count;
+  } catch (error) {
+    console.error('❌ Error updating life event:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a life event
+ *
+ * @param {number} id - Event ID
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @returns {Promise<void>}
+ */
+export async function deleteLifeEvent(id, userId = null, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    await db.lifeEvents.delete(id);
+    console.log('📅 Life event deleted:', id);
+
+    if (userId) {
+      syncDeleteLifeEvent(userId, datasetId, id);
+    }
+    notifyContextChange('delete', { id }, datasetId);
+  } catch (error) {
+    console.error('❌ Error deleting life event:', error);
+    throw error;
+  }
+}
+
+// ==================== EXPORTS ====================
+
+export default {
+  createLifeEvent,
+  getLifeEvent,
+  getAllLifeEvents,
+  getLifeEventsForPerson,
+  getLifeEventsForHouse,
+  getLifeEventsForCodexEntry,
+  updateLifeEvent,
+  deleteLifeEvent
+};
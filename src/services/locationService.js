@@ -0,0 +1,497 @@
+/**
+ * Location Service - Lineageweaver
+ *
+ * CRUD operations for the locations registry and the two histories tied to
+ * it: residences (who lived where) and house seats (where a house kept its
+ * seat). See utils/locations.js for record shapes, hierarchy helpers and
+ * validation, and data/locationTypes.js for the kinds of place.
+ *
+ * @module locationService
+ */
+
+import { getDatabase } from './database';
+import {
+  syncAddLocation,
+  syncUpdateLocation,
+  syncDeleteLocation,
+  syncAddResidence,
+  syncUpdateResidence,
+  syncDeleteResidence,
+  syncAddHouseSeat,
+  syncUpdateHouseSeat,
+  syncDeleteHouseSeat,
+  syncUpdateDignity
+} from './dataSyncService';
+import { getLocationType } from '../data/locationTypes';
+
+// ==================== LOCATION OPERATIONS ====================
+
+/**
+ * Create a new location
+ *
+ * Creates a Codex location entry for it unless one is given, as dignities
+ * do for their Codex entries.
+ *
+ * @param {Object} locationData - Location data (see utils/locations.js)
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @param {string} [datasetId] - Dataset ID
+ * @returns {Promise<number>} New location ID
+ */
+export async function createLocation(locationData, userId = null, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    const now = new Date().toISOString();
+
+    const record = {
+      name: locationData.name?.trim() || 'Unnamed Location',
+      locationType: locationData.locationType || 'holding',
+      parentId: locationData.parentId || null,
+      codexEntryId: locationData.codexEntryId || null,
+      notes: locationData.notes || null,
+      created: now,
+      updated: now
+    };
+
+    const id = await db.locations.add(record);
+    console.log('🗺️ Location created with ID:', id, '-', record.name);
+
+    if (!record.codexEntryId) {
+      try {
+        // Use dynamic import to avoid circular dependency
+        const { createEntry } = await import('./codexService.js');
+
+        const codexEntryId = await createEntry({
+          type: 'location',
+          title: record.name,
+          subtitle: getLocationType(record.locationType).name,
+          content: record.notes || '',
+          tags: ['location', record.locationType]
+        }, datasetId);
+
+        await db.locations.update(id, { codexEntryId });
+        record.codexEntryId = codexEntryId;
+        console.log('📚 Auto-created Codex entry for location:', codexEntryId);
+      } catch (codexError) {
+        // Log but don't fail the location creation if Codex creation fails
+        console.warn('⚠️ Could not auto-create Codex entry for location:', codexError);
+      }
+    }
+
+    if (userId) {
+      syncAddLocation(userId, datasetId, id, record);
+    }
+
+    return id;
+  } catch (error) {
+    console.error('❌ Error creating location:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a location by ID
+ *
+ * @param {number} id - Location ID
+ * @returns {Promise<Object|undefined>}
+ */
+export async function getLocation(id, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    return await db.locations.get(id);
+  } catch (error) {
+    console.error('❌ Error getting location:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get every location in the dataset
+ *
+ * @returns {Promise<Array>}
+ */
+export async function getAllLocations(datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    return await db.locations.toArray();
+  } catch (error) {
+    console.error('❌ Error getting locations:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the location a Codex entry describes
+ *
+ * @param {number} codexEntryId - Codex location entry ID
+ * @returns {Promise<Object|undefined>}
+ */
+export async function getLocationByCodexEntry(codexEntryId, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    return await db.locations.where('codexEntryId').equals(codexEntryId).first();
+  } catch (error) {
+    console.error('❌ Error getting location for Codex entry:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a location
+ *
+ * @param {number} id - Location ID
+ * @param {Object} updates - Fields to update
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @returns {Promise<number>} Number of records updated (1 if successful)
+ */
+export async function updateLocation(id, updates, userId = null, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    const updateData = {
+      ...updates,
+      updated: new Date().toISOString()
+    };
+
+    const result = await db.locations.update(id, updateData);
+    console.log('🗺️ Location updated:', id);
+
+    if (userId) {
+      syncUpdateLocation(userId, datasetId, id, updateData);
+    }
+
+    return result;
+  } catch (error) {
+    console.error('❌ Error updating location:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a location
+ *
+ * Places within it move up to its parent; residences and house seats there
+ * are removed and dignities seated there lose their seat link (their
+ * seatName stays). The Codex entry is kept - it may hold lore worth keeping.
+ *
+ * @param {number} id - Location ID
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @returns {Promise<void>}
+ */
+export async function deleteLocation(id, userId = null, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    const location = await db.locations.get(id);
+    const now = new Date().toISOString();
+
+    const children = await db.locations.where('parentId').equals(id).toArray();
+    for (const child of children) {
+      const updates = { parentId: location?.parentId || null, updated: now };
+      await db.locations.update(child.id, updates);
+      if (userId) {
+        syncUpdateLocation(userId, datasetId, child.id, updates);
+      }
+    }
+
+    const residences = await db.residences.where('locationId').equals(id).toArray();
+    for (const residence of residences) {
+      await db.residences.delete(residence.id);
+      if (userId) {
+        syncDeleteResidence(userId, datasetId, residence.id);
+      }
+    }
+
+    const seats = await db.houseSeats.where('locationId').equals(id).toArray();
+    for (const seat of seats) {
+      await db.houseSeats.delete(seat.id);
+      if (userId) {
+        syncDeleteHouseSeat(userId, datasetId, seat.id);
+      }
+    }
+
+    const dignities = await db.dignities.where('seatLocationId').equals(id).toArray();
+    for (const dignity of dignities) {
+      const updates = { seatLocationId: null, updated: now };
+      await db.dignities.update(dignity.id, updates);
+      if (userId) {
+        syncUpdateDignity(userId, datasetId, dignity.id, updates);
+      }
+    }
+
+    await db.locations.delete(id);
+    console.log('🗺️ Location deleted:', id);
+
+    if (userId) {
+      syncDeleteLocation(userId, datasetId, id);
+    }
+  } catch (error) {
+    console.error('❌ Error deleting location:', error);
+    throw error;
+  }
+}
+
+// ==================== RESIDENCE OPERATIONS ====================
+
+/**
+ * Record that a person lived somewhere
+ *
+ * @param {Object} residenceData - { personId, locationId, startDate, endDate, notes }
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @returns {Promise<number>} New residence ID
+ */
+export async function createResidence(residenceData, userId = null, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    const now = new Date().toISOString();
+
+    const record = {
+      personId: residenceData.personId,
+      locationId: residenceData.locationId,
+      startDate: residenceData.startDate || null,
+      endDate: residenceData.endDate || null,
+      notes: residenceData.notes || null,
+      created: now,
+      updated: now
+    };
+
+    const id = await db.residences.add(record);
+    console.log('🗺️ Residence created:', id);
+
+    if (userId) {
+      syncAddResidence(userId, datasetId, id, record);
+    }
+
+    return id;
+  } catch (error) {
+    console.error('❌ Error creating residence:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get where a person lived
+ *
+ * @param {number} personId - Person ID
+ * @returns {Promise<Array>} Unsorted - see utils/locations.sortPlacements
+ */
+export async function getResidencesForPerson(personId, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    return await db.residences.where('personId').equals(personId).toArray();
+  } catch (error) {
+    console.error('❌ Error getting residences for person:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get every residence in the dataset
+ *
+ * @returns {Promise<Array>}
+ */
+export async function getAllResidences(datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    return await db.residences.toArray();
+  } catch (error) {
+    console.error('❌ Error getting residences:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a residence
+ *
+ * @param {number} id - Residence ID
+ * @param {Object} updates - Fields to update
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @returns {Promise<number>}
+ */
+export async function updateResidence(id, updates, userId = null, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    const updateData = {
+      ...updates,
+      updated: new Date().toISOString()
+    };
+
+    const result = await db.residences.update(id, updateData);
+    console.log('🗺️ Residence updated:', id);
+
+    if (userId) {
+      syncUpdateResidence(userId, datasetId, id, updateData);
+    }
+
+    return result;
+  } catch (error) {
+    console.error('❌ Error updating residence:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a residence
+ *
+ * @param {number} id - Residence ID
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @returns {Promise<void>}
+ */
+export async function deleteResidence(id, userId = null, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    await db.residences.delete(id);
+    console.log('🗺️ Residence deleted:', id);
+
+    if (userId) {
+      syncDeleteResidence(userId, datasetId, id);
+    }
+  } catch (error) {
+    console.error('❌ Error deleting residence:', error);
+    throw error;
+  }
+}
+
+// ==================== HOUSE SEAT OPERATIONS ====================
+
+/**
+ * Record that a house kept its seat somewhere
+ *
+ * @param {Object} seatData - { houseId, locationId, startDate, endDate, notes }
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @returns {Promise<number>} New house seat ID
+ */
+export async function createHouseSeat(seatData, userId = null, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    const now = new Date().toISOString();
+
+    const record = {
+      houseId: seatData.houseId,
+      locationId: seatData.locationId,
+      startDate: seatData.startDate || null,
+      endDate: seatData.endDate || null,
+      notes: seatData.notes || null,
+      created: now,
+      updated: now
+    };
+
+    const id = await db.houseSeats.add(record);
+    console.log('🏰 House seat created:', id);
+
+    if (userId) {
+      syncAddHouseSeat(userId, datasetId, id, record);
+    }
+
+    return id;
+  } catch (error) {
+    console.error('❌ Error creating house seat:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get where a house kept its seat over time
+ *
+ * @param {number} houseId - House ID
+ * @returns {Promise<Array>} Unsorted - see utils/locations.sortPlacements
+ */
+export async function getSeatsForHouse(houseId, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    return await db.houseSeats.where('houseId').equals(houseId).toArray();
+  } catch (error) {
+    console.error('❌ Error getting seats for house:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get every house seat in the dataset
+ *
+ * @returns {Promise<Array>}
+ */
+export async function getAllHouseSeats(datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    return await db.houseSeats.toArray();
+  } catch (error) {
+    console.error('❌ Error getting house seats:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a house seat
+ *
+ * @param {number} id - House seat ID
+ * @param {Object} updates - Fields to update
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @returns {Promise<number>}
+ */
+export async function updateHouseSeat(id, updates, userId = null, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    const updateData = {
+      ...updates,
+      updated: new Date().toISOString()
+    };
+
+    const result = await db.houseSeats.update(id, updateData);
+    console.log('🏰 House seat updated:', id);
+
+    if (userId) {
+      syncUpdateHouseSeat(userId, datasetId, id, updateData);
+    }
+
+    return result;
+  } catch (error) {
+    console.error('❌ Error updating house seat:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a house seat
+ *
+ * @param {number} id - House seat ID
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @returns {Promise<void>}
+ */
+export async function deleteHouseSeat(id, userId = null, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    await db.houseSeats.delete(id);
+    console.log('🏰 House seat deleted:', id);
+
+    if (userId) {
+      syncDeleteHouseSeat(userId, datasetId, id);
+    }
+  } catch (error) {
+    console.error('❌ Error deleting house seat:', error);
+    throw error;
+  }
+}
+
+// ==================== EXPORTS ====================
+
+export default {
+  // Locations
+  createLocation,
+  getLocation,
+  getAllLocations,
+  getLocationByCodexEntry,
+  updateLocation,
+  deleteLocation,
+
+  // Residences
+  createResidence,
+  getResidencesForPerson,
+  getAllResidences,
+  updateResidence,
+  deleteResidence,
+
+  // House seats
+  createHouseSeat,
+  getSeatsForHouse,
+  getAllHouseSeats,
+  updateHouseSeat,
+  deleteHouseSeat
+};
@@ -0,0 +1,479 @@
+/**
+ * Succession Scenario Service
+ *
+ * "What if" succession: apply hypothetical deaths, disinheritances,
+ * legitimizations and marriages to copies of the dataset and see how every
+ * dignity's line of succession changes - who inherits what, the personal
+ * unions that result, and the crises that follow. Nothing is written until
+ * the scenario is committed with commitScenario.
+ *
+ * SCENARIO ACTION STRUCTURE:
+ * {
+ *   id: string,
+ *   type: 'kill' | 'disinherit' | 'legitimize' | 'marry',
+ *   personId: number,
+ *   spouseId: number (marry only)
+ * }
+ *
+ * Every action takes effect on the scenario date.
+ *
+ * @module successionScenarioService
+ */
+
+import {
+  SUCCESSION_TYPES,
+  computeSuccessionLine,
+  natureHasSuccession,
+  getCurrentTenure
+} from './dignityService';
+import { getDatabase } from './database';
+import { snapshotEntities, recordOperation, buildChanges, planReplay } from './historyService';
+import { buildRelationshipMaps } from '../utils/RelationshipCalculator';
+import { getLifeStatus, LIFE_STATUS } from '../utils/calendarUtils';
+
+/**
+ * What can happen in a scenario
+ */
+export const SCENARIO_ACTIONS = {
+  kill: { id: 'kill', name: 'Dies', icon: 'x-circle', description: 'Dies on the scenario date' },
+  disinherit: { id: 'disinherit', name: 'Disinherited', icon: 'scroll', description: 'Barred from inheriting any dignity' },
+  legitimize: { id: 'legitimize', name: 'Legitimized', icon: 'check-circle', description: 'A bastard made legitimate' },
+  marry: { id: 'marry', name: 'Marries', icon: 'heart', description: 'Marries on the scenario date' }
+};
+
+/**
+ * Crises a scenario can set off
+ */
+export const SCENARIO_CRISES = {
+  vacancy: { id: 'vacancy', name: 'Vacancy', severity: 'critical' },
+  election: { id: 'election', name: 'Successor Must Be Chosen', severity: 'warning' },
+  regency: { id: 'regency', name: 'Regency', severity: 'warning' },
+  partition: { id: 'partition', name: 'Partition', severity: 'warning' },
+  dispute: { id: 'dispute', name: 'Contested Succession', severity: 'critical' },
+  'no-heir': { id: 'no-heir', name: 'No Heir', severity: 'warning' }
+};
+
+const personName = (person) => (person ? `${person.firstName} ${person.lastName || ''}`.trim() : 'Unknown');
+
+// ==================== VALIDATION ====================
+
+/**
+ * Check an action against the dataset and the actions already in the scenario
+ *
+ * @param {Object} action - Scenario action
+ * @param {Object} context
+ * @param {Array} context.people - All people
+ * @param {Array} context.relationships - All relationships
+ * @param {Array} [context.actions] - Actions already in the scenario
+ * @param {string} [context.date] - Scenario date
+ * @param {Object} [context.calendar] - Dataset calendar
+ * @returns {string|null} Why the action can't be added, or null
+ */
+export function validateScenarioAction(action, { people, relationships, actions = [], date = null, calendar = null }) {
+  const person = people.find(p => p.id === action.personId);
+  if (!SCENARIO_ACTIONS[action.type]) return 'Choose what happens';
+  if (!person) return 'Choose a person';
+  if (actions.some(a => a.type === action.type && a.personId === action.personId &&
+    (action.type !== 'marry' || a.spouseId === action.spouseId))) {
+    return 'That is already part of the scenario';
+  }
+
+  const killed = new Set(actions.filter(a => a.type === 'kill').map(a => a.personId));
+  const isLiving = (p) => !killed.has(p.id) && getLifeStatus(p, date, calendar) === LIFE_STATUS.LIVING;
+
+  switch (action.type) {
+    case 'kill':
+    case 'disinherit':
+      return isLiving(person) ? null : `${personName(person)} is not alive on the scenario date`;
+    case 'legitimize':
+      if (person.legitimacyStatus !== 'bastard') return `${personName(person)} is not a bastard`;
+      return person.bastardStatus === 'legitimized' ? `${personName(person)} is already legitimized` : null;
+    case 'marry': {
+      const spouse = people.find(p => p.id === action.spouseId);
+      if (!spouse) return 'Choose who they marry';
+      if (spouse.id === person.id) return 'Choose two different people';
+      if (!isLiving(person) || !isLiving(spouse)) return 'Both must be alive on the scenario date';
+      const alreadyMarried = relationships.some(r => r.relationshipType === 'spouse' &&
+        r.marriageStatus !== 'divorced' &&
+        ((r.person1Id === person.id && r.person2Id === spouse.id) ||
+          (r.person1Id === spouse.id && r.person2Id === person.id)));
+      return alreadyMarried ? 'They are already married' : null;
+    }
+    default:
+      return null;
+  }
+}
+
+// ==================== SIMULATION ====================
+
+/**
+ * Apply scenario actions to copies of the people and relationships
+ *
+ * @param {Object} data - { people, relationships }
+ * @param {Array} actions - Scenario actions
+ * @param {string} date - Scenario date
+ * @returns {{people: Array, relationships: Array, disinherited: Set}}
+ */
+export function applyScenario({ people, relationships }, actions, date) {
+  const changes = new Map();
+  const change = (personId, updates) => changes.set(personId, { ...(changes.get(personId) || {}), ...updates });
+  const disinherited = new Set();
+  const marriages = [];
+
+  for (const action of actions) {
+    if (action.type === 'kill') change(action.personId, { dateOfDeath: date });
+    if (action.type === 'legitimize') change(action.personId, { bastardStatus: 'legitimized' });
+    if (action.type === 'disinherit') disinherited.add(action.personId);
+    if (action.type === 'marry') {
+      marriages.push({
+        id: `scenario-${action.id}`,
+        person1Id: action.personId,
+        person2Id: action.spouseId,
+        relationshipType: 'spouse',
+        marriageDate: date,
+        marriageStatus: 'married'
+      });
+    }
+  }
+
+  return {
+    people: people.map(p => (changes.has(p.id) ? { ...p, ...changes.get(p.id) } : p)),
+    relationships: [...relationships, ...marriages],
+    disinherited
+  };
+}
+
+/**
+ * Bar disinherited candidates and renumber the line
+ */
+function applyDisinheritance(line, disinherited) {
+  if (disinherited.size === 0) return line;
+  const marked = line.map(c => (disinherited.has(c.personId) && !c.excluded
+    ? { ...c, excluded: true, exclusionReason: 'Disinherited', share: c.share === undefined ? undefined : 0 }
+    : c));
+  const ordered = [...marked.filter(c => !c.excluded), ...marked.filter(c => c.excluded)];
+  return ordered.map((c, index) => ({ ...c, position: index + 1 }));
+}
+
+/**
+ * Who holds or is first heir to each dignity, as personId -> [dignityIds],
+ * for finding personal unions
+ */
+function collectClaims(states) {
+  const claims = new Map();
+  const add = (personId, dignityId) => {
+    if (!personId) return;
+    const list = claims.get(personId) || [];
+    if (!list.includes(dignityId)) claims.set(personId, [...list, dignityId]);
+  };
+  for (const state of states) {
+    add(state.holderId, state.dignity.id);
+    add(state.heirId, state.dignity.id);
+  }
+  return claims;
+}
+
+/**
+ * Personal unions: one person holding, or first in line to, two or more
+ * dignities that now have different holders
+ */
+function findUnions(states) {
+  const holderOf = new Map(states.map(s => [s.dignity.id, s.holderId]));
+  const unions = [];
+  for (const [personId, dignityIds] of collectClaims(states)) {
+    if (dignityIds.length < 2) continue;
+    const holders = new Set(dignityIds.map(id => holderOf.get(id)));
+    const held = dignityIds.every(id => holderOf.get(id) === personId);
+    if (holders.size < 2 && !held) continue;
+    unions.push({ personId, dignityIds: [...dignityIds].sort((a, b) => a - b), kind: held ? 'held' : 'heir' });
+  }
+  return unions;
+}
+
+/**
+ * Run a scenario against every dignity with a line of succession
+ *
+ * @param {Object} context
+ * @param {Array} context.people - All people
+ * @param {Array} context.relationships - All relationships
+ * @param {Array} context.dignities - All dignities
+ * @param {Array} context.actions - Scenario actions
+ * @param {string} context.date - Scenario date (also the story present)
+ * @param {Object} [context.calendar] - Dataset calendar
+ * @param {Object} [context.relationshipTypes] - Dataset relationship types
+ * @returns {{
+ *   dignities: Array<{dignity, previousHolderId, holderId, previousHeirId, heirId, coHeirIds, line, crises}>,
+ *   unions: Array<{personId, dignityIds, kind}>,
+ *   marriageUnions: Array<{personIds, dignityIds}>,
+ *   crises: Array<{dignityId, type, message}>
+ * }} Only dignities the scenario changes are listed
+ */
+export function simulateScenario({
+  people,
+  relationships,
+  dignities,
+  actions,
+  date,
+  calendar = null,
+  relationshipTypes = null
+}) {
+  const scenario = applyScenario({ people, relationships }, actions, date);
+  const options = { asOf: date, calendar };
+  const mapsFor = (rels) => buildRelationshipMaps(rels, { calendar, relationshipTypes });
+  const baseMaps = mapsFor(relationships);
+  const scenarioMaps = mapsFor(scenario.relationships);
+  const scenarioById = new Map(scenario.people.map(p => [p.id, p]));
+
+  const lineFor = (dignity, peopleList, maps, disinherited) => applyDisinheritance(
+    computeSuccessionLine(dignity, peopleList, maps.parentMap, maps.childrenMap, maps.spouseMap, 10, options),
+    disinherited
+  );
+  const firstEligible = (line) => line.find(c => !c.excluded) || null;
+
+  const withSuccession = dignities.filter(d =>
+    natureHasSuccession(d.dignityNature || 'territorial') && d.currentHolderId);
+
+  const before = [];
+  const after = [];
+  const changed = [];
+
+  for (const dignity of withSuccession) {
+    const baseLine = lineFor(dignity, people, baseMaps, new Set());
+    const baseHeir = firstEligible(baseLine);
+    before.push({ dignity, holderId: dignity.currentHolderId, heirId: baseHeir?.personId || null });
+
+    const type = SUCCESSION_TYPES[dignity.successionType || 'male-primogeniture'];
+    const holder = scenarioById.get(dignity.currentHolderId);
+    const holderDies = holder && getLifeStatus(holder, date, calendar) !== LIFE_STATUS.LIVING &&
+      getLifeStatus(people.find(p => p.id === holder.id), date, calendar) === LIFE_STATUS.LIVING;
+
+    const crises = [];
+    let holderId = dignity.currentHolderId;
+    let coHeirIds = [];
+    let line = lineFor(dignity, scenario.people, scenarioMaps, scenario.disinherited);
+
+    if (holderDies) {
+      const successor = firstEligible(line);
+      coHeirIds = line.filter(c => c.share > 0).map(c => c.personId);
+      holderId = successor?.personId || null;
+
+      if (!successor) {
+        crises.push(type?.autoCalculate
+          ? { type: 'vacancy', message: `${personName(holder)} dies with no eligible heir` }
+          : { type: 'election', message: `${type?.name || 'This'} succession - a successor must be chosen` });
+      } else {
+        if (successor.isMinor) {
+          crises.push({ type: 'regency', message: `${personName(successor.person)} inherits at ${successor.age} and needs a regent` });
+        }
+        if (coHeirIds.length > 1) {
+          crises.push({ type: 'partition', message: `The holdings are divided between ${coHeirIds.length} heirs` });
+        }
+        const rival = (dignity.disputes || []).find(d => d.resolution === 'ongoing' &&
+          d.claimantId !== successor.personId &&
+          getLifeStatus(scenarioById.get(d.claimantId), date, calendar) === LIFE_STATUS.LIVING);
+        if (rival) {
+          crises.push({ type: 'dispute', message: `${personName(scenarioById.get(rival.claimantId))} presses a rival claim` });
+        }
+      }
+      line = holderId ? lineFor({ ...dignity, currentHolderId: holderId }, scenario.people, scenarioMaps, scenario.disinherited) : [];
+    }
+
+    const heir = firstEligible(line);
+    if (!holderDies && baseHeir && !heir) {
+      crises.push({ type: 'no-heir', message: 'No eligible heir remains' });
+    }
+    after.push({ dignity, holderId, heirId: heir?.personId || null });
+
+    const eligibleIds = (l) => l.filter(c => !c.excluded).map(c => c.personId).join(',');
+    if (holderDies || heir?.personId !== baseHeir?.personId || eligibleIds(line) !== eligibleIds(baseLine)) {
+      changed.push({
+        dignity,
+        previousHolderId: dignity.currentHolderId,
+        holderId,
+        previousHeirId: baseHeir?.personId || null,
+        heirId: heir?.personId || null,
+        coHeirIds,
+        line,
+        crises
+      });
+    }
+  }
+
+  // Unions that exist only because of the scenario and join dignities
+  // that were in different hands - an heir taking all their father's
+  // titles together is no union
+  const unionKey = (u) => `${u.personId}:${u.dignityIds.join(',')}`;
+  const existing = new Set(findUnions(before).map(unionKey));
+  const previousHolder = new Map(before.map(s => [s.dignity.id, s.holderId]));
+  const unions = findUnions(after).filter(u => !existing.has(unionKey(u)) &&
+    new Set(u.dignityIds.map(id => previousHolder.get(id))).size > 1);
+
+  // Marriages joining two claims: their children would be heirs to both
+  const claims = collectClaims(after);
+  const marriageUnions = actions
+    .filter(a => a.type === 'marry')
+    .map(a => ({
+      personIds: [a.personId, a.spouseId],
+      dignityIds: [...(claims.get(a.personId) || []), ...(claims.get(a.spouseId) || [])],
+      hasBoth: claims.has(a.personId) && claims.has(a.spouseId)
+    }))
+    .filter(m => m.hasBoth)
+    .map(({ personIds, dignityIds }) => ({ personIds, dignityIds }));
+
+  return {
+    dignities: changed,
+    unions,
+    marriageUnions,
+    crises: changed.flatMap(c => c.crises.map(crisis => ({ dignityId: c.dignity.id, ...crisis })))
+  };
+}
+
+// ==================== COMMIT ====================
+
+/**
+ * Make a simulated scenario part of the record, as one undoable step
+ *
+ * Deaths and legitimizations are saved to the people involved, marriages
+ * are added, and every change of holder is recorded: the dead holder's
+ * tenure ends, the successor's begins, and dignities left without a
+ * successor - or with one too young to rule - go into interregnum.
+ * Disinheritances are not recorded.
+ *
+ * Everything is written and journaled as one operation (historyService)
+ * in a single transaction, so a failure - journaling included - leaves
+ * the dataset as it was.
+ * Nothing is synced here: the caller pushes the returned operations
+ * through the sync queue.
+ *
+ * @param {Object} result - simulateScenario result
+ * @param {Array} actions - The scenario's actions
+ * @param {string} date - Scenario date
+ * @param {Array} people - People, for the successors' houses
+ * @param {string} [datasetId] - Dataset ID
+ * @returns {Promise<{count: number, operations: Array}>} Number of dignities
+ *   that changed hands, and the writes as replay operations
+ *   ([{ entityType, entityId, operation, data, snapshot }])
+ */
+export async function commitScenario(result, actions, date, people, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    const changed = result.dignities.filter(c => c.holderId !== c.previousHolderId);
+
+    // The tenures to end are found before writing, so they can be snapshotted
+    const endingTenures = new Map();
+    for (const change of changed) {
+      const tenure = await getCurrentTenure(change.dignity.id, datasetId);
+      if (tenure && tenure.personId === change.previousHolderId) endingTenures.set(change.dignity.id, tenure);
+    }
+
+    const personUpdates = actions
+      .filter(a => a.type === 'kill' || a.type === 'legitimize')
+      .map(a => ({
+        id: a.personId,
+        updates: a.type === 'kill' ? { dateOfDeath: date } : { bastardStatus: 'legitimized' }
+      }));
+
+    const before = await snapshotEntities([
+      ...personUpdates.map(({ id }) => ({ entityType: 'person', entityId: id })),
+      ...[...endingTenures.values()].map(t => ({ entityType: 'dignityTenure', entityId: t.id })),
+      ...changed.map(c => ({ entityType: 'dignity', entityId: c.dignity.id }))
+    ], datasetId);
+    const created = [];
+
+    const tables = [db.people, db.relationships, db.dignities, db.dignityTenures, db.operationJournal];
+    await db.transaction('rw', tables, async () => {
+      const update = async (table, entityType, id, updates) => {
+        if (await table.update(id, updates) === 0) throw new Error(`${entityType} ${id} not found`);
+      };
+
+      for (const { id, updates } of personUpdates) {
+        await update(db.people, 'person', id, updates);
+      }
+
+      for (const marriage of actions.filter(a => a.type === 'marry')) {
+        const id = await db.relationships.add({
+          person1Id: marriage.personId,
+          person2Id: marriage.spouseId,
+          relationshipType: 'spouse',
+          marriageDate: date,
+          marriageStatus: 'married'
+        });
+        created.push({ entityType: 'relationship', entityId: id });
+      }
+
+      const now = new Date().toISOString();
+      for (const change of changed) {
+        const { dignity } = change;
+        const tenure = endingTenures.get(dignity.id);
+        if (tenure) {
+          await update(db.dignityTenures, 'dignityTenure', tenure.id, { dateEnded: date, endType: 'death' });
+        }
+
+        if (change.holderId) {
+          const successor = people.find(p => p.id === change.holderId);
+          const coHeirs = change.coHeirIds.filter(id => id !== change.holderId);
+          const id = await db.dignityTenures.add({
+            dignityId: dignity.id,
+            personId: change.holderId,
+            dateStarted: date,
+            dateEnded: null,
+            acquisitionType: 'inheritance',
+            endType: null,
+            grantedById: null,
+            witnessedByIds: null,
+            recordReference: null,
+            citations: [],
+            notes: coHeirs.length > 0
+              ? `Holdings divided with ${coHeirs.map(heirId => personName(people.find(p => p.id === heirId))).join(', ')}`
+              : null,
+            created: now
+          });
+          created.push({ entityType: 'dignityTenure', entityId: id });
+          await update(db.dignities, 'dignity', dignity.id, {
+            currentHolderId: change.holderId,
+            currentHouseId: successor?.houseId || dignity.currentHouseId || null,
+            isVacant: false,
+            ...(change.crises.some(c => c.type === 'regency') && {
+              interregnum: interregnumFor(date, 'minority'),
+              successionStatus: 'interregnum'
+            }),
+            updated: now
+          });
+        } else {
+          await update(db.dignities, 'dignity', dignity.id, {
+            currentHolderId: null,
+            isVacant: true,
+            interregnum: interregnumFor(date, 'vacancy'),
+            successionStatus: 'interregnum',
+            updated: now
+          });
+        }
+      }
+
+      await recordOperation('What-if scenario', before, created, datasetId, { rethrow: true });
+    });
+
+    const after = await snapshotEntities([...before, ...created], datasetId);
+    const operations = planReplay(buildChanges(before, after), 'redo')
+      .map(({ entityType, entityId, operation, data, snapshot }) => ({ entityType, entityId, operation, data, snapshot }));
+
+    return { count: changed.length, operations };
+  } catch (error) {
+    console.error('❌ Error committing scenario:', error);
+    throw error;
+  }
+}
+
+// Same shape as setInterregnum in dignityService
+function interregnumFor(startDate, reason) {
+  return { startDate, regentId: null, regentTitle: 'Regent', reason, notes: null };
+}
+
+export default {
+  SCENARIO_ACTIONS,
+  SCENARIO_CRISES,
+  validateScenarioAction,
+  applyScenario,
+  simulateScenario,
+  commitScenario
+};
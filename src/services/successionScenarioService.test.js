@@ -0,0 +1,333 @@
+/**
+ * Succession Scenario Service Tests
+ *
+ * Tests for "what if" succession:
+ * - Validating scenario actions
+ * - Applying actions to copies of the data
+ * - New holders, heirs and lines for affected dignities
+ * - Personal unions and crises a scenario creates
+ * - Committing a scenario in one transaction, as one undoable step
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { getDatabase, closeDatabaseInstance, deleteDatabaseForDataset } from './database';
+import { getHistoryState, undoLastOperation } from './historyService';
+import {
+  createDignity,
+  createDignityTenure,
+  getDignity,
+  getTenuresForDignity
+} from './dignityService';
+import {
+  validateScenarioAction,
+  applyScenario,
+  simulateScenario,
+  commitScenario
+} from './successionScenarioService';
+
+// Osric -> Duke Aldric, Baron Bran (childless)
+// Aldric -> Edmund (-> Edric, born 1150), Jon (a bastard)
+// Lady Wenna of Ashford and Abbot Tobin are unrelated
+const PEOPLE = [
+  { id: 1, firstName: 'Aldric', gender: 'male', dateOfBirth: '1100', houseId: 1 },
+  { id: 2, firstName: 'Edmund', gender: 'male', dateOfBirth: '1125', houseId: 1 },
+  { id: 3, firstName: 'Edric', gender: 'male', dateOfBirth: '1150', houseId: 1 },
+  { id: 4, firstName: 'Jon', gender: 'male', dateOfBirth: '1120', legitimacyStatus: 'bastard' },
+  { id: 5, firstName: 'Bran', gender: 'male', dateOfBirth: '1102', houseId: 1 },
+  { id: 6, firstName: 'Osric', gender: 'male', dateOfBirth: '1070', dateOfDeath: '1140', houseId: 1 },
+  { id: 7, firstName: 'Wenna', gender: 'female', dateOfBirth: '1130', houseId: 2 },
+  { id: 8, firstName: 'Tobin', gender: 'male', dateOfBirth: '1110' }
+];
+
+const parent = (person1Id, person2Id) => ({ person1Id, person2Id, relationshipType: 'parent' });
+const RELATIONSHIPS = [parent(6, 1), parent(6, 5), parent(1, 2), parent(1, 4), parent(2, 3)];
+
+const DIGNITIES = [
+  {
+    id: 10,
+    name: 'Duke of the Reach',
+    currentHolderId: 1,
+    successionType: 'male-primogeniture',
+    successionRules: { excludeBastards: true, legitimizedBastardsEligible: true }
+  },
+  {
+    id: 11,
+    name: 'Baron of Highcairn',
+    currentHolderId: 5,
+    successionType: 'male-primogeniture',
+    successionRules: { excludeBastards: true }
+  },
+  { id: 12, name: 'Lady of Ashford', currentHolderId: 7, successionType: 'absolute-primogeniture' },
+  { id: 13, name: 'Abbot of Veyra', currentHolderId: 8, successionType: 'elective' },
+  { id: 14, name: 'Mayor of Veyra', currentHolderId: 8, dignityNature: 'office' }
+];
+
+const DATE = '1160';
+
+const simulate = (actions) => simulateScenario({
+  people: PEOPLE,
+  relationships: RELATIONSHIPS,
+  dignities: DIGNITIES,
+  actions: actions.map((action, index) => ({ id: String(index), ...action })),
+  date: DATE
+});
+
+const changeFor = (result, dignityId) => result.dignities.find(c => c.dignity.id === dignityId);
+
+describe('validateScenarioAction', () => {
+  const context = { people: PEOPLE, relationships: RELATIONSHIPS, date: DATE };
+
+  it('should only kill or disinherit the living', () => {
+    expect(validateScenarioAction({ type: 'kill', personId: 1 }, context)).toBeNull();
+    expect(validateScenarioAction({ type: 'kill', personId: 6 }, context)).toBe('Osric is not alive on the scenario date');
+    expect(validateScenarioAction({ type: 'disinherit', personId: 1 }, {
+      ...context,
+      actions: [{ type: 'kill', personId: 1 }]
+    })).toBe('Aldric is not alive on the scenario date');
+  });
+
+  it('should only legitimize bastards', () => {
+    expect(validateScenarioAction({ type: 'legitimize', personId: 4 }, context)).toBeNull();
+    expect(validateScenarioAction({ type: 'legitimize', personId: 2 }, context)).toBe('Edmund is not a bastard');
+  });
+
+  it('should need two different living people to marry', () => {
+    expect(validateScenarioAction({ type: 'marry', personId: 2, spouseId: 7 }, context)).toBeNull();
+    expect(validateScenarioAction({ type: 'marry', personId: 2 }, context)).toBe('Choose who they marry');
+    expect(validateScenarioAction({ type: 'marry', personId: 2, spouseId: 2 }, context)).toBe('Choose two different people');
+    expect(validateScenarioAction({ type: 'marry', personId: 2, spouseId: 6 }, context))
+      .toBe('Both must be alive on the scenario date');
+  });
+
+  it('should refuse the same action twice', () => {
+    expect(validateScenarioAction({ type: 'kill', personId: 1 }, { ...context, actions: [{ type: 'kill', personId: 1 }] }))
+      .toBe('That is already part of the scenario');
+  });
+});
+
+describe('applyScenario', () => {
+  it('should change copies of the data, never the originals', () => {
+    const scenario = applyScenario({ people: PEOPLE, relationships: RELATIONSHIPS }, [
+      { id: 'a', type: 'kill', personId: 1 },
+      { id: 'b', type: 'legitimize', personId: 4 },
+      { id: 'c', type: 'marry', personId: 2, spouseId: 7 },
+      { id: 'd', type: 'disinherit', personId: 5 }
+    ], DATE);
+
+    expect(scenario.people.find(p => p.id === 1).dateOfDeath).toBe(DATE);
+    expect(scenario.people.find(p => p.id === 4).bastardStatus).toBe('legitimized');
+    expect(scenario.relationships.at(-1)).toMatchObject({ person1Id: 2, person2Id: 7, relationshipType: 'spouse' });
+    expect([...scenario.disinherited]).toEqual([5]);
+    expect(PEOPLE.find(p => p.id === 1).dateOfDeath).toBeUndefined();
+    expect(RELATIONSHIPS).toHaveLength(5);
+  });
+});
+
+describe('simulateScenario', () => {
+  it('should leave everything as it is for an empty scenario', () => {
+    expect(simulate([])).toEqual({ dignities: [], unions: [], marriageUnions: [], crises: [] });
+  });
+
+  it('should pass a dead holder\'s dignity to the next living heir', () => {
+    const result = simulate([{ type: 'kill', personId: 1 }, { type: 'kill', personId: 2 }]);
+    const duchy = changeFor(result, 10);
+
+    expect(duchy).toMatchObject({ previousHolderId: 1, holderId: 3, previousHeirId: 2 });
+    expect(duchy.crises).toEqual([{ type: 'regency', message: 'Edric inherits at 10 and needs a regent' }]);
+    expect(changeFor(result, 11)).toMatchObject({ holderId: 5, previousHeirId: 2, heirId: 3 });
+  });
+
+  it('should report unions of dignities that were in different hands', () => {
+    const result = simulate([{ type: 'kill', personId: 1 }, { type: 'kill', personId: 2 }]);
+
+    expect(result.unions).toEqual([{ personId: 3, dignityIds: [10, 11], kind: 'heir' }]);
+  });
+
+  it('should not call an heir taking all their father\'s dignities a union', () => {
+    const dignities = DIGNITIES.map(d => (d.id === 11 ? { ...d, currentHolderId: 1 } : d));
+    const result = simulateScenario({
+      people: PEOPLE,
+      relationships: RELATIONSHIPS,
+      dignities,
+      actions: [{ id: 'a', type: 'kill', personId: 1 }],
+      date: DATE
+    });
+
+    expect(result.dignities.map(c => c.holderId)).toEqual([2, 2]);
+    expect(result.unions).toEqual([]);
+  });
+
+  it('should change the line when someone is disinherited or legitimized', () => {
+    const disinherited = changeFor(simulate([{ type: 'disinherit', personId: 2 }]), 10);
+    const legitimized = changeFor(simulate([{ type: 'legitimize', personId: 4 }]), 10);
+
+    expect(disinherited).toMatchObject({ holderId: 1, previousHeirId: 2, heirId: 3 });
+    expect(disinherited.line.find(c => c.personId === 2)).toMatchObject({ excluded: true, exclusionReason: 'Disinherited' });
+    expect(legitimized.heirId).toBe(2);
+    expect(legitimized.line.find(c => c.personId === 4).excluded).toBe(false);
+  });
+
+  it('should flag vacancies and dignities whose successor must be chosen', () => {
+    const result = simulate([{ type: 'kill', personId: 7 }, { type: 'kill', personId: 8 }]);
+
+    expect(changeFor(result, 12)).toMatchObject({ holderId: null, line: [] });
+    expect(result.crises).toEqual([
+      { dignityId: 12, type: 'vacancy', message: 'Wenna dies with no eligible heir' },
+      { dignityId: 13, type: 'election', message: 'Elective succession - a successor must be chosen' }
+    ]);
+    expect(changeFor(result, 14)).toBeUndefined();
+  });
+
+  it('should flag a rival claim pressed when the holder dies', () => {
+    const dignities = DIGNITIES.map(d => (d.id === 10
+      ? { ...d, disputes: [{ claimantId: 5, resolution: 'ongoing' }] }
+      : d));
+    const result = simulateScenario({
+      people: PEOPLE,
+      relationships: RELATIONSHIPS,
+      dignities,
+      actions: [{ id: 'a', type: 'kill', personId: 1 }],
+      date: DATE
+    });
+
+    expect(changeFor(result, 10).crises).toEqual([{ type: 'dispute', message: 'Bran presses a rival claim' }]);
+  });
+
+  it('should note marriages that join two claims', () => {
+    const result = simulate([{ type: 'marry', personId: 2, spouseId: 7 }]);
+
+    expect(result.marriageUnions).toEqual([{ personIds: [2, 7], dignityIds: [10, 11, 12] }]);
+    expect(simulate([{ type: 'marry', personId: 4, spouseId: 7 }]).marriageUnions).toEqual([]);
+  });
+});
+
+describe('commitScenario', () => {
+  const DATASET_ID = 'scenario-test';
+
+  beforeEach(async () => {
+    await deleteDatabaseForDataset(DATASET_ID);
+    await getDatabase(DATASET_ID).people.bulkAdd(PEOPLE);
+  });
+
+  afterEach(async () => {
+    await closeDatabaseInstance(DATASET_ID);
+  });
+
+  const simulateStored = async (dignityIds, actions) => simulateScenario({
+    people: PEOPLE,
+    relationships: RELATIONSHIPS,
+    dignities: await Promise.all(dignityIds.map(id => getDignity(id, DATASET_ID))),
+    actions,
+    date: DATE
+  });
+
+  it('should end the dead holder\'s tenure and begin the successor\'s', async () => {
+    const dignityId = await createDignity({ name: 'Duke of the Reach', currentHolderId: 1 }, null, DATASET_ID);
+    await createDignityTenure({ dignityId, personId: 1, dateStarted: '1140' }, null, DATASET_ID);
+    const actions = [{ id: 'a', type: 'kill', personId: 1 }];
+    const result = await simulateStored([dignityId], actions);
+
+    const { count } = await commitScenario(result, actions, DATE, PEOPLE, DATASET_ID);
+    expect(count).toBe(1);
+
+    const tenures = await getTenuresForDignity(dignityId, DATASET_ID);
+    expect(tenures.map(t => [t.personId, t.dateStarted, t.dateEnded, t.endType])).toEqual([
+      [1, '1140', DATE, 'death'],
+      [2, DATE, null, null]
+    ]);
+    expect(await getDignity(dignityId, DATASET_ID)).toMatchObject({ currentHolderId: 2, currentHouseId: 1, isVacant: false });
+    expect((await getDatabase(DATASET_ID).people.get(1)).dateOfDeath).toBe(DATE);
+  });
+
+  it('should leave a dignity with no successor vacant', async () => {
+    const dignityId = await createDignity({ name: 'Lady of Ashford', currentHolderId: 7 }, null, DATASET_ID);
+    const actions = [{ id: 'a', type: 'kill', personId: 7 }];
+    const result = await simulateStored([dignityId], actions);
+
+    await commitScenario(result, actions, DATE, PEOPLE, DATASET_ID);
+
+    expect(await getDignity(dignityId, DATASET_ID)).toMatchObject({
+      currentHolderId: null,
+      isVacant: true,
+      successionStatus: 'interregnum',
+      interregnum: { startDate: DATE, reason: 'vacancy' }
+    });
+  });
+
+  it('should journal the whole scenario as one undoable step', async () => {
+    const dignityId = await createDignity({ name: 'Duke of the Reach', currentHolderId: 1 }, null, DATASET_ID);
+    await createDignityTenure({ dignityId, personId: 1, dateStarted: '1140' }, null, DATASET_ID);
+    const actions = [
+      { id: 'a', type: 'kill', personId: 1 },
+      { id: 'b', type: 'legitimize', personId: 4 },
+      { id: 'c', type: 'marry', personId: 2, spouseId: 7 }
+    ];
+    const result = await simulateStored([dignityId], actions);
+
+    const { operations } = await commitScenario(result, actions, DATE, PEOPLE, DATASET_ID);
+    expect(operations.map(op => `${op.operation} ${op.entityType}`)).toEqual([
+      'update person',
+      'update person',
+      'update dignityTenure',
+      'update dignity',
+      'add relationship',
+      'add dignityTenure'
+    ]);
+    expect(await getHistoryState(DATASET_ID)).toMatchObject({ canUndo: true, undoLabel: 'What-if scenario' });
+
+    await undoLastOperation(DATASET_ID);
+
+    const db = getDatabase(DATASET_ID);
+    expect((await db.people.get(1)).dateOfDeath).toBeUndefined();
+    expect((await db.people.get(4)).bastardStatus).toBeUndefined();
+    expect(await db.relationships.count()).toBe(0);
+    expect((await getTenuresForDignity(dignityId, DATASET_ID)).map(t => [t.personId, t.dateEnded])).toEqual([[1, null]]);
+    expect(await getDignity(dignityId, DATASET_ID)).toMatchObject({ currentHolderId: 1 });
+    expect(await getHistoryState(DATASET_ID)).toMatchObject({ canUndo: false });
+  });
+
+  it('should write nothing when a write fails partway through', async () => {
+    const dignityId = await createDignity({ name: 'Duke of the Reach', currentHolderId: 1 }, null, DATASET_ID);
+    await createDignityTenure({ dignityId, personId: 1, dateStarted: '1140' }, null, DATASET_ID);
+    const actions = [
+      { id: 'a', type: 'kill', personId: 1 },
+      { id: 'b', type: 'kill', personId: 5 },
+      { id: 'c', type: 'marry', personId: 2, spouseId: 7 }
+    ];
+    // The barony was deleted after the scenario was simulated
+    const result = simulateScenario({
+      people: PEOPLE,
+      relationships: RELATIONSHIPS,
+      dignities: [await getDignity(dignityId, DATASET_ID), { id: 999, name: 'Baron of Highcairn', currentHolderId: 5 }],
+      actions,
+      date: DATE
+    });
+
+    await expect(commitScenario(result, actions, DATE, PEOPLE, DATASET_ID)).rejects.toThrow('dignity 999 not found');
+
+    const db = getDatabase(DATASET_ID);
+    expect((await db.people.get(1)).dateOfDeath).toBeUndefined();
+    expect((await db.people.get(5)).dateOfDeath).toBeUndefined();
+    expect(await db.relationships.count()).toBe(0);
+    expect((await getTenuresForDignity(dignityId, DATASET_ID)).map(t => [t.personId, t.dateEnded])).toEqual([[1, null]]);
+    expect(await getDignity(dignityId, DATASET_ID)).toMatchObject({ currentHolderId: 1 });
+    expect(await getHistoryState(DATASET_ID)).toMatchObject({ canUndo: false });
+  });
+
+  it('should write nothing when the scenario cannot be journaled', async () => {
+    const dignityId = await createDignity({ name: 'Duke of the Reach', currentHolderId: 1 }, null, DATASET_ID);
+    await createDignityTenure({ dignityId, personId: 1, dateStarted: '1140' }, null, DATASET_ID);
+    const actions = [{ id: 'a', type: 'kill', personId: 1 }];
+    const result = await simulateStored([dignityId], actions);
+    const db = getDatabase(DATASET_ID);
+    const journalAdd = vi.spyOn(db.operationJournal, 'add').mockRejectedValueOnce(new Error('Journal unavailable'));
+
+    await expect(commitScenario(result, actions, DATE, PEOPLE, DATASET_ID)).rejects.toThrow('Journal unavailable');
+    journalAdd.mockRestore();
+
+    expect((await db.people.get(1)).dateOfDeath).toBeUndefined();
+    expect((await getTenuresForDignity(dignityId, DATASET_ID)).map(t => [t.personId, t.dateEnded])).toEqual([[1, null]]);
+    expect(await getDignity(dignityId, DATASET_ID)).toMatchObject({ currentHolderId: 1 });
+    expect(await getHistoryState(DATASET_ID)).toMatchObject({ canUndo: false });
+  });
+});
@@ -51,7 +51,7 @@ export const WRITING_STATUS_LABELS = {
  * @param {string} [data.synopsis] - Brief synopsis
  * @param {string[]} [data.tags] - Tags for organization
  * @param {number} [data.targetWordCount] - Target word count
- * @param {Object} [data.metadata] - Additional metadata (genre, timeline, etc.)
+ * @param {Object} [data.metadata] - Additional metadata (genre, timeline, presentDate, etc.)
  * @param {string} [datasetId] - Dataset ID
  * @returns {Promise<number>} New writing ID
  */
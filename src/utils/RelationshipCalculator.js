@@ -7,6 +7,20 @@
  * - Extended cousin support (1st, 2nd, 3rd cousins + removals)
  * - Great-great grandparent/child support
  * - More in-law relationships
+ * - Multiple spouses (remarriage, polygamy) with step-relationships
+ *   through every marriage
+ * 
+ * SPOUSE MAP:
+ * spouseMap holds personId -> [spouseIds] in marriage order (see
+ * buildRelationshipMaps). A plain personId -> spouseId map is still
+ * accepted everywhere a spouseMap is read (see getSpouseIds).
+ * 
+ * CUSTOM RELATIONSHIP TYPES:
+ * Pass the dataset's relationshipTypes to buildRelationshipMaps and one-way
+ * kinship types are followed like adoption (person 1 -> person 2 as their
+ * child/heir). Ties of any custom type are also returned in customTieMap,
+ * which calculateAllRelationships uses to label people with no family
+ * relationship ("Liege", "Sworn Brother").
  * 
  * USAGE:
  * import { calculateRelationship, calculateAllRelationships } from './RelationshipCalculator';
@@ -15,6 +29,9 @@
  * // Returns: "Grandmother", "Half-Brother", "2nd Cousin", "Great-Great-Grandfather", etc.
  */
 
+import { compareDates } from './calendarUtils';
+import { getCustomTypeIds } from './relationshipTypes';
+
 /**
  * Calculate the relationship between two people
  * 
@@ -22,11 +39,12 @@
  * @param {number} targetId - The person we're calculating the relationship for
  * @param {Map} parentMap - Map of personId -> [parentId, parentId]
  * @param {Map} childrenMap - Map of personId -> [childId, childId, ...]
- * @param {Map} spouseMap - Map of personId -> spouseId
+ * @param {Map} spouseMap - Map of personId -> [spouseIds] (marriage order)
  * @param {Map} peopleById - Map of personId -> person object (for gender lookup)
+ * @param {Object} [calendar] - Dataset calendar, for the step-parent date checks
  * @returns {string|null} The relationship label or null if unrelated
  */
-export function calculateRelationship(personId, targetId, parentMap, childrenMap, spouseMap, peopleById) {
+export function calculateRelationship(personId, targetId, parentMap, childrenMap, spouseMap, peopleById, calendar = null) {
   if (personId === targetId) {
     return 'Self';
   }
@@ -39,7 +57,7 @@ export function calculateRelationship(personId, targetId, parentMap, childrenMap
   // ══════════════════════════════════════════════════════════════════════
   
   // Check if spouse
-  if (spouseMap.get(personId) === targetId) {
+  if (getSpouseIds(spouseMap, personId).includes(targetId)) {
     return getGenderedLabel(targetPerson, 'Husband', 'Wife', 'Spouse');
   }
 
@@ -153,7 +171,7 @@ export function calculateRelationship(personId, targetId, parentMap, childrenMap
   // STEP-RELATIONSHIPS
   // ══════════════════════════════════════════════════════════════════════
   
-  const stepResult = getStepRelationship(personId, targetId, spouseMap, parentMap, childrenMap, peopleById);
+  const stepResult = getStepRelationship(personId, targetId, spouseMap, parentMap, childrenMap, peopleById, calendar);
   if (stepResult) {
     return stepResult;
   }
@@ -165,10 +183,33 @@ export function calculateRelationship(personId, targetId, parentMap, childrenMap
 // HELPER FUNCTIONS
 // ════════════════════════════════════════════════════════════════════════════════
 
+/**
+ * Get a person's spouses from a spouse map, in marriage order
+ *
+ * Accepts both list maps (personId -> [spouseIds]) and legacy single-spouse
+ * maps (personId -> spouseId).
+ *
+ * @param {Map} spouseMap - Spouse map
+ * @param {number} personId - Person to look up
+ * @returns {number[]} Spouse IDs (empty if none)
+ */
+export function getSpouseIds(spouseMap, personId) {
+  const value = spouseMap?.get(personId);
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Key for a couple, independent of which partner is person1
+ */
+export function getSpouseKey(person1Id, person2Id) {
+  return [person1Id, person2Id].sort((a, b) => a - b).join('-');
+}
+
 /**
  * Get gendered label based on person's gender
  */
-function getGenderedLabel(person, maleLabel, femaleLabel, neutralLabel) {
+export function getGenderedLabel(person, maleLabel, femaleLabel, neutralLabel) {
   if (person.gender === 'male') return maleLabel;
   if (person.gender === 'female') return femaleLabel;
   return neutralLabel;
@@ -463,7 +504,7 @@ function getAllAncestorsWithDepth(personId, parentMap, maxDepth = 10) {
 /**
  * Get ordinal string (1st, 2nd, 3rd, etc.)
  */
-function getOrdinal(n) {
+export function getOrdinal(n) {
   const s = ['th', 'st', 'nd', 'rd'];
   const v = n % 100;
   return n + (s[(v - 20) % 10] || s[v] || s[0]);
@@ -473,28 +514,25 @@ function getOrdinal(n) {
  * Get in-law relationship
  */
 function getInLawRelationship(personId, targetId, spouseMap, parentMap, childrenMap, peopleById) {
-  const spouse = spouseMap.get(personId);
-  if (!spouse) return null;
-
   const targetPerson = peopleById.get(targetId);
   if (!targetPerson) return null;
+
+  const spouses = getSpouseIds(spouseMap, personId);
   
   // Spouse's parent = Parent-in-Law
-  const spouseParents = parentMap.get(spouse) || [];
-  if (spouseParents.includes(targetId)) {
+  if (spouses.some(spouse => (parentMap.get(spouse) || []).includes(targetId))) {
     return getGenderedLabel(targetPerson, 'Father-in-Law', 'Mother-in-Law', 'Parent-in-Law');
   }
   
   // Spouse's sibling = Sibling-in-Law
-  const spouseSiblings = getSiblings(spouse, parentMap, childrenMap);
-  if (spouseSiblings.includes(targetId)) {
+  if (spouses.some(spouse => getSiblings(spouse, parentMap, childrenMap).includes(targetId))) {
     return getGenderedLabel(targetPerson, 'Brother-in-Law', 'Sister-in-Law', 'Sibling-in-Law');
   }
   
   // Sibling's spouse = Sibling-in-Law
   const personSiblings = getSiblings(personId, parentMap, childrenMap);
   for (const siblingId of personSiblings) {
-    if (spouseMap.get(siblingId) === targetId) {
+    if (getSpouseIds(spouseMap, siblingId).includes(targetId)) {
       return getGenderedLabel(targetPerson, 'Brother-in-Law', 'Sister-in-Law', 'Sibling-in-Law');
     }
   }
@@ -502,14 +540,13 @@ function getInLawRelationship(personId, targetId, spouseMap, parentMap, children
   // Child's spouse = Child-in-Law
   const personChildren = childrenMap.get(personId) || [];
   for (const childId of personChildren) {
-    if (spouseMap.get(childId) === targetId) {
+    if (getSpouseIds(spouseMap, childId).includes(targetId)) {
       return getGenderedLabel(targetPerson, 'Son-in-Law', 'Daughter-in-Law', 'Child-in-Law');
     }
   }
   
   // Spouse's grandparent
-  const spouseGrandparents = getGrandparents(spouse, parentMap);
-  if (spouseGrandparents.includes(targetId)) {
+  if (spouses.some(spouse => getGrandparents(spouse, parentMap).includes(targetId))) {
     return getGenderedLabel(targetPerson, 'Grandfather-in-Law', 'Grandmother-in-Law', 'Grandparent-in-Law');
   }
   
@@ -517,44 +554,54 @@ function getInLawRelationship(personId, targetId, spouseMap, parentMap, children
 }
 
 /**
- * Get step-relationship
+ * Get the step-parents of a person: every spouse of either parent who is not
+ * a parent themselves. A parent's earlier spouse who died before the person
+ * was born never stood in that role and is left out.
  */
-function getStepRelationship(personId, targetId, spouseMap, parentMap, childrenMap, peopleById) {
-  const targetPerson = peopleById.get(targetId);
-  if (!targetPerson) return null;
-  
-  // Person's parent's spouse's children (step-siblings)
+function getStepParents(personId, spouseMap, parentMap, peopleById, calendar) {
+  const person = peopleById.get(personId);
   const personParents = parentMap.get(personId) || [];
+  const stepParents = new Set();
+
   for (const parentId of personParents) {
-    const parentSpouse = spouseMap.get(parentId);
-    if (parentSpouse) {
-      const stepParentChildren = childrenMap.get(parentSpouse) || [];
-      if (stepParentChildren.includes(targetId)) {
-        // Make sure they're not also biological siblings
-        const siblingType = getSiblingType(personId, targetId, parentMap);
-        if (!siblingType) {
-          return getGenderedLabel(targetPerson, 'Step-Brother', 'Step-Sister', 'Step-Sibling');
-        }
+    for (const spouseId of getSpouseIds(spouseMap, parentId)) {
+      if (personParents.includes(spouseId)) continue;
+
+      const spouse = peopleById.get(spouseId);
+      const diedBeforeBirth = person?.dateOfBirth && spouse?.dateOfDeath &&
+        compareDates(spouse.dateOfDeath, person.dateOfBirth, calendar) < 0;
+      if (!diedBeforeBirth) {
+        stepParents.add(spouseId);
       }
     }
   }
+
+  return Array.from(stepParents);
+}
+
+/**
+ * Get step-relationship
+ */
+function getStepRelationship(personId, targetId, spouseMap, parentMap, childrenMap, peopleById, calendar) {
+  const targetPerson = peopleById.get(targetId);
+  if (!targetPerson) return null;
+  
+  // Parent's spouse (step-parent)
+  const stepParents = getStepParents(personId, spouseMap, parentMap, peopleById, calendar);
+  if (stepParents.includes(targetId)) {
+    return getGenderedLabel(targetPerson, 'Step-Father', 'Step-Mother', 'Step-Parent');
+  }
   
-  // Spouse's child (step-child)
-  const spouse = spouseMap.get(personId);
-  if (spouse) {
-    const spouseChildren = childrenMap.get(spouse) || [];
-    const personChildren = childrenMap.get(personId) || [];
-    
-    if (spouseChildren.includes(targetId) && !personChildren.includes(targetId)) {
-      return getGenderedLabel(targetPerson, 'Step-Son', 'Step-Daughter', 'Step-Child');
-    }
+  // Spouse's child (step-child) - the mirror of step-parent
+  if (getStepParents(targetId, spouseMap, parentMap, peopleById, calendar).includes(personId)) {
+    return getGenderedLabel(targetPerson, 'Step-Son', 'Step-Daughter', 'Step-Child');
   }
   
-  // Parent's spouse (step-parent)
-  for (const parentId of personParents) {
-    const parentSpouse = spouseMap.get(parentId);
-    if (parentSpouse === targetId && !personParents.includes(targetId)) {
-      return getGenderedLabel(targetPerson, 'Step-Father', 'Step-Mother', 'Step-Parent');
+  // Step-parent's children who share no parent with the person (step-siblings)
+  for (const stepParentId of stepParents) {
+    const stepParentChildren = childrenMap.get(stepParentId) || [];
+    if (stepParentChildren.includes(targetId) && !getSiblingType(personId, targetId, parentMap)) {
+      return getGenderedLabel(targetPerson, 'Step-Brother', 'Step-Sister', 'Step-Sibling');
     }
   }
   
@@ -564,8 +611,11 @@ function getStepRelationship(personId, targetId, spouseMap, parentMap, childrenM
 /**
  * Get all relationships for a person
  * Returns a Map of personId -> relationship label
+ *
+ * @param {Map} [customTieMap] - From buildRelationshipMaps; labels people
+ *   tied to the person only by a custom relationship type
  */
-export function calculateAllRelationships(personId, allPeople, parentMap, childrenMap, spouseMap) {
+export function calculateAllRelationships(personId, allPeople, parentMap, childrenMap, spouseMap, calendar = null, customTieMap = null) {
   const relationships = new Map();
   const peopleById = new Map(allPeople.map(p => [p.id, p]));
   
@@ -579,10 +629,12 @@ export function calculateAllRelationships(personId, allPeople, parentMap, childr
         parentMap,
         childrenMap,
         spouseMap,
-        peopleById
+        peopleById,
+        calendar
       );
-      if (relationship) {
-        relationships.set(person.id, relationship);
+      const tie = relationship ? null : customTieMap?.get(personId)?.find(t => t.personId === person.id);
+      if (relationship || tie) {
+        relationships.set(person.id, relationship || tie.label);
       }
     }
   });
@@ -593,14 +645,48 @@ export function calculateAllRelationships(personId, allPeople, parentMap, childr
 /**
  * Build relationship maps from raw relationship data
  * Helper function for components that need to set up the maps
+ *
+ * Spouses are listed in marriage order, so a widower who remarries or a
+ * person with several concurrent spouses keeps every marriage. Undated
+ * marriages come after dated ones, in the order they were recorded.
+ *
+ * @param {Array} relationships - Relationship records
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDivorced=false] - Keep divorced couples
+ *   in spouseMap (the tree still draws those unions and their children)
+ * @param {Object} [options.calendar] - Dataset calendar, for ordering marriages
+ * @param {Object} [options.relationshipTypes] - Dataset relationship types
+ *   (see relationshipTypes.js); without them custom types are ignored
+ * @returns {{parentMap: Map, childrenMap: Map, spouseMap: Map, spouseRelationshipMap: Map, customTieMap: Map}}
+ *   spouseMap is personId -> [spouseIds]; spouseRelationshipMap is
+ *   getSpouseKey(a, b) -> spouse relationship record; customTieMap is
+ *   personId -> [{ personId, typeId, label }], labelled with the other
+ *   person's role
  */
-export function buildRelationshipMaps(relationships) {
+export function buildRelationshipMaps(relationships, { includeDivorced = false, calendar = null, relationshipTypes = null } = {}) {
   const parentMap = new Map();     // childId -> [parentId, parentId]
   const childrenMap = new Map();   // parentId -> [childId, ...]
-  const spouseMap = new Map();     // personId -> spouseId (latest active marriage)
+  const spouseMap = new Map();     // personId -> [spouseIds] in marriage order
+  const spouseRelationshipMap = new Map(); // coupleKey -> spouse relationship
+  const customTieMap = new Map();  // personId -> [{ personId, typeId, label }]
+  const marriages = [];
+
+  const customTypes = relationshipTypes || {};
+  const kinshipTypeIds = getCustomTypeIds(customTypes, 'kinship');
+
+  const addTie = (personId, otherId, typeId, label) => {
+    customTieMap.set(personId, [...(customTieMap.get(personId) || []), { personId: otherId, typeId, label }]);
+  };
   
   relationships.forEach(rel => {
-    if (rel.relationshipType === 'parent' || rel.relationshipType === 'adopted-parent') {
+    const customType = customTypes[rel.relationshipType];
+    if (customType && !customType.builtIn) {
+      addTie(rel.person1Id, rel.person2Id, customType.id, customType.person2Label);
+      addTie(rel.person2Id, rel.person1Id, customType.id, customType.person1Label);
+    }
+
+    if (rel.relationshipType === 'parent' || rel.relationshipType === 'adopted-parent' ||
+        (customType?.directional && kinshipTypeIds.has(rel.relationshipType))) {
       // person1 is parent of person2
       const existingParents = parentMap.get(rel.person2Id) || [];
       parentMap.set(rel.person2Id, [...existingParents, rel.person1Id]);
@@ -610,19 +696,37 @@ export function buildRelationshipMaps(relationships) {
     }
     
     if (rel.relationshipType === 'spouse') {
-      // Only track active marriages for the spouseMap
-      if (rel.marriageStatus !== 'divorced') {
-        spouseMap.set(rel.person1Id, rel.person2Id);
-        spouseMap.set(rel.person2Id, rel.person1Id);
+      if (includeDivorced || rel.marriageStatus !== 'divorced') {
+        marriages.push(rel);
+        spouseRelationshipMap.set(getSpouseKey(rel.person1Id, rel.person2Id), rel);
       }
     }
   });
+
+  // Array sort is stable, so undated marriages keep their recorded order
+  marriages.sort((a, b) => compareDates(a.marriageDate, b.marriageDate, calendar));
+
+  const addSpouse = (personId, spouseId) => {
+    const spouses = spouseMap.get(personId) || [];
+    if (!spouses.includes(spouseId)) {
+      spouseMap.set(personId, [...spouses, spouseId]);
+    }
+  };
+
+  marriages.forEach(rel => {
+    addSpouse(rel.person1Id, rel.person2Id);
+    addSpouse(rel.person2Id, rel.person1Id);
+  });
   
-  return { parentMap, childrenMap, spouseMap };
+  return { parentMap, childrenMap, spouseMap, spouseRelationshipMap, customTieMap };
 }
 
 export default {
   calculateRelationship,
   calculateAllRelationships,
-  buildRelationshipMaps
+  buildRelationshipMaps,
+  getSpouseIds,
+  getSpouseKey,
+  getGenderedLabel,
+  getOrdinal
 };
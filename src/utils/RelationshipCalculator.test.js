@@ -7,13 +7,16 @@
  * - Half-sibling detection
  * - In-law relationships
  * - Step-relationships
+ * - Multiple spouses (remarriage, polygamy)
  */
 
 import { describe, it, expect, beforeEach } from 'vitest';
 import {
   calculateRelationship,
   calculateAllRelationships,
-  buildRelationshipMaps
+  buildRelationshipMaps,
+  getSpouseIds,
+  getSpouseKey
 } from './RelationshipCalculator';
 
 describe('RelationshipCalculator', () => {
@@ -77,12 +80,12 @@ describe('RelationshipCalculator', () => {
       [9, [10]],    // Spouse's child is Child
     ]);
 
-    // Spouse relationships: personId -> spouseId
+    // Spouse relationships: personId -> [spouseIds] in marriage order
     spouseMap = new Map([
-      [1, 2], [2, 1],   // Grandfather and Grandmother
-      [3, 4], [4, 3],   // Father and Mother
-      [6, 9], [9, 6],   // Self and Spouse
-      [7, 8], [8, 7],   // Sister and Brother-in-Law
+      [1, [2]], [2, [1]],   // Grandfather and Grandmother
+      [3, [4]], [4, [3]],   // Father and Mother
+      [6, [9]], [9, [6]],   // Self and Spouse
+      [7, [8]], [8, [7]],   // Sister and Brother-in-Law
     ]);
   });
 
@@ -313,8 +316,33 @@ describe('RelationshipCalculator', () => {
 
       const { spouseMap: builtSpouseMap } = buildRelationshipMaps(relationships);
 
-      expect(builtSpouseMap.get(6)).toBe(9);
-      expect(builtSpouseMap.get(9)).toBe(6);
+      expect(builtSpouseMap.get(6)).toEqual([9]);
+      expect(builtSpouseMap.get(9)).toEqual([6]);
+    });
+
+    it('should keep every marriage, ordered by marriage date', () => {
+      const relationships = [
+        { person1Id: 3, person2Id: 20, relationshipType: 'spouse', marriageDate: '1205' },
+        { person1Id: 3, person2Id: 4, relationshipType: 'spouse' },
+        { person1Id: 23, person2Id: 3, relationshipType: 'spouse', marriageDate: '1170-06' },
+      ];
+
+      const { spouseMap: builtSpouseMap, spouseRelationshipMap } = buildRelationshipMaps(relationships);
+
+      // Undated marriages sort last
+      expect(builtSpouseMap.get(3)).toEqual([23, 20, 4]);
+      expect(builtSpouseMap.get(20)).toEqual([3]);
+      expect(spouseRelationshipMap.get(getSpouseKey(3, 23)).marriageDate).toBe('1170-06');
+    });
+
+    it('should include divorced spouses when asked', () => {
+      const relationships = [
+        { person1Id: 6, person2Id: 9, relationshipType: 'spouse', marriageStatus: 'divorced' },
+        { person1Id: 6, person2Id: 24, relationshipType: 'spouse' },
+      ];
+
+      expect(buildRelationshipMaps(relationships).spouseMap.get(6)).toEqual([24]);
+      expect(buildRelationshipMaps(relationships, { includeDivorced: true }).spouseMap.get(6)).toEqual([9, 24]);
     });
 
     it('should not include divorced spouses', () => {
@@ -340,6 +368,60 @@ describe('RelationshipCalculator', () => {
     });
   });
 
+  describe('Multiple Spouses', () => {
+    /**
+     * Father (3) was first married to [23], who died before Self was born,
+     * then to Mother (4), then to Stepmother [20]. Stepmother brings a
+     * daughter [21] from her earlier marriage to [22].
+     */
+    beforeEach(() => {
+      peopleById.get(6).dateOfBirth = '1190';
+      peopleById.set(20, { id: 20, firstName: 'Step', lastName: 'Mother', gender: 'female' });
+      peopleById.set(21, { id: 21, firstName: 'Step', lastName: 'Sister', gender: 'female' });
+      peopleById.set(22, { id: 22, firstName: 'First', lastName: 'Husband', gender: 'male' });
+      peopleById.set(23, { id: 23, firstName: 'First', lastName: 'Wife', gender: 'female', dateOfDeath: '1180' });
+
+      parentMap.set(21, [20, 22]);
+      childrenMap.set(20, [21]);
+      childrenMap.set(22, [21]);
+
+      spouseMap.set(3, [23, 4, 20]);
+      spouseMap.set(20, [22, 3]);
+      spouseMap.set(22, [20]);
+      spouseMap.set(23, [3]);
+    });
+
+    it('should label a father\'s later wife as step-mother', () => {
+      expect(calculateRelationship(6, 20, parentMap, childrenMap, spouseMap, peopleById)).toBe('Step-Mother');
+      expect(calculateRelationship(20, 6, parentMap, childrenMap, spouseMap, peopleById)).toBe('Step-Son');
+    });
+
+    it('should not treat a wife who died before the birth as a step-parent', () => {
+      expect(calculateRelationship(6, 23, parentMap, childrenMap, spouseMap, peopleById)).toBeNull();
+    });
+
+    it('should label a step-parent\'s children from another marriage as step-siblings', () => {
+      expect(calculateRelationship(6, 21, parentMap, childrenMap, spouseMap, peopleById)).toBe('Step-Sister');
+      expect(calculateRelationship(21, 6, parentMap, childrenMap, spouseMap, peopleById)).toBe('Step-Brother');
+    });
+
+    it('should label every spouse of a polygamous marriage', () => {
+      peopleById.set(24, { id: 24, firstName: 'Second', lastName: 'Wife', gender: 'female' });
+      spouseMap.set(6, [9, 24]);
+      spouseMap.set(24, [6]);
+
+      expect(calculateRelationship(6, 9, parentMap, childrenMap, spouseMap, peopleById)).toBe('Wife');
+      expect(calculateRelationship(6, 24, parentMap, childrenMap, spouseMap, peopleById)).toBe('Wife');
+      expect(calculateRelationship(24, 6, parentMap, childrenMap, spouseMap, peopleById)).toBe('Husband');
+    });
+
+    it('should read legacy single-spouse maps', () => {
+      expect(getSpouseIds(new Map([[6, 9]]), 6)).toEqual([9]);
+      expect(getSpouseIds(spouseMap, 5)).toEqual([]);
+      expect(getSpouseIds(null, 6)).toEqual([]);
+    });
+  });
+
   describe('Edge Cases', () => {
     it('should handle empty maps gracefully', () => {
       const emptyParentMap = new Map();
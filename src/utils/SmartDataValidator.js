@@ -14,8 +14,31 @@
  * - Soft warnings for unlikely but possible scenarios (unusual age gaps)
  * - Fantasy-friendly - configurable for magical worlds where normal rules bend
  * - Namesake-aware - understands that families often reuse names across generations
+ * - Calendar-aware - dates are read through the dataset's in-world calendar
+ *   (pass `calendar` in options; defaults to Gregorian)
+ * - Type-aware - custom relationship types are checked by their declared
+ *   semantics (pass `relationshipTypes` in options; defaults to the
+ *   built-in types, see relationshipTypes.js)
+ * - Uncertainty-aware - "c. 380", "before 402", ranges and named periods
+ *   are checked over every date they allow: an error only when no reading
+ *   of the dates works, a warning when some readings would be unlikely
+ * - Source-aware - a date conflict that rests on a rumoured or disputed fact
+ *   is a warning rather than an error (the sources may simply be wrong);
+ *   see citations.js
  */
 
+import {
+  getYear,
+  getDateRange,
+  getYearRange,
+  formatYear,
+  parseDateValue,
+  isValidDateValue,
+  DATE_QUALIFIERS
+} from './calendarUtils';
+import { getRelationshipTypeMap, getCustomTypeIds } from './relationshipTypes';
+import { findLowConfidenceFacts, getLowConfidenceFields } from './citations';
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // CONFIGURATION
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -76,24 +99,68 @@ function addWarning(result, code, message, details = {}) {
   result.warnings.push({ code, message, details, severity: 'warning' });
 }
 
+/**
+ * Report a conflict between facts. If any of them is only rumoured or
+ * disputed the conflict is a warning, with the shaky facts listed in
+ * `details.lowConfidence`; otherwise it is an error.
+ *
+ * @param {Array<{record, field, label}>} facts - Facts the conflict rests on
+ */
+function addFactConflict(result, code, message, details, facts) {
+  const lowConfidence = findLowConfidenceFacts(facts);
+  if (lowConfidence.length === 0) {
+    addError(result, code, message, details);
+    return;
+  }
+
+  const basis = lowConfidence.map(f => `${f.confidence} ${f.label}`).join(', ');
+  addWarning(result, code, `${message} (rests on ${basis})`, { ...details, lowConfidence });
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // HELPER FUNCTIONS
 // ═══════════════════════════════════════════════════════════════════════════════
 
-function parseDate(dateStr) {
+function extractYear(dateStr, calendar) {
+  if (!dateStr) return null;
+  return getYear(dateStr, calendar);
+}
+
+/**
+ * Earliest and latest day a stored date allows, read through the calendar
+ * (month lengths differ between calendars, so a plain YYYYMMDD is not
+ * enough). Exact dates are a single day; open ends are ±Infinity.
+ */
+function dayRange(dateStr, calendar) {
   if (!dateStr) return null;
-  const parts = dateStr.split('-');
-  const year = parseInt(parts[0], 10);
-  const month = parts[1] ? parseInt(parts[1], 10) : 1;
-  const day = parts[2] ? parseInt(parts[2], 10) : 1;
-  if (isNaN(year)) return null;
-  return year * 10000 + month * 100 + day;
+  const range = getDateRange(dateStr, calendar);
+  if (!range) return null;
+  return { earliest: range.earliest ?? -Infinity, latest: range.latest ?? Infinity };
 }
 
-function extractYear(dateStr) {
+/**
+ * Earliest and latest year a stored date allows (see dayRange)
+ */
+function yearRange(dateStr, calendar) {
   if (!dateStr) return null;
-  const year = parseInt(dateStr.split('-')[0], 10);
-  return isNaN(year) ? null : year;
+  const range = getYearRange(dateStr, calendar);
+  if (!range) return null;
+  return { earliest: range.earliest ?? -Infinity, latest: range.latest ?? Infinity };
+}
+
+/**
+ * A date's year as the world reckons it, for messages ("412 AE",
+ * "c. 412 AE", "before 412 AE", "during Long Winter")
+ */
+function yearText(dateStr, calendar) {
+  return formatYear(dateStr, calendar);
+}
+
+/**
+ * A span in years between two ranges, for messages ("14", "at most 14")
+ */
+function spanText(value, exact, bound) {
+  return exact ? String(value) : `${bound} ${value}`;
 }
 
 function getPersonById(personId, people) {
@@ -140,16 +207,33 @@ function getSiblingIds(personId, relationships) {
   return Array.from(siblingIds);
 }
 
-function isAncestorOf(personAId, personBId, relationships, visited = new Set()) {
+/**
+ * Relationship types that carry descent: parents, adoption, and custom
+ * one-way kinship types (followed from person 1 to person 2 like adoption)
+ */
+function getLineageTypeIds(config) {
+  const types = config.relationshipTypes || getRelationshipTypeMap();
+  const customKinship = getCustomTypeIds(types, 'kinship');
+  const customDirectional = getCustomTypeIds(types, 'directional');
+  return new Set([
+    'parent',
+    'adopted-parent',
+    ...Array.from(customKinship).filter(id => customDirectional.has(id))
+  ]);
+}
+
+function isAncestorOf(personAId, personBId, relationships, visited = new Set(), lineageTypes = null) {
   if (visited.has(personBId)) return false;
   visited.add(personBId);
   
-  const parentRels = getParentRelationships(personBId, relationships);
+  const parentRels = lineageTypes
+    ? relationships.filter(r => r.person2Id === personBId && lineageTypes.has(r.relationshipType))
+    : getParentRelationships(personBId, relationships);
   
   for (const rel of parentRels) {
     const parentId = rel.person1Id;
     if (parentId === personAId) return true;
-    if (isAncestorOf(personAId, parentId, relationships, visited)) return true;
+    if (isAncestorOf(personAId, parentId, relationships, visited, lineageTypes)) return true;
   }
   
   return false;
@@ -193,8 +277,8 @@ function calculateNameSimilarity(str1, str2) {
  * Check if two people are clearly different generations based on birth years
  */
 function areDifferentGenerations(person1, person2, config = VALIDATION_CONFIG) {
-  const year1 = extractYear(person1.dateOfBirth);
-  const year2 = extractYear(person2.dateOfBirth);
+  const year1 = extractYear(person1.dateOfBirth, config.calendar);
+  const year2 = extractYear(person2.dateOfBirth, config.calendar);
   
   if (!year1 || !year2) return false;
   
@@ -205,14 +289,15 @@ function areDifferentGenerations(person1, person2, config = VALIDATION_CONFIG) {
 /**
  * Check if one person died before the other was born
  */
-function oneDeadBeforeOtherBorn(person1, person2) {
-  const death1 = extractYear(person1.dateOfDeath);
-  const birth2 = extractYear(person2.dateOfBirth);
-  const death2 = extractYear(person2.dateOfDeath);
-  const birth1 = extractYear(person1.dateOfBirth);
+function oneDeadBeforeOtherBorn(person1, person2, calendar) {
+  const death1 = yearRange(person1.dateOfDeath, calendar);
+  const birth2 = yearRange(person2.dateOfBirth, calendar);
+  const death2 = yearRange(person2.dateOfDeath, calendar);
+  const birth1 = yearRange(person1.dateOfBirth, calendar);
   
-  if (death1 && birth2 && death1 < birth2) return true;
-  if (death2 && birth1 && death2 < birth1) return true;
+  // Only when every reading of the dates agrees
+  if (death1 && birth2 && death1.latest < birth2.earliest) return true;
+  if (death2 && birth1 && death2.latest < birth1.earliest) return true;
   
   return false;
 }
@@ -294,6 +379,29 @@ function analyzeNamesakeStatus(newPerson, existingPerson, relationships = [], ac
 // PERSON VALIDATION
 // ═══════════════════════════════════════════════════════════════════════════════
 
+/**
+ * INVALID_<KIND>_DATE_FORMAT if a stored date can't be read at all,
+ * INVALID_<KIND>_DATE if it doesn't fit the calendar
+ */
+function validateDateFormat(result, dateStr, kind, label, calendar) {
+  if (!dateStr) return;
+  
+  const value = parseDateValue(dateStr);
+  if (!value) {
+    addError(result, `INVALID_${kind}_DATE_FORMAT`,
+      `${label} date must be YYYY, YYYY-MM, or YYYY-MM-DD (optionally c., before, after, a range or a named period)`,
+      { value: dateStr }
+    );
+  } else if (!isValidDateValue(dateStr, calendar)) {
+    addError(result, `INVALID_${kind}_DATE`,
+      value.qualifier === DATE_QUALIFIERS.PERIOD
+        ? `${label} date refers to an era or period this calendar doesn't have`
+        : `${label} date does not exist in this calendar (month or day out of range)`,
+      { value: dateStr }
+    );
+  }
+}
+
 /**
  * Validate a person's data
  * @param {Object} person - The person to validate
@@ -318,52 +426,53 @@ export function validatePerson(person, existingPeople = [], options = {}) {
   }
   
   // ── Date Consistency ─────────────────────────────────────────────────────
-  const birthDate = parseDate(person.dateOfBirth);
-  const deathDate = parseDate(person.dateOfDeath);
+  const birthDate = dayRange(person.dateOfBirth, config.calendar);
+  const deathDate = dayRange(person.dateOfDeath, config.calendar);
   
-  if (birthDate && deathDate && deathDate < birthDate) {
-    addError(result, 'DEATH_BEFORE_BIRTH', 
+  const lifeFacts = [
+    { record: person, field: 'dateOfBirth', label: 'birth date' },
+    { record: person, field: 'dateOfDeath', label: 'death date' }
+  ];
+  
+  if (birthDate !== null && deathDate !== null && deathDate.latest < birthDate.earliest) {
+    addFactConflict(result, 'DEATH_BEFORE_BIRTH', 
       'Death date cannot be before birth date',
-      { birthDate: person.dateOfBirth, deathDate: person.dateOfDeath }
+      { birthDate: person.dateOfBirth, deathDate: person.dateOfDeath },
+      lifeFacts
     );
   }
   
   // Lifespan checks
-  if (birthDate && deathDate) {
-    const lifespan = extractYear(person.dateOfDeath) - extractYear(person.dateOfBirth);
+  // Warn only when even the shortest reading is long
+  if (birthDate !== null && deathDate !== null) {
+    const birthYears = yearRange(person.dateOfBirth, config.calendar);
+    const deathYears = yearRange(person.dateOfDeath, config.calendar);
+    const lifespan = deathYears.earliest - birthYears.latest;
+    const longest = deathYears.latest - birthYears.earliest;
+    const lifespanLabel = spanText(lifespan, lifespan === longest, 'at least');
     if (lifespan > config.EXTREME_LIFESPAN_THRESHOLD) {
       addWarning(result, 'EXTREME_LIFESPAN',
-        `Lifespan of ${lifespan} years is unusually long`,
+        `Lifespan of ${lifespanLabel} years is unusually long`,
         { lifespan, species: person.species }
       );
     } else if (lifespan > config.MAX_REASONABLE_LIFESPAN && !person.species) {
       addWarning(result, 'LONG_LIFESPAN',
-        `Lifespan of ${lifespan} years exceeds typical human lifespan`,
+        `Lifespan of ${lifespanLabel} years exceeds typical human lifespan`,
         { lifespan }
       );
     }
     
-    if (lifespan < 0) {
-      addError(result, 'NEGATIVE_LIFESPAN', 'Person cannot die before being born', { lifespan });
+    if (longest < 0) {
+      addFactConflict(result, 'NEGATIVE_LIFESPAN', 'Person cannot die before being born', { lifespan: longest }, lifeFacts);
     }
   }
   
   // ── Date Format Validation ───────────────────────────────────────────────
-  const dateRegex = /^\d{4}(-\d{2}(-\d{2})?)?$/;
-  
-  if (person.dateOfBirth && !dateRegex.test(person.dateOfBirth)) {
-    addError(result, 'INVALID_BIRTH_DATE_FORMAT',
-      'Birth date must be YYYY, YYYY-MM, or YYYY-MM-DD',
-      { value: person.dateOfBirth }
-    );
-  }
-  
-  if (person.dateOfDeath && !dateRegex.test(person.dateOfDeath)) {
-    addError(result, 'INVALID_DEATH_DATE_FORMAT',
-      'Death date must be YYYY, YYYY-MM, or YYYY-MM-DD',
-      { value: person.dateOfDeath }
-    );
-  }
+  // Stored dates are canonical (YYYY, YYYY-MM, YYYY-MM-DD) with months and
+  // days counted in the dataset's calendar, optionally uncertain (see
+  // calendarUtils)
+  validateDateFormat(result, person.dateOfBirth, 'BIRTH', 'Birth', config.calendar);
+  validateDateFormat(result, person.dateOfDeath, 'DEATH', 'Death', config.calendar);
   
   // ── Smart Duplicate/Namesake Detection ───────────────────────────────────
   if (existingPeople.length > 0 && person.firstName && person.lastName) {
@@ -429,7 +538,8 @@ export function validatePerson(person, existingPeople = [], options = {}) {
 
 export function validateRelationship(relationship, people, existingRelationships = [], options = {}) {
   const result = createResult();
-  const config = { ...VALIDATION_CONFIG, ...options };
+  const config = { ...VALIDATION_CONFIG, relationshipTypes: getRelationshipTypeMap(), ...options };
+  const type = config.relationshipTypes[relationship.relationshipType];
   
   const person1 = getPersonById(relationship.person1Id, people);
   const person2 = getPersonById(relationship.person2Id, people);
@@ -450,21 +560,34 @@ export function validateRelationship(relationship, people, existingRelationships
     return result;
   }
   
-  // Duplicate check
-  const isDuplicate = existingRelationships.some(existing => {
-    if (existing.id === relationship.id) return false;
-    const sameType = existing.relationshipType === relationship.relationshipType;
-    const samePair = 
-      (existing.person1Id === relationship.person1Id && existing.person2Id === relationship.person2Id) ||
-      (existing.person1Id === relationship.person2Id && existing.person2Id === relationship.person1Id);
-    return sameType && samePair;
-  });
+  if (!type) {
+    addError(result, 'UNKNOWN_RELATIONSHIP_TYPE',
+      `"${relationship.relationshipType}" is not a relationship type in this dataset`,
+      { type: relationship.relationshipType }
+    );
+    return result;
+  }
+  
+  // Duplicate check - a one-way type may also run the other way (each
+  // holding the other hostage), but that is worth a second look
+  const sameTypeRels = existingRelationships.filter(existing =>
+    existing.id !== relationship.id && existing.relationshipType === relationship.relationshipType
+  );
+  const isSameOrder = (existing) =>
+    existing.person1Id === relationship.person1Id && existing.person2Id === relationship.person2Id;
+  const isReversed = (existing) =>
+    existing.person1Id === relationship.person2Id && existing.person2Id === relationship.person1Id;
   
-  if (isDuplicate) {
+  if (sameTypeRels.some(existing => isSameOrder(existing) || (!type.directional && isReversed(existing)))) {
     addError(result, 'DUPLICATE_RELATIONSHIP',
       `This ${relationship.relationshipType} relationship already exists`,
       { type: relationship.relationshipType }
     );
+  } else if (type.directional && sameTypeRels.some(isReversed)) {
+    addWarning(result, 'REVERSED_RELATIONSHIP',
+      `${person2.firstName} is already ${type.person1Label.toLowerCase()} to ${person1.firstName} - this would make each the other's ${type.person1Label.toLowerCase()}`,
+      { type: relationship.relationshipType }
+    );
   }
   
   // Type-specific validation
@@ -472,7 +595,7 @@ export function validateRelationship(relationship, people, existingRelationships
     case 'parent':
     case 'adopted-parent':
     case 'foster-parent':
-      validateParentChildRelationship(result, person1, person2, existingRelationships, config);
+      validateParentChildRelationship(result, person1, person2, relationship, existingRelationships, config);
       break;
     case 'spouse':
       validateSpouseRelationship(result, person1, person2, relationship, existingRelationships, config);
@@ -486,27 +609,53 @@ export function validateRelationship(relationship, people, existingRelationships
     case 'named-after':
       validateNamedAfterRelationship(result, person1, person2, config);
       break;
+    case 'lineage-gap':
+      break;
+    default:
+      validateCustomRelationship(result, person1, person2, type, existingRelationships, config);
   }
   
   return result;
 }
 
+/**
+ * Validate a relationship of a dataset's own type, by what the type declares
+ */
+function validateCustomRelationship(result, person1, person2, type, existingRelationships, config) {
+  // A one-way kinship tie passes descent from person 1 to person 2, so it
+  // can't run back up the line
+  if (type.kinship && type.directional &&
+      isAncestorOf(person2.id, person1.id, existingRelationships, new Set(), getLineageTypeIds(config))) {
+    addError(result, 'CIRCULAR_ANCESTRY',
+      `${person2.firstName} ${person2.lastName} is already an ancestor of ${person1.firstName} ${person1.lastName}. This would create a circular line of descent.`,
+      { person1Id: person1.id, person2Id: person2.id }
+    );
+  }
+  
+  if (oneDeadBeforeOtherBorn(person1, person2, config.calendar)) {
+    addWarning(result, 'NEVER_COEXISTED',
+      `${person1.firstName} and ${person2.firstName} were never alive at the same time - unusual for a ${type.label.toLowerCase()} relationship`,
+      { type: type.id }
+    );
+  }
+}
+
 /**
  * Validate "named-after" relationship
  * Person1 is named after Person2 (Person2 is typically older/ancestor)
  */
 function validateNamedAfterRelationship(result, namedPerson, honoredPerson, config) {
   // The person being honored should typically be older or already deceased
-  if (namedPerson.dateOfBirth && honoredPerson.dateOfBirth) {
-    const namedYear = extractYear(namedPerson.dateOfBirth);
-    const honoredYear = extractYear(honoredPerson.dateOfBirth);
-    
-    if (namedYear && honoredYear && namedYear < honoredYear) {
-      addWarning(result, 'NAMED_AFTER_YOUNGER',
-        `${namedPerson.firstName} was born before ${honoredPerson.firstName} - unusual for a "named after" relationship`,
-        { namedBirth: namedYear, honoredBirth: honoredYear }
-      );
-    }
+  const namedBirth = yearRange(namedPerson.dateOfBirth, config.calendar);
+  const honoredBirth = yearRange(honoredPerson.dateOfBirth, config.calendar);
+  if (namedBirth && honoredBirth && namedBirth.latest < honoredBirth.earliest) {
+    addWarning(result, 'NAMED_AFTER_YOUNGER',
+      `${namedPerson.firstName} was born before ${honoredPerson.firstName} - unusual for a "named after" relationship`,
+      {
+        namedBirth: extractYear(namedPerson.dateOfBirth, config.calendar),
+        honoredBirth: extractYear(honoredPerson.dateOfBirth, config.calendar)
+      }
+    );
   }
   
   // Names should be similar
@@ -523,55 +672,66 @@ function validateNamedAfterRelationship(result, namedPerson, honoredPerson, conf
   }
 }
 
-function validateParentChildRelationship(result, parent, child, existingRelationships, config) {
-  if (isAncestorOf(child.id, parent.id, existingRelationships)) {
+function validateParentChildRelationship(result, parent, child, relationship, existingRelationships, config) {
+  const parentageFact = { record: relationship, field: 'relationship', label: 'parentage' };
+  const parentBirthFact = { record: parent, field: 'dateOfBirth', label: `birth date for ${parent.firstName}` };
+  const parentDeathFact = { record: parent, field: 'dateOfDeath', label: `death date for ${parent.firstName}` };
+  const childBirthFact = { record: child, field: 'dateOfBirth', label: `birth date for ${child.firstName}` };
+  
+  if (isAncestorOf(child.id, parent.id, existingRelationships, new Set(), getLineageTypeIds(config))) {
     addError(result, 'CIRCULAR_ANCESTRY',
       `${child.firstName} ${child.lastName} is already an ancestor of ${parent.firstName} ${parent.lastName}. This would create a circular family tree.`,
       { parentId: parent.id, childId: child.id }
     );
   }
   
-  if (parent.dateOfBirth && child.dateOfBirth) {
-    const parentBirthYear = extractYear(parent.dateOfBirth);
-    const childBirthYear = extractYear(child.dateOfBirth);
+  // Age at the child's birth, as the youngest and oldest the dates allow
+  const parentBirth = yearRange(parent.dateOfBirth, config.calendar);
+  const childBirth = yearRange(child.dateOfBirth, config.calendar);
+  
+  if (parentBirth && childBirth) {
+    const youngest = childBirth.earliest - parentBirth.latest;
+    const oldest = childBirth.latest - parentBirth.earliest;
+    const exact = youngest === oldest;
+    const details = {
+      parentBirth: extractYear(parent.dateOfBirth, config.calendar),
+      childBirth: extractYear(child.dateOfBirth, config.calendar)
+    };
     
-    if (parentBirthYear && childBirthYear) {
-      const ageDifference = childBirthYear - parentBirthYear;
-      
-      if (ageDifference < 0) {
-        addError(result, 'PARENT_BORN_AFTER_CHILD',
-          `${parent.firstName} (b. ${parentBirthYear}) cannot be a parent of ${child.firstName} (b. ${childBirthYear})`,
-          { parentBirth: parentBirthYear, childBirth: childBirthYear }
-        );
-      } else if (ageDifference === 0) {
-        addError(result, 'PARENT_SAME_AGE',
-          `${parent.firstName} and ${child.firstName} were born in the same year`,
-          { parentBirth: parentBirthYear, childBirth: childBirthYear }
-        );
-      } else if (ageDifference < config.MIN_PARENT_AGE_DIFFERENCE && config.ENFORCE_BIOLOGICAL_RULES) {
-        addWarning(result, 'PARENT_TOO_YOUNG',
-          `${parent.firstName} would have been only ${ageDifference} years old when ${child.firstName} was born`,
-          { ageDifference }
-        );
-      } else if (ageDifference > config.MAX_PARENT_AGE_DIFFERENCE) {
-        addWarning(result, 'EXTREME_PARENT_AGE',
-          `${parent.firstName} would have been ${ageDifference} years old when ${child.firstName} was born`,
-          { ageDifference }
-        );
-      }
+    if (oldest < 0) {
+      addFactConflict(result, 'PARENT_BORN_AFTER_CHILD',
+        `${parent.firstName} (b. ${yearText(parent.dateOfBirth, config.calendar)}) cannot be a parent of ${child.firstName} (b. ${yearText(child.dateOfBirth, config.calendar)})`,
+        details,
+        [parentageFact, parentBirthFact, childBirthFact]
+      );
+    } else if (exact && oldest === 0) {
+      addFactConflict(result, 'PARENT_SAME_AGE',
+        `${parent.firstName} and ${child.firstName} were born in the same year`,
+        details,
+        [parentageFact, parentBirthFact, childBirthFact]
+      );
+    } else if (oldest < config.MIN_PARENT_AGE_DIFFERENCE && config.ENFORCE_BIOLOGICAL_RULES) {
+      addWarning(result, 'PARENT_TOO_YOUNG',
+        `${parent.firstName} would have been only ${spanText(oldest, exact, 'at most')} years old when ${child.firstName} was born`,
+        { ageDifference: oldest }
+      );
+    } else if (youngest > config.MAX_PARENT_AGE_DIFFERENCE) {
+      addWarning(result, 'EXTREME_PARENT_AGE',
+        `${parent.firstName} would have been ${spanText(youngest, exact, 'at least')} years old when ${child.firstName} was born`,
+        { ageDifference: youngest }
+      );
     }
   }
   
-  if (parent.dateOfDeath && child.dateOfBirth) {
-    const parentDeathYear = extractYear(parent.dateOfDeath);
-    const childBirthYear = extractYear(child.dateOfBirth);
-    
-    if (parentDeathYear && childBirthYear && childBirthYear > parentDeathYear + 1) {
-      addError(result, 'PARENT_DEAD_AT_BIRTH',
-        `${parent.firstName} died in ${parentDeathYear}, but ${child.firstName} was born in ${childBirthYear}`,
-        {}
+  const parentDeath = yearRange(parent.dateOfDeath, config.calendar);
+  if (parentDeath && childBirth) {
+    if (childBirth.earliest > parentDeath.latest + 1) {
+      addFactConflict(result, 'PARENT_DEAD_AT_BIRTH',
+        `${parent.firstName} died in ${yearText(parent.dateOfDeath, config.calendar)}, but ${child.firstName} was born in ${yearText(child.dateOfBirth, config.calendar)}`,
+        {},
+        [parentageFact, parentDeathFact, childBirthFact]
       );
-    } else if (parentDeathYear && childBirthYear && childBirthYear === parentDeathYear + 1) {
+    } else if (childBirth.latest > parentDeath.earliest) {
       addWarning(result, 'POSSIBLE_POSTHUMOUS_BIRTH',
         `${child.firstName} may have been born after ${parent.firstName}'s death`,
         {}
@@ -612,51 +772,74 @@ function validateSpouseRelationship(result, person1, person2, relationship, exis
     addError(result, 'MARRYING_SIBLING', `${person1.firstName} and ${person2.firstName} share a parent`, {});
   }
   
-  if (relationship.marriageDate) {
-    const marriageDate = parseDate(relationship.marriageDate);
+  const marriageFact = { record: relationship, field: 'marriageDate', label: 'marriage date' };
+  const lifeFact = (person, field) => ({
+    record: person, field, label: `${field === 'dateOfBirth' ? 'birth' : 'death'} date for ${person.firstName}`
+  });
+  
+  const marriageDate = dayRange(relationship.marriageDate, config.calendar);
+  const lifeDays = (person, field) => dayRange(person[field], config.calendar);
+  
+  if (marriageDate) {
+    // Errors only when the marriage falls outside a life on every reading
+    const death1 = lifeDays(person1, 'dateOfDeath');
+    const death2 = lifeDays(person2, 'dateOfDeath');
+    const birth1 = lifeDays(person1, 'dateOfBirth');
+    const birth2 = lifeDays(person2, 'dateOfBirth');
     
-    if (person1.dateOfDeath && marriageDate && marriageDate > parseDate(person1.dateOfDeath)) {
-      addError(result, 'MARRIED_AFTER_DEATH', `Cannot marry ${person1.firstName} after their death`, {});
+    if (death1 && marriageDate.earliest > death1.latest) {
+      addFactConflict(result, 'MARRIED_AFTER_DEATH', `Cannot marry ${person1.firstName} after their death`, {},
+        [marriageFact, lifeFact(person1, 'dateOfDeath')]);
     }
-    if (person2.dateOfDeath && marriageDate && marriageDate > parseDate(person2.dateOfDeath)) {
-      addError(result, 'MARRIED_AFTER_DEATH', `Cannot marry ${person2.firstName} after their death`, {});
+    if (death2 && marriageDate.earliest > death2.latest) {
+      addFactConflict(result, 'MARRIED_AFTER_DEATH', `Cannot marry ${person2.firstName} after their death`, {},
+        [marriageFact, lifeFact(person2, 'dateOfDeath')]);
     }
     
-    if (person1.dateOfBirth && marriageDate && marriageDate < parseDate(person1.dateOfBirth)) {
-      addError(result, 'MARRIED_BEFORE_BIRTH', `Marriage date is before ${person1.firstName}'s birth`, {});
+    if (birth1 && marriageDate.latest < birth1.earliest) {
+      addFactConflict(result, 'MARRIED_BEFORE_BIRTH', `Marriage date is before ${person1.firstName}'s birth`, {},
+        [marriageFact, lifeFact(person1, 'dateOfBirth')]);
     }
-    if (person2.dateOfBirth && marriageDate && marriageDate < parseDate(person2.dateOfBirth)) {
-      addError(result, 'MARRIED_BEFORE_BIRTH', `Marriage date is before ${person2.firstName}'s birth`, {});
+    if (birth2 && marriageDate.latest < birth2.earliest) {
+      addFactConflict(result, 'MARRIED_BEFORE_BIRTH', `Marriage date is before ${person2.firstName}'s birth`, {},
+        [marriageFact, lifeFact(person2, 'dateOfBirth')]);
     }
     
     if (config.ENFORCE_BIOLOGICAL_RULES) {
-      const marriageYear = extractYear(relationship.marriageDate);
+      const marriageYears = yearRange(relationship.marriageDate, config.calendar);
       
-      if (person1.dateOfBirth && marriageYear) {
-        const age = marriageYear - extractYear(person1.dateOfBirth);
-        if (age < config.MIN_MARRIAGE_AGE) {
-          addWarning(result, 'MARRIED_TOO_YOUNG', `${person1.firstName} would have been ${age} years old at marriage`, {});
-        }
-      }
-      if (person2.dateOfBirth && marriageYear) {
-        const age = marriageYear - extractYear(person2.dateOfBirth);
-        if (age < config.MIN_MARRIAGE_AGE) {
-          addWarning(result, 'MARRIED_TOO_YOUNG', `${person2.firstName} would have been ${age} years old at marriage`, {});
+      for (const person of [person1, person2]) {
+        const birthYears = yearRange(person.dateOfBirth, config.calendar);
+        if (!birthYears) continue;
+        const oldest = marriageYears.latest - birthYears.earliest;
+        const exact = oldest === marriageYears.earliest - birthYears.latest;
+        if (oldest < config.MIN_MARRIAGE_AGE) {
+          addWarning(result, 'MARRIED_TOO_YOUNG', `${person.firstName} would have been ${spanText(oldest, exact, 'at most')} years old at marriage`, {});
         }
       }
     }
   }
   
-  if (relationship.marriageDate && relationship.divorceDate) {
-    if (parseDate(relationship.divorceDate) < parseDate(relationship.marriageDate)) {
-      addError(result, 'DIVORCE_BEFORE_MARRIAGE', 'Divorce date cannot be before marriage date', {});
+  const divorceDate = dayRange(relationship.divorceDate, config.calendar);
+  if (marriageDate && divorceDate) {
+    if (divorceDate.latest < marriageDate.earliest) {
+      addFactConflict(result, 'DIVORCE_BEFORE_MARRIAGE', 'Divorce date cannot be before marriage date', {},
+        [marriageFact, { record: relationship, field: 'divorceDate', label: 'divorce date' }]);
     }
   }
   
-  if (person1.dateOfBirth && person2.dateOfBirth) {
-    const ageGap = Math.abs(extractYear(person1.dateOfBirth) - extractYear(person2.dateOfBirth));
+  const spouseBirth1 = yearRange(person1.dateOfBirth, config.calendar);
+  const spouseBirth2 = yearRange(person2.dateOfBirth, config.calendar);
+  if (spouseBirth1 && spouseBirth2) {
+    // Smallest gap the dates allow
+    const ageGap = Math.max(
+      spouseBirth1.earliest - spouseBirth2.latest,
+      spouseBirth2.earliest - spouseBirth1.latest,
+      0
+    );
+    const exact = spouseBirth1.earliest === spouseBirth1.latest && spouseBirth2.earliest === spouseBirth2.latest;
     if (ageGap > config.MAX_SPOUSE_AGE_GAP_WARNING) {
-      addWarning(result, 'LARGE_SPOUSE_AGE_GAP', `Age difference of ${ageGap} years between spouses`, {});
+      addWarning(result, 'LARGE_SPOUSE_AGE_GAP', `Age difference of ${spanText(ageGap, exact, 'at least')} years between spouses`, {});
     }
   }
   
@@ -675,12 +858,11 @@ function validateSpouseRelationship(result, person1, person2, relationship, exis
 }
 
 function validateTwinRelationship(result, person1, person2, existingRelationships, config) {
-  if (person1.dateOfBirth && person2.dateOfBirth) {
-    const year1 = extractYear(person1.dateOfBirth);
-    const year2 = extractYear(person2.dateOfBirth);
-    if (year1 && year2 && year1 !== year2) {
-      addWarning(result, 'TWIN_BIRTH_YEAR_MISMATCH', `Twins have different birth years (${year1} vs ${year2})`, {});
-    }
+  const twinBirth1 = yearRange(person1.dateOfBirth, config.calendar);
+  const twinBirth2 = yearRange(person2.dateOfBirth, config.calendar);
+  if (twinBirth1 && twinBirth2 &&
+      (twinBirth1.latest < twinBirth2.earliest || twinBirth2.latest < twinBirth1.earliest)) {
+    addWarning(result, 'TWIN_BIRTH_YEAR_MISMATCH', `Twins have different birth years (${yearText(person1.dateOfBirth, config.calendar)} vs ${yearText(person2.dateOfBirth, config.calendar)})`, {});
   }
   
   const parents1 = getParentRelationships(person1.id, existingRelationships).map(r => r.person1Id);
@@ -699,17 +881,16 @@ function validateTwinRelationship(result, person1, person2, existingRelationship
 }
 
 function validateMentorRelationship(result, mentor, apprentice, config) {
-  if (mentor.dateOfBirth && apprentice.dateOfBirth) {
-    const ageDiff = extractYear(apprentice.dateOfBirth) - extractYear(mentor.dateOfBirth);
-    if (ageDiff <= 0) {
-      addWarning(result, 'MENTOR_YOUNGER', `Mentor is the same age or younger than apprentice`, {});
-    }
+  const mentorBirth = yearRange(mentor.dateOfBirth, config.calendar);
+  const mentorDeath = yearRange(mentor.dateOfDeath, config.calendar);
+  const apprenticeBirth = yearRange(apprentice.dateOfBirth, config.calendar);
+  
+  if (mentorBirth && apprenticeBirth && apprenticeBirth.latest - mentorBirth.earliest <= 0) {
+    addWarning(result, 'MENTOR_YOUNGER', `Mentor is the same age or younger than apprentice`, {});
   }
   
-  if (mentor.dateOfDeath && apprentice.dateOfBirth) {
-    if (extractYear(mentor.dateOfDeath) < extractYear(apprentice.dateOfBirth)) {
-      addError(result, 'MENTOR_DEAD_BEFORE_APPRENTICE_BORN', `Mentor died before apprentice was born`, {});
-    }
+  if (mentorDeath && apprenticeBirth && mentorDeath.latest < apprenticeBirth.earliest) {
+    addError(result, 'MENTOR_DEAD_BEFORE_APPRENTICE_BORN', `Mentor died before apprentice was born`, {});
   }
 }
 
@@ -877,6 +1058,18 @@ export function runHealthCheck(data, options = {}) {
       });
       report.summary.infoCount++;
     }
+    
+    // Disputed facts - sources disagree, so the record needs a decision
+    for (const fact of getLowConfidenceFields(person, 'person')) {
+      if (fact.confidence !== 'disputed') continue;
+      report.suggestions.push({
+        type: 'DISPUTED_FACT', personId: person.id,
+        personName: `${person.firstName} ${person.lastName}`,
+        field: fact.field,
+        message: `${person.firstName} ${person.lastName}: ${fact.label.toLowerCase()} is disputed between sources`
+      });
+      report.summary.infoCount++;
+    }
   }
   
   return report;
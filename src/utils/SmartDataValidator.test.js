@@ -0,0 +1,65 @@
+/**
+ * SmartDataValidator Tests
+ *
+ * Tests for validating people and relationships over uncertain dates:
+ * - Impossible dates only when no reading of a range works
+ * - Parent ages reasoned over ranges
+ * - Named periods read through the calendar
+ * - Years in messages given as the world reckons them
+ */
+
+import { describe, it, expect } from 'vitest';
+import { validatePerson, validateRelationship } from './SmartDataValidator';
+
+/** A calendar with one named period (stored 410-415) */
+const WINTER_CALENDAR = {
+  periods: [{ name: 'Long Winter', startYear: 410, endYear: 415 }]
+};
+
+describe('SmartDataValidator', () => {
+  const parentOf = (parent, child) => validateRelationship(
+    { person1Id: parent.id, person2Id: child.id, relationshipType: 'parent' }, [parent, child], []
+  );
+
+  it('should only call dates impossible when no reading works', () => {
+    const person = { firstName: 'Sela', lastName: 'Thorn' };
+    expect(validatePerson({ ...person, dateOfBirth: '~1200', dateOfDeath: '1198' }).isValid).toBe(true);
+    expect(validatePerson({ ...person, dateOfBirth: '>1200', dateOfDeath: '1198' }).isValid).toBe(false);
+  });
+
+  it('should reason about parent ages over ranges', () => {
+    const parent = { id: 1, firstName: 'Aldric', lastName: 'Wilfrey', dateOfBirth: '1200' };
+    const child = { id: 2, firstName: 'Edric', lastName: 'Wilfrey' };
+
+    expect(parentOf(parent, { ...child, dateOfBirth: '~1198' }).isValid).toBe(true);
+    expect(parentOf(parent, { ...child, dateOfBirth: '<1199' }).errors[0].code).toBe('PARENT_BORN_AFTER_CHILD');
+
+    const young = parentOf(parent, { ...child, dateOfBirth: '1205/1210' });
+    expect(young.warnings.find(w => w.code === 'PARENT_TOO_YOUNG').message).toContain('at most 10');
+  });
+
+  it('should read named periods through the calendar', () => {
+    const result = validatePerson(
+      { firstName: 'Sela', lastName: 'Thorn', dateOfBirth: '@Long Winter' },
+      [], { calendar: WINTER_CALENDAR }
+    );
+    const unknown = validatePerson(
+      { firstName: 'Sela', lastName: 'Thorn', dateOfBirth: '@Long Winter' },
+      [], { calendar: { periods: [] } }
+    );
+    expect(result.isValid).toBe(true);
+    expect(unknown.errors[0].code).toBe('INVALID_BIRTH_DATE');
+  });
+
+  it('should give years in messages in the dataset calendar', () => {
+    // Stored 1245 is displayed 412 AE
+    const calendar = { epochOffset: -833, eras: [{ name: 'After Eclipse', abbreviation: 'AE', startYear: 1 }] };
+    const parent = { id: 1, firstName: 'Aldric', lastName: 'Wilfrey', dateOfBirth: '1245' };
+    const child = { id: 2, firstName: 'Edric', lastName: 'Wilfrey', dateOfBirth: '<1240' };
+    const result = validateRelationship(
+      { person1Id: 1, person2Id: 2, relationshipType: 'parent' }, [parent, child], [], { calendar }
+    );
+
+    expect(result.errors[0].message).toBe('Aldric (b. 412 AE) cannot be a parent of Edric (b. before 407 AE)');
+  });
+});
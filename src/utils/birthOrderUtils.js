@@ -23,12 +23,15 @@
  * - Daughters are excluded (historically, daughters didn't bear differenced arms)
  */
 
+import { getYear, getDateRange, compareDates } from './calendarUtils';
+
 /**
  * Calculate a person's birth order among their legitimate male siblings
  * 
  * @param {Object} person - The person to calculate birth order for
  * @param {Array} allPeople - Array of all people in the database
  * @param {Array} allRelationships - Array of all relationships
+ * @param {Object} [calendar] - Dataset calendar (for ordering births within a year)
  * @returns {Object} Birth order information
  * 
  * RETURNS:
@@ -37,16 +40,24 @@
  *   totalLegitimateSons: number, // Total count of legitimate sons from same parents
  *   isEligible: boolean,         // Whether this person can have cadency marks
  *   reason: string | null,       // Why not eligible (if applicable)
+ *   orderCertain: boolean,       // False if an uncertain birth date could swap this person with a neighbour
+ *   uncertainWith: Array,        // IDs of the adjacent siblings whose order is in doubt
  *   siblings: Array              // List of legitimate male siblings in birth order
  * }
+ * 
+ * Approximate or ranged birth dates ("c. 1250", "between 1248 and 1252")
+ * sort by their most likely day; siblings whose possible dates overlap
+ * keep that order but are flagged as uncertain.
  */
-export function calculateBirthOrder(person, allPeople, allRelationships) {
+export function calculateBirthOrder(person, allPeople, allRelationships, calendar) {
   // Default result for ineligible cases
   const ineligibleResult = (reason) => ({
     position: null,
     totalLegitimateSons: 0,
     isEligible: false,
     reason,
+    orderCertain: true,
+    uncertainWith: [],
     siblings: []
   });
 
@@ -112,12 +123,12 @@ export function calculateBirthOrder(person, allPeople, allRelationships) {
   // Sort by birth date (oldest first)
   // If no birth date, they go to the end (unknown position)
   legitimateMaleSiblings.sort((a, b) => {
-    const dateA = parseBirthYear(a.dateOfBirth);
-    const dateB = parseBirthYear(b.dateOfBirth);
+    const dateA = parseBirthYear(a.dateOfBirth, calendar);
+    const dateB = parseBirthYear(b.dateOfBirth, calendar);
     
-    // Both have dates - compare them
+    // Both have dates - compare them (full date, so same-year births still order)
     if (dateA !== null && dateB !== null) {
-      return dateA - dateB;
+      return compareDates(a.dateOfBirth, b.dateOfBirth, calendar);
     }
     
     // Only A has date - A comes first
@@ -138,11 +149,18 @@ export function calculateBirthOrder(person, allPeople, allRelationships) {
     return ineligibleResult('Could not determine position among siblings');
   }
 
+  // Neighbours whose possible birth dates overlap this person's
+  const uncertainWith = [legitimateMaleSiblings[position - 2], legitimateMaleSiblings[position]]
+    .filter(sibling => sibling && birthDatesOverlap(person.dateOfBirth, sibling.dateOfBirth, calendar))
+    .map(sibling => sibling.id);
+
   return {
     position,
     totalLegitimateSons: legitimateMaleSiblings.length,
     isEligible: true,
     reason: null,
+    orderCertain: uncertainWith.length === 0,
+    uncertainWith,
     siblings: legitimateMaleSiblings.map(s => ({
       id: s.id,
       firstName: s.firstName,
@@ -153,33 +171,48 @@ export function calculateBirthOrder(person, allPeople, allRelationships) {
   };
 }
 
+/**
+ * Whether two birth dates could fall either way round
+ * 
+ * Exact dates never overlap unless they're the same day; an uncertain date
+ * overlaps any date inside its range. A missing date says nothing, so it
+ * doesn't count as overlapping.
+ * 
+ * @param {string|null} dateA - Stored birth date
+ * @param {string|null} dateB - Stored birth date
+ * @param {Object} [calendar] - Dataset calendar
+ * @returns {boolean}
+ */
+export function birthDatesOverlap(dateA, dateB, calendar) {
+  const rangeA = dateA ? getDateRange(dateA, calendar) : null;
+  const rangeB = dateB ? getDateRange(dateB, calendar) : null;
+  if (!rangeA || !rangeB) return false;
+  if (rangeA.earliest === rangeA.latest && rangeB.earliest === rangeB.latest) return false;
+
+  const startsBefore = (range, other) => range.earliest === null || other.latest === null || range.earliest <= other.latest;
+  return startsBefore(rangeA, rangeB) && startsBefore(rangeB, rangeA);
+}
+
 /**
  * Parse a birth year from various date formats
  * 
  * Handles:
  * - "1250" (year only)
- * - "1250-03-15" (ISO date)
+ * - "1250-03-15" (canonical date)
  * - "1250-03" (year-month)
+ * - "~1250", "1248/1252", "<1250" ... (uncertain - the most likely year)
+ * 
+ * Delegates to calendarUtils so every part of the app reads stored dates
+ * the same way. Returns the STORED year - use calendarUtils.formatYear
+ * for the in-world display year.
  * 
  * @param {string|null} dateOfBirth - The date string to parse
+ * @param {Object} [calendar] - Dataset calendar (needed for named periods)
  * @returns {number|null} The year as a number, or null if unparseable
  */
-export function parseBirthYear(dateOfBirth) {
+export function parseBirthYear(dateOfBirth, calendar) {
   if (!dateOfBirth) return null;
-  
-  // If it's just a number, return it
-  const yearOnly = parseInt(dateOfBirth);
-  if (!isNaN(yearOnly) && String(yearOnly) === String(dateOfBirth).trim()) {
-    return yearOnly;
-  }
-  
-  // Try to extract year from ISO format (YYYY-MM-DD or YYYY-MM)
-  const match = String(dateOfBirth).match(/^(\d{4})/);
-  if (match) {
-    return parseInt(match[1]);
-  }
-  
-  return null;
+  return getYear(dateOfBirth, calendar);
 }
 
 /**
@@ -354,21 +387,23 @@ export function getCadencySummary(birthOrderResult) {
     };
   }
   
-  const { position, totalLegitimateSons } = birthOrderResult;
+  const { position, totalLegitimateSons, orderCertain = true } = birthOrderResult;
   
   return {
     eligible: true,
     label: getBirthOrderLabel(position),
     triangles: getCadencyTriangleCount(position),
     description: totalLegitimateSons > 1 
-      ? `${position} of ${totalLegitimateSons} legitimate sons`
+      ? `${position} of ${totalLegitimateSons} legitimate sons${orderCertain ? '' : ' (order uncertain - birth dates overlap)'}`
       : 'Only legitimate son',
-    isHeir: position === 1
+    isHeir: position === 1,
+    orderCertain
   };
 }
 
 export default {
   calculateBirthOrder,
+  birthDatesOverlap,
   parseBirthYear,
   getCadencyTriangleCount,
   getBirthOrderLabel,
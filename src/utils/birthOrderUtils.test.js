@@ -0,0 +1,33 @@
+/**
+ * birthOrderUtils Tests
+ *
+ * Tests for ordering siblings by birth date:
+ * - Uncertain dates sorted by their most likely point
+ * - Orders that overlapping date ranges could swap
+ */
+
+import { describe, it, expect } from 'vitest';
+import { calculateBirthOrder } from './birthOrderUtils';
+
+describe('calculateBirthOrder', () => {
+  const father = { id: 1, gender: 'male', firstName: 'Aldric' };
+  const sons = [
+    { id: 2, gender: 'male', firstName: 'Edric', dateOfBirth: '~1220' },
+    { id: 3, gender: 'male', firstName: 'Osric', dateOfBirth: '1222' },
+    { id: 4, gender: 'male', firstName: 'Cedric', dateOfBirth: '1240' }
+  ];
+  const relationships = sons.map(son => ({ person1Id: 1, person2Id: son.id, relationshipType: 'parent' }));
+
+  it('should order sons by their most likely birth date', () => {
+    const result = calculateBirthOrder(sons[1], [father, ...sons], relationships);
+    expect(result.position).toBe(2);
+    expect(result.siblings.map(s => s.id)).toEqual([2, 3, 4]);
+  });
+
+  it('should flag an order that overlapping dates could swap', () => {
+    expect(calculateBirthOrder(sons[1], [father, ...sons], relationships))
+      .toMatchObject({ orderCertain: false, uncertainWith: [2] });
+    expect(calculateBirthOrder(sons[2], [father, ...sons], relationships))
+      .toMatchObject({ orderCertain: true, uncertainWith: [] });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Branch Visibility
+ *
+ * Works out who the house tree hides when the reader trims it down:
+ * - COLLAPSED BRANCHES: a collapsed person stays on the tree but all of
+ *   their descendants are hidden, leaving a "+N descendants" badge
+ * - FOCUS MODE: only one person's direct line is shown - their ancestors,
+ *   their descendants, and the spouses of the person and their descendants
+ *
+ * Hidden people are simply left out of the layout, so the rest of the
+ * tree closes up around the gap.
+ */
+
+/**
+ * Everyone descended from a person (not including them)
+ *
+ * @param {number} personId - Starting person
+ * @param {Map} childrenMap - parentId -> [childIds]
+ * @returns {Set<number>}
+ */
+export function getDescendantIds(personId, childrenMap) {
+  const descendants = new Set();
+  const queue = [...(childrenMap.get(personId) || [])];
+
+  for (let i = 0; i < queue.length; i++) {
+    const id = queue[i];
+    if (descendants.has(id) || id === personId) continue;
+    descendants.add(id);
+    queue.push(...(childrenMap.get(id) || []));
+  }
+
+  return descendants;
+}
+
+/**
+ * Everyone a person descends from (not including them)
+ *
+ * @param {number} personId - Starting person
+ * @param {Map} parentMap - childId -> [parentIds]
+ * @returns {Set<number>}
+ */
+export function getAncestorIds(personId, parentMap) {
+  return getDescendantIds(personId, parentMap);
+}
+
+/**
+ * The direct line of a person: themselves, their ancestors and
+ * descendants, and the spouses of the person and each descendant
+ *
+ * @param {number} personId - Person in focus
+ * @param {Object} maps - { parentMap, childrenMap, spouseMap }
+ * @returns {Set<number>}
+ */
+export function getDirectLineIds(personId, { parentMap, childrenMap, spouseMap }) {
+  const descendants = getDescendantIds(personId, childrenMap);
+  const line = new Set([personId, ...getAncestorIds(personId, parentMap), ...descendants]);
+
+  [personId, ...descendants].forEach(id => {
+    (spouseMap.get(id) || []).forEach(spouseId => line.add(spouseId));
+  });
+
+  return line;
+}
+
+/**
+ * Who to leave off the tree
+ *
+ * @param {Array} people - Every person in the dataset
+ * @param {Object} state - { collapsedIds: Array<number>, focusPersonId: number|null }
+ * @param {Object} maps - { parentMap, childrenMap, spouseMap }
+ * @returns {Set<number>} Hidden person IDs
+ */
+export function getHiddenPersonIds(people, { collapsedIds = [], focusPersonId = null }, maps) {
+  const hidden = new Set();
+
+  if (focusPersonId !== null && people.some(p => p.id === focusPersonId)) {
+    const line = getDirectLineIds(focusPersonId, maps);
+    people.forEach(p => {
+      if (!line.has(p.id)) hidden.add(p.id);
+    });
+  }
+
+  collapsedIds.forEach(id => {
+    getDescendantIds(id, maps.childrenMap).forEach(descendantId => hidden.add(descendantId));
+  });
+
+  return hidden;
+}
+
+/**
+ * How many people each collapsed branch hides, for the badge
+ *
+ * @param {Array<number>} collapsedIds - Collapsed people
+ * @param {Map} childrenMap - parentId -> [childIds]
+ * @param {Function} [isCounted] - (personId) => boolean; e.g. only house
+ *   members, since other houses' children would not be drawn anyway
+ * @returns {Map<number, number>} personId -> hidden descendant count
+ */
+export function getCollapsedCounts(collapsedIds, childrenMap, isCounted = () => true) {
+  return new Map(collapsedIds.map(id => [
+    id,
+    Array.from(getDescendantIds(id, childrenMap)).filter(isCounted).length
+  ]));
+}
+
+export default {
+  getDescendantIds,
+  getAncestorIds,
+  getDirectLineIds,
+  getHiddenPersonIds,
+  getCollapsedCounts
+};
@@ -0,0 +1,74 @@
+/**
+ * Branch Visibility Tests
+ *
+ * Tests for trimming the house tree:
+ * - Collapsed branches hide descendants and count them
+ * - Focus mode keeps only a person's direct line
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildRelationshipMaps } from './RelationshipCalculator';
+import {
+  getDescendantIds,
+  getAncestorIds,
+  getDirectLineIds,
+  getHiddenPersonIds,
+  getCollapsedCounts
+} from './branchVisibility';
+
+// Aldric (1) + Mira (2) -> Edric (3), Osric (4)
+// Edric (3) + Joan (5)  -> Lisbet (6)
+// Osric (4)             -> Hugh (7)
+const people = [1, 2, 3, 4, 5, 6, 7].map(id => ({ id, houseId: id === 2 || id === 5 ? 2 : 1 }));
+const relationships = [
+  { person1Id: 1, person2Id: 2, relationshipType: 'spouse' },
+  { person1Id: 1, person2Id: 3, relationshipType: 'parent' },
+  { person1Id: 2, person2Id: 3, relationshipType: 'parent' },
+  { person1Id: 1, person2Id: 4, relationshipType: 'parent' },
+  { person1Id: 2, person2Id: 4, relationshipType: 'parent' },
+  { person1Id: 3, person2Id: 5, relationshipType: 'spouse' },
+  { person1Id: 3, person2Id: 6, relationshipType: 'parent' },
+  { person1Id: 5, person2Id: 6, relationshipType: 'parent' },
+  { person1Id: 4, person2Id: 7, relationshipType: 'parent' }
+];
+const maps = buildRelationshipMaps(relationships);
+
+const sorted = (ids) => Array.from(ids).sort((a, b) => a - b);
+
+describe('branchVisibility', () => {
+  it('should walk descendants and ancestors', () => {
+    expect(sorted(getDescendantIds(1, maps.childrenMap))).toEqual([3, 4, 6, 7]);
+    expect(sorted(getAncestorIds(6, maps.parentMap))).toEqual([1, 2, 3, 5]);
+  });
+
+  it('should keep the direct line and its spouses in focus', () => {
+    expect(sorted(getDirectLineIds(3, maps))).toEqual([1, 2, 3, 5, 6]);
+  });
+
+  describe('getHiddenPersonIds', () => {
+    it('should hide the descendants of collapsed people but not the people themselves', () => {
+      expect(sorted(getHiddenPersonIds(people, { collapsedIds: [4] }, maps))).toEqual([7]);
+      expect(sorted(getHiddenPersonIds(people, { collapsedIds: [1, 3] }, maps))).toEqual([3, 4, 6, 7]);
+    });
+
+    it('should hide everyone off the focused line', () => {
+      expect(sorted(getHiddenPersonIds(people, { focusPersonId: 3 }, maps))).toEqual([4, 7]);
+    });
+
+    it('should combine focus with collapsed branches', () => {
+      expect(sorted(getHiddenPersonIds(people, { focusPersonId: 3, collapsedIds: [3] }, maps))).toEqual([4, 6, 7]);
+    });
+
+    it('should ignore a focus person who no longer exists', () => {
+      expect(getHiddenPersonIds(people, { focusPersonId: 99 }, maps).size).toBe(0);
+    });
+  });
+
+  it('should count hidden descendants, optionally only those that would be drawn', () => {
+    expect(getCollapsedCounts([1, 4], maps.childrenMap)).toEqual(new Map([[1, 4], [4, 1]]));
+
+    const houseMembers = new Set(people.filter(p => p.houseId === 1).map(p => p.id));
+    houseMembers.delete(7);
+    expect(getCollapsedCounts([1], maps.childrenMap, id => houseMembers.has(id)).get(1)).toBe(3);
+  });
+});
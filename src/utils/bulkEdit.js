@@ -0,0 +1,271 @@
+/**
+ * Bulk Edit
+ *
+ * Plans one edit across many selected people: move them to a house, set a
+ * field, add an epithet or title, or change their relationships. Planning
+ * is pure so the panel can preview every change before anything is
+ * written; GenealogyContext.bulkUpdate() then applies the plan in one
+ * transaction and journals it as a single undo step.
+ *
+ * A plan only contains records that would actually change - someone who
+ * already belongs to the target house isn't listed.
+ *
+ * PLAN SHAPE:
+ *   {
+ *     changes: [{ entityType, entityId, updates, label, before, after }],
+ *     unchanged: number   // selected records the operation leaves alone
+ *   }
+ */
+
+import { addEpithet, createEpithet, formatEpithetText } from './epithetUtils';
+
+// ==================== OPERATIONS ====================
+
+/**
+ * The bulk operations on offer
+ *
+ * input:
+ * - house:  a house ID
+ * - text:   free text
+ * - choice: one of options
+ */
+export const BULK_OPERATIONS = [
+  { id: 'set-house', label: 'Move to house', entity: 'person', input: 'house' },
+  { id: 'set-species', label: 'Set species', entity: 'person', input: 'text' },
+  { id: 'set-bloodline', label: 'Set magical bloodline', entity: 'person', input: 'text' },
+  {
+    id: 'set-legitimacy', label: 'Set legitimacy', entity: 'person', input: 'choice',
+    options: [
+      { value: 'legitimate', label: 'Legitimate' },
+      { value: 'bastard', label: 'Bastard' },
+      { value: 'adopted', label: 'Adopted' },
+      { value: 'unknown', label: 'Unknown' }
+    ]
+  },
+  { id: 'add-epithet', label: 'Add epithet', entity: 'person', input: 'text' },
+  { id: 'add-title', label: 'Add title', entity: 'person', input: 'text' },
+  { id: 'remove-title', label: 'Remove title', entity: 'person', input: 'text' },
+  {
+    id: 'set-marriage-status', label: 'Set status of their marriages', entity: 'relationship', input: 'choice',
+    options: [
+      { value: 'betrothed', label: 'Betrothed' },
+      { value: 'married', label: 'Married' },
+      { value: 'divorced', label: 'Divorced' },
+      { value: 'widowed', label: 'Widowed' }
+    ]
+  },
+  {
+    id: 'set-parent-link', label: 'Set links to their parents', entity: 'relationship', input: 'choice',
+    options: [
+      { value: 'parent', label: 'Biological' },
+      { value: 'adopted-parent', label: 'Adopted' }
+    ]
+  }
+];
+
+/**
+ * Look up an operation by ID
+ */
+export function getBulkOperation(id) {
+  return BULK_OPERATIONS.find(operation => operation.id === id) || null;
+}
+
+// ==================== PLANNING ====================
+
+function personName(person) {
+  return [person.firstName, person.lastName].filter(Boolean).join(' ') || 'Unnamed';
+}
+
+const sameText = (a, b) => String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+
+/**
+ * Field-setting operations: the field each one writes
+ */
+const FIELD_OPERATIONS = {
+  'set-house': 'houseId',
+  'set-species': 'species',
+  'set-bloodline': 'magicalBloodline',
+  'set-legitimacy': 'legitimacyStatus'
+};
+
+/**
+ * Plan the change to one person, or null if they'd be left as they are
+ */
+function planPersonChange(operation, value, person, housesById) {
+  const field = FIELD_OPERATIONS[operation.id];
+  if (field) {
+    const next = field === 'houseId' ? value : String(value).trim() || null;
+    if (field === 'houseId' ? person.houseId === next : sameText(person[field], next)) return null;
+
+    const show = field === 'houseId'
+      ? (id) => housesById.get(id)?.houseName || 'No house'
+      : (text) => text || '—';
+    return { updates: { [field]: next }, before: show(person[field]), after: show(next) };
+  }
+
+  const text = String(value).trim();
+  const titles = person.titles || [];
+
+  switch (operation.id) {
+    case 'add-epithet': {
+      const epithets = person.epithets || [];
+      const formatted = formatEpithetText(text);
+      if (epithets.some(epithet => sameText(epithet.text, formatted))) return null;
+      return {
+        updates: { epithets: addEpithet(epithets, createEpithet(formatted)) },
+        before: epithets.map(epithet => epithet.text).join(', ') || '—',
+        after: [...epithets.map(epithet => epithet.text), formatted].join(', ')
+      };
+    }
+    case 'add-title':
+      if (titles.some(title => sameText(title, text))) return null;
+      return {
+        updates: { titles: [...titles, text] },
+        before: titles.join(', ') || '—',
+        after: [...titles, text].join(', ')
+      };
+    case 'remove-title': {
+      const remaining = titles.filter(title => !sameText(title, text));
+      if (remaining.length === titles.length) return null;
+      return {
+        updates: { titles: remaining },
+        before: titles.join(', '),
+        after: remaining.join(', ') || '—'
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * The relationships an operation touches for the selected people, with
+ * the change for each
+ */
+function planRelationshipChanges(operation, value, selectedIds, relationships, peopleById) {
+  const nameOf = (id) => (peopleById.has(id) ? personName(peopleById.get(id)) : 'Unknown');
+
+  return relationships.flatMap(rel => {
+    if (operation.id === 'set-marriage-status') {
+      if (rel.relationshipType !== 'spouse') return [];
+      if (!selectedIds.has(rel.person1Id) && !selectedIds.has(rel.person2Id)) return [];
+      const current = rel.marriageStatus || 'married';
+      if (current === value) return [];
+      return [{
+        entityType: 'relationship',
+        entityId: rel.id,
+        updates: { marriageStatus: value },
+        label: `${nameOf(rel.person1Id)} & ${nameOf(rel.person2Id)}`,
+        before: current,
+        after: value
+      }];
+    }
+
+    if (operation.id === 'set-parent-link') {
+      // The selected person is the child (person2) of a parent link
+      const isParentLink = rel.relationshipType === 'parent' || rel.relationshipType === 'adopted-parent';
+      if (!isParentLink || !selectedIds.has(rel.person2Id) || rel.relationshipType === value) return [];
+      const label = (type) => operation.options.find(option => option.value === type)?.label || type;
+      return [{
+        entityType: 'relationship',
+        entityId: rel.id,
+        updates: { relationshipType: value },
+        label: `${nameOf(rel.person1Id)} → ${nameOf(rel.person2Id)}`,
+        before: label(rel.relationshipType),
+        after: label(value)
+      }];
+    }
+
+    return [];
+  });
+}
+
+/**
+ * Check the value an operation needs before planning with it
+ *
+ * @returns {string|null} An error message, or null if the value will do
+ */
+export function validateBulkValue(operationId, value, { houses = [] } = {}) {
+  const operation = getBulkOperation(operationId);
+  if (!operation) return `Unknown operation: ${operationId}`;
+
+  if (operation.input === 'house') {
+    return houses.some(house => house.id === value) ? null : 'Choose a house';
+  }
+  if (operation.input === 'choice') {
+    return operation.options.some(option => option.value === value) ? null : 'Choose a value';
+  }
+  // Clearing species or bloodline is allowed; the rest need something to add
+  if (!String(value ?? '').trim() && !FIELD_OPERATIONS[operation.id]) {
+    return 'Enter a value';
+  }
+  return null;
+}
+
+/**
+ * Plan a bulk edit over the selected people
+ *
+ * @param {string} operationId - One of BULK_OPERATIONS
+ * @param {*} value - The operation's input (house ID, text or option value)
+ * @param {Iterable} selectedIds - Person IDs
+ * @param {Object} data - { people, houses, relationships }
+ * @returns {{changes: Array, unchanged: number}}
+ * @throws {Error} If the operation is unknown or the value is unusable
+ */
+export function planBulkEdit(operationId, value, selectedIds, { people = [], houses = [], relationships = [] }) {
+  const error = validateBulkValue(operationId, value, { houses });
+  if (error) throw new Error(error);
+
+  const operation = getBulkOperation(operationId);
+  const selected = new Set(selectedIds);
+  const peopleById = new Map(people.map(p => [p.id, p]));
+
+  if (operation.entity === 'relationship') {
+    const changes = planRelationshipChanges(operation, value, selected, relationships, peopleById);
+    return { changes, unchanged: 0 };
+  }
+
+  const housesById = new Map(houses.map(h => [h.id, h]));
+  const changes = [];
+  let unchanged = 0;
+
+  selected.forEach(id => {
+    const person = peopleById.get(id);
+    if (!person) return;
+    const change = planPersonChange(operation, value, person, housesById);
+    if (!change) {
+      unchanged++;
+      return;
+    }
+    changes.push({ entityType: 'person', entityId: id, label: personName(person), ...change });
+  });
+
+  return { changes, unchanged };
+}
+
+/**
+ * One-line description for the undo history
+ *
+ * @param {string} operationId - One of BULK_OPERATIONS
+ * @param {*} value - The operation's input
+ * @param {number} count - Records changed
+ * @param {Array} [houses] - To name the target house
+ */
+export function describeBulkEdit(operationId, value, count, houses = []) {
+  const operation = getBulkOperation(operationId);
+  const shown = operation?.input === 'house'
+    ? houses.find(house => house.id === value)?.houseName
+    : operation?.options?.find(option => option.value === value)?.label ?? String(value ?? '').trim();
+  const noun = operation?.entity === 'relationship'
+    ? (count === 1 ? 'relationship' : 'relationships')
+    : (count === 1 ? 'person' : 'people');
+  return `Bulk edit: ${operation?.label || operationId}${shown ? ` "${shown}"` : ''} (${count} ${noun})`;
+}
+
+export default {
+  BULK_OPERATIONS,
+  getBulkOperation,
+  validateBulkValue,
+  planBulkEdit,
+  describeBulkEdit
+};
@@ -0,0 +1,97 @@
+/**
+ * Bulk Edit Tests
+ *
+ * Tests for planning bulk edits:
+ * - Field changes skip people already set
+ * - Epithets and titles are added once
+ * - Relationship changes for the selected people
+ * - Values are checked before planning
+ */
+
+import { describe, it, expect } from 'vitest';
+import { planBulkEdit, validateBulkValue, describeBulkEdit } from './bulkEdit';
+
+const houses = [
+  { id: 1, houseName: 'Wilfrey' },
+  { id: 2, houseName: 'Wilfrey of Ashdown' }
+];
+const people = [
+  { id: 1, firstName: 'Aldric', lastName: 'Wilfrey', houseId: 1, species: 'human', titles: ['Lord of Wilfrey'] },
+  { id: 2, firstName: 'Sela', lastName: 'Wilfrey', houseId: 2, species: 'Elf', epithets: [{ id: 'e1', text: 'the Grey', isPrimary: true }] },
+  { id: 3, firstName: 'Edric', lastName: 'Wilfrey', houseId: 1 },
+  { id: 4, firstName: 'Mira', lastName: 'Thorn' }
+];
+const relationships = [
+  { id: 1, person1Id: 1, person2Id: 4, relationshipType: 'spouse', marriageStatus: 'married' },
+  { id: 2, person1Id: 1, person2Id: 2, relationshipType: 'parent' },
+  { id: 3, person1Id: 1, person2Id: 3, relationshipType: 'adopted-parent' },
+  { id: 4, person1Id: 3, person2Id: 2, relationshipType: 'spouse', marriageStatus: 'widowed' }
+];
+const data = { people, houses, relationships };
+
+const changedIds = (plan) => plan.changes.map(change => change.entityId);
+
+describe('bulkEdit', () => {
+  it('should move people to a house, skipping those already in it', () => {
+    const plan = planBulkEdit('set-house', 2, [1, 2, 3], data);
+
+    expect(changedIds(plan)).toEqual([1, 3]);
+    expect(plan.unchanged).toBe(1);
+    expect(plan.changes[0]).toMatchObject({
+      entityType: 'person',
+      updates: { houseId: 2 },
+      label: 'Aldric Wilfrey',
+      before: 'Wilfrey',
+      after: 'Wilfrey of Ashdown'
+    });
+  });
+
+  it('should set text fields ignoring case and allow clearing them', () => {
+    expect(changedIds(planBulkEdit('set-species', 'elf', [1, 2, 3], data))).toEqual([1, 3]);
+    expect(planBulkEdit('set-species', '', [1], data).changes[0].updates).toEqual({ species: null });
+  });
+
+  it('should add an epithet once, keeping existing ones', () => {
+    const plan = planBulkEdit('add-epithet', 'the grey', [2, 3], data);
+
+    expect(changedIds(plan)).toEqual([3]);
+    expect(plan.changes[0].updates.epithets).toHaveLength(1);
+    expect(plan.changes[0].updates.epithets[0]).toMatchObject({ text: 'the Grey', isPrimary: true });
+
+    const added = planBulkEdit('add-epithet', 'the Bold', [2], data).changes[0].updates.epithets;
+    expect(added.map(e => [e.text, e.isPrimary])).toEqual([['the Grey', true], ['the Bold', false]]);
+  });
+
+  it('should add and remove titles', () => {
+    expect(changedIds(planBulkEdit('add-title', 'lord of wilfrey', [1, 3], data))).toEqual([3]);
+
+    const removed = planBulkEdit('remove-title', 'Lord of Wilfrey', [1, 3], data);
+    expect(removed.changes[0].updates).toEqual({ titles: [] });
+    expect(removed.unchanged).toBe(1);
+  });
+
+  it('should change the marriages of anyone selected', () => {
+    const plan = planBulkEdit('set-marriage-status', 'widowed', [3, 4], data);
+
+    expect(plan.changes.map(c => [c.entityType, c.entityId])).toEqual([['relationship', 1]]);
+    expect(plan.changes[0]).toMatchObject({ label: 'Aldric Wilfrey & Mira Thorn', before: 'married', after: 'widowed' });
+  });
+
+  it('should change links to the selected people\'s parents', () => {
+    expect(changedIds(planBulkEdit('set-parent-link', 'adopted-parent', [2, 3], data))).toEqual([2]);
+    expect(changedIds(planBulkEdit('set-parent-link', 'parent', [1, 2, 3], data))).toEqual([3]);
+  });
+
+  it('should check values before planning', () => {
+    expect(validateBulkValue('set-house', 9, { houses })).toBe('Choose a house');
+    expect(validateBulkValue('set-legitimacy', 'noble')).toBe('Choose a value');
+    expect(validateBulkValue('add-title', '  ')).toBe('Enter a value');
+    expect(validateBulkValue('set-bloodline', '')).toBeNull();
+    expect(() => planBulkEdit('recolour', 'red', [1], data)).toThrow('Unknown operation');
+  });
+
+  it('should describe the edit for the undo history', () => {
+    expect(describeBulkEdit('set-house', 2, 30, houses)).toBe('Bulk edit: Move to house "Wilfrey of Ashdown" (30 people)');
+    expect(describeBulkEdit('set-marriage-status', 'widowed', 1)).toBe('Bulk edit: Set status of their marriages "Widowed" (1 relationship)');
+  });
+});
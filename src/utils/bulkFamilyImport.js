@@ -17,6 +17,10 @@
  * 5. Optionally creates Codex entries, heraldry, and dignities
  * 6. Returns a detailed report of what was created
  *
+ * DRY RUN:
+ * Pass { dryRun: true } to validate and get the same summary without
+ * writing anything - used to review GEDCOM imports before committing.
+ *
  * USAGE:
  * import { processFamilyImport } from './utils/bulkFamilyImport';
  *
@@ -364,6 +368,7 @@ export async function validateTemplate(template, options = {}) {
  * @param {boolean} options.skipDignities - Skip creating dignities
  * @param {Function} options.onProgress - Progress callback (step, message)
  * @param {string} options.datasetId - Dataset ID for multi-dataset support
+ * @param {boolean} options.dryRun - Validate and summarise without writing
  * @returns {Object} - Import result with summary and ID mappings
  */
 export async function processFamilyImport(template, options = {}) {
@@ -372,7 +377,8 @@ export async function processFamilyImport(template, options = {}) {
     skipHeraldry = true,  // Default to skip since heraldry needs visual design
     skipDignities = true, // Default to skip for simpler imports
     onProgress = () => {},
-    datasetId = 'default' // CRITICAL: Must pass dataset ID for correct database
+    datasetId = 'default', // CRITICAL: Must pass dataset ID for correct database
+    dryRun = false
   } = options;
   
   // Get the correct database instance for this dataset
@@ -390,6 +396,27 @@ export async function processFamilyImport(template, options = {}) {
       idMappings: null
     };
   }
+
+  // Dry run: report what would be created and stop before any writes
+  if (dryRun) {
+    return {
+      success: true,
+      dryRun: true,
+      errors: null,
+      warnings: validation.warnings || [],
+      existingRefs: validation.existingRefs,
+      summary: {
+        housesCreated: template.houses.length,
+        peopleCreated: template.people.length,
+        relationshipsCreated: template.relationships.length,
+        codexEntriesCreated: skipCodex ? 0 : (template.codexEntries?.length || 0),
+        heraldryCreated: 0,
+        dignitiesCreated: 0
+      },
+      created: null,
+      idMappings: null
+    };
+  }
   
   // ID mapping objects: tempId -> realId
   const houseIdMap = new Map();
@@ -712,20 +739,21 @@ export function generateImportReport(result) {
     };
   }
   
+  const verb = result.dryRun ? 'to create' : 'created';
   const lines = [
-    '✅ Import Successful!',
+    result.dryRun ? '🔍 Dry Run - nothing has been written' : '✅ Import Successful!',
     '',
     '📊 Summary:',
-    `   • ${result.summary.housesCreated} house(s) created`,
-    `   • ${result.summary.peopleCreated} people created`,
-    `   • ${result.summary.relationshipsCreated} relationship(s) created`
+    `   • ${result.summary.housesCreated} house(s) ${verb}`,
+    `   • ${result.summary.peopleCreated} people ${verb}`,
+    `   • ${result.summary.relationshipsCreated} relationship(s) ${verb}`
   ];
   
   if (result.summary.codexEntriesCreated > 0) {
-    lines.push(`   • ${result.summary.codexEntriesCreated} Codex entries created`);
+    lines.push(`   • ${result.summary.codexEntriesCreated} Codex entries ${verb}`);
   }
   
-  if (result.created.houses.length > 0) {
+  if (result.created?.houses.length > 0) {
     lines.push('', '🏰 Houses:');
     result.created.houses.forEach(h => {
       lines.push(`   • ${h.name} (ID: ${h.realId})`);
@@ -733,7 +761,7 @@ export function generateImportReport(result) {
   }
   
   return {
-    title: 'Import Successful',
+    title: result.dryRun ? 'Dry Run' : 'Import Successful',
     message: lines.join('\n'),
     errors: null
   };
@@ -0,0 +1,1165 @@
+/**
+ * Calendar Utilities - In-World Calendar Parsing, Formatting & Comparison
+ *
+ * Every date in Lineageweaver (birth/death dates, marriage dates, tenure
+ * start/end dates) is stored as a CANONICAL string:
+ *
+ *   "YYYY"        → year only
+ *   "YYYY-MM"     → year + month (month is 1-based index into calendar.months)
+ *   "YYYY-MM-DD"  → year + month + day
+ *
+ * The year is the STORED year (zero-padded to 4 digits, may be negative).
+ * How that stored value is shown to the user depends on the dataset's
+ * calendar definition:
+ *
+ *   displayed year = stored year + calendar.epochOffset
+ *
+ * ...which is then expressed relative to the era it falls in ("412 AE").
+ * Month numbers map onto the calendar's own months, so a calendar with
+ * thirteen 28-day months simply stores "0412-13-28".
+ *
+ * The default calendar is plain Gregorian with no eras and no offset, so
+ * existing data ("1245-03-15") keeps meaning exactly what it meant before.
+ *
+ * CALENDAR SHAPE:
+ * {
+ *   name: 'Reckoning of the Eclipse',
+ *   epochOffset: 0,
+ *   months: [{ name: 'Frostmoon', shortName: 'Fro', days: 30 }, ...],
+ *   eras: [
+ *     { name: 'Before Eclipse', abbreviation: 'BE', startYear: null, countsBackward: true },
+ *     { name: 'After Eclipse', abbreviation: 'AE', startYear: 1 }
+ *   ]
+ * }
+ *
+ * Era startYear values are in DISPLAYED (offset-applied) years. An era with
+ * startYear null is open-ended into the past and must come first; with
+ * countsBackward it numbers years down towards the next era (1 BE is the
+ * year immediately before 1 AE).
+ *
+ * Leap years are not modelled - every year has the same number of days.
+ *
+ * UNCERTAIN DATES:
+ * A stored date may also carry a qualifier around canonical dates:
+ *
+ *   "~0380"       → approximate ("c. 380"), ± APPROXIMATE_MARGIN_YEARS
+ *   "<0402"       → before 402
+ *   ">0402"       → after 402
+ *   "0390/0395"   → between 390 and 395
+ *   "@Long Winter" → during a named era or period of the calendar
+ *
+ * parseDateValue reads these into a structured value and getDateRange
+ * gives the earliest/latest day they allow. Sorting (toDayNumber,
+ * compareDates) and getYear use a single representative point, so code
+ * that only needs an order or a rough year works unchanged; validation
+ * reasons over the full range.
+ *
+ * Named periods ({ name, startYear, endYear } in displayed years) sit
+ * alongside eras in the calendar's `periods` list.
+ */
+
+// ==================== DEFAULT CALENDAR ====================
+
+export const DEFAULT_CALENDAR = {
+  name: 'Gregorian',
+  epochOffset: 0,
+  months: [
+    { name: 'January', shortName: 'Jan', days: 31 },
+    { name: 'February', shortName: 'Feb', days: 28 },
+    { name: 'March', shortName: 'Mar', days: 31 },
+    { name: 'April', shortName: 'Apr', days: 30 },
+    { name: 'May', shortName: 'May', days: 31 },
+    { name: 'June', shortName: 'Jun', days: 30 },
+    { name: 'July', shortName: 'Jul', days: 31 },
+    { name: 'August', shortName: 'Aug', days: 31 },
+    { name: 'September', shortName: 'Sep', days: 30 },
+    { name: 'October', shortName: 'Oct', days: 31 },
+    { name: 'November', shortName: 'Nov', days: 30 },
+    { name: 'December', shortName: 'Dec', days: 31 }
+  ],
+  eras: [],
+  periods: []
+};
+
+/**
+ * Canonical storage format: optional minus, 1-6 digit year, optional
+ * 2-digit month and day.
+ */
+const CANONICAL_PATTERN = /^(-?\d{1,6})(?:-(\d{2})(?:-(\d{2}))?)?$/;
+
+// ==================== NORMALIZATION ====================
+
+/**
+ * Fill in any missing calendar fields and sort eras chronologically.
+ * Accepts null/undefined and returns the default calendar.
+ *
+ * @param {Object|null} calendar - Calendar definition (possibly partial)
+ * @returns {Object} A complete calendar definition
+ */
+export function normalizeCalendar(calendar) {
+  if (!calendar) return DEFAULT_CALENDAR;
+
+  const months = Array.isArray(calendar.months) && calendar.months.length > 0
+    ? calendar.months.map(m => ({
+        name: String(m.name).trim(),
+        shortName: String(m.shortName || '').trim() || String(m.name).trim(),
+        days: parseInt(m.days) || 1
+      }))
+    : DEFAULT_CALENDAR.months;
+
+  const eras = Array.isArray(calendar.eras)
+    ? [...calendar.eras]
+        .map(e => ({
+          ...e,
+          name: String(e.name || '').trim(),
+          abbreviation: String(e.abbreviation || '').trim(),
+          countsBackward: !!e.countsBackward,
+          startYear: e.startYear === null || e.startYear === undefined || e.startYear === ''
+            ? null
+            : parseInt(e.startYear)
+        }))
+        .sort((a, b) => {
+          if (a.startYear === null) return -1;
+          if (b.startYear === null) return 1;
+          return a.startYear - b.startYear;
+        })
+    : [];
+
+  const periods = Array.isArray(calendar.periods)
+    ? calendar.periods.map(p => ({
+        ...p,
+        name: String(p.name || '').trim(),
+        startYear: p.startYear === null || p.startYear === undefined || p.startYear === ''
+          ? null
+          : parseInt(p.startYear),
+        endYear: p.endYear === null || p.endYear === undefined || p.endYear === ''
+          ? null
+          : parseInt(p.endYear)
+      }))
+    : [];
+
+  return {
+    ...calendar,
+    name: String(calendar.name || '').trim() || DEFAULT_CALENDAR.name,
+    epochOffset: parseInt(calendar.epochOffset) || 0,
+    months,
+    eras,
+    periods
+  };
+}
+
+/**
+ * True when the calendar is plain Gregorian (same months, no eras, no
+ * offset) - numeric input and ISO-looking output stay natural there.
+ *
+ * @param {Object} [calendar] - Calendar definition
+ * @returns {boolean}
+ */
+export function isGregorianCalendar(calendar) {
+  const cal = normalizeCalendar(calendar);
+  return cal.eras.length === 0 &&
+    cal.epochOffset === 0 &&
+    cal.months.length === DEFAULT_CALENDAR.months.length &&
+    cal.months.every((m, i) =>
+      m.name === DEFAULT_CALENDAR.months[i].name && m.days === DEFAULT_CALENDAR.months[i].days
+    );
+}
+
+/**
+ * Check a calendar definition for problems before saving it.
+ *
+ * @param {Object} calendar - Calendar definition
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateCalendar(calendar) {
+  const errors = [];
+
+  if (!calendar) {
+    return { valid: false, errors: ['Calendar is required'] };
+  }
+
+  if (!calendar.name || !String(calendar.name).trim()) {
+    errors.push('Calendar name is required');
+  }
+
+  if (calendar.epochOffset !== undefined && calendar.epochOffset !== '' &&
+      !Number.isInteger(Number(calendar.epochOffset))) {
+    errors.push('Epoch offset must be a whole number');
+  }
+
+  const months = calendar.months || [];
+  if (months.length === 0) {
+    errors.push('Calendar needs at least one month');
+  }
+  if (months.length > 99) {
+    errors.push('Calendar cannot have more than 99 months');
+  }
+
+  const monthNames = new Set();
+  months.forEach((month, index) => {
+    const name = String(month.name || '').trim();
+    if (!name) {
+      errors.push(`Month ${index + 1} needs a name`);
+    } else if (monthNames.has(name.toLowerCase())) {
+      errors.push(`Month name "${name}" is used more than once`);
+    } else {
+      monthNames.add(name.toLowerCase());
+    }
+
+    const days = Number(month.days);
+    if (!Number.isInteger(days) || days < 1 || days > 99) {
+      errors.push(`Month ${name || index + 1} must have between 1 and 99 days`);
+    }
+  });
+
+  const eras = calendar.eras || [];
+  const abbreviations = new Set();
+  let openEnded = 0;
+  eras.forEach((era, index) => {
+    const abbreviation = String(era.abbreviation || '').trim();
+    if (!era.name || !String(era.name).trim()) {
+      errors.push(`Era ${index + 1} needs a name`);
+    }
+    if (!abbreviation) {
+      errors.push(`Era ${era.name || index + 1} needs an abbreviation`);
+    } else if (/[\d\s]/.test(abbreviation)) {
+      errors.push(`Era abbreviation "${abbreviation}" cannot contain digits or spaces`);
+    } else if (abbreviations.has(abbreviation.toLowerCase())) {
+      errors.push(`Era abbreviation "${abbreviation}" is used more than once`);
+    } else {
+      abbreviations.add(abbreviation.toLowerCase());
+    }
+
+    const hasStart = era.startYear !== null && era.startYear !== undefined && era.startYear !== '';
+    if (!hasStart) {
+      openEnded++;
+    } else if (!Number.isInteger(Number(era.startYear))) {
+      errors.push(`Era ${era.name || index + 1} start year must be a whole number`);
+    }
+  });
+
+  if (openEnded > 1) {
+    errors.push('Only one era can be open-ended (no start year)');
+  }
+
+  const periodNames = new Set(eras.map(e => String(e.name || '').trim().toLowerCase()).filter(Boolean));
+  (calendar.periods || []).forEach((period, index) => {
+    const name = String(period.name || '').trim();
+    if (!name) {
+      errors.push(`Period ${index + 1} needs a name`);
+    } else if (periodNames.has(name.toLowerCase())) {
+      errors.push(`Period name "${name}" is already used by an era or period`);
+    } else {
+      periodNames.add(name.toLowerCase());
+    }
+
+    const start = period.startYear === '' || period.startYear === null || period.startYear === undefined
+      ? null : Number(period.startYear);
+    const end = period.endYear === '' || period.endYear === null || period.endYear === undefined
+      ? null : Number(period.endYear);
+    if (start === null && end === null) {
+      errors.push(`Period ${name || index + 1} needs a start or end year`);
+    } else if ((start !== null && !Number.isInteger(start)) || (end !== null && !Number.isInteger(end))) {
+      errors.push(`Period ${name || index + 1} years must be whole numbers`);
+    } else if (start !== null && end !== null && end < start) {
+      errors.push(`Period ${name || index + 1} ends before it starts`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+// ==================== CANONICAL STRINGS ====================
+
+/**
+ * Parse a canonical date string into its parts. Does not check the parts
+ * against a calendar - use isValidDateString for that.
+ *
+ * @param {string} dateString - Canonical date ("0412", "0412-03", "0412-03-15")
+ * @returns {{ year: number, month: number|null, day: number|null }|null}
+ */
+export function parseCanonicalDate(dateString) {
+  if (dateString === null || dateString === undefined) return null;
+  const match = String(dateString).trim().match(CANONICAL_PATTERN);
+  if (!match) return null;
+
+  return {
+    year: parseInt(match[1], 10),
+    month: match[2] ? parseInt(match[2], 10) : null,
+    day: match[3] ? parseInt(match[3], 10) : null
+  };
+}
+
+/**
+ * Build a canonical date string from its parts.
+ *
+ * @param {{ year: number, month?: number|null, day?: number|null }} parts
+ * @returns {string} Canonical date string
+ */
+export function toCanonicalDate({ year, month = null, day = null }) {
+  const sign = year < 0 ? '-' : '';
+  let result = sign + String(Math.abs(year)).padStart(4, '0');
+  if (month) {
+    result += '-' + String(month).padStart(2, '0');
+    if (day) {
+      result += '-' + String(day).padStart(2, '0');
+    }
+  }
+  return result;
+}
+
+/**
+ * Check that a stored date string is canonical AND fits the calendar
+ * (month exists, day within that month's length).
+ *
+ * @param {string} dateString - Canonical date string
+ * @param {Object} [calendar] - Calendar definition
+ * @returns {boolean}
+ */
+export function isValidDateString(dateString, calendar) {
+  const parts = parseCanonicalDate(dateString);
+  if (!parts) return false;
+  return checkParts(parts, normalizeCalendar(calendar)) === null;
+}
+
+/**
+ * Returns an error message if the parts don't fit the calendar, else null.
+ */
+function checkParts({ month, day }, cal) {
+  if (month === null) return null;
+  if (month < 1 || month > cal.months.length) {
+    return `Month must be between 1 and ${cal.months.length}`;
+  }
+  if (day !== null) {
+    const maxDays = cal.months[month - 1].days;
+    if (day < 1 || day > maxDays) {
+      return `${cal.months[month - 1].name} has ${maxDays} days`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the stored year from a date string (canonical, uncertain or legacy).
+ * This is the raw stored year - use formatYear (or toEraYear) for what
+ * users see.
+ * Uncertain dates give the year of their representative point (see
+ * toDayNumber); named periods need the calendar to be read at all.
+ *
+ * @param {string} dateString - Date string
+ * @param {Object} [calendar] - Calendar definition (for named periods)
+ * @returns {number|null}
+ */
+export function getYear(dateString, calendar) {
+  const parts = parseCanonicalDate(dateString);
+  if (parts) return parts.year;
+
+  if (parseDateValue(dateString)) {
+    const day = toDayNumber(dateString, calendar);
+    return day === null ? null : Math.floor(day / getDaysInYear(calendar));
+  }
+
+  // Legacy fallback: leading year digits ("1245 or so")
+  const match = String(dateString ?? '').match(/^-?\d{1,6}/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+// ==================== ERAS ====================
+
+/**
+ * Find which era a displayed (offset-applied) year falls in.
+ *
+ * @param {number} displayYear - Year after epoch offset
+ * @param {Object} [calendar] - Calendar definition
+ * @returns {Object|null} The era, or null if the calendar has none
+ */
+export function getEraForYear(displayYear, calendar) {
+  const cal = normalizeCalendar(calendar);
+  let found = null;
+  for (const era of cal.eras) {
+    if (era.startYear === null || era.startYear <= displayYear) {
+      found = era;
+    }
+  }
+  // Year falls before every era - attribute it to the earliest one
+  return found || cal.eras[0] || null;
+}
+
+/**
+ * Convert a stored year into the year number shown within its era.
+ *
+ * @param {number} storedYear - Stored year
+ * @param {Object} [calendar] - Calendar definition
+ * @returns {{ year: number, era: Object|null }}
+ */
+export function toEraYear(storedYear, calendar) {
+  const cal = normalizeCalendar(calendar);
+  const displayYear = storedYear + cal.epochOffset;
+  const era = getEraForYear(displayYear, cal);
+
+  if (!era) return { year: displayYear, era: null };
+
+  if (era.countsBackward) {
+    const next = cal.eras[cal.eras.indexOf(era) + 1];
+    const anchor = next && next.startYear !== null ? next.startYear : 1;
+    return { year: anchor - displayYear, era };
+  }
+
+  if (era.startYear === null) return { year: displayYear, era };
+  return { year: displayYear - era.startYear + 1, era };
+}
+
+/**
+ * Convert an era-relative year back into a stored year.
+ *
+ * @param {number} eraYear - Year number within the era
+ * @param {Object|null} era - Era from the calendar (null = no era)
+ * @param {Object} [calendar] - Calendar definition
+ * @returns {number} Stored year
+ */
+export function fromEraYear(eraYear, era, calendar) {
+  const cal = normalizeCalendar(calendar);
+  let displayYear = eraYear;
+
+  if (era) {
+    if (era.countsBackward) {
+      const next = cal.eras[cal.eras.findIndex(e => e.abbreviation === era.abbreviation) + 1];
+      const anchor = next && next.startYear !== null ? next.startYear : 1;
+      displayYear = anchor - eraYear;
+    } else if (era.startYear !== null) {
+      displayYear = era.startYear + eraYear - 1;
+    }
+  }
+
+  return displayYear - cal.epochOffset;
+}
+
+/**
+ * Year number as the user sees it, including era ("412 AE").
+ *
+ * @param {string} dateString - Stored date string
+ * @param {Object} [calendar] - Calendar definition
+ * @returns {string} Formatted year, or '' if there is no usable year
+ */
+export function formatYear(dateString, calendar) {
+  const value = parseDateValue(dateString);
+  if (value && value.qualifier !== DATE_QUALIFIERS.EXACT) {
+    return describeDateValue(value, part => formatYear(part, calendar));
+  }
+
+  const year = getYear(dateString);
+  if (year === null) return '';
+  const { year: eraYear, era } = toEraYear(year, calendar);
+  return era ? `${eraYear} ${era.abbreviation}` : String(eraYear);
+}
+
+// ==================== FORMATTING ====================
+
+/**
+ * Get a month's name (1-based index).
+ *
+ * @param {number} month - Month number
+ * @param {Object} [calendar] - Calendar definition
+ * @param {boolean} [short=false] - Use the short name
+ * @returns {string}
+ */
+export function getMonthName(month, calendar, short = false) {
+  const cal = normalizeCalendar(calendar);
+  const entry = cal.months[month - 1];
+  if (!entry) return String(month);
+  return short ? entry.shortName : entry.name;
+}
+
+/**
+ * Format a stored date for display.
+ *
+ * Styles:
+ * - 'long'  → "3 Frostmoon 412 AE"
+ * - 'short' → "3 Fro 412 AE"
+ * - 'year'  → "412 AE"
+ *
+ * Uncertain dates read naturally ("c. 412 AE", "between 410 and 415 AE",
+ * "during the Long Winter"). Other strings that aren't canonical are
+ * returned unchanged so that legacy or hand-entered values are never
+ * hidden from the user.
+ *
+ * @param {string} dateString - Stored date string
+ * @param {Object} [calendar] - Calendar definition
+ * @param {Object} [options]
+ * @param {'long'|'short'|'year'} [options.style='long']
+ * @returns {string}
+ */
+export function formatDate(dateString, calendar, { style = 'long' } = {}) {
+  if (dateString === null || dateString === undefined || dateString === '') return '';
+  const parts = parseCanonicalDate(dateString);
+  if (!parts) {
+    const value = parseDateValue(dateString);
+    return value
+      ? describeDateValue(value, part => formatDate(part, calendar, { style }))
+      : String(dateString);
+  }
+
+  const year = formatYear(dateString, calendar);
+  if (style === 'year' || parts.month === null) return year;
+
+  const monthName = getMonthName(parts.month, calendar, style === 'short');
+  return parts.day !== null
+    ? `${parts.day} ${monthName} ${year}`
+    : `${monthName} ${year}`;
+}
+
+/**
+ * Format a stored date the way the user should type it back in.
+ * Numeric for the default calendar (keeps "1245-03-15" familiar), named
+ * months otherwise.
+ *
+ * @param {string} dateString - Stored date string
+ * @param {Object} [calendar] - Calendar definition
+ * @returns {string}
+ */
+export function formatDateForInput(dateString, calendar) {
+  if (!dateString) return '';
+  const parts = parseCanonicalDate(dateString);
+  if (!parts) {
+    const value = parseDateValue(dateString);
+    return value
+      ? describeDateValue(value, part => formatDateForInput(part, calendar))
+      : String(dateString);
+  }
+
+  const cal = normalizeCalendar(calendar);
+  if (isGregorianCalendar(cal)) return String(dateString);
+  return formatDate(dateString, cal, { style: 'long' });
+}
+
+// ==================== PARSING USER INPUT ====================
+
+/**
+ * Parse what a user typed into a canonical date string.
+ *
+ * Accepts (era is optional; without one the latest era is assumed):
+ * - "412", "412 AE"
+ * - "412-03", "412-03-15", "412-3-15 AE"  (numeric, in displayed years)
+ * - "Frostmoon 412 AE", "3 Frostmoon 412 AE", "3 Fro 412"
+ *
+ * With options.uncertain it also accepts (stored as described at the top
+ * of this file):
+ * - "c. 412", "circa 412", "about 412", "~412"
+ * - "before 412", "after 412"
+ * - "between 410 and 415", "410 to 415"
+ * - "during the Long Winter" (an era or named period)
+ *
+ * @param {string} input - Raw user input
+ * @param {Object} [calendar] - Calendar definition
+ * @param {Object} [options]
+ * @param {boolean} [options.uncertain=false] - Allow uncertain dates
+ * @returns {{ valid: boolean, value: string|null, error: string|null }}
+ *          value is '' (and valid) for empty input
+ */
+export function parseDateInput(input, calendar, { uncertain = false } = {}) {
+  const text = String(input ?? '').trim();
+  if (!text) return { valid: true, value: '', error: null };
+
+  const cal = normalizeCalendar(calendar);
+  if (uncertain) {
+    const qualified = parseUncertainInput(text, cal);
+    if (qualified) return qualified;
+  }
+
+  return parseExactInput(text, cal);
+}
+
+/**
+ * Parse a single exact date (see parseDateInput)
+ */
+function parseExactInput(text, cal) {
+  const fail = (error) => ({ valid: false, value: null, error });
+
+  // Split off a trailing era abbreviation
+  let body = text;
+  let era = cal.eras.length > 0 ? cal.eras[cal.eras.length - 1] : null;
+  const eraMatch = text.match(/^(.*?)\s+([^\d\s-][^\d\s]*)$/);
+  if (eraMatch && cal.eras.length > 0) {
+    const candidate = cal.eras.find(
+      e => String(e.abbreviation).toLowerCase() === eraMatch[2].toLowerCase()
+    );
+    if (candidate) {
+      era = candidate;
+      body = eraMatch[1].trim();
+    }
+  }
+
+  let eraYear;
+  let month = null;
+  let day = null;
+
+  const numeric = body.match(/^(-?\d{1,6})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+  if (numeric) {
+    eraYear = parseInt(numeric[1], 10);
+    month = numeric[2] ? parseInt(numeric[2], 10) : null;
+    day = numeric[3] ? parseInt(numeric[3], 10) : null;
+  } else {
+    // "[day] MonthName year"
+    const named = body.match(/^(?:(\d{1,2})\s+)?(.+?)\s+(-?\d{1,6})$/);
+    if (!named) {
+      if (isGregorianCalendar(cal)) {
+        return fail('Date must be YYYY, YYYY-MM, or YYYY-MM-DD');
+      }
+      const era = cal.eras.length > 0 ? ` ${cal.eras[cal.eras.length - 1].abbreviation}` : '';
+      return fail(`Date must look like "412${era}" or "3 ${cal.months[0].name} 412${era}"`);
+    }
+    const monthText = named[2].toLowerCase();
+    const monthIndex = cal.months.findIndex(
+      m => m.name.toLowerCase() === monthText || String(m.shortName).toLowerCase() === monthText
+    );
+    if (monthIndex === -1) {
+      return fail(`Unknown month "${named[2]}"`);
+    }
+    day = named[1] ? parseInt(named[1], 10) : null;
+    month = monthIndex + 1;
+    eraYear = parseInt(named[3], 10);
+  }
+
+  const parts = { year: fromEraYear(eraYear, era, cal), month, day };
+  const partError = checkParts(parts, cal);
+  if (partError) return fail(partError);
+
+  return { valid: true, value: toCanonicalDate(parts), error: null };
+}
+
+/**
+ * Describe the accepted input format for form hints.
+ *
+ * @param {Object} [calendar] - Calendar definition
+ * @param {Object} [options]
+ * @param {boolean} [options.uncertain=false] - Mention uncertain dates
+ * @returns {string}
+ */
+export function getDateInputHint(calendar, { uncertain = false } = {}) {
+  const cal = normalizeCalendar(calendar);
+  const extra = uncertain ? '; or c. 412, before 412, between 410 and 415' : '';
+  if (isGregorianCalendar(cal)) {
+    return `Format: YYYY-MM-DD, YYYY-MM, or YYYY${extra}`;
+  }
+  const era = cal.eras.length > 0 ? ` ${cal.eras[cal.eras.length - 1].abbreviation}` : '';
+  return `e.g. 412${era}, ${cal.months[0].name} 412${era}, or 3 ${cal.months[0].name} 412${era}${extra}`;
+}
+
+// ==================== ARITHMETIC & COMPARISON ====================
+
+/**
+ * Total days in one calendar year.
+ *
+ * @param {Object} [calendar] - Calendar definition
+ * @returns {number}
+ */
+export function getDaysInYear(calendar) {
+  return normalizeCalendar(calendar).months.reduce((sum, m) => sum + m.days, 0);
+}
+
+/**
+ * Convert a date into a day count for ordering. Missing month/day count
+ * as the start of the year/month, so "412" sorts before "412-05-01".
+ *
+ * Uncertain dates sort at a representative point: approximate dates at
+ * their date, "before" just before it, "after" just after it, ranges and
+ * periods at their middle (or their one known end).
+ *
+ * @param {string} dateString - Stored date string
+ * @param {Object} [calendar] - Calendar definition
+ * @returns {number|null} null if the date can't be read
+ */
+export function toDayNumber(dateString, calendar) {
+  const parts = parseCanonicalDate(dateString);
+  if (!parts) {
+    const value = parseDateValue(dateString);
+    if (value) return getRepresentativeDay(value, calendar);
+
+    const year = getYear(dateString);
+    return year === null ? null : year * getDaysInYear(calendar);
+  }
+
+  const cal = normalizeCalendar(calendar);
+  let days = parts.year * getDaysInYear(cal);
+  if (parts.month) {
+    for (let i = 0; i < Math.min(parts.month - 1, cal.months.length); i++) {
+      days += cal.months[i].days;
+    }
+    if (parts.day) days += parts.day - 1;
+  }
+  return days;
+}
+
+/**
+ * Comparator for stored dates. Missing/unreadable dates sort last.
+ *
+ * @param {string} a - Stored date string
+ * @param {string} b - Stored date string
+ * @param {Object} [calendar] - Calendar definition
+ * @returns {number} Negative if a is earlier
+ */
+export function compareDates(a, b, calendar) {
+  const dayA = toDayNumber(a, calendar);
+  const dayB = toDayNumber(b, calendar);
+  if (dayA === null && dayB === null) return 0;
+  if (dayA === null) return 1;
+  if (dayB === null) return -1;
+  return dayA - dayB;
+}
+
+/**
+ * Whole years elapsed between two dates (e.g. an age). Month and day are
+ * only considered when both dates have them.
+ *
+ * @param {string} from - Earlier stored date
+ * @param {string} to - Later stored date
+ * @returns {number|null} null if either date can't be read
+ */
+export function yearsBetween(from, to) {
+  const a = parseCanonicalDate(from);
+  const b = parseCanonicalDate(to);
+  if (!a || !b) {
+    const yearA = getYear(from);
+    const yearB = getYear(to);
+    return yearA === null || yearB === null ? null : yearB - yearA;
+  }
+
+  let years = b.year - a.year;
+  if (a.month && b.month) {
+    if (b.month < a.month || (b.month === a.month && a.day && b.day && b.day < a.day)) {
+      years--;
+    }
+  }
+  return years;
+}
+
+// ==================== UNCERTAIN DATES ====================
+
+/**
+ * How sure a stored date is (see the top of this file for the strings)
+ */
+export const DATE_QUALIFIERS = {
+  EXACT: 'exact',
+  APPROXIMATE: 'approximate',
+  BEFORE: 'before',
+  AFTER: 'after',
+  BETWEEN: 'between',
+  PERIOD: 'period'
+};
+
+/**
+ * Years either side of an approximate ("c.") date
+ */
+export const APPROXIMATE_MARGIN_YEARS = 5;
+
+const QUALIFIER_PREFIXES = {
+  '~': DATE_QUALIFIERS.APPROXIMATE,
+  '<': DATE_QUALIFIERS.BEFORE,
+  '>': DATE_QUALIFIERS.AFTER
+};
+
+/**
+ * Read a stored date into a structured value. Does not check it against a
+ * calendar - use isValidDateValue for that.
+ *
+ * @param {string} dateString - Stored date string
+ * @returns {{ qualifier: string, start: string|null, end: string|null, period: string|null }|null}
+ *          start/end are canonical dates (end only for ranges); null if unreadable
+ */
+export function parseDateValue(dateString) {
+  if (dateString === null || dateString === undefined) return null;
+  const text = String(dateString).trim();
+  if (!text) return null;
+
+  const value = (qualifier, start, end = null, period = null) => ({ qualifier, start, end, period });
+
+  if (text.startsWith('@')) {
+    const period = text.slice(1).trim();
+    return period ? value(DATE_QUALIFIERS.PERIOD, null, null, period) : null;
+  }
+
+  const prefixed = QUALIFIER_PREFIXES[text[0]];
+  if (prefixed) {
+    const date = text.slice(1).trim();
+    return parseCanonicalDate(date) ? value(prefixed, date) : null;
+  }
+
+  const range = text.split('/');
+  if (range.length === 2) {
+    const [start, end] = range.map(part => part.trim());
+    return parseCanonicalDate(start) && parseCanonicalDate(end)
+      ? value(DATE_QUALIFIERS.BETWEEN, start, end)
+      : null;
+  }
+
+  return parseCanonicalDate(text) ? value(DATE_QUALIFIERS.EXACT, text) : null;
+}
+
+/**
+ * Build the stored string for a structured date value
+ *
+ * @param {Object} value - As returned by parseDateValue
+ * @returns {string}
+ */
+export function toDateString({ qualifier, start, end, period }) {
+  switch (qualifier) {
+    case DATE_QUALIFIERS.APPROXIMATE: return `~${start}`;
+    case DATE_QUALIFIERS.BEFORE: return `<${start}`;
+    case DATE_QUALIFIERS.AFTER: return `>${start}`;
+    case DATE_QUALIFIERS.BETWEEN: return `${start}/${end}`;
+    case DATE_QUALIFIERS.PERIOD: return `@${period}`;
+    default: return start;
+  }
+}
+
+/**
+ * True for a readable date that isn't a single exact date
+ *
+ * @param {string} dateString - Stored date string
+ * @returns {boolean}
+ */
+export function isUncertainDate(dateString) {
+  const value = parseDateValue(dateString);
+  return !!value && value.qualifier !== DATE_QUALIFIERS.EXACT;
+}
+
+/**
+ * Find an era or named period by name ("the" optional), with its span in
+ * STORED years (null = open-ended)
+ *
+ * @param {string} name - Era or period name
+ * @param {Object} [calendar] - Calendar definition
+ * @returns {{ name: string, startYear: number|null, endYear: number|null }|null}
+ */
+export function findNamedPeriod(name, calendar) {
+  const cal = normalizeCalendar(calendar);
+  const key = (text) => String(text || '').trim().toLowerCase().replace(/^the\s+/, '');
+  const wanted = key(name);
+  if (!wanted) return null;
+  const toStored = (year) => (year === null ? null : year - cal.epochOffset);
+
+  const period = cal.periods.find(p => key(p.name) === wanted);
+  if (period) {
+    return { name: period.name, startYear: toStored(period.startYear), endYear: toStored(period.endYear) };
+  }
+
+  const index = cal.eras.findIndex(e => key(e.name) === wanted);
+  if (index === -1) return null;
+  const era = cal.eras[index];
+  const next = cal.eras[index + 1];
+  return {
+    name: era.name,
+    startYear: toStored(era.startYear),
+    endYear: next && next.startYear !== null ? toStored(next.startYear - 1) : null
+  };
+}
+
+/**
+ * Check a stored date - exact or uncertain - reads and fits the calendar
+ *
+ * @param {string} dateString - Stored date string
+ * @param {Object} [calendar] - Calendar definition
+ * @returns {boolean}
+ */
+export function isValidDateValue(dateString, calendar) {
+  const value = parseDateValue(dateString);
+  if (!value) return false;
+  if (value.qualifier === DATE_QUALIFIERS.PERIOD) return !!findNamedPeriod(value.period, calendar);
+
+  const partsValid = [value.start, value.end]
+    .filter(Boolean)
+    .every(part => isValidDateString(part, calendar));
+  if (!partsValid || value.qualifier !== DATE_QUALIFIERS.BETWEEN) return partsValid;
+  return toDayNumber(value.start, calendar) <= toDayNumber(value.end, calendar);
+}
+
+/**
+ * Last day a canonical date covers ("412" → last day of 412)
+ */
+function toLastDayNumber(dateString, calendar) {
+  const parts = parseCanonicalDate(dateString);
+  if (!parts) return toDayNumber(dateString, calendar);
+  if (parts.day) return toDayNumber(dateString, calendar);
+
+  const cal = normalizeCalendar(calendar);
+  const start = toDayNumber(dateString, cal);
+  if (parts.month) return start + (cal.months[parts.month - 1]?.days || 1) - 1;
+  return start + getDaysInYear(cal) - 1;
+}
+
+/**
+ * Earliest and latest day a stored date allows
+ *
+ * Exact dates are a single point (their toDayNumber), as everywhere else.
+ *
+ * @param {string} dateString - Stored date string
+ * @param {Object} [calendar] - Calendar definition
+ * @returns {{ earliest: number|null, latest: number|null }|null}
+ *          null bound = open-ended; null overall if the date can't be read
+ */
+export function getDateRange(dateString, calendar) {
+  const value = parseDateValue(dateString);
+  if (!value) {
+    const day = toDayNumber(dateString, calendar);
+    return day === null ? null : { earliest: day, latest: day };
+  }
+
+  const cal = normalizeCalendar(calendar);
+  const yearStart = (year) => year * getDaysInYear(cal);
+  const yearEnd = (year) => yearStart(year + 1) - 1;
+
+  switch (value.qualifier) {
+    case DATE_QUALIFIERS.APPROXIMATE: {
+      const year = parseCanonicalDate(value.start).year;
+      return {
+        earliest: yearStart(year - APPROXIMATE_MARGIN_YEARS),
+        latest: yearEnd(year + APPROXIMATE_MARGIN_YEARS)
+      };
+    }
+    case DATE_QUALIFIERS.BEFORE:
+      return { earliest: null, latest: toDayNumber(value.start, cal) - 1 };
+    case DATE_QUALIFIERS.AFTER:
+      return { earliest: toLastDayNumber(value.start, cal) + 1, latest: null };
+    case DATE_QUALIFIERS.BETWEEN:
+      return { earliest: toDayNumber(value.start, cal), latest: toLastDayNumber(value.end, cal) };
+    case DATE_QUALIFIERS.PERIOD: {
+      const period = findNamedPeriod(value.period, cal);
+      if (!period) return null;
+      return {
+        earliest: period.startYear === null ? null : yearStart(period.startYear),
+        latest: period.endYear === null ? null : yearEnd(period.endYear)
+      };
+    }
+    default: {
+      const day = toDayNumber(value.start, cal);
+      return { earliest: day, latest: day };
+    }
+  }
+}
+
+/**
+ * Earliest and latest stored year a date allows (see getDateRange)
+ *
+ * @returns {{ earliest: number|null, latest: number|null }|null}
+ */
+export function getYearRange(dateString, calendar) {
+  const range = getDateRange(dateString, calendar);
+  if (!range) return null;
+  const days = getDaysInYear(calendar);
+  const toYear = (day) => (day === null ? null : Math.floor(day / days));
+  return { earliest: toYear(range.earliest), latest: toYear(range.latest) };
+}
+
+/**
+ * The single day an uncertain date sorts at (see toDayNumber)
+ */
+function getRepresentativeDay(value, calendar) {
+  if (value.qualifier === DATE_QUALIFIERS.EXACT || value.qualifier === DATE_QUALIFIERS.APPROXIMATE) {
+    return toDayNumber(value.start, calendar);
+  }
+
+  const range = getDateRange(toDateString(value), calendar);
+  if (!range) return null;
+  if (range.earliest === null) return range.latest;
+  if (range.latest === null) return range.earliest;
+  return Math.floor((range.earliest + range.latest) / 2);
+}
+
+/**
+ * Words around an uncertain date, with each canonical part formatted by
+ * the caller ("c. 412 AE", "between 410 and 415 AE")
+ */
+function describeDateValue(value, formatPart) {
+  switch (value.qualifier) {
+    case DATE_QUALIFIERS.APPROXIMATE: return `c. ${formatPart(value.start)}`;
+    case DATE_QUALIFIERS.BEFORE: return `before ${formatPart(value.start)}`;
+    case DATE_QUALIFIERS.AFTER: return `after ${formatPart(value.start)}`;
+    case DATE_QUALIFIERS.BETWEEN: return `between ${formatPart(value.start)} and ${formatPart(value.end)}`;
+    case DATE_QUALIFIERS.PERIOD: return `during ${value.period}`;
+    default: return formatPart(value.start);
+  }
+}
+
+/**
+ * Parse typed uncertain dates (see parseDateInput)
+ *
+ * @returns {Object|null} A parseDateInput result, or null if the text has no qualifier
+ */
+function parseUncertainInput(text, cal) {
+  const fail = (error) => ({ valid: false, value: null, error });
+  const exact = (part) => parseExactInput(part.trim(), cal);
+
+  const period = text.match(/^during\s+(.+)$/i);
+  if (period) {
+    const found = findNamedPeriod(period[1], cal);
+    return found
+      ? { valid: true, value: toDateString({ qualifier: DATE_QUALIFIERS.PERIOD, period: found.name }), error: null }
+      : fail(`Unknown era or period "${period[1].trim()}"`);
+  }
+
+  const range = text.match(/^(?:between|bet\.?)\s+(.+?)\s+and\s+(.+)$/i) ||
+    text.match(/^(.+?)\s+to\s+(.+)$/i);
+  if (range) {
+    const start = exact(range[1]);
+    const end = exact(range[2]);
+    if (!start.valid) return start;
+    if (!end.valid) return end;
+    if (toDayNumber(start.value, cal) > toDayNumber(end.value, cal)) {
+      return fail('A date range must run from the earlier date to the later one');
+    }
+    return { valid: true, value: toDateString({ qualifier: DATE_QUALIFIERS.BETWEEN, start: start.value, end: end.value }), error: null };
+  }
+
+  const patterns = [
+    [DATE_QUALIFIERS.APPROXIMATE, /^(?:(?:circa|about|approx|ca|c)\.?\s+|(?:ca|c)\.|~\s*)(.+)$/i],
+    [DATE_QUALIFIERS.BEFORE, /^(?:(?:before|bef)\.?\s+|<\s*)(.+)$/i],
+    [DATE_QUALIFIERS.AFTER, /^(?:(?:after|aft)\.?\s+|>\s*)(.+)$/i]
+  ];
+  for (const [qualifier, pattern] of patterns) {
+    const match = text.match(pattern);
+    if (!match) continue;
+    const date = exact(match[1]);
+    return date.valid
+      ? { valid: true, value: toDateString({ qualifier, start: date.value }), error: null }
+      : date;
+  }
+
+  return null;
+}
+
+// ==================== STORY PRESENT ====================
+
+/**
+ * Where a person stands relative to a moment in the story
+ */
+export const LIFE_STATUS = {
+  LIVING: 'living',
+  DECEASED: 'deceased',
+  UNBORN: 'unborn'
+};
+
+/**
+ * Today's real-world date as a canonical string. Only used as the fallback
+ * "present" when a dataset hasn't set its own story present.
+ *
+ * @returns {string} e.g. "2025-06-01"
+ */
+export function getTodayCanonical() {
+  const today = new Date();
+  return toCanonicalDate({
+    year: today.getFullYear(),
+    month: today.getMonth() + 1,
+    day: today.getDate()
+  });
+}
+
+/**
+ * Work out whether a person is alive at a given in-world date.
+ *
+ * Without a readable asOf date this falls back to the record alone: anyone
+ * with a death date is deceased. A death date that can't be read also
+ * counts as deceased, since the person did die at some point.
+ *
+ * @param {Object} person - Person with dateOfBirth / dateOfDeath
+ * @param {string} [asOf] - Stored date to evaluate at (the story present)
+ * @param {Object} [calendar] - Calendar definition
+ * @returns {string|null} One of LIFE_STATUS, or null without a person
+ */
+export function getLifeStatus(person, asOf, calendar) {
+  if (!person) return null;
+
+  const present = toDayNumber(asOf, calendar);
+  if (present === null) {
+    return person.dateOfDeath ? LIFE_STATUS.DECEASED : LIFE_STATUS.LIVING;
+  }
+
+  const birth = toDayNumber(person.dateOfBirth, calendar);
+  if (birth !== null && birth > present) return LIFE_STATUS.UNBORN;
+
+  if (person.dateOfDeath) {
+    const death = toDayNumber(person.dateOfDeath, calendar);
+    if (death === null || death <= present) return LIFE_STATUS.DECEASED;
+  }
+
+  return LIFE_STATUS.LIVING;
+}
+
+/**
+ * True if the person is alive at the given in-world date
+ *
+ * @param {Object} person - Person record
+ * @param {string} [asOf] - Stored date (the story present)
+ * @param {Object} [calendar] - Calendar definition
+ * @returns {boolean}
+ */
+export function isAliveOn(person, asOf, calendar) {
+  return getLifeStatus(person, asOf, calendar) === LIFE_STATUS.LIVING;
+}
+
+// ==================== BOUND HELPERS ====================
+
+/**
+ * Bind the helpers to one calendar so components don't have to pass it
+ * around. Used by CalendarContext.
+ *
+ * @param {Object} [calendar] - Calendar definition
+ * @returns {Object} Calendar-bound helper functions
+ */
+export function createCalendarHelpers(calendar) {
+  const cal = normalizeCalendar(calendar);
+  return {
+    calendar: cal,
+    isGregorian: isGregorianCalendar(cal),
+    formatDate: (date, options) => formatDate(date, cal, options),
+    formatYear: (date) => formatYear(date, cal),
+    formatDateForInput: (date) => formatDateForInput(date, cal),
+    parseDateInput: (input, options) => parseDateInput(input, cal, options),
+    getDateInputHint: (options) => getDateInputHint(cal, options),
+    isValidDateString: (date) => isValidDateString(date, cal),
+    isValidDateValue: (date) => isValidDateValue(date, cal),
+    getDateRange: (date) => getDateRange(date, cal),
+    compareDates: (a, b) => compareDates(a, b, cal),
+    yearsBetween,
+    toDayNumber: (date) => toDayNumber(date, cal),
+    getLifeStatus: (person, asOf) => getLifeStatus(person, asOf, cal),
+    isAliveOn: (person, asOf) => isAliveOn(person, asOf, cal)
+  };
+}
+
+export default {
+  DEFAULT_CALENDAR,
+  normalizeCalendar,
+  isGregorianCalendar,
+  validateCalendar,
+  parseCanonicalDate,
+  toCanonicalDate,
+  isValidDateString,
+  getYear,
+  getEraForYear,
+  toEraYear,
+  fromEraYear,
+  formatYear,
+  getMonthName,
+  formatDate,
+  formatDateForInput,
+  parseDateInput,
+  getDateInputHint,
+  getDaysInYear,
+  toDayNumber,
+  compareDates,
+  yearsBetween,
+  DATE_QUALIFIERS,
+  APPROXIMATE_MARGIN_YEARS,
+  parseDateValue,
+  toDateString,
+  isUncertainDate,
+  findNamedPeriod,
+  isValidDateValue,
+  getDateRange,
+  getYearRange,
+  LIFE_STATUS,
+  getTodayCanonical,
+  getLifeStatus,
+  isAliveOn,
+  createCalendarHelpers
+};
@@ -0,0 +1,344 @@
+/**
+ * calendarUtils Tests
+ *
+ * Tests for the in-world calendar system:
+ * - Canonical date parsing and building
+ * - Era and epoch offset conversion
+ * - Formatting and parsing user input
+ * - Date comparison and elapsed years
+ * - Living/deceased status at a story present
+ * - Calendar definition validation
+ * - Uncertain dates (approximate, before/after, ranges, named periods) and
+ *   how they sort
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_CALENDAR,
+  isGregorianCalendar,
+  validateCalendar,
+  parseCanonicalDate,
+  toCanonicalDate,
+  isValidDateString,
+  getYear,
+  toEraYear,
+  fromEraYear,
+  formatYear,
+  formatDate,
+  formatDateForInput,
+  parseDateInput,
+  getDaysInYear,
+  compareDates,
+  yearsBetween,
+  getLifeStatus,
+  isAliveOn,
+  LIFE_STATUS,
+  DATE_QUALIFIERS,
+  parseDateValue,
+  isValidDateValue,
+  getDateRange,
+  getYearRange
+} from './calendarUtils';
+
+/**
+ * Test calendar: four months of uneven length, two eras split at year 1,
+ * and stored years offset by -833 (stored 1245 → displayed 412 AE).
+ */
+const ECLIPSE_CALENDAR = {
+  name: 'Reckoning of the Eclipse',
+  epochOffset: -833,
+  months: [
+    { name: 'Frostmoon', shortName: 'Fro', days: 30 },
+    { name: 'Thawing', shortName: 'Tha', days: 45 },
+    { name: 'Highsun', shortName: 'Hig', days: 60 },
+    { name: 'Harvest', shortName: 'Har', days: 40 }
+  ],
+  eras: [
+    { name: 'After Eclipse', abbreviation: 'AE', startYear: 1 },
+    { name: 'Before Eclipse', abbreviation: 'BE', startYear: null, countsBackward: true }
+  ]
+};
+
+/** The eclipse calendar with one named period (displayed 410-415 → stored 1243-1248) */
+const WINTER_CALENDAR = {
+  ...ECLIPSE_CALENDAR,
+  periods: [{ name: 'Long Winter', startYear: 410, endYear: 415 }]
+};
+
+describe('calendarUtils', () => {
+  describe('canonical dates', () => {
+    it('should parse year, year-month and full dates', () => {
+      expect(parseCanonicalDate('1245')).toEqual({ year: 1245, month: null, day: null });
+      expect(parseCanonicalDate('1245-03')).toEqual({ year: 1245, month: 3, day: null });
+      expect(parseCanonicalDate('1245-03-15')).toEqual({ year: 1245, month: 3, day: 15 });
+      expect(parseCanonicalDate('-0012-02-01')).toEqual({ year: -12, month: 2, day: 1 });
+    });
+
+    it('should reject non-canonical strings', () => {
+      expect(parseCanonicalDate('invalid-date')).toBeNull();
+      expect(parseCanonicalDate('1245/03/15')).toBeNull();
+      expect(parseCanonicalDate('')).toBeNull();
+      expect(parseCanonicalDate(null)).toBeNull();
+    });
+
+    it('should zero-pad when building canonical strings', () => {
+      expect(toCanonicalDate({ year: 412 })).toBe('0412');
+      expect(toCanonicalDate({ year: 412, month: 3, day: 5 })).toBe('0412-03-05');
+      expect(toCanonicalDate({ year: -12, month: 1 })).toBe('-0012-01');
+    });
+
+    it('should check months and days against the calendar', () => {
+      expect(isValidDateString('1245-02-30')).toBe(false);
+      expect(isValidDateString('1245-02-28')).toBe(true);
+      expect(isValidDateString('1245-13')).toBe(false);
+      expect(isValidDateString('1245-02-45', ECLIPSE_CALENDAR)).toBe(true);
+      expect(isValidDateString('1245-05', ECLIPSE_CALENDAR)).toBe(false);
+    });
+
+    it('should extract the stored year from legacy strings', () => {
+      expect(getYear('1245-03-15')).toBe(1245);
+      expect(getYear('1245 (approx)')).toBe(1245);
+      expect(getYear('unknown')).toBeNull();
+    });
+  });
+
+  describe('eras and epoch offset', () => {
+    it('should treat the default calendar as Gregorian', () => {
+      expect(isGregorianCalendar(null)).toBe(true);
+      expect(isGregorianCalendar({ ...DEFAULT_CALENDAR, months: [...DEFAULT_CALENDAR.months] })).toBe(true);
+      expect(isGregorianCalendar(ECLIPSE_CALENDAR)).toBe(false);
+    });
+
+    it('should apply the epoch offset and era numbering', () => {
+      expect(toEraYear(1245, ECLIPSE_CALENDAR)).toMatchObject({ year: 412, era: { abbreviation: 'AE' } });
+      expect(toEraYear(833, ECLIPSE_CALENDAR)).toMatchObject({ year: 1, era: { abbreviation: 'BE' } });
+      expect(toEraYear(834, ECLIPSE_CALENDAR)).toMatchObject({ year: 1, era: { abbreviation: 'AE' } });
+    });
+
+    it('should round-trip era years back to stored years', () => {
+      const cal = ECLIPSE_CALENDAR;
+      const ae = cal.eras[0];
+      const be = cal.eras[1];
+      expect(fromEraYear(412, ae, cal)).toBe(1245);
+      expect(fromEraYear(1, be, cal)).toBe(833);
+      expect(fromEraYear(10, be, cal)).toBe(824);
+    });
+
+    it('should format years with era abbreviations', () => {
+      expect(formatYear('1245-03-15', ECLIPSE_CALENDAR)).toBe('412 AE');
+      expect(formatYear('1245-03-15')).toBe('1245');
+      expect(formatYear('')).toBe('');
+    });
+  });
+
+  describe('formatDate', () => {
+    it('should use month names from the calendar', () => {
+      expect(formatDate('1245-03-15')).toBe('15 March 1245');
+      expect(formatDate('1245-03-15', ECLIPSE_CALENDAR)).toBe('15 Highsun 412 AE');
+      expect(formatDate('1245-02', ECLIPSE_CALENDAR)).toBe('Thawing 412 AE');
+      expect(formatDate('1245-03-15', ECLIPSE_CALENDAR, { style: 'short' })).toBe('15 Hig 412 AE');
+      expect(formatDate('1245-03-15', ECLIPSE_CALENDAR, { style: 'year' })).toBe('412 AE');
+    });
+
+    it('should return unreadable values unchanged', () => {
+      expect(formatDate('sometime in spring')).toBe('sometime in spring');
+      expect(formatDate(null)).toBe('');
+    });
+
+    it('should keep numeric input values for the Gregorian calendar', () => {
+      expect(formatDateForInput('1245-03-15')).toBe('1245-03-15');
+      expect(formatDateForInput('1245-03-15', ECLIPSE_CALENDAR)).toBe('15 Highsun 412 AE');
+    });
+  });
+
+  describe('parseDateInput', () => {
+    it('should accept numeric Gregorian input unchanged', () => {
+      expect(parseDateInput('1245-03-15')).toEqual({ valid: true, value: '1245-03-15', error: null });
+      expect(parseDateInput('1245').value).toBe('1245');
+    });
+
+    it('should treat empty input as a valid blank value', () => {
+      expect(parseDateInput('   ')).toEqual({ valid: true, value: '', error: null });
+    });
+
+    it('should parse era years and named months', () => {
+      expect(parseDateInput('412 AE', ECLIPSE_CALENDAR).value).toBe('1245');
+      expect(parseDateInput('15 Highsun 412 AE', ECLIPSE_CALENDAR).value).toBe('1245-03-15');
+      expect(parseDateInput('har 412', ECLIPSE_CALENDAR).value).toBe('1245-04');
+      expect(parseDateInput('3 BE', ECLIPSE_CALENDAR).value).toBe('0831');
+    });
+
+    it('should assume the latest era when none is given', () => {
+      expect(parseDateInput('412', ECLIPSE_CALENDAR).value).toBe('1245');
+    });
+
+    it('should round-trip formatted dates', () => {
+      const formatted = formatDate('1245-02-44', ECLIPSE_CALENDAR);
+      expect(parseDateInput(formatted, ECLIPSE_CALENDAR).value).toBe('1245-02-44');
+    });
+
+    it('should reject impossible or unreadable dates', () => {
+      expect(parseDateInput('invalid-date').error).toMatch(/Date must be YYYY/);
+      expect(parseDateInput('sometime', ECLIPSE_CALENDAR).error).toMatch(/Date must look like "412 AE"/);
+      expect(parseDateInput('31 Frostmoon 412', ECLIPSE_CALENDAR).error).toMatch(/Frostmoon has 30 days/);
+      expect(parseDateInput('3 Snowfall 412', ECLIPSE_CALENDAR).error).toMatch(/Unknown month/);
+    });
+  });
+
+  describe('comparison and arithmetic', () => {
+    it('should sum month lengths for the year length', () => {
+      expect(getDaysInYear()).toBe(365);
+      expect(getDaysInYear(ECLIPSE_CALENDAR)).toBe(175);
+    });
+
+    it('should order dates and put missing dates last', () => {
+      const dates = ['1245-03-15', null, '1245', '1244-04-40', '1245-01-02'];
+      dates.sort((a, b) => compareDates(a, b, ECLIPSE_CALENDAR));
+      expect(dates).toEqual(['1244-04-40', '1245', '1245-01-02', '1245-03-15', null]);
+    });
+
+    it('should count whole years elapsed', () => {
+      expect(yearsBetween('1200-05-10', '1245-05-09')).toBe(44);
+      expect(yearsBetween('1200-05-10', '1245-05-10')).toBe(45);
+      expect(yearsBetween('1200', '1245-01-01')).toBe(45);
+      expect(yearsBetween('unknown', '1245')).toBeNull();
+    });
+  });
+
+  describe('story present', () => {
+    const person = { dateOfBirth: '1200-02-10', dateOfDeath: '1260-03-01' };
+
+    it('should place a person relative to the present', () => {
+      expect(getLifeStatus(person, '1199', ECLIPSE_CALENDAR)).toBe(LIFE_STATUS.UNBORN);
+      expect(getLifeStatus(person, '1245', ECLIPSE_CALENDAR)).toBe(LIFE_STATUS.LIVING);
+      expect(getLifeStatus(person, '1260-03-01', ECLIPSE_CALENDAR)).toBe(LIFE_STATUS.DECEASED);
+    });
+
+    it('should fall back to the record without a present', () => {
+      expect(getLifeStatus(person, null)).toBe(LIFE_STATUS.DECEASED);
+      expect(getLifeStatus({ dateOfBirth: '1200' }, null)).toBe(LIFE_STATUS.LIVING);
+      expect(getLifeStatus(null, '1245')).toBeNull();
+    });
+
+    it('should treat unreadable death dates as already passed', () => {
+      expect(isAliveOn({ dateOfBirth: '1200', dateOfDeath: 'in the war' }, '1245')).toBe(false);
+      expect(isAliveOn({ dateOfBirth: '1200' }, '1245')).toBe(true);
+    });
+  });
+
+  describe('validateCalendar', () => {
+    it('should accept a well-formed calendar', () => {
+      expect(validateCalendar(ECLIPSE_CALENDAR)).toEqual({ valid: true, errors: [] });
+      expect(validateCalendar(DEFAULT_CALENDAR).valid).toBe(true);
+    });
+
+    it('should report broken definitions', () => {
+      const result = validateCalendar({
+        name: '',
+        months: [{ name: 'Dark', days: 0 }, { name: 'dark', days: 10 }],
+        eras: [
+          { name: 'First', abbreviation: 'F A', startYear: null },
+          { name: 'Second', abbreviation: 'S', startYear: null }
+        ]
+      });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(expect.arrayContaining([
+        'Calendar name is required',
+        'Month Dark must have between 1 and 99 days',
+        'Month name "dark" is used more than once',
+        'Era abbreviation "F A" cannot contain digits or spaces',
+        'Only one era can be open-ended (no start year)'
+      ]));
+    });
+  });
+});
+
+describe('uncertain dates', () => {
+  describe('stored values', () => {
+    it('should read each qualifier', () => {
+      expect(parseDateValue('~1245')).toMatchObject({ qualifier: DATE_QUALIFIERS.APPROXIMATE, start: '1245' });
+      expect(parseDateValue('<1245-02')).toMatchObject({ qualifier: DATE_QUALIFIERS.BEFORE, start: '1245-02' });
+      expect(parseDateValue('>1245')).toMatchObject({ qualifier: DATE_QUALIFIERS.AFTER, start: '1245' });
+      expect(parseDateValue('1240/1250')).toMatchObject({ qualifier: DATE_QUALIFIERS.BETWEEN, start: '1240', end: '1250' });
+      expect(parseDateValue('@Long Winter')).toMatchObject({ qualifier: DATE_QUALIFIERS.PERIOD, period: 'Long Winter' });
+      expect(parseDateValue('1245')).toMatchObject({ qualifier: DATE_QUALIFIERS.EXACT });
+      expect(parseDateValue('in the war')).toBeNull();
+    });
+
+    it('should only accept periods the calendar defines', () => {
+      expect(isValidDateValue('@Long Winter', WINTER_CALENDAR)).toBe(true);
+      expect(isValidDateValue('@the long winter', WINTER_CALENDAR)).toBe(true);
+      expect(isValidDateValue('@After Eclipse', WINTER_CALENDAR)).toBe(true);
+      expect(isValidDateValue('@Long Winter', ECLIPSE_CALENDAR)).toBe(false);
+    });
+
+    it('should format through the calendar', () => {
+      expect(formatDate('~1245', ECLIPSE_CALENDAR)).toBe('c. 412 AE');
+      expect(formatDate('<1245', ECLIPSE_CALENDAR)).toBe('before 412 AE');
+      expect(formatDate('>1245', ECLIPSE_CALENDAR)).toBe('after 412 AE');
+      expect(formatYear('1240/1250', ECLIPSE_CALENDAR)).toBe('between 407 AE and 417 AE');
+      expect(formatDateForInput('@Long Winter', WINTER_CALENDAR)).toBe('during Long Winter');
+    });
+  });
+
+  describe('ranges and sorting', () => {
+    it('should give the years each date allows', () => {
+      expect(getYearRange('~1245')).toEqual({ earliest: 1240, latest: 1250 });
+      expect(getYearRange('<1245')).toEqual({ earliest: null, latest: 1244 });
+      expect(getYearRange('>1245')).toEqual({ earliest: 1246, latest: null });
+      expect(getYearRange('@Long Winter', WINTER_CALENDAR)).toEqual({ earliest: 1243, latest: 1248 });
+
+      // Exact dates stay points, as everywhere else
+      const exact = getDateRange('1245-02', ECLIPSE_CALENDAR);
+      expect(exact.earliest).toBe(exact.latest);
+    });
+
+    it('should sort uncertain dates among exact ones', () => {
+      const dates = ['>1245', '1244/1246', '1240', '~1245', '<1245'];
+      expect([...dates].sort((a, b) => compareDates(a, b, ECLIPSE_CALENDAR)))
+        .toEqual(['1240', '<1245', '~1245', '1244/1246', '>1245']);
+      expect(getYear('1240/1250')).toBe(1245);
+    });
+  });
+
+  describe('parseDateInput', () => {
+    const parse = (text) => parseDateInput(text, WINTER_CALENDAR, { uncertain: true });
+
+    it('should read typed qualifiers in the calendar', () => {
+      expect(parse('c. 412').value).toBe('~1245');
+      expect(parse('circa 412 AE').value).toBe('~1245');
+      expect(parse('before 3 Thawing 412').value).toBe('<1245-02-03');
+      expect(parse('after 412').value).toBe('>1245');
+      expect(parse('between 410 and 415').value).toBe('1243/1248');
+      expect(parse('410 to 415').value).toBe('1243/1248');
+      expect(parse('during the Long Winter').value).toBe('@Long Winter');
+    });
+
+    it('should reject bad uncertain input', () => {
+      expect(parse('between 415 and 410').valid).toBe(false);
+      expect(parse('during the Great Thaw').error).toContain('Unknown era or period');
+    });
+
+    it('should keep plain inputs exact', () => {
+      expect(parseDateInput('c. 412', WINTER_CALENDAR).valid).toBe(false);
+      expect(parse('412').value).toBe('1245');
+    });
+  });
+
+  it('should validate named periods on the calendar', () => {
+    const result = validateCalendar({
+      ...WINTER_CALENDAR,
+      periods: [
+        { name: 'After Eclipse', startYear: 1 },
+        { name: 'Drought', startYear: 5, endYear: 2 },
+        { name: 'Plague' }
+      ]
+    });
+    expect(result.errors).toEqual([
+      'Period name "After Eclipse" is already used by an era or period',
+      'Period Drought ends before it starts',
+      'Period Plague needs a start or end year'
+    ]);
+    expect(validateCalendar(WINTER_CALENDAR).valid).toBe(true);
+  });
+});
@@ -0,0 +1,399 @@
+/**
+ * Person-Centred Chart Layouts
+ *
+ * Layouts for the chart modes of the family tree that are centred on one
+ * person rather than scoped to a house:
+ *
+ * - PEDIGREE    - ancestors, left to right, father above mother
+ * - DESCENDANTS - descendants, left to right, spouses stacked with each
+ * - HOURGLASS   - ancestors above the person, descendants below
+ * - FAN         - ancestors as concentric ring segments around the person
+ *
+ * The card charts share one tidy-tree pass: each leaf takes the next free
+ * row and every parent is centred on its children. Layouts only return
+ * coordinates; FamilyTree draws them with the normal person cards.
+ *
+ * A person can appear more than once (pedigree collapse, cousin marriages),
+ * so nodes are identified by a key rather than by person ID.
+ */
+
+import { getSpouseIds } from './RelationshipCalculator';
+import { orderChildren } from './familyBlockLayout';
+
+export const CHART_MODES = {
+  HOUSE: 'house',
+  PEDIGREE: 'pedigree',
+  DESCENDANTS: 'descendants',
+  HOURGLASS: 'hourglass',
+  FAN: 'fan'
+};
+
+export const CHART_MODE_LABELS = {
+  [CHART_MODES.HOUSE]: 'House Tree',
+  [CHART_MODES.PEDIGREE]: 'Pedigree',
+  [CHART_MODES.DESCENDANTS]: 'Descendants',
+  [CHART_MODES.HOURGLASS]: 'Hourglass',
+  [CHART_MODES.FAN]: 'Fan Chart'
+};
+
+export const DEFAULT_CHART_GENERATIONS = 4;
+export const MAX_CHART_GENERATIONS = 8;
+
+const ROOT_KEY = 'root';
+
+// ==================== TREE BUILDING ====================
+
+/**
+ * Place a person's parents in father / mother slots. Parents without a
+ * recorded gender fill whichever slot is free.
+ *
+ * @returns {Array<number|null>} [fatherId, motherId]
+ */
+export function orderParents(personId, parentMap, peopleById) {
+  const slots = [null, null];
+  const unsorted = [];
+
+  (parentMap.get(personId) || []).forEach(parentId => {
+    const gender = peopleById.get(parentId)?.gender;
+    if (gender === 'male' && slots[0] === null) slots[0] = parentId;
+    else if (gender === 'female' && slots[1] === null) slots[1] = parentId;
+    else unsorted.push(parentId);
+  });
+
+  unsorted.forEach(parentId => {
+    const free = slots.indexOf(null);
+    if (free !== -1) slots[free] = parentId;
+  });
+
+  return slots;
+}
+
+/**
+ * Build the ancestor tree of a person up to a number of generations.
+ * Each node carries its Ahnentafel number (root 1, father 2n, mother 2n+1).
+ */
+function buildAncestorTree(rootId, maps, generations) {
+  const { parentMap, peopleById } = maps;
+
+  const build = (personId, generation, ahnentafel, lineage) => {
+    const node = {
+      key: generation === 0 ? ROOT_KEY : `a${ahnentafel}`,
+      personId,
+      generation,
+      ahnentafel,
+      spouseIds: [],
+      children: []
+    };
+
+    if (generation < generations) {
+      orderParents(personId, parentMap, peopleById).forEach((parentId, slot) => {
+        if (parentId === null || !peopleById.has(parentId) || lineage.has(parentId)) return;
+        node.children.push(build(parentId, generation + 1, ahnentafel * 2 + slot, new Set(lineage).add(parentId)));
+      });
+    }
+
+    return node;
+  };
+
+  return build(rootId, 0, 1, new Set([rootId]));
+}
+
+/**
+ * Build the descendant tree of a person up to a number of generations.
+ * Children are ordered by marriage, then birth date, as in the house tree.
+ */
+function buildDescendantTree(rootId, maps, generations, calendar) {
+  const { parentMap, childrenMap, spouseMap, peopleById } = maps;
+
+  const build = (personId, generation, key, lineage) => {
+    const node = {
+      key,
+      personId,
+      generation,
+      spouseIds: getSpouseIds(spouseMap, personId).filter(id => peopleById.has(id)),
+      children: []
+    };
+
+    if (generation < generations) {
+      const childIds = (childrenMap.get(personId) || [])
+        .filter(id => peopleById.has(id) && !lineage.has(id));
+      orderChildren(personId, childIds, childrenMap, spouseMap, parentMap, peopleById, calendar)
+        .forEach((childId, index) => {
+          node.children.push(build(childId, generation + 1, `${key}.${index}`, new Set(lineage).add(childId)));
+        });
+    }
+
+    return node;
+  };
+
+  return build(rootId, 0, ROOT_KEY, new Set([rootId]));
+}
+
+// ==================== TIDY TREE ====================
+
+/**
+ * Assign each node a breadth offset: leaves take the next free row and
+ * parents are centred on their first and last child. A parent whose cards
+ * would overlap the row above pushes its whole subtree along instead.
+ *
+ * @param {Object} root - Tree from buildAncestorTree / buildDescendantTree
+ * @param {number} cardBreadth - Card size across the breadth axis
+ * @param {number} spouseGap - Gap between a person and each stacked spouse
+ * @param {number} rowGap - Gap between neighbouring rows
+ */
+function assignBreadth(root, cardBreadth, spouseGap, rowGap) {
+  let cursor = 0;
+
+  const unitSize = (node) => cardBreadth + node.spouseIds.length * (cardBreadth + spouseGap);
+
+  const shift = (node, delta) => {
+    node.offset += delta;
+    node.children.forEach(child => shift(child, delta));
+  };
+
+  const place = (node) => {
+    const start = cursor;
+
+    if (node.children.length === 0) {
+      node.offset = cursor;
+      cursor += unitSize(node) + rowGap;
+      return;
+    }
+
+    node.children.forEach(place);
+
+    const first = node.children[0];
+    const last = node.children[node.children.length - 1];
+    let offset = (first.offset + last.offset) / 2;
+
+    if (offset < start) {
+      const delta = start - offset;
+      node.children.forEach(child => shift(child, delta));
+      cursor += delta;
+      offset = start;
+    }
+
+    node.offset = offset;
+    cursor = Math.max(cursor, offset + unitSize(node) + rowGap);
+  };
+
+  place(root);
+}
+
+/**
+ * Flatten a placed tree into card nodes and links.
+ *
+ * @param {Object} root - Placed tree
+ * @param {Object} axes - { orientation, direction, depthStep, cardBreadth, spouseGap }
+ * @param {string} linkType - 'ancestor' (child to parent) or 'descendant' (parent to child)
+ */
+function flattenTree(root, axes, linkType) {
+  const { orientation, direction, depthStep, cardBreadth, spouseGap } = axes;
+  const nodes = [];
+  const links = [];
+
+  const toPoint = (depth, breadth) => (orientation === 'horizontal'
+    ? { x: depth * depthStep * direction, y: breadth }
+    : { x: breadth, y: depth * depthStep * direction });
+
+  const visit = (node) => {
+    nodes.push({ key: node.key, personId: node.personId, generation: node.generation, role: 'person', ...toPoint(node.generation, node.offset) });
+
+    node.spouseIds.forEach((spouseId, index) => {
+      const spouseKey = `${node.key}:s${index}`;
+      const breadth = node.offset + (index + 1) * (cardBreadth + spouseGap);
+      nodes.push({ key: spouseKey, personId: spouseId, generation: node.generation, role: 'spouse', ...toPoint(node.generation, breadth) });
+      links.push({ from: node.key, to: spouseKey, type: 'spouse', personId: spouseId });
+    });
+
+    node.children.forEach(child => {
+      links.push({
+        from: node.key,
+        to: child.key,
+        type: linkType,
+        // The person whose legitimacy colours the line
+        personId: linkType === 'descendant' ? child.personId : node.personId
+      });
+      visit(child);
+    });
+  };
+
+  visit(root);
+  return { nodes, links };
+}
+
+/**
+ * Move a layout so the root card sits at the origin
+ */
+function centreOnRoot(layout) {
+  const root = layout.nodes.find(node => node.key === ROOT_KEY);
+  if (!root) return layout;
+  const dx = root.x;
+  const dy = root.y;
+  layout.nodes.forEach(node => {
+    node.x -= dx;
+    node.y -= dy;
+  });
+  return layout;
+}
+
+function getChartConfig(config) {
+  return {
+    generations: DEFAULT_CHART_GENERATIONS,
+    cardWidth: 150,
+    cardHeight: 70,
+    depthSpacing: 60,      // Gap between generations
+    rowSpacing: 20,        // Gap between neighbouring cards of a generation
+    spouseSpacing: 8,      // Gap between a descendant and their stacked spouses
+    calendar: null,
+    ...config
+  };
+}
+
+// ==================== CARD CHARTS ====================
+
+/**
+ * Classic pedigree chart: the person on the left, N generations of
+ * ancestors to the right, father above mother.
+ *
+ * @param {number} rootId - Person the chart is centred on
+ * @param {Object} maps - { peopleById, parentMap }
+ * @param {Object} config - { generations, cardWidth, cardHeight, ... }
+ * @returns {{ orientation: string, nodes: Array, links: Array }}
+ *   nodes: { key, personId, generation, role, x, y } with the root at 0,0
+ *   links: { from, to, type, personId } between node keys
+ */
+export function calculatePedigreeLayout(rootId, maps, config = {}) {
+  const { generations, cardWidth, cardHeight, depthSpacing, rowSpacing, spouseSpacing } = getChartConfig(config);
+
+  const tree = buildAncestorTree(rootId, maps, generations);
+  assignBreadth(tree, cardHeight, spouseSpacing, rowSpacing);
+
+  return centreOnRoot({
+    orientation: 'horizontal',
+    ...flattenTree(tree, {
+      orientation: 'horizontal',
+      direction: 1,
+      depthStep: cardWidth + depthSpacing,
+      cardBreadth: cardHeight,
+      spouseGap: spouseSpacing
+    }, 'ancestor')
+  });
+}
+
+/**
+ * Descendant chart: the person on the left, N generations of descendants
+ * to the right. Each person's spouses are stacked beneath their card.
+ *
+ * @param {number} rootId - Person the chart is centred on
+ * @param {Object} maps - { peopleById, parentMap, childrenMap, spouseMap }
+ * @param {Object} config - { generations, calendar, ... }
+ * @returns {{ orientation: string, nodes: Array, links: Array }}
+ */
+export function calculateDescendantLayout(rootId, maps, config = {}) {
+  const { generations, cardWidth, cardHeight, depthSpacing, rowSpacing, spouseSpacing, calendar } = getChartConfig(config);
+
+  const tree = buildDescendantTree(rootId, maps, generations, calendar);
+  assignBreadth(tree, cardHeight, spouseSpacing, rowSpacing);
+
+  return centreOnRoot({
+    orientation: 'horizontal',
+    ...flattenTree(tree, {
+      orientation: 'horizontal',
+      direction: 1,
+      depthStep: cardWidth + depthSpacing,
+      cardBreadth: cardHeight,
+      spouseGap: spouseSpacing
+    }, 'descendant')
+  });
+}
+
+/**
+ * Hourglass chart: ancestors fan out above the person and descendants
+ * below, both N generations deep. The two halves share the root card.
+ *
+ * @param {number} rootId - Person the chart is centred on
+ * @param {Object} maps - { peopleById, parentMap, childrenMap, spouseMap }
+ * @param {Object} config - { generations, calendar, ... }
+ * @returns {{ orientation: string, nodes: Array, links: Array }}
+ */
+export function calculateHourglassLayout(rootId, maps, config = {}) {
+  const { generations, cardWidth, cardHeight, depthSpacing, rowSpacing, spouseSpacing, calendar } = getChartConfig(config);
+  const axes = {
+    orientation: 'vertical',
+    depthStep: cardHeight + depthSpacing,
+    cardBreadth: cardWidth,
+    spouseGap: spouseSpacing
+  };
+
+  const ancestors = buildAncestorTree(rootId, maps, generations);
+  assignBreadth(ancestors, cardWidth, spouseSpacing, rowSpacing);
+  const upper = centreOnRoot(flattenTree(ancestors, { ...axes, direction: -1 }, 'ancestor'));
+
+  const descendants = buildDescendantTree(rootId, maps, generations, calendar);
+  assignBreadth(descendants, cardWidth, spouseSpacing, rowSpacing);
+  const lower = centreOnRoot(flattenTree(descendants, { ...axes, direction: 1 }, 'descendant'));
+
+  return {
+    orientation: 'vertical',
+    nodes: [...upper.nodes.filter(node => node.key !== ROOT_KEY), ...lower.nodes],
+    links: [...upper.links, ...lower.links]
+  };
+}
+
+// ==================== FAN CHART ====================
+
+/**
+ * Fan chart: the person in a central disc and each ancestor generation as
+ * a ring, split into 2^n equal slots by Ahnentafel number so every
+ * ancestor keeps a fixed place even when others are unknown.
+ *
+ * Angles are in radians, clockwise from twelve o'clock (as d3.arc expects).
+ *
+ * @param {number} rootId - Person the chart is centred on
+ * @param {Object} maps - { peopleById, parentMap }
+ * @param {Object} config - { generations, centerRadius, ringWidth, sweep }
+ * @returns {Array<Object>} Segments:
+ *   { key, personId, generation, ahnentafel, startAngle, endAngle, innerRadius, outerRadius }
+ */
+export function calculateFanLayout(rootId, maps, config = {}) {
+  const {
+    generations,
+    centerRadius = 70,
+    ringWidth = 90,
+    sweep = (4 * Math.PI) / 3   // 240 degrees
+  } = getChartConfig(config);
+
+  const segments = [];
+
+  const visit = (node) => {
+    const slotCount = 2 ** node.generation;
+    const slotAngle = sweep / slotCount;
+    const slot = node.ahnentafel - slotCount;
+
+    segments.push({
+      key: node.key,
+      personId: node.personId,
+      generation: node.generation,
+      ahnentafel: node.ahnentafel,
+      startAngle: node.generation === 0 ? 0 : -sweep / 2 + slot * slotAngle,
+      endAngle: node.generation === 0 ? 2 * Math.PI : -sweep / 2 + (slot + 1) * slotAngle,
+      innerRadius: node.generation === 0 ? 0 : centerRadius + (node.generation - 1) * ringWidth,
+      outerRadius: centerRadius + node.generation * ringWidth
+    });
+    node.children.forEach(visit);
+  };
+
+  visit(buildAncestorTree(rootId, maps, generations));
+  return segments;
+}
+
+export default {
+  CHART_MODES,
+  CHART_MODE_LABELS,
+  orderParents,
+  calculatePedigreeLayout,
+  calculateDescendantLayout,
+  calculateHourglassLayout,
+  calculateFanLayout
+};
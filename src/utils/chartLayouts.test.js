@@ -0,0 +1,128 @@
+/**
+ * Chart Layout Tests
+ *
+ * Tests for the person-centred chart layouts:
+ * - Father / mother ordering
+ * - Pedigree, descendant and hourglass card positions
+ * - Fan chart Ahnentafel slots
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildRelationshipMaps } from './RelationshipCalculator';
+import {
+  orderParents,
+  calculatePedigreeLayout,
+  calculateDescendantLayout,
+  calculateHourglassLayout,
+  calculateFanLayout
+} from './chartLayouts';
+
+// Three generations: Aldric + Maren -> Edric (+ Lysa) -> Tomas, Wenna
+const people = [
+  { id: 1, firstName: 'Aldric', gender: 'male', dateOfBirth: '1200' },
+  { id: 2, firstName: 'Maren', gender: 'female', dateOfBirth: '1202' },
+  { id: 3, firstName: 'Edric', gender: 'male', dateOfBirth: '1225' },
+  { id: 4, firstName: 'Lysa', gender: 'female', dateOfBirth: '1227' },
+  { id: 5, firstName: 'Wenna', gender: 'female', dateOfBirth: '1252' },
+  { id: 6, firstName: 'Tomas', gender: 'male', dateOfBirth: '1250' }
+];
+
+const relationships = [
+  // Mother recorded first so ordering has to come from gender
+  { person1Id: 2, person2Id: 3, relationshipType: 'parent' },
+  { person1Id: 1, person2Id: 3, relationshipType: 'parent' },
+  { person1Id: 1, person2Id: 2, relationshipType: 'spouse' },
+  { person1Id: 3, person2Id: 4, relationshipType: 'spouse' },
+  { person1Id: 3, person2Id: 5, relationshipType: 'parent' },
+  { person1Id: 4, person2Id: 5, relationshipType: 'parent' },
+  { person1Id: 3, person2Id: 6, relationshipType: 'parent' },
+  { person1Id: 4, person2Id: 6, relationshipType: 'parent' }
+];
+
+const getMaps = () => ({
+  peopleById: new Map(people.map(p => [p.id, p])),
+  ...buildRelationshipMaps(relationships)
+});
+
+const byPerson = (layout, personId) => layout.nodes.find(node => node.personId === personId);
+
+describe('chartLayouts', () => {
+  describe('orderParents', () => {
+    it('should put the father first regardless of record order', () => {
+      const { parentMap, peopleById } = getMaps();
+      expect(orderParents(3, parentMap, peopleById)).toEqual([1, 2]);
+    });
+
+    it('should leave the father slot empty when only the mother is known', () => {
+      const peopleById = new Map(people.map(p => [p.id, p]));
+      expect(orderParents(3, new Map([[3, [2]]]), peopleById)).toEqual([null, 2]);
+    });
+  });
+
+  describe('calculatePedigreeLayout', () => {
+    it('should run ancestors left to right with the father above the mother', () => {
+      const layout = calculatePedigreeLayout(5, getMaps(), { cardWidth: 150, depthSpacing: 50 });
+
+      expect(layout.orientation).toBe('horizontal');
+      expect(byPerson(layout, 5)).toMatchObject({ x: 0, y: 0, generation: 0 });
+      expect(byPerson(layout, 3)).toMatchObject({ x: 200, generation: 1 });
+      expect(byPerson(layout, 1).x).toBe(400);
+      expect(byPerson(layout, 1).y).toBeLessThan(byPerson(layout, 2).y);
+      expect(layout.links).toContainEqual({ from: 'a2', to: 'a4', type: 'ancestor', personId: 3 });
+    });
+
+    it('should stop after the requested number of generations', () => {
+      const layout = calculatePedigreeLayout(5, getMaps(), { generations: 1 });
+      expect(layout.nodes.map(node => node.personId)).toEqual([5, 3, 4]);
+    });
+  });
+
+  describe('calculateDescendantLayout', () => {
+    it('should stack spouses under each descendant and order children by birth', () => {
+      const layout = calculateDescendantLayout(3, getMaps(), { cardHeight: 70, spouseSpacing: 8 });
+      const edric = byPerson(layout, 3);
+      const lysa = byPerson(layout, 4);
+
+      expect(edric).toMatchObject({ x: 0, y: 0, role: 'person' });
+      expect(lysa).toMatchObject({ x: 0, y: 78, role: 'spouse' });
+      expect(byPerson(layout, 6).y).toBeLessThan(byPerson(layout, 5).y);
+      expect(layout.links.filter(link => link.type === 'descendant')).toHaveLength(2);
+    });
+
+    it('should not overlap a couple with the row above it', () => {
+      const layout = calculateDescendantLayout(1, getMaps(), { cardHeight: 70, rowSpacing: 20, spouseSpacing: 8 });
+      const cards = layout.nodes
+        .filter(node => node.generation === 1)
+        .sort((a, b) => a.y - b.y);
+
+      cards.slice(1).forEach((card, index) => {
+        expect(card.y - cards[index].y).toBeGreaterThanOrEqual(70);
+      });
+    });
+  });
+
+  describe('calculateHourglassLayout', () => {
+    it('should put ancestors above and descendants below a single root card', () => {
+      const layout = calculateHourglassLayout(3, getMaps(), { cardHeight: 70, depthSpacing: 60 });
+
+      expect(layout.orientation).toBe('vertical');
+      expect(layout.nodes.filter(node => node.key === 'root')).toHaveLength(1);
+      expect(byPerson(layout, 1).y).toBe(-130);
+      expect(byPerson(layout, 5).y).toBe(130);
+      expect(byPerson(layout, 4).y).toBe(0);
+    });
+  });
+
+  describe('calculateFanLayout', () => {
+    it('should give each ancestor a fixed Ahnentafel slot', () => {
+      const segments = calculateFanLayout(5, getMaps(), { sweep: Math.PI, centerRadius: 50, ringWidth: 100 });
+      const slot = (personId) => segments.find(segment => segment.personId === personId);
+
+      expect(slot(5)).toMatchObject({ innerRadius: 0, outerRadius: 50 });
+      expect(slot(3)).toMatchObject({ ahnentafel: 2, startAngle: -Math.PI / 2, endAngle: 0 });
+      expect(slot(4)).toMatchObject({ ahnentafel: 3, startAngle: 0, endAngle: Math.PI / 2 });
+      expect(slot(2)).toMatchObject({ ahnentafel: 5, innerRadius: 150, outerRadius: 250 });
+      expect(slot(2).startAngle).toBeCloseTo(-Math.PI / 4);
+    });
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * Citations - Sources and Confidence for Individual Facts
+ *
+ * A citation backs one fact on a record - a person's birth date, the
+ * parent link itself, a tenure's dates - with a source and a confidence.
+ * Citations live on the record they support (a `citations` array, like
+ * epithets), so they sync, undo and merge along with it.
+ *
+ * CITATION OBJECT STRUCTURE:
+ * {
+ *   id: "cit_...",          // Auto-generated
+ *   field: "dateOfBirth",   // Fact on the record (see CITABLE_FIELDS)
+ *   sourceType: "codex",    // "codex" | "chapter" | "document"
+ *   codexEntryId: 12,       // For "codex"
+ *   writingId: 3,           // For "chapter"
+ *   chapterId: 7,           // For "chapter"
+ *   title: "Annals of Wilfrey", // For "document" (external, free text)
+ *   note: "Says 1120, but the annalist was writing a century later",
+ *   confidence: "rumoured"  // "canon" | "rumoured" | "disputed"
+ * }
+ *
+ * A fact's confidence is the best of its citations: any canon citation
+ * makes it canon; otherwise a disputed citation makes it disputed, and a
+ * rumoured one rumoured. Uncited facts have no confidence and are treated
+ * as canon, so existing data validates as before.
+ */
+
+// ==================== CONSTANTS ====================
+
+/**
+ * How far a source can be trusted
+ */
+export const CONFIDENCE_LEVELS = {
+  canon: {
+    id: 'canon',
+    label: 'Canon',
+    description: 'Established fact in the world',
+    icon: '📜'
+  },
+  rumoured: {
+    id: 'rumoured',
+    label: 'Rumoured',
+    description: 'Hearsay or a single unreliable source',
+    icon: '💬'
+  },
+  disputed: {
+    id: 'disputed',
+    label: 'Disputed',
+    description: 'Sources disagree',
+    icon: '⚖️'
+  }
+};
+
+/**
+ * Where a citation points
+ */
+export const SOURCE_TYPES = {
+  codex: { id: 'codex', label: 'Codex entry', icon: '📖' },
+  chapter: { id: 'chapter', label: 'Writing chapter', icon: '✍️' },
+  document: { id: 'document', label: 'External document', icon: '🗒️' }
+};
+
+/**
+ * Facts that can carry citations, per record type. `relationship` on a
+ * relationship is the link itself (e.g. "X is the parent of Y").
+ */
+export const CITABLE_FIELDS = {
+  person: {
+    dateOfBirth: 'Birth date',
+    dateOfDeath: 'Death date',
+    houseId: 'House',
+    legitimacyStatus: 'Legitimacy',
+    gender: 'Gender'
+  },
+  relationship: {
+    relationship: 'Link',
+    marriageDate: 'Marriage date',
+    divorceDate: 'Divorce date'
+  },
+  dignityTenure: {
+    tenure: 'Tenure',
+    dateStarted: 'Start date',
+    dateEnded: 'End date'
+  }
+};
+
+const CONFIDENCE_RANK = { canon: 2, disputed: 1, rumoured: 0 };
+
+// ==================== CREATION ====================
+
+/**
+ * Generate a unique ID for a new citation
+ */
+export function generateCitationId() {
+  return `cit_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+}
+
+/**
+ * Create a citation with defaults
+ *
+ * @param {string} field - Fact the citation supports
+ * @param {Object} source - { sourceType, codexEntryId, writingId, chapterId, title, note, confidence }
+ * @returns {Object} New citation
+ */
+export function createCitation(field, source = {}) {
+  const sourceType = SOURCE_TYPES[source.sourceType] ? source.sourceType : 'document';
+  const citation = {
+    id: generateCitationId(),
+    field,
+    sourceType,
+    note: source.note?.trim() || null,
+    confidence: CONFIDENCE_LEVELS[source.confidence] ? source.confidence : 'canon'
+  };
+
+  if (sourceType === 'codex') {
+    citation.codexEntryId = source.codexEntryId ?? null;
+  } else if (sourceType === 'chapter') {
+    citation.writingId = source.writingId ?? null;
+    citation.chapterId = source.chapterId ?? null;
+  } else {
+    citation.title = source.title?.trim() || null;
+  }
+
+  return citation;
+}
+
+/**
+ * Check a citation has what its source type needs
+ *
+ * @returns {{isValid: boolean, errors: Array<string>}}
+ */
+export function validateCitation(citation) {
+  const errors = [];
+
+  if (!citation?.field) errors.push('A citation must name the fact it supports');
+  if (!CONFIDENCE_LEVELS[citation?.confidence]) errors.push('Choose a confidence level');
+
+  switch (citation?.sourceType) {
+    case 'codex':
+      if (!citation.codexEntryId) errors.push('Choose a Codex entry');
+      break;
+    case 'chapter':
+      if (!citation.writingId || !citation.chapterId) errors.push('Choose a writing and chapter');
+      break;
+    case 'document':
+      if (!citation.title && !citation.note) errors.push('Name the document or add a note');
+      break;
+    default:
+      errors.push('Unknown source type');
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+// ==================== LIST OPERATIONS ====================
+
+/**
+ * Add a citation to a list (returns a new array)
+ */
+export function addCitation(citations = [], citation) {
+  return [...citations, citation];
+}
+
+/**
+ * Remove a citation by ID (returns a new array)
+ */
+export function removeCitation(citations = [], citationId) {
+  return citations.filter(c => c.id !== citationId);
+}
+
+/**
+ * Change a citation's confidence (returns a new array)
+ */
+export function setCitationConfidence(citations = [], citationId, confidence) {
+  if (!CONFIDENCE_LEVELS[confidence]) return citations;
+  return citations.map(c => (c.id === citationId ? { ...c, confidence } : c));
+}
+
+// ==================== CONFIDENCE ====================
+
+/**
+ * Citations on a record for one fact
+ *
+ * @param {Object} record - Person, relationship or tenure
+ * @param {string} field - Fact name
+ * @returns {Array<Object>}
+ */
+export function getCitationsForField(record, field) {
+  return (record?.citations || []).filter(c => c.field === field);
+}
+
+/**
+ * Confidence in one fact on a record
+ *
+ * @returns {string|null} 'canon' | 'disputed' | 'rumoured', or null if uncited
+ */
+export function getFieldConfidence(record, field) {
+  const citations = getCitationsForField(record, field)
+    .filter(c => CONFIDENCE_LEVELS[c.confidence]);
+  if (citations.length === 0) return null;
+
+  return citations.reduce((best, c) => (
+    CONFIDENCE_RANK[c.confidence] > CONFIDENCE_RANK[best] ? c.confidence : best
+  ), citations[0].confidence);
+}
+
+/**
+ * Whether a fact rests only on rumoured or disputed sources
+ */
+export function isLowConfidence(record, field) {
+  const confidence = getFieldConfidence(record, field);
+  return confidence === 'rumoured' || confidence === 'disputed';
+}
+
+/**
+ * The low-confidence facts among a set, for validation messages
+ *
+ * @param {Array<{record: Object, field: string, label?: string}>} facts
+ * @returns {Array<{recordId, field, label, confidence}>} Empty if every fact is canon or uncited
+ */
+export function findLowConfidenceFacts(facts) {
+  return facts
+    .filter(({ record, field }) => record && isLowConfidence(record, field))
+    .map(({ record, field, label }) => ({
+      recordId: record.id ?? null,
+      field,
+      label: label || field,
+      confidence: getFieldConfidence(record, field)
+    }));
+}
+
+/**
+ * Every low-confidence fact on a record
+ *
+ * @param {Object} record - Person, relationship or tenure
+ * @param {string} recordType - Key of CITABLE_FIELDS
+ * @returns {Array<{field, label, confidence}>}
+ */
+export function getLowConfidenceFields(record, recordType) {
+  const fields = new Set((record?.citations || []).map(c => c.field));
+  const labels = CITABLE_FIELDS[recordType] || {};
+  return [...fields]
+    .filter(field => isLowConfidence(record, field))
+    .map(field => ({ field, label: labels[field] || field, confidence: getFieldConfidence(record, field) }));
+}
+
+// ==================== DISPLAY ====================
+
+/**
+ * Short description of where a citation points
+ *
+ * @param {Object} citation
+ * @param {Object} [lookup] - { codexEntries, writings, chapters } to resolve titles
+ * @returns {string}
+ */
+export function describeSource(citation, { codexEntries = [], writings = [], chapters = [] } = {}) {
+  switch (citation.sourceType) {
+    case 'codex': {
+      const entry = codexEntries.find(e => e.id === citation.codexEntryId);
+      return entry?.title || `Codex entry #${citation.codexEntryId}`;
+    }
+    case 'chapter': {
+      const writing = writings.find(w => w.id === citation.writingId);
+      const chapter = chapters.find(c => c.id === citation.chapterId);
+      const writingTitle = writing?.title || `Writing #${citation.writingId}`;
+      return chapter?.title ? `${writingTitle} — ${chapter.title}` : writingTitle;
+    }
+    default:
+      return citation.title || citation.note || 'External document';
+  }
+}
+
+export default {
+  CONFIDENCE_LEVELS,
+  SOURCE_TYPES,
+  CITABLE_FIELDS,
+  generateCitationId,
+  createCitation,
+  validateCitation,
+  addCitation,
+  removeCitation,
+  setCitationConfidence,
+  getCitationsForField,
+  getFieldConfidence,
+  isLowConfidence,
+  findLowConfidenceFacts,
+  getLowConfidenceFields,
+  describeSource
+};
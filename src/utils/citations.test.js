@@ -0,0 +1,131 @@
+/**
+ * Citations Tests
+ *
+ * Tests for source citations on facts:
+ * - Creating and validating citations per source type
+ * - A fact's confidence from its citations
+ * - Validation softened for rumoured or disputed facts
+ * - Disputed facts surfaced in the health check
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createCitation,
+  validateCitation,
+  addCitation,
+  removeCitation,
+  getFieldConfidence,
+  isLowConfidence,
+  getLowConfidenceFields,
+  describeSource
+} from './citations';
+import { validatePerson, validateRelationship, runHealthCheck } from './SmartDataValidator';
+
+const cite = (field, confidence, extra = {}) =>
+  createCitation(field, { sourceType: 'document', title: 'Annals', confidence, ...extra });
+
+describe('citations', () => {
+  it('should create citations with only the fields their source needs', () => {
+    const codex = createCitation('dateOfBirth', { sourceType: 'codex', codexEntryId: 4, confidence: 'rumoured' });
+    const chapter = createCitation('dateOfBirth', { sourceType: 'chapter', writingId: 1, chapterId: 2 });
+    const unknown = createCitation('dateOfBirth', { sourceType: 'oral', confidence: 'certain' });
+
+    expect(codex).toMatchObject({ field: 'dateOfBirth', sourceType: 'codex', codexEntryId: 4, confidence: 'rumoured' });
+    expect(chapter).toMatchObject({ writingId: 1, chapterId: 2, confidence: 'canon' });
+    expect(unknown).toMatchObject({ sourceType: 'document', confidence: 'canon' });
+  });
+
+  it('should reject citations missing their source', () => {
+    expect(validateCitation(createCitation('dateOfBirth', { sourceType: 'codex' })).isValid).toBe(false);
+    expect(validateCitation(createCitation('dateOfBirth', { sourceType: 'chapter', writingId: 1 })).isValid).toBe(false);
+    expect(validateCitation(cite('dateOfBirth', 'canon')).isValid).toBe(true);
+  });
+
+  it('should take a fact\'s confidence from its best citation', () => {
+    const person = {
+      citations: [
+        cite('dateOfBirth', 'rumoured'),
+        cite('dateOfBirth', 'canon'),
+        cite('dateOfDeath', 'rumoured'),
+        cite('dateOfDeath', 'disputed')
+      ]
+    };
+
+    expect(getFieldConfidence(person, 'dateOfBirth')).toBe('canon');
+    expect(getFieldConfidence(person, 'dateOfDeath')).toBe('disputed');
+    expect(getFieldConfidence(person, 'houseId')).toBeNull();
+    expect(isLowConfidence(person, 'dateOfDeath')).toBe(true);
+    expect(getLowConfidenceFields(person, 'person')).toEqual([
+      { field: 'dateOfDeath', label: 'Death date', confidence: 'disputed' }
+    ]);
+  });
+
+  it('should add, remove and describe citations', () => {
+    const citation = createCitation('dateOfBirth', { sourceType: 'chapter', writingId: 1, chapterId: 2 });
+    const list = addCitation([], citation);
+
+    expect(list).toHaveLength(1);
+    expect(removeCitation(list, citation.id)).toEqual([]);
+    expect(describeSource(citation, {
+      writings: [{ id: 1, title: 'The Long Winter' }],
+      chapters: [{ id: 2, title: 'Ashes' }]
+    })).toBe('The Long Winter — Ashes');
+  });
+});
+
+describe('validation with citations', () => {
+  const parent = { id: 1, firstName: 'Aldric', lastName: 'Wilfrey', dateOfBirth: '1150' };
+  const child = { id: 2, firstName: 'Edric', lastName: 'Wilfrey', dateOfBirth: '1140' };
+
+  it('should keep conflicts between uncited facts as errors', () => {
+    const result = validateRelationship(
+      { person1Id: 1, person2Id: 2, relationshipType: 'parent' }, [parent, child], []
+    );
+
+    expect(result.errors.map(e => e.code)).toContain('PARENT_BORN_AFTER_CHILD');
+  });
+
+  it('should soften conflicts resting on a rumoured date to warnings', () => {
+    const rumouredChild = { ...child, citations: [cite('dateOfBirth', 'rumoured')] };
+    const result = validateRelationship(
+      { person1Id: 1, person2Id: 2, relationshipType: 'parent' }, [parent, rumouredChild], []
+    );
+    const warning = result.warnings.find(w => w.code === 'PARENT_BORN_AFTER_CHILD');
+
+    expect(result.errors).toHaveLength(0);
+    expect(warning.details.lowConfidence).toEqual([
+      { recordId: 2, field: 'dateOfBirth', label: 'birth date for Edric', confidence: 'rumoured' }
+    ]);
+    expect(warning.message).toContain('rests on rumoured birth date for Edric');
+  });
+
+  it('should soften conflicts resting on disputed parentage', () => {
+    const result = validateRelationship(
+      { person1Id: 1, person2Id: 2, relationshipType: 'parent', citations: [cite('relationship', 'disputed')] },
+      [parent, child], []
+    );
+
+    expect(result.isValid).toBe(true);
+    expect(result.warnings[0].details.lowConfidence[0]).toMatchObject({ field: 'relationship', confidence: 'disputed' });
+  });
+
+  it('should soften impossible lifespans only when a date is uncertain', () => {
+    const person = { firstName: 'Sela', lastName: 'Thorn', dateOfBirth: '1200', dateOfDeath: '1190' };
+
+    expect(validatePerson(person).isValid).toBe(false);
+    expect(validatePerson({ ...person, citations: [cite('dateOfDeath', 'disputed')] }).isValid).toBe(true);
+    expect(validatePerson({ ...person, citations: [cite('dateOfDeath', 'canon')] }).isValid).toBe(false);
+  });
+
+  it('should suggest resolving disputed facts in the health check', () => {
+    const report = runHealthCheck({
+      people: [{ ...parent, citations: [cite('dateOfBirth', 'disputed'), cite('houseId', 'rumoured')] }],
+      relationships: [],
+      houses: []
+    });
+
+    const disputed = report.suggestions.filter(s => s.type === 'DISPUTED_FACT');
+    expect(disputed).toHaveLength(1);
+    expect(disputed[0]).toMatchObject({ personId: 1, field: 'dateOfBirth' });
+  });
+});
@@ -10,14 +10,92 @@
  *
  * Block width is determined by the WIDEST descendant generation within
  * that sibling's entire descendant tree.
+ *
+ * MULTIPLE SPOUSES:
+ * spouseMap is personId -> [spouseIds] in marriage order. Every spouse is
+ * placed to the right of the person, first marriage nearest, and each
+ * marriage is a separate union with its own children (see getUnions).
+ */
+
+import { getSpouseIds } from './RelationshipCalculator';
+import { compareDates } from './calendarUtils';
+
+/**
+ * Spouses of a person that are part of the layout, in marriage order
  */
+function getPlacedSpouses(personId, spouseMap, peopleById) {
+  return getSpouseIds(spouseMap, personId).filter(id => peopleById.has(id));
+}
+
+/**
+ * Width of a person's own row of cards: the person plus each spouse
+ */
+function getCoupleWidth(spouseCount, cardWidth, spouseSpacing) {
+  return (cardWidth * (spouseCount + 1)) + (spouseSpacing * spouseCount);
+}
+
+/**
+ * Split a person's children into unions - one per marriage, in marriage
+ * order - so each marriage can be drawn with its own children.
+ *
+ * A child goes to the union whose spouse is their other parent. Children
+ * whose other parent isn't a spouse (e.g. bastards) form a leading union
+ * with spouseId null, drawn from the person alone. A spouse's children by
+ * someone else are kept with that spouse's union so they stay beside them.
+ *
+ * @param {number} personId - Person whose unions to list
+ * @param {Map} childrenMap - Map of personId -> [childIds]
+ * @param {Map} spouseMap - Map of personId -> [spouseIds]
+ * @param {Map} parentMap - Map of personId -> [parentIds]
+ * @param {Map} peopleById - People in the layout
+ * @returns {Array<{spouseId: number|null, childIds: number[]}>}
+ */
+export function getUnions(personId, childrenMap, spouseMap, parentMap, peopleById) {
+  const spouses = getPlacedSpouses(personId, spouseMap, peopleById);
+  const soloUnion = { spouseId: null, childIds: [] };
+  const marriageUnions = spouses.map(spouseId => ({ spouseId, childIds: [] }));
+  const assigned = new Set();
+
+  (childrenMap.get(personId) || []).forEach(childId => {
+    const childParents = parentMap?.get(childId) || [];
+    const union = marriageUnions.find(u => childParents.includes(u.spouseId)) || soloUnion;
+    union.childIds.push(childId);
+    assigned.add(childId);
+  });
+
+  marriageUnions.forEach(union => {
+    (childrenMap.get(union.spouseId) || []).forEach(childId => {
+      if (assigned.has(childId)) return;
+      union.childIds.push(childId);
+      assigned.add(childId);
+    });
+  });
+
+  return soloUnion.childIds.length > 0 ? [soloUnion, ...marriageUnions] : marriageUnions;
+}
+
+/**
+ * Order children for layout: by union (marriage order), then birth date
+ */
+export function orderChildren(personId, childIds, childrenMap, spouseMap, parentMap, peopleById, calendar) {
+  const unionIndex = new Map();
+  getUnions(personId, childrenMap, spouseMap, parentMap, peopleById).forEach((union, index) => {
+    union.childIds.forEach(childId => unionIndex.set(childId, index));
+  });
+
+  return [...childIds].sort((a, b) => {
+    const unionDiff = (unionIndex.get(a) ?? 0) - (unionIndex.get(b) ?? 0);
+    if (unionDiff !== 0) return unionDiff;
+    return compareDates(peopleById.get(a)?.dateOfBirth, peopleById.get(b)?.dateOfBirth, calendar);
+  });
+}
 
 /**
  * Calculate the family block structure for a set of siblings
  *
  * @param {Array} siblingIds - IDs of siblings to analyze
  * @param {Map} childrenMap - Map of personId -> [childIds]
- * @param {Map} spouseMap - Map of personId -> spouseId
+ * @param {Map} spouseMap - Map of personId -> [spouseIds]
  * @param {Map} peopleById - Map of personId -> person object
  * @param {Object} config - Layout configuration
  * @returns {Object} Block structure with widths and positions
@@ -37,7 +115,7 @@ export function calculateFamilyBlocks(siblingIds, childrenMap, spouseMap, people
     if (!person) return;
 
     const hasDescendants = hasAnyDescendants(siblingId, childrenMap);
-    const hasSpouse = spouseMap.has(siblingId) && peopleById.has(spouseMap.get(siblingId));
+    const spouseIds = getPlacedSpouses(siblingId, spouseMap, peopleById);
 
     if (hasDescendants) {
       // This sibling gets a BLOCK
@@ -47,24 +125,20 @@ export function calculateFamilyBlocks(siblingIds, childrenMap, spouseMap, people
         type: 'block',
         rootId: siblingId,
         rootPerson: person,
-        hasSpouse,
-        spouseId: hasSpouse ? spouseMap.get(siblingId) : null,
+        hasSpouse: spouseIds.length > 0,
+        spouseIds,
         width: blockWidth,
         descendantGenerations: getDescendantGenerations(siblingId, childrenMap, spouseMap, peopleById)
       });
     } else {
-      // No descendants - just the person (+ spouse if any)
-      const personWidth = hasSpouse
-        ? (cardWidth * 2) + spouseSpacing
-        : cardWidth;
-
+      // No descendants - just the person (+ spouses if any)
       blocks.push({
         type: 'leaf',
         rootId: siblingId,
         rootPerson: person,
-        hasSpouse,
-        spouseId: hasSpouse ? spouseMap.get(siblingId) : null,
-        width: personWidth,
+        hasSpouse: spouseIds.length > 0,
+        spouseIds,
+        width: getCoupleWidth(spouseIds.length, cardWidth, spouseSpacing),
         descendantGenerations: []
       });
     }
@@ -89,9 +163,6 @@ export function getDescendantGenerations(personId, childrenMap, spouseMap, peopl
   const generations = [];
   let currentGen = [personId];
 
-  // Include spouse in gen 0 tracking for children lookup
-  const spouseId = spouseMap.get(personId);
-
   while (currentGen.length > 0) {
     const nextGen = new Set();
 
@@ -99,12 +170,11 @@ export function getDescendantGenerations(personId, childrenMap, spouseMap, peopl
       const children = childrenMap.get(pid) || [];
       children.forEach(childId => nextGen.add(childId));
 
-      // Also check spouse's children
-      const pSpouse = spouseMap.get(pid);
-      if (pSpouse) {
-        const spouseChildren = childrenMap.get(pSpouse) || [];
+      // Also check every spouse's children
+      getSpouseIds(spouseMap, pid).forEach(spouseId => {
+        const spouseChildren = childrenMap.get(spouseId) || [];
         spouseChildren.forEach(childId => nextGen.add(childId));
-      }
+      });
     });
 
     if (nextGen.size > 0) {
@@ -129,9 +199,9 @@ export function calculateBlockWidth(personId, childrenMap, spouseMap, peopleById
     spouseSpacing = 35
   } = config;
 
-  // Start with the root person + spouse width
-  const hasSpouse = spouseMap.has(personId) && peopleById.has(spouseMap.get(personId));
-  let maxWidth = hasSpouse ? (cardWidth * 2) + spouseSpacing : cardWidth;
+  // Start with the root person + spouses width
+  const spouseCount = getPlacedSpouses(personId, spouseMap, peopleById).length;
+  let maxWidth = getCoupleWidth(spouseCount, cardWidth, spouseSpacing);
 
   // Get all descendant generations
   const generations = getDescendantGenerations(personId, childrenMap, spouseMap, peopleById);
@@ -143,10 +213,8 @@ export function calculateBlockWidth(personId, childrenMap, spouseMap, peopleById
 
     genIds.forEach(id => {
       cardCount++;
-      const hasChildSpouse = spouseMap.has(id) && peopleById.has(spouseMap.get(id));
-      if (hasChildSpouse) {
-        cardCount++; // Spouse adds another card
-      }
+      // Each spouse adds another card
+      cardCount += getPlacedSpouses(id, spouseMap, peopleById).length;
     });
 
     if (cardCount > 0) {
@@ -210,7 +278,7 @@ export function positionBlocks(blocks, startX, config = {}) {
  * @param {number} genIndex - Generation index (0 = root)
  * @param {Array} prevGenBlocks - Positioned blocks from previous generation
  * @param {Map} childrenMap - Map of personId -> [childIds]
- * @param {Map} spouseMap - Map of personId -> spouseId
+ * @param {Map} spouseMap - Map of personId -> [spouseIds]
  * @param {Map} peopleById - Map of personId -> person object
  * @param {Map} parentMap - Map of personId -> [parentIds]
  * @param {Object} config - Layout configuration
@@ -243,10 +311,8 @@ export function calculateGenerationPositions(
     // Root generation - just center it
     let totalWidth = 0;
     genIds.forEach(id => {
-      totalWidth += cardWidth;
-      if (spouseMap.has(id) && peopleById.has(spouseMap.get(id))) {
-        totalWidth += cardWidth + spouseSpacing;
-      }
+      const spouseCount = getPlacedSpouses(id, spouseMap, peopleById).length;
+      totalWidth += getCoupleWidth(spouseCount, cardWidth, spouseSpacing);
     });
     totalWidth += (genIds.length - 1) * siblingSpacing;
 
@@ -254,13 +320,15 @@ export function calculateGenerationPositions(
 
     genIds.forEach(id => {
       positions.set(id, { x: currentX, y, width: cardWidth, height: cardHeight });
-      currentX += cardWidth + siblingSpacing;
+      currentX += cardWidth;
 
-      const spouseId = spouseMap.get(id);
-      if (spouseId && peopleById.has(spouseId)) {
-        positions.set(spouseId, { x: currentX - siblingSpacing + spouseSpacing, y, width: cardWidth, height: cardHeight });
-        currentX += cardWidth + siblingSpacing;
-      }
+      getPlacedSpouses(id, spouseMap, peopleById).forEach(spouseId => {
+        currentX += spouseSpacing;
+        positions.set(spouseId, { x: currentX, y, width: cardWidth, height: cardHeight });
+        currentX += cardWidth;
+      });
+
+      currentX += siblingSpacing;
     });
 
     return positions;
@@ -283,27 +351,21 @@ export function calculateGenerationPositions(
       }
     });
 
-    // Also get children of spouse
-    if (block.spouseId) {
-      const spouseChildren = childrenMap.get(block.spouseId) || [];
+    // Also get children of each spouse
+    (block.spouseIds || []).forEach(spouseId => {
+      const spouseChildren = childrenMap.get(spouseId) || [];
       spouseChildren.forEach(childId => {
         if (genIds.includes(childId) && !blockChildren.includes(childId)) {
           blockChildren.push(childId);
         }
       });
-    }
-
-    // Sort by birth date
-    blockChildren.sort((a, b) => {
-      const personA = peopleById.get(a);
-      const personB = peopleById.get(b);
-      return parseInt(personA?.dateOfBirth || 0) - parseInt(personB?.dateOfBirth || 0);
     });
 
     if (blockChildren.length > 0) {
       childrenByParentBlock.set(block.rootId, {
         block,
-        children: blockChildren
+        // By marriage, then birth date
+        children: orderChildren(block.rootId, blockChildren, childrenMap, spouseMap, parentMap, peopleById, config.calendar)
       });
     }
   });
@@ -323,8 +385,9 @@ export function calculateGenerationPositions(
     const positionedChildBlocks = positionBlocks(childBlocks, childStartX, config);
 
     positionedChildBlocks.forEach(childBlock => {
+      const childX = childBlock.centerX - (cardWidth / 2);
       positions.set(childBlock.rootId, {
-        x: childBlock.centerX - (cardWidth / 2),
+        x: childX,
         y,
         width: cardWidth,
         height: cardHeight,
@@ -333,15 +396,15 @@ export function calculateGenerationPositions(
         blockCenterX: childBlock.centerX
       });
 
-      // Position spouse
-      if (childBlock.spouseId) {
-        positions.set(childBlock.spouseId, {
-          x: childBlock.centerX - (cardWidth / 2) + cardWidth + spouseSpacing,
+      // Position spouses, in marriage order
+      childBlock.spouseIds.forEach((spouseId, index) => {
+        positions.set(spouseId, {
+          x: childX + ((index + 1) * (cardWidth + spouseSpacing)),
           y,
           width: cardWidth,
           height: cardHeight
         });
-      }
+      });
     });
   });
 
@@ -355,12 +418,15 @@ export function calculateGenerationPositions(
  * 1. First, calculate the width needed for each person's descendant tree
  * 2. Then position from root down, ensuring children don't overlap
  *
+ * A person's spouses sit to their right in marriage order; their children
+ * are laid out union by union (see getUnions), then by birth date.
+ *
  * @param {Array} generations - Array of generation arrays (each containing person IDs)
  * @param {Map} childrenMap - Map of personId -> [childIds]
- * @param {Map} spouseMap - Map of personId -> spouseId
+ * @param {Map} spouseMap - Map of personId -> [spouseIds]
  * @param {Map} peopleById - Map of personId -> person object
  * @param {Map} parentMap - Map of personId -> [parentIds]
- * @param {Object} config - Layout configuration
+ * @param {Object} config - Layout configuration (config.calendar orders birth dates)
  * @returns {Map} personId -> { x, y, width, height }
  */
 export function calculateBlockBasedLayout(
@@ -379,64 +445,90 @@ export function calculateBlockBasedLayout(
     branchSpacing = 80,
     anchorX = 1500,
     startY = 100,
-    generationSpacing = 120
+    generationSpacing = 120,
+    calendar = null
   } = config;
 
   const allPositions = new Map();
 
   // STEP 1: Calculate the full descendant tree width for each person (bottom-up)
   const descendantWidths = new Map();
+  const withDescendants = new Set();
+
+  const getOwnWidth = (personId) =>
+    getCoupleWidth(getPlacedSpouses(personId, spouseMap, peopleById).length, cardWidth, spouseSpacing);
+
+  // Children sitting side by side get branch spacing after those with descendants
+  const getChildrenWidth = (childIds) => {
+    let total = 0;
+    childIds.forEach((childId, idx) => {
+      total += descendantWidths.get(childId) || cardWidth;
+      if (idx < childIds.length - 1) {
+        total += withDescendants.has(childId) ? branchSpacing : siblingSpacing;
+      }
+    });
+    return total;
+  };
 
   // Process generations from bottom to top
   for (let genIndex = generations.length - 1; genIndex >= 0; genIndex--) {
     const genIds = generations[genIndex];
 
     genIds.forEach(personId => {
-      const hasSpouse = spouseMap.has(personId) && peopleById.has(spouseMap.get(personId));
-
-      // Get this person's children (in next generation)
-      const children = childrenMap.get(personId) || [];
-      const spouseId = spouseMap.get(personId);
-      const childSet = new Set(children);
-      if (spouseId) {
+      // Get this person's children and all their spouses' children
+      const childSet = new Set(childrenMap.get(personId) || []);
+      getSpouseIds(spouseMap, personId).forEach(spouseId => {
         const spouseChildren = childrenMap.get(spouseId) || [];
         spouseChildren.forEach(c => childSet.add(c));
-      }
+      });
 
       // Filter to children in next generation
       const nextGenIds = generations[genIndex + 1] || [];
-      const myChildren = Array.from(childSet).filter(id => nextGenIds.includes(id));
+      const myChildren = orderChildren(
+        personId,
+        Array.from(childSet).filter(id => nextGenIds.includes(id)),
+        childrenMap, spouseMap, parentMap, peopleById, calendar
+      );
 
       if (myChildren.length === 0) {
-        // Leaf node - width is just person + spouse
-        const width = hasSpouse ? (cardWidth * 2) + spouseSpacing : cardWidth;
-        descendantWidths.set(personId, width);
+        // Leaf node - width is just person + spouses
+        descendantWidths.set(personId, getOwnWidth(personId));
       } else {
-        // Has children - width is sum of children's widths + spacing
-        let totalChildrenWidth = 0;
-        myChildren.forEach((childId, idx) => {
-          const childWidth = descendantWidths.get(childId) || cardWidth;
-          totalChildrenWidth += childWidth;
-
-          // Add spacing after each child (except last)
-          if (idx < myChildren.length - 1) {
-            // Use branch spacing if this child has descendants
-            const childHasDescendants = (descendantWidths.get(childId) || cardWidth) > (cardWidth * 2 + spouseSpacing);
-            if (childHasDescendants) {
-              totalChildrenWidth += branchSpacing;
-            } else {
-              totalChildrenWidth += siblingSpacing;
-            }
-          }
-        });
-
         // My width is the MAX of: my own card(s) OR my children's total width
-        const myOwnWidth = hasSpouse ? (cardWidth * 2) + spouseSpacing : cardWidth;
-        descendantWidths.set(personId, Math.max(myOwnWidth, totalChildrenWidth));
+        withDescendants.add(personId);
+        descendantWidths.set(personId, Math.max(getOwnWidth(personId), getChildrenWidth(myChildren)));
       }
     });
   }
 
+  // Place a person's cards centred in their allocated block
+  const placeFamily = (personId, blockX, y) => {
+    const blockWidth = descendantWidths.get(personId) || cardWidth;
+    const blockCenterX = blockX + (blockWidth / 2);
+    const personX = blockCenterX - (getOwnWidth(personId) / 2);
+
+    allPositions.set(personId, {
+      x: personX,
+      y,
+      width: cardWidth,
+      height: cardHeight,
+      blockX,
+      blockWidth,
+      blockCenterX
+    });
+
+    getPlacedSpouses(personId, spouseMap, peopleById).forEach((spouseId, index) => {
+      allPositions.set(spouseId, {
+        x: personX + ((index + 1) * (cardWidth + spouseSpacing)),
+        y,
+        width: cardWidth,
+        height: cardHeight
+      });
+    });
+
+    return blockWidth;
+  };
+
   // STEP 2: Position from top down using calculated widths
   generations.forEach((genIds, genIndex) => {
     const y = startY + (genIndex * generationSpacing);
@@ -454,37 +546,7 @@ export function calculateBlockBasedLayout(
       let currentX = anchorX - (totalWidth / 2);
 
       genIds.forEach((personId, idx) => {
-        const person = peopleById.get(personId);
-        const myWidth = descendantWidths.get(personId) || cardWidth;
-        const hasSpouse = spouseMap.has(personId) && peopleById.has(spouseMap.get(personId));
-
-        // Center the person card(s) within their allocated width
-        const personCenterX = currentX + (myWidth / 2);
-        const personX = hasSpouse
-          ? personCenterX - cardWidth - (spouseSpacing / 2)
-          : personCenterX - (cardWidth / 2);
-
-        allPositions.set(personId, {
-          x: personX,
-          y,
-          width: cardWidth,
-          height: cardHeight,
-          blockX: currentX,
-          blockWidth: myWidth,
-          blockCenterX: personCenterX
-        });
-
-        if (hasSpouse) {
-          const spouseId = spouseMap.get(personId);
-          allPositions.set(spouseId, {
-            x: personX + cardWidth + spouseSpacing,
-            y,
-            width: cardWidth,
-            height: cardHeight
-          });
-        }
-
-        currentX += myWidth;
+        currentX += placeFamily(personId, currentX, y);
         if (idx < genIds.length - 1) {
           currentX += branchSpacing;
         }
@@ -501,12 +563,13 @@ export function calculateBlockBasedLayout(
         // Find a parent that's in the previous generation
         let parentId = parents.find(pid => prevGenIds.includes(pid));
         if (!parentId) {
-          // Check if parent's spouse is in prev gen
+          // Check if one of a parent's spouses is in prev gen
           parents.forEach(pid => {
-            const pSpouse = spouseMap.get(pid);
-            if (pSpouse && prevGenIds.includes(pSpouse)) {
-              parentId = pSpouse;
-            }
+            getSpouseIds(spouseMap, pid).forEach(pSpouse => {
+              if (prevGenIds.includes(pSpouse)) {
+                parentId = pSpouse;
+              }
+            });
           });
         }
 
@@ -523,83 +586,28 @@ export function calculateBlockBasedLayout(
         const parentPos = allPositions.get(parentId);
         if (!parentPos) return;
 
-        // Get children (including spouse's children)
-        let myChildren = childrenByParent.get(parentId) || [];
-        const spouseId = spouseMap.get(parentId);
-        if (spouseId) {
+        // Get children (including every spouse's children)
+        const myChildren = [...(childrenByParent.get(parentId) || [])];
+        getSpouseIds(spouseMap, parentId).forEach(spouseId => {
           const spouseChildren = childrenByParent.get(spouseId) || [];
           spouseChildren.forEach(c => {
             if (!myChildren.includes(c)) myChildren.push(c);
           });
           childrenByParent.delete(spouseId); // Don't process again
-        }
+        });
 
         if (myChildren.length === 0) return;
 
-        // Sort by birth date
-        myChildren.sort((a, b) => {
-          const personA = peopleById.get(a);
-          const personB = peopleById.get(b);
-          return parseInt(personA?.dateOfBirth || 0) - parseInt(personB?.dateOfBirth || 0);
-        });
-
-        // Calculate total width needed for these children
-        let totalChildrenWidth = 0;
-        myChildren.forEach((childId, idx) => {
-          totalChildrenWidth += descendantWidths.get(childId) || cardWidth;
-          if (idx < myChildren.length - 1) {
-            const childWidth = descendantWidths.get(childId) || cardWidth;
-            const childHasDescendants = childWidth > (cardWidth * 2 + spouseSpacing);
-            if (childHasDescendants) {
-              totalChildrenWidth += branchSpacing;
-            } else {
-              totalChildrenWidth += siblingSpacing;
-            }
-          }
-        });
+        // By marriage, then birth date
+        const orderedChildren = orderChildren(parentId, myChildren, childrenMap, spouseMap, parentMap, peopleById, calendar);
 
         // Position children centered under parent's block center
-        let currentX = parentPos.blockCenterX - (totalChildrenWidth / 2);
-
-        myChildren.forEach((childId, idx) => {
-          const child = peopleById.get(childId);
-          const childWidth = descendantWidths.get(childId) || cardWidth;
-          const hasSpouse = spouseMap.has(childId) && peopleById.has(spouseMap.get(childId));
-
-          // Center the child card(s) within their allocated width
-          const childCenterX = currentX + (childWidth / 2);
-          const childX = hasSpouse
-            ? childCenterX - cardWidth - (spouseSpacing / 2)
-            : childCenterX - (cardWidth / 2);
-
-          allPositions.set(childId, {
-            x: childX,
-            y,
-            width: cardWidth,
-            height: cardHeight,
-            blockX: currentX,
-            blockWidth: childWidth,
-            blockCenterX: childCenterX
-          });
-
-          if (hasSpouse) {
-            const childSpouseId = spouseMap.get(childId);
-            allPositions.set(childSpouseId, {
-              x: childX + cardWidth + spouseSpacing,
-              y,
-              width: cardWidth,
-              height: cardHeight
-            });
-          }
+        let currentX = parentPos.blockCenterX - (getChildrenWidth(orderedChildren) / 2);
 
-          currentX += childWidth;
-          if (idx < myChildren.length - 1) {
-            const childHasDescendants = childWidth > (cardWidth * 2 + spouseSpacing);
-            if (childHasDescendants) {
-              currentX += branchSpacing;
-            } else {
-              currentX += siblingSpacing;
-            }
+        orderedChildren.forEach((childId, idx) => {
+          currentX += placeFamily(childId, currentX, y);
+          if (idx < orderedChildren.length - 1) {
+            currentX += withDescendants.has(childId) ? branchSpacing : siblingSpacing;
           }
         });
       });
@@ -610,6 +618,8 @@ export function calculateBlockBasedLayout(
 }
 
 export default {
+  getUnions,
+  orderChildren,
   calculateFamilyBlocks,
   calculateBlockWidth,
   positionBlocks,
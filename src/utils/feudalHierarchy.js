@@ -0,0 +1,126 @@
+/**
+ * Feudal Hierarchy
+ *
+ * Builds the realm's chain of fealty as a tree for the hierarchy chart:
+ * each dignity under the one it is sworn to (swornToId), ordered crown
+ * first, then by class and rank. Every node carries its holder - now, or
+ * in a selected year via the time slice - and flags for vacancies and
+ * active disputes, including ones hidden in a collapsed subtree.
+ *
+ * A dignity sworn to one that doesn't exist, or caught in a loop of
+ * fealty, is shown as a root rather than dropped.
+ */
+
+import { getYear } from './calendarUtils';
+import { getHolderOf } from './timeSlice';
+import { DIGNITY_RANKS } from '../services/dignityService';
+
+const CLASS_ORDER = { crown: 0, driht: 1, ward: 2, sir: 3, other: 4 };
+
+/**
+ * Crown first, then by class, rank and name
+ */
+export function compareDignitiesByRank(a, b) {
+  const classDiff = (CLASS_ORDER[a.dignityClass] ?? 5) - (CLASS_ORDER[b.dignityClass] ?? 5);
+  if (classDiff !== 0) return classDiff;
+  const rankA = DIGNITY_RANKS[a.dignityClass]?.[a.dignityRank]?.order ?? 99;
+  const rankB = DIGNITY_RANKS[b.dignityClass]?.[b.dignityRank]?.order ?? 99;
+  if (rankA !== rankB) return rankA - rankB;
+  return (a.name || '').localeCompare(b.name || '');
+}
+
+/**
+ * Was the dispute being pressed in the year, or now when no year is given?
+ * Undated disputes count for any year while they are unresolved.
+ */
+export function isDisputeActive(dispute, year = null) {
+  if (year === null) return dispute.resolution === 'ongoing';
+  const started = getYear(dispute.startDate);
+  const resolved = dispute.resolution === 'ongoing' ? null : getYear(dispute.resolvedDate);
+  if (started !== null && started > year) return false;
+  if (dispute.resolution !== 'ongoing' && (resolved === null || resolved < year)) return false;
+  return true;
+}
+
+/**
+ * Build the tree of fealty
+ *
+ * @param {Array} dignities - Dignity records
+ * @param {Object} [options]
+ * @param {number|null} [options.year] - Stored year, or null for now
+ * @param {Map|null} [options.holdersInYear] - From getHoldersInYear for the year
+ * @returns {Array<{
+ *   dignity: Object,
+ *   holderId: number|null|undefined,
+ *   vacant: boolean,
+ *   disputes: Array,
+ *   inInterregnum: boolean,
+ *   children: Array,
+ *   descendantCount: number,
+ *   issuesBelow: number
+ * }>} Root nodes. holderId is undefined when the year has no record.
+ *   issuesBelow counts vacant or disputed dignities anywhere beneath.
+ */
+export function buildFeudalHierarchy(dignities, { year = null, holdersInYear = null } = {}) {
+  const byId = new Map(dignities.map(d => [d.id, d]));
+  const subordinates = new Map();
+  dignities.forEach(d => {
+    if (!d.swornToId || !byId.has(d.swornToId) || d.swornToId === d.id) return;
+    if (!subordinates.has(d.swornToId)) subordinates.set(d.swornToId, []);
+    subordinates.get(d.swornToId).push(d);
+  });
+
+  const placed = new Set();
+
+  function buildNode(dignity) {
+    placed.add(dignity.id);
+    const holderId = getHolderOf(dignity, holdersInYear);
+    const disputes = (dignity.disputes || []).filter(d => isDisputeActive(d, year));
+    const interregnumStart = getYear(dignity.interregnum?.startDate);
+    const children = (subordinates.get(dignity.id) || [])
+      .filter(d => !placed.has(d.id))
+      .sort(compareDignitiesByRank)
+      .map(buildNode);
+
+    return {
+      dignity,
+      holderId,
+      vacant: holderId === null,
+      disputes,
+      inInterregnum: !!dignity.interregnum && (year === null || interregnumStart === null || interregnumStart <= year),
+      children,
+      descendantCount: children.reduce((sum, c) => sum + 1 + c.descendantCount, 0),
+      issuesBelow: children.reduce((sum, c) =>
+        sum + c.issuesBelow + (c.vacant || c.disputes.length > 0 ? 1 : 0), 0)
+    };
+  }
+
+  const sorted = [...dignities].sort(compareDignitiesByRank);
+  const roots = sorted
+    .filter(d => !d.swornToId || !byId.has(d.swornToId) || d.swornToId === d.id)
+    .map(buildNode);
+
+  // Whatever is left is caught in a loop of fealty
+  sorted.forEach(d => {
+    if (!placed.has(d.id)) roots.push(buildNode(d));
+  });
+
+  return roots;
+}
+
+/**
+ * IDs of every node with subordinates, for collapsing the whole chart
+ *
+ * @param {Array} roots - From buildFeudalHierarchy
+ * @returns {Array<number>} Dignity IDs
+ */
+export function getBranchIds(roots) {
+  const ids = [];
+  const visit = (node) => {
+    if (node.children.length === 0) return;
+    ids.push(node.dignity.id);
+    node.children.forEach(visit);
+  };
+  roots.forEach(visit);
+  return ids;
+}
@@ -0,0 +1,101 @@
+/**
+ * Feudal Hierarchy Tests
+ *
+ * Tests for the realm's tree of fealty:
+ * - Dignities placed under the ones they are sworn to, crown first
+ * - Holders now and in a selected year
+ * - Vacancies and disputes, including those in a collapsed subtree
+ * - Missing superiors and loops of fealty
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildFeudalHierarchy, getBranchIds, isDisputeActive } from './feudalHierarchy';
+import { getHoldersInYear } from './timeSlice';
+
+// The Crown -> Drihten of the Reach -> Drith of Highcairn -> Wardyn of the Fells
+//           -> Drihten of Ashford (vacant)
+const DIGNITIES = [
+  { id: 4, name: 'Wardyn of the Fells', dignityClass: 'ward', dignityRank: 'wardyn', swornToId: 3, currentHolderId: 14 },
+  { id: 3, name: 'Drith of Highcairn', dignityClass: 'driht', dignityRank: 'drith', swornToId: 2, currentHolderId: 13 },
+  { id: 5, name: 'Drihten of Ashford', dignityClass: 'driht', dignityRank: 'drihten', swornToId: 1, currentHolderId: null },
+  {
+    id: 2,
+    name: 'Drihten of the Reach',
+    dignityClass: 'driht',
+    dignityRank: 'drihten',
+    swornToId: 1,
+    fealtyType: 'liege-to',
+    currentHolderId: 12,
+    disputes: [
+      { claimantId: 20, resolution: 'ongoing', startDate: '1240' },
+      { claimantId: 21, resolution: 'withdrawn', startDate: '1200', resolvedDate: '1210' }
+    ]
+  },
+  { id: 1, name: 'The Crown', dignityClass: 'crown', dignityRank: 'sovereign', currentHolderId: 11 }
+];
+
+const TENURES = [
+  { dignityId: 1, personId: 10, dateStarted: '1180', dateEnded: '1220' },
+  { dignityId: 1, personId: 11, dateStarted: '1220' },
+  { dignityId: 2, personId: 12, dateStarted: '1190' }
+];
+
+const names = (nodes) => nodes.map(n => n.dignity.name);
+
+describe('buildFeudalHierarchy', () => {
+  it('should place each dignity under its superior, crown first and by rank', () => {
+    const [crown] = buildFeudalHierarchy(DIGNITIES);
+
+    expect(crown.dignity.name).toBe('The Crown');
+    expect(names(crown.children)).toEqual(['Drihten of Ashford', 'Drihten of the Reach']);
+    expect(names(crown.children[1].children[0].children)).toEqual(['Wardyn of the Fells']);
+    expect(crown.descendantCount).toBe(4);
+  });
+
+  it('should flag vacancies and active disputes, counting those beneath', () => {
+    const [crown] = buildFeudalHierarchy(DIGNITIES);
+    const [ashford, reach] = crown.children;
+
+    expect(ashford).toMatchObject({ holderId: null, vacant: true });
+    expect(reach.disputes.map(d => d.claimantId)).toEqual([20]);
+    expect(crown.issuesBelow).toBe(2);
+    expect(reach.issuesBelow).toBe(0);
+  });
+
+  it('should show holders and disputes as they stood in a year', () => {
+    const year = 1205;
+    const [crown] = buildFeudalHierarchy(DIGNITIES, { year, holdersInYear: getHoldersInYear(TENURES, year) });
+    const [ashford, reach] = crown.children;
+
+    expect(crown.holderId).toBe(10);
+    expect(reach.holderId).toBe(12);
+    expect(reach.disputes.map(d => d.claimantId)).toEqual([21]);
+    expect(ashford).toMatchObject({ holderId: undefined, vacant: false });
+  });
+
+  it('should keep dignities with a missing superior or caught in a loop', () => {
+    const roots = buildFeudalHierarchy([
+      { id: 1, name: 'Orphan', swornToId: 99 },
+      { id: 2, name: 'Ring A', swornToId: 3 },
+      { id: 3, name: 'Ring B', swornToId: 2 }
+    ]);
+
+    expect(names(roots)).toEqual(['Orphan', 'Ring A']);
+    expect(names(roots[1].children)).toEqual(['Ring B']);
+    expect(roots[1].children[0].children).toEqual([]);
+  });
+});
+
+describe('isDisputeActive', () => {
+  it('should count undated unresolved disputes in any year', () => {
+    expect(isDisputeActive({ resolution: 'ongoing' }, 1000)).toBe(true);
+    expect(isDisputeActive({ resolution: 'ongoing', startDate: '1250' }, 1240)).toBe(false);
+    expect(isDisputeActive({ resolution: 'upheld', startDate: '1200' })).toBe(false);
+  });
+});
+
+describe('getBranchIds', () => {
+  it('should list every dignity with subordinates', () => {
+    expect(getBranchIds(buildFeudalHierarchy(DIGNITIES))).toEqual([1, 2, 3]);
+  });
+});
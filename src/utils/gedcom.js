@@ -0,0 +1,875 @@
+/**
+ * gedcom.js - GEDCOM 5.5.1 / 7.0 Import and Export
+ *
+ * PURPOSE:
+ * Exchange trees with other genealogy tools. Export writes people, houses
+ * and relationships as a GEDCOM file. Import turns a GEDCOM file into a
+ * bulkFamilyImport template (temp IDs and all), so it goes through the same
+ * validation, dry run and ID resolution as any other family import:
+ *
+ *   const { template, report } = gedcomToTemplate(text, { existingHouses });
+ *   const preview = await processFamilyImport(template, { datasetId, dryRun: true });
+ *   // ...review report + preview, then:
+ *   await processFamilyImport(template, { datasetId });
+ *
+ * MAPPING:
+ *   Person           → INDI (NAME with GIVN/SURN, SEX, BIRT, DEAT, NOTE)
+ *   Maiden name      → second NAME with TYPE maiden
+ *   Epithets         → NICK (one per epithet in 7.0, comma-joined in 5.5.1)
+ *   House            → surname and a "House: …" NOTE for other tools, plus a
+ *                      _HOUSE record and pointer so Lineageweaver round-trips it
+ *   Spouse           → FAM with MARR (married), ENGA (betrothed), DIV (divorced)
+ *   Parent           → FAM CHIL + FAMC PEDI birth / adopted / foster
+ *   Not biological   → _NONBIO HUSB|WIFE under the child's FAMC
+ *   Legitimacy       → _LEGIT
+ *
+ * Tags starting with an underscore are extensions; other tools keep or drop
+ * them. On import, houses come from _HOUSE records when present, then from
+ * "House: …" notes, then from surnames ("House <Surname>"), reusing existing
+ * houses with the same name.
+ *
+ * DATES:
+ * Gregorian datasets write standard GEDCOM dates ("3 MAR 1245"). Other
+ * calendars write the stored year with the formatted date as a phrase, and
+ * keep the exact stored date in _LWDATE for round-trips. Uncertain dates
+ * export as ABT / BEF / AFT / BET … AND … (named periods as a phrase) and
+ * also keep their stored form in _LWDATE; on import, qualified dates from
+ * any tool are read back into the same uncertain forms.
+ */
+
+import {
+  isGregorianCalendar,
+  parseCanonicalDate,
+  toCanonicalDate,
+  formatDate,
+  parseDateValue,
+  toDateString,
+  DATE_QUALIFIERS
+} from './calendarUtils';
+import { createEpithet, getPrimaryEpithet } from './epithetUtils';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const GEDCOM_VERSIONS = ['5.5.1', '7.0'];
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// Relationship type <-> FAMC pedigree
+const PEDIGREE_BY_TYPE = {
+  'parent': 'birth',
+  'adopted-parent': 'adopted',
+  'foster-parent': 'foster'
+};
+const TYPE_BY_PEDIGREE = {
+  birth: 'parent',
+  adopted: 'adopted-parent',
+  foster: 'foster-parent'
+};
+
+const LEGITIMACY_VALUES = ['legitimate', 'bastard', 'adopted', 'unknown'];
+const HOUSE_NOTE_PREFIX = 'House: ';
+const UNKNOWN_NAME = 'Unknown';
+const UNAFFILIATED_HOUSE = 'Unaffiliated';
+
+// 5.5.1 caps lines at 255 characters; longer text continues with CONC
+const MAX_VALUE_LENGTH = 200;
+
+const LINE_PATTERN = /^\s*(\d+)\s+(?:(@[^@\s]+@)\s+)?(\S+)(?:\s(.*))?$/;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PARSING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Parse GEDCOM text into a record tree
+ *
+ * CONT/CONC lines are folded into their parent's value.
+ *
+ * @param {string} text - GEDCOM file contents
+ * @returns {{ records: Array<{level, xref, tag, value, children}>, errors: string[] }}
+ */
+export function parseGedcom(text) {
+  const records = [];
+  const errors = [];
+  const stack = [];
+  const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+
+    const match = line.match(LINE_PATTERN);
+    if (!match) {
+      errors.push(`Line ${index + 1}: could not read "${line.trim().slice(0, 40)}"`);
+      return;
+    }
+
+    const level = parseInt(match[1], 10);
+    const tag = match[3].toUpperCase();
+    const value = unescapeValue(match[4] ?? '');
+
+    if (tag === 'CONT' || tag === 'CONC') {
+      const parent = stack[level - 1];
+      if (parent) {
+        parent.value += (tag === 'CONT' ? '\n' : '') + value;
+      }
+      return;
+    }
+
+    const node = {
+      level,
+      xref: match[2] ? match[2].slice(1, -1) : null,
+      tag,
+      value,
+      children: []
+    };
+
+    if (level === 0) {
+      records.push(node);
+    } else if (stack[level - 1]) {
+      stack[level - 1].children.push(node);
+    } else {
+      errors.push(`Line ${index + 1}: level ${level} ${tag} has no parent line`);
+      return;
+    }
+
+    stack[level] = node;
+    stack.length = level + 1;
+  });
+
+  return { records, errors };
+}
+
+function unescapeValue(value) {
+  return value.replace(/@@/g, '@');
+}
+
+function findChild(node, tag) {
+  return node?.children.find(c => c.tag === tag) || null;
+}
+
+function findChildren(node, tag) {
+  return node ? node.children.filter(c => c.tag === tag) : [];
+}
+
+function childValue(node, tag) {
+  return findChild(node, tag)?.value.trim() || '';
+}
+
+/**
+ * "@I12@" → "I12"; anything else → null
+ */
+function toPointer(value) {
+  const match = /^@([^@\s]+)@$/.exec((value || '').trim());
+  return match ? match[1] : null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DATES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Read one GEDCOM date ("3 MAR 1245", "44 BCE") as a canonical date
+ *
+ * @returns {string|null} null if there is no year to read
+ */
+function readGedcomDay(text) {
+  const cleaned = text
+    .replace(/^@#D[^@]+@\s*/, '')
+    .replace(/^GREGORIAN\s+/, '');
+
+  const bce = /\s*(B\.C\.|BCE|BC)$/.test(cleaned);
+  const parts = cleaned.replace(/\s*(B\.C\.|BCE|BC)$/, '').split(/\s+/).filter(Boolean);
+  const yearMatch = parts.pop()?.match(/^(\d+)(?:\/\d+)?$/);
+  if (!yearMatch) return null;
+
+  // Astronomical numbering: 1 BCE is year 0
+  const year = bce ? 1 - parseInt(yearMatch[1], 10) : parseInt(yearMatch[1], 10);
+  const month = parts.length > 0 ? MONTHS.indexOf(parts.pop()) + 1 : 0;
+  const day = month && parts.length > 0 ? parseInt(parts.pop(), 10) : null;
+  return toCanonicalDate({ year, month: month || null, day: day || null });
+}
+
+// GEDCOM qualifiers with a stored form (see calendarUtils)
+const QUALIFIERS_BY_GEDCOM = {
+  ABT: DATE_QUALIFIERS.APPROXIMATE,
+  CAL: DATE_QUALIFIERS.APPROXIMATE,
+  EST: DATE_QUALIFIERS.APPROXIMATE,
+  BEF: DATE_QUALIFIERS.BEFORE,
+  AFT: DATE_QUALIFIERS.AFTER
+};
+
+/**
+ * Convert a GEDCOM date value to a stored date
+ *
+ * ABT / CAL / EST become approximate ("~1245"), BEF and AFT before and
+ * after ("<1245", ">1245"), and BET … AND … or FROM … TO … a range
+ * ("1240/1245"). A FROM or TO with only one end has no stored form: it
+ * keeps its date and is flagged approximate. Dates that can't be read come
+ * back as their phrase, so the text is never lost.
+ *
+ * @param {string} value - DATE line value, e.g. "ABT 3 MAR 1245"
+ * @param {string} [phrase] - 7.0 PHRASE substructure, if any
+ * @returns {{ date: string|null, approximate: boolean }} approximate when
+ *   the qualifier couldn't be kept
+ */
+export function parseGedcomDate(value, phrase = '') {
+  const raw = (value || '').trim();
+  const phraseMatch = raw.match(/\(([^)]*)\)\s*$/);
+  const fallback = phrase || phraseMatch?.[1] || raw || null;
+
+  let text = raw.replace(/\([^)]*\)\s*$/, '').trim().toUpperCase();
+  const qualifier = text.match(/^(ABT|CAL|EST|BEF|AFT|BET|FROM|TO|INT)\s+/)?.[1] || null;
+  if (qualifier) text = text.slice(qualifier.length).trim();
+
+  const [first, second] = text.split(/\s+(?:AND|TO)\s+/);
+  const start = readGedcomDay(first);
+  if (!start) return { date: fallback, approximate: false };
+
+  const end = second ? readGedcomDay(second) : null;
+  if ((qualifier === 'BET' || qualifier === 'FROM') && end) {
+    return { date: toDateString({ qualifier: DATE_QUALIFIERS.BETWEEN, start, end }), approximate: false };
+  }
+  if (QUALIFIERS_BY_GEDCOM[qualifier]) {
+    return { date: toDateString({ qualifier: QUALIFIERS_BY_GEDCOM[qualifier], start }), approximate: false };
+  }
+  return { date: start, approximate: !!qualifier && qualifier !== 'INT' };
+}
+
+/**
+ * Convert a stored date to a GEDCOM date value
+ *
+ * @param {string} dateString - Stored date
+ * @param {Object} [calendar] - Dataset calendar
+ * @param {string} [version] - GEDCOM version
+ * @returns {{ value: string, phrase: string|null, exact: string|null }}
+ *   value for DATE, phrase for 7.0 PHRASE, exact for _LWDATE
+ */
+export function formatGedcomDate(dateString, calendar = null, version = '5.5.1') {
+  const qualified = parseDateValue(dateString);
+  if (qualified && qualified.qualifier !== DATE_QUALIFIERS.EXACT) {
+    return formatQualifiedGedcomDate(qualified, dateString, calendar, version);
+  }
+
+  const parts = parseCanonicalDate(dateString);
+  const is7 = version === '7.0';
+
+  // Free-text legacy dates travel as phrases
+  if (!parts) {
+    return is7
+      ? { value: '', phrase: String(dateString), exact: null }
+      : { value: `(${String(dateString).replace(/[()]/g, '')})`, phrase: null, exact: null };
+  }
+
+  const year = parts.year > 0 ? String(parts.year) : `${1 - parts.year} ${is7 ? 'BCE' : 'B.C.'}`;
+
+  if (isGregorianCalendar(calendar)) {
+    const value = [parts.day, parts.month ? MONTHS[parts.month - 1] : null, year]
+      .filter(Boolean)
+      .join(' ');
+    return { value, phrase: null, exact: null };
+  }
+
+  // Other calendars: stored year plus the formatted date
+  const exact = parts.month ? dateString : null;
+  const formatted = formatDate(dateString, calendar);
+  return is7
+    ? { value: year, phrase: formatted, exact }
+    : { value: `INT ${year} (${formatted.replace(/[()]/g, '')})`, phrase: null, exact };
+}
+
+const GEDCOM_QUALIFIERS = {
+  [DATE_QUALIFIERS.APPROXIMATE]: 'ABT',
+  [DATE_QUALIFIERS.BEFORE]: 'BEF',
+  [DATE_QUALIFIERS.AFTER]: 'AFT'
+};
+
+/**
+ * Uncertain stored dates (see calendarUtils) as GEDCOM qualified dates.
+ * Other calendars qualify the stored year; named periods have no GEDCOM
+ * form and travel as a phrase. The stored form always goes to _LWDATE.
+ */
+function formatQualifiedGedcomDate(qualified, dateString, calendar, version) {
+  const is7 = version === '7.0';
+  const formatted = formatDate(dateString, calendar);
+
+  if (qualified.qualifier === DATE_QUALIFIERS.PERIOD) {
+    return is7
+      ? { value: '', phrase: formatted, exact: dateString }
+      : { value: `(${formatted.replace(/[()]/g, '')})`, phrase: null, exact: dateString };
+  }
+
+  const gregorian = isGregorianCalendar(calendar);
+  const inner = (date) => (gregorian
+    ? formatGedcomDate(date, calendar, version).value
+    : formatGedcomDate(toCanonicalDate({ year: parseCanonicalDate(date).year }), null, version).value);
+
+  const value = qualified.qualifier === DATE_QUALIFIERS.BETWEEN
+    ? `BET ${inner(qualified.start)} AND ${inner(qualified.end)}`
+    : `${GEDCOM_QUALIFIERS[qualified.qualifier]} ${inner(qualified.start)}`;
+
+  return { value, phrase: is7 && !gregorian ? formatted : null, exact: dateString };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORT
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Collect lines with GEDCOM escaping and line continuation
+ */
+function createWriter(version) {
+  const lines = [];
+  const is7 = version === '7.0';
+
+  const escape = (text) => (is7 ? text.replace(/^@/, '@@') : text.replace(/@/g, '@@'));
+
+  const push = (level, xref, tag, value) => {
+    const head = xref ? `${level} @${xref}@ ${tag}` : `${level} ${tag}`;
+    lines.push(value ? `${head} ${value}` : head);
+  };
+
+  return {
+    /** Write a text value, splitting newlines into CONT (and long lines into CONC on 5.5.1) */
+    text(level, tag, value, xref = null) {
+      const [first, ...rest] = String(value ?? '').split(/\r\n|\r|\n/);
+      const writeLine = (lineLevel, lineTag, lineText) => {
+        let remaining = escape(lineText);
+        if (is7 || remaining.length <= MAX_VALUE_LENGTH) {
+          push(lineLevel, lineLevel === level ? xref : null, lineTag, remaining);
+          return;
+        }
+        push(lineLevel, lineLevel === level ? xref : null, lineTag, remaining.slice(0, MAX_VALUE_LENGTH));
+        remaining = remaining.slice(MAX_VALUE_LENGTH);
+        while (remaining.length > 0) {
+          push(level + 1, null, 'CONC', remaining.slice(0, MAX_VALUE_LENGTH));
+          remaining = remaining.slice(MAX_VALUE_LENGTH);
+        }
+      };
+      writeLine(level, tag, first);
+      rest.forEach(line => writeLine(level + 1, 'CONT', line));
+    },
+    /** Write a pointer to another record */
+    pointer(level, tag, targetXref) {
+      push(level, null, tag, `@${targetXref}@`);
+    },
+    /** Write a record or structure line with no value */
+    line(level, tag, xref = null) {
+      push(level, xref, tag, '');
+    },
+    toString() {
+      return lines.join('\n') + '\n';
+    }
+  };
+}
+
+/**
+ * Group relationships into GEDCOM families
+ *
+ * Each couple gets one family holding their marriage and joint children.
+ * A child's parents of the same kind (both birth, both adoptive) share a
+ * family; a lone parent, or parents of different kinds, get one each.
+ */
+function buildFamilies(relationships, peopleById) {
+  const families = [];
+  const familiesByKey = new Map();
+
+  const getFamily = (partnerIds) => {
+    const key = [...partnerIds].sort((a, b) => a - b).join('-');
+    if (!familiesByKey.has(key)) {
+      const family = { xref: `F${families.length + 1}`, partnerIds, marriage: null, children: [] };
+      families.push(family);
+      familiesByKey.set(key, family);
+    }
+    return familiesByKey.get(key);
+  };
+
+  const known = (rel) => peopleById.has(rel.person1Id) && peopleById.has(rel.person2Id);
+
+  relationships
+    .filter(rel => rel.relationshipType === 'spouse' && known(rel))
+    .forEach(rel => {
+      getFamily([rel.person1Id, rel.person2Id]).marriage = rel;
+    });
+
+  const parentRelsByChild = new Map();
+  relationships
+    .filter(rel => PEDIGREE_BY_TYPE[rel.relationshipType] && known(rel))
+    .forEach(rel => {
+      const rels = parentRelsByChild.get(rel.person2Id) || [];
+      parentRelsByChild.set(rel.person2Id, [...rels, rel]);
+    });
+
+  parentRelsByChild.forEach((rels, childId) => {
+    Object.keys(PEDIGREE_BY_TYPE).forEach(type => {
+      const typeRels = rels.filter(rel => rel.relationshipType === type);
+      const groups = typeRels.length === 2 ? [typeRels] : typeRels.map(rel => [rel]);
+
+      groups.forEach(group => {
+        getFamily(group.map(rel => rel.person1Id)).children.push({
+          childId,
+          pedigree: PEDIGREE_BY_TYPE[type],
+          nonBiologicalIds: group
+            .filter(rel => rel.biologicalParent === false)
+            .map(rel => rel.person1Id)
+        });
+      });
+    });
+  });
+
+  // HUSB/WIFE by gender where possible, otherwise first free slot
+  families.forEach(family => {
+    family.roles = new Map();
+    const taken = new Set();
+    const byGender = { male: 'HUSB', female: 'WIFE' };
+
+    family.partnerIds.forEach(id => {
+      const role = byGender[peopleById.get(id)?.gender];
+      if (role && !taken.has(role)) {
+        family.roles.set(id, role);
+        taken.add(role);
+      }
+    });
+    family.partnerIds.forEach(id => {
+      if (family.roles.has(id)) return;
+      const role = taken.has('HUSB') ? 'WIFE' : 'HUSB';
+      family.roles.set(id, role);
+      taken.add(role);
+    });
+  });
+
+  return families;
+}
+
+/**
+ * Export people, houses and relationships as a GEDCOM file
+ *
+ * @param {Object} data - { people, houses, relationships }
+ * @param {Object} [options]
+ * @param {string} [options.version='5.5.1'] - '5.5.1' or '7.0'
+ * @param {Object} [options.calendar] - Dataset calendar for dates
+ * @returns {string} GEDCOM text
+ * @throws {Error} If the version isn't supported
+ */
+export function exportGedcom({ people = [], houses = [], relationships = [] }, { version = '5.5.1', calendar = null } = {}) {
+  if (!GEDCOM_VERSIONS.includes(version)) {
+    throw new Error(`Unsupported GEDCOM version: ${version}`);
+  }
+
+  const is7 = version === '7.0';
+  const out = createWriter(version);
+  const peopleById = new Map(people.map(p => [p.id, p]));
+  const housesById = new Map(houses.map(h => [h.id, h]));
+  const families = buildFamilies(relationships, peopleById);
+  const personXref = (id) => `I${id}`;
+  const houseXref = (id) => `H${id}`;
+  const enumValue = (value) => (is7 ? value.toUpperCase() : value);
+
+  const writeDate = (level, dateString) => {
+    if (!dateString) return;
+    const { value, phrase, exact } = formatGedcomDate(dateString, calendar, version);
+    if (value) {
+      out.text(level, 'DATE', value);
+    } else {
+      out.line(level, 'DATE');
+    }
+    if (phrase) out.text(level + 1, 'PHRASE', phrase);
+    if (exact) out.text(level, '_LWDATE', exact);
+  };
+
+  const writeEvent = (tag, dateString) => {
+    out.line(1, tag);
+    writeDate(2, dateString);
+  };
+
+  // ─── Header ───
+  out.line(0, 'HEAD');
+  out.line(1, 'GEDC');
+  out.text(2, 'VERS', version);
+  if (!is7) {
+    out.text(2, 'FORM', 'LINEAGE-LINKED');
+    out.text(1, 'CHAR', 'UTF-8');
+  }
+  out.text(1, 'SOUR', 'LINEAGEWEAVER');
+  out.text(2, 'NAME', 'Lineageweaver');
+  if (!is7) {
+    out.pointer(1, 'SUBM', 'U1');
+    out.line(0, 'SUBM', 'U1');
+    out.text(1, 'NAME', 'Lineageweaver');
+  }
+
+  // ─── Houses ───
+  houses.forEach(house => {
+    out.line(0, '_HOUSE', houseXref(house.id));
+    out.text(1, 'NAME', house.houseName);
+    if (house.houseType) out.text(1, '_TYPE', house.houseType);
+    if (house.motto) out.text(1, '_MOTTO', house.motto);
+    if (house.colorCode) out.text(1, '_COLOR', house.colorCode);
+    if (house.foundedDate) out.text(1, '_FOUNDED', house.foundedDate);
+    if (house.parentHouseId && housesById.has(house.parentHouseId)) {
+      out.pointer(1, '_PARENT', houseXref(house.parentHouseId));
+    }
+    if (house.notes) out.text(1, 'NOTE', house.notes);
+  });
+
+  // ─── Individuals ───
+  people.forEach(person => {
+    const given = person.firstName || '';
+    const surname = person.lastName || '';
+
+    out.line(0, 'INDI', personXref(person.id));
+    out.text(1, 'NAME', `${given} /${surname}/`.trim());
+    if (given) out.text(2, 'GIVN', given);
+    if (surname) out.text(2, 'SURN', surname);
+
+    // Primary epithet first so it comes back as primary
+    const epithets = person.epithets || [];
+    const primary = getPrimaryEpithet(epithets);
+    const nicknames = [primary, ...epithets.filter(e => e !== primary)]
+      .filter(e => e?.text)
+      .map(e => e.text);
+    if (is7) {
+      nicknames.forEach(nick => out.text(2, 'NICK', nick));
+    } else if (nicknames.length > 0) {
+      out.text(2, 'NICK', nicknames.join(', '));
+    }
+
+    if (person.maidenName && person.maidenName !== surname) {
+      out.text(1, 'NAME', `${given} /${person.maidenName}/`.trim());
+      out.text(2, 'TYPE', enumValue('maiden'));
+      if (given) out.text(2, 'GIVN', given);
+      out.text(2, 'SURN', person.maidenName);
+    }
+
+    const sex = { male: 'M', female: 'F' }[person.gender] || (is7 ? 'X' : 'U');
+    out.text(1, 'SEX', sex);
+
+    if (person.dateOfBirth) writeEvent('BIRT', person.dateOfBirth);
+    if (person.dateOfDeath) writeEvent('DEAT', person.dateOfDeath);
+
+    families.forEach(family => {
+      family.children
+        .filter(c => c.childId === person.id)
+        .forEach(c => {
+          out.pointer(1, 'FAMC', family.xref);
+          out.text(2, 'PEDI', enumValue(c.pedigree));
+          c.nonBiologicalIds.forEach(id => out.text(2, '_NONBIO', family.roles.get(id)));
+        });
+    });
+    families
+      .filter(family => family.partnerIds.includes(person.id))
+      .forEach(family => out.pointer(1, 'FAMS', family.xref));
+
+    const house = housesById.get(person.houseId);
+    if (house) {
+      out.text(1, 'NOTE', `${HOUSE_NOTE_PREFIX}${house.houseName}`);
+      out.pointer(1, '_HOUSE', houseXref(house.id));
+    }
+    if (person.legitimacyStatus && person.legitimacyStatus !== 'legitimate') {
+      out.text(1, '_LEGIT', person.legitimacyStatus);
+    }
+    if (person.notes) out.text(1, 'NOTE', person.notes);
+  });
+
+  // ─── Families ───
+  families.forEach(family => {
+    out.line(0, 'FAM', family.xref);
+    ['HUSB', 'WIFE'].forEach(role => {
+      family.partnerIds
+        .filter(id => family.roles.get(id) === role)
+        .forEach(id => out.pointer(1, role, personXref(id)));
+    });
+    family.children.forEach(c => out.pointer(1, 'CHIL', personXref(c.childId)));
+
+    const marriage = family.marriage;
+    if (!marriage) return;
+
+    const status = marriage.marriageStatus || 'married';
+    if (status === 'betrothed') {
+      writeEvent('ENGA', marriage.marriageDate);
+      return;
+    }
+    writeEvent('MARR', marriage.marriageDate);
+    if (status === 'divorced') {
+      writeEvent('DIV', marriage.divorceDate);
+    } else if (status !== 'married') {
+      out.text(1, '_STATUS', status);
+    }
+  });
+
+  out.line(0, 'TRLR');
+  return out.toString();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// IMPORT
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Read "Given /Surname/ Suffix" plus GIVN/SURN/NICK substructures
+ */
+function readName(nameNode) {
+  if (!nameNode) return { given: '', surname: '', nicknames: [] };
+
+  const match = nameNode.value.match(/^([^/]*)(?:\/([^/]*)\/)?/);
+  const given = childValue(nameNode, 'GIVN') || (match?.[1] || '').trim();
+  const surname = childValue(nameNode, 'SURN') || (match?.[2] || '').trim();
+  const nicknames = findChildren(nameNode, 'NICK')
+    .flatMap(nick => nick.value.split(','))
+    .map(text => text.trim())
+    .filter(Boolean);
+
+  return { given, surname, nicknames };
+}
+
+function isMaidenName(nameNode) {
+  return ['maiden', 'birth'].includes(childValue(nameNode, 'TYPE').toLowerCase());
+}
+
+/**
+ * Read an event's date, preferring the exact _LWDATE
+ */
+function readEventDate(eventNode) {
+  if (!eventNode) return { date: null, approximate: false, original: '' };
+  const exact = childValue(eventNode, '_LWDATE');
+  if (exact) return { date: exact, approximate: false, original: exact };
+
+  const dateNode = findChild(eventNode, 'DATE');
+  if (!dateNode) return { date: null, approximate: false, original: '' };
+  return {
+    ...parseGedcomDate(dateNode.value, childValue(dateNode, 'PHRASE')),
+    original: dateNode.value
+  };
+}
+
+/**
+ * Turn a GEDCOM file into a bulkFamilyImport template
+ *
+ * Temp IDs are the GEDCOM record IDs ("I12", "F3", "H1"). Houses whose name
+ * matches an existing house reference that house's numeric ID instead of
+ * creating a new one.
+ *
+ * @param {string} text - GEDCOM file contents
+ * @param {Object} [options]
+ * @param {Array} [options.existingHouses] - Houses already in the dataset
+ * @returns {{ template: Object, report: Object }} report has version, source,
+ *   counts, warnings and errors for the dry-run review
+ */
+export function gedcomToTemplate(text, { existingHouses = [] } = {}) {
+  const { records, errors } = parseGedcom(text);
+  const warnings = [];
+
+  const head = records.find(r => r.tag === 'HEAD');
+  if (!head) {
+    errors.push('Missing HEAD record - this does not look like a GEDCOM file');
+  }
+  const version = childValue(findChild(head, 'GEDC'), 'VERS') || 'unknown';
+  const source = childValue(findChild(head, 'SOUR'), 'NAME') || childValue(head, 'SOUR') || 'unknown';
+
+  const recordsByXref = new Map(records.filter(r => r.xref).map(r => [r.xref, r]));
+  const individuals = records.filter(r => r.tag === 'INDI' && r.xref);
+  const familyRecords = records.filter(r => r.tag === 'FAM' && r.xref);
+
+  if (individuals.length === 0) {
+    errors.push('No individuals (INDI records) found');
+  }
+
+  // ─── Houses ───
+  const houses = [];
+  const houseIdsByName = new Map(
+    existingHouses
+      .filter(h => h.houseName)
+      .map(h => [h.houseName.trim().toLowerCase(), h.id])
+  );
+  const matchedHouseIds = new Set();
+
+  const resolveHouse = (name, tempId, details = {}) => {
+    const key = name.trim().toLowerCase();
+    if (houseIdsByName.has(key)) {
+      const houseId = houseIdsByName.get(key);
+      if (typeof houseId === 'number') matchedHouseIds.add(houseId);
+      return houseId;
+    }
+    houses.push({ _tempId: tempId, houseName: name.trim(), houseType: 'main', ...details });
+    houseIdsByName.set(key, tempId);
+    return tempId;
+  };
+
+  const houseIdsByXref = new Map();
+  const houseParents = [];
+  records
+    .filter(r => r.tag === '_HOUSE' && r.xref && childValue(r, 'NAME'))
+    .forEach(record => {
+      const details = {};
+      if (childValue(record, '_TYPE')) details.houseType = childValue(record, '_TYPE');
+      if (childValue(record, '_MOTTO')) details.motto = childValue(record, '_MOTTO');
+      if (childValue(record, '_COLOR')) details.colorCode = childValue(record, '_COLOR');
+      if (childValue(record, '_FOUNDED')) details.foundedDate = childValue(record, '_FOUNDED');
+      if (childValue(record, 'NOTE')) details.notes = childValue(record, 'NOTE');
+
+      const houseId = resolveHouse(childValue(record, 'NAME'), record.xref, details);
+      houseIdsByXref.set(record.xref, houseId);
+      houseParents.push([houseId, toPointer(childValue(record, '_PARENT'))]);
+    });
+
+  houseParents.forEach(([houseId, parentXref]) => {
+    const house = houses.find(h => h._tempId === houseId);
+    if (house && parentXref && houseIdsByXref.has(parentXref)) {
+      house.parentHouseId = houseIdsByXref.get(parentXref);
+    }
+  });
+
+  // ─── People ───
+  const people = [];
+  const peopleByXref = new Map();
+
+  individuals.forEach(indi => {
+    const names = findChildren(indi, 'NAME');
+    const primaryName = names.find(n => !isMaidenName(n)) || names[0];
+    const { given, surname, nicknames } = readName(primaryName);
+    const maiden = readName(names.find(n => n !== primaryName && isMaidenName(n)));
+    const label = `${given || UNKNOWN_NAME} ${surname}`.trim() + ` (${indi.xref})`;
+
+    // Notes: inline text or pointers to shared NOTE/SNOTE records
+    const notes = [...findChildren(indi, 'NOTE'), ...findChildren(indi, 'SNOTE')]
+      .map(note => {
+        const target = toPointer(note.value);
+        return target ? recordsByXref.get(target)?.value || '' : note.value;
+      })
+      .map(note => note.trim())
+      .filter(Boolean);
+    const houseNote = notes.find(note => note.startsWith(HOUSE_NOTE_PREFIX));
+
+    let houseId = houseIdsByXref.get(toPointer(childValue(indi, '_HOUSE')));
+    if (!houseId && houseNote) {
+      const houseName = houseNote.slice(HOUSE_NOTE_PREFIX.length);
+      houseId = resolveHouse(houseName, `house-${houses.length + 1}`);
+    }
+    if (!houseId && surname) {
+      houseId = resolveHouse(`House ${surname}`, `house-${houses.length + 1}`);
+    }
+    if (!houseId) {
+      houseId = resolveHouse(UNAFFILIATED_HOUSE, 'house-unaffiliated');
+      warnings.push(`${label}: no house or surname - placed in "${UNAFFILIATED_HOUSE}"`);
+    }
+
+    const sex = childValue(indi, 'SEX').toUpperCase();
+    const birth = readEventDate(findChild(indi, 'BIRT'));
+    const death = readEventDate(findChild(indi, 'DEAT'));
+    [[birth, 'birth'], [death, 'death']].forEach(([event, kind]) => {
+      if (event.approximate) {
+        warnings.push(`${label}: ${kind} date "${event.original}" imported as ${event.date}`);
+      }
+    });
+
+    const legitimacy = childValue(indi, '_LEGIT').toLowerCase();
+
+    if (!given || !surname) {
+      warnings.push(`${label}: missing ${!given ? 'given name' : 'surname'} - recorded as "${UNKNOWN_NAME}"`);
+    }
+
+    const person = {
+      _tempId: indi.xref,
+      firstName: given || UNKNOWN_NAME,
+      lastName: surname || UNKNOWN_NAME,
+      maidenName: maiden.surname && maiden.surname !== surname ? maiden.surname : null,
+      gender: sex === 'M' ? 'male' : sex === 'F' ? 'female' : 'other',
+      houseId,
+      dateOfBirth: birth.date,
+      dateOfDeath: death.date,
+      legitimacyStatus: LEGITIMACY_VALUES.includes(legitimacy) ? legitimacy : 'legitimate',
+      notes: notes.filter(note => note !== houseNote).join('\n\n'),
+      epithets: nicknames.map((nick, index) => createEpithet(nick, { isPrimary: index === 0 }))
+    };
+
+    people.push(person);
+    peopleByXref.set(indi.xref, { person, record: indi });
+  });
+
+  // ─── Relationships ───
+  const relationships = [];
+
+  familyRecords.forEach(family => {
+    const partners = ['HUSB', 'WIFE']
+      .flatMap(role => findChildren(family, role).map(node => ({ role, id: toPointer(node.value) })))
+      .filter(partner => {
+        if (partner.id && peopleByXref.has(partner.id)) return true;
+        warnings.push(`Family ${family.xref}: ${partner.role} points to a missing individual`);
+        return false;
+      });
+
+    if (partners.length === 2) {
+      const divorce = findChild(family, 'DIV');
+      const engagement = findChild(family, 'ENGA');
+      const marriage = findChild(family, 'MARR');
+      const status = childValue(family, '_STATUS') ||
+        (divorce ? 'divorced' : engagement && !marriage ? 'betrothed' : 'married');
+
+      relationships.push({
+        person1Id: partners[0].id,
+        person2Id: partners[1].id,
+        relationshipType: 'spouse',
+        marriageDate: readEventDate(marriage || engagement).date,
+        divorceDate: readEventDate(divorce).date,
+        marriageStatus: status
+      });
+    }
+
+    findChildren(family, 'CHIL').forEach(chil => {
+      const childId = toPointer(chil.value);
+      const child = peopleByXref.get(childId);
+      if (!child) {
+        warnings.push(`Family ${family.xref}: CHIL points to a missing individual`);
+        return;
+      }
+
+      const famc = findChildren(child.record, 'FAMC').find(f => toPointer(f.value) === family.xref);
+      const pedigree = (childValue(famc, 'PEDI') || 'birth').toLowerCase();
+      const relationshipType = TYPE_BY_PEDIGREE[pedigree] || 'parent';
+      if (!TYPE_BY_PEDIGREE[pedigree]) {
+        warnings.push(`${child.person.firstName} (${childId}): pedigree "${pedigree}" imported as a birth parent`);
+      }
+      const nonBiological = findChildren(famc, '_NONBIO').map(n => n.value.trim().toUpperCase());
+
+      partners.forEach(partner => {
+        relationships.push({
+          person1Id: partner.id,
+          person2Id: childId,
+          relationshipType,
+          biologicalParent: relationshipType === 'parent' ? !nonBiological.includes(partner.role) : null
+        });
+      });
+    });
+  });
+
+  return {
+    template: { houses, people, relationships },
+    report: {
+      version,
+      source,
+      counts: {
+        people: people.length,
+        houses: houses.length,
+        matchedHouses: matchedHouseIds.size,
+        families: familyRecords.length,
+        relationships: relationships.length
+      },
+      warnings,
+      errors
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+export default {
+  GEDCOM_VERSIONS,
+  parseGedcom,
+  parseGedcomDate,
+  formatGedcomDate,
+  exportGedcom,
+  gedcomToTemplate
+};
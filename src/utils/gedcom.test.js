@@ -0,0 +1,328 @@
+/**
+ * gedcom Tests
+ *
+ * Tests for GEDCOM exchange:
+ * - Line parsing with CONT/CONC continuation
+ * - Date conversion both ways, including qualifiers and custom calendars
+ * - Export → import round-trips (5.5.1 and 7.0)
+ * - Importing files from other tools into bulk import templates
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseGedcom,
+  parseGedcomDate,
+  formatGedcomDate,
+  exportGedcom,
+  gedcomToTemplate
+} from './gedcom';
+
+const ECLIPSE_CALENDAR = {
+  name: 'Reckoning of the Eclipse',
+  epochOffset: -833,
+  months: [
+    { name: 'Frostmoon', shortName: 'Fro', days: 30 },
+    { name: 'Thawing', shortName: 'Tha', days: 45 }
+  ],
+  eras: [{ name: 'After Eclipse', abbreviation: 'AE', startYear: null }]
+};
+
+/**
+ * Small house for round-trips:
+ *
+ *   [1] Aldric (m) ═══ [2] Maren (f, née Thorne)
+ *                  │
+ *        ┌─────────┴─────────┐
+ *   [3] Bran (m)        [4] Wren (f, adopted by both)
+ *
+ *   [5] Osric (m, bastard of Aldric; Maren is a non-biological parent)
+ */
+const DATA = {
+  houses: [
+    { id: 10, houseName: 'House Valorian', houseType: 'great', motto: 'We Endure', colorCode: '#4169E1', notes: '' },
+    { id: 11, houseName: 'House Ashford', houseType: 'cadet', parentHouseId: 10 }
+  ],
+  people: [
+    {
+      id: 1, firstName: 'Aldric', lastName: 'Valorian', gender: 'male', houseId: 10,
+      dateOfBirth: '1200-03-15', dateOfDeath: '1260',
+      epithets: [
+        { id: 'a', text: 'the Stern', isPrimary: false },
+        { id: 'b', text: 'the Bold', isPrimary: true }
+      ],
+      notes: 'Lord of the Vale\nFounded the @keep'
+    },
+    { id: 2, firstName: 'Maren', lastName: 'Valorian', maidenName: 'Thorne', gender: 'female', houseId: 10, dateOfBirth: '1205' },
+    { id: 3, firstName: 'Bran', lastName: 'Valorian', gender: 'male', houseId: 10, dateOfBirth: '1225-07' },
+    { id: 4, firstName: 'Wren', lastName: 'Valorian', gender: 'female', houseId: 10 },
+    { id: 5, firstName: 'Osric', lastName: 'Ashford', gender: 'male', houseId: 11, legitimacyStatus: 'bastard' }
+  ],
+  relationships: [
+    { person1Id: 1, person2Id: 2, relationshipType: 'spouse', marriageDate: '1222-05-01', marriageStatus: 'married' },
+    { person1Id: 1, person2Id: 3, relationshipType: 'parent', biologicalParent: true },
+    { person1Id: 2, person2Id: 3, relationshipType: 'parent', biologicalParent: true },
+    { person1Id: 1, person2Id: 4, relationshipType: 'adopted-parent' },
+    { person1Id: 2, person2Id: 4, relationshipType: 'adopted-parent' },
+    { person1Id: 1, person2Id: 5, relationshipType: 'parent', biologicalParent: true },
+    { person1Id: 2, person2Id: 5, relationshipType: 'parent', biologicalParent: false }
+  ]
+};
+
+const findPerson = (template, firstName) => template.people.find(p => p.firstName === firstName);
+
+const findRelationships = (template, type, person2Id) =>
+  template.relationships.filter(r => r.relationshipType === type && r.person2Id === person2Id);
+
+describe('gedcom', () => {
+  describe('parseGedcom', () => {
+    it('should build a record tree and fold continuation lines', () => {
+      const { records, errors } = parseGedcom([
+        '\uFEFF0 HEAD',
+        '0 @I1@ INDI',
+        '1 NAME John /Smith/',
+        '1 NOTE First line',
+        '2 CONT second line, with an email@@example.com',
+        '2 CONC  and more',
+        '0 TRLR'
+      ].join('\r\n'));
+
+      expect(errors).toEqual([]);
+      expect(records.map(r => r.tag)).toEqual(['HEAD', 'INDI', 'TRLR']);
+      expect(records[1].xref).toBe('I1');
+      expect(records[1].children[1].value).toBe('First line\nsecond line, with an email@example.com and more');
+    });
+
+    it('should report lines it cannot place', () => {
+      const { errors } = parseGedcom('0 HEAD\n2 VERS 5.5.1\nnot a line');
+      expect(errors).toHaveLength(2);
+    });
+  });
+
+  describe('dates', () => {
+    it('should read exact, partial and qualified dates', () => {
+      expect(parseGedcomDate('3 MAR 1245')).toEqual({ date: '1245-03-03', approximate: false });
+      expect(parseGedcomDate('MAR 1245')).toEqual({ date: '1245-03', approximate: false });
+      expect(parseGedcomDate('INT 1245 (in the spring)')).toEqual({ date: '1245', approximate: false });
+      expect(parseGedcomDate('44 BCE').date).toBe('-0043');
+    });
+
+    it('should keep the uncertainty of qualified dates', () => {
+      const read = (value) => parseGedcomDate(value).date;
+
+      expect(['ABT MAR 1245', 'CAL MAR 1245', 'EST MAR 1245'].map(read)).toEqual(['~1245-03', '~1245-03', '~1245-03']);
+      expect(read('BEF 3 MAR 1245')).toBe('<1245-03-03');
+      expect(read('AFT 1245')).toBe('>1245');
+      expect(read('BET 1240 AND 1245')).toBe('1240/1245');
+      expect(read('FROM 10 BC TO 5 BC')).toBe('-0009/-0004');
+      expect(parseGedcomDate('FROM 1240')).toEqual({ date: '1240', approximate: true });
+    });
+
+    it('should keep unreadable dates as their phrase', () => {
+      expect(parseGedcomDate('(in the long winter)').date).toBe('in the long winter');
+      expect(parseGedcomDate('', 'before the war').date).toBe('before the war');
+    });
+
+    it('should write Gregorian dates in GEDCOM form', () => {
+      expect(formatGedcomDate('1245-03-03').value).toBe('3 MAR 1245');
+      expect(formatGedcomDate('1245-03').value).toBe('MAR 1245');
+      expect(formatGedcomDate('-0043', null, '7.0').value).toBe('44 BCE');
+    });
+
+    it('should keep custom calendar dates exactly', () => {
+      expect(formatGedcomDate('1245-02-40', ECLIPSE_CALENDAR)).toEqual({
+        value: 'INT 1245 (40 Thawing 412 AE)',
+        phrase: null,
+        exact: '1245-02-40'
+      });
+      expect(formatGedcomDate('1245-02-40', ECLIPSE_CALENDAR, '7.0')).toEqual({
+        value: '1245',
+        phrase: '40 Thawing 412 AE',
+        exact: '1245-02-40'
+      });
+    });
+
+    it('should write uncertain dates as qualified GEDCOM dates', () => {
+      expect(formatGedcomDate('~1245-03').value).toBe('ABT MAR 1245');
+      expect(formatGedcomDate('<1245').value).toBe('BEF 1245');
+      expect(formatGedcomDate('1240/1250')).toEqual({ value: 'BET 1240 AND 1250', phrase: null, exact: '1240/1250' });
+      expect(formatGedcomDate('>1245-02-40', ECLIPSE_CALENDAR, '7.0')).toEqual({
+        value: 'AFT 1245',
+        phrase: 'after 40 Thawing 412 AE',
+        exact: '>1245-02-40'
+      });
+    });
+  });
+
+  describe('exportGedcom', () => {
+    it('should write a 5.5.1 header, houses, individuals and families', () => {
+      const text = exportGedcom(DATA);
+
+      expect(text).toMatch(/^0 HEAD\n1 GEDC\n2 VERS 5\.5\.1\n2 FORM LINEAGE-LINKED\n1 CHAR UTF-8/);
+      expect(text).toContain('0 @H10@ _HOUSE\n1 NAME House Valorian');
+      expect(text).toContain('0 @I1@ INDI\n1 NAME Aldric /Valorian/');
+      expect(text).toContain('2 NICK the Bold, the Stern');
+      expect(text).toContain('1 NOTE House: House Valorian');
+      expect(text).toContain('1 NOTE Lord of the Vale\n2 CONT Founded the @@keep');
+      expect(text).toContain('1 MARR\n2 DATE 1 MAY 1222');
+      expect(text.trimEnd().endsWith('0 TRLR')).toBe(true);
+    });
+
+    it('should use 7.0 enumerations and one NICK per epithet', () => {
+      const text = exportGedcom(DATA, { version: '7.0' });
+
+      expect(text).toContain('2 VERS 7.0');
+      expect(text).not.toContain('CHAR');
+      expect(text).toContain('2 NICK the Bold\n2 NICK the Stern');
+      expect(text).toContain('2 TYPE MAIDEN');
+      expect(text).toContain('2 PEDI ADOPTED');
+    });
+
+    it('should reject unknown versions', () => {
+      expect(() => exportGedcom(DATA, { version: '4.0' })).toThrow(/Unsupported GEDCOM version/);
+    });
+  });
+
+  describe('round-trip', () => {
+    it.each(['5.5.1', '7.0'])('should round-trip people and relationships through GEDCOM %s', (version) => {
+      const { template, report } = gedcomToTemplate(exportGedcom(DATA, { version }));
+
+      expect(report.errors).toEqual([]);
+      expect(report.version).toBe(version);
+      expect(report.counts).toMatchObject({ people: 5, houses: 2, matchedHouses: 0 });
+
+      const aldric = findPerson(template, 'Aldric');
+      expect(aldric).toMatchObject({
+        _tempId: 'I1',
+        lastName: 'Valorian',
+        houseId: 'H10',
+        dateOfBirth: '1200-03-15',
+        dateOfDeath: '1260',
+        notes: 'Lord of the Vale\nFounded the @keep'
+      });
+      expect(aldric.epithets.map(e => [e.text, e.isPrimary])).toEqual([['the Bold', true], ['the Stern', false]]);
+      expect(findPerson(template, 'Maren').maidenName).toBe('Thorne');
+      expect(findPerson(template, 'Osric')).toMatchObject({ legitimacyStatus: 'bastard', houseId: 'H11' });
+      expect(template.houses.find(h => h._tempId === 'H11')).toMatchObject({ houseType: 'cadet', parentHouseId: 'H10' });
+
+      const [marriage] = template.relationships.filter(r => r.relationshipType === 'spouse');
+      expect(marriage).toMatchObject({ marriageDate: '1222-05-01', marriageStatus: 'married' });
+
+      expect(findRelationships(template, 'adopted-parent', 'I4')).toHaveLength(2);
+      expect(findRelationships(template, 'parent', 'I5').map(r => [r.person1Id, r.biologicalParent]))
+        .toEqual([['I1', true], ['I2', false]]);
+    });
+
+    it('should round-trip custom calendar dates', () => {
+      const data = {
+        houses: [],
+        people: [{ id: 1, firstName: 'Ysolde', lastName: 'Vane', gender: 'female', dateOfBirth: '1245-02-40' }],
+        relationships: []
+      };
+      const { template } = gedcomToTemplate(exportGedcom(data, { calendar: ECLIPSE_CALENDAR }));
+      expect(template.people[0].dateOfBirth).toBe('1245-02-40');
+    });
+
+    it('should round-trip uncertain dates, with or without _LWDATE', () => {
+      const data = {
+        houses: [],
+        people: [
+          { id: 1, firstName: 'A', lastName: 'Vane', gender: 'male', dateOfBirth: '~1245-03', dateOfDeath: '1290/1295' },
+          { id: 2, firstName: 'B', lastName: 'Vane', gender: 'female', dateOfBirth: '>1250', dateOfDeath: '<1300-06-01' }
+        ],
+        relationships: []
+      };
+      const dates = (gedcom) => gedcomToTemplate(gedcom).template.people
+        .map(p => [p.dateOfBirth, p.dateOfDeath]);
+      const expected = [['~1245-03', '1290/1295'], ['>1250', '<1300-06-01']];
+
+      const gedcom = exportGedcom(data);
+      expect(dates(gedcom)).toEqual(expected);
+      expect(dates(gedcom.split('\n').filter(line => !line.includes('_LWDATE')).join('\n'))).toEqual(expected);
+    });
+
+    it('should keep divorced and betrothed couples', () => {
+      const data = {
+        houses: [],
+        people: [
+          { id: 1, firstName: 'A', lastName: 'Vane', gender: 'male' },
+          { id: 2, firstName: 'B', lastName: 'Vane', gender: 'female' },
+          { id: 3, firstName: 'C', lastName: 'Vane', gender: 'female' }
+        ],
+        relationships: [
+          { person1Id: 1, person2Id: 2, relationshipType: 'spouse', marriageStatus: 'divorced', marriageDate: '1240', divorceDate: '1244' },
+          { person1Id: 1, person2Id: 3, relationshipType: 'spouse', marriageStatus: 'betrothed', marriageDate: '1246' }
+        ]
+      };
+      const statuses = gedcomToTemplate(exportGedcom(data)).template.relationships
+        .map(r => [r.person2Id, r.marriageStatus, r.marriageDate, r.divorceDate]);
+
+      expect(statuses).toEqual([
+        ['I2', 'divorced', '1240', '1244'],
+        ['I3', 'betrothed', '1246', null]
+      ]);
+    });
+  });
+
+  describe('gedcomToTemplate', () => {
+    const FOREIGN = [
+      '0 HEAD',
+      '1 SOUR OTHERTOOL',
+      '2 NAME Other Genealogy Tool',
+      '1 GEDC',
+      '2 VERS 5.5.1',
+      '0 @P1@ INDI',
+      '1 NAME Edmund /Carrow/',
+      '1 SEX M',
+      '1 BIRT',
+      '2 DATE FROM 1190',
+      '1 FAMS @F1@',
+      '0 @P2@ INDI',
+      '1 NAME Isolde /Marsh/',
+      '1 SEX F',
+      '1 FAMS @F1@',
+      '0 @P3@ INDI',
+      '1 NAME Tam',
+      '1 FAMC @F1@',
+      '2 PEDI foster',
+      '0 @F1@ FAM',
+      '1 HUSB @P1@',
+      '1 WIFE @P2@',
+      '1 CHIL @P3@',
+      '1 CHIL @P9@',
+      '0 TRLR'
+    ].join('\n');
+
+    it('should build houses from surnames and reuse existing houses', () => {
+      const { template, report } = gedcomToTemplate(FOREIGN, {
+        existingHouses: [{ id: 7, houseName: 'House Carrow' }]
+      });
+
+      expect(report.source).toBe('Other Genealogy Tool');
+      expect(findPerson(template, 'Edmund').houseId).toBe(7);
+      expect(findPerson(template, 'Isolde').houseId).toBe('house-1');
+      expect(template.houses.map(h => h.houseName)).toEqual(['House Marsh', 'Unaffiliated']);
+      expect(report.counts.matchedHouses).toBe(1);
+    });
+
+    it('should map pedigree and flag what it had to guess', () => {
+      const { template, report } = gedcomToTemplate(FOREIGN);
+
+      expect(findPerson(template, 'Tam')).toMatchObject({ lastName: 'Unknown', gender: 'other' });
+      expect(findRelationships(template, 'foster-parent', 'P3')).toHaveLength(2);
+      expect(findPerson(template, 'Edmund').dateOfBirth).toBe('1190');
+      expect(report.warnings).toEqual(expect.arrayContaining([
+        expect.stringMatching(/birth date "FROM 1190" imported as 1190/),
+        expect.stringMatching(/Tam .*no house or surname/),
+        expect.stringMatching(/F1: CHIL points to a missing individual/)
+      ]));
+    });
+
+    it('should reject files without a header or individuals', () => {
+      const { report } = gedcomToTemplate('hello');
+      expect(report.errors).toEqual(expect.arrayContaining([
+        expect.stringMatching(/Missing HEAD record/),
+        'No individuals (INDI records) found'
+      ]));
+    });
+  });
+});
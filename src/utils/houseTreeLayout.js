@@ -0,0 +1,257 @@
+/**
+ * House Tree Layout
+ *
+ * Works out where every card of a house tree goes, separately from
+ * drawing it, so that:
+ * - the work can run in a Web Worker (see workers/treeLayout.worker.js)
+ *   and large houses lay out without freezing the page
+ * - a layout can be reused when a change does not move anyone, and only
+ *   the edited people's cards are repainted
+ *
+ * Everything here takes and returns plain data (Maps and Sets included),
+ * which survives the structured clone into and out of the worker.
+ */
+
+import { buildRelationshipMaps, getSpouseIds } from './RelationshipCalculator';
+import { compareDates } from './calendarUtils';
+import { calculateBlockBasedLayout } from './familyBlockLayout';
+import {
+  getHouseIdsInScope,
+  getHouseScopedPeopleIds,
+  findRootPersonForHouse,
+  detectFragments
+} from './treeHelpers';
+
+/**
+ * Person fields that can move cards or change the lines between them.
+ * Edits to anything else (names, epithets, notes...) only repaint the card.
+ */
+export const LAYOUT_FIELDS = ['houseId', 'dateOfBirth', 'gender', 'legitimacyStatus'];
+
+// What the worker needs of each record - keeps portraits and notes out of the clone
+const toLayoutPerson = (person) => ({
+  id: person.id,
+  firstName: person.firstName,
+  lastName: person.lastName,
+  ...Object.fromEntries(LAYOUT_FIELDS.map(field => [field, person[field]]))
+});
+
+const toLayoutHouse = (house) => ({
+  id: house.id,
+  houseName: house.houseName,
+  parentHouseId: house.parentHouseId ?? null
+});
+
+const getHouseStructureKey = (houses) =>
+  houses.map(house => `${house.id}:${house.parentHouseId ?? ''}`).join('|');
+
+// ==================== GENERATIONS ====================
+
+/**
+ * Split a fragment of the tree into generations, breadth-first from its root
+ *
+ * @param {Map} peopleById - People in the fragment
+ * @param {Map} parentMap - childId -> [parentIds]
+ * @param {Map} childrenMap - parentId -> [childIds]
+ * @param {Map} spouseMap - personId -> [spouseIds]
+ * @param {number|null} overrideRootId - Root to use instead of the eldest parentless person
+ * @param {Object|null} calendar - Dataset calendar, for birth date ordering
+ * @returns {Array<Array<number>>} Person ids per generation; spouses are not listed
+ */
+export function detectTreeGenerations(peopleById, parentMap, childrenMap, spouseMap, overrideRootId = null, calendar = null) {
+  let rootPerson;
+
+  if (overrideRootId && peopleById.has(overrideRootId)) {
+    rootPerson = peopleById.get(overrideRootId);
+  } else {
+    const gen0People = Array.from(peopleById.values())
+      .filter(p => !parentMap.has(p.id))
+      .sort((a, b) => compareDates(a.dateOfBirth, b.dateOfBirth, calendar));
+
+    if (gen0People.length === 0) {
+      console.warn('No root people found (everyone has parents)');
+      return [];
+    }
+
+    rootPerson = gen0People[0];
+  }
+
+  const generations = [[rootPerson.id]];
+  const processedIds = new Set([rootPerson.id, ...getSpouseIds(spouseMap, rootPerson.id)]);
+
+  // Only follow children that are IN this fragment (peopleById), so
+  // generations never wander into relatives outside it
+  const collectChildren = (personId, nextGenIds) => {
+    (childrenMap.get(personId) || []).forEach(childId => {
+      if (!processedIds.has(childId) && peopleById.has(childId)) {
+        nextGenIds.add(childId);
+        processedIds.add(childId);
+      }
+    });
+  };
+
+  for (let genIndex = 0; genIndex < generations.length; genIndex++) {
+    const nextGenIds = new Set();
+
+    generations[genIndex].forEach(personId => {
+      collectChildren(personId, nextGenIds);
+      getSpouseIds(spouseMap, personId)
+        .filter(spouseId => peopleById.has(spouseId))
+        .forEach(spouseId => collectChildren(spouseId, nextGenIds));
+    });
+
+    if (nextGenIds.size > 0) {
+      generations.push(Array.from(nextGenIds));
+    }
+  }
+
+  return generations;
+}
+
+// ==================== LAYOUT ====================
+
+/**
+ * Prepare the worker input for a house layout
+ *
+ * @param {Object} sources - { people, houses, relationships, selectedHouseId,
+ *   showCadetHouses, centreOnPersonId, calendar, config }
+ * @returns {Object} The same, with people and houses trimmed to layout fields
+ */
+export function getHouseLayoutInput(sources) {
+  return {
+    ...sources,
+    people: sources.people.map(toLayoutPerson),
+    houses: sources.houses.map(toLayoutHouse)
+  };
+}
+
+/**
+ * Lay out a house tree: scope it, split it into fragments (disconnected
+ * branches) stacked top to bottom, then place each fragment's cards
+ *
+ * @param {Object} input - From getHouseLayoutInput. config holds
+ *   cardWidth, cardHeight, siblingSpacing, spouseSpacing, branchSpacing,
+ *   anchorX, startY, generationSpacing and fragmentGap
+ * @returns {Object} { scopedIds, rootPersonId, fragments } where each fragment is
+ *   { rootPersonId, peopleIds: Set, startY, generations, positions: Map<id, {x, y, width, height}> }
+ */
+export function computeHouseLayout(input) {
+  const { people, houses, relationships, selectedHouseId, showCadetHouses, centreOnPersonId, calendar, config } = input;
+
+  const peopleById = new Map(people.map(p => [p.id, p]));
+  const treeRelationships = relationships.filter(rel =>
+    rel.relationshipType !== 'spouse' ||
+    (peopleById.has(rel.person1Id) && peopleById.has(rel.person2Id))
+  );
+  const { parentMap, childrenMap, spouseMap } =
+    buildRelationshipMaps(treeRelationships, { includeDivorced: true, calendar });
+
+  const scopedIdSet = getHouseScopedPeopleIds(
+    selectedHouseId, people, houses, spouseMap, childrenMap, parentMap, showCadetHouses
+  );
+  const scopedIds = Array.from(scopedIdSet).filter(id => peopleById.has(id));
+  const scopedPeopleById = new Map(scopedIds.map(id => [id, peopleById.get(id)]));
+  const rootPersonId = findRootPersonForHouse(scopedIdSet, peopleById, parentMap, centreOnPersonId);
+
+  const houseIds = getHouseIdsInScope(selectedHouseId, houses, showCadetHouses);
+  const detected = detectFragments(people.filter(p => houseIds.has(p.houseId)), spouseMap, parentMap, childrenMap);
+  const fragmentSources = detected.length > 1
+    ? detected.map(fragment => ({ rootPersonId: fragment.rootPerson.id, peopleIds: fragment.peopleIds }))
+    : [{ rootPersonId, peopleIds: new Set(scopedIds) }];
+
+  let startY = config.startY;
+  const fragments = fragmentSources.map((fragment, fragmentIndex) => {
+    if (fragmentIndex > 0) startY += config.fragmentGap;
+
+    // A fragment is its members plus their spouses
+    const fragmentPeopleById = new Map();
+    fragment.peopleIds.forEach(id => {
+      if (scopedPeopleById.has(id)) fragmentPeopleById.set(id, scopedPeopleById.get(id));
+    });
+    fragment.peopleIds.forEach(id => {
+      getSpouseIds(spouseMap, id).forEach(spouseId => {
+        if (scopedPeopleById.has(spouseId)) fragmentPeopleById.set(spouseId, scopedPeopleById.get(spouseId));
+      });
+    });
+
+    const generations = detectTreeGenerations(fragmentPeopleById, parentMap, childrenMap, spouseMap, fragment.rootPersonId, calendar);
+    const positions = generations.length > 0
+      ? calculateBlockBasedLayout(generations, childrenMap, spouseMap, fragmentPeopleById, parentMap, {
+          cardWidth: config.cardWidth,
+          cardHeight: config.cardHeight,
+          siblingSpacing: config.siblingSpacing,
+          spouseSpacing: config.spouseSpacing,
+          branchSpacing: config.branchSpacing,
+          anchorX: config.anchorX,
+          startY,
+          generationSpacing: config.generationSpacing,
+          calendar
+        })
+      : new Map();
+
+    const result = { rootPersonId: fragment.rootPersonId, peopleIds: fragment.peopleIds, startY, generations, positions };
+    startY += Math.max(0, generations.length - 1) * config.generationSpacing;
+    return result;
+  });
+
+  return { scopedIds, rootPersonId, fragments };
+}
+
+// ==================== INCREMENTAL UPDATES ====================
+
+/**
+ * Compare two versions of the people list
+ *
+ * @param {Array} previous - People the current drawing was made from
+ * @param {Array} next - Current people
+ * @returns {{structural: boolean, changedIds: Array<number>}} structural is
+ *   true when anyone was added, removed or had a LAYOUT_FIELDS value
+ *   changed; otherwise changedIds lists people whose other details changed
+ */
+export function diffPeopleForLayout(previous, next) {
+  if (previous === next) return { structural: false, changedIds: [] };
+  if (!previous || previous.length !== next.length) return { structural: true, changedIds: [] };
+
+  const previousById = new Map(previous.map(p => [p.id, p]));
+  const changedIds = [];
+
+  for (const person of next) {
+    const before = previousById.get(person.id);
+    if (!before) return { structural: true, changedIds: [] };
+    if (before === person) continue;
+    if (LAYOUT_FIELDS.some(field => before[field] !== person[field])) {
+      return { structural: true, changedIds: [] };
+    }
+    changedIds.push(person.id);
+  }
+
+  return { structural: false, changedIds };
+}
+
+/**
+ * Whether a layout computed from `previous` sources is still valid for `next`
+ *
+ * @param {Object|null} previous - Sources passed to getHouseLayoutInput last time
+ * @param {Object} next - Current sources
+ * @returns {boolean}
+ */
+export function canReuseHouseLayout(previous, next) {
+  if (!previous) return false;
+
+  const sameSettings = ['selectedHouseId', 'showCadetHouses', 'centreOnPersonId', 'calendar', 'relationships']
+    .every(key => Object.is(previous[key], next[key]));
+
+  return sameSettings &&
+    JSON.stringify(previous.config) === JSON.stringify(next.config) &&
+    getHouseStructureKey(previous.houses) === getHouseStructureKey(next.houses) &&
+    !diffPeopleForLayout(previous.people, next.people).structural;
+}
+
+export default {
+  LAYOUT_FIELDS,
+  detectTreeGenerations,
+  getHouseLayoutInput,
+  computeHouseLayout,
+  diffPeopleForLayout,
+  canReuseHouseLayout
+};
@@ -0,0 +1,144 @@
+/**
+ * House Tree Layout Tests
+ *
+ * Tests for laying out house trees apart from drawing them:
+ * - Scoping, generations and card positions for a house
+ * - Deciding when an edit can reuse the current layout
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  computeHouseLayout,
+  getHouseLayoutInput,
+  diffPeopleForLayout,
+  canReuseHouseLayout
+} from './houseTreeLayout';
+
+const config = {
+  cardWidth: 150,
+  cardHeight: 70,
+  siblingSpacing: 35,
+  spouseSpacing: 35,
+  branchSpacing: 40,
+  anchorX: 1500,
+  startY: 100,
+  generationSpacing: 145,
+  fragmentGap: 130
+};
+
+const person = (id, firstName, dateOfBirth, extra = {}) => ({
+  id, firstName, lastName: 'Valmont', houseId: 1, dateOfBirth, gender: 'male', legitimacyStatus: 'legitimate', ...extra
+});
+
+// Aldric and Mira (an outsider) with two sons; the elder son has a daughter
+const buildSources = () => {
+  const people = [
+    person(1, 'Aldric', '1200'),
+    person(2, 'Mira', '1204', { houseId: 2, lastName: 'Thorne', gender: 'female', notes: 'A long biography' }),
+    person(3, 'Edric', '1225'),
+    person(4, 'Osric', '1228'),
+    person(5, 'Lisbet', '1250', { gender: 'female' })
+  ];
+  const relationships = [
+    { id: 1, person1Id: 1, person2Id: 2, relationshipType: 'spouse' },
+    { id: 2, person1Id: 1, person2Id: 3, relationshipType: 'parent' },
+    { id: 3, person1Id: 2, person2Id: 3, relationshipType: 'parent' },
+    { id: 4, person1Id: 1, person2Id: 4, relationshipType: 'parent' },
+    { id: 5, person1Id: 2, person2Id: 4, relationshipType: 'parent' },
+    { id: 6, person1Id: 3, person2Id: 5, relationshipType: 'parent' }
+  ];
+
+  return {
+    people,
+    houses: [{ id: 1, houseName: 'Valmont', colorCode: '#8b4513' }, { id: 2, houseName: 'Thorne' }],
+    relationships,
+    selectedHouseId: 1,
+    showCadetHouses: true,
+    centreOnPersonId: 'auto',
+    calendar: null,
+    config
+  };
+};
+
+describe('houseTreeLayout', () => {
+  describe('computeHouseLayout', () => {
+    it('should place every member and spouse of the house by generation', () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      const layout = computeHouseLayout(getHouseLayoutInput(buildSources()));
+
+      expect(layout.rootPersonId).toBe(1);
+      expect(layout.fragments).toHaveLength(1);
+
+      const [fragment] = layout.fragments;
+      expect(fragment.generations).toEqual([[1], [3, 4], [5]]);
+      expect([...fragment.positions.keys()].sort()).toEqual([1, 2, 3, 4, 5]);
+      expect(fragment.positions.get(1).y).toBe(100);
+      expect(fragment.positions.get(3).y).toBe(245);
+      expect(fragment.positions.get(5).y).toBe(390);
+      vi.restoreAllMocks();
+    });
+
+    it('should stack disconnected branches of a house one below another', () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      const sources = buildSources();
+      sources.people.push(person(6, 'Bertram', '1300'), person(7, 'Hugh', '1325'));
+      sources.relationships = [...sources.relationships, { id: 7, person1Id: 6, person2Id: 7, relationshipType: 'parent' }];
+
+      const { fragments } = computeHouseLayout(getHouseLayoutInput(sources));
+
+      expect(fragments).toHaveLength(2);
+      expect(fragments[1].startY).toBe(100 + 2 * 145 + 130);
+      expect(fragments[1].positions.get(6).y).toBe(fragments[1].startY);
+      vi.restoreAllMocks();
+    });
+  });
+
+  describe('getHouseLayoutInput', () => {
+    it('should keep only the fields the layout needs', () => {
+      const input = getHouseLayoutInput(buildSources());
+
+      expect(input.people[1]).not.toHaveProperty('notes');
+      expect(input.people[1]).toMatchObject({ id: 2, houseId: 2, dateOfBirth: '1204' });
+      expect(input.houses[0]).toEqual({ id: 1, houseName: 'Valmont', parentHouseId: null });
+    });
+  });
+
+  describe('diffPeopleForLayout', () => {
+    it('should list people whose cards alone need repainting', () => {
+      const { people } = buildSources();
+      const next = people.map(p => (p.id === 3 ? { ...p, firstName: 'Edrick' } : p));
+
+      expect(diffPeopleForLayout(people, next)).toEqual({ structural: false, changedIds: [3] });
+    });
+
+    it('should report changes that can move cards', () => {
+      const { people } = buildSources();
+
+      expect(diffPeopleForLayout(people, people.slice(1)).structural).toBe(true);
+      expect(diffPeopleForLayout(people, people.map(p => (p.id === 3 ? { ...p, houseId: 2 } : p))).structural).toBe(true);
+      expect(diffPeopleForLayout(people, people.map(p => (p.id === 4 ? { ...p, dateOfBirth: '1220' } : p))).structural).toBe(true);
+    });
+  });
+
+  describe('canReuseHouseLayout', () => {
+    it('should reuse the layout after a rename', () => {
+      const previous = buildSources();
+      const next = { ...previous, people: previous.people.map(p => (p.id === 5 ? { ...p, epithets: ['the Fair'] } : p)) };
+
+      expect(canReuseHouseLayout(previous, next)).toBe(true);
+    });
+
+    it('should lay out again when relationships, settings or houses change', () => {
+      const previous = buildSources();
+
+      expect(canReuseHouseLayout(null, previous)).toBe(false);
+      expect(canReuseHouseLayout(previous, { ...previous, relationships: [...previous.relationships] })).toBe(false);
+      expect(canReuseHouseLayout(previous, { ...previous, centreOnPersonId: 3 })).toBe(false);
+      expect(canReuseHouseLayout(previous, { ...previous, config: { ...config, generationSpacing: 200 } })).toBe(false);
+      expect(canReuseHouseLayout(previous, {
+        ...previous,
+        houses: [...previous.houses, { id: 3, houseName: 'Valmont of the Marches', parentHouseId: 1 }]
+      })).toBe(false);
+    });
+  });
+});
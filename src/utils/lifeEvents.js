@@ -0,0 +1,191 @@
+/**
+ * Life Events
+ *
+ * Checks and orders the dated events in people's lives (see
+ * data/lifeEventTypes.js), and lays them out as timelines: one person's
+ * life from birth to death, or the whole world's history for the context
+ * library's timeline.json.
+ *
+ * LIFE EVENT OBJECT STRUCTURE:
+ * {
+ *   id: 7,
+ *   eventType: "exile",      // Key of LIFE_EVENT_TYPES
+ *   title: "Flight to Veyra", // Optional - defaults to the type's name
+ *   date: "~1245",           // Stored date, may be uncertain (see calendarUtils)
+ *   endDate: "1251",         // For types that span time
+ *   personIds: [12, 14],     // Everyone the event involved
+ *   houseIds: [3],           // Houses it concerned
+ *   codexLocationId: 40,     // Codex location entry where it happened
+ *   codexEntryId: 41,        // Codex event entry describing it (e.g. the battle)
+ *   notes: "..."
+ * }
+ *
+ * Events with no date still show, after the dated ones.
+ */
+
+import {
+  compareDates,
+  getDateRange,
+  isValidDateValue,
+  isUncertainDate,
+  yearsBetween,
+  formatDate
+} from './calendarUtils';
+import { getLifeEventType } from '../data/lifeEventTypes';
+
+// ==================== VALIDATION ====================
+
+/**
+ * Check a life event before saving
+ *
+ * @param {Object} event - Life event data
+ * @param {Object} [calendar] - Dataset calendar
+ * @returns {{isValid: boolean, errors: Array<string>}}
+ */
+export function validateLifeEvent(event, calendar) {
+  const errors = [];
+
+  if (!event?.eventType) errors.push('Choose an event type');
+  if ((event?.personIds || []).length === 0 && (event?.houseIds || []).length === 0) {
+    errors.push('Link the event to at least one person or house');
+  }
+
+  if (event?.date && !isValidDateValue(event.date, calendar)) {
+    errors.push('Date is not a valid date in this calendar');
+  }
+  if (event?.endDate && !isValidDateValue(event.endDate, calendar)) {
+    errors.push('End date is not a valid date in this calendar');
+  }
+
+  // Only when every reading of the dates has the event ending first
+  const start = event?.date ? getDateRange(event.date, calendar) : null;
+  const end = event?.endDate ? getDateRange(event.endDate, calendar) : null;
+  if (start && end && start.earliest !== null && end.latest !== null && end.latest < start.earliest) {
+    errors.push('End date is before the event started');
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+// ==================== ORDERING ====================
+
+/**
+ * Sort events chronologically (undated last, then by ID)
+ *
+ * @param {Array} events - Life events
+ * @param {Object} [calendar] - Dataset calendar
+ * @returns {Array} New sorted array
+ */
+export function sortLifeEvents(events, calendar) {
+  return [...events].sort((a, b) => (
+    compareDates(a.date, b.date, calendar) ||
+    compareDates(a.endDate, b.endDate, calendar) ||
+    (a.id || 0) - (b.id || 0)
+  ));
+}
+
+/**
+ * Events a person took part in
+ */
+export function getEventsForPerson(events, personId) {
+  return events.filter(event => (event.personIds || []).includes(personId));
+}
+
+/**
+ * Display title for an event - its own title or its type's name
+ */
+export function getLifeEventTitle(event) {
+  return event.title?.trim() || getLifeEventType(event.eventType).name;
+}
+
+// ==================== TIMELINES ====================
+
+/**
+ * One person's life in order: birth, their events, death
+ *
+ * @param {Object} person - Person record
+ * @param {Array} events - Life events (anyone's - filtered here)
+ * @param {Object} [calendar] - Dataset calendar
+ * @returns {Array<{kind: 'birth'|'event'|'death', date, age, event?}>}
+ *   age is whole years at the event, or null if either date is missing or uncertain
+ */
+export function buildPersonTimeline(person, events, calendar) {
+  if (!person) return [];
+
+  const ageAt = (date) => {
+    if (!person.dateOfBirth || !date) return null;
+    if (isUncertainDate(person.dateOfBirth) || isUncertainDate(date)) return null;
+    return yearsBetween(person.dateOfBirth, date);
+  };
+
+  const entries = sortLifeEvents(getEventsForPerson(events, person.id), calendar)
+    .map(event => ({ kind: 'event', date: event.date || null, age: ageAt(event.date), event }));
+
+  if (person.dateOfBirth) {
+    entries.unshift({ kind: 'birth', date: person.dateOfBirth, age: null });
+  }
+  if (person.dateOfDeath) {
+    // Before anything later (a posthumous trial, say) and before undated events
+    const after = entries.findIndex(entry => (
+      entry.kind === 'event' && (!entry.date || compareDates(entry.date, person.dateOfDeath, calendar) > 0)
+    ));
+    const death = { kind: 'death', date: person.dateOfDeath, age: ageAt(person.dateOfDeath) };
+    entries.splice(after === -1 ? entries.length : after, 0, death);
+  }
+
+  return entries;
+}
+
+/**
+ * The world's history as one list, for the context library's timeline.json
+ *
+ * Life events come with the names of who and what they involved; Codex
+ * event entries no life event points at are listed after them by era,
+ * as before.
+ *
+ * @param {Object} data - { lifeEvents, people, houses, codexEntries }
+ * @param {Object} [calendar] - Dataset calendar (for display dates)
+ * @returns {Array<Object>}
+ */
+export function buildWorldTimeline({ lifeEvents = [], people = [], houses = [], codexEntries = [] }, calendar) {
+  const personName = new Map(people.map(p => [p.id, `${p.firstName} ${p.lastName}`.trim()]));
+  const houseName = new Map(houses.map(h => [h.id, h.houseName]));
+  const entryTitle = new Map(codexEntries.map(e => [e.id, e.title]));
+  const describedEntries = new Set(lifeEvents.map(e => e.codexEntryId).filter(Boolean));
+
+  const events = sortLifeEvents(lifeEvents, calendar).map(event => ({
+    id: event.id,
+    source: 'lifeEvent',
+    type: event.eventType,
+    title: getLifeEventTitle(event),
+    date: event.date || null,
+    endDate: event.endDate || null,
+    displayDate: event.date ? formatDate(event.date, calendar) : null,
+    people: (event.personIds || []).map(id => personName.get(id)).filter(Boolean),
+    houses: (event.houseIds || []).map(id => houseName.get(id)).filter(Boolean),
+    location: entryTitle.get(event.codexLocationId) || null,
+    codexEntryId: event.codexEntryId || null,
+    notes: event.notes || null
+  }));
+
+  const codexEvents = codexEntries
+    .filter(e => e.type === 'event' && !describedEntries.has(e.id))
+    .map(e => ({
+      id: e.id,
+      source: 'codex',
+      title: e.title,
+      era: e.era,
+      category: e.category
+    }));
+
+  return [...events, ...codexEvents];
+}
+
+export default {
+  validateLifeEvent,
+  sortLifeEvents,
+  getEventsForPerson,
+  getLifeEventTitle,
+  buildPersonTimeline,
+  buildWorldTimeline
+};
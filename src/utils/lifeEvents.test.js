@@ -0,0 +1,106 @@
+/**
+ * Life Events Tests
+ *
+ * Tests for life events and timelines:
+ * - Validation of types, links and date order
+ * - Chronological ordering with uncertain and missing dates
+ * - A person's timeline from birth to death, with ages
+ * - The world timeline for the context library
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  validateLifeEvent,
+  sortLifeEvents,
+  getLifeEventTitle,
+  buildPersonTimeline,
+  buildWorldTimeline
+} from './lifeEvents';
+
+const aldric = { id: 1, firstName: 'Aldric', lastName: 'Wilfrey', houseId: 1, dateOfBirth: '1120-03-01', dateOfDeath: '1180-06-01' };
+const sela = { id: 2, firstName: 'Sela', lastName: 'Thorn' };
+
+const events = [
+  { id: 1, eventType: 'knighting', date: '1138-05-01', personIds: [1] },
+  { id: 2, eventType: 'exile', title: 'Flight to Veyra', date: '~1150', endDate: '1156', personIds: [1, 2], codexLocationId: 40 },
+  { id: 3, eventType: 'battle', date: '1145-09-12', personIds: [1], codexEntryId: 41 },
+  { id: 4, eventType: 'pilgrimage', personIds: [1] },
+  { id: 5, eventType: 'other', title: 'Posthumous trial', date: '1182', personIds: [1] },
+  { id: 6, eventType: 'knighting', date: '1160', personIds: [2] }
+];
+
+describe('validateLifeEvent', () => {
+  it('should need a type and someone it happened to', () => {
+    const result = validateLifeEvent({ date: '1140' });
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual(['Choose an event type', 'Link the event to at least one person or house']);
+    expect(validateLifeEvent({ eventType: 'coronation', houseIds: [3] }).isValid).toBe(true);
+  });
+
+  it('should reject invalid dates and events that end before they start', () => {
+    expect(validateLifeEvent({ eventType: 'exile', personIds: [1], date: 'soon' }).isValid).toBe(false);
+    expect(validateLifeEvent({ eventType: 'exile', personIds: [1], date: '1150', endDate: '1140' }).errors)
+      .toEqual(['End date is before the event started']);
+  });
+
+  it('should allow uncertain dates that might be in order', () => {
+    expect(validateLifeEvent({ eventType: 'exile', personIds: [1], date: '~1150', endDate: '1148' }).isValid).toBe(true);
+    expect(validateLifeEvent({ eventType: 'exile', personIds: [1], date: '>1150', endDate: '1140' }).isValid).toBe(false);
+  });
+});
+
+describe('sortLifeEvents', () => {
+  it('should order by date with undated events last', () => {
+    expect(sortLifeEvents(events).map(e => e.id)).toEqual([1, 3, 2, 6, 5, 4]);
+  });
+
+  it('should fall back to the type name for untitled events', () => {
+    expect(getLifeEventTitle(events[0])).toBe('Knighting');
+    expect(getLifeEventTitle(events[1])).toBe('Flight to Veyra');
+  });
+});
+
+describe('buildPersonTimeline', () => {
+  it('should run from birth to death with the person\'s events between', () => {
+    const timeline = buildPersonTimeline(aldric, events);
+
+    expect(timeline.map(e => e.kind === 'event' ? e.event.id : e.kind))
+      .toEqual(['birth', 1, 3, 2, 'death', 5, 4]);
+  });
+
+  it('should give ages only where both dates are certain', () => {
+    const timeline = buildPersonTimeline(aldric, events);
+    const ageOf = (id) => timeline.find(e => e.event?.id === id).age;
+
+    expect(ageOf(1)).toBe(18);
+    expect(ageOf(2)).toBeNull();
+    expect(ageOf(4)).toBeNull();
+    expect(timeline.find(e => e.kind === 'death').age).toBe(60);
+  });
+
+  it('should leave out birth and death when they are unknown', () => {
+    const timeline = buildPersonTimeline(sela, events);
+
+    expect(timeline.map(e => e.kind)).toEqual(['event', 'event']);
+  });
+});
+
+describe('buildWorldTimeline', () => {
+  it('should name who and where, and list Codex events not already covered', () => {
+    const timeline = buildWorldTimeline({
+      lifeEvents: events.slice(0, 3),
+      people: [aldric, sela],
+      houses: [{ id: 1, houseName: 'Wilfrey' }],
+      codexEntries: [
+        { id: 40, type: 'location', title: 'Veyra' },
+        { id: 41, type: 'event', title: 'Battle of the Ford' },
+        { id: 42, type: 'event', title: 'The Long Winter', era: 'Third Age' }
+      ]
+    });
+
+    expect(timeline.map(e => e.title)).toEqual(['Knighting', 'Battle', 'Flight to Veyra', 'The Long Winter']);
+    expect(timeline[2]).toMatchObject({ source: 'lifeEvent', people: ['Aldric Wilfrey', 'Sela Thorn'], location: 'Veyra' });
+    expect(timeline[3]).toMatchObject({ source: 'codex', id: 42, era: 'Third Age' });
+  });
+});
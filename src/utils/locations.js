@@ -0,0 +1,347 @@
+/**
+ * Locations
+ *
+ * The locations registry: places nested by parentId (see
+ * data/locationTypes.js), who lived where (residences), where each house
+ * kept its seat (house seats), and which dignities are seated where.
+ *
+ * LOCATION OBJECT STRUCTURE:
+ * {
+ *   id: 4,
+ *   name: "Breakmount",
+ *   locationType: "castle",  // Key of LOCATION_TYPES
+ *   parentId: 2,             // Enclosing location, or null for a root
+ *   codexEntryId: 31,        // Codex location entry describing it
+ *   notes: "..."
+ * }
+ *
+ * RESIDENCE / HOUSE SEAT STRUCTURE (a "placement"):
+ * {
+ *   id: 9,
+ *   personId: 12,            // Residences - or houseId for house seats
+ *   locationId: 4,
+ *   startDate: "~1245",      // Stored dates, may be uncertain (see calendarUtils)
+ *   endDate: null,           // Open-ended while it lasts
+ *   notes: "..."
+ * }
+ *
+ * Dignities point at their seat with seatLocationId; their free-text
+ * seatName stays for display and for places not yet in the registry.
+ */
+
+import {
+  compareDates,
+  getDateRange,
+  getYear,
+  isValidDateValue,
+  normalizeCalendar,
+  toEraYear
+} from './calendarUtils';
+import { getLocationType } from '../data/locationTypes';
+
+// ==================== HIERARCHY ====================
+
+/**
+ * The chain of places from the outermost down to this one
+ *
+ * @param {number} locationId - Location ID
+ * @param {Array} locations - All locations
+ * @returns {Array<Object>} e.g. [realm, region, castle]; empty if not found
+ */
+export function getLocationPath(locationId, locations) {
+  const byId = new Map(locations.map(l => [l.id, l]));
+  const path = [];
+  const seen = new Set();
+  let current = byId.get(locationId);
+  while (current && !seen.has(current.id)) {
+    seen.add(current.id);
+    path.unshift(current);
+    current = byId.get(current.parentId);
+  }
+  return path;
+}
+
+/**
+ * IDs of every place within this one, at any depth
+ *
+ * @returns {Array<number>} Not including the location itself
+ */
+export function getDescendantIds(locationId, locations) {
+  const ids = [];
+  const queue = [locationId];
+  const seen = new Set(queue);
+  while (queue.length > 0) {
+    const parentId = queue.shift();
+    for (const child of locations) {
+      if (child.parentId === parentId && !seen.has(child.id)) {
+        seen.add(child.id);
+        ids.push(child.id);
+        queue.push(child.id);
+      }
+    }
+  }
+  return ids;
+}
+
+/**
+ * Whether placing a location under parentId would make it its own ancestor
+ */
+export function wouldCreateCycle(locationId, parentId, locations) {
+  if (!locationId || !parentId) return false;
+  if (locationId === parentId) return true;
+  return getDescendantIds(locationId, locations).includes(parentId);
+}
+
+/**
+ * Sort siblings: larger kinds of place first, then by name
+ */
+function compareLocations(a, b) {
+  return (getLocationType(a.locationType).rank - getLocationType(b.locationType).rank) ||
+    (a.name || '').localeCompare(b.name || '');
+}
+
+/**
+ * Nest the registry for display
+ *
+ * Places whose parent is missing are treated as roots.
+ *
+ * @param {Array} locations - All locations
+ * @returns {Array<{location: Object, depth: number}>} Flattened, parents before children
+ */
+export function flattenLocationTree(locations) {
+  const ids = new Set(locations.map(l => l.id));
+  const result = [];
+  const seen = new Set();
+  const visit = (location, depth) => {
+    if (seen.has(location.id)) return;
+    seen.add(location.id);
+    result.push({ location, depth });
+    locations
+      .filter(l => l.parentId === location.id)
+      .sort(compareLocations)
+      .forEach(child => visit(child, depth + 1));
+  };
+  locations
+    .filter(l => !l.parentId || !ids.has(l.parentId))
+    .sort(compareLocations)
+    .forEach(root => visit(root, 0));
+  return result;
+}
+
+// ==================== VALIDATION ====================
+
+/**
+ * Check a location before saving
+ *
+ * @param {Object} location - Location data (with id when editing)
+ * @param {Array} locations - All locations
+ * @returns {{isValid: boolean, errors: Array<string>}}
+ */
+export function validateLocation(location, locations) {
+  const errors = [];
+
+  if (!location?.name?.trim()) errors.push('Give the location a name');
+  if (location?.parentId) {
+    if (!locations.some(l => l.id === location.parentId)) {
+      errors.push('The enclosing location no longer exists');
+    } else if (wouldCreateCycle(location.id, location.parentId, locations)) {
+      errors.push('A location cannot lie within itself or a place inside it');
+    }
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Check a residence or house seat before saving
+ *
+ * @param {Object} placement - { locationId, startDate, endDate, ... }
+ * @param {Array} locations - All locations
+ * @param {Object} [calendar] - Dataset calendar
+ * @returns {{isValid: boolean, errors: Array<string>}}
+ */
+export function validatePlacement(placement, locations, calendar) {
+  const errors = [];
+
+  if (!placement?.locationId) {
+    errors.push('Choose a location');
+  } else if (!locations.some(l => l.id === placement.locationId)) {
+    errors.push('That location no longer exists');
+  }
+
+  if (placement?.startDate && !isValidDateValue(placement.startDate, calendar)) {
+    errors.push('From date is not a valid date in this calendar');
+  }
+  if (placement?.endDate && !isValidDateValue(placement.endDate, calendar)) {
+    errors.push('Until date is not a valid date in this calendar');
+  }
+
+  // Only when every reading of the dates has it ending first
+  const start = placement?.startDate ? getDateRange(placement.startDate, calendar) : null;
+  const end = placement?.endDate ? getDateRange(placement.endDate, calendar) : null;
+  if (start && end && start.earliest !== null && end.latest !== null && end.latest < start.earliest) {
+    errors.push('Until date is before the from date');
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Check that a dignity's seat is in the registry
+ *
+ * A seatLocationId that points nowhere is an error. A free-text seatName
+ * with no registered seat only warns - naming a location in the registry
+ * after it is enough to link it.
+ *
+ * @param {Object} dignity - Dignity data
+ * @param {Array} locations - All locations
+ * @returns {{isValid: boolean, errors: Array<string>, warnings: Array<string>, match: Object|null}}
+ *   match is a registered location named like seatName, if any
+ */
+export function validateDignitySeat(dignity, locations) {
+  const errors = [];
+  const warnings = [];
+  let match = null;
+
+  if (dignity?.seatLocationId) {
+    if (!locations.some(l => l.id === dignity.seatLocationId)) {
+      errors.push('The seat location does not exist');
+    }
+  } else if (dignity?.seatName?.trim()) {
+    const wanted = dignity.seatName.trim().toLowerCase();
+    match = locations.find(l => (l.name || '').trim().toLowerCase() === wanted) || null;
+    warnings.push(match
+      ? `"${dignity.seatName.trim()}" is in the locations registry but not linked as the seat`
+      : `"${dignity.seatName.trim()}" is not in the locations registry`);
+  }
+
+  return { isValid: errors.length === 0, errors, warnings, match };
+}
+
+// ==================== HISTORY ====================
+
+/**
+ * Sort residences or seats chronologically (undated last)
+ */
+export function sortPlacements(placements, calendar) {
+  return [...placements].sort((a, b) => (
+    compareDates(a.startDate, b.startDate, calendar) ||
+    compareDates(a.endDate, b.endDate, calendar) ||
+    (a.id || 0) - (b.id || 0)
+  ));
+}
+
+/**
+ * Label for the stretch of history a date falls in: the calendar's named
+ * period if it has one there, otherwise the century
+ *
+ * @param {string} date - Stored date
+ * @param {Object} [calendar] - Dataset calendar
+ * @returns {string|null} null for undated
+ */
+export function getPeriodLabel(date, calendar) {
+  const year = date ? getYear(date, calendar) : null;
+  if (year === null) return null;
+
+  const cal = normalizeCalendar(calendar);
+  const displayYear = year + cal.epochOffset;
+  const period = cal.periods.find(p => (
+    (p.startYear === null || p.startYear <= displayYear) &&
+    (p.endYear === null || displayYear <= p.endYear)
+  ));
+  if (period) return period.name;
+
+  const { year: eraYear, era } = toEraYear(Math.floor(year / 100) * 100, cal);
+  return `${eraYear}s${era ? ` ${era.abbreviation}` : ''}`;
+}
+
+/**
+ * Who lived at and ruled from a place, grouped by period
+ *
+ * Covers the place and everything within it. Rulers are the holders of
+ * dignities seated there, from their tenures.
+ *
+ * @param {number} locationId - Location ID
+ * @param {Object} data - { locations, residences, houseSeats, dignities, dignityTenures, people, houses }
+ * @param {Object} [calendar] - Dataset calendar
+ * @returns {{dignities: Array, groups: Array<{label: string|null, entries: Array}>}}
+ *   entries: { kind: 'resident'|'seat'|'ruler', id, name, personId?, houseId?,
+ *   dignityId?, dignityName?, location, startDate, endDate }; label null = undated
+ */
+export function buildLocationHistory(locationId, data, calendar) {
+  const {
+    locations = [], residences = [], houseSeats = [], dignities = [],
+    dignityTenures = [], people = [], houses = []
+  } = data;
+
+  const placeIds = new Set([locationId, ...getDescendantIds(locationId, locations)]);
+  const locationById = new Map(locations.map(l => [l.id, l]));
+  const personName = new Map(people.map(p => [p.id, `${p.firstName} ${p.lastName}`.trim()]));
+  const houseName = new Map(houses.map(h => [h.id, h.houseName]));
+  const seated = dignities.filter(d => placeIds.has(d.seatLocationId));
+  const seatedById = new Map(seated.map(d => [d.id, d]));
+
+  const entries = [
+    ...residences.filter(r => placeIds.has(r.locationId)).map(r => ({
+      kind: 'resident',
+      id: r.id,
+      personId: r.personId,
+      name: personName.get(r.personId) || 'Unknown person',
+      location: locationById.get(r.locationId),
+      startDate: r.startDate || null,
+      endDate: r.endDate || null
+    })),
+    ...houseSeats.filter(s => placeIds.has(s.locationId)).map(s => ({
+      kind: 'seat',
+      id: s.id,
+      houseId: s.houseId,
+      name: houseName.get(s.houseId) || 'Unknown house',
+      location: locationById.get(s.locationId),
+      startDate: s.startDate || null,
+      endDate: s.endDate || null
+    })),
+    ...dignityTenures.filter(t => seatedById.has(t.dignityId)).map(t => {
+      const dignity = seatedById.get(t.dignityId);
+      return {
+        kind: 'ruler',
+        id: t.id,
+        personId: t.personId,
+        name: personName.get(t.personId) || 'Unknown person',
+        dignityId: dignity.id,
+        dignityName: dignity.name,
+        location: locationById.get(dignity.seatLocationId),
+        startDate: t.dateStarted || null,
+        endDate: t.dateEnded || null
+      };
+    })
+  ];
+
+  const groups = [];
+  const byLabel = new Map();
+  const when = (entry) => entry.startDate || entry.endDate;
+  entries.sort((a, b) => compareDates(when(a), when(b), calendar) || a.name.localeCompare(b.name));
+  for (const entry of entries) {
+    const label = getPeriodLabel(when(entry), calendar);
+    if (!byLabel.has(label)) {
+      const group = { label, entries: [] };
+      byLabel.set(label, group);
+      groups.push(group);
+    }
+    byLabel.get(label).entries.push(entry);
+  }
+
+  return { dignities: seated, groups };
+}
+
+export default {
+  getLocationPath,
+  getDescendantIds,
+  wouldCreateCycle,
+  flattenLocationTree,
+  validateLocation,
+  validatePlacement,
+  validateDignitySeat,
+  sortPlacements,
+  getPeriodLabel,
+  buildLocationHistory
+};
@@ -0,0 +1,152 @@
+/**
+ * Locations Tests
+ *
+ * Tests for the locations registry:
+ * - Nesting, paths and cycle checks
+ * - Validation of locations, residences/seats and dignity seats
+ * - Period labels from named periods or centuries
+ * - Who lived and ruled at a place, grouped by period
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getLocationPath,
+  getDescendantIds,
+  wouldCreateCycle,
+  flattenLocationTree,
+  validateLocation,
+  validatePlacement,
+  validateDignitySeat,
+  sortPlacements,
+  getPeriodLabel,
+  buildLocationHistory
+} from './locations';
+
+const locations = [
+  { id: 1, name: 'Estmark', locationType: 'realm', parentId: null },
+  { id: 2, name: 'The Reach', locationType: 'region', parentId: 1 },
+  { id: 3, name: 'Breakmount', locationType: 'castle', parentId: 2 },
+  { id: 4, name: 'Ashford', locationType: 'holding', parentId: 2 },
+  { id: 5, name: 'Veyra', locationType: 'city', parentId: null }
+];
+
+const WINTER_CALENDAR = {
+  periods: [{ name: 'The Long Winter', startYear: 1140, endYear: 1149 }]
+};
+
+describe('hierarchy', () => {
+  it('should give the path from the outermost place down', () => {
+    expect(getLocationPath(3, locations).map(l => l.name)).toEqual(['Estmark', 'The Reach', 'Breakmount']);
+    expect(getLocationPath(99, locations)).toEqual([]);
+  });
+
+  it('should find everything within a place', () => {
+    expect(getDescendantIds(1, locations).sort()).toEqual([2, 3, 4]);
+    expect(getDescendantIds(3, locations)).toEqual([]);
+  });
+
+  it('should refuse to put a place inside itself or its own contents', () => {
+    expect(wouldCreateCycle(1, 3, locations)).toBe(true);
+    expect(wouldCreateCycle(2, 2, locations)).toBe(true);
+    expect(wouldCreateCycle(3, 5, locations)).toBe(false);
+  });
+
+  it('should flatten larger places first with children under their parent', () => {
+    const tree = flattenLocationTree(locations);
+
+    expect(tree.map(({ location, depth }) => `${depth}:${location.name}`))
+      .toEqual(['0:Estmark', '1:The Reach', '2:Ashford', '2:Breakmount', '0:Veyra']);
+  });
+});
+
+describe('validation', () => {
+  it('should need a name and an existing parent that is not inside it', () => {
+    expect(validateLocation({ name: ' ' }, locations).errors).toEqual(['Give the location a name']);
+    expect(validateLocation({ name: 'Lost', parentId: 99 }, locations).isValid).toBe(false);
+    expect(validateLocation({ id: 2, name: 'The Reach', parentId: 3 }, locations).isValid).toBe(false);
+    expect(validateLocation({ id: 3, name: 'Breakmount', parentId: 5 }, locations).isValid).toBe(true);
+  });
+
+  it('should need an existing location and dates in order', () => {
+    expect(validatePlacement({ personId: 1 }, locations).errors).toEqual(['Choose a location']);
+    expect(validatePlacement({ personId: 1, locationId: 99 }, locations).isValid).toBe(false);
+    expect(validatePlacement({ personId: 1, locationId: 3, startDate: '1150', endDate: '1140' }, locations).errors)
+      .toEqual(['Until date is before the from date']);
+    expect(validatePlacement({ personId: 1, locationId: 3, startDate: '~1150', endDate: '1148' }, locations).isValid)
+      .toBe(true);
+  });
+
+  it('should reject a seat that does not exist', () => {
+    const result = validateDignitySeat({ seatLocationId: 99 }, locations);
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual(['The seat location does not exist']);
+    expect(validateDignitySeat({ seatLocationId: 3 }, locations)).toMatchObject({ isValid: true, warnings: [] });
+  });
+
+  it('should warn about free-text seats and offer a matching location', () => {
+    const known = validateDignitySeat({ seatName: 'breakmount ' }, locations);
+    const unknown = validateDignitySeat({ seatName: 'Highcairn' }, locations);
+
+    expect(known.isValid).toBe(true);
+    expect(known.match.id).toBe(3);
+    expect(known.warnings).toHaveLength(1);
+    expect(unknown.match).toBeNull();
+    expect(unknown.warnings).toEqual(['"Highcairn" is not in the locations registry']);
+  });
+});
+
+describe('history', () => {
+  it('should sort placements by date with undated last', () => {
+    const placements = [
+      { id: 1, startDate: null },
+      { id: 2, startDate: '1150' },
+      { id: 3, startDate: '~1120' }
+    ];
+
+    expect(sortPlacements(placements).map(p => p.id)).toEqual([3, 2, 1]);
+  });
+
+  it('should label periods by name where the calendar has one, else by century', () => {
+    expect(getPeriodLabel('1145-02-01', WINTER_CALENDAR)).toBe('The Long Winter');
+    expect(getPeriodLabel('1162', WINTER_CALENDAR)).toBe('1100s');
+    expect(getPeriodLabel(null, WINTER_CALENDAR)).toBeNull();
+  });
+
+  it('should list residents, seats and rulers within a place by period', () => {
+    const history = buildLocationHistory(2, {
+      locations,
+      residences: [
+        { id: 1, personId: 1, locationId: 3, startDate: '1130', endDate: '1150' },
+        { id: 2, personId: 2, locationId: 5, startDate: '1130' },
+        { id: 3, personId: 2, locationId: 4 }
+      ],
+      houseSeats: [{ id: 1, houseId: 1, locationId: 3, startDate: '1102' }],
+      dignities: [
+        { id: 1, name: 'Lord of the Reach', seatLocationId: 3 },
+        { id: 2, name: 'Mayor of Veyra', seatLocationId: 5 }
+      ],
+      dignityTenures: [
+        { id: 1, dignityId: 1, personId: 1, dateStarted: '1142', dateEnded: '1160' },
+        { id: 2, dignityId: 2, personId: 2, dateStarted: '1142' }
+      ],
+      people: [
+        { id: 1, firstName: 'Aldric', lastName: 'Wilfrey' },
+        { id: 2, firstName: 'Sela', lastName: 'Thorn' }
+      ],
+      houses: [{ id: 1, houseName: 'Wilfrey' }]
+    }, WINTER_CALENDAR);
+
+    expect(history.dignities.map(d => d.id)).toEqual([1]);
+    expect(history.groups.map(g => g.label)).toEqual(['1100s', 'The Long Winter', null]);
+    expect(history.groups[0].entries.map(e => `${e.kind}:${e.name}`))
+      .toEqual(['seat:Wilfrey', 'resident:Aldric Wilfrey']);
+    expect(history.groups[1].entries[0]).toMatchObject({
+      kind: 'ruler',
+      name: 'Aldric Wilfrey',
+      dignityName: 'Lord of the Reach',
+      location: { id: 3 }
+    });
+    expect(history.groups[2].entries[0]).toMatchObject({ kind: 'resident', name: 'Sela Thorn' });
+  });
+});
@@ -0,0 +1,327 @@
+/**
+ * Person Merge
+ *
+ * Folds a confirmed duplicate into the person it duplicates. The survivor
+ * keeps its ID; each field comes from whichever record the user picks,
+ * titles and epithets are combined, and everything that pointed at the
+ * duplicate is re-pointed at the survivor:
+ * - relationships (a link between the two, or one the survivor already
+ *   has, is dropped rather than doubled)
+ * - dignity tenures, current holders and dispute claimants
+ * - household role holders
+ * - life events they took part in, and where they lived
+ * - heraldry links, writing links and Codex entries (personId)
+ * - houses they founded, and namesake acknowledgements
+ * Then the duplicate is deleted.
+ *
+ * Planning is pure so the merge dialog can preview it; the database layer
+ * applies the plan in one transaction and keeps it, so the merge can be
+ * reversed by writing every `before` back (see database.mergePeople).
+ *
+ * PLAN SHAPE:
+ *   {
+ *     merged: Object,   // the survivor as it will be saved
+ *     changes: [{ entityType, entityId, before, after }],  // after null = deleted
+ *     summary: { [entityType]: number }  // records touched, survivor and duplicate aside
+ *   }
+ */
+
+import { getRelationshipType, getRelationshipTypeMap } from './relationshipTypes';
+
+// ==================== FIELDS ====================
+
+/**
+ * Person fields picked one at a time in the merge dialog
+ */
+export const MERGE_FIELDS = [
+  { key: 'firstName', label: 'First name' },
+  { key: 'lastName', label: 'Last name' },
+  { key: 'maidenName', label: 'Maiden name' },
+  { key: 'dateOfBirth', label: 'Born' },
+  { key: 'dateOfDeath', label: 'Died' },
+  { key: 'gender', label: 'Gender' },
+  { key: 'houseId', label: 'House' },
+  { key: 'legitimacyStatus', label: 'Legitimacy' },
+  { key: 'species', label: 'Species' },
+  { key: 'magicalBloodline', label: 'Magical bloodline' },
+  { key: 'portraitUrl', label: 'Portrait' },
+  { key: 'notes', label: 'Notes' },
+  { key: 'codexEntryId', label: 'Codex entry' },
+  { key: 'heraldryId', label: 'Arms' }
+];
+
+/**
+ * Entity types a merge can touch and the table that stores each
+ */
+export const MERGE_TABLES = {
+  person: 'people',
+  relationship: 'relationships',
+  house: 'houses',
+  dignity: 'dignities',
+  dignityTenure: 'dignityTenures',
+  householdRole: 'householdRoles',
+  lifeEvent: 'lifeEvents',
+  residence: 'residences',
+  heraldryLink: 'heraldryLinks',
+  writingLink: 'writingLinks',
+  codexEntry: 'codexEntries',
+  acknowledgedDuplicate: 'acknowledgedDuplicates'
+};
+
+const isEmpty = (value) => value === null || value === undefined || String(value).trim() === '';
+const sameText = (a, b) => String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+
+/**
+ * Start each field from the survivor, falling back to the duplicate where
+ * the survivor has nothing
+ *
+ * @returns {Object} { [fieldKey]: 'survivor' | 'duplicate' }
+ */
+export function getDefaultChoices(survivor, duplicate) {
+  const choices = {};
+  for (const { key } of MERGE_FIELDS) {
+    choices[key] = isEmpty(survivor[key]) && !isEmpty(duplicate[key]) ? 'duplicate' : 'survivor';
+  }
+  return choices;
+}
+
+/**
+ * Fields where both records have a value and they disagree
+ *
+ * @returns {Array<string>} Field keys
+ */
+export function getConflictingFields(survivor, duplicate) {
+  return MERGE_FIELDS
+    .filter(({ key }) => !isEmpty(survivor[key]) && !isEmpty(duplicate[key]))
+    .filter(({ key }) => !sameText(survivor[key], duplicate[key]))
+    .map(({ key }) => key);
+}
+
+// ==================== PERSON ====================
+
+/**
+ * Combine two epithet lists, dropping repeats by text. The survivor's
+ * primary epithet stays primary; the duplicate's only if the survivor had none.
+ */
+export function mergeEpithets(survivorEpithets = [], duplicateEpithets = []) {
+  const kept = survivorEpithets.map(epithet => ({ ...epithet }));
+  const hasPrimary = kept.some(epithet => epithet.isPrimary);
+
+  for (const epithet of duplicateEpithets) {
+    if (kept.some(existing => sameText(existing.text, epithet.text))) continue;
+    kept.push({ ...epithet, isPrimary: !hasPrimary && !!epithet.isPrimary });
+  }
+
+  if (kept.length > 0 && !kept.some(epithet => epithet.isPrimary)) {
+    kept[0].isPrimary = true;
+  }
+  return kept;
+}
+
+/**
+ * The survivor as it will be saved
+ *
+ * Fields outside MERGE_FIELDS keep the survivor's value, or take the
+ * duplicate's where the survivor has none. Citations follow the value
+ * they support, so a date taken from the duplicate keeps its sources.
+ *
+ * @param {Object} survivor - Person kept
+ * @param {Object} duplicate - Person folded in
+ * @param {Object} [choices] - { [fieldKey]: 'survivor' | 'duplicate' }
+ */
+export function buildMergedPerson(survivor, duplicate, choices = {}) {
+  const merged = { ...survivor };
+  for (const [key, value] of Object.entries(duplicate)) {
+    if (isEmpty(merged[key]) && !isEmpty(value)) merged[key] = value;
+  }
+
+  for (const { key } of MERGE_FIELDS) {
+    const source = choices[key] === 'duplicate' ? duplicate : survivor;
+    if (source[key] === undefined) delete merged[key];
+    else merged[key] = source[key];
+  }
+
+  const titles = [...(survivor.titles || [])];
+  for (const title of duplicate.titles || []) {
+    if (!titles.some(existing => sameText(existing, title))) titles.push(title);
+  }
+  if (titles.length > 0) merged.titles = titles;
+
+  const epithets = mergeEpithets(survivor.epithets, duplicate.epithets);
+  if (epithets.length > 0) merged.epithets = epithets;
+
+  const fromDuplicate = (field) => choices[field] === 'duplicate';
+  const citations = [
+    ...(survivor.citations || []).filter(c => !fromDuplicate(c.field)),
+    ...(duplicate.citations || []).filter(c => fromDuplicate(c.field) || !MERGE_FIELDS.some(f => f.key === c.field))
+  ];
+  if (citations.length > 0) merged.citations = citations;
+  else delete merged.citations;
+
+  merged.id = survivor.id;
+  return merged;
+}
+
+// ==================== PLANNING ====================
+
+/**
+ * Plan merging one person into another
+ *
+ * @param {number} survivorId - Person kept
+ * @param {number} duplicateId - Person folded in and deleted
+ * @param {Object} [choices] - { [fieldKey]: 'survivor' | 'duplicate' } (see getDefaultChoices)
+ * @param {Object} data - { people, relationships, houses, dignities, dignityTenures,
+ *   householdRoles, lifeEvents, residences, heraldryLinks, writingLinks, codexEntries, acknowledgedDuplicates }
+ * @param {Object} [options]
+ * @param {Object} [options.relationshipTypes] - Type map, to tell which types run both ways
+ * @returns {{merged: Object, changes: Array, summary: Object}}
+ * @throws {Error} If either person is missing or they are the same person
+ */
+export function planPersonMerge(survivorId, duplicateId, choices, data, { relationshipTypes } = {}) {
+  if (survivorId === duplicateId) {
+    throw new Error('Cannot merge a person into themselves');
+  }
+
+  const {
+    people = [], relationships = [], houses = [], dignities = [], dignityTenures = [],
+    householdRoles = [], lifeEvents = [], residences = [], heraldryLinks = [], writingLinks = [], codexEntries = [],
+    acknowledgedDuplicates = []
+  } = data;
+
+  const survivor = people.find(p => p.id === survivorId);
+  const duplicate = people.find(p => p.id === duplicateId);
+  if (!survivor || !duplicate) {
+    throw new Error('Both people must exist to merge them');
+  }
+
+  const merged = buildMergedPerson(survivor, duplicate, choices || getDefaultChoices(survivor, duplicate));
+  const changes = [];
+  const summary = {};
+
+  const record = (entityType, before, after) => {
+    changes.push({ entityType, entityId: before.id, before, after });
+    if (entityType !== 'person') summary[entityType] = (summary[entityType] || 0) + 1;
+  };
+  const swap = (id) => (id === duplicateId ? survivorId : id);
+
+  record('person', survivor, merged);
+
+  // Relationships - re-point, dropping any that would link the survivor to
+  // themselves or repeat a relationship they already have
+  const typeMap = relationshipTypes || getRelationshipTypeMap();
+  const isDirectional = (type) => getRelationshipType(type, typeMap).directional !== false;
+  const relationshipKey = (rel) => {
+    const ends = [rel.person1Id, rel.person2Id];
+    if (!isDirectional(rel.relationshipType)) ends.sort((a, b) => a - b);
+    return `${rel.relationshipType}:${ends.join('-')}`;
+  };
+  const existing = new Set(relationships
+    .filter(rel => rel.person1Id !== duplicateId && rel.person2Id !== duplicateId)
+    .map(relationshipKey));
+
+  for (const rel of relationships) {
+    if (rel.person1Id !== duplicateId && rel.person2Id !== duplicateId) continue;
+    const moved = { ...rel, person1Id: swap(rel.person1Id), person2Id: swap(rel.person2Id) };
+    const key = relationshipKey(moved);
+    if (moved.person1Id === moved.person2Id || existing.has(key)) {
+      record('relationship', rel, null);
+    } else {
+      existing.add(key);
+      record('relationship', rel, moved);
+    }
+  }
+
+  for (const house of houses) {
+    if (house.foundedBy === duplicateId) record('house', house, { ...house, foundedBy: survivorId });
+  }
+
+  for (const dignity of dignities) {
+    const claimed = (dignity.disputes || []).some(d => d.claimantId === duplicateId);
+    if (dignity.currentHolderId !== duplicateId && !claimed) continue;
+    const after = { ...dignity, currentHolderId: swap(dignity.currentHolderId) };
+    if (claimed) {
+      after.disputes = dignity.disputes.map(d => (
+        d.claimantId === duplicateId ? { ...d, claimantId: survivorId } : d
+      ));
+    }
+    record('dignity', dignity, after);
+  }
+
+  for (const tenure of dignityTenures) {
+    if (tenure.personId === duplicateId) record('dignityTenure', tenure, { ...tenure, personId: survivorId });
+  }
+
+  for (const role of householdRoles) {
+    if (role.currentHolderId === duplicateId) {
+      record('householdRole', role, { ...role, currentHolderId: survivorId });
+    }
+  }
+
+  for (const event of lifeEvents) {
+    if (!(event.personIds || []).includes(duplicateId)) continue;
+    const personIds = [...new Set(event.personIds.map(swap))];
+    record('lifeEvent', event, { ...event, personIds });
+  }
+
+  for (const residence of residences) {
+    if (residence.personId === duplicateId) {
+      record('residence', residence, { ...residence, personId: survivorId });
+    }
+  }
+
+  // Links - re-point, dropping any the survivor already has
+  const survivorArms = new Set(heraldryLinks
+    .filter(link => link.entityType === 'person' && link.entityId === survivorId)
+    .map(link => `${link.heraldryId}:${link.linkType}`));
+  for (const link of heraldryLinks) {
+    if (link.entityType !== 'person' || link.entityId !== duplicateId) continue;
+    const repeat = survivorArms.has(`${link.heraldryId}:${link.linkType}`);
+    record('heraldryLink', link, repeat ? null : { ...link, entityId: survivorId });
+  }
+
+  const survivorMentions = new Set(writingLinks
+    .filter(link => link.targetType === 'person' && link.targetId === survivorId)
+    .map(link => `${link.writingId}:${link.chapterId ?? ''}`));
+  for (const link of writingLinks) {
+    if (link.targetType !== 'person' || link.targetId !== duplicateId) continue;
+    const mentionKey = `${link.writingId}:${link.chapterId ?? ''}`;
+    const repeat = survivorMentions.has(mentionKey);
+    survivorMentions.add(mentionKey);
+    record('writingLink', link, repeat ? null : { ...link, targetId: survivorId });
+  }
+
+  for (const entry of codexEntries) {
+    if (entry.personId === duplicateId) record('codexEntry', entry, { ...entry, personId: survivorId });
+  }
+
+  // Namesake acknowledgements - the pair itself goes, others follow the survivor
+  for (const ack of acknowledgedDuplicates) {
+    if (ack.person1Id !== duplicateId && ack.person2Id !== duplicateId) continue;
+    const moved = { ...ack, person1Id: swap(ack.person1Id), person2Id: swap(ack.person2Id) };
+    record('acknowledgedDuplicate', ack, moved.person1Id === moved.person2Id ? null : moved);
+  }
+
+  // The duplicate goes last so reversing restores it before what points at it
+  changes.push({ entityType: 'person', entityId: duplicateId, before: duplicate, after: null });
+
+  return { merged, changes, summary };
+}
+
+/**
+ * One-line description for the merge history
+ */
+export function describeMerge(survivor, duplicate) {
+  const name = (person) => [person?.firstName, person?.lastName].filter(Boolean).join(' ') || 'Unnamed';
+  return `Merge ${name(duplicate)} into ${name(survivor)}`;
+}
+
+export default {
+  MERGE_FIELDS,
+  MERGE_TABLES,
+  getDefaultChoices,
+  getConflictingFields,
+  mergeEpithets,
+  buildMergedPerson,
+  planPersonMerge,
+  describeMerge
+};
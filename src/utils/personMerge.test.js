@@ -0,0 +1,138 @@
+/**
+ * Person Merge Tests
+ *
+ * Tests for planning a person merge:
+ * - Field choices, with gaps filled from the duplicate
+ * - Titles and epithets combined
+ * - Citations following the value they support
+ * - Relationships re-pointed, with self-links and repeats dropped
+ * - Dignities, tenures, roles, life events, residences, links and Codex entries re-pointed
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getDefaultChoices,
+  getConflictingFields,
+  mergeEpithets,
+  buildMergedPerson,
+  planPersonMerge
+} from './personMerge';
+
+const aldric = {
+  id: 1, firstName: 'Aldric', lastName: 'Wilfrey', dateOfBirth: '1120', houseId: 1,
+  titles: ['Lord of Wilfrey'], epithets: [{ id: 'e1', text: 'the Grey', isPrimary: true }]
+};
+const aldricCopy = {
+  id: 2, firstName: 'Aldrick', lastName: 'Wilfrey', dateOfBirth: '1121', dateOfDeath: '1180', houseId: 1,
+  titles: ['lord of wilfrey', 'Warden of the March'],
+  epithets: [{ id: 'e2', text: 'the Bold', isPrimary: true }, { id: 'e3', text: 'The Grey', isPrimary: false }]
+};
+const sela = { id: 3, firstName: 'Sela', lastName: 'Thorn' };
+const edric = { id: 4, firstName: 'Edric', lastName: 'Wilfrey' };
+
+const data = {
+  people: [aldric, aldricCopy, sela, edric],
+  relationships: [
+    { id: 1, person1Id: 1, person2Id: 3, relationshipType: 'spouse' },
+    { id: 2, person1Id: 3, person2Id: 2, relationshipType: 'spouse' },
+    { id: 3, person1Id: 2, person2Id: 4, relationshipType: 'parent' },
+    { id: 4, person1Id: 1, person2Id: 2, relationshipType: 'named-after' }
+  ],
+  houses: [{ id: 1, houseName: 'Wilfrey', foundedBy: 2 }],
+  dignities: [{ id: 1, name: 'Wilfrey', currentHolderId: 2, disputes: [{ id: 'd1', claimantId: 2 }] }],
+  dignityTenures: [{ id: 1, dignityId: 1, personId: 2 }, { id: 2, dignityId: 1, personId: 4 }],
+  householdRoles: [{ id: 1, roleType: 'steward', currentHolderId: 2 }],
+  lifeEvents: [
+    { id: 1, eventType: 'battle', personIds: [1, 2, 4] },
+    { id: 2, eventType: 'exile', personIds: [2] },
+    { id: 3, eventType: 'knighting', personIds: [4] }
+  ],
+  residences: [{ id: 1, personId: 2, locationId: 7 }],
+  heraldryLinks: [
+    { id: 1, heraldryId: 5, entityType: 'person', entityId: 1, linkType: 'primary' },
+    { id: 2, heraldryId: 5, entityType: 'person', entityId: 2, linkType: 'primary' },
+    { id: 3, heraldryId: 6, entityType: 'person', entityId: 2, linkType: 'seal' }
+  ],
+  writingLinks: [{ id: 1, writingId: 1, chapterId: 1, targetType: 'person', targetId: 2 }],
+  codexEntries: [{ id: 9, personId: 2 }],
+  acknowledgedDuplicates: [{ id: 1, person1Id: 1, person2Id: 2 }]
+};
+
+const changeFor = (plan, entityType, entityId) =>
+  plan.changes.find(c => c.entityType === entityType && c.entityId === entityId);
+
+describe('personMerge', () => {
+  it('should keep the survivor\'s fields unless they are empty', () => {
+    const choices = getDefaultChoices(aldric, aldricCopy);
+
+    expect(choices.firstName).toBe('survivor');
+    expect(choices.dateOfDeath).toBe('duplicate');
+    expect(getConflictingFields(aldric, aldricCopy)).toEqual(['firstName', 'dateOfBirth']);
+  });
+
+  it('should build the merged person from the choices', () => {
+    const merged = buildMergedPerson(aldric, aldricCopy, { ...getDefaultChoices(aldric, aldricCopy), dateOfBirth: 'duplicate' });
+
+    expect(merged).toMatchObject({ id: 1, firstName: 'Aldric', dateOfBirth: '1121', dateOfDeath: '1180' });
+    expect(merged.titles).toEqual(['Lord of Wilfrey', 'Warden of the March']);
+  });
+
+  it('should keep the citations of whichever value is kept', () => {
+    const cite = (id, field) => ({ id, field, sourceType: 'document', title: id, confidence: 'canon' });
+    const merged = buildMergedPerson(
+      { ...aldric, citations: [cite('s-birth', 'dateOfBirth'), cite('s-house', 'houseId')] },
+      { ...aldricCopy, citations: [cite('d-birth', 'dateOfBirth'), cite('d-house', 'houseId')] },
+      { dateOfBirth: 'duplicate' }
+    );
+
+    expect(merged.citations.map(c => c.id)).toEqual(['s-house', 'd-birth']);
+  });
+
+  it('should combine epithets, keeping one primary', () => {
+    const epithets = mergeEpithets(aldric.epithets, aldricCopy.epithets);
+
+    expect(epithets.map(e => [e.text, e.isPrimary])).toEqual([['the Grey', true], ['the Bold', false]]);
+    expect(mergeEpithets([], aldricCopy.epithets).filter(e => e.isPrimary)).toHaveLength(1);
+  });
+
+  it('should re-point relationships, dropping self-links and repeats', () => {
+    const plan = planPersonMerge(1, 2, null, data);
+
+    expect(changeFor(plan, 'relationship', 2).after).toBeNull();
+    expect(changeFor(plan, 'relationship', 3).after).toMatchObject({ person1Id: 1, person2Id: 4 });
+    expect(changeFor(plan, 'relationship', 4).after).toBeNull();
+    expect(changeFor(plan, 'relationship', 1)).toBeUndefined();
+  });
+
+  it('should re-point everything else that refers to the duplicate', () => {
+    const plan = planPersonMerge(1, 2, null, data);
+
+    expect(changeFor(plan, 'house', 1).after.foundedBy).toBe(1);
+    expect(changeFor(plan, 'dignity', 1).after).toMatchObject({ currentHolderId: 1, disputes: [{ claimantId: 1 }] });
+    expect(changeFor(plan, 'dignityTenure', 1).after.personId).toBe(1);
+    expect(changeFor(plan, 'dignityTenure', 2)).toBeUndefined();
+    expect(changeFor(plan, 'householdRole', 1).after.currentHolderId).toBe(1);
+    expect(changeFor(plan, 'lifeEvent', 1).after.personIds).toEqual([1, 4]);
+    expect(changeFor(plan, 'lifeEvent', 2).after.personIds).toEqual([1]);
+    expect(changeFor(plan, 'lifeEvent', 3)).toBeUndefined();
+    expect(changeFor(plan, 'residence', 1).after.personId).toBe(1);
+    expect(changeFor(plan, 'heraldryLink', 2).after).toBeNull();
+    expect(changeFor(plan, 'heraldryLink', 3).after.entityId).toBe(1);
+    expect(changeFor(plan, 'writingLink', 1).after.targetId).toBe(1);
+    expect(changeFor(plan, 'codexEntry', 9).after.personId).toBe(1);
+    expect(changeFor(plan, 'acknowledgedDuplicate', 1).after).toBeNull();
+  });
+
+  it('should delete the duplicate last and summarise the rest', () => {
+    const plan = planPersonMerge(1, 2, null, data);
+
+    expect(plan.changes[0]).toMatchObject({ entityType: 'person', entityId: 1 });
+    expect(plan.changes.at(-1)).toMatchObject({ entityType: 'person', entityId: 2, after: null });
+    expect(plan.summary).toMatchObject({ relationship: 3, dignityTenure: 1, heraldryLink: 2 });
+  });
+
+  it('should refuse to merge a person into themselves or someone missing', () => {
+    expect(() => planPersonMerge(1, 1, null, data)).toThrow('themselves');
+    expect(() => planPersonMerge(1, 99, null, data)).toThrow('Both people must exist');
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Relationship Graph
+ *
+ * Builds the network behind the Relationship Network page: the ties the
+ * family tree doesn't show. Nodes are people (or houses) and edges are
+ * typed links between them:
+ * - every relationship type that isn't kinship (marriage, fostering,
+ *   mentorship, namesakes and the dataset's own types such as rivals)
+ * - fealty, from the holder of a dignity to the holder of the dignity it
+ *   is sworn to (dignity.swornToId)
+ *
+ * The house graph folds person edges into one edge per house pair and
+ * type, weighted by how many ties it stands for - marriages between houses
+ * become marriage alliances.
+ *
+ * The output is plain data; the page hands it to a D3 force simulation.
+ */
+
+import { getYear } from './calendarUtils';
+import { getRelationshipTypeMap, TYPE_COLOR_VALUES } from './relationshipTypes';
+
+export const GRAPH_MODES = {
+  PEOPLE: 'people',
+  HOUSES: 'houses'
+};
+
+export const FEALTY_EDGE_TYPE = 'fealty';
+
+const personName = (person) =>
+  [person.firstName, person.lastName].filter(Boolean).join(' ') || 'Unknown';
+
+// ==================== EDGE TYPES ====================
+
+/**
+ * The edge types the graph can show, in legend order
+ *
+ * @param {Object} [relationshipTypes] - Dataset relationship types
+ * @returns {Array<{id, label, houseLabel, color, directional}>}
+ */
+export function getGraphEdgeTypes(relationshipTypes = getRelationshipTypeMap()) {
+  const types = Object.values(relationshipTypes)
+    .filter(type => !type.kinship)
+    .map(type => ({
+      id: type.id,
+      label: type.id === 'spouse' ? 'Marriage' : type.label,
+      houseLabel: type.id === 'spouse' ? 'Marriage Alliance' : type.label,
+      color: TYPE_COLOR_VALUES[type.color] || TYPE_COLOR_VALUES.gray,
+      directional: type.directional
+    }));
+
+  const fealty = {
+    id: FEALTY_EDGE_TYPE,
+    label: 'Fealty',
+    houseLabel: 'Fealty',
+    color: '#d4af37',
+    directional: true
+  };
+
+  return [...types.slice(0, 1), fealty, ...types.slice(1)];
+}
+
+// ==================== FILTERS ====================
+
+/**
+ * Was the person alive at some point in the era? Unknown dates count as yes.
+ */
+function livedInEra(person, { fromYear = null, toYear = null }) {
+  const born = getYear(person.dateOfBirth);
+  const died = getYear(person.dateOfDeath);
+  if (toYear !== null && born !== null && born > toYear) return false;
+  if (fromYear !== null && died !== null && died < fromYear) return false;
+  return true;
+}
+
+/**
+ * Was the relationship in force at some point in the era? A marriage runs
+ * from its wedding to its divorce; undated ends count as open.
+ */
+function heldInEra(relationship, { fromYear = null, toYear = null }) {
+  const started = getYear(relationship.marriageDate);
+  const ended = getYear(relationship.divorceDate);
+  if (toYear !== null && started !== null && started > toYear) return false;
+  if (fromYear !== null && ended !== null && ended < fromYear) return false;
+  return true;
+}
+
+// ==================== PERSON GRAPH ====================
+
+/**
+ * Every non-kin tie between people, before filtering
+ */
+function collectPersonEdges(relationships, dignities, typeIds) {
+  const edges = relationships
+    .filter(rel => typeIds.has(rel.relationshipType))
+    .map(rel => ({
+      id: `r${rel.id ?? `${rel.person1Id}-${rel.person2Id}-${rel.relationshipType}`}`,
+      type: rel.relationshipType,
+      sourceId: rel.person1Id,
+      targetId: rel.person2Id,
+      relationship: rel
+    }));
+
+  const dignitiesById = new Map(dignities.map(d => [d.id, d]));
+  dignities.forEach(dignity => {
+    const liege = dignitiesById.get(dignity.swornToId);
+    if (!dignity.currentHolderId || !liege?.currentHolderId) return;
+    if (dignity.currentHolderId === liege.currentHolderId) return;
+
+    edges.push({
+      id: `d${dignity.id}`,
+      type: FEALTY_EDGE_TYPE,
+      sourceId: liege.currentHolderId,
+      targetId: dignity.currentHolderId,
+      label: `${dignity.name} sworn to ${liege.name}`
+    });
+  });
+
+  return edges;
+}
+
+/**
+ * People and the non-kin ties between them
+ *
+ * Only people with at least one tie left after filtering appear.
+ *
+ * @param {Object} data - { people, relationships, dignities, relationshipTypes }
+ * @param {Object} [filters]
+ * @param {Set<string>} [filters.edgeTypes] - Edge types to keep (all if omitted)
+ * @param {number|null} [filters.houseId] - Keep ties with a member of this house
+ * @param {number|null} [filters.fromYear] - Era start (stored year)
+ * @param {number|null} [filters.toYear] - Era end (stored year)
+ * @returns {{nodes: Array, edges: Array}} nodes are { id, personId, label,
+ *   houseId, degree }; edges are { id, type, source, target, label? }
+ *   with source/target node IDs
+ */
+export function buildPersonGraph(
+  { people, relationships, dignities = [], relationshipTypes = getRelationshipTypeMap() },
+  { edgeTypes = null, houseId = null, fromYear = null, toYear = null } = {}
+) {
+  const era = { fromYear, toYear };
+  const peopleById = new Map(people.map(p => [p.id, p]));
+  const typeIds = new Set(getGraphEdgeTypes(relationshipTypes).map(type => type.id));
+
+  const edges = collectPersonEdges(relationships, dignities, typeIds).filter(edge => {
+    const source = peopleById.get(edge.sourceId);
+    const target = peopleById.get(edge.targetId);
+    if (!source || !target) return false;
+    if (edgeTypes && !edgeTypes.has(edge.type)) return false;
+    if (houseId !== null && source.houseId !== houseId && target.houseId !== houseId) return false;
+    if (!livedInEra(source, era) || !livedInEra(target, era)) return false;
+    return !edge.relationship || heldInEra(edge.relationship, era);
+  });
+
+  const degrees = new Map();
+  edges.forEach(edge => {
+    degrees.set(edge.sourceId, (degrees.get(edge.sourceId) || 0) + 1);
+    degrees.set(edge.targetId, (degrees.get(edge.targetId) || 0) + 1);
+  });
+
+  const nodes = Array.from(degrees, ([personId, degree]) => {
+    const person = peopleById.get(personId);
+    return { id: `p${personId}`, personId, label: personName(person), houseId: person.houseId ?? null, degree };
+  });
+
+  return {
+    nodes,
+    edges: edges.map(({ id, type, sourceId, targetId, label }) => ({
+      id,
+      type,
+      source: `p${sourceId}`,
+      target: `p${targetId}`,
+      ...(label ? { label } : {})
+    }))
+  };
+}
+
+// ==================== HOUSE GRAPH ====================
+
+/**
+ * Houses and the ties between their members, one edge per house pair and
+ * type. Ties within a house, or with someone of no house, are left out.
+ *
+ * @param {Object} data - As buildPersonGraph, plus houses
+ * @param {Object} [filters] - As buildPersonGraph
+ * @returns {{nodes: Array, edges: Array}} nodes are { id, houseId, label,
+ *   color, degree }; edges are { id, type, source, target, count }
+ */
+export function buildHouseGraph(data, filters = {}) {
+  const { nodes: personNodes, edges: personEdges } = buildPersonGraph(data, filters);
+  const houseOf = new Map(personNodes.map(node => [node.id, node.houseId]));
+  const housesById = new Map(data.houses.map(h => [h.id, h]));
+
+  const edgesByKey = new Map();
+  personEdges.forEach(edge => {
+    const sourceHouse = houseOf.get(edge.source);
+    const targetHouse = houseOf.get(edge.target);
+    if (!housesById.has(sourceHouse) || !housesById.has(targetHouse) || sourceHouse === targetHouse) return;
+
+    // Fealty keeps its direction (liege house first); other ties don't
+    const [a, b] = edge.type === FEALTY_EDGE_TYPE || sourceHouse < targetHouse
+      ? [sourceHouse, targetHouse]
+      : [targetHouse, sourceHouse];
+    const key = `${edge.type}:${a}:${b}`;
+    const existing = edgesByKey.get(key);
+    if (existing) {
+      existing.count++;
+    } else {
+      edgesByKey.set(key, { id: key, type: edge.type, source: `h${a}`, target: `h${b}`, count: 1 });
+    }
+  });
+
+  const edges = Array.from(edgesByKey.values());
+  const degrees = new Map();
+  edges.forEach(edge => {
+    degrees.set(edge.source, (degrees.get(edge.source) || 0) + edge.count);
+    degrees.set(edge.target, (degrees.get(edge.target) || 0) + edge.count);
+  });
+
+  const nodes = Array.from(degrees, ([id, degree]) => {
+    const house = housesById.get(Number(id.slice(1)));
+    return { id, houseId: house.id, label: house.houseName, color: house.colorCode || null, degree };
+  });
+
+  return { nodes, edges };
+}
+
+export default {
+  GRAPH_MODES,
+  FEALTY_EDGE_TYPE,
+  getGraphEdgeTypes,
+  buildPersonGraph,
+  buildHouseGraph
+};
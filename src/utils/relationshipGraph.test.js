@@ -0,0 +1,122 @@
+/**
+ * Relationship Graph Tests
+ *
+ * Tests for the network view's data:
+ * - Which ties become edges (non-kin types and fealty)
+ * - Filtering by edge type, house and era
+ * - Folding person ties into house alliances
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getRelationshipTypeMap } from './relationshipTypes';
+import {
+  FEALTY_EDGE_TYPE,
+  getGraphEdgeTypes,
+  buildPersonGraph,
+  buildHouseGraph
+} from './relationshipGraph';
+
+const RIVAL = {
+  id: 'rival', label: 'Rivals', person1Label: 'Rivals', person2Label: 'Rivals',
+  icon: 'swords', color: 'rose', directional: false, kinship: false, drawsLine: false
+};
+const relationshipTypes = getRelationshipTypeMap([RIVAL]);
+
+const houses = [
+  { id: 1, houseName: 'Vane', colorCode: '#702020' },
+  { id: 2, houseName: 'Thorn', colorCode: '#205070' },
+  { id: 3, houseName: 'Ashford' }
+];
+const people = [
+  { id: 1, firstName: 'Aldric', lastName: 'Vane', houseId: 1, dateOfBirth: '1200', dateOfDeath: '1260' },
+  { id: 2, firstName: 'Mira', lastName: 'Thorn', houseId: 2, dateOfBirth: '1205' },
+  { id: 3, firstName: 'Edric', lastName: 'Vane', houseId: 1, dateOfBirth: '1225' },
+  { id: 4, firstName: 'Joan', lastName: 'Thorn', houseId: 2, dateOfBirth: '1228' },
+  { id: 5, firstName: 'Hugh', lastName: 'Ashford', houseId: 3, dateOfBirth: '1300' }
+];
+const relationships = [
+  { id: 1, person1Id: 1, person2Id: 2, relationshipType: 'spouse', marriageDate: '1222' },
+  { id: 2, person1Id: 1, person2Id: 3, relationshipType: 'parent' },
+  { id: 3, person1Id: 3, person2Id: 4, relationshipType: 'spouse', marriageDate: '1248' },
+  { id: 4, person1Id: 3, person2Id: 5, relationshipType: 'rival' },
+  { id: 5, person1Id: 1, person2Id: 4, relationshipType: 'mentor' }
+];
+const dignities = [
+  { id: 10, name: 'Duchy of Vane', currentHolderId: 1, swornToId: null },
+  { id: 11, name: 'March of Thorn', currentHolderId: 2, swornToId: 10 },
+  { id: 12, name: 'Vacant Barony', currentHolderId: null, swornToId: 10 }
+];
+const data = { people, houses, relationships, dignities, relationshipTypes };
+
+const edgeKeys = (graph) => graph.edges.map(e => `${e.type}:${e.source}-${e.target}`).sort();
+
+describe('relationshipGraph', () => {
+  it('should offer non-kin types and fealty as edge types', () => {
+    const ids = getGraphEdgeTypes(relationshipTypes).map(t => t.id);
+
+    expect(ids.slice(0, 2)).toEqual(['spouse', FEALTY_EDGE_TYPE]);
+    expect(ids).toContain('mentor');
+    expect(ids).toContain('rival');
+    expect(ids).not.toContain('parent');
+    expect(ids).not.toContain('twin');
+  });
+
+  describe('buildPersonGraph', () => {
+    it('should link people by non-kin ties and held fealty', () => {
+      const graph = buildPersonGraph(data);
+
+      expect(edgeKeys(graph)).toEqual([
+        'fealty:p1-p2',
+        'mentor:p1-p4',
+        'rival:p3-p5',
+        'spouse:p1-p2',
+        'spouse:p3-p4'
+      ]);
+      expect(graph.nodes.find(n => n.personId === 1)).toMatchObject({ label: 'Aldric Vane', houseId: 1, degree: 3 });
+      expect(graph.edges.find(e => e.type === FEALTY_EDGE_TYPE).label).toBe('March of Thorn sworn to Duchy of Vane');
+    });
+
+    it('should filter by edge type and house', () => {
+      expect(edgeKeys(buildPersonGraph(data, { edgeTypes: new Set(['spouse']) })))
+        .toEqual(['spouse:p1-p2', 'spouse:p3-p4']);
+
+      const ashford = buildPersonGraph(data, { houseId: 3 });
+      expect(edgeKeys(ashford)).toEqual(['rival:p3-p5']);
+      expect(ashford.nodes.map(n => n.personId).sort()).toEqual([3, 5]);
+    });
+
+    it('should keep only ties in force during the era', () => {
+      expect(edgeKeys(buildPersonGraph(data, { toYear: 1226 }))).toEqual(['fealty:p1-p2', 'spouse:p1-p2']);
+
+      // Aldric (d. 1260) drops out after his death
+      expect(edgeKeys(buildPersonGraph(data, { fromYear: 1261 }))).toEqual(['rival:p3-p5', 'spouse:p3-p4']);
+
+      const divorced = relationships.map(r => (r.id === 3 ? { ...r, divorceDate: '1255' } : r));
+      expect(edgeKeys(buildPersonGraph({ ...data, relationships: divorced }, { fromYear: 1261 })))
+        .toEqual(['rival:p3-p5']);
+    });
+  });
+
+  describe('buildHouseGraph', () => {
+    it('should fold ties between houses into weighted alliances', () => {
+      const graph = buildHouseGraph(data);
+
+      expect(graph.edges.map(e => `${e.type}:${e.source}-${e.target}:${e.count}`).sort()).toEqual([
+        'fealty:h1-h2:1',
+        'mentor:h1-h2:1',
+        'rival:h1-h3:1',
+        'spouse:h1-h2:2'
+      ]);
+      expect(graph.nodes.find(n => n.houseId === 1)).toMatchObject({ label: 'Vane', color: '#702020', degree: 5 });
+    });
+
+    it('should keep fealty pointing from the liege house', () => {
+      const swapped = dignities.map(d =>
+        d.id === 10 ? { ...d, currentHolderId: 2 } : d.id === 11 ? { ...d, currentHolderId: 1 } : d
+      );
+      const graph = buildHouseGraph({ ...data, dignities: swapped }, { edgeTypes: new Set([FEALTY_EDGE_TYPE]) });
+
+      expect(edgeKeys(graph)).toEqual(['fealty:h2-h1']);
+    });
+  });
+});
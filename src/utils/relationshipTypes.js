@@ -0,0 +1,297 @@
+/**
+ * Relationship Types
+ *
+ * The single definition of what each relationship type means. The built-in
+ * types are fixed; each dataset can add its own (sworn brother,
+ * hostage-ward, liege-vassal, rival, paramour...), saved as the
+ * 'relationshipTypes' dataset setting (see datasetSettingsService.js).
+ *
+ * A type declares:
+ * - label / person1Label / person2Label: how the form and lists name it
+ * - icon, color: how lists show it (color is one of TYPE_COLORS)
+ * - directional: person 1 and person 2 play different roles (liege and
+ *   vassal); undirected types are the same either way round (rivals)
+ * - kinship: counts as family for succession and inheritance. A
+ *   directional kinship type is followed like adoption, from person 1 to
+ *   person 2 as their heir (see RelationshipCalculator.buildRelationshipMaps)
+ * - drawsLine: drawn as a connecting line on the family tree
+ *
+ * Built-in types keep their own handling throughout the app (parent and
+ * spouse lines, marriage dates, lineage gaps); their flags here describe
+ * that behaviour rather than drive it.
+ */
+
+export const TYPE_COLORS = ['blue', 'rose', 'purple', 'green', 'amber', 'indigo', 'gray'];
+
+// Stroke colours for drawing each type (tree lines, network graph edges)
+export const TYPE_COLOR_VALUES = {
+  blue: '#3b82f6',
+  rose: '#f43f5e',
+  purple: '#a855f7',
+  green: '#22c55e',
+  amber: '#f59e0b',
+  indigo: '#6366f1',
+  gray: '#9a8a78'
+};
+
+export const TYPE_ICONS = [
+  'link', 'users', 'heart', 'shield', 'crown', 'swords', 'sword', 'scroll',
+  'castle', 'star', 'eye', 'lock', 'feather', 'compass', 'target', 'tag'
+];
+
+export const BUILT_IN_RELATIONSHIP_TYPES = {
+  parent: {
+    label: 'Parent/Child',
+    person1Label: 'Parent',
+    person2Label: 'Child',
+    description: 'Person 1 is the parent of Person 2',
+    icon: 'users',
+    color: 'blue',
+    directional: true,
+    kinship: true,
+    drawsLine: true
+  },
+  spouse: {
+    label: 'Spouse/Marriage',
+    person1Label: 'First Person',
+    person2Label: 'Second Person',
+    description: 'Person 1 and Person 2 are married',
+    icon: 'heart',
+    color: 'rose',
+    directional: false,
+    kinship: false,
+    drawsLine: true
+  },
+  'adopted-parent': {
+    label: 'Adopted Parent/Child',
+    person1Label: 'Adoptive Parent',
+    person2Label: 'Adopted Child',
+    description: 'Person 1 adopted Person 2',
+    icon: 'home',
+    color: 'purple',
+    directional: true,
+    kinship: true,
+    drawsLine: true
+  },
+  'foster-parent': {
+    label: 'Foster Parent/Child',
+    person1Label: 'Foster Parent',
+    person2Label: 'Foster Child',
+    description: 'Person 1 is foster parent of Person 2',
+    icon: 'shield',
+    color: 'green',
+    directional: true,
+    kinship: false,
+    drawsLine: false
+  },
+  mentor: {
+    label: 'Mentor/Apprentice',
+    person1Label: 'Mentor',
+    person2Label: 'Apprentice',
+    description: 'Person 1 is mentor to Person 2',
+    icon: 'graduation',
+    color: 'amber',
+    directional: true,
+    kinship: false,
+    drawsLine: false
+  },
+  twin: {
+    label: 'Twins',
+    person1Label: 'First Twin',
+    person2Label: 'Second Twin',
+    description: 'Person 1 and Person 2 are twins',
+    icon: 'copy',
+    color: 'indigo',
+    directional: false,
+    kinship: true,
+    drawsLine: false
+  },
+  'named-after': {
+    label: 'Named After (Namesake)',
+    person1Label: 'Person Named',
+    person2Label: 'Named After (Honored)',
+    description: 'Person 1 was named after Person 2 (honors/namesake)',
+    icon: 'tag',
+    color: 'gray',
+    directional: true,
+    kinship: false,
+    drawsLine: false
+  },
+  'lineage-gap': {
+    label: 'Lineage Gap (Distant Ancestor)',
+    person1Label: 'Descendant',
+    person2Label: 'Distant Ancestor',
+    description: 'Person 2 is a distant ancestor of Person 1 (exact lineage unknown)',
+    icon: 'link',
+    color: 'gray',
+    directional: true,
+    kinship: true,
+    drawsLine: false
+  }
+};
+
+// Shown for relationships whose type has since been deleted
+const UNKNOWN_TYPE = {
+  label: 'Unknown Type',
+  person1Label: 'First Person',
+  person2Label: 'Second Person',
+  description: '',
+  icon: 'link',
+  color: 'gray',
+  directional: false,
+  kinship: false,
+  drawsLine: false
+};
+
+// ==================== LOOKUP ====================
+
+/**
+ * Every relationship type available in a dataset, built-in first
+ *
+ * @param {Array} [customTypes] - The dataset's own types
+ * @returns {Object} typeId -> definition (with id and builtIn set)
+ */
+export function getRelationshipTypeMap(customTypes = []) {
+  const types = {};
+  Object.entries(BUILT_IN_RELATIONSHIP_TYPES).forEach(([id, type]) => {
+    types[id] = { ...type, id, builtIn: true };
+  });
+  customTypes.forEach(type => {
+    if (!types[type.id]) types[type.id] = { ...type, builtIn: false };
+  });
+  return types;
+}
+
+/**
+ * Definition of one type, falling back to a neutral one for unknown ids
+ *
+ * @param {string} typeId - relationshipType of a relationship
+ * @param {Object} [typeMap] - From getRelationshipTypeMap
+ * @returns {Object}
+ */
+export function getRelationshipType(typeId, typeMap = getRelationshipTypeMap()) {
+  return typeMap[typeId] || { ...UNKNOWN_TYPE, id: typeId, label: typeId || UNKNOWN_TYPE.label, builtIn: false };
+}
+
+/**
+ * IDs of custom types with a given flag set
+ *
+ * @param {Object} typeMap - From getRelationshipTypeMap
+ * @param {'kinship'|'drawsLine'|'directional'} flag
+ * @returns {Set<string>}
+ */
+export function getCustomTypeIds(typeMap, flag) {
+  return new Set(Object.values(typeMap).filter(type => !type.builtIn && type[flag]).map(type => type.id));
+}
+
+/**
+ * One-line description of a relationship using a custom type
+ *
+ * @param {string} person1Name
+ * @param {string} person2Name
+ * @param {Object} type - Relationship type definition
+ * @returns {string} e.g. "Aldric (Liege) → Bran (Vassal)" or "Aldric and Bran: Rivals"
+ */
+export function describeCustomRelationship(person1Name, person2Name, type) {
+  return type.directional
+    ? `${person1Name} (${type.person1Label}) → ${person2Name} (${type.person2Label})`
+    : `${person1Name} and ${person2Name}: ${type.label}`;
+}
+
+// ==================== EDITING ====================
+
+/**
+ * An ID for a new type, from its label
+ *
+ * @param {string} label - e.g. "Sworn Brother"
+ * @param {Object} typeMap - Existing types, to keep IDs unique
+ * @returns {string} e.g. "sworn-brother" (or "sworn-brother-2")
+ */
+export function createRelationshipTypeId(label, typeMap) {
+  const base = label
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'relationship';
+
+  let id = base;
+  for (let n = 2; typeMap[id]; n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+}
+
+/**
+ * Tidy a custom type for saving
+ *
+ * @param {Object} type - Type from the editor
+ * @returns {Object}
+ */
+export function normalizeRelationshipType(type) {
+  const label = (type.label || '').trim();
+  const directional = !!type.directional;
+
+  return {
+    id: type.id,
+    label,
+    person1Label: directional ? (type.person1Label || '').trim() : label,
+    person2Label: directional ? (type.person2Label || '').trim() : label,
+    description: (type.description || '').trim(),
+    icon: TYPE_ICONS.includes(type.icon) ? type.icon : 'link',
+    color: TYPE_COLORS.includes(type.color) ? type.color : 'gray',
+    directional,
+    kinship: !!type.kinship,
+    drawsLine: !!type.drawsLine
+  };
+}
+
+/**
+ * Check a dataset's custom types before saving
+ *
+ * @param {Array} customTypes - The dataset's own types
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateRelationshipTypes(customTypes) {
+  const errors = [];
+  const seenIds = new Set();
+  const seenLabels = new Set(Object.values(BUILT_IN_RELATIONSHIP_TYPES).map(type => type.label.toLowerCase()));
+
+  customTypes.forEach((type, index) => {
+    const name = type.label?.trim() || `Type ${index + 1}`;
+
+    if (!type.id) {
+      errors.push(`${name}: missing ID`);
+    } else if (BUILT_IN_RELATIONSHIP_TYPES[type.id] || seenIds.has(type.id)) {
+      errors.push(`${name}: ID "${type.id}" is already in use`);
+    }
+    seenIds.add(type.id);
+
+    if (!type.label?.trim()) {
+      errors.push(`Type ${index + 1}: a label is required`);
+    } else if (seenLabels.has(type.label.trim().toLowerCase())) {
+      errors.push(`${name}: another type already has this label`);
+    }
+    seenLabels.add(type.label?.trim().toLowerCase());
+
+    if (type.directional && (!type.person1Label?.trim() || !type.person2Label?.trim())) {
+      errors.push(`${name}: directional types need a name for each role`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+export default {
+  TYPE_COLORS,
+  TYPE_COLOR_VALUES,
+  TYPE_ICONS,
+  BUILT_IN_RELATIONSHIP_TYPES,
+  getRelationshipTypeMap,
+  getRelationshipType,
+  getCustomTypeIds,
+  describeCustomRelationship,
+  createRelationshipTypeId,
+  normalizeRelationshipType,
+  validateRelationshipTypes
+};
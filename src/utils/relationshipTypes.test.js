@@ -0,0 +1,158 @@
+/**
+ * Relationship Types Tests
+ *
+ * Tests for user-defined relationship types:
+ * - Built-in and custom types merged into one lookup
+ * - IDs, tidying and validation of custom types
+ * - The validator and calculator following each type's semantics
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getRelationshipTypeMap,
+  getRelationshipType,
+  getCustomTypeIds,
+  describeCustomRelationship,
+  createRelationshipTypeId,
+  normalizeRelationshipType,
+  validateRelationshipTypes
+} from './relationshipTypes';
+import { validateRelationship } from './SmartDataValidator';
+import { buildRelationshipMaps, calculateAllRelationships } from './RelationshipCalculator';
+
+const LIEGE = {
+  id: 'liege', label: 'Liege/Vassal', person1Label: 'Liege', person2Label: 'Vassal',
+  icon: 'crown', color: 'amber', directional: true, kinship: false, drawsLine: true
+};
+const RIVAL = {
+  id: 'rival', label: 'Rivals', person1Label: 'Rivals', person2Label: 'Rivals',
+  icon: 'swords', color: 'rose', directional: false, kinship: false, drawsLine: false
+};
+const BLOOD_HEIR = {
+  id: 'blood-heir', label: 'Blood-Sworn Heir', person1Label: 'Benefactor', person2Label: 'Sworn Heir',
+  icon: 'shield', color: 'purple', directional: true, kinship: true, drawsLine: false
+};
+const types = getRelationshipTypeMap([LIEGE, RIVAL, BLOOD_HEIR]);
+
+const person = (id, firstName, extra = {}) => ({ id, firstName, lastName: 'Vane', gender: 'male', ...extra });
+const people = [
+  person(1, 'Aldric', { dateOfBirth: '1200' }),
+  person(2, 'Bran', { dateOfBirth: '1220' }),
+  person(3, 'Cedric', { dateOfBirth: '1240' }),
+  person(4, 'Osric', { dateOfBirth: '1300', dateOfDeath: '1350' })
+];
+
+describe('relationshipTypes', () => {
+  it('should merge custom types after the built-in ones without overriding them', () => {
+    const merged = getRelationshipTypeMap([LIEGE, { ...RIVAL, id: 'parent' }]);
+
+    expect(Object.keys(merged).slice(-1)).toEqual(['liege']);
+    expect(merged.parent.builtIn).toBe(true);
+    expect(merged.parent.label).toBe('Parent/Child');
+    expect(merged.liege.builtIn).toBe(false);
+    expect(getRelationshipType('gone', merged).label).toBe('gone');
+  });
+
+  it('should pick out custom types by flag', () => {
+    expect(getCustomTypeIds(types, 'kinship')).toEqual(new Set(['blood-heir']));
+    expect(getCustomTypeIds(types, 'drawsLine')).toEqual(new Set(['liege']));
+  });
+
+  it('should describe one-way and mutual ties', () => {
+    expect(describeCustomRelationship('Aldric', 'Bran', LIEGE)).toBe('Aldric (Liege) → Bran (Vassal)');
+    expect(describeCustomRelationship('Aldric', 'Bran', RIVAL)).toBe('Aldric and Bran: Rivals');
+  });
+
+  it('should make unique IDs from labels', () => {
+    expect(createRelationshipTypeId('Sworn Brother', types)).toBe('sworn-brother');
+    expect(createRelationshipTypeId('Rival', types)).toBe('rival-2');
+    expect(createRelationshipTypeId('Parent', types)).toBe('parent-2');
+    expect(createRelationshipTypeId('Hôstage—Ward!', types)).toBe('hostage-ward');
+  });
+
+  it('should tidy types and reject invalid ones', () => {
+    const tidied = normalizeRelationshipType({ id: 'rival', label: ' Rivals ', icon: 'nope', person1Label: 'x' });
+    expect(tidied).toMatchObject({ label: 'Rivals', person1Label: 'Rivals', icon: 'link', color: 'gray', directional: false });
+
+    expect(validateRelationshipTypes([LIEGE, RIVAL]).valid).toBe(true);
+    const { errors } = validateRelationshipTypes([
+      { ...RIVAL, id: 'spouse' },
+      { ...LIEGE, person2Label: ' ' },
+      { ...LIEGE, id: 'liege-2' },
+      { ...RIVAL, id: 'x', label: '' }
+    ]);
+    expect(errors).toHaveLength(4);
+  });
+
+  describe('validateRelationship', () => {
+    const validate = (relationship, existing = []) =>
+      validateRelationship(relationship, people, existing, { relationshipTypes: types });
+
+    it('should reject types the dataset does not have', () => {
+      const result = validateRelationship({ person1Id: 1, person2Id: 2, relationshipType: 'liege' }, people, []);
+      expect(result.errors.map(e => e.code)).toEqual(['UNKNOWN_RELATIONSHIP_TYPE']);
+    });
+
+    it('should treat reversed mutual ties as duplicates but only warn on reversed one-way ties', () => {
+      const rivals = [{ id: 10, person1Id: 2, person2Id: 1, relationshipType: 'rival' }];
+      expect(validate({ person1Id: 1, person2Id: 2, relationshipType: 'rival' }, rivals).errors[0].code)
+        .toBe('DUPLICATE_RELATIONSHIP');
+
+      const fealty = [{ id: 11, person1Id: 2, person2Id: 1, relationshipType: 'liege' }];
+      const reversed = validate({ person1Id: 1, person2Id: 2, relationshipType: 'liege' }, fealty);
+      expect(reversed.isValid).toBe(true);
+      expect(reversed.warnings.map(w => w.code)).toContain('REVERSED_RELATIONSHIP');
+      expect(validate({ person1Id: 2, person2Id: 1, relationshipType: 'liege' }, fealty).errors[0].code)
+        .toBe('DUPLICATE_RELATIONSHIP');
+    });
+
+    it('should follow one-way kinship types when checking for circular descent', () => {
+      const existing = [
+        { id: 20, person1Id: 1, person2Id: 2, relationshipType: 'parent' },
+        { id: 21, person1Id: 2, person2Id: 3, relationshipType: 'blood-heir' }
+      ];
+
+      expect(validate({ person1Id: 3, person2Id: 1, relationshipType: 'blood-heir' }, existing).errors[0].code)
+        .toBe('CIRCULAR_ANCESTRY');
+      expect(validate({ person1Id: 3, person2Id: 1, relationshipType: 'parent' }, existing).errors.map(e => e.code))
+        .toContain('CIRCULAR_ANCESTRY');
+      // Liege ties aren't kinship, so they can run either way up a line
+      expect(validate({ person1Id: 3, person2Id: 1, relationshipType: 'liege' }, existing).isValid).toBe(true);
+    });
+
+    it('should warn when the two people never lived at the same time', () => {
+      const deadFirst = [...people, person(5, 'Wulf', { dateOfBirth: '1100', dateOfDeath: '1150' })];
+      const result = validateRelationship(
+        { person1Id: 5, person2Id: 4, relationshipType: 'rival' }, deadFirst, [], { relationshipTypes: types }
+      );
+      expect(result.warnings.map(w => w.code)).toEqual(['NEVER_COEXISTED']);
+    });
+  });
+
+  describe('RelationshipCalculator', () => {
+    const relationships = [
+      { person1Id: 1, person2Id: 2, relationshipType: 'parent' },
+      { person1Id: 2, person2Id: 3, relationshipType: 'blood-heir' },
+      { person1Id: 1, person2Id: 4, relationshipType: 'liege' }
+    ];
+
+    it('should follow one-way kinship types only when given the types', () => {
+      expect(buildRelationshipMaps(relationships).parentMap.get(3)).toBeUndefined();
+
+      const maps = buildRelationshipMaps(relationships, { relationshipTypes: types });
+      expect(maps.parentMap.get(3)).toEqual([2]);
+      expect(maps.parentMap.get(4)).toBeUndefined();
+    });
+
+    it('should label custom ties where there is no family relationship', () => {
+      const { parentMap, childrenMap, spouseMap, customTieMap } =
+        buildRelationshipMaps(relationships, { relationshipTypes: types });
+      const labels = calculateAllRelationships(1, people, parentMap, childrenMap, spouseMap, null, customTieMap);
+
+      expect(labels.get(3)).toBe('Grandson');
+      expect(labels.get(4)).toBe('Vassal');
+      expect(calculateAllRelationships(4, people, parentMap, childrenMap, spouseMap, null, customTieMap).get(1))
+        .toBe('Liege');
+    });
+  });
+});
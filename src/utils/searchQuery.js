@@ -0,0 +1,462 @@
+/**
+ * Search Query
+ *
+ * Multi-field search across people, houses and dignities. A query is a
+ * plain object so it can be built row by row in the query builder, saved
+ * per dataset and round-tripped to a compact text syntax:
+ *
+ *   house:Wilfrey alive:412 legitimacy:bastard species:elf has:dignity
+ *   born:1200..1250 -has:spouse "Aldric"
+ *
+ * - field:value      condition; quote values with spaces (house:"Vane of Ash")
+ * - -field:value     negated condition
+ * - from..to         year range for year fields; either end may be left open
+ * - anything else    free text, matched against names
+ *
+ * Year values go through a parseYear function so the UI can accept dates
+ * in the dataset's calendar (eras, month names); the default only reads
+ * plain numbers. Conditions on the same query are ANDed.
+ */
+
+import { getYear } from './calendarUtils';
+import { buildRelationshipMaps } from './RelationshipCalculator';
+import { isAliveInYear } from './timeSlice';
+
+/** The kinds of record a query can search */
+export const SEARCH_ENTITIES = ['people', 'houses', 'dignities'];
+
+// ==================== FIELDS ====================
+
+/**
+ * Fields each entity can be filtered by
+ *
+ * type:
+ * - text:   case-insensitive substring
+ * - choice: exact match on a stored value (options list the known ones)
+ * - year:   a year or from..to range
+ * - has:    the record has a related thing (options list what)
+ */
+export const SEARCH_FIELDS = {
+  people: [
+    { key: 'name', label: 'Name', type: 'text' },
+    { key: 'house', label: 'House', type: 'text' },
+    { key: 'alive', label: 'Alive in', type: 'year' },
+    { key: 'born', label: 'Born', type: 'year' },
+    { key: 'died', label: 'Died', type: 'year' },
+    {
+      key: 'legitimacy', label: 'Legitimacy', type: 'choice',
+      options: ['legitimate', 'bastard', 'adopted', 'unknown']
+    },
+    { key: 'gender', label: 'Gender', type: 'choice', options: ['male', 'female'] },
+    { key: 'species', label: 'Species', type: 'text' },
+    { key: 'bloodline', label: 'Bloodline', type: 'text' },
+    { key: 'title', label: 'Title', type: 'text' },
+    {
+      key: 'has', label: 'Has', type: 'has',
+      options: ['dignity', 'spouse', 'children', 'parents', 'house', 'codex']
+    }
+  ],
+  houses: [
+    { key: 'name', label: 'Name', type: 'text' },
+    {
+      key: 'type', label: 'Type', type: 'choice',
+      options: ['great', 'cadet', 'minor', 'vassal', 'extinct']
+    },
+    { key: 'founded', label: 'Founded', type: 'year' },
+    { key: 'parent', label: 'Parent house', type: 'text' },
+    {
+      key: 'has', label: 'Has', type: 'has',
+      options: ['members', 'heraldry', 'codex', 'cadets', 'motto']
+    }
+  ],
+  dignities: [
+    { key: 'name', label: 'Name', type: 'text' },
+    { key: 'class', label: 'Class', type: 'choice' },
+    { key: 'rank', label: 'Rank', type: 'text' },
+    { key: 'nature', label: 'Nature', type: 'choice' },
+    { key: 'holder', label: 'Holder', type: 'text' },
+    { key: 'house', label: 'House', type: 'text' },
+    { key: 'sworn', label: 'Sworn to', type: 'text' },
+    { key: 'has', label: 'Has', type: 'has', options: ['holder', 'liege', 'vassals'] }
+  ]
+};
+
+/**
+ * Look up a field definition
+ *
+ * @param {string} entity - One of SEARCH_ENTITIES
+ * @param {string} key - Field key
+ * @returns {Object|null} The field, or null if the entity has no such field
+ */
+export function getSearchField(entity, key) {
+  return (SEARCH_FIELDS[entity] || []).find(field => field.key === key) || null;
+}
+
+/**
+ * A blank query for an entity
+ */
+export function createEmptyQuery(entity = 'people') {
+  return { entity, text: '', conditions: [] };
+}
+
+/**
+ * Does the query filter anything?
+ */
+export function isQueryEmpty(query) {
+  return !query || (!query.text?.trim() && !(query.conditions || []).some(c => c.value?.trim()));
+}
+
+// ==================== TEXT SYNTAX ====================
+
+/**
+ * Split query text into tokens, keeping quoted runs together
+ */
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /(-?)([a-z]+):(?:"([^"]*)"?|(\S*))|"([^"]*)"?|(\S+)/gi;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const [, dash, key, quotedValue, bareValue, quotedText, bareText] = match;
+    if (key !== undefined) {
+      tokens.push({ negate: dash === '-', key: key.toLowerCase(), value: quotedValue ?? bareValue ?? '' });
+    } else {
+      tokens.push({ text: quotedText ?? bareText });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse the text syntax into a query
+ *
+ * Unknown fields and empty values are reported rather than silently turned
+ * into free text, so a typo doesn't quietly widen the search.
+ *
+ * @param {string} text - e.g. 'house:Wilfrey alive:412 -has:spouse'
+ * @param {string} [entity='people'] - One of SEARCH_ENTITIES
+ * @returns {{query: Object, errors: string[]}}
+ */
+export function parseQuery(text, entity = 'people') {
+  const query = createEmptyQuery(entity);
+  const errors = [];
+  const words = [];
+
+  tokenize(text || '').forEach(token => {
+    if (token.text !== undefined) {
+      words.push(token.text);
+      return;
+    }
+
+    const field = getSearchField(entity, token.key);
+    if (!field) {
+      errors.push(`Unknown filter "${token.key}" for ${entity}`);
+      return;
+    }
+    if (!token.value.trim()) {
+      errors.push(`"${token.key}:" needs a value`);
+      return;
+    }
+    query.conditions.push({ field: field.key, value: token.value, negate: token.negate });
+  });
+
+  query.text = words.join(' ');
+  return { query, errors };
+}
+
+/**
+ * Write a query back out in the text syntax
+ *
+ * @param {Object} query - Query object
+ * @returns {string} Text that parseQuery turns back into the same query
+ */
+export function formatQuery(query) {
+  const quote = (value) => (/[\s"]/.test(value) || value === '' ? `"${value.replace(/"/g, '')}"` : value);
+  const parts = (query.conditions || [])
+    .filter(condition => condition.value?.trim())
+    .map(condition => `${condition.negate ? '-' : ''}${condition.field}:${quote(condition.value.trim())}`);
+
+  const text = query.text?.trim();
+  if (text) parts.push(text);
+  return parts.join(' ');
+}
+
+// ==================== YEARS ====================
+
+/**
+ * Default year parser: plain numbers only
+ */
+function parsePlainYear(text) {
+  return /^-?\d+$/.test(text) ? parseInt(text, 10) : null;
+}
+
+/**
+ * Read a year value: a single year or a from..to range
+ *
+ * @param {string} value - e.g. '412', '1200..1250', '..1200', '1200..'
+ * @param {Function} [parseYear] - Turns one side into a stored year or null
+ * @returns {{from: number|null, to: number|null}|null} null if unreadable
+ */
+export function parseYearRange(value, parseYear = parsePlainYear) {
+  const trimmed = String(value ?? '').trim();
+  if (!trimmed) return null;
+
+  if (!trimmed.includes('..')) {
+    const year = parseYear(trimmed);
+    return year === null ? null : { from: year, to: year };
+  }
+
+  const [fromText, toText] = trimmed.split('..').map(part => part.trim());
+  const from = fromText ? parseYear(fromText) : null;
+  const to = toText ? parseYear(toText) : null;
+  if ((fromText && from === null) || (toText && to === null) || (from === null && to === null)) return null;
+  return { from, to };
+}
+
+function yearInRange(year, range) {
+  if (year === null) return false;
+  if (range.from !== null && year < range.from) return false;
+  if (range.to !== null && year > range.to) return false;
+  return true;
+}
+
+/**
+ * Was the person alive at some point in the range?
+ */
+function aliveInRange(person, range) {
+  if (range.from !== null && range.from === range.to) return isAliveInYear(person, range.from);
+  const born = getYear(person.dateOfBirth);
+  const died = getYear(person.dateOfDeath);
+  if (range.to !== null && born !== null && born > range.to) return false;
+  if (range.from !== null && died !== null && died < range.from) return false;
+  return true;
+}
+
+/**
+ * Find every year condition the query can't read
+ *
+ * @param {Object} query - Query object
+ * @param {Function} [parseYear] - As for runQuery
+ * @returns {string[]} Error messages
+ */
+export function validateQuery(query, parseYear = parsePlainYear) {
+  const errors = [];
+  (query.conditions || []).forEach(condition => {
+    const field = getSearchField(query.entity, condition.field);
+    if (!field) {
+      errors.push(`Unknown filter "${condition.field}" for ${query.entity}`);
+    } else if (field.type === 'year' && condition.value?.trim() && !parseYearRange(condition.value, parseYear)) {
+      errors.push(`"${condition.value}" isn't a year or range (try 1200 or 1200..1250)`);
+    } else if (field.type === 'has' && condition.value?.trim() &&
+               !field.options.includes(condition.value.trim().toLowerCase())) {
+      errors.push(`"has:${condition.value}" must be one of ${field.options.join(', ')}`);
+    }
+  });
+  return errors;
+}
+
+// ==================== MATCHING ====================
+
+const lower = (value) => String(value ?? '').toLowerCase();
+const contains = (haystack, needle) => lower(haystack).includes(needle);
+
+function personName(person) {
+  return [person.firstName, person.lastName].filter(Boolean).join(' ');
+}
+
+function personNames(person) {
+  return [personName(person), person.maidenName, ...(person.epithets || []).map(e => e.text)];
+}
+
+/**
+ * Per-entity matchers: (record, field, value, context) -> boolean, where
+ * value is lower-cased text or a parsed year range
+ */
+const MATCHERS = {
+  people: (person, field, value, ctx) => {
+    switch (field) {
+      case 'name':
+        return personNames(person).some(name => contains(name, value));
+      case 'house':
+        return contains(ctx.housesById.get(person.houseId)?.houseName, value);
+      case 'alive':
+        return aliveInRange(person, value);
+      case 'born':
+        return yearInRange(getYear(person.dateOfBirth), value);
+      case 'died':
+        return yearInRange(getYear(person.dateOfDeath), value);
+      case 'legitimacy':
+        return lower(person.legitimacyStatus || 'unknown') === value;
+      case 'gender':
+        return lower(person.gender) === value;
+      case 'species':
+        return contains(person.species, value);
+      case 'bloodline':
+        return contains(person.magicalBloodline, value);
+      case 'title':
+        return (person.titles || []).some(title => contains(title, value));
+      case 'has':
+        switch (value) {
+          case 'dignity': return ctx.dignityHolders.has(person.id);
+          case 'spouse': return (ctx.maps.spouseMap.get(person.id) || []).length > 0;
+          case 'children': return (ctx.maps.childrenMap.get(person.id) || []).length > 0;
+          case 'parents': return (ctx.maps.parentMap.get(person.id) || []).length > 0;
+          case 'house': return Boolean(person.houseId);
+          case 'codex': return Boolean(person.codexEntryId);
+          default: return false;
+        }
+      default:
+        return false;
+    }
+  },
+
+  houses: (house, field, value, ctx) => {
+    switch (field) {
+      case 'name':
+        return contains(house.houseName, value);
+      case 'type':
+        return lower(house.houseType || 'great') === value;
+      case 'founded':
+        return yearInRange(getYear(house.foundedDate), value);
+      case 'parent':
+        return contains(ctx.housesById.get(house.parentHouseId)?.houseName, value);
+      case 'has':
+        switch (value) {
+          case 'members': return ctx.houseMembers.has(house.id);
+          case 'heraldry': return Boolean(house.heraldryId);
+          case 'codex': return Boolean(house.codexEntryId);
+          case 'cadets': return ctx.parentHouses.has(house.id);
+          case 'motto': return Boolean(house.motto);
+          default: return false;
+        }
+      default:
+        return false;
+    }
+  },
+
+  dignities: (dignity, field, value, ctx) => {
+    switch (field) {
+      case 'name':
+        return contains(dignity.name, value) || contains(dignity.shortName, value);
+      case 'class':
+        return lower(dignity.dignityClass) === value;
+      case 'rank':
+        return contains(dignity.dignityRank, value);
+      case 'nature':
+        return lower(dignity.dignityNature) === value;
+      case 'holder': {
+        const holder = ctx.peopleById.get(dignity.currentHolderId);
+        return Boolean(holder) && contains(personName(holder), value);
+      }
+      case 'house':
+        return contains(ctx.housesById.get(dignity.currentHouseId)?.houseName, value);
+      case 'sworn':
+        return contains(ctx.dignitiesById.get(dignity.swornToId)?.name, value);
+      case 'has':
+        switch (value) {
+          case 'holder': return Boolean(dignity.currentHolderId);
+          case 'liege': return Boolean(dignity.swornToId);
+          case 'vassals': return ctx.lieges.has(dignity.id);
+          default: return false;
+        }
+      default:
+        return false;
+    }
+  }
+};
+
+const FREE_TEXT = {
+  people: (person) => [...personNames(person), ...(person.titles || [])],
+  houses: (house) => [house.houseName, house.motto],
+  dignities: (dignity) => [dignity.name, dignity.shortName, dignity.placeName]
+};
+
+/**
+ * Lookups shared by every condition in one run
+ */
+function buildContext({ people = [], houses = [], relationships = [], dignities = [], relationshipTypes = null }) {
+  return {
+    peopleById: new Map(people.map(p => [p.id, p])),
+    housesById: new Map(houses.map(h => [h.id, h])),
+    dignitiesById: new Map(dignities.map(d => [d.id, d])),
+    maps: buildRelationshipMaps(relationships, { includeDivorced: true, relationshipTypes }),
+    dignityHolders: new Set(dignities.map(d => d.currentHolderId).filter(Boolean)),
+    houseMembers: new Set(people.map(p => p.houseId).filter(Boolean)),
+    parentHouses: new Set(houses.map(h => h.parentHouseId).filter(Boolean)),
+    lieges: new Set(dignities.map(d => d.swornToId).filter(Boolean))
+  };
+}
+
+/**
+ * Run a query over the dataset
+ *
+ * Conditions the query can't read (see validateQuery) are skipped rather
+ * than failing the whole search.
+ *
+ * @param {Object} query - Query object
+ * @param {Object} data - { people, houses, relationships, dignities, relationshipTypes }
+ * @param {Object} [options]
+ * @param {Function} [options.parseYear] - Turns a year value into a stored
+ *   year or null, e.g. via the dataset calendar's parseDateInput
+ * @returns {Array} Matching records of query.entity
+ */
+export function runQuery(query, data, { parseYear = parsePlainYear } = {}) {
+  const entity = SEARCH_ENTITIES.includes(query.entity) ? query.entity : 'people';
+  const records = data[entity] || [];
+  const matcher = MATCHERS[entity];
+  const ctx = buildContext(data);
+
+  const conditions = (query.conditions || [])
+    .map(condition => {
+      const field = getSearchField(entity, condition.field);
+      const raw = condition.value?.trim();
+      if (!field || !raw) return null;
+      const value = field.type === 'year' ? parseYearRange(raw, parseYear) : raw.toLowerCase();
+      return value === null ? null : { field: field.key, value, negate: Boolean(condition.negate) };
+    })
+    .filter(Boolean);
+
+  const words = lower(query.text).split(/\s+/).filter(Boolean);
+
+  return records.filter(record => {
+    if (words.length > 0) {
+      const haystack = FREE_TEXT[entity](record).map(lower).join(' ');
+      if (!words.every(word => haystack.includes(word))) return false;
+    }
+    return conditions.every(condition =>
+      matcher(record, condition.field, condition.value, ctx) !== condition.negate
+    );
+  });
+}
+
+/**
+ * The people a set of results stands for, so any search can highlight
+ * nodes in the tree or feed a bulk edit: house results give their members,
+ * dignity results their current holders
+ *
+ * @param {Array} results - From runQuery
+ * @param {string} entity - The query's entity
+ * @param {Array} people - Person records
+ * @returns {Array} Person records
+ */
+export function getResultPeople(results, entity, people) {
+  if (entity === 'people') return results;
+  const ids = new Set(results.map(record => record.id));
+  if (entity === 'houses') return people.filter(person => ids.has(person.houseId));
+
+  const holderIds = new Set(results.map(dignity => dignity.currentHolderId).filter(Boolean));
+  return people.filter(person => holderIds.has(person.id));
+}
+
+export default {
+  SEARCH_ENTITIES,
+  SEARCH_FIELDS,
+  getSearchField,
+  createEmptyQuery,
+  isQueryEmpty,
+  parseQuery,
+  formatQuery,
+  parseYearRange,
+  validateQuery,
+  runQuery,
+  getResultPeople
+};
@@ -0,0 +1,157 @@
+/**
+ * Search Query Tests
+ *
+ * Tests for advanced search:
+ * - Parsing and writing the text syntax
+ * - Year values and ranges
+ * - Matching people, houses and dignities field by field
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseQuery,
+  formatQuery,
+  parseYearRange,
+  validateQuery,
+  isQueryEmpty,
+  runQuery,
+  getResultPeople
+} from './searchQuery';
+
+const houses = [
+  { id: 1, houseName: 'Wilfrey', houseType: 'great', foundedDate: '1100', heraldryId: 5 },
+  { id: 2, houseName: 'Wilfrey of Ashdown', houseType: 'cadet', parentHouseId: 1, foundedDate: '1230' },
+  { id: 3, houseName: 'Thorn', houseType: 'minor' }
+];
+const people = [
+  { id: 1, firstName: 'Aldric', lastName: 'Wilfrey', houseId: 1, dateOfBirth: '1200', dateOfDeath: '1260', legitimacyStatus: 'legitimate', species: 'human', titles: ['Lord of Wilfrey'] },
+  { id: 2, firstName: 'Sela', lastName: 'Wilfrey', houseId: 1, dateOfBirth: '1225', legitimacyStatus: 'bastard', species: 'elf', epithets: [{ text: 'the Grey' }] },
+  { id: 3, firstName: 'Mira', lastName: 'Thorn', houseId: 3, dateOfBirth: '1205', dateOfDeath: '1240', legitimacyStatus: 'bastard', species: 'Half-Elf' },
+  { id: 4, firstName: 'Edric', lastName: 'Wilfrey', houseId: 2, dateOfBirth: '1230', legitimacyStatus: 'legitimate' }
+];
+const relationships = [
+  { id: 1, person1Id: 1, person2Id: 3, relationshipType: 'spouse' },
+  { id: 2, person1Id: 1, person2Id: 2, relationshipType: 'parent' },
+  { id: 3, person1Id: 1, person2Id: 4, relationshipType: 'parent' }
+];
+const dignities = [
+  { id: 10, name: 'Duchy of Wilfrey', dignityClass: 'driht', dignityNature: 'territorial', currentHolderId: 1, currentHouseId: 1 },
+  { id: 11, name: 'March of Ash', dignityClass: 'ward', currentHolderId: 2, swornToId: 10 },
+  { id: 12, name: 'Office of Steward', dignityClass: 'other', dignityNature: 'office', currentHolderId: null, swornToId: 10 }
+];
+const data = { people, houses, relationships, dignities };
+
+const search = (text, entity = 'people') => {
+  const { query, errors } = parseQuery(text, entity);
+  expect(errors).toEqual([]);
+  return runQuery(query, data).map(record => record.id);
+};
+
+describe('searchQuery', () => {
+  describe('text syntax', () => {
+    it('should parse conditions, negation, quotes and free text', () => {
+      const { query, errors } = parseQuery('house:"Wilfrey of Ashdown" -has:spouse alive:412 Aldric');
+
+      expect(errors).toEqual([]);
+      expect(query).toEqual({
+        entity: 'people',
+        text: 'Aldric',
+        conditions: [
+          { field: 'house', value: 'Wilfrey of Ashdown', negate: false },
+          { field: 'has', value: 'spouse', negate: true },
+          { field: 'alive', value: '412', negate: false }
+        ]
+      });
+    });
+
+    it('should report unknown filters and empty values', () => {
+      expect(parseQuery('colour:red', 'houses').errors).toEqual(['Unknown filter "colour" for houses']);
+      expect(parseQuery('house:').errors).toEqual(['"house:" needs a value']);
+    });
+
+    it('should round-trip through formatQuery', () => {
+      const text = 'house:"Wilfrey of Ashdown" -legitimacy:bastard born:1200..1250 Sela';
+      expect(formatQuery(parseQuery(text).query)).toBe(text);
+    });
+
+    it('should know an empty query', () => {
+      expect(isQueryEmpty(parseQuery('  ').query)).toBe(true);
+      expect(isQueryEmpty({ entity: 'people', text: '', conditions: [{ field: 'house', value: '' }] })).toBe(true);
+      expect(isQueryEmpty(parseQuery('species:elf').query)).toBe(false);
+    });
+  });
+
+  describe('years', () => {
+    it('should read single years and open or closed ranges', () => {
+      expect(parseYearRange('412')).toEqual({ from: 412, to: 412 });
+      expect(parseYearRange('1200..1250')).toEqual({ from: 1200, to: 1250 });
+      expect(parseYearRange('..1200')).toEqual({ from: null, to: 1200 });
+      expect(parseYearRange('1200..')).toEqual({ from: 1200, to: null });
+      expect(parseYearRange('soon')).toBeNull();
+      expect(parseYearRange('..')).toBeNull();
+    });
+
+    it('should use the parser it is given', () => {
+      const parseEra = (text) => (/^\d+ AE$/.test(text) ? parseInt(text, 10) + 1000 : null);
+      expect(parseYearRange('5 AE..10 AE', parseEra)).toEqual({ from: 1005, to: 1010 });
+    });
+
+    it('should flag year and has values it cannot read', () => {
+      const { query } = parseQuery('born:soon has:wings');
+      expect(validateQuery(query)).toHaveLength(2);
+    });
+  });
+
+  describe('people', () => {
+    it('should combine conditions', () => {
+      expect(search('house:Wilfrey legitimacy:bastard species:elf')).toEqual([2]);
+      expect(search('legitimacy:bastard')).toEqual([2, 3]);
+      expect(search('-legitimacy:bastard')).toEqual([1, 4]);
+    });
+
+    it('should match living in a year or a range', () => {
+      expect(search('alive:1241')).toEqual([1, 2, 4]);
+      expect(search('alive:1241..1250')).toEqual([1, 2, 4]);
+      expect(search('alive:..1203')).toEqual([1]);
+      expect(search('born:1220..')).toEqual([2, 4]);
+      expect(search('died:..1250')).toEqual([3]);
+    });
+
+    it('should match relations and holdings', () => {
+      expect(search('has:dignity')).toEqual([1, 2]);
+      expect(search('has:spouse')).toEqual([1, 3]);
+      expect(search('has:parents')).toEqual([2, 4]);
+      expect(search('-has:children')).toEqual([2, 3, 4]);
+    });
+
+    it('should match free text against names, epithets and titles', () => {
+      expect(search('grey')).toEqual([2]);
+      expect(search('lord')).toEqual([1]);
+      expect(search('title:lord')).toEqual([1]);
+    });
+  });
+
+  it('should search houses', () => {
+    expect(search('type:cadet', 'houses')).toEqual([2]);
+    expect(search('founded:..1200', 'houses')).toEqual([1]);
+    expect(search('parent:wilfrey', 'houses')).toEqual([2]);
+    expect(search('has:heraldry', 'houses')).toEqual([1]);
+    expect(search('has:cadets', 'houses')).toEqual([1]);
+  });
+
+  it('should search dignities', () => {
+    expect(search('class:driht', 'dignities')).toEqual([10]);
+    expect(search('holder:sela', 'dignities')).toEqual([11]);
+    expect(search('sworn:duchy -has:holder', 'dignities')).toEqual([12]);
+    expect(search('house:wilfrey', 'dignities')).toEqual([10]);
+    expect(search('has:vassals', 'dignities')).toEqual([10]);
+  });
+
+  it('should turn house and dignity results into people', () => {
+    const ids = (records, entity) => getResultPeople(records, entity, people).map(p => p.id);
+
+    expect(ids([houses[0]], 'houses')).toEqual([1, 2]);
+    expect(ids(dignities, 'dignities')).toEqual([1, 2]);
+    expect(ids([people[3]], 'people')).toEqual([4]);
+  });
+});
@@ -0,0 +1,383 @@
+/**
+ * Succession Laws
+ *
+ * The historical laws offered as SUCCESSION_TYPES beside primogeniture and
+ * agnatic seniority: ultimogeniture, semi-Salic law, matrilineal succession,
+ * tanistry and partible inheritance. Each law takes the same context as
+ * evaluateSuccessionRules and returns claimants in the same form, so
+ * computeSuccessionLine turns them all into candidates the same way.
+ *
+ * Two laws add a field to each claimant:
+ * - tanistry: elected - true for the tanist, chosen from the eligible kin
+ * - partible: share - the fraction of the holdings the claimant receives
+ *
+ * Ultimogeniture and semi-Salic law are rule sets for the custom engine;
+ * the other three walk the family in their own way.
+ */
+
+import {
+  compareDates,
+  getLifeStatus,
+  getTodayCanonical,
+  yearsBetween,
+  LIFE_STATUS
+} from './calendarUtils';
+import { DEFAULT_SUCCESSION_RULES, evaluateSuccessionRules } from './successionRules';
+
+/** Generations above the holder searched for collateral heirs */
+const COLLATERAL_REACH = 2;
+
+/** Generations above the holder to the founder of a tanistry kin group */
+const TANISTRY_REACH = 3;
+
+// ==================== SHARED HELPERS ====================
+
+/**
+ * The bastard rule (a key of BASTARD_RULES) matching a dignity's
+ * excludeBastards / legitimizedBastardsEligible settings
+ *
+ * @param {Object} [successionRules] - dignity.successionRules
+ * @returns {string}
+ */
+export function getBastardRule(successionRules = {}) {
+  if (!successionRules.excludeBastards) return 'equal';
+  return successionRules.legitimizedBastardsEligible ? 'legitimized-only' : 'exclude';
+}
+
+/**
+ * Why someone cannot inherit regardless of the law's own gender or kinship
+ * requirements: not alive at the story present, or barred by birth
+ *
+ * @returns {string|null}
+ */
+function getExclusion(person, { asOf = null, calendar = null, bastards = 'equal' }) {
+  const lifeStatus = getLifeStatus(person, asOf, calendar);
+  if (lifeStatus === LIFE_STATUS.DECEASED) return 'Deceased';
+  if (lifeStatus === LIFE_STATUS.UNBORN) return 'Not yet born';
+  if (person.legitimacyStatus === 'bastard') {
+    if (bastards === 'exclude') return 'Illegitimate birth';
+    if (bastards === 'legitimized-only' && person.bastardStatus !== 'legitimized') {
+      return 'Illegitimate birth (not legitimized)';
+    }
+  }
+  return null;
+}
+
+/**
+ * Lookups shared by the laws that walk the family themselves
+ */
+function buildHelpers({ people, parentMap, childrenMap, calendar = null }) {
+  const peopleById = new Map(people.map(p => [p.id, p]));
+  const byBirth = (a, b) => compareDates(a.dateOfBirth, b.dateOfBirth, calendar) || a.id - b.id;
+  return {
+    peopleById,
+    byBirth,
+    children: (personId) => (childrenMap.get(personId) || [])
+      .map(id => peopleById.get(id))
+      .filter(Boolean)
+      .sort(byBirth),
+    parentOfGender: (personId, gender) => (parentMap.get(personId) || [])
+      .map(id => peopleById.get(id))
+      .find(p => p?.gender === gender) || null
+  };
+}
+
+/**
+ * Put eligible claimants first, keeping each group's order
+ */
+function eligibleFirst(claimants) {
+  return [...claimants.filter(c => !c.excluded), ...claimants.filter(c => c.excluded)];
+}
+
+// ==================== ULTIMOGENITURE ====================
+
+/**
+ * Ultimogeniture: the youngest son inherits, then his line; daughters
+ * only after sons
+ *
+ * @param {Object} context - As for evaluateSuccessionRules, plus bastards
+ *   (a key of BASTARD_RULES)
+ * @returns {Array} Claimants, as evaluateSuccessionRules
+ */
+export function evaluateUltimogeniture(context) {
+  return evaluateSuccessionRules({
+    ...DEFAULT_SUCCESSION_RULES,
+    ordering: ['gender', 'youngest'],
+    bastards: context.bastards || 'equal'
+  }, context);
+}
+
+// ==================== SEMI-SALIC ====================
+
+/**
+ * Everyone descended from the holder's male-line forebears through sons
+ * alone, the holder's own sons included
+ */
+function findAgnates({ holder, maxDepth = 10 }, helpers) {
+  const agnates = new Set();
+  const descend = (person, depth) => {
+    if (depth > maxDepth) return;
+    for (const son of helpers.children(person.id).filter(c => c.gender === 'male')) {
+      agnates.add(son.id);
+      descend(son, depth + 1);
+    }
+  };
+
+  descend(holder, 1);
+  let forebear = holder;
+  for (let level = 1; level <= COLLATERAL_REACH; level++) {
+    forebear = helpers.parentOfGender(forebear.id, 'male');
+    if (!forebear) break;
+    descend(forebear, 1);
+  }
+  return agnates;
+}
+
+/**
+ * Semi-Salic law: male-preference primogeniture, except that no woman -
+ * nor anyone claiming through one - inherits while any male-line
+ * kinsman lives. When the male lines fail, the nearest heiress takes.
+ *
+ * @param {Object} context - As for evaluateUltimogeniture
+ * @returns {Array} Claimants, as evaluateSuccessionRules
+ */
+export function evaluateSemiSalic(context) {
+  const line = evaluateSuccessionRules({
+    ...DEFAULT_SUCCESSION_RULES,
+    bastards: context.bastards || 'equal'
+  }, context);
+  const agnates = findAgnates(context, buildHelpers(context));
+  const eligible = line.filter(c => !c.excluded);
+
+  return [
+    ...eligible.filter(c => agnates.has(c.person.id)),
+    ...eligible.filter(c => !agnates.has(c.person.id)),
+    ...line.filter(c => c.excluded)
+  ];
+}
+
+// ==================== MATRILINEAL ====================
+
+/**
+ * Matrilineal succession: the claim runs through women, but men inherit.
+ * A man's heirs are his mother's sons (his brothers), then all his sisters'
+ * sons, then all his sisters' daughters' sons - a generation at a time
+ * across every sister - then the same down the lines of his mother's
+ * sisters. His own children belong to their mother's line.
+ * A woman holding the dignity passes it to her own sons first.
+ *
+ * @param {Object} context - As for evaluateUltimogeniture
+ * @returns {Array} Claimants, as evaluateSuccessionRules
+ */
+export function evaluateMatrilineal(context) {
+  const { holder, maxDepth = 10 } = context;
+  if (!holder) return [];
+
+  const helpers = buildHelpers(context);
+  const visited = new Set([holder.id]);
+  const claimants = [];
+
+  const push = (person, branch, degree, exclusionReason) => {
+    visited.add(person.id);
+    claimants.push({ person, branch, degree, excluded: exclusionReason !== null, exclusionReason });
+  };
+
+  // A woman's descendants through women, a generation at a time: every
+  // son of the generation (in birth order), then its daughters, whose
+  // children make the next generation
+  const followLine = (woman, degree, branch) => {
+    let mothers = [woman];
+    for (let depth = 1; depth <= maxDepth && mothers.length > 0; depth++) {
+      const children = mothers.flatMap(m => helpers.children(m.id)).filter(c => !visited.has(c.id));
+      for (const son of children.filter(c => c.gender === 'male')) {
+        push(son, branch, degree + depth - 1, getExclusion(son, context));
+      }
+      mothers = children.filter(c => c.gender !== 'male');
+      for (const daughter of mothers) {
+        push(daughter, branch, degree + depth - 1, getExclusion(daughter, context) || 'Women cannot inherit');
+      }
+    }
+  };
+
+  if (holder.gender === 'female') {
+    followLine(holder, 1, 'direct');
+  } else {
+    for (const child of helpers.children(holder.id)) {
+      push(child, 'direct', 1, 'Of their mother\'s line');
+    }
+  }
+
+  let ancestress = holder;
+  for (let level = 1; level <= COLLATERAL_REACH; level++) {
+    ancestress = helpers.parentOfGender(ancestress.id, 'female');
+    if (!ancestress) break;
+    visited.add(ancestress.id);
+    followLine(ancestress, level + 1, 'collateral');
+  }
+
+  return eligibleFirst(claimants);
+}
+
+// ==================== TANISTRY ====================
+
+/**
+ * Tanistry: the heir is elected from the kin group - every male-line
+ * descendant of the holder's great-grandfather. Any grown man of the group
+ * may stand; the elected tanist comes first, the rest by seniority.
+ *
+ * @param {Object} context - As for evaluateUltimogeniture, plus:
+ * @param {number} [context.electedId] - The elected tanist
+ * @param {number} [context.ageOfMajority=18] - Youngest age that may stand
+ * @returns {Array} Claimants, as evaluateSuccessionRules, with elected
+ */
+export function evaluateTanistry(context) {
+  const { holder, maxDepth = 10, asOf = null, electedId = null, ageOfMajority = 18 } = context;
+  if (!holder) return [];
+
+  const helpers = buildHelpers(context);
+  const present = asOf || getTodayCanonical();
+
+  // Climb to the founder of the kin group, as far as the tree goes
+  const forebears = [holder];
+  for (let level = 1; level <= TANISTRY_REACH; level++) {
+    const father = helpers.parentOfGender(forebears[forebears.length - 1].id, 'male');
+    if (!father) break;
+    forebears.push(father);
+  }
+  const founderLevel = forebears.length - 1;
+  const visited = new Set(forebears.map(f => f.id));
+
+  const claimants = [];
+  const visitSons = (person, depth, level, branch) => {
+    if (depth > maxDepth) return;
+    for (const son of helpers.children(person.id).filter(c => c.gender === 'male')) {
+      if (visited.has(son.id)) continue;
+      visited.add(son.id);
+      const age = son.dateOfBirth ? yearsBetween(son.dateOfBirth, present) : null;
+      let exclusionReason = getExclusion(son, context);
+      if (!exclusionReason && age !== null && age < ageOfMajority) {
+        exclusionReason = 'Too young to stand for election';
+      }
+      claimants.push({
+        person: son,
+        branch,
+        degree: level + depth,
+        excluded: exclusionReason !== null,
+        exclusionReason,
+        elected: !exclusionReason && son.id === electedId
+      });
+      visitSons(son, depth + 1, level, branch);
+    }
+  };
+
+  // The holder's own sons' lines, then each forebear's other lines
+  visitSons(holder, 1, 0, 'direct');
+  for (let level = 1; level <= founderLevel; level++) {
+    visitSons(forebears[level], 1, level, 'collateral');
+  }
+
+  // An elected tanist from outside the kin group has no claim by this law
+  const outsider = electedId && !claimants.some(c => c.person.id === electedId)
+    ? helpers.peopleById.get(electedId)
+    : null;
+  if (outsider && outsider.id !== holder.id) {
+    claimants.push({
+      person: outsider,
+      branch: 'collateral',
+      degree: null,
+      excluded: true,
+      exclusionReason: 'Outside the eligible kin',
+      elected: false
+    });
+  }
+
+  const eligible = claimants.filter(c => !c.excluded);
+  return [
+    ...eligible.filter(c => c.elected),
+    ...eligible.filter(c => !c.elected).sort((a, b) => helpers.byBirth(a.person, b.person)),
+    ...claimants.filter(c => c.excluded)
+  ];
+}
+
+// ==================== PARTIBLE ====================
+
+/**
+ * Partible inheritance (gavelkind): the holdings are divided equally
+ * among all the sons, or among the daughters when there are no sons. A
+ * dead child's share passes to their own children the same way. If the
+ * holder leaves no heirs of the body, the nearest siblings' lines divide
+ * it instead.
+ *
+ * @param {Object} context - As for evaluateUltimogeniture
+ * @returns {Array} Claimants, as evaluateSuccessionRules, with share (0
+ *   for anyone who receives nothing)
+ */
+export function evaluatePartible(context) {
+  const { holder, maxDepth = 10 } = context;
+  if (!holder) return [];
+
+  const helpers = buildHelpers(context);
+  const visited = new Set([holder.id]);
+  const claimants = [];
+
+  // Whether anyone in this person's line can receive a share
+  const canTake = (person, depth) => {
+    if (visited.has(person.id) || depth > maxDepth) return false;
+    const reason = getExclusion(person, context);
+    if (!reason) return true;
+    return reason === 'Deceased' && helpers.children(person.id).some(c => canTake(c, depth + 1));
+  };
+
+  const push = (person, branch, degree, share, exclusionReason) => {
+    visited.add(person.id);
+    claimants.push({ person, branch, degree, excluded: exclusionReason !== null, exclusionReason, share });
+  };
+
+  // Split a share among a person's children; false if none can take it
+  const divide = (parentId, share, depth, degree, branch) => {
+    const children = helpers.children(parentId).filter(c => !visited.has(c.id));
+    const lines = children.filter(c => canTake(c, depth));
+    if (lines.length === 0) return false;
+    const sons = lines.filter(c => c.gender === 'male');
+    const heirs = sons.length > 0 ? sons : lines;
+    const part = share / heirs.length;
+
+    for (const child of children) {
+      if (!heirs.includes(child)) {
+        const reason = getExclusion(child, context) ||
+          (child.gender === 'male' ? 'No heirs to receive a share' : 'Daughters inherit only when there are no sons');
+        push(child, branch, degree, 0, reason);
+        continue;
+      }
+      const reason = getExclusion(child, context);
+      push(child, branch, degree, reason ? 0 : part, reason);
+      if (reason) divide(child.id, part, depth + 1, degree + 1, branch);
+    }
+    return true;
+  };
+
+  if (!divide(holder.id, 1, 1, 1, 'direct')) {
+    // No heirs of the body: each generation of forebears in turn, father's
+    // side first, until a line can take
+    let generation = [holder.id];
+    for (let level = 1; level <= COLLATERAL_REACH; level++) {
+      const forebears = generation
+        .flatMap(id => ['male', 'female'].map(gender => helpers.parentOfGender(id, gender)))
+        .filter(Boolean);
+      forebears.forEach(f => visited.add(f.id));
+      if (forebears.some(f => divide(f.id, 1, 1, level + 1, 'collateral'))) break;
+      generation = forebears.map(f => f.id);
+    }
+  }
+
+  return eligibleFirst(claimants);
+}
+
+export default {
+  getBastardRule,
+  evaluateUltimogeniture,
+  evaluateSemiSalic,
+  evaluateMatrilineal,
+  evaluateTanistry,
+  evaluatePartible
+};
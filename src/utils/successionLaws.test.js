@@ -0,0 +1,205 @@
+/**
+ * Succession Laws Tests
+ *
+ * Tests for the historical succession laws:
+ * - Ultimogeniture and semi-Salic law
+ * - Matrilineal succession through sisters' sons
+ * - Tanistry's kin group and election
+ * - Partible inheritance and its shares
+ * - Bastard rules taken from a dignity's settings
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getBastardRule,
+  evaluateUltimogeniture,
+  evaluateSemiSalic,
+  evaluateMatrilineal,
+  evaluateTanistry,
+  evaluatePartible
+} from './successionLaws';
+
+// Wulf -> Osric, Cedric (-> Cuthred)
+// Osric + Gytha -> King Aldric (the holder), Bran (-> Alys), Ede (-> Tostig, Wynn -> Leof)
+// Gytha's mother Hild -> Gytha, Ulla (-> Orm)
+// Aldric -> Edmund (dead, -> Edric), Maud, Hugh
+const PEOPLE = [
+  { id: 1, firstName: 'Aldric', gender: 'male', dateOfBirth: '1100' },
+  { id: 2, firstName: 'Edmund', gender: 'male', dateOfBirth: '1120', dateOfDeath: '1150' },
+  { id: 3, firstName: 'Maud', gender: 'female', dateOfBirth: '1121' },
+  { id: 4, firstName: 'Hugh', gender: 'male', dateOfBirth: '1125' },
+  { id: 5, firstName: 'Edric', gender: 'male', dateOfBirth: '1145' },
+  { id: 6, firstName: 'Bran', gender: 'male', dateOfBirth: '1102' },
+  { id: 7, firstName: 'Alys', gender: 'female', dateOfBirth: '1130' },
+  { id: 10, firstName: 'Osric', gender: 'male', dateOfBirth: '1070', dateOfDeath: '1140' },
+  { id: 11, firstName: 'Cedric', gender: 'male', dateOfBirth: '1072' },
+  { id: 12, firstName: 'Wulf', gender: 'male', dateOfBirth: '1040', dateOfDeath: '1100' },
+  { id: 13, firstName: 'Gytha', gender: 'female', dateOfBirth: '1075', dateOfDeath: '1130' },
+  { id: 14, firstName: 'Ede', gender: 'female', dateOfBirth: '1104' },
+  { id: 15, firstName: 'Hild', gender: 'female', dateOfBirth: '1050', dateOfDeath: '1110' },
+  { id: 16, firstName: 'Ulla', gender: 'female', dateOfBirth: '1078' },
+  { id: 17, firstName: 'Orm', gender: 'male', dateOfBirth: '1105' },
+  { id: 18, firstName: 'Tostig', gender: 'male', dateOfBirth: '1128' },
+  { id: 19, firstName: 'Wynn', gender: 'female', dateOfBirth: '1130' },
+  { id: 20, firstName: 'Leof', gender: 'male', dateOfBirth: '1150' },
+  { id: 21, firstName: 'Cuthred', gender: 'male', dateOfBirth: '1100' }
+];
+
+const EDGES = [
+  [12, 10], [12, 11],
+  [11, 21],
+  [10, 1], [10, 6], [10, 14],
+  [13, 1], [13, 6], [13, 14],
+  [15, 13], [15, 16],
+  [16, 17],
+  [1, 2], [1, 3], [1, 4],
+  [2, 5],
+  [6, 7],
+  [14, 18], [14, 19],
+  [19, 20]
+];
+
+function buildContext({ people = PEOPLE, edges = EDGES, holderId = 1, ...rest } = {}) {
+  const parentMap = new Map();
+  const childrenMap = new Map();
+  for (const [parentId, childId] of edges) {
+    if (!parentMap.has(childId)) parentMap.set(childId, []);
+    if (!childrenMap.has(parentId)) childrenMap.set(parentId, []);
+    parentMap.get(childId).push(parentId);
+    childrenMap.get(parentId).push(childId);
+  }
+  return { holder: people.find(p => p.id === holderId), people, parentMap, childrenMap, ...rest };
+}
+
+const eligibleNames = (line) => line.filter(c => !c.excluded).map(c => c.person.firstName);
+const reasonFor = (line, name) => line.find(c => c.person.firstName === name)?.exclusionReason;
+
+describe('getBastardRule', () => {
+  it('should follow the dignity\'s bastard settings', () => {
+    expect(getBastardRule({})).toBe('equal');
+    expect(getBastardRule({ excludeBastards: true })).toBe('exclude');
+    expect(getBastardRule({ excludeBastards: true, legitimizedBastardsEligible: true })).toBe('legitimized-only');
+  });
+});
+
+describe('ultimogeniture', () => {
+  it('should put the youngest son first, daughters after sons', () => {
+    const line = evaluateUltimogeniture(buildContext());
+
+    expect(eligibleNames(line).slice(0, 4)).toEqual(['Hugh', 'Edric', 'Maud', 'Bran']);
+    expect(reasonFor(line, 'Edmund')).toBe('Deceased');
+  });
+});
+
+describe('semi-Salic', () => {
+  it('should exhaust every male line before any woman or her heirs', () => {
+    const line = evaluateSemiSalic(buildContext());
+
+    expect(eligibleNames(line)).toEqual([
+      'Edric', 'Hugh', 'Bran', 'Cedric', 'Cuthred',
+      'Maud', 'Alys', 'Ede', 'Tostig', 'Wynn', 'Leof', 'Ulla', 'Orm'
+    ]);
+  });
+
+  it('should let the nearest heiress take once the male lines fail', () => {
+    const people = PEOPLE.map(p => ([4, 5, 6, 11, 21].includes(p.id) ? { ...p, dateOfDeath: '1150' } : p));
+
+    expect(eligibleNames(evaluateSemiSalic(buildContext({ people })))[0]).toBe('Maud');
+  });
+});
+
+describe('matrilineal', () => {
+  it('should pass a man\'s dignity to his brothers, then his sisters\' sons', () => {
+    const line = evaluateMatrilineal(buildContext());
+
+    expect(eligibleNames(line)).toEqual(['Bran', 'Tostig', 'Leof', 'Orm']);
+    expect(reasonFor(line, 'Hugh')).toBe('Of their mother\'s line');
+    expect(reasonFor(line, 'Ede')).toBe('Women cannot inherit');
+    expect(line.find(c => c.person.id === 18)).toMatchObject({ branch: 'collateral', degree: 3 });
+  });
+
+  it('should pass a woman\'s dignity to her own sons first', () => {
+    const line = evaluateMatrilineal(buildContext({ holderId: 14 }));
+
+    expect(eligibleNames(line)).toEqual(['Tostig', 'Leof', 'Aldric', 'Bran', 'Orm']);
+    expect(line[0]).toMatchObject({ branch: 'direct', degree: 1 });
+  });
+
+  it('should take each generation of sisters\' sons before the next', () => {
+    // A second sister, Sibb -> Cnut, Eda (-> Ivo)
+    const people = [
+      ...PEOPLE,
+      { id: 22, firstName: 'Sibb', gender: 'female', dateOfBirth: '1106' },
+      { id: 23, firstName: 'Cnut', gender: 'male', dateOfBirth: '1129' },
+      { id: 24, firstName: 'Eda', gender: 'female', dateOfBirth: '1131' },
+      { id: 25, firstName: 'Ivo', gender: 'male', dateOfBirth: '1152' }
+    ];
+    const edges = [...EDGES, [10, 22], [13, 22], [22, 23], [22, 24], [24, 25]];
+    const line = evaluateMatrilineal(buildContext({ people, edges }));
+
+    expect(eligibleNames(line)).toEqual(['Bran', 'Tostig', 'Cnut', 'Leof', 'Ivo', 'Orm']);
+    expect(line.find(c => c.person.id === 25)).toMatchObject({ branch: 'collateral', degree: 4 });
+  });
+});
+
+describe('tanistry', () => {
+  const context = { asOf: '1160', ageOfMajority: 18 };
+
+  it('should list the grown men of the kin group by seniority', () => {
+    const line = evaluateTanistry(buildContext(context));
+
+    expect(eligibleNames(line)).toEqual(['Cedric', 'Cuthred', 'Bran', 'Hugh']);
+    expect(reasonFor(line, 'Edric')).toBe('Too young to stand for election');
+    expect(reasonFor(line, 'Edmund')).toBe('Deceased');
+    expect(line.map(c => c.person.firstName)).not.toContain('Tostig');
+  });
+
+  it('should put the elected tanist first', () => {
+    const line = evaluateTanistry(buildContext({ ...context, electedId: 4 }));
+
+    expect(eligibleNames(line)).toEqual(['Hugh', 'Cedric', 'Cuthred', 'Bran']);
+    expect(line[0].elected).toBe(true);
+    expect(line.filter(c => c.elected)).toHaveLength(1);
+  });
+
+  it('should refuse a tanist from outside the kin group', () => {
+    const line = evaluateTanistry(buildContext({ ...context, electedId: 18 }));
+
+    expect(eligibleNames(line)[0]).toBe('Cedric');
+    expect(reasonFor(line, 'Tostig')).toBe('Outside the eligible kin');
+  });
+});
+
+describe('partible', () => {
+  it('should divide equally among sons, a dead son\'s share going to his children', () => {
+    const line = evaluatePartible(buildContext());
+
+    expect(eligibleNames(line)).toEqual(['Edric', 'Hugh']);
+    expect(line.find(c => c.person.id === 5).share).toBeCloseTo(1 / 2);
+    expect(line.find(c => c.person.id === 4).share).toBeCloseTo(1 / 2);
+    expect(reasonFor(line, 'Maud')).toBe('Daughters inherit only when there are no sons');
+    expect(line.find(c => c.person.id === 2)).toMatchObject({ share: 0, exclusionReason: 'Deceased' });
+  });
+
+  it('should give daughters the holdings when there are no sons', () => {
+    const line = evaluatePartible(buildContext({ holderId: 14, edges: EDGES.filter(([, child]) => child !== 18) }));
+
+    expect(eligibleNames(line)).toEqual(['Wynn']);
+    expect(line[0].share).toBe(1);
+  });
+
+  it('should divide among the nearest collateral lines when there are no children', () => {
+    const line = evaluatePartible(buildContext({ holderId: 21 }));
+
+    expect(eligibleNames(line)).toEqual(['Aldric', 'Bran']);
+    expect(line.filter(c => !c.excluded).every(c => c.branch === 'collateral' && c.share === 1 / 2)).toBe(true);
+  });
+
+  it('should leave barred bastards out of the division', () => {
+    const people = [...PEOPLE, { id: 30, firstName: 'Jon', gender: 'male', dateOfBirth: '1110', legitimacyStatus: 'bastard' }];
+    const line = evaluatePartible(buildContext({ people, edges: [...EDGES, [1, 30]], bastards: 'exclude' }));
+
+    expect(eligibleNames(line)).toEqual(['Edric', 'Hugh']);
+    expect(line.find(c => c.person.id === 30)).toMatchObject({ share: 0, exclusionReason: 'Illegitimate birth' });
+  });
+});
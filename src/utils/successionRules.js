@@ -0,0 +1,417 @@
+/**
+ * Succession Rules
+ *
+ * The rule language behind custom succession (SUCCESSION_TYPES.custom in
+ * dignityService). A dignity's house law is a plain rule set stored at
+ * successionRules.custom; evaluateSuccessionRules walks the family out from
+ * the current holder and returns everyone with a claim, in order, marking
+ * those the law excludes and why.
+ *
+ * RULE SET STRUCTURE:
+ * {
+ *   method: 'representation',        // Key of SUCCESSION_METHODS
+ *   ordering: ['gender', 'eldest'],  // Keys of ORDERING_CRITERIA, most important first
+ *   gender: 'male-preference',       // Key of GENDER_RULES
+ *   bastards: 'legitimized-only',    // Key of BASTARD_RULES
+ *   excludeAdopted: false,
+ *   excludeClergy: false,            // People with inHolyOrders set
+ *   excludedSpecies: ['Elf'],        // Matched case-insensitively against person.species
+ *   houseRestriction: 'none',        // Key of HOUSE_RESTRICTIONS
+ *   excludedTransmit: true,          // Whether someone the law excludes still passes
+ *                                    // their claim to their children
+ *   collateralReach: 2               // Generations above the holder whose lines are
+ *                                    // searched: 0 = own descendants, 1 = siblings,
+ *                                    // 2 = uncles and aunts, ...
+ * }
+ *
+ * The dead never inherit but always pass their claim on - that is what
+ * representation means. Missing fields fall back to DEFAULT_SUCCESSION_RULES.
+ */
+
+import { compareDates, getLifeStatus, LIFE_STATUS } from './calendarUtils';
+
+// ==================== RULE OPTIONS ====================
+
+/**
+ * How the claimants are put in order
+ */
+export const SUCCESSION_METHODS = {
+  representation: {
+    id: 'representation',
+    name: 'Representation',
+    description: 'Each line is followed to its end before the next: a dead heir\'s children stand in their place, ahead of the heir\'s younger siblings.'
+  },
+  proximity: {
+    id: 'proximity',
+    name: 'Proximity of Blood',
+    description: 'The nearest kin inherits first, counting degrees of kinship; a younger son comes before the children of a dead elder son.'
+  }
+};
+
+/**
+ * Criteria for ordering siblings (representation) or kin of equal degree
+ * (proximity). Birth order breaks any remaining ties, eldest first.
+ */
+export const ORDERING_CRITERIA = {
+  gender: {
+    id: 'gender',
+    name: 'Preferred gender first',
+    description: 'Uses the gender preference below'
+  },
+  legitimacy: {
+    id: 'legitimacy',
+    name: 'Trueborn first',
+    description: 'Trueborn, then legitimized, then other bastards'
+  },
+  house: {
+    id: 'house',
+    name: 'Holder\'s house first',
+    description: 'Members of the holder\'s house before kin from other houses'
+  },
+  eldest: {
+    id: 'eldest',
+    name: 'Eldest first',
+    description: 'Primogeniture'
+  },
+  youngest: {
+    id: 'youngest',
+    name: 'Youngest first',
+    description: 'Ultimogeniture'
+  }
+};
+
+/**
+ * Who may inherit by gender
+ */
+export const GENDER_RULES = {
+  equal: { id: 'equal', name: 'Equal', preferred: null, excluded: null },
+  'male-preference': { id: 'male-preference', name: 'Male preference', preferred: 'male', excluded: null },
+  'female-preference': { id: 'female-preference', name: 'Female preference', preferred: 'female', excluded: null },
+  'male-only': { id: 'male-only', name: 'Men only', preferred: 'male', excluded: 'female' },
+  'female-only': { id: 'female-only', name: 'Women only', preferred: 'female', excluded: 'male' }
+};
+
+/**
+ * How bastards (legitimacyStatus 'bastard') are treated. Legitimized
+ * bastards have bastardStatus 'legitimized'.
+ */
+export const BASTARD_RULES = {
+  exclude: {
+    id: 'exclude',
+    name: 'Never inherit',
+    description: 'Bastards are excluded, even if legitimized'
+  },
+  'legitimized-only': {
+    id: 'legitimized-only',
+    name: 'Only if legitimized',
+    description: 'Legitimized bastards inherit after every trueborn claimant'
+  },
+  'after-trueborn': {
+    id: 'after-trueborn',
+    name: 'After trueborn heirs',
+    description: 'Any bastard may inherit, after every trueborn claimant'
+  },
+  equal: {
+    id: 'equal',
+    name: 'As trueborn',
+    description: 'Birth makes no difference'
+  }
+};
+
+/**
+ * Which houses claimants may belong to
+ */
+export const HOUSE_RESTRICTIONS = {
+  none: { id: 'none', name: 'Any house' },
+  'holder-house': { id: 'holder-house', name: 'The holder\'s house only' }
+};
+
+/** Furthest the collateral search may reach */
+export const MAX_COLLATERAL_REACH = 6;
+
+/**
+ * A sensible starting point: male-preference primogeniture with
+ * legitimized bastards after trueborn heirs
+ */
+export const DEFAULT_SUCCESSION_RULES = {
+  method: 'representation',
+  ordering: ['gender', 'eldest'],
+  gender: 'male-preference',
+  bastards: 'legitimized-only',
+  excludeAdopted: false,
+  excludeClergy: false,
+  excludedSpecies: [],
+  houseRestriction: 'none',
+  excludedTransmit: true,
+  collateralReach: 2
+};
+
+// ==================== NORMALIZE & VALIDATE ====================
+
+/**
+ * Fill a stored rule set out with defaults
+ *
+ * @param {Object} [rules] - Stored rule set
+ * @returns {Object} Complete rule set
+ */
+export function normalizeSuccessionRules(rules) {
+  const merged = { ...DEFAULT_SUCCESSION_RULES, ...(rules || {}) };
+  return {
+    ...merged,
+    ordering: Array.isArray(merged.ordering) ? merged.ordering : DEFAULT_SUCCESSION_RULES.ordering,
+    excludedSpecies: (merged.excludedSpecies || []).map(s => s.trim()).filter(Boolean)
+  };
+}
+
+/**
+ * Check a rule set before saving
+ *
+ * @param {Object} rules - Rule set
+ * @returns {{isValid: boolean, errors: Array<string>, warnings: Array<string>}}
+ */
+export function validateSuccessionRules(rules) {
+  const r = normalizeSuccessionRules(rules);
+  const errors = [];
+  const warnings = [];
+
+  if (!SUCCESSION_METHODS[r.method]) errors.push(`Unknown succession method "${r.method}"`);
+  if (!GENDER_RULES[r.gender]) errors.push(`Unknown gender rule "${r.gender}"`);
+  if (!BASTARD_RULES[r.bastards]) errors.push(`Unknown rule for bastards "${r.bastards}"`);
+  if (!HOUSE_RESTRICTIONS[r.houseRestriction]) errors.push(`Unknown house restriction "${r.houseRestriction}"`);
+
+  const unknown = r.ordering.filter(c => !ORDERING_CRITERIA[c]);
+  if (unknown.length > 0) errors.push(`Unknown ordering criteria: ${unknown.join(', ')}`);
+  if (new Set(r.ordering).size !== r.ordering.length) errors.push('Each ordering criterion can only be used once');
+  if (r.ordering.includes('eldest') && r.ordering.includes('youngest')) {
+    errors.push('Order by eldest or by youngest, not both');
+  }
+
+  if (!Number.isInteger(r.collateralReach) || r.collateralReach < 0 || r.collateralReach > MAX_COLLATERAL_REACH) {
+    errors.push(`Collateral reach must be a whole number from 0 to ${MAX_COLLATERAL_REACH}`);
+  }
+
+  if (GENDER_RULES[r.gender]?.preferred && !GENDER_RULES[r.gender].excluded && !r.ordering.includes('gender')) {
+    warnings.push('The gender preference has no effect unless "Preferred gender first" is in the ordering');
+  }
+  if (r.houseRestriction === 'holder-house' && r.ordering.includes('house')) {
+    warnings.push('"Holder\'s house first" does nothing when only the holder\'s house may inherit');
+  }
+
+  return { isValid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Summarize a rule set in a few short phrases, for display
+ *
+ * @param {Object} rules - Rule set
+ * @returns {Array<string>}
+ */
+export function describeSuccessionRules(rules) {
+  const r = normalizeSuccessionRules(rules);
+  const parts = [
+    SUCCESSION_METHODS[r.method]?.name,
+    GENDER_RULES[r.gender]?.name,
+    r.ordering.map(c => ORDERING_CRITERIA[c]?.name).filter(Boolean).join(', then '),
+    `Bastards: ${(BASTARD_RULES[r.bastards]?.name || '').toLowerCase()}`
+  ];
+  if (r.excludeAdopted) parts.push('No adopted children');
+  if (r.excludeClergy) parts.push('No clergy');
+  if (r.excludedSpecies.length > 0) parts.push(`Excludes ${r.excludedSpecies.join(', ')}`);
+  if (r.houseRestriction !== 'none') parts.push(HOUSE_RESTRICTIONS[r.houseRestriction]?.name);
+  if (!r.excludedTransmit) parts.push('No claims through excluded kin');
+  return parts.filter(Boolean);
+}
+
+// ==================== EVALUATION ====================
+
+const isBastard = (person) => person.legitimacyStatus === 'bastard';
+const isLegitimized = (person) => isBastard(person) && person.bastardStatus === 'legitimized';
+
+/**
+ * Why the law bars someone, ignoring whether they are alive
+ *
+ * @returns {string|null}
+ */
+function getRuleExclusion(person, rules, holder) {
+  const gender = GENDER_RULES[rules.gender];
+  if (gender?.excluded && person.gender === gender.excluded) {
+    return gender.excluded === 'female' ? 'Women cannot inherit' : 'Men cannot inherit';
+  }
+  if (isBastard(person)) {
+    if (rules.bastards === 'exclude') return 'Illegitimate birth';
+    if (rules.bastards === 'legitimized-only' && !isLegitimized(person)) return 'Illegitimate birth (not legitimized)';
+  }
+  if (rules.excludeAdopted && person.legitimacyStatus === 'adopted') return 'Adopted';
+  if (rules.excludeClergy && person.inHolyOrders) return 'In holy orders';
+  const species = person.species?.trim().toLowerCase();
+  if (species && rules.excludedSpecies.some(s => s.toLowerCase() === species)) {
+    return `${person.species.trim()} cannot inherit`;
+  }
+  if (rules.houseRestriction === 'holder-house' && person.houseId !== holder.houseId) {
+    return 'Not of the holder\'s house';
+  }
+  return null;
+}
+
+/**
+ * Bastards who may inherit only after every trueborn claimant
+ */
+function isDeferred(person, rules) {
+  return isBastard(person) && (rules.bastards === 'after-trueborn' || rules.bastards === 'legitimized-only');
+}
+
+/**
+ * Comparator for the rule set's ordering criteria, then eldest first
+ */
+function buildComparator(rules, holder, calendar) {
+  const preferred = GENDER_RULES[rules.gender]?.preferred;
+  const byBirth = (a, b) => compareDates(a.dateOfBirth, b.dateOfBirth, calendar);
+  const criteria = {
+    gender: (a, b) => preferred
+      ? (a.gender === preferred ? 0 : 1) - (b.gender === preferred ? 0 : 1)
+      : 0,
+    legitimacy: (a, b) => {
+      const rank = p => (!isBastard(p) ? 0 : isLegitimized(p) ? 1 : 2);
+      return rank(a) - rank(b);
+    },
+    house: (a, b) => (a.houseId === holder.houseId ? 0 : 1) - (b.houseId === holder.houseId ? 0 : 1),
+    eldest: byBirth,
+    // Undated births stay last either way
+    youngest: (a, b) => (!a.dateOfBirth || !b.dateOfBirth) ? byBirth(a, b) : byBirth(b, a)
+  };
+
+  return (a, b) => {
+    for (const key of rules.ordering) {
+      const result = criteria[key]?.(a, b) || 0;
+      if (result !== 0) return result;
+    }
+    return byBirth(a, b) || a.id - b.id;
+  };
+}
+
+/**
+ * Work out the line of succession under a rule set
+ *
+ * @param {Object} rules - Rule set (see above)
+ * @param {Object} context
+ * @param {Object} context.holder - Current holder
+ * @param {Array} context.people - All people
+ * @param {Map} context.parentMap - childId -> [parentIds]
+ * @param {Map} context.childrenMap - parentId -> [childIds]
+ * @param {number} [context.maxDepth=10] - Generations to follow down each line
+ * @param {string} [context.asOf] - Story present (who is alive is judged then)
+ * @param {Object} [context.calendar] - Dataset calendar
+ * @returns {Array<{person: Object, branch: string, degree: number, excluded: boolean, exclusionReason: string|null}>}
+ *   In order, excluded claimants last. branch is 'direct' for the holder's
+ *   descendants and 'collateral' otherwise; degree counts generations to
+ *   the nearest common ancestor and back down (child 1, sibling 2, nephew 3).
+ */
+export function evaluateSuccessionRules(rules, {
+  holder,
+  people,
+  parentMap,
+  childrenMap,
+  maxDepth = 10,
+  asOf = null,
+  calendar = null
+}) {
+  if (!holder) return [];
+
+  const r = normalizeSuccessionRules(rules);
+  const peopleById = new Map(people.map(p => [p.id, p]));
+  const compare = buildComparator(r, holder, calendar);
+  const visited = new Set([holder.id]);
+  const claimants = [];
+
+  const sortedChildren = (personId) => (childrenMap.get(personId) || [])
+    .map(id => peopleById.get(id))
+    .filter(Boolean)
+    .sort(compare);
+
+  // Whether a claim can pass through this person to their kin
+  const transmits = (person) => r.excludedTransmit || !getRuleExclusion(person, r, holder);
+
+  const visit = (person, depth, degree, branch, blockedBy) => {
+    if (depth > maxDepth || visited.has(person.id)) return;
+    visited.add(person.id);
+
+    const lifeStatus = getLifeStatus(person, asOf, calendar);
+    const ruleExclusion = getRuleExclusion(person, r, holder);
+    let exclusionReason = null;
+    if (lifeStatus === LIFE_STATUS.DECEASED) exclusionReason = 'Deceased';
+    else if (lifeStatus === LIFE_STATUS.UNBORN) exclusionReason = 'Not yet born';
+    else if (ruleExclusion) exclusionReason = ruleExclusion;
+    else if (blockedBy) exclusionReason = `Claim passes through ${blockedBy}`;
+
+    claimants.push({
+      person,
+      branch,
+      degree,
+      excluded: exclusionReason !== null,
+      exclusionReason,
+      deferred: isDeferred(person, r),
+      order: claimants.length
+    });
+
+    const blocks = !blockedBy && !transmits(person) ? `${person.firstName} ${person.lastName || ''}`.trim() : null;
+    for (const child of sortedChildren(person.id)) {
+      visit(child, depth + 1, degree + 1, branch, blockedBy || blocks);
+    }
+  };
+
+  // The holder's own descendants
+  for (const child of sortedChildren(holder.id)) {
+    visit(child, 1, 1, 'direct', null);
+  }
+
+  // Then the lines of each generation of ancestors in turn
+  let generation = [{ id: holder.id, blockedBy: null }];
+  for (let level = 1; level <= r.collateralReach; level++) {
+    const next = [];
+    const seen = new Set();
+    for (const { id, blockedBy } of generation) {
+      for (const parentId of parentMap.get(id) || []) {
+        const parent = peopleById.get(parentId);
+        if (!parent || seen.has(parentId)) continue;
+        seen.add(parentId);
+        // Ancestors are the roots of lines, not claimants themselves
+        visited.add(parentId);
+        const blocks = !transmits(parent) ? `${parent.firstName} ${parent.lastName || ''}`.trim() : null;
+        next.push({ id: parentId, blockedBy: blockedBy || blocks });
+      }
+    }
+    for (const ancestor of next) {
+      for (const child of sortedChildren(ancestor.id)) {
+        visit(child, 1, level + 1, 'collateral', ancestor.blockedBy);
+      }
+    }
+    generation = next;
+  }
+
+  claimants.sort((a, b) => {
+    if (a.excluded !== b.excluded) return a.excluded ? 1 : -1;
+    if (a.deferred !== b.deferred) return a.deferred ? 1 : -1;
+    if (r.method === 'proximity') {
+      return (a.degree - b.degree) || compare(a.person, b.person);
+    }
+    return a.order - b.order;
+  });
+
+  return claimants.map(({ person, branch, degree, excluded, exclusionReason }) => ({
+    person, branch, degree, excluded, exclusionReason
+  }));
+}
+
+export default {
+  SUCCESSION_METHODS,
+  ORDERING_CRITERIA,
+  GENDER_RULES,
+  BASTARD_RULES,
+  HOUSE_RESTRICTIONS,
+  MAX_COLLATERAL_REACH,
+  DEFAULT_SUCCESSION_RULES,
+  normalizeSuccessionRules,
+  validateSuccessionRules,
+  describeSuccessionRules,
+  evaluateSuccessionRules
+};
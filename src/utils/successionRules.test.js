@@ -0,0 +1,215 @@
+/**
+ * Succession Rules Tests
+ *
+ * Tests for the custom succession rule engine:
+ * - Representation versus proximity of blood
+ * - Gender and birth-order criteria
+ * - Bastards, adopted children, clergy, species and house exclusions
+ * - Whether excluded people pass their claim on
+ * - How far the collateral search reaches
+ * - Validation and summaries
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_SUCCESSION_RULES,
+  normalizeSuccessionRules,
+  validateSuccessionRules,
+  describeSuccessionRules,
+  evaluateSuccessionRules
+} from './successionRules';
+
+// Wulf -> Osric and Cedric; Osric -> King Aldric (the holder) and Bran.
+// Aldric's eldest son Edmund is dead, leaving a son, Edric.
+const PEOPLE = [
+  { id: 1, firstName: 'Aldric', gender: 'male', dateOfBirth: '1100', houseId: 1 },
+  { id: 2, firstName: 'Edmund', gender: 'male', dateOfBirth: '1120', dateOfDeath: '1150', houseId: 1 },
+  { id: 3, firstName: 'Maud', gender: 'female', dateOfBirth: '1121', houseId: 1 },
+  { id: 4, firstName: 'Hugh', gender: 'male', dateOfBirth: '1125', houseId: 1 },
+  { id: 5, firstName: 'Edric', gender: 'male', dateOfBirth: '1145', houseId: 1 },
+  { id: 6, firstName: 'Bran', gender: 'male', dateOfBirth: '1102', houseId: 1 },
+  { id: 7, firstName: 'Alys', gender: 'female', dateOfBirth: '1130', houseId: 2 },
+  { id: 10, firstName: 'Osric', gender: 'male', dateOfBirth: '1070', dateOfDeath: '1140', houseId: 1 },
+  { id: 11, firstName: 'Cedric', gender: 'male', dateOfBirth: '1072', houseId: 1 },
+  { id: 12, firstName: 'Wulf', gender: 'male', dateOfBirth: '1040', dateOfDeath: '1100', houseId: 1 }
+];
+
+const EDGES = [
+  [10, 1], [10, 6],
+  [1, 2], [1, 3], [1, 4],
+  [2, 5],
+  [6, 7],
+  [12, 10], [12, 11]
+];
+
+function buildMaps(edges) {
+  const parentMap = new Map();
+  const childrenMap = new Map();
+  for (const [parentId, childId] of edges) {
+    if (!parentMap.has(childId)) parentMap.set(childId, []);
+    if (!childrenMap.has(parentId)) childrenMap.set(parentId, []);
+    parentMap.get(childId).push(parentId);
+    childrenMap.get(parentId).push(childId);
+  }
+  return { parentMap, childrenMap };
+}
+
+function run(rules, { people = PEOPLE, edges = EDGES, holderId = 1 } = {}) {
+  const { parentMap, childrenMap } = buildMaps(edges);
+  return evaluateSuccessionRules(rules, {
+    holder: people.find(p => p.id === holderId),
+    people,
+    parentMap,
+    childrenMap
+  });
+}
+
+const eligibleNames = (line) => line.filter(c => !c.excluded).map(c => c.person.firstName);
+const reasonFor = (line, name) => line.find(c => c.person.firstName === name)?.exclusionReason;
+
+describe('ordering', () => {
+  it('should let a dead heir\'s son stand ahead of the heir\'s siblings under representation', () => {
+    const line = run(DEFAULT_SUCCESSION_RULES);
+
+    expect(eligibleNames(line)).toEqual(['Edric', 'Hugh', 'Maud', 'Bran', 'Alys', 'Cedric']);
+    expect(reasonFor(line, 'Edmund')).toBe('Deceased');
+    expect(line.at(-1).person.firstName).toBe('Edmund');
+  });
+
+  it('should put nearer kin first under proximity of blood', () => {
+    const line = run({ ...DEFAULT_SUCCESSION_RULES, method: 'proximity' });
+
+    // A niece and an uncle are both three degrees away; the uncle is male
+    expect(eligibleNames(line)).toEqual(['Hugh', 'Maud', 'Bran', 'Edric', 'Cedric', 'Alys']);
+    expect(line.find(c => c.person.id === 5)).toMatchObject({ branch: 'direct', degree: 2 });
+    expect(line.find(c => c.person.id === 6)).toMatchObject({ branch: 'collateral', degree: 2 });
+  });
+
+  it('should follow the ordering criteria in priority order', () => {
+    const equal = run({ ...DEFAULT_SUCCESSION_RULES, gender: 'equal', collateralReach: 0 });
+    const youngest = run({ ...DEFAULT_SUCCESSION_RULES, ordering: ['youngest'], collateralReach: 0 });
+
+    expect(eligibleNames(equal)).toEqual(['Edric', 'Maud', 'Hugh']);
+    expect(eligibleNames(youngest)).toEqual(['Hugh', 'Maud', 'Edric']);
+  });
+
+  it('should bar a gender entirely when the law allows only one', () => {
+    const line = run({ ...DEFAULT_SUCCESSION_RULES, gender: 'female-only', collateralReach: 1 });
+
+    expect(eligibleNames(line)).toEqual(['Maud', 'Alys']);
+    expect(reasonFor(line, 'Hugh')).toBe('Men cannot inherit');
+  });
+});
+
+describe('exclusions', () => {
+  const withBastard = (bastard) => ({
+    people: [...PEOPLE, { id: 8, firstName: 'Jon', gender: 'male', dateOfBirth: '1110', legitimacyStatus: 'bastard', ...bastard }],
+    edges: [...EDGES, [1, 8]]
+  });
+
+  it('should place bastards according to the bastard rule', () => {
+    const rules = { ...DEFAULT_SUCCESSION_RULES, collateralReach: 0 };
+
+    expect(reasonFor(run(rules, withBastard()), 'Jon')).toBe('Illegitimate birth (not legitimized)');
+    expect(eligibleNames(run(rules, withBastard({ bastardStatus: 'legitimized' }))))
+      .toEqual(['Edric', 'Hugh', 'Maud', 'Jon']);
+    expect(reasonFor(run({ ...rules, bastards: 'exclude' }, withBastard({ bastardStatus: 'legitimized' })), 'Jon'))
+      .toBe('Illegitimate birth');
+    expect(eligibleNames(run({ ...rules, bastards: 'after-trueborn' }, withBastard())))
+      .toEqual(['Edric', 'Hugh', 'Maud', 'Jon']);
+    expect(eligibleNames(run({ ...rules, bastards: 'equal' }, withBastard())))
+      .toEqual(['Jon', 'Edric', 'Hugh', 'Maud']);
+  });
+
+  it('should bar adopted children, clergy, listed species and other houses when asked', () => {
+    const people = PEOPLE.map(p => {
+      if (p.id === 4) return { ...p, inHolyOrders: true };
+      if (p.id === 3) return { ...p, legitimacyStatus: 'adopted' };
+      if (p.id === 6) return { ...p, species: 'Elf ' };
+      return p;
+    });
+    const line = run({
+      ...DEFAULT_SUCCESSION_RULES,
+      excludeAdopted: true,
+      excludeClergy: true,
+      excludedSpecies: ['elf'],
+      houseRestriction: 'holder-house'
+    }, { people });
+
+    expect(eligibleNames(line)).toEqual(['Edric', 'Cedric']);
+    expect(reasonFor(line, 'Hugh')).toBe('In holy orders');
+    expect(reasonFor(line, 'Maud')).toBe('Adopted');
+    expect(reasonFor(line, 'Bran')).toBe('Elf cannot inherit');
+    expect(reasonFor(line, 'Alys')).toBe('Not of the holder\'s house');
+  });
+
+  it('should stop claims passing through excluded people unless they transmit', () => {
+    const people = PEOPLE.map(p => (p.id === 6 ? { ...p, inHolyOrders: true } : p));
+    const rules = { ...DEFAULT_SUCCESSION_RULES, excludeClergy: true, collateralReach: 1 };
+
+    expect(eligibleNames(run(rules, { people }))).toContain('Alys');
+    expect(reasonFor(run({ ...rules, excludedTransmit: false }, { people }), 'Alys'))
+      .toBe('Claim passes through Bran');
+  });
+
+  it('should only search as far up as the collateral reach allows', () => {
+    expect(eligibleNames(run({ ...DEFAULT_SUCCESSION_RULES, collateralReach: 0 }))).toEqual(['Edric', 'Hugh', 'Maud']);
+    expect(eligibleNames(run({ ...DEFAULT_SUCCESSION_RULES, collateralReach: 1 }))).not.toContain('Cedric');
+    expect(run(DEFAULT_SUCCESSION_RULES).map(c => c.person.id)).not.toContain(10);
+  });
+
+  it('should return nothing without a holder', () => {
+    expect(evaluateSuccessionRules(DEFAULT_SUCCESSION_RULES, {
+      holder: null,
+      people: PEOPLE,
+      parentMap: new Map(),
+      childrenMap: new Map()
+    })).toEqual([]);
+  });
+});
+
+describe('validation and summary', () => {
+  it('should fill in missing fields from the defaults', () => {
+    expect(normalizeSuccessionRules({ gender: 'equal', excludedSpecies: [' Elf ', ''] })).toMatchObject({
+      method: 'representation',
+      gender: 'equal',
+      excludedSpecies: ['Elf']
+    });
+  });
+
+  it('should reject unknown options and contradictory ordering', () => {
+    const result = validateSuccessionRules({
+      method: 'seniority',
+      ordering: ['eldest', 'youngest', 'eldest'],
+      collateralReach: 9
+    });
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([
+      'Unknown succession method "seniority"',
+      'Each ordering criterion can only be used once',
+      'Order by eldest or by youngest, not both',
+      'Collateral reach must be a whole number from 0 to 6'
+    ]);
+    expect(validateSuccessionRules(DEFAULT_SUCCESSION_RULES)).toEqual({ isValid: true, errors: [], warnings: [] });
+  });
+
+  it('should warn about settings that have no effect', () => {
+    const result = validateSuccessionRules({ ordering: ['house', 'eldest'], houseRestriction: 'holder-house' });
+
+    expect(result.isValid).toBe(true);
+    expect(result.warnings).toHaveLength(2);
+  });
+
+  it('should summarize a rule set in short phrases', () => {
+    expect(describeSuccessionRules({ ...DEFAULT_SUCCESSION_RULES, excludeClergy: true, excludedTransmit: false }))
+      .toEqual([
+        'Representation',
+        'Male preference',
+        'Preferred gender first, then Eldest first',
+        'Bastards: only if legitimized',
+        'No clergy',
+        'No claims through excluded kin'
+      ]);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Tenure Timeline
+ *
+ * Lays out dignities' tenure histories for the Gantt-style timeline: one
+ * row per dignity with a bar per holder, the interregnum or regency from
+ * dignity.interregnum, disputes over the years they were pressed, and the
+ * gaps and overlaps found by findTenureGaps in dignityAnalysisService.
+ *
+ * Everything is placed by stored year (as getYear returns it), like the
+ * time slider. A tenure with no end runs until the next one begins, or to
+ * the present if it is the last; a tenure with no start can't be placed
+ * and is only counted.
+ */
+
+import {
+  getYear,
+  parseCanonicalDate,
+  toCanonicalDate,
+  compareDates,
+  parseDateValue,
+  toDateString,
+  DATE_QUALIFIERS
+} from './calendarUtils';
+import { findTenureGaps } from '../services/dignityAnalysisService';
+
+/**
+ * Build the timeline rows and the span of years they cover
+ *
+ * @param {Array} dignities - Dignities to show, in display order
+ * @param {Array} tenures - dignityTenures records (any dignity)
+ * @param {Object} [options]
+ * @param {number|null} [options.presentYear] - Where open tenures end
+ * @param {Object} [options.calendar] - Dataset calendar
+ * @returns {{startYear: number, endYear: number, rows: Array<{
+ *   dignity: Object,
+ *   bars: Array<{tenure, start, end, open}>,
+ *   periods: Array<{kind: 'interregnum'|'regency', start, end, interregnum}>,
+ *   disputes: Array<{dispute, start, end}>,
+ *   findings: Array<{type: 'gap'|'overlap', start, end, before, after}>,
+ *   undated: number
+ * }>}|null} null when nothing can be placed
+ */
+export function buildTenureTimeline(dignities, tenures, { presentYear = null, calendar = null } = {}) {
+  const tenuresByDignity = new Map();
+  tenures.forEach(t => {
+    if (!tenuresByDignity.has(t.dignityId)) tenuresByDignity.set(t.dignityId, []);
+    tenuresByDignity.get(t.dignityId).push(t);
+  });
+
+  const years = [];
+  const rows = dignities.map(dignity => {
+    const own = tenuresByDignity.get(dignity.id) || [];
+    const dated = own
+      .filter(t => getYear(t.dateStarted, calendar) !== null)
+      .sort((a, b) => compareDates(a.dateStarted, b.dateStarted, calendar));
+    const nextStartAfter = (year) => dated.map(t => getYear(t.dateStarted, calendar)).find(start => start > year) ?? null;
+
+    const bars = dated.map((tenure, index) => {
+      const start = getYear(tenure.dateStarted, calendar);
+      const next = dated[index + 1] ? getYear(dated[index + 1].dateStarted, calendar) : null;
+      const end = getYear(tenure.dateEnded, calendar) ?? next ?? presentYear ?? start;
+      return { tenure, start, end: Math.max(start, end), open: !tenure.dateEnded };
+    });
+
+    const periods = [];
+    const interregnumStart = getYear(dignity.interregnum?.startDate, calendar);
+    if (interregnumStart !== null) {
+      const { interregnum } = dignity;
+      periods.push({
+        kind: interregnum.regentId || interregnum.reason === 'minority' ? 'regency' : 'interregnum',
+        start: interregnumStart,
+        end: Math.max(interregnumStart, nextStartAfter(interregnumStart) ?? presentYear ?? interregnumStart),
+        interregnum
+      });
+    }
+
+    const disputes = (dignity.disputes || [])
+      .filter(d => getYear(d.startDate, calendar) !== null)
+      .map(dispute => {
+        const start = getYear(dispute.startDate, calendar);
+        const end = getYear(dispute.resolvedDate, calendar) ?? (dispute.resolution === 'ongoing' ? presentYear : null) ?? start;
+        return { dispute, start, end: Math.max(start, end) };
+      });
+
+    const findings = findTenureGaps(own, { calendar }).map(f => ({
+      ...f,
+      start: getYear(f.start, calendar),
+      end: getYear(f.end, calendar)
+    }));
+
+    [...bars, ...periods, ...disputes].forEach(item => years.push(item.start, item.end));
+    return { dignity, bars, periods, disputes, findings, undated: own.length - dated.length };
+  });
+
+  if (years.length === 0) return null;
+  const startYear = Math.min(...years);
+  const endYear = Math.max(...years, startYear + 1);
+  return { startYear, endYear, rows };
+}
+
+/**
+ * The tenure's dates after dragging one end of its bar to a year
+ *
+ * The date moves by as many years as the bar end did, keeping month, day
+ * and any uncertainty: "~0412" dragged a year later is "~0413", and a range
+ * moves as a whole ("0410/0415" becomes "0411/0416"). Named periods and
+ * unreadable dates can't be moved, and an open tenure's end can't be dragged - ending a tenure is
+ * done through the editor.
+ *
+ * @param {Object} tenure - Tenure record
+ * @param {'start'|'end'} edge - Which end was dragged
+ * @param {number} year - Stored year it was dropped on
+ * @param {Object} [calendar] - Dataset calendar
+ * @returns {{dateStarted: string, dateEnded: string|null}|null} The new
+ *   dates, or null if they would be unchanged, can't be moved or end
+ *   before they start
+ */
+export function getDraggedDates(tenure, edge, year, calendar = null) {
+  const field = edge === 'start' ? 'dateStarted' : 'dateEnded';
+  const value = parseDateValue(tenure[field]);
+  const delta = year - getYear(tenure[field], calendar);
+  if (!value || value.qualifier === DATE_QUALIFIERS.PERIOD || !delta) return null;
+
+  const shift = (date) => {
+    const parts = parseCanonicalDate(date);
+    return parts && toCanonicalDate({ ...parts, year: parts.year + delta });
+  };
+  const moved = toDateString({ ...value, start: shift(value.start), end: shift(value.end) });
+  const dates = { dateStarted: tenure.dateStarted, dateEnded: tenure.dateEnded || null, [field]: moved };
+
+  if (dates.dateEnded && compareDates(dates.dateStarted, dates.dateEnded, calendar) > 0) return null;
+  return dates;
+}
@@ -0,0 +1,107 @@
+/**
+ * Tenure Timeline Tests
+ *
+ * Tests for laying out tenure histories as a Gantt timeline:
+ * - Bars for each holder, open tenures running on
+ * - Interregnum and regency periods, and disputes over time
+ * - Gaps and overlaps between holders
+ * - New dates when a bar's end is dragged
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildTenureTimeline, getDraggedDates } from './tenureTimeline';
+
+const tenure = (id, dignityId, personId, dateStarted, dateEnded = null) => ({ id, dignityId, personId, dateStarted, dateEnded });
+
+const DIGNITIES = [
+  {
+    id: 1,
+    name: 'Drihten of the Reach',
+    interregnum: { startDate: '1260', regentId: 20, reason: 'minority' },
+    disputes: [
+      { claimantId: 30, startDate: '1245', resolvedDate: '1250', resolution: 'withdrawn' },
+      { claimantId: 31, startDate: '1262', resolution: 'ongoing' },
+      { claimantId: 32, resolution: 'ongoing' }
+    ]
+  },
+  { id: 2, name: 'Drith of Highcairn', interregnum: { startDate: '1230', reason: 'vacancy' } }
+];
+
+const TENURES = [
+  tenure(1, 1, 10, '1200', '1240'),
+  tenure(2, 1, 11, '1235'),
+  tenure(3, 1, 12, '1265'),
+  tenure(4, 2, 13, '1210', '1230'),
+  tenure(5, 2, 14, null, '1250')
+];
+
+describe('buildTenureTimeline', () => {
+  const timeline = buildTenureTimeline(DIGNITIES, TENURES, { presentYear: 1280 });
+  const [reach, highcairn] = timeline.rows;
+
+  it('should span every bar and period up to the present', () => {
+    expect(timeline).toMatchObject({ startYear: 1200, endYear: 1280 });
+  });
+
+  it('should run an open tenure until the next begins, the last to the present', () => {
+    expect(reach.bars.map(b => [b.tenure.id, b.start, b.end, b.open])).toEqual([
+      [1, 1200, 1240, false],
+      [2, 1235, 1265, true],
+      [3, 1265, 1280, true]
+    ]);
+  });
+
+  it('should show a regency until the next holder takes over, and a vacancy to the present', () => {
+    expect(reach.periods).toEqual([
+      expect.objectContaining({ kind: 'regency', start: 1260, end: 1265 })
+    ]);
+    expect(highcairn.periods).toEqual([
+      expect.objectContaining({ kind: 'interregnum', start: 1230, end: 1280 })
+    ]);
+  });
+
+  it('should place dated disputes, ongoing ones to the present', () => {
+    expect(reach.disputes.map(d => [d.dispute.claimantId, d.start, d.end])).toEqual([
+      [30, 1245, 1250],
+      [31, 1262, 1280]
+    ]);
+  });
+
+  it('should mark overlaps and count tenures with no start', () => {
+    expect(reach.findings.map(f => [f.type, f.start, f.end])).toEqual([['overlap', 1235, 1240]]);
+    expect(highcairn.undated).toBe(1);
+  });
+
+  it('should have nothing to show without dates', () => {
+    expect(buildTenureTimeline([{ id: 3, name: 'Empty' }], [])).toBeNull();
+  });
+});
+
+describe('getDraggedDates', () => {
+  it('should move one end to the year, keeping month and day', () => {
+    expect(getDraggedDates(tenure(1, 1, 10, '1200-03-15', '1240'), 'start', 1205))
+      .toEqual({ dateStarted: '1205-03-15', dateEnded: '1240' });
+    expect(getDraggedDates(tenure(1, 1, 10, '1200', '1240'), 'end', 1238))
+      .toEqual({ dateStarted: '1200', dateEnded: '1238' });
+  });
+
+  it('should keep an uncertain date uncertain', () => {
+    expect(getDraggedDates(tenure(1, 1, 10, '~0412', '0440'), 'start', 415))
+      .toEqual({ dateStarted: '~0415', dateEnded: '0440' });
+    expect(getDraggedDates(tenure(1, 1, 10, '0400', '>0430-06'), 'end', 432))
+      .toEqual({ dateStarted: '0400', dateEnded: '>0432-06' });
+    expect(getDraggedDates(tenure(1, 1, 10, '0410/0415', '0440'), 'start', 413))
+      .toEqual({ dateStarted: '0411/0416', dateEnded: '0440' });
+  });
+
+  it('should not move a named period', () => {
+    const calendar = { periods: [{ name: 'Long Winter', startYear: 410, endYear: 415 }] };
+    expect(getDraggedDates(tenure(1, 1, 10, '@Long Winter', '0440'), 'start', 420, calendar)).toBeNull();
+  });
+
+  it('should refuse no-op moves, ending before starting and open ends', () => {
+    expect(getDraggedDates(tenure(1, 1, 10, '1200', '1240'), 'start', 1200)).toBeNull();
+    expect(getDraggedDates(tenure(1, 1, 10, '1200', '1240'), 'start', 1250)).toBeNull();
+    expect(getDraggedDates(tenure(1, 1, 10, '1200'), 'end', 1250)).toBeNull();
+  });
+});
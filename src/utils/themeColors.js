@@ -182,6 +182,34 @@ export function getAllThemeColors() {
   };
 }
 
+/**
+ * Replace CSS variable references with their current theme values
+ * Exported SVG is viewed without the app's stylesheet, so var() has nothing to resolve against
+ *
+ * @param {string} value - Attribute or style value, e.g. 'var(--accent-primary, #d4a574)'
+ * @returns {string} Value with every var() replaced by the theme value (or its fallback)
+ *
+ * @example
+ * const fill = resolveThemeVariables('var(--bg-primary, #1a1a2e)'); // '#2d2418'
+ */
+export function resolveThemeVariables(value) {
+  if (typeof value !== 'string' || !value.includes('var(')) return value;
+
+  // Repeat until clean, so fallbacks that are themselves var() resolve too
+  const varReference = /var\(\s*(--[\w-]+)\s*(?:,\s*([^()]*(?:\([^()]*\)[^()]*)*))?\)/;
+  let resolved = value;
+  let match = resolved.match(varReference);
+
+  while (match) {
+    const [reference, varName, fallback = ''] = match;
+    const replacement = getThemeColor(varName) || fallback.trim();
+    resolved = resolved.replace(reference, replacement);
+    match = resolved.match(varReference);
+  }
+
+  return resolved;
+}
+
 /**
  * Apply house color as background tint to person card
  * Returns inline style object ready to use in React
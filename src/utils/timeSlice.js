@@ -0,0 +1,232 @@
+/**
+ * Time Slice
+ *
+ * Answers "what did the world look like in year X?" for the time slider:
+ * who was alive, which marriages were in force, who held each dignity and
+ * which household roles were filled.
+ *
+ * Years are stored years (as getYear returns them), not era-adjusted
+ * display years. Everything here works to the year: someone who died in
+ * 1245 still counts as alive in 1245. Unknown dates don't hide anything -
+ * a person with no birth date is alive until their death, as on the rest
+ * of the site - except that a tenure with no dates at all can't be placed
+ * and is left out. Named-period dates ("@Long Winter") can only be read
+ * with the dataset calendar, so every function here takes it last.
+ */
+
+import { getYear } from './calendarUtils';
+
+/** Query-string key for the selected year, e.g. /tree?year=1245 */
+export const YEAR_PARAM = 'year';
+
+// ==================== URL ====================
+
+/**
+ * Read the year from a query-string value
+ *
+ * @param {string|null} value - e.g. searchParams.get(YEAR_PARAM)
+ * @returns {number|null} The year, or null for "all of history"
+ */
+export function parseYearParam(value) {
+  if (value === null || value === undefined || !/^-?\d+$/.test(String(value).trim())) return null;
+  return parseInt(value, 10);
+}
+
+/**
+ * A link that keeps the selected year, so it follows the user from page
+ * to page
+ *
+ * @param {string} path - e.g. '/dignities'
+ * @param {string} search - The current location.search
+ * @returns {string} The path, with ?year= if a year is selected
+ */
+export function withYearParam(path, search) {
+  const year = parseYearParam(new URLSearchParams(search).get(YEAR_PARAM));
+  return year === null ? path : `${path}?${YEAR_PARAM}=${year}`;
+}
+
+// ==================== RANGE ====================
+
+/**
+ * The span of years the slider should cover: earliest birth to latest
+ * birth or death
+ *
+ * @param {Array} people - Person records
+ * @param {Object} [calendar] - Dataset calendar
+ * @returns {{minYear: number, maxYear: number}|null} null if nobody is dated
+ */
+export function getYearRange(people, calendar) {
+  let minYear = null;
+  let maxYear = null;
+  people.forEach(person => {
+    [getYear(person.dateOfBirth, calendar), getYear(person.dateOfDeath, calendar)].forEach(year => {
+      if (year === null) return;
+      if (minYear === null || year < minYear) minYear = year;
+      if (maxYear === null || year > maxYear) maxYear = year;
+    });
+  });
+  return minYear === null ? null : { minYear, maxYear };
+}
+
+// ==================== PEOPLE & MARRIAGES ====================
+
+/**
+ * Was the person alive at some point in the year?
+ */
+export function isAliveInYear(person, year, calendar) {
+  const born = getYear(person.dateOfBirth, calendar);
+  const died = getYear(person.dateOfDeath, calendar);
+  if (born !== null && born > year) return false;
+  if (died !== null && died < year) return false;
+  return true;
+}
+
+/**
+ * Was the marriage (or betrothal, if it has no wedding date) in force at
+ * some point in the year? Undated marriages always count.
+ */
+export function isMarriageActiveInYear(relationship, year, calendar) {
+  const started = getYear(relationship.marriageDate || relationship.betrothalDate, calendar);
+  const ended = getYear(relationship.divorceDate, calendar);
+  if (started !== null && started > year) return false;
+  if (ended !== null && ended < year) return false;
+  return true;
+}
+
+/**
+ * Drop marriages not in force in the year. Other relationships don't
+ * lapse, so they're all kept.
+ *
+ * @param {Array} relationships - Relationship records
+ * @param {number|null} year - null keeps everything
+ * @param {Object} [calendar] - Dataset calendar
+ * @returns {Array} The relationships in force
+ */
+export function filterRelationshipsForYear(relationships, year, calendar) {
+  if (year === null) return relationships;
+  return relationships.filter(rel =>
+    rel.relationshipType !== 'spouse' || isMarriageActiveInYear(rel, year, calendar)
+  );
+}
+
+// ==================== DIGNITIES ====================
+
+/**
+ * Was the tenure in force at some point in the year?
+ */
+export function isTenureActiveInYear(tenure, year, calendar) {
+  const started = getYear(tenure.dateStarted, calendar);
+  const ended = getYear(tenure.dateEnded, calendar);
+  if (started === null && ended === null) return false;
+  if (started !== null && started > year) return false;
+  if (ended !== null && ended < year) return false;
+  return true;
+}
+
+/**
+ * Who held each dignity in the year, according to its tenure records
+ *
+ * Only dignities with tenure records appear: a dignity with no recorded
+ * history has no known holder in the past. If several tenures touch the
+ * year (a succession that year) the one that started last wins.
+ *
+ * @param {Array} tenures - dignityTenures records
+ * @param {number} year - Stored year
+ * @param {Object} [calendar] - Dataset calendar
+ * @returns {Map<number, number|null>} dignityId -> personId, or null if
+ *   the dignity was vacant
+ */
+export function getHoldersInYear(tenures, year, calendar) {
+  const holders = new Map();
+  const latestStart = new Map();
+
+  tenures.forEach(tenure => {
+    if (!holders.has(tenure.dignityId)) holders.set(tenure.dignityId, null);
+    if (!isTenureActiveInYear(tenure, year, calendar)) return;
+
+    const started = getYear(tenure.dateStarted, calendar) ?? -Infinity;
+    if (!latestStart.has(tenure.dignityId) || started >= latestStart.get(tenure.dignityId)) {
+      latestStart.set(tenure.dignityId, started);
+      holders.set(tenure.dignityId, tenure.personId ?? null);
+    }
+  });
+
+  return holders;
+}
+
+/**
+ * The holder of a dignity in the year, or its current holder when no year
+ * is selected
+ *
+ * @param {Object} dignity - Dignity record
+ * @param {Map|null} holdersInYear - From getHoldersInYear, or null for now
+ * @returns {number|null|undefined} personId, null if vacant, undefined if
+ *   the dignity has no recorded history for that year
+ */
+export function getHolderOf(dignity, holdersInYear) {
+  if (!holdersInYear) return dignity.currentHolderId ?? null;
+  return holdersInYear.has(dignity.id) ? holdersInYear.get(dignity.id) : undefined;
+}
+
+/**
+ * Group dignities by the person holding them, highest display priority
+ * first
+ *
+ * @param {Array} dignities - Dignity records
+ * @param {Map|null} [holdersInYear] - From getHoldersInYear, or null for
+ *   current holders
+ * @returns {Map<number, Array>} personId -> dignities
+ */
+export function groupDignitiesByHolder(dignities, holdersInYear = null) {
+  const byPerson = new Map();
+  dignities.forEach(dignity => {
+    const holderId = getHolderOf(dignity, holdersInYear);
+    if (!holderId) return;
+    if (!byPerson.has(holderId)) byPerson.set(holderId, []);
+    byPerson.get(holderId).push(dignity);
+  });
+
+  byPerson.forEach(personDignities => {
+    personDignities.sort((a, b) => (b.displayPriority || 0) - (a.displayPriority || 0));
+  });
+
+  return byPerson;
+}
+
+// ==================== HOUSEHOLD ROLES ====================
+
+/**
+ * Household roles filled in the year
+ *
+ * Roles only record their current holder, so a role counts as filled if
+ * that holder had taken it up by the year and was alive in it.
+ *
+ * @param {Array} roles - householdRoles records
+ * @param {Map<number, Object>} peopleById - Person lookup
+ * @param {number} year - Stored year
+ * @param {Object} [calendar] - Dataset calendar
+ * @returns {Array} The filled roles
+ */
+export function getFilledRolesInYear(roles, peopleById, year, calendar) {
+  return roles.filter(role => {
+    const holder = role.currentHolderId ? peopleById.get(role.currentHolderId) : null;
+    if (!holder || !isAliveInYear(holder, year, calendar)) return false;
+    const started = getYear(role.startDate, calendar);
+    return started === null || started <= year;
+  });
+}
+
+export default {
+  YEAR_PARAM,
+  parseYearParam,
+  withYearParam,
+  getYearRange,
+  isAliveInYear,
+  isMarriageActiveInYear,
+  filterRelationshipsForYear,
+  isTenureActiveInYear,
+  getHoldersInYear,
+  getHolderOf,
+  groupDignitiesByHolder,
+  getFilledRolesInYear
+};
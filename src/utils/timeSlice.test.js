@@ -0,0 +1,135 @@
+/**
+ * Time Slice Tests
+ *
+ * Tests for viewing the world at one year:
+ * - Reading the year from the URL and the slider's range
+ * - Who was alive and which marriages were in force
+ * - Dignity holders from tenure records
+ * - Household roles filled
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseYearParam,
+  withYearParam,
+  getYearRange,
+  isAliveInYear,
+  filterRelationshipsForYear,
+  getHoldersInYear,
+  getHolderOf,
+  groupDignitiesByHolder,
+  getFilledRolesInYear
+} from './timeSlice';
+
+const people = [
+  { id: 1, firstName: 'Aldric', dateOfBirth: '1200', dateOfDeath: '1260' },
+  { id: 2, firstName: 'Mira', dateOfBirth: '1205-03-01' },
+  { id: 3, firstName: 'Edric', dateOfBirth: '1225', dateOfDeath: '1290' },
+  { id: 4, firstName: 'Nobody' }
+];
+const peopleById = new Map(people.map(p => [p.id, p]));
+
+describe('timeSlice', () => {
+  it('should read the year from the URL', () => {
+    expect(parseYearParam('1245')).toBe(1245);
+    expect(parseYearParam('-30')).toBe(-30);
+    expect(parseYearParam(null)).toBeNull();
+    expect(parseYearParam('soon')).toBeNull();
+  });
+
+  it('should carry the year onto links', () => {
+    expect(withYearParam('/dignities', '?year=1245&person=3')).toBe('/dignities?year=1245');
+    expect(withYearParam('/dignities', '?person=3')).toBe('/dignities');
+    expect(withYearParam('/', '')).toBe('/');
+  });
+
+  it('should span the dated births and deaths', () => {
+    expect(getYearRange(people)).toEqual({ minYear: 1200, maxYear: 1290 });
+    expect(getYearRange([{ id: 9 }])).toBeNull();
+  });
+
+  it('should count people alive for any part of the year', () => {
+    const alive = (year) => people.filter(p => isAliveInYear(p, year)).map(p => p.id);
+
+    expect(alive(1199)).toEqual([4]);
+    expect(alive(1260)).toEqual([1, 2, 3, 4]);
+    expect(alive(1261)).toEqual([2, 3, 4]);
+  });
+
+  it('should read named periods with the calendar', () => {
+    const calendar = { periods: [{ name: 'Long Winter', startYear: 410, endYear: 415 }] };
+    const wintry = [
+      { id: 5, dateOfBirth: '@Long Winter' },
+      { id: 6, dateOfBirth: '0380', dateOfDeath: '@Long Winter' }
+    ];
+    const alive = (year) => wintry.filter(p => isAliveInYear(p, year, calendar)).map(p => p.id);
+
+    expect(alive(400)).toEqual([6]);
+    expect(alive(420)).toEqual([5]);
+    expect(getYearRange(wintry, calendar)).toEqual({ minYear: 380, maxYear: 412 });
+  });
+
+  it('should keep only marriages in force, and every other tie', () => {
+    const relationships = [
+      { id: 1, relationshipType: 'spouse', marriageDate: '1222', divorceDate: '1240' },
+      { id: 2, relationshipType: 'spouse', betrothalDate: '1244' },
+      { id: 3, relationshipType: 'spouse' },
+      { id: 4, relationshipType: 'parent' }
+    ];
+    const ids = (year) => filterRelationshipsForYear(relationships, year).map(r => r.id);
+
+    expect(ids(1230)).toEqual([1, 3, 4]);
+    expect(ids(1250)).toEqual([2, 3, 4]);
+    expect(filterRelationshipsForYear(relationships, null)).toBe(relationships);
+  });
+
+  describe('dignities', () => {
+    const tenures = [
+      { dignityId: 10, personId: 1, dateStarted: '1230', dateEnded: '1260' },
+      { dignityId: 10, personId: 3, dateStarted: '1260' },
+      { dignityId: 11, personId: 2, dateStarted: '1250', dateEnded: '1255' },
+      { dignityId: 12, personId: 3 }
+    ];
+    const dignities = [
+      { id: 10, name: 'Duchy', currentHolderId: 3, displayPriority: 5 },
+      { id: 11, name: 'March', currentHolderId: null, displayPriority: 1 },
+      { id: 12, name: 'Barony', currentHolderId: 3, displayPriority: 9 },
+      { id: 13, name: 'Knighthood', currentHolderId: 2 }
+    ];
+
+    it('should find holders from tenures, with the later succession winning', () => {
+      expect(getHoldersInYear(tenures, 1240)).toEqual(new Map([[10, 1], [11, null], [12, null]]));
+      expect(getHoldersInYear(tenures, 1260).get(10)).toBe(3);
+      expect(getHoldersInYear(tenures, 1252).get(11)).toBe(2);
+    });
+
+    it('should tell vacant dignities from ones with no history', () => {
+      const holders = getHoldersInYear(tenures, 1240);
+
+      expect(getHolderOf(dignities[1], holders)).toBeNull();
+      expect(getHolderOf(dignities[3], holders)).toBeUndefined();
+      expect(getHolderOf(dignities[3], null)).toBe(2);
+    });
+
+    it('should group dignities by holder, now or in a year', () => {
+      const now = groupDignitiesByHolder(dignities);
+      expect(now.get(3).map(d => d.name)).toEqual(['Barony', 'Duchy']);
+
+      const then = groupDignitiesByHolder(dignities, getHoldersInYear(tenures, 1240));
+      expect([...then.keys()]).toEqual([1]);
+    });
+  });
+
+  it('should count roles whose holder had taken them up and was alive', () => {
+    const roles = [
+      { id: 1, currentHolderId: 1, startDate: '1230' },
+      { id: 2, currentHolderId: 2, startDate: '1250' },
+      { id: 3, currentHolderId: 3 },
+      { id: 4, currentHolderId: null }
+    ];
+    const filled = (year) => getFilledRolesInYear(roles, peopleById, year).map(r => r.id);
+
+    expect(filled(1240)).toEqual([1, 3]);
+    expect(filled(1265)).toEqual([2, 3]);
+  });
+});
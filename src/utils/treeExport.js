@@ -0,0 +1,672 @@
+/**
+ * treeExport.js - Family Tree Export
+ *
+ * Turns the live D3 tree into standalone files:
+ * - SVG: the whole layout with theme colours and class styles inlined
+ * - PNG: the SVG rasterised at a high DPI, kept within canvas limits
+ * - PDF: the layout tiled across printable pages for poster printing
+ *
+ * Exports always cover the full layout, not just the viewport: the zoom
+ * transform is dropped and the viewBox is fitted to the drawn content.
+ * There is no PDF dependency - the writer at the bottom emits the handful
+ * of objects an image-per-page document needs.
+ */
+
+import { getAllThemeColors, resolveThemeVariables } from './themeColors';
+import { CULLED_CLASS } from './viewportCulling';
+
+// ==================== CONSTANTS ====================
+
+export const TREE_EXPORT_FORMATS = {
+  SVG: 'svg',
+  PNG: 'png',
+  PDF: 'pdf'
+};
+
+export const TREE_EXPORT_FORMAT_LABELS = {
+  svg: 'SVG (scalable)',
+  png: 'PNG (image)',
+  pdf: 'PDF (printable pages)'
+};
+
+export const PNG_SCALES = [
+  { value: 2, label: 'Standard (2×)' },
+  { value: 4, label: 'High (4×)' },
+  { value: 8, label: 'Poster (8×)' }
+];
+
+// Page sizes in PDF points (1/72 inch)
+export const PAPER_SIZES = {
+  a4: { label: 'A4', width: 595.28, height: 841.89 },
+  a3: { label: 'A3', width: 841.89, height: 1190.55 },
+  letter: { label: 'US Letter', width: 612, height: 792 },
+  tabloid: { label: 'Tabloid', width: 792, height: 1224 }
+};
+
+export const PDF_DPI = 200;
+
+// Browsers refuse (or silently blank) canvases past these limits
+const MAX_CANVAS_SIDE = 16384;
+const MAX_CANVAS_AREA = 16384 * 8192;
+
+const EXPORT_PADDING = 40;
+const TITLE_HEIGHT = 56;
+const PAGE_MARGIN = 28;
+const CAPTION_HEIGHT = 14;
+const CSS_PIXELS_PER_INCH = 96;
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Decorations that only make sense on screen
+const SCREEN_ONLY_SELECTOR = [
+  '.anchor-line',
+  '.search-highlight',
+  '.url-highlight',
+  '.url-highlight-glow',
+  '.dev-selection-ring',
+  '.dev-aura-overlay',
+  '.branch-toggle'
+].join(', ');
+
+// Presentation properties copied out of the stylesheet onto each element
+const INHERITED_PROPERTIES = [
+  'fill',
+  'fill-opacity',
+  'stroke',
+  'stroke-width',
+  'stroke-dasharray',
+  'stroke-opacity',
+  'font-family',
+  'font-size',
+  'font-weight',
+  'font-style'
+];
+
+// ==================== SVG PREPARATION ====================
+
+/**
+ * Copy computed styles onto the elements themselves, so rules from the
+ * page's stylesheet (and the theme variables they use) travel with the
+ * file. Inherited properties are only written where they differ from the
+ * parent, which keeps large trees from ballooning.
+ */
+function inlineComputedStyles(root) {
+  const visit = (element, parentStyle) => {
+    const computed = getComputedStyle(element);
+    const declarations = [];
+
+    INHERITED_PROPERTIES.forEach(property => {
+      const value = computed.getPropertyValue(property);
+      if (value && value !== parentStyle?.[property]) {
+        declarations.push(`${property}: ${value}`);
+      }
+    });
+
+    const opacity = computed.getPropertyValue('opacity');
+    if (opacity && opacity !== '1') declarations.push(`opacity: ${opacity}`);
+
+    if (declarations.length > 0) {
+      const existing = element.getAttribute('style');
+      element.setAttribute('style', [existing, ...declarations].filter(Boolean).join('; '));
+    }
+
+    const ownStyle = Object.fromEntries(
+      INHERITED_PROPERTIES.map(property => [property, computed.getPropertyValue(property)])
+    );
+    Array.from(element.children).forEach(child => visit(child, ownStyle));
+  };
+
+  visit(root, null);
+}
+
+/**
+ * Resolve var() left in attributes (dev overlays and a few fallbacks use them)
+ */
+function resolveThemeAttributes(root) {
+  [root, ...root.querySelectorAll('*')].forEach(element => {
+    Array.from(element.attributes).forEach(attribute => {
+      if (attribute.value.includes('var(')) {
+        element.setAttribute(attribute.name, resolveThemeVariables(attribute.value));
+      }
+    });
+  });
+}
+
+/**
+ * Bounds of the drawn content. getBBox covers everything, including fan
+ * chart arcs; where it is unavailable the person cards stand in.
+ */
+function measureContent(group) {
+  if (typeof group.getBBox === 'function') {
+    const box = group.getBBox();
+    if (box.width > 0 && box.height > 0) {
+      return { x: box.x, y: box.y, width: box.width, height: box.height };
+    }
+  }
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  group.querySelectorAll('.person-card').forEach(card => {
+    const match = /translate\(\s*(-?[\d.]+)[ ,]+(-?[\d.]+)\s*\)/.exec(card.getAttribute('transform') || '');
+    const rect = card.querySelector('rect');
+    if (!match || !rect) return;
+
+    const x = parseFloat(match[1]);
+    const y = parseFloat(match[2]);
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x + parseFloat(rect.getAttribute('width') || 0));
+    maxY = Math.max(maxY, y + parseFloat(rect.getAttribute('height') || 0));
+  });
+
+  if (minX === Infinity) return { x: 0, y: 0, width: 0, height: 0 };
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Build a standalone copy of the tree SVG covering the whole layout
+ *
+ * @param {SVGSVGElement} svgElement - The live tree <svg>
+ * @param {Object} [options]
+ * @param {string} [options.title] - Heading drawn above the tree
+ * @param {number} [options.padding] - Space around the content
+ * @returns {{svg: SVGSVGElement, x: number, y: number, width: number, height: number}}
+ *   The detached copy and its viewBox
+ */
+export function createExportSvg(svgElement, { title = null, padding = EXPORT_PADDING } = {}) {
+  const svg = svgElement.cloneNode(true);
+  const group = svg.querySelector('.zoom-group');
+  if (!group) {
+    throw new Error('The tree has not been drawn yet');
+  }
+
+  group.removeAttribute('transform');
+  svg.querySelectorAll(SCREEN_ONLY_SELECTOR).forEach(element => element.remove());
+
+  // Export the whole tree at full detail, whatever the screen is showing
+  group.removeAttribute('data-detail');
+  svg.querySelectorAll(`.${CULLED_CLASS}`).forEach(element => element.classList.remove(CULLED_CLASS));
+
+  // Styles and bounds only resolve while the copy is in the document
+  const host = document.createElement('div');
+  host.style.cssText = 'position: fixed; left: -100000px; top: 0; width: 0; height: 0; overflow: hidden;';
+  host.appendChild(svg);
+  document.body.appendChild(host);
+
+  let bounds;
+  try {
+    inlineComputedStyles(svg);
+    bounds = measureContent(group);
+  } finally {
+    host.remove();
+  }
+
+  resolveThemeAttributes(svg);
+
+  const themeColors = getAllThemeColors();
+  const titleHeight = title ? TITLE_HEIGHT : 0;
+  const x = Math.floor(bounds.x - padding);
+  const y = Math.floor(bounds.y - padding - titleHeight);
+  const width = Math.ceil(bounds.width + padding * 2);
+  const height = Math.ceil(bounds.height + padding * 2 + titleHeight);
+
+  svg.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+  svg.setAttribute('width', width);
+  svg.setAttribute('height', height);
+  svg.removeAttribute('class');
+
+  const background = document.createElementNS(SVG_NS, 'rect');
+  background.setAttribute('class', 'export-background');
+  background.setAttribute('x', x);
+  background.setAttribute('y', y);
+  background.setAttribute('width', width);
+  background.setAttribute('height', height);
+  background.setAttribute('fill', themeColors.bg.primary || '#1a1410');
+  svg.insertBefore(background, group);
+
+  if (title) {
+    const heading = document.createElementNS(SVG_NS, 'text');
+    heading.setAttribute('class', 'export-title');
+    heading.setAttribute('x', x + width / 2);
+    heading.setAttribute('y', y + padding + 24);
+    heading.setAttribute('text-anchor', 'middle');
+    heading.setAttribute('fill', themeColors.text.primary || '#e9dcc9');
+    heading.setAttribute('style', `font-family: ${resolveThemeVariables('var(--font-display, Georgia)')}, Georgia, serif; font-size: 28px; font-weight: bold`);
+    heading.textContent = title;
+    svg.appendChild(heading);
+  }
+
+  return { svg, x, y, width, height };
+}
+
+/**
+ * Serialise an export SVG, optionally cropped to part of its viewBox
+ *
+ * @param {SVGSVGElement} svg - From createExportSvg
+ * @param {Object} [viewport] - { x, y, width, height, outputWidth, outputHeight }
+ * @returns {string} A complete SVG document
+ */
+export function serializeSvg(svg, viewport = null) {
+  const saved = ['viewBox', 'width', 'height'].map(name => [name, svg.getAttribute(name)]);
+
+  if (viewport) {
+    svg.setAttribute('viewBox', `${viewport.x} ${viewport.y} ${viewport.width} ${viewport.height}`);
+    svg.setAttribute('width', viewport.outputWidth);
+    svg.setAttribute('height', viewport.outputHeight);
+  }
+
+  const markup = new XMLSerializer().serializeToString(svg);
+  saved.forEach(([name, value]) => svg.setAttribute(name, value));
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n${markup}`;
+}
+
+// ==================== RASTERISING ====================
+
+/**
+ * Largest scale not above the requested one that the browser can paint
+ *
+ * @param {number} width - Content width in CSS pixels
+ * @param {number} height - Content height in CSS pixels
+ * @param {number} requestedScale - Desired multiplier
+ * @returns {number} Scale to render at
+ */
+export function getRasterScale(width, height, requestedScale) {
+  if (width <= 0 || height <= 0) return requestedScale;
+
+  const limit = Math.min(
+    MAX_CANVAS_SIDE / width,
+    MAX_CANVAS_SIDE / height,
+    Math.sqrt(MAX_CANVAS_AREA / (width * height))
+  );
+
+  return Math.min(requestedScale, limit);
+}
+
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('The tree could not be rendered as an image'));
+    image.src = url;
+  });
+}
+
+async function renderSvgToCanvas(markup, outputWidth, outputHeight) {
+  const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+
+  try {
+    const image = await loadImage(url);
+    const canvas = document.createElement('canvas');
+    canvas.width = outputWidth;
+    canvas.height = outputHeight;
+    canvas.getContext('2d').drawImage(image, 0, 0, outputWidth, outputHeight);
+    return canvas;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+async function canvasToBytes(canvas, type, quality) {
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob(
+      result => (result ? resolve(result) : reject(new Error('The browser could not encode the image'))),
+      type,
+      quality
+    );
+  });
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+// ==================== PNG METADATA ====================
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Record the print resolution in a PNG's pHYs chunk, replacing any
+ * existing one, so image editors and printers size it correctly
+ *
+ * @param {Uint8Array} png - Encoded PNG
+ * @param {number} dpi - Dots per inch
+ * @returns {Uint8Array} The PNG with a pHYs chunk after IHDR
+ */
+export function setPngDpi(png, dpi) {
+  const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+  const chunks = [];
+  let offset = 8;
+
+  while (offset < png.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+    const end = offset + 12 + length;
+    if (type !== 'pHYs') chunks.push({ type, bytes: png.subarray(offset, end) });
+    offset = end;
+  }
+
+  const pixelsPerMetre = Math.round(dpi / 0.0254);
+  const phys = new Uint8Array(21);
+  const physView = new DataView(phys.buffer);
+  physView.setUint32(0, 9);
+  phys.set([0x70, 0x48, 0x59, 0x73], 4); // 'pHYs'
+  physView.setUint32(8, pixelsPerMetre);
+  physView.setUint32(12, pixelsPerMetre);
+  phys[16] = 1; // unit: metre
+  physView.setUint32(17, crc32(phys.subarray(4, 17)));
+
+  const ordered = chunks.flatMap(chunk => (chunk.type === 'IHDR' ? [chunk.bytes, phys] : [chunk.bytes]));
+  return concatBytes([png.subarray(0, 8), ...ordered]);
+}
+
+function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+}
+
+// ==================== PAGE TILING ====================
+
+/**
+ * Split the layout into page-sized tiles for printing
+ *
+ * The tree is scaled so that it spans `pagesAcross` pages horizontally;
+ * as many rows of pages are added as its height then needs.
+ *
+ * @param {number} contentWidth - Layout width in SVG units
+ * @param {number} contentHeight - Layout height in SVG units
+ * @param {Object} [options]
+ * @param {string} [options.paper] - Key of PAPER_SIZES
+ * @param {string} [options.orientation] - 'portrait' or 'landscape'
+ * @param {number} [options.pagesAcross] - Pages the tree spans horizontally
+ * @returns {Object} { pageWidth, pageHeight, margin, scale, columns, rows, tiles }
+ *   where scale is PDF points per SVG unit and each tile is
+ *   { row, column, x, y, width, height } in SVG units
+ */
+export function planPageTiles(contentWidth, contentHeight, { paper = 'a4', orientation = 'portrait', pagesAcross = 1 } = {}) {
+  const size = PAPER_SIZES[paper] || PAPER_SIZES.a4;
+  const [pageWidth, pageHeight] = orientation === 'landscape'
+    ? [size.height, size.width]
+    : [size.width, size.height];
+
+  const printableWidth = pageWidth - PAGE_MARGIN * 2;
+  const printableHeight = pageHeight - PAGE_MARGIN * 2 - CAPTION_HEIGHT;
+
+  const columns = Math.max(1, Math.round(pagesAcross));
+  const scale = (printableWidth * columns) / contentWidth;
+  const tileWidth = printableWidth / scale;
+  const tileHeight = printableHeight / scale;
+  // Tolerance keeps float noise from adding an empty last row
+  const rows = Math.max(1, Math.ceil(contentHeight / tileHeight - 1e-6));
+
+  const tiles = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const x = column * tileWidth;
+      const y = row * tileHeight;
+      tiles.push({
+        row,
+        column,
+        x,
+        y,
+        width: Math.min(tileWidth, contentWidth - x),
+        height: Math.min(tileHeight, contentHeight - y)
+      });
+    }
+  }
+
+  return { pageWidth, pageHeight, margin: PAGE_MARGIN, scale, columns, rows, tiles };
+}
+
+// ==================== PDF WRITER ====================
+
+const formatNumber = (value) => String(Number(value.toFixed(2)));
+
+/**
+ * PDF string literal. Latin-1 characters are octal-escaped (the font uses
+ * WinAnsiEncoding); anything beyond that becomes '?'.
+ */
+function pdfString(text) {
+  const escaped = Array.from(String(text ?? ''), char => {
+    const code = char.charCodeAt(0);
+    if (char === '(' || char === ')' || char === '\\') return `\\${char}`;
+    if (code >= 32 && code < 127) return char;
+    if (code <= 255 && char.length === 1) return `\\${code.toString(8).padStart(3, '0')}`;
+    return '?';
+  }).join('');
+  return `(${escaped})`;
+}
+
+/**
+ * Assemble a PDF with one JPEG image (and an optional caption) per page
+ *
+ * @param {Array<Object>} pages - Each
+ *   { width, height, image: { bytes, pixelWidth, pixelHeight, x, y, drawWidth, drawHeight },
+ *     caption?: { text, x, y } }
+ *   with positions in points from the bottom-left corner
+ * @param {Object} [options]
+ * @param {string} [options.title] - Document title metadata
+ * @returns {Uint8Array} The PDF file
+ */
+export function buildPdfDocument(pages, { title = '' } = {}) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const offsets = [];
+  let length = 0;
+
+  const write = (part) => {
+    const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+    parts.push(bytes);
+    length += bytes.length;
+  };
+  const beginObject = (id) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n`);
+  };
+
+  // Objects 1-4 are fixed; each page then takes three (page, contents, image)
+  const pageIds = pages.map((_, index) => 5 + index * 3);
+  const objectCount = 5 + pages.length * 3;
+
+  write('%PDF-1.4\n');
+  write(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a])); // binary marker comment
+
+  beginObject(1);
+  write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+  beginObject(2);
+  write(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>\nendobj\n`);
+  beginObject(3);
+  write('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>\nendobj\n');
+  beginObject(4);
+  write(`<< /Title ${pdfString(title)} /Producer (LineageWeaver) >>\nendobj\n`);
+
+  pages.forEach((page, index) => {
+    const pageId = pageIds[index];
+    const contentsId = pageId + 1;
+    const imageId = pageId + 2;
+    const { image, caption } = page;
+
+    const operators = [
+      'q',
+      `${formatNumber(image.drawWidth)} 0 0 ${formatNumber(image.drawHeight)} ${formatNumber(image.x)} ${formatNumber(image.y)} cm`,
+      '/Im0 Do',
+      'Q'
+    ];
+    if (caption?.text) {
+      operators.push(`BT /F1 8 Tf ${formatNumber(caption.x)} ${formatNumber(caption.y)} Td ${pdfString(caption.text)} Tj ET`);
+    }
+    const contents = operators.join('\n');
+
+    beginObject(pageId);
+    write(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(page.width)} ${formatNumber(page.height)}] ` +
+      `/Resources << /Font << /F1 3 0 R >> /XObject << /Im0 ${imageId} 0 R >> >> /Contents ${contentsId} 0 R >>\nendobj\n`
+    );
+
+    beginObject(contentsId);
+    write(`<< /Length ${contents.length} >>\nstream\n${contents}\nendstream\nendobj\n`);
+
+    beginObject(imageId);
+    write(
+      `<< /Type /XObject /Subtype /Image /Width ${image.pixelWidth} /Height ${image.pixelHeight} ` +
+      `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>\nstream\n`
+    );
+    write(image.bytes);
+    write('\nendstream\nendobj\n');
+  });
+
+  const xrefOffset = length;
+  const xrefEntries = offsets.slice(1).map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  write(
+    `xref\n0 ${objectCount}\n0000000000 65535 f \n${xrefEntries}` +
+    `trailer\n<< /Size ${objectCount} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+  );
+
+  return concatBytes(parts);
+}
+
+// ==================== EXPORTS ====================
+
+/**
+ * File name for an export, e.g. 'house-valmont-family-tree.pdf'
+ */
+export function getTreeExportFilename(title, format) {
+  const slug = String(title || 'family tree')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${slug || 'family-tree'}.${format}`;
+}
+
+/**
+ * Export the tree as a standalone SVG document
+ *
+ * @param {Object} prepared - From createExportSvg
+ * @returns {Blob}
+ */
+export function exportTreeAsSvg(prepared) {
+  return new Blob([serializeSvg(prepared.svg)], { type: 'image/svg+xml;charset=utf-8' });
+}
+
+/**
+ * Export the tree as a high-DPI PNG
+ *
+ * @param {Object} prepared - From createExportSvg
+ * @param {number} [requestedScale] - Pixels per CSS pixel
+ * @returns {Promise<{blob: Blob, scale: number, width: number, height: number}>}
+ *   scale may be below the request if the canvas would be too large
+ */
+export async function exportTreeAsPng(prepared, requestedScale = 4) {
+  const scale = getRasterScale(prepared.width, prepared.height, requestedScale);
+  const width = Math.floor(prepared.width * scale);
+  const height = Math.floor(prepared.height * scale);
+
+  const markup = serializeSvg(prepared.svg, {
+    x: prepared.x,
+    y: prepared.y,
+    width: prepared.width,
+    height: prepared.height,
+    outputWidth: width,
+    outputHeight: height
+  });
+  const canvas = await renderSvgToCanvas(markup, width, height);
+  const png = setPngDpi(await canvasToBytes(canvas, 'image/png'), Math.round(CSS_PIXELS_PER_INCH * scale));
+
+  return { blob: new Blob([png], { type: 'image/png' }), scale, width, height };
+}
+
+/**
+ * Export the tree as a multi-page PDF, tiled for printing and taping together
+ *
+ * @param {Object} prepared - From createExportSvg
+ * @param {Object} [options] - planPageTiles options plus title
+ * @returns {Promise<{blob: Blob, pageCount: number, columns: number, rows: number}>}
+ */
+export async function exportTreeAsPdf(prepared, { title = '', ...tileOptions } = {}) {
+  const plan = planPageTiles(prepared.width, prepared.height, tileOptions);
+  const pixelsPerUnit = plan.scale * (PDF_DPI / 72);
+  const pageCount = plan.tiles.length;
+  const pages = [];
+
+  // One tile at a time keeps only a single page-sized canvas alive
+  for (const tile of plan.tiles) {
+    const outputWidth = Math.max(1, Math.round(tile.width * pixelsPerUnit));
+    const outputHeight = Math.max(1, Math.round(tile.height * pixelsPerUnit));
+    const markup = serializeSvg(prepared.svg, {
+      x: prepared.x + tile.x,
+      y: prepared.y + tile.y,
+      width: tile.width,
+      height: tile.height,
+      outputWidth,
+      outputHeight
+    });
+    const canvas = await renderSvgToCanvas(markup, outputWidth, outputHeight);
+    const bytes = await canvasToBytes(canvas, 'image/jpeg', 0.92);
+
+    const drawWidth = tile.width * plan.scale;
+    const drawHeight = tile.height * plan.scale;
+    const pageNumber = pages.length + 1;
+    const position = pageCount > 1 ? ` - row ${tile.row + 1}, column ${tile.column + 1}` : '';
+
+    pages.push({
+      width: plan.pageWidth,
+      height: plan.pageHeight,
+      image: {
+        bytes,
+        pixelWidth: outputWidth,
+        pixelHeight: outputHeight,
+        x: plan.margin,
+        y: plan.pageHeight - plan.margin - drawHeight,
+        drawWidth,
+        drawHeight
+      },
+      caption: {
+        text: `${title ? `${title} - ` : ''}page ${pageNumber} of ${pageCount}${position}`,
+        x: plan.margin,
+        y: plan.margin
+      }
+    });
+  }
+
+  const pdf = buildPdfDocument(pages, { title });
+  return { blob: new Blob([pdf], { type: 'application/pdf' }), pageCount, columns: plan.columns, rows: plan.rows };
+}
+
+export default {
+  TREE_EXPORT_FORMATS,
+  TREE_EXPORT_FORMAT_LABELS,
+  PNG_SCALES,
+  PAPER_SIZES,
+  PDF_DPI,
+  createExportSvg,
+  serializeSvg,
+  getRasterScale,
+  setPngDpi,
+  planPageTiles,
+  buildPdfDocument,
+  getTreeExportFilename,
+  exportTreeAsSvg,
+  exportTreeAsPng,
+  exportTreeAsPdf
+};
@@ -0,0 +1,220 @@
+/**
+ * Tree Export Tests
+ *
+ * Tests for exporting the family tree:
+ * - Standalone SVG preparation (full layout, theme colours inlined)
+ * - Raster scale limits and PNG resolution metadata
+ * - Page tiling and the PDF writer
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+  createExportSvg,
+  serializeSvg,
+  getRasterScale,
+  setPngDpi,
+  planPageTiles,
+  buildPdfDocument,
+  getTreeExportFilename,
+  PAPER_SIZES
+} from './treeExport';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const svgElement = (name, attributes = {}) => {
+  const element = document.createElementNS(SVG_NS, name);
+  Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+  return element;
+};
+
+// A zoomed-in tree with two cards and some on-screen decorations
+const buildTreeSvg = () => {
+  const svg = svgElement('svg', { class: 'tree-svg', width: '100%', height: '100%' });
+  const group = svgElement('g', { class: 'zoom-group', transform: 'translate(300,120) scale(2)' });
+  group.appendChild(svgElement('line', { class: 'anchor-line', x1: 1500, y1: 0, x2: 1500, y2: 5000 }));
+
+  [[100, 50], [400, 250]].forEach(([x, y]) => {
+    const card = svgElement('g', { class: 'person-card', transform: `translate(${x}, ${y})` });
+    card.appendChild(svgElement('rect', { width: 150, height: 70, fill: 'var(--accent-primary, #d4a574)' }));
+    card.appendChild(svgElement('rect', { class: 'search-highlight', width: 160, height: 80 }));
+    group.appendChild(card);
+  });
+
+  svg.appendChild(group);
+  return svg;
+};
+
+const latin1 = (bytes) => Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+
+describe('treeExport', () => {
+  describe('createExportSvg', () => {
+    beforeEach(() => {
+      document.documentElement.style.setProperty('--accent-primary', '#abcdef');
+      document.documentElement.style.setProperty('--bg-primary', '#201810');
+    });
+
+    afterEach(() => {
+      document.documentElement.removeAttribute('style');
+    });
+
+    it('should cover the whole layout rather than the viewport', () => {
+      const prepared = createExportSvg(buildTreeSvg(), { padding: 20 });
+
+      expect(prepared).toMatchObject({ x: 80, y: 30, width: 490, height: 310 });
+      expect(prepared.svg.getAttribute('viewBox')).toBe('80 30 490 310');
+      expect(prepared.svg.querySelector('.zoom-group').hasAttribute('transform')).toBe(false);
+      expect(prepared.svg.isConnected).toBe(false);
+    });
+
+    it('should drop screen-only decorations and inline theme colours', () => {
+      const { svg } = createExportSvg(buildTreeSvg());
+
+      expect(svg.querySelector('.anchor-line')).toBeNull();
+      expect(svg.querySelector('.search-highlight')).toBeNull();
+      expect(svg.querySelector('.person-card rect').getAttribute('fill')).toBe('#abcdef');
+      expect(svg.querySelector('.export-background').getAttribute('fill')).toBe('#201810');
+    });
+
+    it('should export culled cards at full detail', () => {
+      const tree = buildTreeSvg();
+      const group = tree.querySelector('.zoom-group');
+      group.setAttribute('data-detail', 'minimal');
+      group.querySelector('.person-card').classList.add('viewport-culled');
+
+      const { svg } = createExportSvg(tree);
+
+      expect(svg.querySelector('.zoom-group').hasAttribute('data-detail')).toBe(false);
+      expect(svg.querySelectorAll('.person-card:not(.viewport-culled)')).toHaveLength(2);
+    });
+
+    it('should leave room for a title above the tree', () => {
+      const prepared = createExportSvg(buildTreeSvg(), { title: 'House Valmont', padding: 20 });
+
+      expect(prepared.y).toBe(30 - 56);
+      expect(prepared.svg.querySelector('.export-title').textContent).toBe('House Valmont');
+    });
+  });
+
+  describe('serializeSvg', () => {
+    it('should crop to a viewport without changing the prepared SVG', () => {
+      const { svg } = createExportSvg(buildTreeSvg());
+      const markup = serializeSvg(svg, { x: 0, y: 0, width: 100, height: 50, outputWidth: 400, outputHeight: 200 });
+
+      expect(markup.startsWith('<?xml')).toBe(true);
+      expect(markup).toContain('viewBox="0 0 100 50"');
+      expect(markup).toContain('width="400"');
+      expect(svg.getAttribute('width')).not.toBe('400');
+    });
+  });
+
+  describe('getRasterScale', () => {
+    it('should honour the request when the canvas fits', () => {
+      expect(getRasterScale(2000, 1000, 4)).toBe(4);
+    });
+
+    it('should shrink the scale to stay within canvas limits', () => {
+      expect(getRasterScale(8000, 500, 4)).toBe(16384 / 8000);
+      expect(getRasterScale(6000, 6000, 4) * 6000).toBeLessThanOrEqual(Math.sqrt(16384 * 8192));
+    });
+  });
+
+  describe('setPngDpi', () => {
+    const chunk = (type, data = []) => {
+      const bytes = new Uint8Array(12 + data.length);
+      new DataView(bytes.buffer).setUint32(0, data.length);
+      bytes.set(Array.from(type, c => c.charCodeAt(0)), 4);
+      bytes.set(data, 8);
+      return Array.from(bytes);
+    };
+    const signature = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+    const chunkTypes = (png) => {
+      const view = new DataView(png.buffer);
+      const types = [];
+      for (let offset = 8; offset < png.length; offset += 12 + view.getUint32(offset)) {
+        types.push(latin1(png.subarray(offset + 4, offset + 8)));
+      }
+      return types;
+    };
+
+    it('should add a pHYs chunk after IHDR, replacing any existing one', () => {
+      const png = new Uint8Array([
+        ...signature,
+        ...chunk('IHDR', new Array(13).fill(0)),
+        ...chunk('pHYs', new Array(9).fill(0)),
+        ...chunk('IEND')
+      ]);
+      const result = setPngDpi(png, 384);
+      const view = new DataView(result.buffer);
+
+      expect(chunkTypes(result)).toEqual(['IHDR', 'pHYs', 'IEND']);
+      expect(view.getUint32(8 + 25 + 8)).toBe(Math.round(384 / 0.0254));
+      expect(result[8 + 25 + 16]).toBe(1);
+    });
+  });
+
+  describe('planPageTiles', () => {
+    it('should scale the tree across the requested pages and add rows as needed', () => {
+      const plan = planPageTiles(1000, 3000, { paper: 'a4', pagesAcross: 2 });
+      const printableWidth = PAPER_SIZES.a4.width - 56;
+
+      expect(plan.columns).toBe(2);
+      expect(plan.scale).toBeCloseTo((printableWidth * 2) / 1000);
+      expect(plan.rows).toBe(Math.ceil(3000 / ((PAPER_SIZES.a4.height - 56 - 14) / plan.scale)));
+      expect(plan.tiles).toHaveLength(plan.columns * plan.rows);
+
+      const lastTile = plan.tiles.at(-1);
+      expect(lastTile.y + lastTile.height).toBeCloseTo(3000);
+      expect(lastTile.x + lastTile.width).toBeCloseTo(1000);
+    });
+
+    it('should swap page dimensions for landscape', () => {
+      const plan = planPageTiles(1200, 400, { paper: 'a3', orientation: 'landscape' });
+
+      expect(plan.pageWidth).toBe(PAPER_SIZES.a3.height);
+      expect(plan.rows).toBe(1);
+      expect(plan.tiles).toHaveLength(1);
+    });
+  });
+
+  describe('buildPdfDocument', () => {
+    const page = (caption) => ({
+      width: 595.28,
+      height: 841.89,
+      image: { bytes: new Uint8Array([0xff, 0xd8, 0xff, 0xd9]), pixelWidth: 2, pixelHeight: 1, x: 28, y: 500, drawWidth: 539.28, drawHeight: 269.64 },
+      caption: { text: caption, x: 28, y: 28 }
+    });
+
+    it('should write a page, contents stream and image per tile', () => {
+      const text = latin1(buildPdfDocument([page('page 1 of 2'), page('page 2 of 2')], { title: 'Valmont' }));
+
+      expect(text.startsWith('%PDF-1.4')).toBe(true);
+      expect(text).toContain('/Kids [5 0 R 8 0 R] /Count 2');
+      expect(text).toContain('/Filter /DCTDecode /Length 4');
+      expect(text).toContain('539.28 0 0 269.64 28 500 cm');
+      expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+    });
+
+    it('should point every cross-reference entry at its object', () => {
+      const text = latin1(buildPdfDocument([page('one')]));
+      const xrefStart = Number(/startxref\n(\d+)/.exec(text)[1]);
+      const entries = text.slice(xrefStart).split('\n').slice(3, 10);
+
+      entries.forEach((entry, index) => {
+        const offset = Number(entry.slice(0, 10));
+        expect(text.slice(offset, offset + 10)).toMatch(new RegExp(`^${index + 1} 0 obj`));
+      });
+    });
+
+    it('should escape caption text', () => {
+      const text = latin1(buildPdfDocument([page('Æthel (the Elder)\\')]));
+      expect(text).toContain('(\\306thel \\(the Elder\\)\\\\) Tj');
+    });
+  });
+
+  describe('getTreeExportFilename', () => {
+    it('should slug the title', () => {
+      expect(getTreeExportFilename('House Vâlmont — Pedigree', 'pdf')).toBe('house-valmont-pedigree.pdf');
+      expect(getTreeExportFilename('', 'svg')).toBe('family-tree.svg');
+    });
+  });
+});
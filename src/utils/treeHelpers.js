@@ -6,8 +6,15 @@
  * - Color harmonization for themes
  * - House scoping (determining which people to show)
  * - Fragment detection (disconnected family branches)
+ * - House heraldry images for person cards
+ *
+ * spouseMap arguments are personId -> [spouseIds], as built by
+ * RelationshipCalculator.buildRelationshipMaps.
  */
 
+import { getSpouseIds } from './RelationshipCalculator';
+import { compareDates } from './calendarUtils';
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // TEXT MEASUREMENT AND TRUNCATION
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -117,6 +124,31 @@ export function harmonizeColor(hexColor, isDark) {
   return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// HERALDRY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Pick the image to draw as a house's arms on a person card
+ * Checks the linked heraldry record first, then the legacy fields on the house.
+ * Always returns a data URL (or null), so the image survives SVG/PNG export.
+ */
+export function getHouseHeraldryImage(house, heraldryRecord = null) {
+  const svgImage = heraldryRecord?.heraldrySVG
+    ? `data:image/svg+xml;charset=utf-8,${encodeURIComponent(heraldryRecord.heraldrySVG)}`
+    : null;
+
+  const candidates = [
+    heraldryRecord?.heraldryThumbnail,
+    svgImage,
+    heraldryRecord?.heraldryDisplay,
+    house?.heraldryThumbnail,
+    house?.heraldryImageData
+  ];
+
+  return candidates.find(image => typeof image === 'string' && image.startsWith('data:')) || null;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // HOUSE SCOPING
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -171,10 +203,7 @@ export function getHouseScopedPeopleIds(
 
   // Add spouses of direct members
   directMembers.forEach(p => {
-    const spouseId = spouseMap.get(p.id);
-    if (spouseId) {
-      scopedIds.add(spouseId);
-    }
+    getSpouseIds(spouseMap, p.id).forEach(spouseId => scopedIds.add(spouseId));
   });
 
   // Recursively find ancestors
@@ -188,10 +217,7 @@ export function getHouseScopedPeopleIds(
     const parents = parentMap.get(personId) || [];
     parents.forEach(parentId => {
       scopedIds.add(parentId);
-      const parentSpouseId = spouseMap.get(parentId);
-      if (parentSpouseId) {
-        scopedIds.add(parentSpouseId);
-      }
+      getSpouseIds(spouseMap, parentId).forEach(spouseId => scopedIds.add(spouseId));
       if (isHouseMember(parentId)) {
         findAncestors(parentId, visited);
       }
@@ -215,10 +241,7 @@ export function getHouseScopedPeopleIds(
     const children = childrenMap.get(personId) || [];
     children.forEach(childId => {
       scopedIds.add(childId);
-      const childSpouseId = spouseMap.get(childId);
-      if (childSpouseId) {
-        scopedIds.add(childSpouseId);
-      }
+      getSpouseIds(spouseMap, childId).forEach(spouseId => scopedIds.add(spouseId));
       findDescendants(childId, visited);
     });
   };
@@ -258,12 +281,12 @@ export function findRootPersonForHouse(
   const rootCandidates = scopedPeople.filter(p => !parentMap.has(p.id));
 
   if (rootCandidates.length > 0) {
-    rootCandidates.sort((a, b) => parseInt(a.dateOfBirth) - parseInt(b.dateOfBirth));
+    rootCandidates.sort((a, b) => compareDates(a.dateOfBirth, b.dateOfBirth));
     return rootCandidates[0].id;
   }
 
   // Fallback: oldest person in scope
-  scopedPeople.sort((a, b) => parseInt(a.dateOfBirth) - parseInt(b.dateOfBirth));
+  scopedPeople.sort((a, b) => compareDates(a.dateOfBirth, b.dateOfBirth));
   return scopedPeople[0]?.id || null;
 }
 
@@ -297,13 +320,12 @@ export function detectFragments(
       connections.set(person.id, new Set());
     }
 
-    // Spouse connection
-    const spouseId = spouseMap.get(person.id);
-    if (spouseId) {
+    // Spouse connections
+    getSpouseIds(spouseMap, person.id).forEach(spouseId => {
       connections.get(person.id).add(spouseId);
       if (!connections.has(spouseId)) connections.set(spouseId, new Set());
       connections.get(spouseId).add(person.id);
-    }
+    });
 
     // Parent connections
     const parents = parentMap.get(person.id) || [];
@@ -353,10 +375,10 @@ export function detectFragments(
 
     let rootPerson;
     if (rootCandidates.length > 0) {
-      rootCandidates.sort((a, b) => parseInt(a.dateOfBirth) - parseInt(b.dateOfBirth));
+      rootCandidates.sort((a, b) => compareDates(a.dateOfBirth, b.dateOfBirth));
       rootPerson = rootCandidates[0];
     } else {
-      fragmentPeople.sort((a, b) => parseInt(a.dateOfBirth) - parseInt(b.dateOfBirth));
+      fragmentPeople.sort((a, b) => compareDates(a.dateOfBirth, b.dateOfBirth));
       rootPerson = fragmentPeople[0];
     }
 
@@ -369,7 +391,7 @@ export function detectFragments(
   });
 
   // Sort fragments by root person's birth date
-  fragments.sort((a, b) => parseInt(a.rootPerson.dateOfBirth) - parseInt(b.rootPerson.dateOfBirth));
+  fragments.sort((a, b) => compareDates(a.rootPerson.dateOfBirth, b.rootPerson.dateOfBirth));
 
   return fragments;
 }
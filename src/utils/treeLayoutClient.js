@@ -0,0 +1,90 @@
+/**
+ * treeLayoutClient.js - House Tree Layout Requests
+ *
+ * Hands house layouts to a Web Worker (workers/treeLayout.worker.js) so
+ * thousands of people can be laid out without blocking panning and
+ * typing. Where workers are unavailable (tests, very old browsers) or the
+ * worker fails to start, layouts run on the main thread instead - slower,
+ * but the tree still draws.
+ */
+
+import { computeHouseLayout } from './houseTreeLayout';
+
+let layoutWorker = null;
+let workerUnavailable = false;
+let nextRequestId = 1;
+const pendingRequests = new Map();
+
+const computeOnMainThread = (input) => Promise.resolve().then(() => computeHouseLayout(input));
+
+function handleWorkerFailure(message) {
+  console.error('❌ Tree layout worker failed, laying out on the main thread:', message);
+  workerUnavailable = true;
+  layoutWorker?.terminate();
+  layoutWorker = null;
+
+  // Anything still waiting is retried here rather than lost
+  pendingRequests.forEach(({ input, resolve, reject }) => {
+    computeOnMainThread(input).then(resolve, reject);
+  });
+  pendingRequests.clear();
+}
+
+function getLayoutWorker() {
+  if (workerUnavailable || typeof Worker === 'undefined') return null;
+  if (layoutWorker) return layoutWorker;
+
+  try {
+    layoutWorker = new Worker(new URL('../workers/treeLayout.worker.js', import.meta.url), { type: 'module' });
+  } catch (error) {
+    handleWorkerFailure(error.message);
+    return null;
+  }
+
+  layoutWorker.onmessage = ({ data }) => {
+    const request = pendingRequests.get(data.requestId);
+    if (!request) return;
+    pendingRequests.delete(data.requestId);
+
+    if (data.error) {
+      request.reject(new Error(data.error));
+    } else {
+      request.resolve(data.layout);
+    }
+  };
+  layoutWorker.onerror = (event) => {
+    event.preventDefault();
+    handleWorkerFailure(event.message);
+  };
+
+  return layoutWorker;
+}
+
+/**
+ * Lay out a house tree, in the worker when possible
+ *
+ * @param {Object} input - From getHouseLayoutInput
+ * @returns {Promise<Object>} Result of computeHouseLayout
+ */
+export function requestHouseLayout(input) {
+  const worker = getLayoutWorker();
+  if (!worker) return computeOnMainThread(input);
+
+  return new Promise((resolve, reject) => {
+    const requestId = nextRequestId++;
+    pendingRequests.set(requestId, { input, resolve, reject });
+
+    try {
+      worker.postMessage({ requestId, input });
+    } catch (error) {
+      // e.g. DataCloneError - this one request runs here instead
+      console.error('❌ Could not send layout to worker:', error);
+      pendingRequests.delete(requestId);
+      computeOnMainThread(input).then(resolve, reject);
+    }
+  });
+}
+
+export default {
+  requestHouseLayout
+};
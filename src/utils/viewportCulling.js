@@ -0,0 +1,246 @@
+/**
+ * Viewport Culling and Level of Detail
+ *
+ * Keeps panning smooth on trees with thousands of cards:
+ * - CULLING: elements well outside the visible area get CULLED_CLASS
+ *   (display: none), found through a coarse grid so each pan only looks
+ *   at the cells on screen
+ * - LEVEL OF DETAIL: zoomed out, cards drop their secondary text, badges
+ *   and shadows; further out, their names too. FamilyTree's stylesheet
+ *   keys this off the zoom group's data-detail attribute.
+ *
+ * Positions are in layout (zoom group) coordinates throughout.
+ */
+
+export const CULLED_CLASS = 'viewport-culled';
+
+export const DETAIL_LEVELS = {
+  FULL: 'full',
+  SIMPLIFIED: 'simplified',
+  MINIMAL: 'minimal'
+};
+
+// Zoom scales below which each reduced level applies
+export const DETAIL_THRESHOLDS = {
+  simplified: 0.5,
+  minimal: 0.22
+};
+
+// Smaller trees are cheap enough to draw whole
+export const CULLING_MIN_ELEMENTS = 400;
+
+const DEFAULT_CELL_SIZE = 600;
+
+/**
+ * @param {number} scale - Current zoom scale
+ * @returns {string} One of DETAIL_LEVELS
+ */
+export function getDetailLevel(scale) {
+  if (scale < DETAIL_THRESHOLDS.minimal) return DETAIL_LEVELS.MINIMAL;
+  if (scale < DETAIL_THRESHOLDS.simplified) return DETAIL_LEVELS.SIMPLIFIED;
+  return DETAIL_LEVELS.FULL;
+}
+
+/**
+ * The area of the layout on screen, plus a margin so cards are already
+ * drawn by the time a pan brings them into view
+ *
+ * @param {{x: number, y: number, k: number}} transform - d3 zoom transform
+ * @param {number} width - Viewport width in screen pixels
+ * @param {number} height - Viewport height in screen pixels
+ * @param {number} [margin] - Extra screen pixels on every side
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+ */
+export function getViewportBounds(transform, width, height, margin = 200) {
+  return {
+    minX: (-margin - transform.x) / transform.k,
+    minY: (-margin - transform.y) / transform.k,
+    maxX: (width + margin - transform.x) / transform.k,
+    maxY: (height + margin - transform.y) / transform.k
+  };
+}
+
+const cellKey = (column, row) => `${column},${row}`;
+
+/**
+ * Bucket items into grid cells by their bounds
+ *
+ * @param {Array<{minX, minY, maxX, maxY}>} items - Anything with bounds
+ * @param {number} [cellSize] - Cell width and height in layout units
+ * @returns {{cellSize: number, cells: Map<string, Array>, items: Array}}
+ */
+export function createSpatialIndex(items, cellSize = DEFAULT_CELL_SIZE) {
+  const cells = new Map();
+
+  items.forEach(item => {
+    for (let column = Math.floor(item.minX / cellSize); column <= Math.floor(item.maxX / cellSize); column++) {
+      for (let row = Math.floor(item.minY / cellSize); row <= Math.floor(item.maxY / cellSize); row++) {
+        const key = cellKey(column, row);
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(item);
+      }
+    }
+  });
+
+  return { cellSize, cells, items };
+}
+
+/**
+ * Items whose bounds overlap an area
+ *
+ * @param {Object} index - From createSpatialIndex
+ * @param {{minX, minY, maxX, maxY}} bounds - Area to search
+ * @returns {Set} Matching items
+ */
+export function queryVisibleItems(index, bounds) {
+  const { cellSize, cells } = index;
+  const visible = new Set();
+
+  for (let column = Math.floor(bounds.minX / cellSize); column <= Math.floor(bounds.maxX / cellSize); column++) {
+    for (let row = Math.floor(bounds.minY / cellSize); row <= Math.floor(bounds.maxY / cellSize); row++) {
+      (cells.get(cellKey(column, row)) || []).forEach(item => {
+        if (item.maxX >= bounds.minX && item.minX <= bounds.maxX &&
+            item.maxY >= bounds.minY && item.minY <= bounds.maxY) {
+          visible.add(item);
+        }
+      });
+    }
+  }
+
+  return visible;
+}
+
+/**
+ * Read a translate(x, y) transform attribute
+ *
+ * @param {string|null} transform - Attribute value
+ * @returns {{x: number, y: number}|null} Null when there is no translate
+ */
+export function parseTranslate(transform) {
+  const match = /translate\(\s*(-?[\d.]+)[ ,]+(-?[\d.]+)\s*\)/.exec(transform || '');
+  return match ? { x: parseFloat(match[1]), y: parseFloat(match[2]) } : null;
+}
+
+/**
+ * Bounds of a drawn tree element: a card (translated group of known size)
+ * or a straight line. Anything else returns null and is never culled.
+ *
+ * @param {Element} element - Direct child of the zoom group
+ * @param {{width: number, height: number}} cardSize
+ * @returns {{minX, minY, maxX, maxY}|null}
+ */
+export function getElementBounds(element, cardSize) {
+  if (element.classList.contains('person-card')) {
+    const position = parseTranslate(element.getAttribute('transform'));
+    if (!position) return null;
+    return {
+      minX: position.x,
+      minY: position.y,
+      maxX: position.x + cardSize.width,
+      maxY: position.y + cardSize.height
+    };
+  }
+
+  if (element.tagName.toLowerCase() === 'line') {
+    const [x1, y1, x2, y2] = ['x1', 'y1', 'x2', 'y2'].map(name => parseFloat(element.getAttribute(name)) || 0);
+    return { minX: Math.min(x1, x2), minY: Math.min(y1, y2), maxX: Math.max(x1, x2), maxY: Math.max(y1, y2) };
+  }
+
+  return null;
+}
+
+// ==================== CULLER ====================
+
+/**
+ * Keep a drawn tree's detail level and culled elements in step with the zoom
+ *
+ * The spatial index is built lazily from the group's cards and lines on
+ * the first update, so create the culler before drawing and call
+ * invalidate() whenever cards are replaced.
+ *
+ * @param {SVGGElement} group - The zoom group the tree is drawn into
+ * @param {Object} options
+ * @param {{width: number, height: number}} options.cardSize - Card size in layout units
+ * @param {Function} options.getViewportSize - () => {width, height} in screen pixels
+ * @returns {{update: Function, schedule: Function, invalidate: Function, destroy: Function}}
+ */
+export function createViewportCuller(group, { cardSize, getViewportSize }) {
+  let index = null;
+  let visibleItems = null;
+  let detailLevel = null;
+  let pendingTransform = null;
+  let frame = null;
+
+  const buildIndex = () => {
+    const items = [];
+    Array.from(group.children).forEach(element => {
+      const bounds = getElementBounds(element, cardSize);
+      if (bounds) items.push({ element, ...bounds });
+    });
+
+    // Anything already culled (cards redrawn in place keep the class) starts hidden
+    visibleItems = new Set(items.filter(item => !item.element.classList.contains(CULLED_CLASS)));
+    return items.length >= CULLING_MIN_ELEMENTS ? createSpatialIndex(items) : { items };
+  };
+
+  const update = (transform) => {
+    const level = getDetailLevel(transform.k);
+    if (level !== detailLevel) {
+      group.setAttribute('data-detail', level);
+      detailLevel = level;
+    }
+
+    if (!index) index = buildIndex();
+
+    // Too few elements to bother: everything stays drawn
+    const { width, height } = getViewportSize();
+    const nextVisible = index.cells
+      ? queryVisibleItems(index, getViewportBounds(transform, width, height))
+      : new Set(index.items);
+
+    visibleItems.forEach(item => {
+      if (!nextVisible.has(item)) item.element.classList.add(CULLED_CLASS);
+    });
+    nextVisible.forEach(item => {
+      if (!visibleItems.has(item)) item.element.classList.remove(CULLED_CLASS);
+    });
+    visibleItems = nextVisible;
+  };
+
+  return {
+    update,
+
+    // Coalesce zoom events into one update per animation frame
+    schedule(transform) {
+      pendingTransform = transform;
+      if (frame !== null) return;
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        update(pendingTransform);
+      });
+    },
+
+    invalidate() {
+      index = null;
+    },
+
+    destroy() {
+      if (frame !== null) cancelAnimationFrame(frame);
+      frame = null;
+    }
+  };
+}
+
+export default {
+  CULLED_CLASS,
+  DETAIL_LEVELS,
+  DETAIL_THRESHOLDS,
+  CULLING_MIN_ELEMENTS,
+  getDetailLevel,
+  getViewportBounds,
+  createSpatialIndex,
+  queryVisibleItems,
+  parseTranslate,
+  getElementBounds,
+  createViewportCuller
+};
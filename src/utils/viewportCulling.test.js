@@ -0,0 +1,119 @@
+/**
+ * Viewport Culling Tests
+ *
+ * Tests for drawing large trees cheaply:
+ * - Level of detail by zoom scale
+ * - Visible area and grid lookups
+ * - Hiding and showing drawn elements as the view moves
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  CULLED_CLASS,
+  CULLING_MIN_ELEMENTS,
+  getDetailLevel,
+  getViewportBounds,
+  createSpatialIndex,
+  queryVisibleItems,
+  parseTranslate,
+  getElementBounds,
+  createViewportCuller
+} from './viewportCulling';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const cardSize = { width: 150, height: 70 };
+
+const svgElement = (name, attributes = {}) => {
+  const element = document.createElementNS(SVG_NS, name);
+  Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+  return element;
+};
+
+// A row of cards 200 apart, each followed by a line to the next
+const buildGroup = (count) => {
+  const group = svgElement('g', { class: 'zoom-group' });
+  for (let i = 0; i < count; i++) {
+    group.appendChild(svgElement('g', { class: 'person-card', transform: `translate(${i * 200}, 0)` }));
+    group.appendChild(svgElement('line', { x1: i * 200 + 150, y1: 35, x2: i * 200 + 200, y2: 35 }));
+  }
+  return group;
+};
+
+describe('viewportCulling', () => {
+  it('should simplify cards as the view zooms out', () => {
+    expect(getDetailLevel(1)).toBe('full');
+    expect(getDetailLevel(0.5)).toBe('full');
+    expect(getDetailLevel(0.3)).toBe('simplified');
+    expect(getDetailLevel(0.1)).toBe('minimal');
+  });
+
+  it('should convert the screen to layout coordinates', () => {
+    expect(getViewportBounds({ x: -100, y: 50, k: 2 }, 800, 600, 0))
+      .toEqual({ minX: 50, minY: -25, maxX: 450, maxY: 275 });
+  });
+
+  it('should find only the items overlapping an area', () => {
+    const items = [
+      { id: 'a', minX: 0, minY: 0, maxX: 150, maxY: 70 },
+      { id: 'b', minX: 2000, minY: 0, maxX: 2150, maxY: 70 },
+      { id: 'wide', minX: -500, minY: 100, maxX: 3000, maxY: 102 }
+    ];
+    const visible = queryVisibleItems(createSpatialIndex(items, 600), { minX: 1900, minY: -10, maxX: 2500, maxY: 200 });
+
+    expect([...visible].map(item => item.id).sort()).toEqual(['b', 'wide']);
+  });
+
+  it('should measure cards and lines', () => {
+    expect(parseTranslate('translate(12.5, -40)')).toEqual({ x: 12.5, y: -40 });
+    expect(parseTranslate(null)).toBeNull();
+
+    expect(getElementBounds(svgElement('g', { class: 'person-card', transform: 'translate(10,20)' }), cardSize))
+      .toEqual({ minX: 10, minY: 20, maxX: 160, maxY: 90 });
+    expect(getElementBounds(svgElement('line', { x1: 50, y1: 10, x2: 0, y2: 30 }), cardSize))
+      .toEqual({ minX: 0, minY: 10, maxX: 50, maxY: 30 });
+    expect(getElementBounds(svgElement('path', { d: 'M 0 0 H 10' }), cardSize)).toBeNull();
+  });
+
+  describe('createViewportCuller', () => {
+    const getViewportSize = () => ({ width: 1000, height: 600 });
+
+    it('should hide elements outside the view and show them again on pan', () => {
+      const group = buildGroup(CULLING_MIN_ELEMENTS);
+      const culler = createViewportCuller(group, { cardSize, getViewportSize });
+      const cards = group.querySelectorAll('.person-card');
+
+      culler.update({ x: 0, y: 0, k: 1 });
+      expect(cards[0].classList.contains(CULLED_CLASS)).toBe(false);
+      expect(cards[100].classList.contains(CULLED_CLASS)).toBe(true);
+      expect(group.getAttribute('data-detail')).toBe('full');
+
+      culler.update({ x: -20000, y: 0, k: 1 });
+      expect(cards[0].classList.contains(CULLED_CLASS)).toBe(true);
+      expect(cards[100].classList.contains(CULLED_CLASS)).toBe(false);
+    });
+
+    it('should leave small trees fully drawn', () => {
+      const group = buildGroup(10);
+      const culler = createViewportCuller(group, { cardSize, getViewportSize });
+
+      culler.update({ x: -50000, y: 0, k: 0.15 });
+
+      expect(group.querySelectorAll(`.${CULLED_CLASS}`)).toHaveLength(0);
+      expect(group.getAttribute('data-detail')).toBe('minimal');
+    });
+
+    it('should pick up replaced cards after invalidate', () => {
+      const group = buildGroup(CULLING_MIN_ELEMENTS);
+      const culler = createViewportCuller(group, { cardSize, getViewportSize });
+      culler.update({ x: 0, y: 0, k: 1 });
+
+      const oldCard = group.querySelectorAll('.person-card')[100];
+      const newCard = svgElement('g', { class: `person-card ${CULLED_CLASS}`, transform: oldCard.getAttribute('transform') });
+      group.replaceChild(newCard, oldCard);
+      culler.invalidate();
+
+      culler.update({ x: -20000, y: 0, k: 1 });
+      expect(newCard.classList.contains(CULLED_CLASS)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,21 @@
+/**
+ * treeLayout.worker.js - House Tree Layout Worker
+ *
+ * Runs computeHouseLayout off the main thread. Messages in are
+ * { requestId, input } (input from getHouseLayoutInput); messages out are
+ * { requestId, layout } or { requestId, error }.
+ *
+ * Started by utils/treeLayoutClient.js.
+ */
+
+import { computeHouseLayout } from '../utils/houseTreeLayout';
+
+self.onmessage = ({ data }) => {
+  const { requestId, input } = data;
+
+  try {
+    self.postMessage({ requestId, layout: computeHouseLayout(input) });
+  } catch (error) {
+    self.postMessage({ requestId, error: error.message || 'Layout failed' });
+  }
+};